@@ -0,0 +1,267 @@
+/**
+ * Book Search
+ * Full-text search across all chapters
+ * 全书全文检索：倒排索引、BM25 排序、拼音匹配与摘要高亮
+ *
+ * Every heading, paragraph, list item, table row and definition term is
+ * a search document that remembers its chapter, section anchor and source
+ * line, so a hit can take the reader straight to the paragraph.
+ */
+
+const SearchMarkdownRenderer = typeof MarkdownRenderer !== 'undefined'
+    ? MarkdownRenderer
+    : require('./markdown-renderer.js');
+const SearchSegmenter = typeof TextSegmenter !== 'undefined'
+    ? TextSegmenter
+    : require('./text-segmenter.js');
+const searchAST = typeof MarkdownAST !== 'undefined'
+    ? MarkdownAST
+    : require('./markdown-parser.js');
+
+// Okapi BM25 parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Blocks whose text is indexed (code, math and diagrams are not prose)
+const SEARCH_BLOCK_TYPES = new Set(['heading', 'paragraph', 'table_row', 'definition_term']);
+
+class BookSearchIndex {
+    constructor(options = {}) {
+        this.segmenter = options.segmenter || new SearchSegmenter();
+        this.renderer = options.renderer || new SearchMarkdownRenderer({ enableMath: false, enableMermaid: false });
+        this.snippetLength = options.snippetLength || 120;
+        this.documents = [];
+        this.chapters = new Map();
+        this.postings = new Map();
+        this.totalLength = 0;
+    }
+
+    get size() {
+        return this.documents.length;
+    }
+
+    /**
+     * Index one chapter
+     * @param {string} file - chapter path as loaded by the viewer
+     * @param {string} markdown - chapter source
+     */
+    addChapter(file, markdown) {
+        const ast = this.renderer.parse(markdown);
+        // Rendering assigns the heading ids the viewer will show
+        this.renderer.renderAST(ast);
+        const headings = this.renderer.headings.slice();
+        const title = (headings.find(h => h.level === 1) || { text: file }).text;
+        this.chapters.set(file, { file, title });
+
+        let headingIndex = 0;
+        let section = null;
+
+        const visit = (node) => {
+            if (node.type === 'heading') section = headings[headingIndex++] || section;
+
+            if (SEARCH_BLOCK_TYPES.has(node.type)) {
+                const text = node.type === 'table_row'
+                    ? node.children.map(cell => searchAST.textContent(cell)).join(' | ')
+                    : searchAST.textContent(node);
+                if (text.trim()) {
+                    this.addDocument({
+                        file,
+                        kind: node.type === 'heading' ? 'heading' : 'text',
+                        anchor: section ? section.id : null,
+                        section: section ? section.text : null,
+                        line: node.position ? node.position.start : null,
+                        text
+                    });
+                }
+                return;
+            }
+
+            (node.children || []).forEach(visit);
+        };
+
+        visit(ast);
+        return this;
+    }
+
+    addDocument(document) {
+        const id = this.documents.length;
+        const normalized = this.segmenter.normalize(document.text);
+        const terms = this.segmenter.indexTerms(normalized);
+        const frequencies = new Map();
+
+        terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+        frequencies.forEach((count, term) => {
+            if (!this.postings.has(term)) this.postings.set(term, []);
+            this.postings.get(term).push([id, count]);
+        });
+
+        this.documents.push(Object.assign({ id, normalized, length: terms.length }, document));
+        this.totalLength += terms.length;
+        return id;
+    }
+
+    /**
+     * Split a query into words; "quoted text" is one word. Each word lists
+     * the alternatives it may match (itself, or lexicon words for pinyin).
+     */
+    parseQuery(query) {
+        const words = [];
+        const pattern = /"([^"]+)"|(\S+)/g;
+        let match;
+
+        while ((match = pattern.exec(this.segmenter.normalize(query))) !== null) {
+            const word = (match[1] || match[2]).trim();
+            if (!word) continue;
+
+            const alternatives = [word];
+            if (!match[1]) {
+                this.segmenter.pinyinMatches(word).forEach(term => {
+                    alternatives.push(this.segmenter.normalize(term));
+                });
+            }
+            words.push(alternatives);
+        }
+
+        return words;
+    }
+
+    /**
+     * Ranked results for a query
+     * @returns {Array<{file, chapter, anchor, section, line, kind, score, snippet, terms}>}
+     */
+    search(query, options = {}) {
+        const limit = options.limit || 50;
+        const words = this.parseQuery(query || '');
+        if (!words.length || !this.documents.length) return [];
+
+        let scores = null;
+        const matchedTerms = new Map();
+
+        words.forEach(alternatives => {
+            const wordScores = new Map();
+
+            alternatives.forEach(alternative => {
+                this.scoreAlternative(alternative).forEach((score, id) => {
+                    if (score > (wordScores.get(id) || 0)) wordScores.set(id, score);
+                    if (!matchedTerms.has(id)) matchedTerms.set(id, new Set());
+                    matchedTerms.get(id).add(alternative);
+                });
+            });
+
+            // Every word has to match (AND)
+            if (scores === null) {
+                scores = wordScores;
+            } else {
+                const combined = new Map();
+                scores.forEach((score, id) => {
+                    if (wordScores.has(id)) combined.set(id, score + wordScores.get(id));
+                });
+                scores = combined;
+            }
+        });
+
+        const phrase = words.length > 1 ? words.map(alternatives => alternatives[0]).join(' ') : null;
+
+        return Array.from(scores, ([id, score]) => {
+            const document = this.documents[id];
+            if (document.kind === 'heading') score *= 1.5;
+            if (phrase && document.normalized.includes(phrase)) score *= 1.2;
+            return { document, score };
+        })
+            .sort((a, b) => b.score - a.score || a.document.id - b.document.id)
+            .slice(0, limit)
+            .map(({ document, score }) => {
+                const terms = Array.from(matchedTerms.get(document.id));
+                return {
+                    file: document.file,
+                    chapter: this.chapters.get(document.file).title,
+                    anchor: document.anchor,
+                    section: document.section,
+                    line: document.line,
+                    kind: document.kind,
+                    score,
+                    terms,
+                    snippet: this.snippet(document, terms)
+                };
+            });
+    }
+
+    /**
+     * BM25 scores of the documents that contain `alternative` verbatim
+     */
+    scoreAlternative(alternative) {
+        const terms = this.segmenter.queryTerms(alternative);
+        const scores = new Map();
+        if (!terms.length) return scores;
+
+        // Candidates hold every term; then check the exact text is there
+        const lists = terms.map(term => this.postings.get(term) || []);
+        if (lists.some(list => !list.length)) return scores;
+
+        const averageLength = this.totalLength / this.documents.length;
+        const shortest = lists.reduce((a, b) => (a.length <= b.length ? a : b));
+        const others = lists.map(list => new Map(list));
+
+        shortest.forEach(([id]) => {
+            if (!others.every(list => list.has(id))) return;
+
+            const document = this.documents[id];
+            if (!document.normalized.includes(alternative)) return;
+
+            let score = 0;
+            terms.forEach((term, i) => {
+                const frequency = others[i].get(id);
+                const idf = Math.log(1 + (this.documents.length - lists[i].length + 0.5) / (lists[i].length + 0.5));
+                score += idf * (frequency * (BM25_K1 + 1)) /
+                    (frequency + BM25_K1 * (1 - BM25_B + BM25_B * document.length / averageLength));
+            });
+            scores.set(id, score);
+        });
+
+        return scores;
+    }
+
+    /**
+     * Excerpt around the first hit, hits wrapped in <mark>, HTML-escaped
+     */
+    snippet(document, terms) {
+        const text = document.text;
+        const ranges = [];
+
+        terms.forEach(term => {
+            for (let at = document.normalized.indexOf(term); at !== -1; at = document.normalized.indexOf(term, at + term.length)) {
+                ranges.push([at, at + term.length]);
+            }
+        });
+        ranges.sort((a, b) => a[0] - b[0]);
+
+        const first = ranges.length ? ranges[0][0] : 0;
+        const start = Math.max(0, Math.min(first - Math.floor(this.snippetLength / 3), text.length - this.snippetLength));
+        const end = Math.min(text.length, start + this.snippetLength);
+
+        let html = start > 0 ? '…' : '';
+        let position = start;
+        ranges.forEach(([from, to]) => {
+            if (from < position || from >= end) return;
+            html += this.escape(text.slice(position, from)) + `<mark>${this.escape(text.slice(from, Math.min(to, end)))}</mark>`;
+            position = Math.min(to, end);
+        });
+        html += this.escape(text.slice(position, end)) + (end < text.length ? '…' : '');
+
+        return html;
+    }
+
+    escape(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/\s+/g, ' ');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BookSearchIndex;
+}
@@ -0,0 +1,150 @@
+/**
+ * Case Journeys
+ * Gallery cases grouped into per-patient treatment journeys
+ * 疗程时间线：把同一位患者的初诊、治疗、复诊照片归为一个疗程，按时间排列
+ *
+ * A case joins a journey through its `journeyId` and says where it sits
+ * with `phase` (consultation, procedure, follow-up, touch-up). Steps are
+ * ordered by date, then phase, and each is dated relative to the first
+ * procedure ("术后 2 周"), which is how clinicians talk about results.
+ * Cases without a journeyId stay on their own.
+ */
+
+const JOURNEY_PHASES = [
+    { id: 'consultation', name: '初诊咨询' },
+    { id: 'procedure', name: '治疗' },
+    { id: 'follow-up', name: '复诊随访' },
+    { id: 'touch-up', name: '补充治疗' }
+];
+
+const JOURNEY_DAY = 24 * 60 * 60 * 1000;
+
+function journeyDay(date) {
+    const time = Date.parse(`${date}T00:00:00Z`);
+    return Number.isNaN(time) ? null : Math.round(time / JOURNEY_DAY);
+}
+
+// Day of a step for ordering; undated steps go last
+function stepDay(item) {
+    const day = journeyDay(item.date);
+    return day === null ? Infinity : day;
+}
+
+function phaseRank(phase) {
+    const index = JOURNEY_PHASES.findIndex(entry => entry.id === phase);
+    return index === -1 ? JOURNEY_PHASES.length : index;
+}
+
+/**
+ * Readable distance from the procedure: 术前 3 天, 治疗当天, 术后第 5 天, 术后 2 周, 术后 3 个月
+ * @param {number} days - days after the procedure, negative before it
+ */
+function relativeLabel(days) {
+    if (days < 0) return `术前 ${-days} 天`;
+    if (days === 0) return '治疗当天';
+    if (days < 14) return `术后第 ${days} 天`;
+    if (days < 60) return `术后 ${Math.round(days / 7)} 周`;
+    if (days < 730) return `术后 ${Math.round(days / 30.44)} 个月`;
+    return `术后 ${(days / 365.25).toFixed(1).replace(/\.0$/, '')} 年`;
+}
+
+/**
+ * One journey from its cases
+ * @param {string} id
+ * @param {Array} items - cases sharing this journeyId, any order
+ */
+function buildJourney(id, items) {
+    const ordered = items.slice().sort((a, b) =>
+        (stepDay(a) === stepDay(b) ? 0 : stepDay(a) - stepDay(b)) ||
+        phaseRank(a.phase) - phaseRank(b.phase) ||
+        String(a.id).localeCompare(String(b.id)));
+
+    // Dated from the first procedure; a journey without one, from its first step
+    const anchor = ordered.find(item => item.phase === 'procedure') || ordered[0];
+    const anchorDay = journeyDay(anchor.date);
+    const hasProcedure = anchor.phase === 'procedure';
+
+    const steps = ordered.map(item => {
+        const phase = JOURNEY_PHASES.find(entry => entry.id === item.phase);
+        const day = journeyDay(item.date);
+        const offset = day === null || anchorDay === null ? null : day - anchorDay;
+        return {
+            item,
+            phase: phase ? phase.id : null,
+            phaseName: phase ? phase.name : '',
+            offsetDays: offset,
+            label: offset === null ? '' : hasProcedure ? relativeLabel(offset) : `第 ${offset + 1} 天`
+        };
+    });
+
+    const titled = ordered.find(item => item.journeyTitle);
+    const dated = ordered.filter(item => journeyDay(item.date) !== null);
+    const doctors = [...new Set(ordered.map(item => item.doctorName || item.doctor))];
+
+    return {
+        id,
+        title: titled ? titled.journeyTitle : `疗程 ${id}`,
+        steps,
+        items: ordered,
+        start: dated.length ? dated[0].date : null,
+        end: dated.length ? dated[dated.length - 1].date : null,
+        doctors,
+        treatmentTypes: [...new Set(ordered.map(item => item.treatmentType))]
+    };
+}
+
+/**
+ * Group cases into journeys
+ * @param {Array} items - cases in display order
+ * @returns {{journeys: Array, standalone: Array}} journeys in the order
+ *   their first case appears; standalone: cases without a journeyId
+ */
+function groupJourneys(items) {
+    const groups = new Map();
+    const standalone = [];
+
+    items.forEach(item => {
+        const key = CaseJourneys.journeyKey(item);
+        if (!key) {
+            standalone.push(item);
+            return;
+        }
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(item);
+    });
+
+    return {
+        journeys: [...groups].map(([key, members]) => buildJourney(key, members)),
+        standalone
+    };
+}
+
+const CaseJourneys = {
+    PHASES: JOURNEY_PHASES,
+    group: groupJourneys,
+    build: buildJourney,
+    relativeLabel,
+
+    /**
+     * The journey a case belongs to, as a string key; null for none
+     */
+    journeyKey(item) {
+        const id = item && item.journeyId;
+        return id === undefined || id === null || id === '' ? null : String(id);
+    },
+
+    /**
+     * The whole journey of one case, from every case loaded so far
+     * @returns {Object|null} null when the case has no journey
+     */
+    journeyOf(item, allItems) {
+        const key = CaseJourneys.journeyKey(item);
+        if (!key) return null;
+        return buildJourney(key, allItems.filter(other => CaseJourneys.journeyKey(other) === key));
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CaseJourneys;
+}
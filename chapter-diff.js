@@ -0,0 +1,430 @@
+/**
+ * Chapter Diff
+ * Structural diff between two versions of a chapter
+ * 章节修订对比：按标题对齐小节，逐段比较，段内按词标注增删（支持中文）
+ *
+ * Sections are paired by heading (edition-aligner.js), so a moved or
+ * renamed section is compared with its counterpart instead of showing up
+ * as one large deletion and insertion. Within a section, blocks
+ * (paragraphs, list items, tables, code) are diffed as units; a changed
+ * block is diffed again word by word. Chinese has no spaces, so CJK text
+ * is split into lexicon words and single characters.
+ */
+
+const DiffRenderer = typeof MarkdownRenderer !== 'undefined'
+    ? MarkdownRenderer
+    : require('./markdown-renderer.js');
+const DiffAligner = typeof EditionAligner !== 'undefined'
+    ? EditionAligner
+    : require('./edition-aligner.js');
+const DiffSegmenter = typeof TextSegmenter !== 'undefined'
+    ? TextSegmenter
+    : require('./text-segmenter.js');
+const diffAST = typeof MarkdownAST !== 'undefined'
+    ? MarkdownAST
+    : require('./markdown-parser.js');
+
+// Lists are compared item by item; other blocks as a whole
+const DIFF_SPLIT_TYPES = new Set(['list']);
+
+// Give up on an exact diff (and show a replacement) beyond this many edits
+const DIFF_MAX_EDITS = 2000;
+
+class ChapterDiff {
+    constructor(options = {}) {
+        this.renderer = options.renderer || new DiffRenderer({ enableMath: false, enableMermaid: false });
+        this.aligner = options.aligner || new DiffAligner();
+        this.segmenter = options.segmenter || new DiffSegmenter();
+        // Changed blocks at least this similar are shown as one modified block
+        this.modifyThreshold = options.modifyThreshold || 0.4;
+    }
+
+    /**
+     * Compare two versions of a chapter
+     * @param {string} oldMarkdown
+     * @param {string} newMarkdown
+     * @returns {{sections: Array, stats: {added: number, removed: number, modified: number, unchanged: number}}}
+     *   each section is {status, level, oldHeading, newHeading, headingOps, blocks};
+     *   each block is {status: 'equal'|'insert'|'delete'|'modify', type, oldText, newText, ops}
+     */
+    compare(oldMarkdown, newMarkdown) {
+        const before = this.sections(oldMarkdown);
+        const after = this.sections(newMarkdown);
+        const stats = { added: 0, removed: 0, modified: 0, unchanged: 0 };
+        const sections = [];
+
+        // Text before the first heading
+        sections.push(this.compareSections(before[0], after[0]));
+
+        const alignment = this.aligner.align(before.slice(1).map(s => s.heading), after.slice(1).map(s => s.heading));
+        alignment.rows.forEach(row => {
+            sections.push(this.compareSections(
+                row.left ? before[row.left.index] : null,
+                row.right ? after[row.right.index] : null
+            ));
+        });
+
+        const result = sections.filter(section => section.level || section.blocks.length);
+        result.forEach(section => {
+            stats[{ equal: 'unchanged', insert: 'added', delete: 'removed', modify: 'modified' }[section.status]]++;
+        });
+
+        return { sections: result, stats };
+    }
+
+    /**
+     * Split a chapter into sections, each a heading and its blocks;
+     * section 0 holds what comes before the first heading
+     */
+    sections(markdown) {
+        const source = String(markdown || '').split(/\r\n|\r|\n/);
+        const ast = this.renderer.parse(markdown || '');
+        const sections = [{ heading: null, blocks: [] }];
+
+        const text = node => source.slice(node.position.start - 1, node.position.end).join('\n').trim();
+
+        const visit = node => {
+            if (node.type === 'heading') {
+                const index = sections.length;
+                sections.push({
+                    heading: { index, level: node.level, text: diffAST.textContent(node), id: `section-${index}` },
+                    blocks: []
+                });
+                return;
+            }
+
+            if (DIFF_SPLIT_TYPES.has(node.type)) {
+                node.children.forEach(visit);
+                return;
+            }
+
+            if (node.position) {
+                sections[sections.length - 1].blocks.push({ type: node.type, text: text(node) });
+            }
+        };
+
+        ast.children.forEach(visit);
+        return sections;
+    }
+
+    compareSections(before, after) {
+        const oldBlocks = before ? before.blocks : [];
+        const newBlocks = after ? after.blocks : [];
+        const oldHeading = before && before.heading ? before.heading.text : null;
+        const newHeading = after && after.heading ? after.heading.text : null;
+
+        const blocks = this.compareBlocks(oldBlocks, newBlocks);
+        const headingOps = oldHeading !== null && newHeading !== null && oldHeading !== newHeading
+            ? this.diffWords(oldHeading, newHeading)
+            : null;
+
+        let status = 'equal';
+        if (!before) status = 'insert';
+        else if (!after) status = 'delete';
+        else if (headingOps || blocks.some(block => block.status !== 'equal')) status = 'modify';
+
+        return {
+            status,
+            level: ((after || before).heading || { level: 0 }).level,
+            oldHeading,
+            newHeading,
+            headingOps,
+            blocks
+        };
+    }
+
+    /**
+     * Paragraph-level diff; a deleted and an inserted block that are alike
+     * become one modified block with a word diff
+     */
+    compareBlocks(oldBlocks, newBlocks) {
+        const ops = this.diff(oldBlocks, newBlocks, (a, b) => a.text === b.text);
+        const blocks = [];
+
+        for (let i = 0; i < ops.length;) {
+            if (ops[i].type === 'equal') {
+                blocks.push({ status: 'equal', type: ops[i].newItem.type, oldText: ops[i].oldItem.text, newText: ops[i].newItem.text });
+                i++;
+                continue;
+            }
+
+            // A run of changes between two unchanged blocks
+            const deleted = [];
+            const inserted = [];
+            for (; i < ops.length && ops[i].type !== 'equal'; i++) {
+                if (ops[i].type === 'delete') deleted.push(ops[i].oldItem);
+                else inserted.push(ops[i].newItem);
+            }
+            blocks.push(...this.pairChanges(deleted, inserted));
+        }
+
+        return blocks;
+    }
+
+    pairChanges(deleted, inserted) {
+        const blocks = [];
+        let next = 0;
+
+        deleted.forEach(block => {
+            const match = inserted.findIndex((candidate, j) => j >= next &&
+                candidate.type === block.type &&
+                this.similarity(block.text, candidate.text) >= this.modifyThreshold);
+
+            if (match === -1) {
+                blocks.push({ status: 'delete', type: block.type, oldText: block.text, newText: null });
+                return;
+            }
+
+            inserted.slice(next, match).forEach(added => {
+                blocks.push({ status: 'insert', type: added.type, oldText: null, newText: added.text });
+            });
+            blocks.push({
+                status: 'modify',
+                type: block.type,
+                oldText: block.text,
+                newText: inserted[match].text,
+                ops: this.diffWords(block.text, inserted[match].text)
+            });
+            next = match + 1;
+        });
+
+        inserted.slice(next).forEach(added => {
+            blocks.push({ status: 'insert', type: added.type, oldText: null, newText: added.text });
+        });
+
+        return blocks;
+    }
+
+    /**
+     * Word diff, merged into runs: [{type: 'equal'|'insert'|'delete', text}]
+     */
+    diffWords(oldText, newText) {
+        const ops = this.diff(this.tokenize(oldText), this.tokenize(newText));
+        const runs = [];
+
+        ops.forEach(op => {
+            const text = op.type === 'insert' ? op.newItem : op.oldItem;
+            const last = runs[runs.length - 1];
+            if (last && last.type === op.type) last.text += text;
+            else runs.push({ type: op.type, text });
+        });
+
+        return runs;
+    }
+
+    /**
+     * Tokens that concatenate back to the text: lexicon words and single
+     * characters for CJK, whole Latin words and numbers, runs of spaces,
+     * and each other symbol on its own
+     */
+    tokenize(text) {
+        const tokens = [];
+        const normalized = this.segmenter.normalize(text);
+        const pattern = /[\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff]+|[A-Za-z0-9]+|\s+|[^]/g;
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            const run = match[0];
+            if (!this.segmenter.hasCJK(run)) {
+                tokens.push(run);
+                continue;
+            }
+
+            const lookup = normalized.substr(match.index, run.length);
+            for (let pos = 0; pos < run.length;) {
+                const word = this.segmenter.longestWordAt(lookup, pos);
+                const length = word ? word.length : 1;
+                tokens.push(run.substr(pos, length));
+                pos += length;
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Character-bigram Dice coefficient
+     */
+    similarity(a, b) {
+        if (a === b) return 1;
+        if (a.length < 2 || b.length < 2) return 0;
+
+        const counts = new Map();
+        for (let i = 0; i < a.length - 1; i++) {
+            const bigram = a.substr(i, 2);
+            counts.set(bigram, (counts.get(bigram) || 0) + 1);
+        }
+
+        let shared = 0;
+        for (let i = 0; i < b.length - 1; i++) {
+            const bigram = b.substr(i, 2);
+            if (counts.get(bigram) > 0) {
+                counts.set(bigram, counts.get(bigram) - 1);
+                shared++;
+            }
+        }
+
+        return (2 * shared) / (a.length + b.length - 2);
+    }
+
+    /**
+     * Shortest edit script between two sequences (Myers, O(ND))
+     * @returns {Array<{type: 'equal'|'insert'|'delete', oldItem, newItem}>}
+     */
+    diff(a, b, equals = (x, y) => x === y) {
+        // Common prefix and suffix need no search
+        let start = 0;
+        while (start < a.length && start < b.length && equals(a[start], b[start])) start++;
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && equals(a[endA - 1], b[endB - 1])) {
+            endA--;
+            endB--;
+        }
+
+        const head = a.slice(0, start).map((item, i) => ({ type: 'equal', oldItem: item, newItem: b[i] }));
+        const tail = a.slice(endA).map((item, i) => ({ type: 'equal', oldItem: item, newItem: b[endB + i] }));
+        const middle = this.editScript(a.slice(start, endA), b.slice(start, endB), equals);
+
+        return head.concat(middle, tail);
+    }
+
+    editScript(a, b, equals) {
+        const n = a.length;
+        const m = b.length;
+        const max = Math.min(n + m, DIFF_MAX_EDITS);
+        const offset = max + 1;
+        const v = new Array(2 * max + 3).fill(0);
+        const trace = [];
+
+        for (let d = 0; d <= max; d++) {
+            trace.push(v.slice());
+            for (let k = -d; k <= d; k += 2) {
+                let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                    ? v[offset + k + 1]
+                    : v[offset + k - 1] + 1;
+                let y = x - k;
+                while (x < n && y < m && equals(a[x], b[y])) {
+                    x++;
+                    y++;
+                }
+                v[offset + k] = x;
+
+                if (x >= n && y >= m) return this.backtrack(trace, a, b, offset);
+            }
+        }
+
+        // Too different to be worth aligning: everything was replaced
+        return a.map(item => ({ type: 'delete', oldItem: item, newItem: null }))
+            .concat(b.map(item => ({ type: 'insert', oldItem: null, newItem: item })));
+    }
+
+    backtrack(trace, a, b, offset) {
+        const ops = [];
+        let x = a.length;
+        let y = b.length;
+
+        for (let d = trace.length - 1; d >= 0; d--) {
+            const v = trace[d];
+            const k = x - y;
+            const previousK = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) ? k + 1 : k - 1;
+            const previousX = v[offset + previousK];
+            const previousY = previousX - previousK;
+
+            while (x > previousX && y > previousY) {
+                ops.push({ type: 'equal', oldItem: a[x - 1], newItem: b[y - 1] });
+                x--;
+                y--;
+            }
+
+            if (d > 0) {
+                if (x === previousX) {
+                    ops.push({ type: 'insert', oldItem: null, newItem: b[y - 1] });
+                    y--;
+                } else {
+                    ops.push({ type: 'delete', oldItem: a[x - 1], newItem: null });
+                    x--;
+                }
+            }
+        }
+
+        return ops.reverse();
+    }
+
+    /**
+     * Diff as HTML: <ins>/<del> inside the changed blocks, unchanged blocks
+     * folded away
+     * @param {Object} result - from compare()
+     * @param {Object} [options] - {context: unchanged blocks kept around a change}
+     */
+    toHTML(result, options = {}) {
+        const context = options.context === undefined ? 1 : options.context;
+
+        return result.sections.map(section => {
+            const level = Math.min(Math.max(section.level, 1), 6);
+            const labels = { insert: '新增小节', delete: '删除小节', modify: '已修改' };
+            const heading = section.level
+                ? `<h${level} class="diff-heading">${section.headingOps
+                    ? this.opsToHTML(section.headingOps)
+                    : this.wrap(section.status, this.escape(section.newHeading !== null ? section.newHeading : section.oldHeading))}` +
+                    `${labels[section.status] ? ` <span class="diff-label">${labels[section.status]}</span>` : ''}</h${level}>`
+                : '';
+
+            return `<section class="diff-section diff-${section.status}">${heading}${this.blocksToHTML(section.blocks, context)}</section>`;
+        }).join('\n');
+    }
+
+    blocksToHTML(blocks, context) {
+        const near = index => blocks.slice(Math.max(0, index - context), index + context + 1)
+            .some(block => block.status !== 'equal');
+        let html = '';
+        let folded = [];
+
+        const flush = () => {
+            if (!folded.length) return;
+            html += `<details class="diff-folded"><summary>${folded.length} 段未改动</summary>` +
+                folded.map(block => this.blockToHTML(block)).join('') + '</details>';
+            folded = [];
+        };
+
+        blocks.forEach((block, index) => {
+            if (block.status === 'equal' && !near(index)) {
+                folded.push(block);
+                return;
+            }
+            flush();
+            html += this.blockToHTML(block);
+        });
+        flush();
+
+        return html;
+    }
+
+    blockToHTML(block) {
+        let content;
+        if (block.status === 'modify') content = this.opsToHTML(block.ops);
+        else if (block.status === 'delete') content = this.wrap('delete', this.escape(block.oldText));
+        else content = this.wrap(block.status, this.escape(block.newText));
+
+        return `<div class="diff-block diff-${block.status}" data-type="${block.type}">${content}</div>`;
+    }
+
+    opsToHTML(ops) {
+        return ops.map(op => this.wrap(op.type, this.escape(op.text))).join('');
+    }
+
+    wrap(type, html) {
+        if (type === 'insert') return `<ins class="diff-ins">${html}</ins>`;
+        if (type === 'delete') return `<del class="diff-del">${html}</del>`;
+        return html;
+    }
+
+    escape(text) {
+        return this.renderer.escapeHtml(String(text));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChapterDiff;
+}
@@ -0,0 +1,166 @@
+/**
+ * Concept Graph
+ * Query expansion over the medical concept graph
+ * 语义检索：把查询中的术语扩展为同义词、上下位和相关概念
+ *
+ * "丰唇", "唇部填充" and "lip augmentation" name the same concept, so a
+ * search for one should find the others. Terms found in a query are
+ * replaced by the terms of their concept (full weight) and of the
+ * concepts next to it in the graph (medical-concepts.js), at lower
+ * weights. No embeddings or network access are involved.
+ */
+
+const GRAPH_CONCEPTS = typeof MedicalConcepts !== 'undefined'
+    ? MedicalConcepts
+    : (typeof require === 'function' ? require('./medical-concepts.js') : []);
+
+// How much a match on a neighbouring concept is worth
+const CONCEPT_WEIGHTS = {
+    synonym: 1,
+    narrower: 0.8,
+    broader: 0.6,
+    related: 0.5
+};
+
+const LATIN_TERM = /^[a-z0-9][a-z0-9 .'-]*$/;
+
+class ConceptGraph {
+    constructor(options = {}) {
+        const concepts = options.concepts || GRAPH_CONCEPTS;
+        this.weights = Object.assign({}, CONCEPT_WEIGHTS, options.weights);
+
+        this.concepts = new Map(concepts.map(concept => [concept.id, concept]));
+        this.narrower = new Map();
+        this.related = new Map();
+        this.termConcepts = new Map();
+
+        concepts.forEach(concept => {
+            if (concept.broader) this.link(this.narrower, concept.broader, concept.id);
+            (concept.related || []).forEach(id => {
+                this.link(this.related, concept.id, id);
+                this.link(this.related, id, concept.id);
+            });
+            concept.terms.forEach(term => this.link(this.termConcepts, this.normalize(term), concept.id));
+        });
+
+        // Longest first, so "透明质酸酶" wins over "透明质酸"
+        this.terms = Array.from(this.termConcepts.keys()).sort((a, b) => b.length - a.length);
+
+        // Longer terms each term is part of, with its offset in them
+        this.superTerms = new Map(this.terms.map(term => [term, []]));
+        this.terms.forEach(longer => this.terms.forEach(term => {
+            if (term.length >= longer.length) return;
+            for (let offset = longer.indexOf(term); offset !== -1; offset = longer.indexOf(term, offset + 1)) {
+                this.superTerms.get(term).push({ term: longer, offset });
+            }
+        }));
+    }
+
+    link(map, key, value) {
+        if (!map.has(key)) map.set(key, new Set());
+        map.get(key).add(value);
+    }
+
+    /**
+     * Lower-case and fold full-width forms, one character for one
+     */
+    normalize(text) {
+        return String(text)
+            .replace(/[\uff01-\uff5e]/g, char => String.fromCharCode(char.charCodeAt(0) - 0xfee0))
+            .replace(/\u3000/g, ' ')
+            .toLowerCase();
+    }
+
+    /**
+     * Position of a term in (normalized) text; Latin terms must stand
+     * as whole words, so "ha" does not match inside "that"
+     */
+    indexOf(text, term, from = 0) {
+        let index = text.indexOf(term, from);
+        if (!LATIN_TERM.test(term)) return index;
+
+        while (index !== -1) {
+            const before = text[index - 1];
+            const after = text[index + term.length];
+            if (!/[a-z0-9]/.test(before || '') && !/[a-z0-9]/.test(after || '')) return index;
+            index = text.indexOf(term, index + 1);
+        }
+        return -1;
+    }
+
+    /**
+     * Positions of a term in (normalized) text, skipping those inside a
+     * longer term of the graph ("透明质酸" inside "透明质酸酶")
+     */
+    occurrences(text, term) {
+        const positions = [];
+        const longer = this.superTerms.get(term) || [];
+
+        for (let index = this.indexOf(text, term); index !== -1; index = this.indexOf(text, term, index + 1)) {
+            if (!longer.some(({ term: superTerm, offset }) =>
+                index >= offset && text.startsWith(superTerm, index - offset))) {
+                positions.push(index);
+            }
+        }
+        return positions;
+    }
+
+    /**
+     * Concept terms named in a query
+     * @returns {{terms: Array<{term: string, concepts: string[]}>, rest: string}}
+     *   the terms in query order with the concepts they name, and the
+     *   query with those terms removed
+     */
+    find(query) {
+        let text = this.normalize(query);
+        const found = [];
+
+        this.terms.forEach(term => {
+            let index;
+            while ((index = this.indexOf(text, term)) !== -1) {
+                if (!found.some(entry => entry.term === term)) {
+                    found.push({ term, concepts: Array.from(this.termConcepts.get(term)), index });
+                }
+                text = text.slice(0, index) + ' '.repeat(term.length) + text.slice(index + term.length);
+            }
+        });
+
+        found.sort((a, b) => a.index - b.index);
+        return {
+            terms: found.map(({ term, concepts }) => ({ term, concepts })),
+            rest: text.replace(/\s+/g, ' ').trim()
+        };
+    }
+
+    /**
+     * Terms that stand for the given concepts, with their weights
+     * @param {string[]} ids
+     * @returns {Map<string, number>} normalized term → weight
+     */
+    expand(ids) {
+        const terms = new Map();
+        const add = (id, weight) => {
+            const concept = this.concepts.get(id);
+            if (!concept) return;
+            concept.terms.forEach(term => {
+                const key = this.normalize(term);
+                if (!(terms.get(key) >= weight)) terms.set(key, weight);
+            });
+        };
+
+        ids.forEach(id => {
+            const concept = this.concepts.get(id);
+            add(id, this.weights.synonym);
+            (this.narrower.get(id) || []).forEach(narrower => add(narrower, this.weights.narrower));
+            if (concept && concept.broader) add(concept.broader, this.weights.broader);
+            (this.related.get(id) || []).forEach(related => add(related, this.weights.related));
+        });
+
+        return terms;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConceptGraph;
+}
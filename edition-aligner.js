@@ -0,0 +1,196 @@
+/**
+ * Edition Aligner
+ * Section-by-section alignment of two editions of a chapter
+ * 版本对照：按标题层级对齐两个版本的章节，找出只存在于一个版本的小节
+ *
+ * Chapters such as 04_technical_mastery.md have a revised edition next to
+ * them (04_technical_mastery_international.md). Headings are aligned level
+ * by level: the children of two matched sections are only compared with
+ * each other, so a "结语" deep in one edition cannot pair with a top-level
+ * "结语" in the other. Sibling lists are aligned in order, maximising the
+ * total title similarity.
+ */
+
+// File-name suffixes of revised editions, with the label shown to readers
+const EDITION_SUFFIXES = {
+    _enhanced: '增强版',
+    _international: '国际化版'
+};
+
+// Leading section numbers: 第四章 / 一、 / 1.2.3 / （三）
+const HEADING_NUMBERING = /^\s*(?:第[一二三四五六七八九十百零〇\d]+[章节部分篇]|[一二三四五六七八九十]+[、.．]|\d+(?:\.\d+)*[、.．]?|[（(][一二三四五六七八九十\d]+[)）])\s*/;
+
+// Edition notes in titles: （国际化升级版）, (Enhanced)
+const EDITION_NOTE = /[（(][^（）()]*(?:版|edition|enhanced)[^（）()]*[)）]/gi;
+
+class EditionAligner {
+    constructor(options = {}) {
+        // Two titles below this similarity are treated as different sections
+        this.threshold = options.threshold || 0.5;
+    }
+
+    /**
+     * Base/revised edition pairs among chapter files
+     * @param {string[]} files
+     * @returns {Array<{base: string, edition: string, label: string}>}
+     */
+    static findPairs(files) {
+        const available = new Set(files);
+        const pairs = [];
+
+        files.forEach(file => {
+            Object.keys(EDITION_SUFFIXES).forEach(suffix => {
+                const match = file.match(new RegExp(`^(.*)${suffix}(\\.md)$`));
+                if (match && available.has(match[1] + match[2])) {
+                    pairs.push({ base: match[1] + match[2], edition: file, label: EDITION_SUFFIXES[suffix] });
+                }
+            });
+        });
+
+        return pairs;
+    }
+
+    /**
+     * The pair a chapter belongs to, whichever edition it is
+     */
+    static pairOf(file, files) {
+        return EditionAligner.findPairs(files).find(pair => pair.base === file || pair.edition === file) || null;
+    }
+
+    /**
+     * Heading text reduced to what identifies the section
+     */
+    normalize(text) {
+        return String(text)
+            .replace(EDITION_NOTE, '')
+            .replace(HEADING_NUMBERING, '')
+            .toLowerCase()
+            .replace(/[\s\p{P}\p{S}]+/gu, '');
+    }
+
+    /**
+     * Title similarity in [0, 1]: Dice coefficient over character bigrams,
+     * raised when one title is a longer version of the other
+     * ("透明质酸注射的深度解析" / "透明质酸注射的深度解析与技术参数优化")
+     */
+    similarity(a, b) {
+        const left = this.normalize(a);
+        const right = this.normalize(b);
+        if (!left || !right) return left === right ? 1 : 0;
+        if (left === right) return 1;
+
+        const bigrams = text => {
+            const counts = new Map();
+            for (let i = 0; i < text.length - 1; i++) {
+                const bigram = text.substr(i, 2);
+                counts.set(bigram, (counts.get(bigram) || 0) + 1);
+            }
+            return counts;
+        };
+
+        const leftBigrams = bigrams(left);
+        const rightBigrams = bigrams(right);
+        let shared = 0;
+        leftBigrams.forEach((count, bigram) => {
+            shared += Math.min(count, rightBigrams.get(bigram) || 0);
+        });
+
+        const total = Math.max(left.length - 1, 0) + Math.max(right.length - 1, 0);
+        let score = total ? (2 * shared) / total : 0;
+
+        const [shorter, longer] = left.length <= right.length ? [left, right] : [right, left];
+        if (shorter.length >= 4 && longer.includes(shorter)) {
+            score = Math.max(score, 0.75);
+        }
+
+        return score;
+    }
+
+    /**
+     * Nest a flat heading list ({level, text, id, ...}) by level
+     */
+    buildTree(headings) {
+        const root = { heading: null, level: 0, children: [] };
+        const stack = [root];
+
+        headings.forEach(heading => {
+            const node = { heading, level: heading.level, children: [] };
+            while (stack.length > 1 && stack[stack.length - 1].level >= heading.level) stack.pop();
+            stack[stack.length - 1].children.push(node);
+            stack.push(node);
+        });
+
+        return root;
+    }
+
+    /**
+     * Align the headings of two editions
+     * @param {Array} leftHeadings - renderer.headings of the base edition
+     * @param {Array} rightHeadings - renderer.headings of the revised edition
+     * @returns {{rows: Array<{left, right, score, depth}>, matched: number, leftOnly: number, rightOnly: number}}
+     *   rows in reading order; `left` or `right` is null for a section
+     *   found in one edition only
+     */
+    align(leftHeadings, rightHeadings) {
+        const rows = [];
+        this.alignChildren(this.buildTree(leftHeadings).children, this.buildTree(rightHeadings).children, 0, rows);
+
+        return {
+            rows,
+            matched: rows.filter(row => row.left && row.right).length,
+            leftOnly: rows.filter(row => !row.right).length,
+            rightOnly: rows.filter(row => !row.left).length
+        };
+    }
+
+    alignChildren(left, right, depth, rows) {
+        // Weighted longest common subsequence over the two sibling lists
+        const scores = left.map(a => right.map(b => {
+            const score = this.similarity(a.heading.text, b.heading.text);
+            return score >= this.threshold ? score : 0;
+        }));
+        const best = Array.from({ length: left.length + 1 }, () => new Array(right.length + 1).fill(0));
+
+        for (let i = left.length - 1; i >= 0; i--) {
+            for (let j = right.length - 1; j >= 0; j--) {
+                best[i][j] = Math.max(
+                    best[i + 1][j],
+                    best[i][j + 1],
+                    scores[i][j] ? scores[i][j] + best[i + 1][j + 1] : 0
+                );
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < left.length || j < right.length) {
+            if (i < left.length && j < right.length && scores[i][j] &&
+                best[i][j] === scores[i][j] + best[i + 1][j + 1]) {
+                rows.push({ left: left[i].heading, right: right[j].heading, score: scores[i][j], depth });
+                this.alignChildren(left[i].children, right[j].children, depth + 1, rows);
+                i++;
+                j++;
+            } else if (i < left.length && (j >= right.length || best[i][j] === best[i + 1][j])) {
+                this.oneSided(left[i++], 'left', depth, rows);
+            } else {
+                this.oneSided(right[j++], 'right', depth, rows);
+            }
+        }
+    }
+
+    // A section and everything under it exist in one edition only
+    oneSided(node, side, depth, rows) {
+        rows.push({
+            left: side === 'left' ? node.heading : null,
+            right: side === 'right' ? node.heading : null,
+            score: 0,
+            depth
+        });
+        node.children.forEach(child => this.oneSided(child, side, depth + 1, rows));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EditionAligner;
+}
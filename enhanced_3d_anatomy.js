@@ -133,6 +133,10 @@ class EnhancedLipAnatomyModel {
             // Hide loading screen
             await this.hideLoadingScreen();
 
+            // Open the structure a book glossary link points to
+            this.focusFromLocation();
+            window.addEventListener('hashchange', () => this.focusFromLocation());
+
             console.log('Enhanced 3D Anatomy System initialized successfully');
         } catch (error) {
             console.error('Failed to initialize Enhanced 3D Anatomy System:', error);
@@ -1453,6 +1457,32 @@ class EnhancedLipAnatomyModel {
         ].filter(obj => obj !== null);
     }
 
+    /**
+     * Deep links from the book glossary, e.g. #layer=muscle&annotation=4:
+     * show the layer and open the annotation (or the layer's info)
+     */
+    focusFromLocation() {
+        const params = new URLSearchParams(window.location.hash.slice(1));
+        const layerName = params.get('layer');
+        const layer = layerName && this.layers[layerName];
+
+        if (layer) {
+            const checkbox = document.getElementById(`layer-${layerName}`);
+            if (checkbox) checkbox.checked = true;
+            if (!layer.visible) this.toggleLayer(layerName, true);
+        }
+
+        const marker = params.has('annotation') ? this.annotations[Number(params.get('annotation'))] : null;
+        if (marker) {
+            this.updateInfoPanel(marker);
+            this.hotspots.forEach(({ element }, index) => {
+                element.querySelector('.annotation-popup').classList.toggle('visible', index === marker.userData.id);
+            });
+        } else if (layer && layer.mesh) {
+            this.updateInfoPanel(layer.mesh);
+        }
+    }
+
     /**
      * Setup layer visibility and opacity controls
      */
@@ -2915,22 +2945,18 @@ class EnhancedLipAnatomyModel {
                 `;
                 infoContent.innerHTML = userData.description;
             } else if (userData.layer) {
-                const layerNames = {
-                    skin: '皮肤层',
-                    muscle: '肌肉层',
-                    vessel: '血管系统',
-                    nerve: '神经系统',
-                    bone: '骨骼结构'
-                };
+                // Layer names come from glossary.js, loaded by the page
+                const layer = typeof MedicalGlossary !== 'undefined' ? MedicalGlossary.LAYERS[userData.layer] : null;
+                const layerName = layer ? layer.name : userData.layer;
 
                 infoTitle.innerHTML = `
                     <svg width="16" height="16" viewBox="0 0 24 24" fill="none">
                         <path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z" stroke="currentColor" stroke-width="2"/>
                         <circle cx="12" cy="12" r="3" stroke="currentColor" stroke-width="2"/>
                     </svg>
-                    ${layerNames[userData.layer] || userData.layer}
+                    ${layerName}
                 `;
-                infoContent.textContent = `查看${layerNames[userData.layer]}的详细解剖结构和相关医学信息。`;
+                infoContent.textContent = `查看${layerName}的详细解剖结构和相关医学信息。`;
             }
         } else {
             infoTitle.innerHTML = `
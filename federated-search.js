@@ -0,0 +1,771 @@
+/**
+ * Federated Search
+ * One search across the book, the gallery, the 3D anatomy and the tools
+ * 统一检索：书籍章节、案例画廊、3D 解剖结构与可视化工具，按来源分组，Ctrl+K 打开
+ *
+ * Each surface plugs in a provider: { id, label, icon, search(query,
+ * options) } returning results (or a promise of them) with a deep link
+ * that opens the right viewer at the right item. The service asks every
+ * provider at once and reports each source as soon as it answers, so a
+ * slow one (the book's full-text index is built on first use) does not
+ * hold back the others, and one that fails only loses its own group.
+ */
+
+// Results per source in the palette
+const DEFAULT_SOURCE_LIMIT = 5;
+const SNIPPET_LENGTH = 90;
+
+function escapeHTML(text) {
+    return String(text).replace(/[&<>"']/g, char => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    })[char]);
+}
+
+/**
+ * A text matcher shared by the providers that search plain records:
+ * every query word must occur in some field, the best field counts.
+ * With a TextSegmenter, full-width forms are folded and a pinyin word
+ * also matches the lexicon terms it spells ("boniaosuan" → 玻尿酸).
+ */
+class FederatedMatcher {
+    constructor(segmenter) {
+        this.segmenter = segmenter || null;
+    }
+
+    normalize(text) {
+        const value = String(text);
+        return this.segmenter ? this.segmenter.normalize(value) : value.toLowerCase();
+    }
+
+    /**
+     * Query words, each with the alternatives it may match; "quoted text" is one word
+     * @returns {string[][]}
+     */
+    words(query) {
+        const words = [];
+        const pattern = /"([^"]+)"|(\S+)/g;
+        let match;
+
+        while ((match = pattern.exec(this.normalize(query))) !== null) {
+            const word = (match[1] || match[2]).trim();
+            if (!word) continue;
+
+            const alternatives = [word];
+            if (!match[1] && this.segmenter) {
+                this.segmenter.pinyinMatches(word).forEach(term => alternatives.push(this.normalize(term)));
+            }
+            words.push(alternatives);
+        }
+        return words;
+    }
+
+    /**
+     * @param {Array<[string, number]>} fields - [text, weight]
+     * @param {string[][]} words - from words()
+     * @returns {number} 0 when some word is missing
+     */
+    score(fields, words) {
+        if (!words.length) return 0;
+
+        const texts = fields
+            .filter(([text]) => text !== null && text !== undefined && text !== '')
+            .map(([text, weight]) => [this.normalize(text), weight]);
+        let total = 0;
+
+        for (const alternatives of words) {
+            let best = 0;
+            texts.forEach(([text, weight]) => {
+                alternatives.forEach(alternative => {
+                    if (!text.includes(alternative)) return;
+                    // A field that starts with the word (a title, a term) ranks higher
+                    best = Math.max(best, text.startsWith(alternative) ? weight * 1.5 : weight);
+                });
+            });
+            if (!best) return 0;
+            total += best;
+        }
+        return total;
+    }
+
+    /**
+     * Excerpt around the first hit, hits wrapped in <mark>, HTML-escaped
+     */
+    highlight(text, words, length = SNIPPET_LENGTH) {
+        const value = String(text || '');
+        const normalized = this.normalize(value);
+        const ranges = [];
+
+        // Folding keeps one character for one, so positions carry over
+        if (normalized.length === value.length) {
+            words.forEach(alternatives => alternatives.forEach(term => {
+                for (let at = normalized.indexOf(term); at !== -1; at = normalized.indexOf(term, at + term.length)) {
+                    ranges.push([at, at + term.length]);
+                }
+            }));
+            ranges.sort((a, b) => a[0] - b[0]);
+        }
+
+        const first = ranges.length ? ranges[0][0] : 0;
+        const start = Math.max(0, Math.min(first - Math.floor(length / 3), value.length - length));
+        const end = Math.min(value.length, start + length);
+
+        let html = start > 0 ? '…' : '';
+        let position = start;
+        ranges.forEach(([from, to]) => {
+            if (from < position || from >= end) return;
+            html += escapeHTML(value.slice(position, from)) + `<mark>${escapeHTML(value.slice(from, Math.min(to, end)))}</mark>`;
+            position = Math.min(to, end);
+        });
+        return html + escapeHTML(value.slice(position, end)) + (end < value.length ? '…' : '');
+    }
+}
+
+class FederatedSearch {
+    /**
+     * @param {Object} [options]
+     * @param {Array<Object>} [options.providers]
+     * @param {number} [options.limit] - results per source
+     */
+    constructor(options = {}) {
+        this.providers = new Map();
+        this.limit = options.limit || DEFAULT_SOURCE_LIMIT;
+        (options.providers || []).forEach(provider => this.register(provider));
+    }
+
+    /**
+     * Add a source, or replace the one with the same id. Sources are
+     * grouped in the order they were first registered.
+     * @param {Object} provider
+     * @param {string} provider.id
+     * @param {string} provider.label - group heading
+     * @param {string} [provider.icon]
+     * @param {Function} provider.search - (query, { limit }) → results or a
+     *   promise of them: { id, title, subtitle?, snippet? (escaped HTML), url, data? }
+     */
+    register(provider) {
+        if (!provider || !provider.id || typeof provider.search !== 'function') {
+            throw new Error('A search provider needs an id and a search() function');
+        }
+        this.providers.set(provider.id, provider);
+        return this;
+    }
+
+    unregister(id) {
+        return this.providers.delete(id);
+    }
+
+    /**
+     * Ask every source. Groups come back in provider order; sources without
+     * results are left out, sources that failed carry the error.
+     * @param {string} query
+     * @param {Object} [options]
+     * @param {number} [options.limit] - results per source
+     * @param {string[]} [options.sources] - provider ids to ask
+     * @param {Function} [options.onGroup] - (groups so far) as each source answers
+     * @returns {Promise<Array<{id, label, icon, results, error}>>}
+     */
+    async search(query, options = {}) {
+        const text = String(query || '').trim();
+        if (!text) return [];
+
+        const limit = options.limit || this.limit;
+        const providers = Array.from(this.providers.values())
+            .filter(provider => !options.sources || options.sources.includes(provider.id));
+        const groups = new Array(providers.length).fill(null);
+        const answered = () => groups.filter(group => group && (group.results.length || group.error));
+
+        await Promise.all(providers.map((provider, i) => Promise.resolve()
+            .then(() => provider.search(text, { limit }))
+            .then(results => ({ results: (results || []).slice(0, limit), error: null }))
+            .catch(error => {
+                console.warn(`Search source "${provider.id}" failed:`, error);
+                return { results: [], error: error.message || String(error) };
+            })
+            .then(({ results, error }) => {
+                groups[i] = {
+                    id: provider.id,
+                    label: provider.label || provider.id,
+                    icon: provider.icon || '',
+                    results: results.map(result => Object.assign({ source: provider.id }, result)),
+                    error
+                };
+                if (options.onGroup) options.onGroup(answered());
+            })));
+
+        return answered();
+    }
+
+    /**
+     * Book chapters. With getIndex (a BookSearchIndex, e.g. the document
+     * viewer's), paragraphs are searched full-text; otherwise chapter and
+     * section headings from book-index.json.
+     * @param {Object} [options]
+     * @param {Function} [options.getIndex] - () → BookSearchIndex or a promise of one
+     * @param {Function} [options.loadBookIndex] - () → promise of book-index.json
+     * @param {string} [options.viewer] - document viewer page
+     */
+    static chapters(options = {}) {
+        const viewer = options.viewer || 'document-viewer.html';
+        const matcher = new FederatedMatcher(options.segmenter);
+        const loadBookIndex = options.loadBookIndex || (() => fetch(options.bookIndexUrl || 'book-index.json')
+            .then(response => {
+                if (!response.ok) throw new Error(`book-index.json: HTTP ${response.status}`);
+                return response.json();
+            }));
+        let headings = null;
+
+        // The viewer opens "/file.md#anchor" from its hash
+        const link = (file, anchor) => {
+            const target = `${file.startsWith('/') ? file : `/${file}`}${anchor ? `#${anchor}` : ''}`;
+            return `${viewer}#${encodeURIComponent(target)}`;
+        };
+
+        const searchHeadings = async (query, limit) => {
+            if (!headings) {
+                headings = loadBookIndex().then(bookIndex => bookIndex.chapters.flatMap(chapter =>
+                    chapter.headings.map(heading => ({ chapter, heading }))));
+                headings.catch(() => { headings = null; });
+            }
+            const words = matcher.words(query);
+
+            return (await headings)
+                .map(({ chapter, heading }) => ({
+                    chapter,
+                    heading,
+                    score: matcher.score([[heading.text, 3], [chapter.title, 1]], words) / heading.level
+                }))
+                .filter(entry => entry.score > 0)
+                .sort((a, b) => b.score - a.score)
+                .slice(0, limit)
+                .map(({ chapter, heading, score }) => ({
+                    id: `${chapter.file}#${heading.anchor}`,
+                    title: heading.text,
+                    subtitle: heading.level === 1 ? '章节' : chapter.title,
+                    snippet: '',
+                    url: link(chapter.file, heading.level === 1 ? '' : heading.anchor),
+                    score,
+                    data: { file: chapter.file, anchor: heading.anchor, kind: 'heading' }
+                }));
+        };
+
+        return {
+            id: 'chapters',
+            label: '书籍章节',
+            icon: '📖',
+            search: async (query, { limit }) => {
+                if (!options.getIndex) return searchHeadings(query, limit);
+
+                const index = await options.getIndex();
+                return index.search(query, { limit }).map(result => ({
+                    id: `${result.file}:${result.line}`,
+                    title: result.section || result.chapter,
+                    subtitle: result.chapter,
+                    snippet: result.kind === 'heading' ? '' : result.snippet,
+                    url: link(result.file, result.anchor),
+                    score: result.score,
+                    data: result
+                }));
+            }
+        };
+    }
+
+    /**
+     * Gallery cases, read from the gallery's data source and opened in its
+     * lightbox (gallery.html?case=id). The cases are read once per page,
+     * on the first search.
+     * @param {Object} [options]
+     * @param {Object|null} [options.source] - anything with load({ cursor, limit });
+     *   defaults to the source configured in gallery-config.js. Without one
+     *   (the demo cases exist only in gallery.html) nothing is found.
+     * @param {boolean} [options.validate] - false for a source whose cases need no check
+     * @param {Object} [options.enums] - allowed values (see GalleryDataSources.validateItem)
+     * @param {string} [options.page]
+     */
+    static gallery(options = {}) {
+        const page = options.page || 'gallery.html';
+        const matcher = new FederatedMatcher(options.segmenter);
+        const source = options.source !== undefined ? options.source : FederatedSearch.configuredGallerySource();
+        let cases = null;
+
+        const score = (item, words) => matcher.score([
+            [item.title, 3],
+            [(item.tags || []).join(' '), 2],
+            [item.description, 1],
+            [item.doctorName, 1]
+        ], words);
+
+        const loadCases = () => {
+            if (!source) return Promise.resolve([]);
+            if (!cases) {
+                cases = GalleryDataSources.find(source, undefined, { validate: options.validate, enums: options.enums });
+                cases.catch(() => { cases = null; });
+            }
+            return cases;
+        };
+
+        return {
+            id: 'gallery',
+            label: '案例画廊',
+            icon: '🖼️',
+            /**
+             * The test the gallery filters its own grid with, so the page and
+             * the palette match a query the same way
+             * @returns {Function} (item) → boolean; every case for an empty query
+             */
+            filter: (query) => {
+                const words = matcher.words(query || '');
+                return words.length ? item => score(item, words) > 0 : () => true;
+            },
+            search: async (query, { limit }) => {
+                const words = matcher.words(query);
+
+                return (await loadCases())
+                    .map(item => ({ item, score: score(item, words) }))
+                    .filter(entry => entry.score > 0)
+                    .sort((a, b) => b.score - a.score)
+                    .slice(0, limit)
+                    .map(({ item, score }) => ({
+                        id: String(item.id),
+                        title: item.title,
+                        subtitle: [item.doctorName, item.date].filter(Boolean).join(' · '),
+                        snippet: matcher.highlight(item.description, words),
+                        url: `${page}?case=${encodeURIComponent(item.id)}`,
+                        score,
+                        data: item
+                    }));
+            }
+        };
+    }
+
+    /**
+     * The gallery's data source as gallery-config.js sets it
+     * (window.galleryDataSource); null when none is set or
+     * gallery-data-sources.js is not loaded
+     */
+    static configuredGallerySource() {
+        if (typeof GalleryDataSources === 'undefined' || typeof window === 'undefined') return null;
+        try {
+            return GalleryDataSources.create(window.galleryDataSource || null);
+        } catch (error) {
+            console.warn('Gallery data source not usable for search:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Structures of the 3D anatomy viewer: its layers and the glossary
+     * terms placed on them, linked the way the book's glossary popovers
+     * link (#layer=muscle&term=orbicularis-oris&annotation=4)
+     * @param {Object} [options]
+     * @param {Array} [options.glossary] - MedicalGlossary (glossary.js), with
+     *   the viewer's layers as glossary.LAYERS
+     * @param {string} [options.viewer]
+     */
+    static anatomy(options = {}) {
+        const viewer = options.viewer || 'enhanced_3d_anatomy.html';
+        const matcher = new FederatedMatcher(options.segmenter);
+        const glossary = options.glossary || (typeof MedicalGlossary !== 'undefined' ? MedicalGlossary : []);
+        const layers = glossary.LAYERS || {};
+
+        const structures = Object.keys(layers).map(layer => ({
+            id: `layer:${layer}`,
+            title: layers[layer].name,
+            subtitle: `${layers[layer].english} · 解剖层`,
+            text: '',
+            names: [layers[layer].english],
+            url: `${viewer}#layer=${layer}`
+        })).concat(glossary.filter(entry => entry.anatomy).map(entry => {
+            const params = [`layer=${encodeURIComponent(entry.anatomy.layer)}`, `term=${encodeURIComponent(entry.id)}`];
+            if (entry.anatomy.annotation !== undefined) params.push(`annotation=${entry.anatomy.annotation}`);
+            const layer = layers[entry.anatomy.layer];
+
+            return {
+                id: entry.id,
+                title: entry.term,
+                subtitle: [entry.english, layer ? layer.name : entry.anatomy.layer].filter(Boolean).join(' · '),
+                text: entry.definition,
+                names: (entry.aliases || []).concat([entry.english, entry.latin]),
+                url: `${viewer}#${params.join('&')}`,
+                entry
+            };
+        }));
+
+        return {
+            id: 'anatomy',
+            label: '3D 解剖结构',
+            icon: '🧬',
+            search: (query, { limit }) => {
+                const words = matcher.words(query);
+
+                return structures
+                    .map(structure => ({
+                        structure,
+                        score: matcher.score([
+                            [structure.title, 3],
+                            [structure.names.filter(Boolean).join(' '), 2],
+                            [structure.text, 1]
+                        ], words)
+                    }))
+                    .filter(entry => entry.score > 0)
+                    .sort((a, b) => b.score - a.score)
+                    .slice(0, limit)
+                    .map(({ structure, score }) => ({
+                        id: structure.id,
+                        title: structure.title,
+                        subtitle: structure.subtitle,
+                        snippet: structure.text ? matcher.highlight(structure.text, words) : '',
+                        url: structure.url,
+                        score,
+                        data: structure.entry || null
+                    }));
+            }
+        };
+    }
+
+    /**
+     * Visualization tools
+     * @param {Object} [options]
+     * @param {Array<{id, name, url, description, tags}>} [options.tools] -
+     *   defaults to the hub's list (visualization-tools.js)
+     */
+    static tools(options = {}) {
+        const matcher = new FederatedMatcher(options.segmenter);
+        const tools = options.tools || (typeof VisualizationTools !== 'undefined' ? VisualizationTools : []);
+
+        return {
+            id: 'tools',
+            label: '可视化工具',
+            icon: '🧰',
+            search: (query, { limit }) => {
+                const words = matcher.words(query);
+
+                return tools
+                    .map(tool => ({
+                        tool,
+                        score: matcher.score([[tool.name, 3], [(tool.tags || []).join(' '), 2], [tool.description, 1]], words)
+                    }))
+                    .filter(entry => entry.score > 0)
+                    .sort((a, b) => b.score - a.score)
+                    .slice(0, limit)
+                    .map(({ tool, score }) => ({
+                        id: tool.id,
+                        title: tool.name,
+                        subtitle: (tool.tags || []).join(' · '),
+                        snippet: matcher.highlight(tool.description || '', words),
+                        url: tool.url,
+                        score,
+                        data: tool
+                    }));
+            }
+        };
+    }
+
+    /**
+     * The four sources; each option object goes to its provider factory
+     * @param {Object} [options]
+     * @param {Object} [options.chapters]
+     * @param {Object} [options.gallery]
+     * @param {Object} [options.anatomy]
+     * @param {Object} [options.tools]
+     */
+    static createDefault(options = {}) {
+        const segmenter = options.segmenter ||
+            (typeof TextSegmenter !== 'undefined' ? new TextSegmenter() : null);
+        const withSegmenter = settings => Object.assign({ segmenter }, settings);
+
+        return new FederatedSearch({ limit: options.limit })
+            .register(FederatedSearch.chapters(withSegmenter(options.chapters)))
+            .register(FederatedSearch.gallery(withSegmenter(options.gallery)))
+            .register(FederatedSearch.anatomy(withSegmenter(options.anatomy)))
+            .register(FederatedSearch.tools(withSegmenter(options.tools)));
+    }
+}
+
+/**
+ * Command palette over a FederatedSearch: a modal search box with the
+ * results grouped by source, arrow keys to move, Enter to open
+ */
+class CommandPalette {
+    /**
+     * @param {FederatedSearch} search
+     * @param {Object} [options]
+     * @param {string} [options.placeholder]
+     * @param {Function} [options.onNavigate] - (result) → true when the page
+     *   opened the result itself; otherwise the browser follows result.url
+     * @param {number} [options.delay] - debounce in ms
+     * @param {SearchAnalytics|null} [options.analytics] - where queries, opened
+     *   results and dwell times are recorded; the page's store when
+     *   search-analytics.js is loaded
+     */
+    constructor(search, options = {}) {
+        this.search = search;
+        this.placeholder = options.placeholder || '搜索章节、案例、解剖结构和工具…';
+        this.onNavigate = options.onNavigate || null;
+        this.delay = options.delay === undefined ? 120 : options.delay;
+        this.analytics = options.analytics !== undefined
+            ? options.analytics
+            : (typeof SearchAnalytics !== 'undefined' ? SearchAnalytics.shared() : null);
+        this.searchId = null;
+
+        this.element = null;
+        this.results = [];
+        this.selected = -1;
+        this.sequence = 0;
+        this.timer = null;
+        this.returnFocus = null;
+    }
+
+    get isOpen() {
+        return Boolean(this.element) && !this.element.hidden;
+    }
+
+    open(query = '') {
+        if (!this.element) this.build();
+        if (this.analytics) this.analytics.endDwell();
+
+        if (!this.isOpen) this.returnFocus = document.activeElement;
+        this.element.hidden = false;
+        this.input.value = query;
+        this.input.focus();
+        this.input.select();
+        this.update();
+    }
+
+    close() {
+        if (!this.isOpen) return;
+
+        clearTimeout(this.timer);
+        this.sequence++;
+        this.element.hidden = true;
+        this.input.setAttribute('aria-expanded', 'false');
+        if (this.returnFocus && typeof this.returnFocus.focus === 'function') this.returnFocus.focus();
+        this.returnFocus = null;
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * Ctrl+K (⌘K on macOS) opens and closes the palette
+     */
+    bindShortcut(target = document) {
+        target.addEventListener('keydown', (e) => {
+            if ((e.ctrlKey || e.metaKey) && !e.altKey && !e.shiftKey && e.key.toLowerCase() === 'k') {
+                e.preventDefault();
+                this.toggle();
+            }
+        });
+        return this;
+    }
+
+    build() {
+        CommandPalette.injectStyles();
+
+        this.element = document.createElement('div');
+        this.element.className = 'command-palette';
+        this.element.hidden = true;
+        this.element.innerHTML = `
+            <div class="command-palette-backdrop"></div>
+            <div class="command-palette-dialog" role="dialog" aria-modal="true" aria-label="统一搜索">
+                <input type="search" class="command-palette-input" role="combobox" autocomplete="off"
+                       aria-autocomplete="list" aria-expanded="false" aria-controls="command-palette-list"
+                       placeholder="${escapeHTML(this.placeholder)}">
+                <div class="command-palette-list" id="command-palette-list" role="listbox" aria-label="搜索结果"></div>
+                <div class="command-palette-footer">
+                    <span><kbd>↑</kbd><kbd>↓</kbd> 选择</span>
+                    <span><kbd>Enter</kbd> 打开</span>
+                    <span><kbd>Esc</kbd> 关闭</span>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(this.element);
+
+        this.input = this.element.querySelector('.command-palette-input');
+        this.list = this.element.querySelector('.command-palette-list');
+
+        this.input.addEventListener('input', () => {
+            clearTimeout(this.timer);
+            this.timer = setTimeout(() => this.update(), this.delay);
+        });
+        this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+        this.element.querySelector('.command-palette-backdrop').addEventListener('click', () => this.close());
+
+        this.list.addEventListener('mousedown', (e) => e.preventDefault()); // keep focus in the input
+        this.list.addEventListener('click', (e) => {
+            const option = e.target.closest('.command-palette-result');
+            // Modified clicks open the link in a new tab as usual
+            if (!option || e.ctrlKey || e.metaKey || e.shiftKey || e.button !== 0) return;
+            e.preventDefault();
+            this.choose(Number(option.dataset.index));
+        });
+    }
+
+    handleKeydown(e) {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            this.select(this.selected + (e.key === 'ArrowDown' ? 1 : -1));
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            this.choose(Math.max(0, this.selected));
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+        }
+    }
+
+    async update() {
+        const query = this.input.value.trim();
+        const sequence = ++this.sequence;
+        this.searchId = null;
+
+        if (!query) {
+            this.render([], '');
+            return;
+        }
+
+        this.list.innerHTML = '<div class="command-palette-status">搜索中…</div>';
+        const groups = await this.search.search(query, {
+            onGroup: (partial) => {
+                if (sequence === this.sequence && partial.length) this.render(partial, query);
+            }
+        });
+        if (sequence !== this.sequence) return;
+
+        this.render(groups, query);
+        // Ranks run through the groups in the order they are listed
+        if (this.analytics) this.searchId = this.analytics.recordSearch(query, this.results.length, { mode: 'palette' });
+    }
+
+    render(groups, query) {
+        this.results = [];
+        this.selected = -1;
+
+        if (!query) {
+            const sources = Array.from(this.search.providers.values(), provider => `${provider.icon} ${provider.label}`);
+            this.list.innerHTML = `<div class="command-palette-status">${escapeHTML(sources.join('　'))}</div>`;
+            this.input.setAttribute('aria-expanded', 'false');
+            return;
+        }
+
+        if (!groups.length) {
+            this.list.innerHTML = `<div class="command-palette-status">未找到与“${escapeHTML(query)}”相关的内容</div>`;
+            this.input.setAttribute('aria-expanded', 'false');
+            return;
+        }
+
+        this.list.innerHTML = groups.map(group => {
+            const options = group.results.map(result => {
+                const index = this.results.push(result) - 1;
+                return `
+                    <a href="${escapeHTML(result.url)}" class="command-palette-result" role="option"
+                       id="command-palette-option-${index}" data-index="${index}" aria-selected="false">
+                        <span class="command-palette-title">${escapeHTML(result.title)}</span>
+                        ${result.subtitle ? `<span class="command-palette-subtitle">${escapeHTML(result.subtitle)}</span>` : ''}
+                        ${result.snippet ? `<span class="command-palette-snippet">${result.snippet}</span>` : ''}
+                    </a>
+                `;
+            }).join('');
+
+            return `
+                <div class="command-palette-group" role="group" aria-label="${escapeHTML(group.label)}">
+                    <div class="command-palette-group-title">
+                        <span aria-hidden="true">${group.icon}</span> ${escapeHTML(group.label)}
+                        ${group.error ? '' : `<span class="command-palette-count">${group.results.length}</span>`}
+                    </div>
+                    ${group.error ? `<div class="command-palette-error">暂时无法搜索：${escapeHTML(group.error)}</div>` : options}
+                </div>
+            `;
+        }).join('');
+
+        this.input.setAttribute('aria-expanded', String(this.results.length > 0));
+        if (this.results.length) this.select(0);
+    }
+
+    select(index) {
+        const options = this.list.querySelectorAll('.command-palette-result');
+        if (!options.length) return;
+
+        this.selected = (index + options.length) % options.length;
+        options.forEach((option, i) => {
+            option.classList.toggle('selected', i === this.selected);
+            option.setAttribute('aria-selected', String(i === this.selected));
+        });
+        this.input.setAttribute('aria-activedescendant', options[this.selected].id);
+        options[this.selected].scrollIntoView({ block: 'nearest' });
+    }
+
+    choose(index) {
+        const result = this.results[index];
+        if (!result) return;
+
+        if (this.analytics && this.searchId) this.analytics.recordClick(this.searchId, index + 1);
+        this.close();
+        if (this.onNavigate && this.onNavigate(result) === true) return;
+        window.location.assign(result.url);
+    }
+
+    static injectStyles() {
+        if (document.getElementById('command-palette-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'command-palette-styles';
+        style.textContent = `
+            .command-palette { position: fixed; inset: 0; z-index: 10000; }
+            .command-palette[hidden] { display: none; }
+            .command-palette-backdrop { position: absolute; inset: 0; background: rgba(0, 0, 0, 0.45); }
+            .command-palette-dialog {
+                position: relative; max-width: 640px; margin: 10vh auto 0;
+                background: var(--surface, #fff); color: var(--text-primary, #222);
+                border-radius: 12px; box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3); overflow: hidden;
+            }
+            .command-palette-input {
+                width: 100%; box-sizing: border-box; padding: 16px 20px; font-size: 1.1rem;
+                border: none; border-bottom: 1px solid var(--divider, #eee);
+                background: transparent; color: inherit; outline: none;
+            }
+            .command-palette-list { max-height: 60vh; overflow-y: auto; padding: 8px 0; }
+            .command-palette-status, .command-palette-error { padding: 12px 20px; color: var(--text-secondary, #777); }
+            .command-palette-group-title {
+                padding: 8px 20px 4px; font-size: 0.8rem; font-weight: 600;
+                color: var(--text-secondary, #777);
+            }
+            .command-palette-count { float: right; font-weight: normal; }
+            .command-palette-result {
+                display: block; padding: 8px 20px; color: inherit; text-decoration: none;
+                border-left: 3px solid transparent;
+            }
+            .command-palette-result.selected { background: rgba(233, 30, 99, 0.08); border-left-color: #E91E63; }
+            .command-palette-title { display: block; font-weight: 600; }
+            .command-palette-subtitle, .command-palette-snippet {
+                display: block; font-size: 0.85rem; color: var(--text-secondary, #777);
+            }
+            .command-palette-snippet mark { background: rgba(233, 30, 99, 0.2); color: inherit; }
+            .command-palette-footer {
+                display: flex; gap: 16px; padding: 8px 20px; font-size: 0.8rem;
+                color: var(--text-secondary, #777); border-top: 1px solid var(--divider, #eee);
+            }
+            .command-palette-footer kbd {
+                padding: 0 4px; margin-right: 2px; border: 1px solid var(--divider, #ddd);
+                border-radius: 3px; font-family: inherit;
+            }
+        `;
+        document.head.appendChild(style);
+    }
+}
+
+FederatedSearch.Matcher = FederatedMatcher;
+FederatedSearch.Palette = CommandPalette;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FederatedSearch;
+}
@@ -0,0 +1,225 @@
+/**
+ * Gallery Archive
+ * Selected gallery cases as one ZIP: images plus a metadata manifest
+ * 画廊批量下载：所选案例的图片与 manifest.json / manifest.csv 打包为一个 ZIP
+ *
+ * Browsers throttle or block a burst of separate downloads, so a batch
+ * leaves as a single archive. A few images are fetched ahead while the
+ * previous one is streamed into the archive; JPEG, PNG, WebP, GIF and
+ * AVIF are stored as they are, since deflating them again only costs
+ * time. The manifest lists every case, including one whose image could
+ * not be fetched, so a partial archive says what is missing.
+ */
+
+const ArchiveZipStream = typeof ZipStream !== 'undefined'
+    ? ZipStream
+    : require('./zip-stream.js');
+
+// Images fetched ahead of the one being written
+const ARCHIVE_PREFETCH = 3;
+
+// Already compressed: stored, not deflated
+const ARCHIVE_STORED_TYPES = /^image\/(jpeg|png|webp|gif|avif)$/;
+
+const ARCHIVE_EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/gif': 'gif',
+    'image/avif': 'avif',
+    'image/svg+xml': 'svg'
+};
+
+// manifest.csv columns, in order
+const ARCHIVE_CSV_COLUMNS = [
+    'id', 'title', 'treatmentType', 'treatmentName', 'category', 'ageRange',
+    'doctor', 'doctorName', 'date', 'rating', 'views', 'tags', 'afterFile', 'beforeFile'
+];
+
+// Characters Windows and macOS refuse in file names
+function safeFileName(text, fallback) {
+    const name = String(text || '')
+        .replace(/[\\/:*?"<>|\u0000-\u001f\u007f]/g, '_')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(/^\.+/, '')
+        .slice(0, 60);
+    return name || fallback;
+}
+
+function imageExtension(type, url) {
+    if (ARCHIVE_EXTENSIONS[type]) return ARCHIVE_EXTENSIONS[type];
+    const match = /^data:image\/(svg\+xml|[a-z]+)/i.exec(url) || /\.([a-z0-9]{2,5})(?:[?#]|$)/i.exec(url);
+    if (!match) return 'jpg';
+    const extension = match[1].toLowerCase();
+    return extension === 'svg+xml' ? 'svg' : extension === 'jpeg' ? 'jpg' : extension;
+}
+
+// RFC 4180 quoting; a leading = + - @ would run as a spreadsheet formula
+function csvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One manifest row per case
+ * @param {Object} item - a gallery case
+ * @param {Object} files - { after, before } archive paths, null when missing
+ * @param {Function} [describe] - extra fields for the case, e.g. { treatmentName }
+ */
+function manifestEntry(item, files, describe) {
+    return Object.assign({
+        id: item.id,
+        title: item.title,
+        treatmentType: item.treatmentType,
+        treatmentName: item.treatmentType,
+        category: item.category || '',
+        ageRange: item.ageRange || '',
+        doctor: item.doctor,
+        doctorName: item.doctorName || item.doctor,
+        date: item.date || '',
+        rating: typeof item.rating === 'number' ? item.rating : null,
+        views: typeof item.views === 'number' ? item.views : null,
+        tags: Array.isArray(item.tags) ? item.tags.slice() : [],
+        description: item.description || ''
+    }, describe ? describe(item) : {}, {
+        files: { after: files.after || null, before: files.before || null }
+    });
+}
+
+/**
+ * manifest.csv text, with a byte order mark so Excel reads the Chinese
+ */
+function manifestCSV(entries) {
+    const rows = entries.map(entry => ARCHIVE_CSV_COLUMNS.map(column => {
+        switch (column) {
+            case 'tags':
+                return csvCell(entry.tags.join('; '));
+            case 'afterFile':
+                return csvCell(entry.files.after);
+            case 'beforeFile':
+                return csvCell(entry.files.before);
+            default:
+                return csvCell(entry[column]);
+        }
+    }).join(','));
+    return '\uFEFF' + [ARCHIVE_CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+// The images to fetch, each case's after image first; a before identical to the after is skipped
+function archiveImages(items) {
+    const images = [];
+    items.forEach((item, index) => {
+        const base = `${String(index + 1).padStart(3, '0')}-${safeFileName(item.id, 'case')}-${safeFileName(item.title, 'case')}`;
+        images.push({ item, role: 'after', url: item.afterImage, base });
+        if (item.beforeImage && item.beforeImage !== item.afterImage) {
+            images.push({ item, role: 'before', url: item.beforeImage, base });
+        }
+    });
+    return images.filter(image => image.url);
+}
+
+async function fetchImage(image, fetchImpl, signal) {
+    const response = await fetchImpl(image.url, { signal });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const blob = await response.blob();
+    const type = (blob.type || response.headers.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+    return { blob, type };
+}
+
+/**
+ * Build the archive for the given cases
+ * @param {Array} items - gallery cases, in archive order
+ * @param {Object} [options]
+ * @param {Function} [options.write] - chunk sink; without one the result carries a Blob
+ * @param {AbortSignal} [options.signal] - cancels fetching and writing
+ * @param {Function} [options.onProgress] - ({ done, total, item, role })
+ * @param {Function} [options.describe] - extra manifest fields per case
+ * @param {Function} [options.fetch]
+ * @param {Date} [options.date] - manifest time stamp
+ * @returns {Promise<{blob, size, files, failed}>} failed: [{ id, role, url, error }]
+ */
+async function buildGalleryArchive(items, options = {}) {
+    const fetchImpl = options.fetch || fetch.bind(typeof window !== 'undefined' ? window : globalThis);
+    const signal = options.signal;
+    const date = options.date || new Date();
+    const chunks = [];
+    const zip = new ArchiveZipStream({
+        write: options.write || (chunk => { chunks.push(chunk); }),
+        signal,
+        date
+    });
+
+    const images = archiveImages(items);
+    const files = new Map(items.map(item => [item, {}]));
+    const failed = [];
+    const pending = [];
+    let next = 0;
+
+    // Fetch ahead; failures are kept as results so none goes unhandled
+    const fetchNext = () => {
+        if (next >= images.length) return;
+        const image = images[next++];
+        pending.push(fetchImage(image, fetchImpl, signal).then(
+            result => Object.assign({ image }, result),
+            error => ({ image, error })
+        ));
+    };
+    for (let i = 0; i < ARCHIVE_PREFETCH; i++) fetchNext();
+
+    for (let done = 0; done < images.length; done++) {
+        const result = await pending.shift();
+        fetchNext();
+        const { image } = result;
+
+        zip.throwIfAborted();
+
+        if (result.error) {
+            failed.push({ id: image.item.id, role: image.role, url: image.url, error: result.error.message });
+        } else {
+            const name = `images/${image.base}-${image.role}.${imageExtension(result.type, image.url)}`;
+            const caseDate = image.item.date ? new Date(`${image.item.date}T12:00:00`) : null;
+            await zip.add(name, result.blob, {
+                compress: !ARCHIVE_STORED_TYPES.test(result.type),
+                date: caseDate && !isNaN(caseDate) ? caseDate : undefined
+            });
+            files.get(image.item)[image.role] = name;
+        }
+
+        if (options.onProgress) {
+            options.onProgress({ done: done + 1, total: images.length, item: image.item, role: image.role });
+        }
+    }
+
+    const entries = items.map(item => manifestEntry(item, files.get(item), options.describe));
+    const manifest = {
+        generatedAt: date.toISOString(),
+        count: entries.length,
+        cases: entries,
+        failed
+    };
+    await zip.add('manifest.json', JSON.stringify(manifest, null, 2));
+    await zip.add('manifest.csv', manifestCSV(entries));
+    const size = await zip.close();
+
+    return {
+        blob: options.write ? null : new Blob(chunks, { type: 'application/zip' }),
+        size,
+        files: zip.entries.map(entry => entry.path),
+        failed
+    };
+}
+
+const GalleryArchive = {
+    build: buildGalleryArchive,
+    manifestEntry,
+    manifestCSV,
+    safeFileName,
+    CSV_COLUMNS: ARCHIVE_CSV_COLUMNS
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GalleryArchive;
+}
@@ -0,0 +1,13 @@
+/**
+ * Gallery Config
+ * Where the gallery's cases come from, for gallery.html and for the pages
+ * that search them (the Ctrl+K palette, federated-search.js)
+ * 画廊案例的数据源配置：画廊页面与其他页面的统一检索共用
+ *
+ * 未设置时画廊使用内置演示案例（只在 gallery.html 中生成，其他页面的检索不含案例），例如：
+ */
+
+// window.galleryDataSource = { type: 'manifest', url: 'data/gallery-cases.json' };
+// window.galleryDataSource = { type: 'rest', url: '/api/cases', pageSize: 20 };
+//   （页面由 npm run serve:admin 提供时，/api/cases 即管理后台已发布的案例）
+// window.galleryDataSource = { type: 'indexeddb', dbName: 'LipGalleryLibrary' };
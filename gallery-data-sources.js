@@ -0,0 +1,478 @@
+/**
+ * Gallery Data Sources
+ * Where LipAestheticsGallery gets its cases
+ * 画廊数据源：静态 JSON 清单、分页 REST 接口或 IndexedDB 本地案例库
+ *
+ * Every source answers load({ cursor, limit }) with { items, nextCursor,
+ * total }. The gallery starts with a null cursor and passes back the
+ * nextCursor it was given until that is null; what a cursor means is up
+ * to the source. Items are checked against GALLERY_ITEM_SCHEMA before the
+ * gallery sees them, so a case library with a typo loses that case, not
+ * the page.
+ */
+
+const DEFAULT_PAGE_SIZE = 20;
+
+// A case as the gallery renders and filters it. enum names a list of
+// allowed values the gallery passes in (its filter panel's options).
+const GALLERY_ITEM_SCHEMA = {
+    id: { type: ['string', 'number'], required: true },
+    title: { type: 'string', required: true },
+    afterImage: { type: 'string', required: true, image: true },
+    beforeImage: { type: 'string', image: true },
+    thumbnailAfter: { type: 'string', image: true },
+    thumbnailBefore: { type: 'string', image: true },
+    description: { type: 'string', default: '' },
+    treatmentType: { type: 'string', required: true, enum: 'treatmentTypes' },
+    category: { type: 'string', enum: 'medicalCategories' },
+    ageRange: { type: 'string', required: true, enum: 'ageRanges' },
+    doctor: { type: 'string', required: true, pattern: /^dr-[a-z0-9-]+$/ },
+    doctorName: { type: 'string', default: '' },
+    date: { type: 'string', required: true, pattern: /^\d{4}-\d{2}-\d{2}$/ },
+    rating: { type: 'number', min: 0, max: 5, default: 0 },
+    views: { type: 'number', min: 0, default: 0 },
+    surgeryDuration: { type: 'string', default: '' },
+    recoveryTime: { type: 'string', default: '' },
+    tags: { type: 'array', items: 'string', default: [] },
+    imageWidth: { type: 'number', min: 1 },
+    imageHeight: { type: 'number', min: 1 },
+    // Photos of one patient's treatment journey share a journeyId (see case-journeys.js)
+    journeyId: { type: ['string', 'number'] },
+    journeyTitle: { type: 'string' },
+    phase: { type: 'string', enum: 'journeyPhases' }
+};
+
+// Image URLs: http(s), relative paths and inline images (an SVG shown
+// through <img> runs no script); any other scheme (javascript:, file:, …)
+// is refused
+const URL_SCHEME = /^[a-z][a-z0-9+.-]*:/i;
+const SAFE_IMAGE_SCHEME = /^(https?:\/\/|data:image\/(png|jpe?g|gif|webp|avif|svg\+xml)[;,])/i;
+
+function isSafeImageURL(value) {
+    if (/["'<>\s\\]/.test(value.slice(0, 2048))) return false;
+    return URL_SCHEME.test(value) ? SAFE_IMAGE_SCHEME.test(value) : true;
+}
+
+/**
+ * A source that could not be read: network or HTTP failure, or a
+ * response that is not a page of cases
+ */
+class GalleryDataSourceError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'GalleryDataSourceError';
+        this.status = status === undefined ? null : status;
+    }
+}
+
+/**
+ * Check one incoming case
+ * @param {Object} raw
+ * @param {Object} [enums] - allowed values by enum name, e.g. { treatmentTypes: [...] }
+ * @returns {{item: Object|null, errors: string[]}} item with defaults filled in
+ *   and missingBeforeImage set, or null
+ */
+function validateGalleryItem(raw, enums = {}) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { item: null, errors: ['not an object'] };
+    }
+
+    const item = Object.assign({}, raw);
+    const errors = [];
+
+    Object.entries(GALLERY_ITEM_SCHEMA).forEach(([field, rule]) => {
+        let value = item[field];
+
+        if (value === undefined || value === null || value === '') {
+            if (rule.required) {
+                errors.push(`${field} is required`);
+            } else if (rule.default !== undefined) {
+                item[field] = Array.isArray(rule.default) ? rule.default.slice() : rule.default;
+            }
+            return;
+        }
+
+        const types = [].concat(rule.type);
+        const type = Array.isArray(value) ? 'array' : typeof value;
+        if (!types.includes(type) || (type === 'number' && !Number.isFinite(value))) {
+            errors.push(`${field} must be ${types.join(' or ')}`);
+            return;
+        }
+
+        if (rule.items && value.some(entry => typeof entry !== rule.items)) {
+            errors.push(`${field} must only hold ${rule.items}s`);
+        } else if (rule.min !== undefined && value < rule.min) {
+            errors.push(`${field} must be at least ${rule.min}`);
+        } else if (rule.max !== undefined && value > rule.max) {
+            errors.push(`${field} must be at most ${rule.max}`);
+        } else if (rule.pattern && !rule.pattern.test(value)) {
+            errors.push(`${field} "${value}" is malformed`);
+        } else if (rule.image && !isSafeImageURL(value)) {
+            errors.push(`${field} is not an image URL`);
+        } else if (rule.enum && enums[rule.enum] && !enums[rule.enum].includes(value)) {
+            errors.push(`${field} "${value}" is not one of ${enums[rule.enum].join(', ')}`);
+        }
+
+        if (field === 'date' && !errors.length && Number.isNaN(Date.parse(value))) {
+            errors.push('date is not a calendar date');
+        }
+        if (type === 'string') value = value.trim();
+        item[field] = value;
+    });
+
+    if (errors.length) return { item: null, errors };
+
+    item.thumbnailAfter = item.thumbnailAfter || item.afterImage;
+    // A case without a before photo is kept but flagged; the after photo is no stand-in for it
+    item.missingBeforeImage = !item.beforeImage;
+    if (item.beforeImage) item.thumbnailBefore = item.thumbnailBefore || item.beforeImage;
+    item.isFavorite = false;
+    item.isSelected = false;
+    return { item, errors };
+}
+
+/**
+ * Check a page of cases; duplicates of an id already seen are rejected
+ * @param {Array} items
+ * @param {Object} [options]
+ * @param {Object} [options.enums] - see validateGalleryItem
+ * @param {Set} [options.seen] - ids accepted earlier (updated in place)
+ * @returns {{items: Object[], rejected: Array<{item, errors}>}}
+ */
+function validateGalleryItems(items, options = {}) {
+    const seen = options.seen || new Set();
+    const accepted = [];
+    const rejected = [];
+
+    (Array.isArray(items) ? items : []).forEach(raw => {
+        const { item, errors } = validateGalleryItem(raw, options.enums);
+        if (item && seen.has(String(item.id))) errors.push(`duplicate id ${item.id}`);
+
+        if (errors.length) {
+            rejected.push({ item: raw, errors });
+        } else {
+            seen.add(String(item.id));
+            accepted.push(item);
+        }
+    });
+
+    return { items: accepted, rejected };
+}
+
+/**
+ * Read a source page by page for the valid cases that pass test(item),
+ * for what needs cases the gallery has not loaded yet (a linked case,
+ * the other pages' search, saved-search alerts)
+ * @param {Object} source - anything with load({ cursor, limit })
+ * @param {Function} [test] - (item) → boolean; every case by default
+ * @param {Object} [options]
+ * @param {number} [options.limit] - stop after this many matches
+ * @param {number} [options.pageSize]
+ * @param {Object} [options.enums] - see validateGalleryItem
+ * @param {boolean} [options.validate] - false for a source whose cases need no check
+ * @returns {Promise<Object[]>}
+ */
+async function findGalleryItems(source, test = () => true, options = {}) {
+    const limit = options.limit || Infinity;
+    const pageSize = options.pageSize || source.pageSize || DEFAULT_PAGE_SIZE;
+    const seen = new Set();
+    const found = [];
+    let cursor = null;
+
+    do {
+        const page = await source.load({ cursor, limit: pageSize });
+        const items = options.validate === false
+            ? page.items
+            : validateGalleryItems(page.items, { enums: options.enums, seen }).items;
+
+        for (const item of items) {
+            if (!test(item)) continue;
+            found.push(item);
+            if (found.length >= limit) return found;
+        }
+        const next = page.nextCursor === undefined ? null : page.nextCursor;
+        // Handed back the cursor it was given, the source would be read forever
+        if (next !== null && next === cursor) {
+            throw new GalleryDataSourceError(`The source returned cursor "${cursor}" again`);
+        }
+        cursor = next;
+    } while (cursor !== null);
+
+    return found;
+}
+
+/**
+ * Offset cursors for sources that hold the whole list
+ */
+function pageOf(items, cursor, limit) {
+    const start = cursor ? Number(cursor) : 0;
+    if (!Number.isInteger(start) || start < 0) throw new GalleryDataSourceError(`Bad cursor "${cursor}"`);
+
+    const end = start + limit;
+    return {
+        items: items.slice(start, end),
+        nextCursor: end < items.length ? String(end) : null,
+        total: items.length
+    };
+}
+
+async function fetchJSON(fetchImpl, url, init) {
+    let response;
+    try {
+        response = await fetchImpl(url, init);
+    } catch (error) {
+        throw new GalleryDataSourceError(`Cannot reach ${url}: ${error.message}`);
+    }
+
+    if (!response.ok) throw new GalleryDataSourceError(`${url} answered HTTP ${response.status}`, response.status);
+    try {
+        return await response.json();
+    } catch (error) {
+        throw new GalleryDataSourceError(`${url} did not return JSON`, response.status);
+    }
+}
+
+/**
+ * A static JSON manifest: an array of cases or { items: [...] }, fetched
+ * once and paged locally
+ */
+class ManifestDataSource {
+    /**
+     * @param {Object} options
+     * @param {string} options.url
+     * @param {number} [options.pageSize]
+     * @param {Function} [options.fetch]
+     */
+    constructor(options = {}) {
+        if (!options.url) throw new GalleryDataSourceError('A manifest source needs a url');
+        this.url = options.url;
+        this.pageSize = options.pageSize || DEFAULT_PAGE_SIZE;
+        this.fetch = options.fetch || ((...args) => fetch(...args));
+        this.items = null;
+    }
+
+    async load({ cursor = null, limit = this.pageSize } = {}) {
+        if (!this.items) {
+            const manifest = await fetchJSON(this.fetch, this.url);
+            const items = Array.isArray(manifest) ? manifest : manifest && manifest.items;
+            if (!Array.isArray(items)) throw new GalleryDataSourceError(`${this.url} is not a case manifest`);
+            this.items = items;
+        }
+        return pageOf(this.items, cursor, limit);
+    }
+}
+
+/**
+ * A paginated REST endpoint: GET url?limit=20&cursor=… answering
+ * { items: [...], nextCursor: "…" | null, total?: number }
+ */
+class RestDataSource {
+    /**
+     * @param {Object} options
+     * @param {string} options.url
+     * @param {number} [options.pageSize]
+     * @param {Object} [options.params] - extra query parameters
+     * @param {Object} [options.headers]
+     * @param {Function} [options.fetch]
+     */
+    constructor(options = {}) {
+        if (!options.url) throw new GalleryDataSourceError('A REST source needs a url');
+        this.url = options.url;
+        this.pageSize = options.pageSize || DEFAULT_PAGE_SIZE;
+        this.params = options.params || {};
+        this.headers = options.headers || {};
+        this.fetch = options.fetch || ((...args) => fetch(...args));
+    }
+
+    async load({ cursor = null, limit = this.pageSize } = {}) {
+        const base = typeof location !== 'undefined' ? location.href : undefined;
+        const url = new URL(this.url, base);
+        Object.entries(this.params).forEach(([key, value]) => url.searchParams.set(key, value));
+        url.searchParams.set('limit', String(limit));
+        if (cursor !== null) url.searchParams.set('cursor', cursor);
+
+        const page = await fetchJSON(this.fetch, url.toString(), { headers: Object.assign({ Accept: 'application/json' }, this.headers) });
+        if (!page || !Array.isArray(page.items)) throw new GalleryDataSourceError(`${this.url} did not return a page of cases`);
+
+        return {
+            items: page.items,
+            nextCursor: page.nextCursor === undefined || page.nextCursor === null ? null : String(page.nextCursor),
+            total: typeof page.total === 'number' ? page.total : null
+        };
+    }
+}
+
+/**
+ * A case library kept in the browser (IndexedDB), in id order; the cursor
+ * is the last id of the previous page. Falls back to memory where
+ * IndexedDB is unavailable, like ReadingStore.
+ */
+class IndexedDBDataSource {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.dbName]
+     * @param {number} [options.pageSize]
+     * @param {string} [options.storeName]
+     * @param {IDBFactory|null} [options.indexedDB]
+     */
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'LipGalleryLibrary';
+        this.pageSize = options.pageSize || DEFAULT_PAGE_SIZE;
+        this.storeName = options.storeName || 'cases';
+        this.factory = options.indexedDB !== undefined
+            ? options.indexedDB
+            : (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        this.db = null;
+        this.memory = null;
+        this.ready = null;
+    }
+
+    open() {
+        if (this.ready) return this.ready;
+
+        this.ready = new Promise(resolve => {
+            if (!this.factory) {
+                this.memory = new Map();
+                resolve(this);
+                return;
+            }
+
+            const request = this.factory.open(this.dbName, 1);
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+                if (!db.objectStoreNames.contains(this.storeName)) db.createObjectStore(this.storeName, { keyPath: 'id' });
+            };
+            request.onsuccess = (event) => {
+                this.db = event.target.result;
+                resolve(this);
+            };
+            request.onerror = () => {
+                console.warn('IndexedDB unavailable, the case library is kept for this session only:', request.error);
+                this.memory = new Map();
+                resolve(this);
+            };
+        });
+
+        return this.ready;
+    }
+
+    /**
+     * Add or replace cases (by id)
+     */
+    async put(items) {
+        await this.open();
+        const list = [].concat(items);
+
+        if (this.memory) {
+            list.forEach(item => this.memory.set(item.id, item));
+            return list.length;
+        }
+        await this.transaction('readwrite', store => list.forEach(item => store.put(item)));
+        return list.length;
+    }
+
+    async delete(id) {
+        await this.open();
+        if (this.memory) return this.memory.delete(id);
+        await this.transaction('readwrite', store => store.delete(id));
+        return true;
+    }
+
+    async clear() {
+        await this.open();
+        if (this.memory) return this.memory.clear();
+        return this.transaction('readwrite', store => store.clear());
+    }
+
+    async load({ cursor = null, limit = this.pageSize } = {}) {
+        await this.open();
+        // Cursors are strings; numeric ids go back to numbers
+        const after = cursor === null ? null : JSON.parse(cursor);
+
+        if (this.memory) {
+            const ids = Array.from(this.memory.keys()).sort(IndexedDBDataSource.compareKeys);
+            const start = after === null ? 0 : ids.findIndex(id => IndexedDBDataSource.compareKeys(id, after) > 0);
+            const pageIds = start === -1 ? [] : ids.slice(start, start + limit + 1);
+            return this.page(pageIds.map(id => this.memory.get(id)), limit, ids.length);
+        }
+
+        const items = [];
+        let total = 0;
+        await this.transaction('readonly', store => {
+            store.count().onsuccess = (event) => {
+                total = event.target.result;
+            };
+            const range = after === null ? null : IDBKeyRange.lowerBound(after, true);
+            store.openCursor(range).onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+                items.push(cursor.value);
+                if (items.length <= limit) cursor.continue();
+            };
+        });
+        return this.page(items, limit, total);
+    }
+
+    // One item past the page tells whether there is another
+    page(items, limit, total) {
+        const pageItems = items.slice(0, limit);
+        return {
+            items: pageItems,
+            nextCursor: items.length > limit ? JSON.stringify(pageItems[pageItems.length - 1].id) : null,
+            total
+        };
+    }
+
+    transaction(mode, operation) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], mode);
+            operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    // IndexedDB key order: numbers before strings
+    static compareKeys(a, b) {
+        if (typeof a !== typeof b) return typeof a === 'number' ? -1 : 1;
+        return a < b ? -1 : a > b ? 1 : 0;
+    }
+}
+
+const GalleryDataSources = {
+    Manifest: ManifestDataSource,
+    Rest: RestDataSource,
+    IndexedDB: IndexedDBDataSource,
+    GalleryDataSourceError,
+    SCHEMA: GALLERY_ITEM_SCHEMA,
+    DEFAULT_PAGE_SIZE,
+    validateItem: validateGalleryItem,
+    validateItems: validateGalleryItems,
+    find: findGalleryItems,
+
+    /**
+     * A source from a plain config, e.g. { type: 'rest', url: '/api/cases' };
+     * null for no config (the gallery then uses its demo cases)
+     * @param {Object|null} config - type: 'manifest' | 'rest' | 'indexeddb', plus the source's options
+     */
+    create(config) {
+        if (!config) return null;
+        if (typeof config.load === 'function') return config;
+
+        switch (config.type) {
+            case 'manifest':
+                return new ManifestDataSource(config);
+            case 'rest':
+                return new RestDataSource(config);
+            case 'indexeddb':
+                return new IndexedDBDataSource(config);
+            default:
+                throw new GalleryDataSourceError(`Unknown gallery data source type "${config.type}"`);
+        }
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GalleryDataSources;
+}
@@ -13,13 +13,36 @@
  * - PWA支持
  */
 
+// 筛选面板的分组 → 案例字段，用于分面计数
+const GALLERY_FACETS = {
+    treatmentTypes: 'treatmentType',
+    medicalCategories: 'category',
+    ageRanges: 'ageRange',
+    doctors: 'doctor'
+};
+
+// 筛选面板中预置的医生；数据源带来的其他医生在加载时补入面板
+const GALLERY_DOCTORS = [
+    ['dr-wang', '王主任'],
+    ['dr-li', '李医生'],
+    ['dr-chen', '陈教授']
+];
+
 class LipAestheticsGallery {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.dataSource] - 案例数据源或其配置（见 gallery-data-sources.js），默认使用内置演示案例
+     */
+    constructor(options = {}) {
         this.currentView = 'masonry';
         this.currentColumns = 3;
         this.currentSort = 'newest';
+        this.knownDoctors = new Map(GALLERY_DOCTORS);
         this.currentFilters = this.getDefaultFilters();
         this.searchQuery = '';
+        // 搜索分析（search-analytics.js）：本次搜索的 id，用于记录从结果中打开的案例
+        this.analytics = typeof SearchAnalytics !== 'undefined' ? SearchAnalytics.shared() : null;
+        this.searchId = null;
         this.currentPage = 1;
         this.itemsPerPage = 20;
         this.isLoading = false;
@@ -33,6 +56,25 @@ class LipAestheticsGallery {
         this.filteredItems = [];
         this.currentItems = [];
 
+        // 数据源分页：dataCursor 为 null 时已全部加载
+        this.dataSource = this.createDataSource(options.dataSource);
+        this.dataCursor = null;
+        this.totalItems = null;
+        this.loadedItemIds = new Set();
+
+        // 搜索（federated-search.js 的画廊来源）：网格筛选与 Ctrl+K 面板用同一套匹配，
+        // 面板直接查询数据源，包括尚未加载的页
+        this.searchProvider = this.createSearchProvider();
+
+        // 筛选选项旁的案例数（search-system.js 的 FilterEngine），未加载时不显示
+        this.facetEngine = this.createFacetEngine();
+        // 已保存的搜索与新案例提醒，同样依赖 search-system.js
+        this.savedSearches = this.createSavedSearches();
+        // 各已保存搜索在整个数据源中的匹配案例（search.id → 案例），列表上的“新”数由此计算
+        this.savedSearchMatches = new Map();
+        // 高级搜索面板（search-system.js 的 AdvancedSearchComponent），首次打开时创建
+        this.advancedSearch = null;
+
         // Lightbox state
         this.currentLightboxIndex = 0;
         this.lightboxItems = [];
@@ -40,6 +82,12 @@ class LipAestheticsGallery {
         this.lightboxZoom = 1;
         this.lightboxPanX = 0;
         this.lightboxPanY = 0;
+        // 灯箱中的前后对比（image-compare.js），未打开时为 null
+        this.compareView = null;
+        this.compareItems = [];
+
+        // 进行中的批量下载，可取消
+        this.archiveController = null;
 
         // Performance optimization
         this.intersectionObserver = null;
@@ -60,12 +108,15 @@ class LipAestheticsGallery {
             this.initializeVirtualScrolling();
 
             await this.loadGalleryData();
+            this.restoreSharedSearch();
             this.applyFiltersAndSearch();
             this.renderGallery();
+            this.openLinkedCase();
 
             this.updateUI();
             this.setupKeyboardShortcuts();
             this.initializeServiceWorker();
+            this.checkSavedSearchAlerts();
 
             console.log('Gallery initialized successfully');
         } catch (error) {
@@ -82,7 +133,7 @@ class LipAestheticsGallery {
             treatmentTypes: ['lip-enhancement', 'lip-reduction', 'lip-shape', 'lip-color', 'lip-tattoo', 'education', 'safety', 'technique', 'design'],
             medicalCategories: ['anatomy', 'injection', 'case-study', 'complication', 'procedure', 'aesthetic'],
             ageRanges: ['18-25', '26-35', '36-45', '46+', '教学用', '风险教育', '操作指南', '通用'],
-            doctors: ['dr-wang', 'dr-li', 'dr-chen'],
+            doctors: Array.from(this.knownDoctors.keys()),
             startDate: null,
             endDate: null,
             minRating: 1.0
@@ -95,7 +146,10 @@ class LipAestheticsGallery {
     setupEventListeners() {
         // View mode toggles
         document.querySelectorAll('.view-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => this.changeViewMode(e.target.dataset.view));
+            btn.addEventListener('click', () => this.changeViewMode(btn.dataset.view));
+
+            // 疗程时间线需要 case-journeys.js
+            if (btn.dataset.view === 'timeline') btn.hidden = typeof CaseJourneys === 'undefined';
         });
 
         // Column control
@@ -125,6 +179,8 @@ class LipAestheticsGallery {
         document.getElementById('sortSelect').addEventListener('change', (e) => this.changeSorting(e.target.value));
         document.getElementById('selectAllBtn').addEventListener('click', () => this.toggleSelectAll());
         document.getElementById('batchDownloadBtn').addEventListener('click', () => this.batchDownload());
+        document.getElementById('cancelDownloadBtn').addEventListener('click', () => this.cancelBatchDownload());
+        document.getElementById('compareSelectedBtn').addEventListener('click', () => this.compareSelected());
         document.getElementById('favoriteToggle').addEventListener('click', () => this.toggleFavoriteFilter());
         document.getElementById('loadMoreBtn').addEventListener('click', () => this.loadMore());
 
@@ -132,6 +188,7 @@ class LipAestheticsGallery {
         const ratingSlider = document.getElementById('ratingSlider');
         ratingSlider.addEventListener('input', (e) => {
             document.getElementById('ratingValue').textContent = parseFloat(e.target.value).toFixed(1);
+            this.updateFilterPreview();
         });
 
         // Filter checkboxes
@@ -161,6 +218,10 @@ class LipAestheticsGallery {
         // Share modal
         this.setupShareModal();
 
+        // Advanced search and saved searches
+        this.setupAdvancedSearch();
+        this.setupSavedSearches();
+
         // Touch events for mobile
         this.setupTouchEvents();
     }
@@ -267,7 +328,8 @@ class LipAestheticsGallery {
         });
 
         document.addEventListener('touchend', (e) => {
-            if (!this.isLightboxOpen) return;
+            // 对比视图自己处理拖动和缩放手势
+            if (!this.isLightboxOpen || this.compareView) return;
 
             const touchEndX = e.changedTouches[0].clientX;
             const touchEndY = e.changedTouches[0].clientY;
@@ -343,18 +405,17 @@ class LipAestheticsGallery {
     }
 
     /**
-     * 加载画廊数据
+     * 加载画廊数据（数据源的第一页）
      */
     async loadGalleryData() {
         try {
             this.showLoading(true);
 
-            // 模拟API调用 - 在实际项目中替换为真实API
-            const data = await this.simulateAPICall();
-            this.allItems = data.items;
-
-            // 预处理图片信息
-            this.preprocessImages();
+            this.allItems = [];
+            this.loadedItemIds = new Set();
+            this.dataCursor = null;
+            if (this.advancedSearch) this.advancedSearch.setData([]);
+            await this.fetchNextPage();
 
             this.showLoading(false);
         } catch (error) {
@@ -364,14 +425,109 @@ class LipAestheticsGallery {
     }
 
     /**
-     * 模拟API调用 - 生成专业医学演示数据
+     * 创建案例数据源：配置了 window.galleryDataSource 等时用 gallery-data-sources.js，
+     * 否则一次性返回生成的演示案例
      */
-    async simulateAPICall() {
-        return new Promise((resolve) => {
-            setTimeout(() => {
+    createDataSource(config) {
+        if (config && typeof GalleryDataSources !== 'undefined') {
+            return GalleryDataSources.create(config);
+        }
+        if (config && typeof config.load === 'function') return config;
+        if (config) console.warn('gallery-data-sources.js 未加载，使用演示案例');
+
+        return {
+            builtIn: true,
+            load: async () => {
                 const items = this.generateMedicalCaseData();
-                resolve({ items, total: items.length });
-            }, 500);
+                return { items, nextCursor: null, total: items.length };
+            }
+        };
+    }
+
+    /**
+     * 从数据源取下一页，校验后并入 allItems
+     * @returns {Promise<Array>} 本页通过校验的案例
+     */
+    async fetchNextPage() {
+        const limit = this.dataSource.pageSize || this.itemsPerPage;
+        const page = await this.dataSource.load({ cursor: this.dataCursor, limit });
+        let items = page.items;
+
+        // 外部数据中不符合案例结构的条目（缺字段、未知分类、可疑图片地址、重复 id）跳过
+        if (!this.dataSource.builtIn && typeof GalleryDataSources !== 'undefined') {
+            const { items: valid, rejected } = GalleryDataSources.validateItems(items, {
+                enums: this.validationEnums(),
+                seen: this.loadedItemIds
+            });
+            if (rejected.length) {
+                console.warn(`跳过 ${rejected.length} 个不符合格式的案例`, rejected);
+            }
+            items = valid;
+        }
+
+        // 数据源返回了请求时的游标：再取仍是这一页，停止而不是无限循环
+        const nextCursor = page.nextCursor === undefined ? null : page.nextCursor;
+        if (nextCursor !== null && nextCursor === this.dataCursor) {
+            throw new Error(`数据源重复返回游标 "${nextCursor}"`);
+        }
+
+        this.preprocessImages(items);
+        this.addDoctorOptions(items);
+        this.allItems.push(...items);
+        if (this.advancedSearch) this.advancedSearch.addData(items);
+        this.dataCursor = nextCursor;
+        this.totalItems = typeof page.total === 'number' ? page.total : null;
+
+        return items;
+    }
+
+    /**
+     * 外部案例可取的枚举值：筛选面板的选项与疗程阶段
+     */
+    validationEnums() {
+        const enums = this.getDefaultFilters();
+        if (typeof CaseJourneys !== 'undefined') {
+            enums.journeyPhases = CaseJourneys.PHASES.map(phase => phase.id);
+        }
+        return enums;
+    }
+
+    /**
+     * 画廊的搜索来源（federated-search.js），未加载时为 null
+     */
+    createSearchProvider() {
+        if (typeof FederatedSearch === 'undefined') return null;
+
+        return FederatedSearch.gallery({
+            source: this.dataSource,
+            validate: !this.dataSource.builtIn,
+            enums: this.validationEnums()
+        });
+    }
+
+    /**
+     * 为数据源中出现的新医生补充筛选选项（默认选中）
+     */
+    addDoctorOptions(items) {
+        const container = document.querySelector('.filter-options[data-facet="doctor"]');
+
+        items.forEach(item => {
+            if (this.knownDoctors.has(item.doctor)) return;
+
+            const name = item.doctorName || item.doctor;
+            this.knownDoctors.set(item.doctor, name);
+            this.currentFilters.doctors.push(item.doctor);
+            if (!container) return;
+
+            const label = document.createElement('label');
+            label.className = 'filter-option';
+            label.innerHTML = `
+                <input type="checkbox" value="${this.escapeHtml(item.doctor)}" checked>
+                <span class="checkmark"></span>
+            `;
+            label.appendChild(document.createTextNode(name));
+            label.querySelector('input').addEventListener('change', () => this.updateFilterPreview());
+            container.appendChild(label);
         });
     }
 
@@ -385,10 +541,10 @@ class LipAestheticsGallery {
                 id: 1,
                 title: "唇部解剖结构图 - 基础解剖",
                 description: "详细展示唇部的基本解剖结构，包括上唇、下唇、唇红缘、唇峰等重要解剖标志点，为临床治疗提供解剖学基础。",
-                beforeImage: "data:image/svg+xml;base64," + btoa(this.generateAnatomyDiagram()),
-                afterImage: "data:image/svg+xml;base64," + btoa(this.generateAnatomyDiagram()),
-                thumbnailBefore: "data:image/svg+xml;base64," + btoa(this.generateAnatomyDiagram()),
-                thumbnailAfter: "data:image/svg+xml;base64," + btoa(this.generateAnatomyDiagram()),
+                beforeImage: this.svgDataURI(this.generateAnatomyDiagram()),
+                afterImage: this.svgDataURI(this.generateAnatomyDiagram()),
+                thumbnailBefore: this.svgDataURI(this.generateAnatomyDiagram()),
+                thumbnailAfter: this.svgDataURI(this.generateAnatomyDiagram()),
                 treatmentType: "anatomy",
                 ageRange: "教学用",
                 doctor: "dr-wang",
@@ -409,10 +565,10 @@ class LipAestheticsGallery {
                 id: 2,
                 title: "透明质酸注射点位图 - 标准方案",
                 description: "展示透明质酸注射的标准点位分布，包括上唇峰、下唇中央、唇角等关键注射点，标注安全注射深度和剂量。",
-                beforeImage: "data:image/svg+xml;base64," + btoa(this.generateInjectionDiagram()),
-                afterImage: "data:image/svg+xml;base64," + btoa(this.generateInjectionDiagram()),
-                thumbnailBefore: "data:image/svg+xml;base64," + btoa(this.generateInjectionDiagram()),
-                thumbnailAfter: "data:image/svg+xml;base64," + btoa(this.generateInjectionDiagram()),
+                beforeImage: this.svgDataURI(this.generateInjectionDiagram()),
+                afterImage: this.svgDataURI(this.generateInjectionDiagram()),
+                thumbnailBefore: this.svgDataURI(this.generateInjectionDiagram()),
+                thumbnailAfter: this.svgDataURI(this.generateInjectionDiagram()),
                 treatmentType: "lip-enhancement",
                 ageRange: "25-45",
                 doctor: "dr-li",
@@ -433,10 +589,10 @@ class LipAestheticsGallery {
                 id: 3,
                 title: "唇部增强案例001 - 自然增厚",
                 description: "25岁女性，唇部过薄，通过精准的透明质酸注射实现自然增厚效果。注射总量1.0ml，分布均匀，术后效果自然协调。",
-                beforeImage: "data:image/svg+xml;base64," + btoa(this.generateBeforeAfterDiagram("before")),
-                afterImage: "data:image/svg+xml;base64," + btoa(this.generateBeforeAfterDiagram("after")),
-                thumbnailBefore: "data:image/svg+xml;base64=" + btoa(this.generateBeforeAfterDiagram("before")),
-                thumbnailAfter: "data:image/svg+xml;base64=" + btoa(this.generateBeforeAfterDiagram("after")),
+                beforeImage: this.svgDataURI(this.generateBeforeAfterDiagram("before")),
+                afterImage: this.svgDataURI(this.generateBeforeAfterDiagram("after")),
+                thumbnailBefore: this.svgDataURI(this.generateBeforeAfterDiagram("before")),
+                thumbnailAfter: this.svgDataURI(this.generateBeforeAfterDiagram("after")),
                 treatmentType: "lip-enhancement",
                 ageRange: "18-25",
                 doctor: "dr-wang",
@@ -449,7 +605,10 @@ class LipAestheticsGallery {
                 tags: ["自然增厚", "透明质酸", "年轻化", "精准注射"],
                 isFavorite: false,
                 isSelected: false,
-                category: "case-study"
+                category: "case-study",
+                journeyId: "demo-a",
+                journeyTitle: "患者 A · 自然丰唇疗程",
+                phase: "procedure"
             },
 
             // 美学标准参考
@@ -457,10 +616,10 @@ class LipAestheticsGallery {
                 id: 4,
                 title: "黄金比例美学标准 - 唇部测量",
                 description: "基于黄金比例理论的唇部美学标准，展示理想的唇部比例关系：上下唇比例1:1.6，唇宽与鼻宽的协调关系等。",
-                beforeImage: "data:image/svg+xml;base64," + btoa(this.generateAestheticStandard()),
-                afterImage: "data:image/svg+xml;base64," + btoa(this.generateAestheticStandard()),
-                thumbnailBefore: "data:image/svg+xml;base64," + btoa(this.generateAestheticStandard()),
-                thumbnailAfter: "data:image/svg+xml;base64," + btoa(this.generateAestheticStandard()),
+                beforeImage: this.svgDataURI(this.generateAestheticStandard()),
+                afterImage: this.svgDataURI(this.generateAestheticStandard()),
+                thumbnailBefore: this.svgDataURI(this.generateAestheticStandard()),
+                thumbnailAfter: this.svgDataURI(this.generateAestheticStandard()),
                 treatmentType: "aesthetic-standard",
                 ageRange: "通用",
                 doctor: "dr-chen",
@@ -481,10 +640,10 @@ class LipAestheticsGallery {
                 id: 5,
                 title: "血管栓塞并发症 - 预防与处理",
                 description: "展示血管栓塞这一严重并发症的临床表现、预防措施和紧急处理方案。包含血管分布图和安全注射技巧。",
-                beforeImage: "data:image/svg+xml;base64," + btoa(this.generateComplicationDiagram()),
-                afterImage: "data:image/svg+xml;base64," + btoa(this.generateComplicationDiagram()),
-                thumbnailBefore: "data:image/svg+xml;base64," + btoa(this.generateComplicationDiagram()),
-                thumbnailAfter: "data:image/svg+xml;base64," + btoa(this.generateComplicationDiagram()),
+                beforeImage: this.svgDataURI(this.generateComplicationDiagram()),
+                afterImage: this.svgDataURI(this.generateComplicationDiagram()),
+                thumbnailBefore: this.svgDataURI(this.generateComplicationDiagram()),
+                thumbnailAfter: this.svgDataURI(this.generateComplicationDiagram()),
                 treatmentType: "complication",
                 ageRange: "风险教育",
                 doctor: "dr-chen",
@@ -505,10 +664,10 @@ class LipAestheticsGallery {
                 id: 6,
                 title: "丰唇手术步骤图解 - 完整流程",
                 description: "详细展示丰唇手术的完整操作流程：术前标记、麻醉、注射技巧、层次选择、剂量控制等关键步骤。",
-                beforeImage: "data:image/svg+xml;base64," + btoa(this.generateProcedureDiagram()),
-                afterImage: "data:image/svg+xml;base64," + btoa(this.generateProcedureDiagram()),
-                thumbnailBefore: "data:image/svg+xml;base64," + btoa(this.generateProcedureDiagram()),
-                thumbnailAfter: "data:image/svg+xml;base64," + btoa(this.generateProcedureDiagram()),
+                beforeImage: this.svgDataURI(this.generateProcedureDiagram()),
+                afterImage: this.svgDataURI(this.generateProcedureDiagram()),
+                thumbnailBefore: this.svgDataURI(this.generateProcedureDiagram()),
+                thumbnailAfter: this.svgDataURI(this.generateProcedureDiagram()),
                 treatmentType: "procedure",
                 ageRange: "操作指南",
                 doctor: "dr-li",
@@ -527,7 +686,64 @@ class LipAestheticsGallery {
 
         // 扩展更多案例
         const additionalCases = this.generateAdditionalMedicalCases();
-        return [...medicalCases, ...additionalCases];
+        return [...medicalCases, ...additionalCases, ...this.generateDemoJourneys()];
+    }
+
+    /**
+     * 生成演示疗程：患者 A 的其余阶段（治疗为案例 3）与患者 B 的完整疗程
+     */
+    generateDemoJourneys() {
+        const before = this.svgDataURI(this.generateBeforeAfterDiagram("before"));
+        const after = this.svgDataURI(this.generateBeforeAfterDiagram("after"));
+        const steps = [
+            [27, 'demo-a', 'consultation', '2024-01-03', '初诊：唇部偏薄，设计自然增厚方案', before, '唇部偏薄，希望增加饱满度但保持自然。评估唇部比例与对称性，制定透明质酸注射方案。'],
+            [28, 'demo-a', 'follow-up', '2024-01-24', '复诊：术后两周', after, '肿胀完全消退，形态稳定，患者满意。'],
+            [29, 'demo-a', 'follow-up', '2024-04-10', '复诊：术后三个月', after, '效果维持良好，唇红缘清晰，无结节。'],
+            [30, 'demo-b', 'consultation', '2024-02-01', '初诊：上下唇比例失调', before, '上唇较薄，上下唇比例约 1:2，计划以上唇为主调整至约 1:1.6。'],
+            [31, 'demo-b', 'procedure', '2024-02-08', '治疗：上唇塑形注射', after, '上唇注射 0.8ml，重点塑造唇峰与唇珠。'],
+            [32, 'demo-b', 'touch-up', '2024-03-07', '补充治疗：唇峰微调', after, '唇峰左右略有差异，补充 0.1ml 调整对称性。'],
+            [33, 'demo-b', 'follow-up', '2024-05-08', '复诊：术后三个月', after, '比例协调，对称性良好。']
+        ];
+
+        return steps.map(([id, journeyId, phase, date, title, image, description]) => {
+            const patientB = journeyId === 'demo-b';
+            return {
+                id,
+                title,
+                description,
+                beforeImage: phase === 'consultation' ? image : before,
+                afterImage: image,
+                thumbnailBefore: phase === 'consultation' ? image : before,
+                thumbnailAfter: image,
+                treatmentType: patientB ? 'lip-shape' : 'lip-enhancement',
+                ageRange: patientB ? '26-35' : '18-25',
+                doctor: patientB ? 'dr-li' : 'dr-wang',
+                doctorName: patientB ? '李医生' : '王主任',
+                date,
+                rating: 4.8,
+                views: 300 + id * 7,
+                surgeryDuration: phase === 'procedure' || phase === 'touch-up' ? '30分钟' : '无',
+                recoveryTime: phase === 'procedure' ? '5天' : '无',
+                tags: patientB ? ['唇形调整', '疗程记录'] : ['自然增厚', '疗程记录'],
+                isFavorite: false,
+                isSelected: false,
+                category: 'case-study',
+                journeyId,
+                journeyTitle: patientB ? '患者 B · 唇形比例调整疗程' : '患者 A · 自然丰唇疗程',
+                phase
+            };
+        });
+    }
+
+    /**
+     * SVG → data: URI（示意图含中文，btoa 只接受 Latin-1，先转成 UTF-8 字节）
+     */
+    svgDataURI(svg) {
+        let binary = '';
+        new TextEncoder().encode(svg).forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return `data:image/svg+xml;base64,${btoa(binary)}`;
     }
 
     /**
@@ -546,10 +762,10 @@ class LipAestheticsGallery {
                 id: baseId + i,
                 title: this.generateCaseTitleByType(caseType, i + 1),
                 description: this.generateCaseDescriptionByType(caseType, i + 1),
-                beforeImage: "data:image/svg+xml;base64," + btoa(this.generateDiagramByType(caseType, i + 1, "before")),
-                afterImage: "data:image/svg+xml;base64," + btoa(this.generateDiagramByType(caseType, i + 1, "after")),
-                thumbnailBefore: "data:image/svg+xml;base64," + btoa(this.generateDiagramByType(caseType, i + 1, "before")),
-                thumbnailAfter: "data:image/svg+xml;base64," + btoa(this.generateDiagramByType(caseType, i + 1, "after")),
+                beforeImage: this.svgDataURI(this.generateDiagramByType(caseType, i + 1, "before")),
+                afterImage: this.svgDataURI(this.generateDiagramByType(caseType, i + 1, "after")),
+                thumbnailBefore: this.svgDataURI(this.generateDiagramByType(caseType, i + 1, "before")),
+                thumbnailAfter: this.svgDataURI(this.generateDiagramByType(caseType, i + 1, "after")),
                 treatmentType: this.mapCategoryToTreatmentType(caseType),
                 ageRange: this.getAgeRangeByType(caseType),
                 doctor: ['dr-wang', 'dr-li', 'dr-chen'][i % 3],
@@ -1212,52 +1428,42 @@ class LipAestheticsGallery {
     /**
      * 预处理图片信息
      */
-    preprocessImages() {
-        this.allItems.forEach(item => {
-            // 添加图片尺寸信息（实际项目中应从服务器获取）
-            item.imageWidth = 400 + Math.floor(Math.random() * 200);
-            item.imageHeight = 500 + Math.floor(Math.random() * 300);
+    preprocessImages(items = this.allItems) {
+        items.forEach(item => {
+            // 数据源未提供图片尺寸时使用占位尺寸
+            if (!item.imageWidth || !item.imageHeight) {
+                item.imageWidth = 400 + Math.floor(Math.random() * 200);
+                item.imageHeight = 500 + Math.floor(Math.random() * 300);
+            }
             item.aspectRatio = item.imageWidth / item.imageHeight;
 
             // 生成响应式图片URLs
-            item.srcSet = this.generateSrcSet(item.afterImage);
+            item.srcSet = item.srcSet || this.generateSrcSet(item.afterImage);
             item.sizes = '(max-width: 768px) 100vw, (max-width: 1200px) 50vw, 33vw';
         });
     }
 
     /**
-     * 生成响应式图片srcSet
+     * 生成响应式图片srcSet（内联 data: 图片没有其他尺寸）
      */
     generateSrcSet(baseUrl) {
+        if (baseUrl.startsWith('data:')) return '';
+
         const sizes = [200, 400, 600, 800];
-        return sizes.map(size => `${baseUrl}&w=${size} ${size}w`).join(', ');
+        const separator = baseUrl.includes('?') ? '&' : '?';
+        return sizes.map(size => `${baseUrl}${separator}w=${size} ${size}w`).join(', ');
     }
 
     /**
      * 应用筛选和搜索
      */
     applyFiltersAndSearch() {
-        let filtered = [...this.allItems];
-
-        // 应用搜索
-        if (this.searchQuery.trim()) {
-            const query = this.searchQuery.toLowerCase();
-            filtered = filtered.filter(item =>
-                item.title.toLowerCase().includes(query) ||
-                item.description.toLowerCase().includes(query) ||
-                item.doctorName.toLowerCase().includes(query) ||
-                item.tags.some(tag => tag.toLowerCase().includes(query))
-            );
-        }
+        // 应用搜索和收藏
+        let filtered = this.searchItems(this.allItems);
 
         // 应用筛选条件
         filtered = this.applyFiltersToItems(filtered);
 
-        // 只显示收藏的项目
-        if (document.getElementById('favoriteToggle').classList.contains('active')) {
-            filtered = filtered.filter(item => this.favoriteItems.has(item.id));
-        }
-
         // 排序
         filtered = this.sortItems(filtered);
 
@@ -1267,6 +1473,31 @@ class LipAestheticsGallery {
 
         this.updateCurrentItems();
         this.updateResultCount();
+        this.updateFilterPreview();
+    }
+
+    /**
+     * 按搜索词和"只看收藏"筛选项目（不含筛选面板的条件）
+     */
+    searchItems(items) {
+        let filtered = items.filter(this.queryFilter(this.searchQuery));
+
+        // 只显示收藏的项目
+        if (document.getElementById('favoriteToggle').classList.contains('active')) {
+            filtered = filtered.filter(item => this.favoriteItems.has(item.id));
+        }
+
+        return filtered;
+    }
+
+    /**
+     * 搜索词的匹配条件：每个词都出现在标题、标签、描述或医生中（空搜索词都算匹配），
+     * 与 Ctrl+K 面板的画廊结果一致；federated-search.js 未加载时只有空搜索词匹配
+     * @returns {Function} (item) → boolean
+     */
+    queryFilter(query) {
+        if (this.searchProvider) return this.searchProvider.filter(query);
+        return () => !query.trim();
     }
 
     /**
@@ -1339,7 +1570,7 @@ class LipAestheticsGallery {
         const endIndex = this.currentPage * this.itemsPerPage;
         this.currentItems = this.filteredItems.slice(startIndex, endIndex);
 
-        this.hasMoreItems = endIndex < this.filteredItems.length;
+        this.hasMoreItems = endIndex < this.filteredItems.length || this.dataCursor !== null;
         this.updateLoadMoreButton();
     }
 
@@ -1376,6 +1607,9 @@ class LipAestheticsGallery {
             case 'hero':
                 this.renderHeroLayout(container);
                 break;
+            case 'timeline':
+                this.renderTimelineLayout(container);
+                break;
         }
 
         // 设置懒加载
@@ -1428,6 +1662,90 @@ class LipAestheticsGallery {
         });
     }
 
+    /**
+     * 渲染疗程时间线：同一患者的案例按疗程分组、按时间排列，未归入疗程的案例排在最后
+     */
+    renderTimelineLayout(container) {
+        if (typeof CaseJourneys === 'undefined') {
+            this.renderGridLayout(container);
+            return;
+        }
+
+        const { journeys, standalone } = CaseJourneys.group(this.currentItems);
+        journeys.forEach(journey => container.appendChild(this.createJourneySection(journey)));
+
+        if (standalone.length > 0) {
+            const section = document.createElement('section');
+            section.className = 'journey journey-standalone';
+            section.innerHTML = `
+                <header class="journey-header">
+                    <h3 class="journey-title">未归入疗程的案例</h3>
+                    <span class="journey-summary">${standalone.length} 个案例</span>
+                </header>
+                <div class="journey-standalone-grid"></div>
+            `;
+            const grid = section.querySelector('.journey-standalone-grid');
+            standalone.forEach(item => grid.appendChild(this.createGalleryItem(item, 'grid')));
+            container.appendChild(section);
+        }
+    }
+
+    /**
+     * 创建一个疗程的时间线
+     * 阶段标签（术后 N 周等）按已加载的整个疗程计算，被筛掉的阶段不显示但计入说明
+     */
+    createJourneySection(journey) {
+        const complete = CaseJourneys.journeyOf(journey.items[0], this.allItems);
+        const visible = new Set(journey.items);
+        const steps = complete.steps.filter(step => visible.has(step.item));
+        const hidden = complete.steps.length - steps.length;
+
+        const section = document.createElement('section');
+        section.className = 'journey';
+        section.dataset.journey = complete.id;
+        section.innerHTML = `
+            <header class="journey-header">
+                <h3 class="journey-title">${this.escapeHtml(complete.title)}</h3>
+                <span class="journey-summary">
+                    ${complete.treatmentTypes.map(type => this.getTreatmentTypeName(type)).join('、')}
+                    <span class="separator">•</span>
+                    ${this.escapeHtml(complete.doctors.join('、'))}
+                    <span class="separator">•</span>
+                    ${complete.start ? `${this.formatDate(complete.start)} – ${this.formatDate(complete.end)}
+                    <span class="separator">•</span>` : ''}
+                    ${complete.steps.length} 个阶段${hidden > 0 ? `（${hidden} 个不在当前筛选结果中）` : ''}
+                </span>
+            </header>
+            <ol class="journey-steps"></ol>
+        `;
+
+        const list = section.querySelector('.journey-steps');
+        steps.forEach(step => {
+            const li = document.createElement('li');
+            li.className = `journey-step phase-${step.phase || 'other'}`;
+            li.innerHTML = `
+                <div class="journey-step-marker">
+                    <span class="journey-phase">${this.escapeHtml(step.phaseName || '记录')}</span>
+                    <span class="journey-offset">${this.escapeHtml(step.label)}</span>
+                    <time datetime="${this.escapeHtml(step.item.date)}">${this.formatDate(step.item.date)}</time>
+                </div>
+            `;
+            li.appendChild(this.createGalleryItem(step.item, 'timeline'));
+            list.appendChild(li);
+        });
+
+        return section;
+    }
+
+    /**
+     * 案例所属的疗程（至少两个已加载阶段），没有时为 null
+     */
+    journeyOf(item) {
+        if (typeof CaseJourneys === 'undefined') return null;
+        const journey = CaseJourneys.journeyOf(item, this.allItems);
+        return journey && journey.items.length > 1 ? journey : null;
+    }
+
     /**
      * 创建画廊项目元素
      */
@@ -1450,26 +1768,27 @@ class LipAestheticsGallery {
                 <div class="item-image-container">
                     <img
                         class="item-image lazy-image"
-                        data-src="${item.thumbnailAfter}"
-                        data-srcset="${item.srcSet}"
+                        data-src="${this.escapeHtml(item.thumbnailAfter)}"
+                        data-srcset="${this.escapeHtml(item.srcSet)}"
                         sizes="${item.sizes}"
-                        alt="${item.title}"
+                        alt="${this.escapeHtml(item.title)}"
                         loading="lazy"
                     />
                     <div class="image-overlay">
                         <div class="overlay-actions">
                             <button class="action-btn favorite-btn ${isFavorite ? 'active' : ''}"
-                                    data-id="${item.id}" title="收藏">
+                                    data-id="${this.escapeHtml(item.id)}" title="收藏">
                                 <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
                                     <path d="M12 21.35l-1.45-1.32C5.4 15.36 2 12.28 2 8.5 2 5.42 4.42 3 7.5 3c1.74 0 3.41.81 4.5 2.09C13.09 3.81 14.76 3 16.5 3 19.58 3 22 5.42 22 8.5c0 3.78-3.4 6.86-8.55 11.54L12 21.35z"/>
                                 </svg>
                             </button>
-                            <button class="action-btn compare-btn" data-id="${item.id}" title="前后对比">
+                            <button class="action-btn compare-btn" data-id="${this.escapeHtml(item.id)}"
+                                    title="${item.missingBeforeImage ? '没有术前照片' : '前后对比'}" ${item.missingBeforeImage ? 'disabled' : ''}>
                                 <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
                                     <path d="M21 6H3c-1.1 0-2 .9-2 2v8c0 1.1.9 2 2 2h18c1.1 0 2-.9 2-2V8c0-1.1-.9-2-2-2zM8 16H6v-2h2v2zm0-4H6v-2h2v2zm0-4H6V6h2v2zm7 8h-2V6h2v10zm7 0h-2v-2h2v2zm0-4h-2v-2h2v2zm0-4h-2V6h2v2z"/>
                                 </svg>
                             </button>
-                            <button class="action-btn download-btn" data-id="${item.id}" title="下载">
+                            <button class="action-btn download-btn" data-id="${this.escapeHtml(item.id)}" title="下载">
                                 <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
                                     <path d="M19 9h-4V3H9v6H5l7 7 7-7zM5 18v2h14v-2H5z"/>
                                 </svg>
@@ -1495,32 +1814,32 @@ class LipAestheticsGallery {
 
                 <div class="item-content">
                     <div class="item-header">
-                        <h3 class="item-title">${item.title}</h3>
-                        <input type="checkbox" class="item-checkbox" data-id="${item.id}">
+                        <h3 class="item-title">${this.escapeHtml(item.title)}</h3>
+                        <input type="checkbox" class="item-checkbox" data-id="${this.escapeHtml(item.id)}">
                     </div>
 
                     <div class="item-meta">
                         <span class="treatment-type">${this.getTreatmentTypeName(item.treatmentType)}</span>
                         <span class="separator">•</span>
-                        <span class="doctor">${item.doctorName}</span>
+                        <span class="doctor">${this.escapeHtml(item.doctorName)}</span>
                         <span class="separator">•</span>
                         <span class="date">${this.formatDate(item.date)}</span>
                     </div>
 
-                    <p class="item-description">${item.description}</p>
+                    <p class="item-description">${this.escapeHtml(item.description)}</p>
 
                     <div class="item-tags">
-                        ${item.tags.map(tag => `<span class="tag">${tag}</span>`).join('')}
+                        ${item.tags.map(tag => `<span class="tag">${this.escapeHtml(tag)}</span>`).join('')}
                     </div>
 
                     <div class="item-stats">
                         <div class="stat">
                             <span class="stat-label">手术时间:</span>
-                            <span class="stat-value">${item.surgeryDuration}</span>
+                            <span class="stat-value">${this.escapeHtml(item.surgeryDuration)}</span>
                         </div>
                         <div class="stat">
                             <span class="stat-label">恢复周期:</span>
-                            <span class="stat-value">${item.recoveryTime}</span>
+                            <span class="stat-value">${this.escapeHtml(item.recoveryTime)}</span>
                         </div>
                     </div>
                 </div>
@@ -1529,7 +1848,10 @@ class LipAestheticsGallery {
 
         // 添加点击事件
         const imageContainer = article.querySelector('.item-image-container');
-        imageContainer.addEventListener('click', () => this.openLightbox(item.id));
+        imageContainer.addEventListener('click', () => {
+            this.recordResultClick(item.id);
+            this.openLightbox(item.id);
+        });
 
         // 添加操作按钮事件
         article.querySelector('.favorite-btn').addEventListener('click', (e) => {
@@ -1748,8 +2070,15 @@ class LipAestheticsGallery {
         const item = this.allItems.find(i => i.id === itemId);
         if (!item) return;
 
-        this.currentLightboxIndex = this.currentItems.findIndex(i => i.id === itemId);
-        this.lightboxItems = this.currentItems;
+        // 时间线视图中沿疗程翻页；其他视图沿结果列表。
+        // 链接或搜索打开的案例可能不在当前页（或已被筛掉），此时单独显示
+        const journey = this.currentView === 'timeline' ? this.journeyOf(item) : null;
+        if (journey) {
+            this.lightboxItems = journey.items;
+        } else {
+            this.lightboxItems = this.currentItems.some(i => i.id === itemId) ? this.currentItems : [item];
+        }
+        this.currentLightboxIndex = this.lightboxItems.findIndex(i => i.id === itemId);
         this.isLightboxOpen = true;
 
         const modal = document.getElementById('lightboxModal');
@@ -1794,11 +2123,46 @@ class LipAestheticsGallery {
 
         // 更新标签
         const tagsContainer = document.getElementById('caseTags');
-        tagsContainer.innerHTML = item.tags.map(tag => `<span class="tag">${tag}</span>`).join('');
+        tagsContainer.innerHTML = item.tags.map(tag => `<span class="tag">${this.escapeHtml(tag)}</span>`).join('');
 
         // 更新收藏状态
         const favoriteBtn = document.getElementById('favoriteBtn');
         favoriteBtn.classList.toggle('active', this.favoriteItems.has(item.id));
+
+        this.renderLightboxJourney(item);
+    }
+
+    /**
+     * 灯箱中的疗程阶段条：点击阶段后沿该疗程翻页
+     */
+    renderLightboxJourney(item) {
+        const panel = document.getElementById('lightboxJourney');
+        if (!panel) return;
+
+        const journey = this.journeyOf(item);
+        panel.hidden = !journey;
+        if (!journey) return;
+
+        document.getElementById('lightboxJourneyTitle').textContent = journey.title;
+        const list = document.getElementById('lightboxJourneySteps');
+        list.innerHTML = journey.steps.map(step => {
+            const current = step.item.id === item.id;
+            return `
+                <li>
+                    <button class="journey-strip-step${current ? ' current' : ''}"${current ? ' aria-current="step"' : ''}>
+                        <span class="journey-phase">${this.escapeHtml(step.phaseName || '记录')}</span>
+                        <span class="journey-offset">${this.escapeHtml(step.label)}</span>
+                    </button>
+                </li>
+            `;
+        }).join('');
+
+        list.querySelectorAll('button').forEach((button, index) => {
+            button.addEventListener('click', () => {
+                this.lightboxItems = journey.items;
+                this.showLightboxIndex(index);
+            });
+        });
     }
 
     /**
@@ -1808,8 +2172,10 @@ class LipAestheticsGallery {
         const prevBtn = document.getElementById('lightboxPrev');
         const nextBtn = document.getElementById('lightboxNext');
 
-        prevBtn.style.display = this.currentLightboxIndex > 0 ? 'flex' : 'none';
-        nextBtn.style.display = this.currentLightboxIndex < this.lightboxItems.length - 1 ? 'flex' : 'none';
+        // 多个案例对比时不翻页
+        const comparingMultiple = this.compareItems.length > 1;
+        prevBtn.style.display = this.currentLightboxIndex > 0 && !comparingMultiple ? 'flex' : 'none';
+        nextBtn.style.display = this.currentLightboxIndex < this.lightboxItems.length - 1 && !comparingMultiple ? 'flex' : 'none';
     }
 
     /**
@@ -1819,14 +2185,24 @@ class LipAestheticsGallery {
         const newIndex = this.currentLightboxIndex + direction;
 
         if (newIndex >= 0 && newIndex < this.lightboxItems.length) {
-            this.currentLightboxIndex = newIndex;
-            const item = this.lightboxItems[newIndex];
-            this.displayLightboxItem(item);
-            this.updateLightboxNavigation();
-            this.preloadAdjacentImages();
+            this.showLightboxIndex(newIndex);
         }
     }
 
+    /**
+     * 显示 lightboxItems 中的第 index 项
+     */
+    showLightboxIndex(index) {
+        this.currentLightboxIndex = index;
+        const item = this.lightboxItems[index];
+        this.displayLightboxItem(item);
+        this.updateLightboxNavigation();
+        this.preloadAdjacentImages();
+
+        // 单个案例的前后对比跟随翻页
+        if (this.compareView) this.showCompare([item]);
+    }
+
     /**
      * 预加载相邻图片
      */
@@ -1854,6 +2230,8 @@ class LipAestheticsGallery {
         modal.classList.remove('active');
         document.body.classList.remove('lightbox-open');
         this.isLightboxOpen = false;
+        this.closeCompare();
+        if (this.analytics) this.analytics.endDwell();
 
         // 重置状态
         this.lightboxZoom = 1;
@@ -1975,7 +2353,7 @@ class LipAestheticsGallery {
      * 更新项目收藏UI
      */
     updateItemFavoriteUI(itemId) {
-        const item = document.querySelector(`[data-id="${itemId}"]`);
+        const item = document.querySelector(`.gallery-item[data-id="${CSS.escape(String(itemId))}"]`);
         if (item) {
             const favoriteBtn = item.querySelector('.favorite-btn');
             favoriteBtn.classList.toggle('active', this.favoriteItems.has(itemId));
@@ -2014,6 +2392,20 @@ class LipAestheticsGallery {
         this.addToSearchHistory(query);
         this.applyFiltersAndSearch();
         this.renderGallery();
+
+        if (this.analytics) {
+            this.searchId = this.analytics.recordSearch(this.searchQuery, this.filteredItems.length, { mode: 'gallery' });
+        }
+    }
+
+    /**
+     * 从搜索结果中打开案例：记录其排名（1 为第一条），停留时间到关闭灯箱为止
+     */
+    recordResultClick(itemId) {
+        if (!this.analytics || !this.searchId || !this.searchQuery) return;
+
+        const rank = this.filteredItems.findIndex(item => item.id === itemId) + 1;
+        if (rank) this.analytics.recordClick(this.searchId, rank);
     }
 
     /**
@@ -2163,12 +2555,470 @@ class LipAestheticsGallery {
      * 更新筛选预览
      */
     updateFilterPreview() {
-        // 实时显示筛选结果数量（可选功能）
-        const previewFilters = this.collectFilterValues();
-        const previewItems = this.applyFiltersToItems([...this.allItems]);
+        if (!this.facetEngine) return;
+
+        // 按面板上尚未应用的选择计数
+        const engine = this.setEngineFilters(this.facetEngine, this.collectFilterValues());
+
+        const { total, facets } = engine.computeFacets(this.searchItems(this.allItems), { domain: this.allItems });
+
+        // 每个选项：加上它之后（同组选项为"或"）会显示的案例数
+        facets.forEach(facet => {
+            const counts = new Map(facet.values.map(entry => [String(entry.value), entry.count]));
+            document.querySelectorAll(`.filter-options[data-facet="${facet.key}"] .filter-option`).forEach(option => {
+                const count = counts.get(option.querySelector('input').value) || 0;
+                let badge = option.querySelector('.facet-count');
+                if (!badge) {
+                    badge = document.createElement('span');
+                    badge.className = 'facet-count';
+                    option.appendChild(badge);
+                }
+                badge.textContent = count;
+                option.classList.toggle('facet-empty', count === 0);
+            });
+        });
+
+        document.getElementById('applyFilters').textContent = `应用筛选 (${total})`;
+    }
+
+    /**
+     * 把筛选条件（currentFilters 的结构）写入 FilterEngine
+     */
+    setEngineFilters(engine, filters) {
+        const { FilterTypes } = window.SearchSystem;
+
+        Object.entries(GALLERY_FACETS).forEach(([group, key]) => {
+            // 一组全不选时没有案例可显示，不同于不筛选
+            if (filters[group].length) {
+                engine.setFacetSelection(key, filters[group]);
+            } else {
+                engine.addFilter(key, 'in', [], FilterTypes.SELECT);
+            }
+        });
+
+        if (filters.startDate && filters.endDate) {
+            engine.addFilter('date', 'between', [filters.startDate, filters.endDate], FilterTypes.DATE);
+        } else if (filters.startDate || filters.endDate) {
+            engine.addFilter('date', filters.startDate ? 'gte' : 'lte', filters.startDate || filters.endDate, FilterTypes.DATE);
+        } else {
+            engine.removeFilter('date');
+        }
+        engine.addFilter('rating', 'gte', filters.minRating, FilterTypes.NUMBER);
+        return engine;
+    }
+
+    /**
+     * setEngineFilters 的反向：已保存搜索的筛选 → currentFilters 的结构
+     */
+    filtersFromSearch(search) {
+        const filters = this.getDefaultFilters();
+        const groups = new Map(Object.entries(GALLERY_FACETS).map(([group, key]) => [key, group]));
+
+        search.filters.forEach(({ key, operator, value }) => {
+            if (groups.has(key) && Array.isArray(value)) {
+                filters[groups.get(key)] = value.slice();
+            } else if (key === 'date' && operator === 'between' && Array.isArray(value)) {
+                [filters.startDate, filters.endDate] = value;
+            } else if (key === 'date') {
+                filters[operator === 'lte' ? 'endDate' : 'startDate'] = value;
+            } else if (key === 'rating') {
+                filters.minRating = parseFloat(value) || filters.minRating;
+            }
+        });
+
+        return filters;
+    }
+
+    /**
+     * 创建分面计数用的筛选引擎
+     */
+    createFacetEngine() {
+        if (typeof window.SearchSystem === 'undefined') return null;
+
+        const engine = new window.SearchSystem.FilterEngine();
+        Object.values(GALLERY_FACETS).forEach(key => engine.defineFacet(key));
+        return engine;
+    }
+
+    /**
+     * 创建已保存搜索的管理器
+     */
+    createSavedSearches() {
+        if (typeof window.SearchSystem === 'undefined') return null;
+
+        return new window.SearchSystem.SavedSearchManager({
+            storageKey: 'lipGallerySavedSearches',
+            describeAlert: (search, items) => ({
+                title: `「${search.name}」有 ${items.length} 个新案例`,
+                body: items.slice(0, 3).map(item => item.title).join('\n')
+            })
+        });
+    }
+
+    /**
+     * 设置高级搜索面板；search-system.js 未加载时隐藏入口
+     */
+    setupAdvancedSearch() {
+        const button = document.getElementById('advancedSearchBtn');
+        if (typeof window.SearchSystem === 'undefined') {
+            button.hidden = true;
+            return;
+        }
+        button.addEventListener('click', () => this.toggleAdvancedSearch());
+    }
+
+    /**
+     * 打开/关闭高级搜索面板
+     */
+    toggleAdvancedSearch() {
+        const panel = document.getElementById('advancedSearchPanel');
+        const opening = panel.hidden;
+        if (opening && !this.advancedSearch) this.advancedSearch = this.createAdvancedSearch(panel);
+
+        panel.hidden = !opening;
+        document.getElementById('advancedSearchBtn').setAttribute('aria-expanded', String(opening));
+        if (opening) panel.querySelector('.search-input').focus();
+    }
+
+    /**
+     * 高级搜索：在已加载的案例中按查询语言（type:lip-shape rating:>=4 -并发症）
+     * 和所选模式（模糊、精确、拼音、相关术语、正则）检索，结果在灯箱中打开。
+     * 分面沿用筛选面板的分组和选项名称
+     */
+    createAdvancedSearch(container) {
+        const { AdvancedSearchComponent, FilterTypes } = window.SearchSystem;
+        const optionLabels = key => Object.fromEntries(
+            Array.from(document.querySelectorAll(`.filter-options[data-facet="${key}"] .filter-option`)).map(option => [
+                option.querySelector('input').value,
+                Array.from(option.childNodes).filter(node => node.nodeType === Node.TEXT_NODE).map(node => node.textContent).join('').trim()
+            ])
+        );
+
+        return new AdvancedSearchComponent({
+            container,
+            data: this.allItems.slice(),
+            searchOptions: {
+                keys: ['title', 'description', 'tags', 'doctorName'],
+                weights: { title: 2 }
+            },
+            queryFields: {
+                title: {},
+                description: {},
+                tag: { key: 'tags' },
+                doctor: { key: 'doctorName' },
+                type: { key: 'treatmentType', type: FilterTypes.SELECT },
+                category: { type: FilterTypes.SELECT },
+                age: { key: 'ageRange', type: FilterTypes.SELECT },
+                rating: { type: FilterTypes.NUMBER },
+                views: { type: FilterTypes.NUMBER },
+                date: { type: FilterTypes.DATE }
+            },
+            facets: Object.values(GALLERY_FACETS).map(key => ({
+                key,
+                label: document.querySelector(`.filter-options[data-facet="${key}"]`).previousElementSibling.textContent,
+                labels: optionLabels(key)
+            })),
+            tabFacet: 'treatmentType',
+            typeLabel: item => this.getTreatmentTypeName(item.treatmentType),
+            onSelect: item => this.openLightbox(item.id)
+        });
+    }
+
+    /**
+     * 设置已保存搜索面板
+     */
+    setupSavedSearches() {
+        const container = document.getElementById('savedSearches');
+        if (!this.savedSearches) {
+            container.hidden = true;
+            return;
+        }
+
+        document.getElementById('savedSearchesBtn').addEventListener('click', () => this.toggleSavedSearches());
+        document.getElementById('saveSearchBtn').addEventListener('click', () => this.saveCurrentSearch());
+        document.getElementById('exportSearchesBtn').addEventListener('click', () => this.exportSavedSearches());
+
+        const importInput = document.getElementById('importSearchesInput');
+        document.getElementById('importSearchesBtn').addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', () => {
+            if (importInput.files[0]) this.importSavedSearches(importInput.files[0]);
+            importInput.value = '';
+        });
+
+        // 列表每次重绘，事件委托到列表上
+        document.getElementById('savedSearchesList').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (button) {
+                this.handleSavedSearchAction(button.dataset.action, button.closest('.saved-search').dataset.id);
+            }
+        });
+
+        // 点击面板外关闭（按事件路径判断：列表按钮点击后可能已被重绘移除）
+        document.addEventListener('click', (e) => {
+            if (!e.composedPath().includes(container)) this.closeSavedSearches();
+        });
+    }
+
+    /**
+     * 打开/关闭已保存搜索面板
+     */
+    toggleSavedSearches() {
+        const panel = document.getElementById('savedSearchesPanel');
+        if (panel.hidden) {
+            this.renderSavedSearches();
+            panel.hidden = false;
+            document.getElementById('savedSearchesBtn').setAttribute('aria-expanded', 'true');
+        } else {
+            this.closeSavedSearches();
+        }
+    }
+
+    closeSavedSearches() {
+        document.getElementById('savedSearchesPanel').hidden = true;
+        document.getElementById('savedSearchesBtn').setAttribute('aria-expanded', 'false');
+    }
+
+    /**
+     * 渲染已保存搜索列表，标出上次查看后新增的匹配案例
+     */
+    renderSavedSearches() {
+        if (!this.savedSearches) return;
+
+        const searches = this.savedSearches.list();
+        let totalNew = 0;
+
+        document.getElementById('savedSearchesList').innerHTML = searches.length ? searches.map(search => {
+            const fresh = this.savedSearches.newMatches(search, this.savedSearchMatches.get(search.id) || []).length;
+            totalNew += fresh;
+
+            return `
+                <li class="saved-search${search.pinned ? ' pinned' : ''}" data-id="${this.escapeHtml(search.id)}">
+                    <button class="saved-search-name" data-action="apply" title="${this.escapeHtml(search.query || '仅筛选条件')}">
+                        ${this.escapeHtml(search.name)}
+                    </button>
+                    ${fresh ? `<span class="saved-search-new">${fresh} 新</span>` : ''}
+                    <button class="saved-search-action${search.pinned ? ' active' : ''}" data-action="pin" title="置顶" aria-pressed="${search.pinned}">📌</button>
+                    <button class="saved-search-action${search.alerts ? ' active' : ''}" data-action="alerts" title="新案例提醒" aria-pressed="${search.alerts}">🔔</button>
+                    <button class="saved-search-action" data-action="share" title="复制链接">🔗</button>
+                    <button class="saved-search-action" data-action="delete" title="删除">✕</button>
+                </li>
+            `;
+        }).join('') : '<li class="saved-searches-empty">还没有保存的搜索</li>';
+
+        const badge = document.getElementById('savedSearchesBadge');
+        badge.textContent = totalNew;
+        badge.hidden = totalNew === 0;
+    }
+
+    /**
+     * 已保存搜索列表上的操作
+     */
+    async handleSavedSearchAction(action, id) {
+        const search = this.savedSearches.get(id);
+        if (!search) return;
+
+        switch (action) {
+            case 'apply':
+                this.applySavedSearch(search);
+                this.closeSavedSearches();
+                return;
+            case 'pin':
+                this.savedSearches.togglePin(id);
+                break;
+            case 'alerts':
+                if (!search.alerts && !await this.savedSearches.requestAlertPermission()) {
+                    this.showNotification('浏览器未允许通知，新案例只会在这里标出', 'info');
+                }
+                this.savedSearches.update(id, { alerts: !search.alerts });
+                break;
+            case 'share':
+                this.copyToClipboard(this.savedSearches.toURL(search));
+                return;
+            case 'delete':
+                if (!confirm(`删除已保存的搜索「${search.name}」？`)) return;
+                this.savedSearches.remove(id);
+                break;
+        }
+
+        this.renderSavedSearches();
+    }
+
+    /**
+     * 把当前搜索词、筛选条件和排序保存为命名搜索
+     */
+    saveCurrentSearch() {
+        const name = prompt('为当前搜索命名：', this.searchQuery);
+        if (!name || !name.trim()) return;
+
+        const search = this.savedSearches.save(name, {
+            query: this.searchQuery,
+            filters: this.setEngineFilters(new window.SearchSystem.FilterEngine(), this.currentFilters),
+            sort: this.currentSort
+        });
+        this.markSavedSearchViewed(search);
+        this.showNotification(`已保存搜索「${this.escapeHtml(search.name)}」`, 'success');
+    }
+
+    /**
+     * 已保存搜索在整个数据源中匹配的案例（不受"只看收藏"影响）；
+     * 逐页查询数据源，不限于已载入的页，多个搜索共用一次遍历
+     * @returns {Promise<Map>} search.id → 匹配案例
+     */
+    async querySavedMatches(searches) {
+        const tests = searches.map(search => {
+            const engine = this.savedSearches.filterEngine(search);
+            const matches = this.queryFilter(search.query);
+            return [search.id, item => matches(item) && engine.passes(item)];
+        });
+        const found = new Map(tests.map(([id]) => [id, []]));
+        const collect = item => {
+            tests.forEach(([id, test]) => {
+                if (test(item)) found.get(id).push(item);
+            });
+            return false;
+        };
+
+        // 未加载 gallery-data-sources.js 时只能查已载入的案例
+        if (typeof GalleryDataSources === 'undefined') {
+            this.allItems.forEach(collect);
+        } else {
+            await GalleryDataSources.find(this.dataSource, collect, {
+                validate: !this.dataSource.builtIn,
+                enums: this.validationEnums()
+            });
+        }
+        return found;
+    }
+
+    /**
+     * 重新查询所有已保存搜索的匹配案例
+     */
+    async refreshSavedSearchMatches() {
+        this.savedSearchMatches = await this.querySavedMatches(this.savedSearches.list());
+    }
+
+    /**
+     * 已保存搜索当前的匹配案例记为已查看
+     */
+    async markSavedSearchViewed(search) {
+        try {
+            const matches = (await this.querySavedMatches([search])).get(search.id);
+            if (!this.savedSearches.markViewed(search.id, matches)) return;
+            this.savedSearchMatches.set(search.id, matches);
+            this.renderSavedSearches();
+        } catch (error) {
+            console.warn('Failed to query saved search matches:', error);
+        }
+    }
+
+    /**
+     * 恢复搜索词、筛选条件和排序（不重新渲染）
+     */
+    restoreSearch(search) {
+        this.searchQuery = search.query;
+        this.searchId = null;   // 不是读者输入的搜索，不计入搜索分析
+        document.getElementById('searchInput').value = search.query;
+
+        this.currentFilters = this.filtersFromSearch(search);
+        this.updateFilterUI();
+
+        const sortSelect = document.getElementById('sortSelect');
+        if (search.sort && Array.from(sortSelect.options).some(option => option.value === search.sort)) {
+            this.currentSort = search.sort;
+            sortSelect.value = search.sort;
+        }
+    }
+
+    /**
+     * 打开已保存的搜索，其匹配案例记为已查看
+     */
+    applySavedSearch(search) {
+        this.restoreSearch(search);
+        this.applyFiltersAndSearch();
+        this.renderGallery();
+
+        if (this.savedSearches.get(search.id)) {
+            this.markSavedSearchViewed(search);
+        }
+    }
 
-        // 可以在这里更新UI显示预览结果数量
-        // console.log(`预览结果: ${previewItems.length} 个案例`);
+    /**
+     * 从分享链接（?q=&filters=&sort=）恢复搜索
+     */
+    restoreSharedSearch() {
+        if (!this.savedSearches) return;
+
+        const shared = this.savedSearches.fromURL(window.location.href);
+        if (shared) this.restoreSearch(shared);
+    }
+
+    /**
+     * 检查开启提醒的已保存搜索有没有新案例，由 Service Worker 发出通知
+     */
+    async checkSavedSearchAlerts() {
+        if (!this.savedSearches) return;
+
+        try {
+            await this.refreshSavedSearchMatches();
+            const alerts = await this.savedSearches.checkAlerts(search => this.savedSearchMatches.get(search.id) || []);
+            this.renderSavedSearches();
+
+            if (alerts.length) {
+                this.showNotification(`${alerts.length} 个已保存搜索有新案例`, 'info');
+            }
+        } catch (error) {
+            console.warn('Failed to check saved search alerts:', error);
+        }
+    }
+
+    /**
+     * 导出已保存搜索为 JSON 文件
+     */
+    exportSavedSearches() {
+        const blob = new Blob([this.savedSearches.exportJSON()], { type: 'application/json' });
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'saved-searches.json';
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        window.URL.revokeObjectURL(url);
+    }
+
+    /**
+     * 从 JSON 文件导入已保存搜索
+     */
+    async importSavedSearches(file) {
+        try {
+            const count = this.savedSearches.importJSON(await file.text());
+            this.renderSavedSearches();
+            this.showNotification(`已导入 ${count} 个搜索`, 'success');
+        } catch (error) {
+            console.warn('Failed to import saved searches:', error);
+            this.showNotification('导入失败：文件格式不正确', 'error');
+            return;
+        }
+
+        try {
+            await this.refreshSavedSearchMatches();
+            this.renderSavedSearches();
+        } catch (error) {
+            console.warn('Failed to query saved search matches:', error);
+        }
+    }
+
+    /**
+     * 转义 HTML 特殊字符
+     */
+    escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, char => ({
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#39;'
+        })[char]);
     }
 
     /**
@@ -2245,10 +3095,12 @@ class LipAestheticsGallery {
      * 更新选择UI
      */
     updateSelectionUI() {
+        // data-id 是字符串，数据源的 id 可以是数字或字符串
+        const selectedIds = new Set(Array.from(this.selectedItems, String));
+
         // 更新复选框状态
         document.querySelectorAll('.item-checkbox').forEach(checkbox => {
-            const itemId = parseInt(checkbox.dataset.id);
-            checkbox.checked = this.selectedItems.has(itemId);
+            checkbox.checked = selectedIds.has(checkbox.dataset.id);
         });
 
         // 更新全选按钮
@@ -2261,8 +3113,7 @@ class LipAestheticsGallery {
 
         // 更新项目视觉状态
         document.querySelectorAll('.gallery-item').forEach(item => {
-            const itemId = parseInt(item.dataset.id);
-            item.classList.toggle('selected', this.selectedItems.has(itemId));
+            item.classList.toggle('selected', selectedIds.has(item.dataset.id));
         });
     }
 
@@ -2273,41 +3124,124 @@ class LipAestheticsGallery {
         const batchDownloadBtn = document.getElementById('batchDownloadBtn');
         const hasSelection = this.selectedItems.size > 0;
 
-        batchDownloadBtn.disabled = !hasSelection;
+        batchDownloadBtn.disabled = !hasSelection || Boolean(this.archiveController);
         batchDownloadBtn.textContent = hasSelection ? `批量下载 (${this.selectedItems.size})` : '批量下载';
+
+        // 同时对比 2–4 个案例
+        const compareBtn = document.getElementById('compareSelectedBtn');
+        const count = this.selectedItems.size;
+        compareBtn.hidden = typeof ImageCompare === 'undefined';
+        compareBtn.disabled = count < 2 || count > this.maxCompareItems();
+        compareBtn.textContent = count >= 2 ? `对比所选 (${count})` : '对比所选';
+        compareBtn.title = count > this.maxCompareItems() ? `最多同时对比 ${this.maxCompareItems()} 个案例` : '';
     }
 
     /**
-     * 批量下载
+     * 批量下载：所选案例的图片与元数据清单打包为一个 ZIP（见 gallery-archive.js），
+     * 避免浏览器拦截或限流连续触发的多个下载
      */
     async batchDownload() {
-        if (this.selectedItems.size === 0) return;
+        if (this.selectedItems.size === 0 || this.archiveController) return;
+
+        if (typeof GalleryArchive === 'undefined') {
+            await this.downloadSeparately(Array.from(this.selectedItems));
+            return;
+        }
+
+        const items = this.allItems.filter(item => this.selectedItems.has(item.id));
+        const controller = new AbortController();
+        this.archiveController = controller;
+        this.updateBatchActions();
+        this.showDownloadProgress(`正在打包 ${items.length} 个案例...`, 0);
+
+        try {
+            const result = await GalleryArchive.build(items, {
+                signal: controller.signal,
+                describe: item => ({ treatmentName: this.getTreatmentTypeName(item.treatmentType) }),
+                onProgress: ({ done, total }) => {
+                    this.showDownloadProgress(`正在打包图片 ${done}/${total}`, done / total);
+                }
+            });
+
+            this.saveBlob(result.blob, `唇部美学案例-${new Date().toISOString().slice(0, 10)}.zip`);
+
+            const size = result.size < 1048576 ? `${Math.ceil(result.size / 1024)} KB` : `${(result.size / 1048576).toFixed(1)} MB`;
+            if (result.failed.length > 0) {
+                this.showNotification(`已打包 ${items.length} 个案例（${size}），${result.failed.length} 张图片下载失败，详见 manifest.json`, 'error', 5000);
+            } else {
+                this.showNotification(`已打包 ${items.length} 个案例（${size}）`, 'success');
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.showNotification('已取消批量下载', 'info');
+            } else {
+                console.error('Batch download failed:', error);
+                this.showNotification('批量下载失败', 'error');
+            }
+        } finally {
+            this.archiveController = null;
+            this.hideDownloadProgress();
+        }
+    }
+
+    /**
+     * 取消正在进行的批量下载
+     */
+    cancelBatchDownload() {
+        if (this.archiveController) {
+            this.archiveController.abort();
+        }
+    }
 
-        const selectedItemsArray = Array.from(this.selectedItems);
+    /**
+     * 逐张下载（未加载 gallery-archive.js 时）
+     */
+    async downloadSeparately(itemIds) {
         const maxConcurrent = 3; // 限制并发下载数
 
         try {
             this.showNotification('开始批量下载...', 'info');
 
-            for (let i = 0; i < selectedItemsArray.length; i += maxConcurrent) {
-                const batch = selectedItemsArray.slice(i, i + maxConcurrent);
-                const downloadPromises = batch.map(itemId => this.downloadImage(itemId, false));
-
-                await Promise.all(downloadPromises);
+            for (let i = 0; i < itemIds.length; i += maxConcurrent) {
+                const batch = itemIds.slice(i, i + maxConcurrent);
+                await Promise.all(batch.map(itemId => this.downloadImage(itemId, false)));
 
                 // 短暂延迟避免过快请求
-                if (i + maxConcurrent < selectedItemsArray.length) {
+                if (i + maxConcurrent < itemIds.length) {
                     await new Promise(resolve => setTimeout(resolve, 1000));
                 }
             }
 
-            this.showNotification(`成功下载 ${this.selectedItems.size} 张图片`, 'success');
+            this.showNotification(`成功下载 ${itemIds.length} 张图片`, 'success');
         } catch (error) {
             console.error('Batch download failed:', error);
             this.showNotification('批量下载失败', 'error');
         }
     }
 
+    /**
+     * 显示批量下载进度
+     * @param {string} label
+     * @param {number} fraction - 0–1
+     */
+    showDownloadProgress(label, fraction) {
+        const panel = document.getElementById('downloadProgress');
+        if (!panel) return;
+
+        panel.hidden = false;
+        document.getElementById('downloadProgressLabel').textContent = label;
+        document.getElementById('downloadProgressBar').value = fraction;
+    }
+
+    /**
+     * 隐藏批量下载进度
+     */
+    hideDownloadProgress() {
+        const panel = document.getElementById('downloadProgress');
+        if (panel) panel.hidden = true;
+        this.updateBatchActions();
+    }
+
     /**
      * 下载图片
      */
@@ -2319,14 +3253,7 @@ class LipAestheticsGallery {
             const response = await fetch(item.afterImage);
             const blob = await response.blob();
 
-            const url = window.URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `${item.title}.jpg`;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            window.URL.revokeObjectURL(url);
+            this.saveBlob(blob, `${item.title}.jpg`);
 
             if (showNotification) {
                 this.showNotification('图片下载成功', 'success');
@@ -2339,6 +3266,22 @@ class LipAestheticsGallery {
         }
     }
 
+    /**
+     * 以文件形式保存 Blob
+     */
+    saveBlob(blob, filename) {
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+
+        // 立即撤销可能中断较大文件的下载
+        setTimeout(() => window.URL.revokeObjectURL(url), 1000);
+    }
+
     /**
      * 切换收藏筛选
      */
@@ -2353,9 +3296,16 @@ class LipAestheticsGallery {
     /**
      * 加载更多
      */
-    loadMore() {
+    async loadMore() {
         if (!this.hasMoreItems || this.isLoading) return;
 
+        // 已加载的案例不够下一页时，先向数据源取
+        const needed = (this.currentPage + 1) * this.itemsPerPage;
+        if (needed > this.filteredItems.length && this.dataCursor !== null) {
+            const loaded = await this.loadMoreFromSource(needed);
+            if (!loaded) return;
+        }
+
         this.currentPage++;
         this.updateCurrentItems();
 
@@ -2363,10 +3313,50 @@ class LipAestheticsGallery {
         this.appendNewItems();
     }
 
+    /**
+     * 逐页向数据源取案例，直到筛选结果够 needed 个或没有更多
+     * 新案例按当前搜索、筛选和排序接在已显示的案例之后；
+     * 等待期间搜索或筛选变了（filteredItems 已被替换）时，按新条件从 allItems 重新筛选并渲染
+     * @returns {Promise<boolean>} 是否可以接着追加下一页
+     */
+    async loadMoreFromSource(needed) {
+        this.showLoading(true);
+        this.updateLoadMoreButton();
+
+        const filtered = this.filteredItems;
+        try {
+            while (this.filteredItems.length < needed && this.dataCursor !== null) {
+                const items = await this.fetchNextPage();
+                if (this.filteredItems !== filtered) {
+                    this.applyFiltersAndSearch();
+                    this.renderGallery();
+                    return false;
+                }
+                this.filteredItems.push(...this.sortItems(this.applyFiltersToItems(this.searchItems(items))));
+            }
+            return true;
+        } catch (error) {
+            console.error('Failed to load more cases:', error);
+            this.showNotification('加载更多案例失败，请稍后重试', 'error');
+            return false;
+        } finally {
+            this.showLoading(false);
+            this.updateLoadMoreButton();
+            this.updateResultCount();
+            this.updateFilterPreview();
+        }
+    }
+
     /**
      * 追加新项目
      */
     appendNewItems() {
+        // 新加载的案例可能属于已显示的疗程，时间线整体重新分组
+        if (this.currentView === 'timeline') {
+            this.renderGallery();
+            return;
+        }
+
         const container = document.getElementById('galleryGrid');
         const startIndex = (this.currentPage - 1) * this.itemsPerPage;
         const newItems = this.filteredItems.slice(startIndex, startIndex + this.itemsPerPage);
@@ -2391,7 +3381,7 @@ class LipAestheticsGallery {
         const container = document.getElementById('loadMoreContainer');
         const btn = document.getElementById('loadMoreBtn');
 
-        if (this.hasMoreItems && this.filteredItems.length > this.itemsPerPage) {
+        if (this.hasMoreItems) {
             container.style.display = 'block';
             btn.textContent = this.isLoading ? '加载中...' : '加载更多';
             btn.disabled = this.isLoading;
@@ -2405,7 +3395,11 @@ class LipAestheticsGallery {
      */
     updateResultCount() {
         const resultCount = document.getElementById('resultCount');
-        resultCount.innerHTML = `共 <strong>${this.filteredItems.length}</strong> 个案例`;
+        // 数据源还有未加载的页时，注明已加载多少
+        const loaded = this.dataCursor === null
+            ? ''
+            : `（已加载 ${this.allItems.length}${this.totalItems ? ` / ${this.totalItems}` : ''}）`;
+        resultCount.innerHTML = `共 <strong>${this.filteredItems.length}</strong> 个案例${loaded}`;
     }
 
     /**
@@ -2437,6 +3431,8 @@ class LipAestheticsGallery {
                 this.closeFilterSidebar();
             } else if (document.getElementById('shareModal').classList.contains('active')) {
                 this.closeShareModal();
+            } else if (this.savedSearches && !document.getElementById('savedSearchesPanel').hidden) {
+                this.closeSavedSearches();
             }
         }
 
@@ -2463,6 +3459,10 @@ class LipAestheticsGallery {
                     e.preventDefault();
                     this.downloadCurrentImage();
                     break;
+                case 'c':
+                    e.preventDefault();
+                    this.toggleCompareMode();
+                    break;
                 case 'Enter':
                     e.preventDefault();
                     this.toggleFullscreen();
@@ -2485,6 +3485,56 @@ class LipAestheticsGallery {
         }
     }
 
+    /**
+     * Ctrl+K 统一检索（federated-search.js）：本页的案例直接在灯箱中打开
+     */
+    setupKeyboardShortcuts() {
+        if (typeof FederatedSearch === 'undefined') return;
+
+        const search = FederatedSearch.createDefault().register(this.searchProvider);
+        this.commandPalette = new FederatedSearch.Palette(search, {
+            onNavigate: (result) => {
+                if (result.source !== 'gallery') return false;
+                this.openCase(result.data.id);
+                return true;
+            }
+        }).bindShortcut();
+    }
+
+    /**
+     * 打开链接指定的案例（?case=id，来自统一检索）
+     */
+    async openLinkedCase() {
+        const id = new URLSearchParams(window.location.search).get('case');
+        if (id) await this.openCase(id);
+    }
+
+    /**
+     * 在灯箱中打开案例；尚未加载时从数据源继续取页直到找到它
+     * @param {string|number} id
+     */
+    async openCase(id) {
+        const find = () => this.allItems.find(i => String(i.id) === String(id));
+        let item = find();
+
+        try {
+            while (!item && this.dataCursor !== null) {
+                await this.fetchNextPage();
+                item = find();
+            }
+        } catch (error) {
+            console.error('Failed to load the linked case:', error);
+        }
+
+        if (!item) {
+            this.showNotification('未找到该案例，可能已被移除', 'error');
+            return;
+        }
+        this.applyFiltersAndSearch();
+        this.renderGallery();
+        this.openLightbox(item.id);
+    }
+
     /**
      * 下载当前灯箱图片
      */
@@ -2734,19 +3784,111 @@ class LipAestheticsGallery {
     }
 
     /**
-     * 切换对比模式
+     * 切换灯箱中当前案例的前后对比
      */
     toggleCompareMode() {
-        // 实现前后对比功能
-        console.log('Toggle compare mode');
+        if (this.compareView) {
+            this.closeCompare();
+            return;
+        }
+
+        const item = this.lightboxItems[this.currentLightboxIndex];
+        if (item) this.showCompare([item]);
     }
 
     /**
-     * 打开对比模式
+     * 在灯箱中打开案例的前后对比（网格上的对比按钮）
      */
     openCompareMode(itemId) {
-        // 实现对比查看功能
-        console.log('Open compare mode for item:', itemId);
+        this.openLightbox(itemId);
+
+        const item = this.lightboxItems[this.currentLightboxIndex];
+        if (this.isLightboxOpen && item) this.showCompare([item]);
+    }
+
+    /**
+     * 同时对比网格中选中的 2–4 个案例（各自的术后照片）
+     */
+    compareSelected() {
+        const items = this.allItems.filter(item => this.selectedItems.has(item.id));
+        if (items.length < 2 || items.length > this.maxCompareItems()) return;
+
+        this.openLightbox(items[0].id);
+        this.lightboxItems = items;
+        this.currentLightboxIndex = 0;
+        this.showCompare(items);
+    }
+
+    /**
+     * 在灯箱图片区显示对比：一个案例为术前/术后，多个案例为各自的术后照片
+     * 案例数据可带 landmarks: { before: {id: {x, y}}, after: {...} }（相对坐标）用于对齐
+     */
+    showCompare(items) {
+        if (typeof ImageCompare === 'undefined') {
+            this.showNotification('对比功能未加载', 'error');
+            return;
+        }
+
+        // 缺术前照片的案例（见 GalleryDataSources.validateItem）无从前后对比
+        if (items.length === 1 && items[0].missingBeforeImage) {
+            this.closeCompare();
+            this.showNotification('该案例没有术前照片，无法前后对比', 'info');
+            return;
+        }
+
+        const landmarks = (item, side) => item.landmarks && item.landmarks[side];
+        const images = items.length === 1
+            ? [
+                { key: `${items[0].id}:before`, src: items[0].beforeImage, label: '术前', landmarks: landmarks(items[0], 'before') },
+                { key: `${items[0].id}:after`, src: items[0].afterImage, label: '术后', landmarks: landmarks(items[0], 'after') }
+            ]
+            : items.map(item => ({ key: `${item.id}:after`, src: item.afterImage, label: item.title, landmarks: landmarks(item, 'after') }));
+
+        if (!this.compareView) {
+            this.compareView = new ImageCompare(document.querySelector('.lightbox-image-container'));
+        }
+        this.compareItems = items;
+        this.compareView.setImages(images);
+
+        const modal = document.getElementById('lightboxModal');
+        modal.classList.add('comparing');
+        modal.classList.toggle('comparing-multiple', items.length > 1);
+        if (items.length > 1) document.getElementById('lightboxTitle').textContent = `对比 ${items.length} 个案例`;
+
+        const toggleCompareBtn = document.getElementById('toggleCompareBtn');
+        toggleCompareBtn.classList.add('active');
+        toggleCompareBtn.setAttribute('aria-pressed', 'true');
+        this.updateLightboxNavigation();
+    }
+
+    /**
+     * 关闭对比，回到单张图片
+     */
+    closeCompare() {
+        if (!this.compareView) return;
+
+        this.compareView.destroy();
+        this.compareView = null;
+
+        const modal = document.getElementById('lightboxModal');
+        const wasMultiple = this.compareItems.length > 1;
+        modal.classList.remove('comparing', 'comparing-multiple');
+        this.compareItems = [];
+
+        const toggleCompareBtn = document.getElementById('toggleCompareBtn');
+        toggleCompareBtn.classList.remove('active');
+        toggleCompareBtn.setAttribute('aria-pressed', 'false');
+
+        const item = this.lightboxItems[this.currentLightboxIndex];
+        if (wasMultiple && item && this.isLightboxOpen) this.displayLightboxItem(item);
+        this.updateLightboxNavigation();
+    }
+
+    /**
+     * 可同时对比的案例数
+     */
+    maxCompareItems() {
+        return typeof ImageCompare !== 'undefined' ? ImageCompare.MAX_IMAGES : 0;
     }
 
     /**
@@ -2798,7 +3940,8 @@ class LipAestheticsGallery {
 
 // 初始化画廊
 document.addEventListener('DOMContentLoaded', () => {
-    window.lipGallery = new LipAestheticsGallery();
+    // 页面可在加载 gallery.js 前设置 window.galleryDataSource，见 gallery.html
+    window.lipGallery = new LipAestheticsGallery({ dataSource: window.galleryDataSource });
 });
 
 // PWA相关
@@ -2880,6 +4023,218 @@ styleSheet.textContent = `
     .notification-close:hover {
         opacity: 1;
     }
+
+    .facet-count {
+        margin-left: 6px;
+        font-size: 0.8em;
+        color: #888;
+    }
+
+    .filter-option.facet-empty {
+        opacity: 0.5;
+    }
+
+    .saved-searches {
+        position: relative;
+    }
+
+    .saved-searches-badge {
+        margin-left: 4px;
+        padding: 0 6px;
+        border-radius: 10px;
+        background: #E91E63;
+        color: white;
+        font-size: 0.75em;
+    }
+
+    .saved-searches-panel {
+        position: absolute;
+        top: calc(100% + 8px);
+        right: 0;
+        z-index: 200;
+        width: 320px;
+        padding: 12px;
+        border-radius: 8px;
+        background: white;
+        box-shadow: 0 4px 20px rgba(0,0,0,0.15);
+    }
+
+    .saved-searches-list {
+        list-style: none;
+        margin: 12px 0;
+        padding: 0;
+        max-height: 320px;
+        overflow-y: auto;
+    }
+
+    .saved-search {
+        display: flex;
+        align-items: center;
+        gap: 4px;
+        padding: 4px 0;
+    }
+
+    .saved-search-name {
+        flex: 1;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+        text-align: left;
+        background: none;
+        border: none;
+        cursor: pointer;
+    }
+
+    .saved-search.pinned .saved-search-name {
+        font-weight: 600;
+    }
+
+    .saved-search-new {
+        color: #E91E63;
+        font-size: 0.8em;
+    }
+
+    .saved-search-action {
+        background: none;
+        border: none;
+        cursor: pointer;
+        opacity: 0.4;
+    }
+
+    .saved-search-action.active,
+    .saved-search-action:hover {
+        opacity: 1;
+    }
+
+    .saved-searches-empty {
+        color: #888;
+        font-size: 0.9em;
+    }
+
+    .saved-searches-actions {
+        display: flex;
+        gap: 8px;
+    }
+
+    .advanced-search-panel {
+        margin: 0 0 24px;
+        padding: 16px;
+        border-radius: 8px;
+        background: white;
+        box-shadow: 0 2px 12px rgba(0,0,0,0.08);
+    }
+
+    .advanced-search .search-header,
+    .advanced-search .search-filters,
+    .advanced-search .results-header,
+    .advanced-search .result-header,
+    .advanced-search .result-meta {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 8px;
+    }
+
+    .advanced-search .search-input-container {
+        position: relative;
+        flex: 1;
+        display: flex;
+    }
+
+    .advanced-search .search-input {
+        flex: 1;
+        min-width: 0;
+    }
+
+    .advanced-search .search-input-actions button,
+    .advanced-search .filter-tab,
+    .advanced-search .filter-toggle-btn,
+    .advanced-search .sort-btn {
+        background: none;
+        border: 1px solid #ddd;
+        border-radius: 4px;
+        padding: 4px 8px;
+        cursor: pointer;
+    }
+
+    .advanced-search .filter-tab.active,
+    .advanced-search .filter-toggle-btn.active {
+        border-color: #E91E63;
+        color: #E91E63;
+    }
+
+    .advanced-search .search-filters {
+        justify-content: space-between;
+        margin: 12px 0;
+    }
+
+    .advanced-search .search-suggestions {
+        position: absolute;
+        z-index: 200;
+        min-width: 280px;
+        background: white;
+        box-shadow: 0 4px 20px rgba(0,0,0,0.15);
+    }
+
+    .advanced-search .suggestion-item {
+        display: flex;
+        gap: 8px;
+        padding: 6px 10px;
+        cursor: pointer;
+    }
+
+    .advanced-search .suggestion-item.active,
+    .advanced-search .suggestion-item:hover {
+        background: #fce4ec;
+    }
+
+    .advanced-search .filter-sections {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 24px;
+        margin-bottom: 12px;
+    }
+
+    .advanced-search .filter-group label {
+        display: block;
+    }
+
+    .advanced-search .filter-value-count,
+    .advanced-search .filter-tab-count,
+    .advanced-search .results-time,
+    .advanced-search .result-score,
+    .advanced-search .result-meta {
+        color: #888;
+        font-size: 0.85em;
+    }
+
+    .advanced-search .results-header {
+        justify-content: space-between;
+    }
+
+    .advanced-search .result-item {
+        padding: 12px 0;
+        border-bottom: 1px solid #eee;
+    }
+
+    .advanced-search .result-title {
+        flex: 1;
+        margin: 0;
+        font-size: 1em;
+    }
+
+    .advanced-search .result-description {
+        margin: 4px 0;
+    }
+
+    .advanced-search mark {
+        background: #fce4ec;
+        color: inherit;
+    }
+
+    .advanced-search .search-error pre {
+        overflow-x: auto;
+    }
 `;
 
 document.head.appendChild(styleSheet);
\ No newline at end of file
@@ -0,0 +1,301 @@
+/**
+ * Medical Glossary
+ * Definitions of the anatomical and clinical terms used in the book
+ * 医学术语表：正文中首次出现的术语自动链接到释义浮窗
+ *
+ * Each entry: id (stable, used in links), term (as written in the text),
+ * aliases (other spellings found in the chapters), english, latin
+ * (Terminologia Anatomica name, anatomy only), definition, and anatomy:
+ * where the structure is shown in the 3D viewer (enhanced_3d_anatomy.html)
+ * as a layer and, where one exists, an annotation marker index.
+ */
+
+const MedicalGlossary = [
+    // 肌肉 Muscles
+    {
+        id: 'orbicularis-oris',
+        term: '口轮匝肌',
+        aliases: [],
+        english: 'Orbicularis oris',
+        latin: 'Musculus orbicularis oris',
+        definition: '环绕口裂的括约肌，构成唇的主体肌层，负责闭唇、撅嘴和发音时的唇部动作。填充剂一般注射在其浅层或黏膜下，避免进入肌内。',
+        anatomy: { layer: 'muscle', annotation: 4 }
+    },
+    {
+        id: 'depressor-anguli-oris',
+        term: '降口角肌',
+        aliases: ['口角降肌'],
+        english: 'Depressor anguli oris',
+        latin: 'Musculus depressor anguli oris',
+        definition: '起自下颌骨外斜线、止于口角的三角形肌肉，收缩时使口角下垂，是“苦相”口角和木偶纹的成因之一，常作为肉毒素注射靶点。',
+        anatomy: { layer: 'muscle', annotation: 1 }
+    },
+    {
+        id: 'levator-labii-superioris',
+        term: '提上唇肌',
+        aliases: ['上唇提肌'],
+        english: 'Levator labii superioris',
+        latin: 'Musculus levator labii superioris',
+        definition: '起自眶下缘、止于上唇的肌肉，上提上唇；过度收缩可致露龈笑。',
+        anatomy: { layer: 'muscle', annotation: 3 }
+    },
+    {
+        id: 'zygomaticus-major',
+        term: '颧大肌',
+        aliases: [],
+        english: 'Zygomaticus major',
+        latin: 'Musculus zygomaticus major',
+        definition: '自颧骨斜行至口角的笑肌群主力，向外上牵拉口角形成微笑。',
+        anatomy: { layer: 'muscle' }
+    },
+    {
+        id: 'risorius',
+        term: '笑肌',
+        aliases: [],
+        english: 'Risorius',
+        latin: 'Musculus risorius',
+        definition: '横向止于口角的浅表肌束，向外牵拉口角，参与微笑和酒窝的形成。',
+        anatomy: { layer: 'muscle' }
+    },
+    {
+        id: 'mentalis',
+        term: '颏肌',
+        aliases: [],
+        english: 'Mentalis',
+        latin: 'Musculus mentalis',
+        definition: '位于下颏的成对肌肉，上提并前突下唇；过度活跃时下颏出现“橘皮样”凹凸。',
+        anatomy: { layer: 'muscle' }
+    },
+    {
+        id: 'buccinator',
+        term: '颊肌',
+        aliases: [],
+        english: 'Buccinator',
+        latin: 'Musculus buccinator',
+        definition: '构成颊部的深层肌肉，纤维汇入口轮匝肌，使颊部贴紧牙列。',
+        anatomy: { layer: 'muscle' }
+    },
+    {
+        id: 'modiolus',
+        term: '蜗轴',
+        aliases: ['口角轴'],
+        english: 'Modiolus',
+        latin: 'Modiolus anguli oris',
+        definition: '口角外侧多条表情肌交汇形成的致密纤维肌性结节，决定口角的位置和动态。',
+        anatomy: { layer: 'muscle', annotation: 1 }
+    },
+
+    // 表面解剖 Surface anatomy
+    {
+        id: 'vermilion-border',
+        term: '唇红缘',
+        aliases: ['红唇缘'],
+        english: 'Vermilion border',
+        latin: null,
+        definition: '唇红与周围皮肤交界的轮廓线，略微隆起，是唇形轮廓的关键；沿唇红缘线性注射可勾勒和强化唇线。',
+        anatomy: { layer: 'skin', annotation: 2 }
+    },
+    {
+        id: 'vermilion',
+        term: '唇红',
+        aliases: [],
+        english: 'Vermilion',
+        latin: null,
+        definition: '唇部外露的红色部分，上皮薄、无毛囊和汗腺，下方血管丰富，因而呈红色。',
+        anatomy: { layer: 'skin' }
+    },
+    {
+        id: 'cupids-bow',
+        term: '唇弓',
+        aliases: ['丘比特弓'],
+        english: 'Cupid\'s bow',
+        latin: null,
+        definition: '上唇唇红缘中部的双峰弓形曲线，由两侧唇峰和中央凹陷组成。',
+        anatomy: { layer: 'skin', annotation: 0 }
+    },
+    {
+        id: 'lip-peak',
+        term: '唇峰',
+        aliases: [],
+        english: 'Peaks of Cupid\'s bow',
+        latin: null,
+        definition: '唇弓两侧的最高点，约与人中嵴下端相对，是评估唇形对称性的标志点。',
+        anatomy: { layer: 'skin', annotation: 3 }
+    },
+    {
+        id: 'labial-tubercle',
+        term: '唇珠',
+        aliases: [],
+        english: 'Tubercle of upper lip',
+        latin: 'Tuberculum labii superioris',
+        definition: '上唇唇红中央向下突出的小结节，使上唇中部更饱满立体。',
+        anatomy: { layer: 'skin', annotation: 0 }
+    },
+    {
+        id: 'philtrum',
+        term: '人中',
+        aliases: [],
+        english: 'Philtrum',
+        latin: 'Philtrum',
+        definition: '鼻小柱下方至上唇唇红之间的纵行浅沟，两侧以人中嵴为界。',
+        anatomy: { layer: 'skin' }
+    },
+    {
+        id: 'philtral-column',
+        term: '人中嵴',
+        aliases: ['人中脊'],
+        english: 'Philtral column',
+        latin: null,
+        definition: '人中两侧的纵行皮肤隆起，下端止于唇峰；随年龄增长逐渐变平。',
+        anatomy: { layer: 'skin' }
+    },
+    {
+        id: 'oral-commissure',
+        term: '口角',
+        aliases: ['嘴角'],
+        english: 'Oral commissure',
+        latin: 'Commissura labiorum oris',
+        definition: '上下唇在两侧的交汇处。口角下垂是口周衰老的典型表现，此处血管神经丰富，注射需谨慎。',
+        anatomy: { layer: 'skin', annotation: 1 }
+    },
+
+    // 血管 Vessels
+    {
+        id: 'facial-artery',
+        term: '面动脉',
+        aliases: [],
+        english: 'Facial artery',
+        latin: 'Arteria facialis',
+        definition: '颈外动脉的分支，绕下颌骨下缘上行至面部，在口角附近发出上、下唇动脉。',
+        anatomy: { layer: 'vessel' }
+    },
+    {
+        id: 'superior-labial-artery',
+        term: '上唇动脉',
+        aliases: [],
+        english: 'Superior labial artery',
+        latin: 'Arteria labialis superior',
+        definition: '面动脉在口角附近发出的分支，多走行于上唇口轮匝肌与黏膜之间，两侧吻合成环；误入血管是唇部注射栓塞的主要风险。',
+        anatomy: { layer: 'vessel' }
+    },
+    {
+        id: 'inferior-labial-artery',
+        term: '下唇动脉',
+        aliases: [],
+        english: 'Inferior labial artery',
+        latin: 'Arteria labialis inferior',
+        definition: '面动脉发出的下唇供血支，走行于下唇肌层深面，与对侧吻合。',
+        anatomy: { layer: 'vessel' }
+    },
+
+    // 神经 Nerves
+    {
+        id: 'facial-nerve',
+        term: '面神经',
+        aliases: [],
+        english: 'Facial nerve',
+        latin: 'Nervus facialis',
+        definition: '第Ⅶ对脑神经，支配全部面部表情肌，包括口轮匝肌和口周各肌。',
+        anatomy: { layer: 'nerve' }
+    },
+    {
+        id: 'trigeminal-nerve',
+        term: '三叉神经',
+        aliases: [],
+        english: 'Trigeminal nerve',
+        latin: 'Nervus trigeminus',
+        definition: '第Ⅴ对脑神经，传导面部感觉；唇部感觉由其上颌支（眶下神经）和下颌支（颏神经）支配。',
+        anatomy: { layer: 'nerve' }
+    },
+    {
+        id: 'infraorbital-nerve',
+        term: '眶下神经',
+        aliases: [],
+        english: 'Infraorbital nerve',
+        latin: 'Nervus infraorbitalis',
+        definition: '三叉神经上颌支的终末支，经眶下孔穿出，支配上唇和鼻翼皮肤感觉，是上唇神经阻滞麻醉的目标。',
+        anatomy: { layer: 'nerve' }
+    },
+    {
+        id: 'mental-nerve',
+        term: '颏神经',
+        aliases: [],
+        english: 'Mental nerve',
+        latin: 'Nervus mentalis',
+        definition: '下牙槽神经的终末支，经颏孔穿出，支配下唇和颏部感觉，是下唇神经阻滞麻醉的目标。',
+        anatomy: { layer: 'nerve' }
+    },
+
+    // 骨骼 Bone
+    {
+        id: 'maxilla',
+        term: '上颌骨',
+        aliases: [],
+        english: 'Maxilla',
+        latin: 'Maxilla',
+        definition: '构成面中部的成对骨骼，承载上牙列，为上唇提供骨性支撑。',
+        anatomy: { layer: 'bone' }
+    },
+    {
+        id: 'mandible',
+        term: '下颌骨',
+        aliases: [],
+        english: 'Mandible',
+        latin: 'Mandibula',
+        definition: '面部唯一可活动的骨骼，承载下牙列并支撑下唇和颏部。',
+        anatomy: { layer: 'bone' }
+    },
+
+    // 材料与并发症 Materials and complications
+    {
+        id: 'hyaluronic-acid',
+        term: '透明质酸',
+        aliases: ['玻尿酸'],
+        english: 'Hyaluronic acid (HA)',
+        latin: null,
+        definition: '人体天然存在的多糖，交联后制成唇部最常用的填充剂；可被透明质酸酶溶解，因而可逆。',
+        anatomy: null
+    },
+    {
+        id: 'hyaluronidase',
+        term: '透明质酸酶',
+        aliases: [],
+        english: 'Hyaluronidase',
+        latin: null,
+        definition: '分解透明质酸的酶，用于溶解位置不佳的填充剂，也是透明质酸所致血管栓塞的首选急救药物。',
+        anatomy: null
+    },
+    {
+        id: 'vascular-occlusion',
+        term: '血管栓塞',
+        aliases: [],
+        english: 'Vascular occlusion',
+        latin: null,
+        definition: '填充剂进入或压迫血管导致供血中断，表现为皮肤苍白、疼痛和网状青紫，可致组织坏死，需立即处理。',
+        anatomy: { layer: 'vessel' }
+    },
+    {
+        id: 'cannula',
+        term: '钝针',
+        aliases: [],
+        english: 'Blunt cannula',
+        latin: null,
+        definition: '针尖圆钝、侧孔出料的注射针，推开而非刺穿组织，可降低误入血管和淤青的风险。',
+        anatomy: null
+    }
+];
+
+// The 3D viewer's layers, by the id entries' anatomy.layer refers to
+// (enhanced_3d_anatomy.js names its layers from here)
+MedicalGlossary.LAYERS = {
+    skin: { name: '皮肤层', english: 'Skin' },
+    muscle: { name: '肌肉层', english: 'Muscles' },
+    vessel: { name: '血管系统', english: 'Blood vessels' },
+    nerve: { name: '神经系统', english: 'Nerves' },
+    bone: { name: '骨骼结构', english: 'Bones' }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MedicalGlossary;
+}
@@ -0,0 +1,283 @@
+/**
+ * HTML Sanitizer
+ * Allow-list filter for rendered Markdown
+ * HTML 白名单过滤：只保留允许的标签、属性和链接协议，阻止脚本注入
+ *
+ * Markdown allows raw HTML, and link destinations are copied into href
+ * and src as written, so a chapter (or a revision loaded from disk) can
+ * carry <script>, onerror= or javascript: URLs into the page. The
+ * sanitizer re-emits the renderer's output tag by tag: every "<" in the
+ * result belongs to a tag it has checked and rebuilt, and anything it
+ * cannot parse is escaped as text.
+ */
+
+const sanitizerAST = typeof MarkdownAST !== 'undefined'
+    ? MarkdownAST
+    : require('./markdown-parser.js');
+
+// Attributes every allowed tag may carry; "aria-*" / "data-*" are prefixes.
+// style is further limited to the properties in policy.styles.
+const GLOBAL_ATTRIBUTES = ['id', 'class', 'title', 'lang', 'dir', 'role', 'style', 'aria-*', 'data-*'];
+
+// Attributes whose value is a URL
+const URL_ATTRIBUTES = new Set(['href', 'src', 'xlink:href', 'cite', 'action', 'formaction', 'poster', 'background']);
+
+// Presentation attributes of the SVG drawn by math-renderer.js and mermaid-renderer.js
+const SVG_PAINT = ['fill', 'stroke', 'stroke-width', 'stroke-dasharray', 'opacity', 'transform'];
+const SVG_TEXT = ['font-family', 'font-size', 'font-style', 'font-weight', 'text-anchor', 'dominant-baseline'];
+
+// Only raster images may be inlined; SVG and HTML data URLs can run script
+const DATA_IMAGE_URL = /^data:image\/(?:png|jpe?g|gif|webp);base64,[a-z0-9+\/=\s]*$/i;
+
+const DEFAULT_POLICY = {
+    // Allowed tags and their attributes (besides GLOBAL_ATTRIBUTES)
+    tags: {
+        h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+        p: ['align'], div: ['align'], span: ['tabindex'], section: [], article: [], aside: [],
+        a: ['href', 'target', 'rel', 'name', 'tabindex'],
+        img: ['src', 'alt', 'width', 'height', 'loading'],
+        figure: [], figcaption: [],
+        ul: [], ol: ['start', 'type', 'reversed'], li: ['value'],
+        dl: [], dt: [], dd: [],
+        blockquote: ['cite'], pre: [], code: [], kbd: [], samp: [], var: [],
+        em: [], strong: [], i: [], b: [], u: [], s: [], del: ['cite'], ins: ['cite'], mark: [], small: [],
+        sub: [], sup: [], abbr: [], cite: [], q: ['cite'], dfn: [], time: ['datetime'],
+        br: [], hr: [], wbr: [],
+        table: ['align'], caption: [], colgroup: ['span'], col: ['span'],
+        thead: [], tbody: [], tfoot: [], tr: [],
+        th: ['align', 'colspan', 'rowspan', 'scope'], td: ['align', 'colspan', 'rowspan'],
+        details: ['open'], summary: [],
+        svg: ['xmlns', 'width', 'height', 'viewBox', 'preserveAspectRatio'].concat(SVG_PAINT, SVG_TEXT),
+        title: [], desc: [], defs: [],
+        g: SVG_PAINT.concat(SVG_TEXT),
+        marker: ['viewBox', 'refX', 'refY', 'markerWidth', 'markerHeight', 'orient'],
+        path: ['d', 'marker-start', 'marker-end'].concat(SVG_PAINT),
+        rect: ['x', 'y', 'width', 'height', 'rx', 'ry'].concat(SVG_PAINT),
+        circle: ['cx', 'cy', 'r'].concat(SVG_PAINT),
+        ellipse: ['cx', 'cy', 'rx', 'ry'].concat(SVG_PAINT),
+        line: ['x1', 'y1', 'x2', 'y2', 'marker-start', 'marker-end'].concat(SVG_PAINT),
+        polyline: ['points', 'marker-start', 'marker-end'].concat(SVG_PAINT),
+        polygon: ['points'].concat(SVG_PAINT),
+        text: ['x', 'y', 'dx', 'dy'].concat(SVG_PAINT, SVG_TEXT),
+        tspan: ['x', 'y', 'dx', 'dy'].concat(SVG_PAINT, SVG_TEXT)
+    },
+    // URL schemes allowed in href/src; relative URLs are always allowed
+    protocols: ['http', 'https', 'mailto', 'tel'],
+    // Allow data:image/png etc. in <img src>
+    dataImages: true,
+    // CSS properties allowed in style=""
+    styles: [
+        'text-align', 'vertical-align', 'color', 'background-color', 'font-weight', 'font-style',
+        'text-decoration', 'width', 'height', 'max-width', 'white-space'
+    ],
+    // Removed together with everything inside them
+    dropContent: [
+        'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'noscript',
+        'template', 'textarea', 'select', 'xmp', 'plaintext', 'noembed', 'noframes', 'math'
+    ],
+    // Add rel="noopener noreferrer" to links that open a new window
+    noopener: true
+};
+
+// A start or end tag with well-formed attributes; anything else is text
+const TAG = /<(\/?)([a-zA-Z][a-zA-Z0-9:-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/y;
+const TAG_ATTRIBUTE = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+const CHARACTER_REFERENCE = /&(?:#[xX][0-9a-fA-F]{1,6}|#[0-9]{1,7}|[a-zA-Z][a-zA-Z0-9]{1,31});/g;
+
+class HtmlSanitizer {
+    constructor(policy = {}) {
+        this.policy = Object.assign({}, DEFAULT_POLICY, policy);
+        this.dropContent = new Set(this.policy.dropContent);
+        this.protocols = new Set(this.policy.protocols.map(protocol => protocol.toLowerCase()));
+        this.styles = new Set(this.policy.styles);
+        this.tags = new Map(Object.entries(this.policy.tags).map(([tag, attributes]) =>
+            [tag.toLowerCase(), new Set(attributes.concat(GLOBAL_ATTRIBUTES).map(name => name.toLowerCase()))]));
+    }
+
+    static get DEFAULT_POLICY() {
+        return DEFAULT_POLICY;
+    }
+
+    /**
+     * Sanitize an HTML fragment
+     * @param {string} html
+     * @returns {string} HTML containing only allowed tags and attributes
+     */
+    sanitize(html) {
+        html = String(html || '').replace(/\u0000/g, '');
+        const lower = html.toLowerCase();
+        let output = '';
+        let pos = 0;
+
+        while (pos < html.length) {
+            const next = html.indexOf('<', pos);
+            if (next === -1) {
+                output += html.slice(pos);
+                break;
+            }
+            output += html.slice(pos, next);
+            pos = next;
+
+            // Comments, doctypes, CDATA and processing instructions are dropped
+            if (html.startsWith('<!--', pos)) {
+                const end = html.indexOf('-->', pos + 4);
+                pos = end === -1 ? html.length : end + 3;
+                continue;
+            }
+            if (html[pos + 1] === '!' || html[pos + 1] === '?') {
+                const end = html.indexOf('>', pos);
+                pos = end === -1 ? html.length : end + 1;
+                continue;
+            }
+
+            TAG.lastIndex = pos;
+            const match = TAG.exec(html);
+            if (!match) {
+                output += '&lt;';
+                pos++;
+                continue;
+            }
+            pos = TAG.lastIndex;
+
+            const [, closing, rawName, rawAttributes, selfClosing] = match;
+            const name = rawName.toLowerCase();
+
+            if (this.dropContent.has(name)) {
+                if (!closing && !selfClosing) {
+                    const end = lower.indexOf(`</${name}`, pos);
+                    const close = end === -1 ? -1 : html.indexOf('>', end);
+                    pos = close === -1 ? html.length : close + 1;
+                }
+                continue;
+            }
+
+            // Disallowed tags are unwrapped: their content is kept
+            if (!this.tags.has(name)) continue;
+
+            output += closing
+                ? `</${rawName}>`
+                : `<${rawName}${this.sanitizeAttributes(name, rawAttributes)}${selfClosing ? ' /' : ''}>`;
+        }
+
+        return output;
+    }
+
+    /**
+     * Rebuild the attributes of an allowed tag, keeping the safe ones
+     */
+    sanitizeAttributes(tag, rawAttributes) {
+        const allowed = this.tags.get(tag);
+        const seen = new Set();
+        const attributes = [];
+        let match;
+
+        TAG_ATTRIBUTE.lastIndex = 0;
+        while ((match = TAG_ATTRIBUTE.exec(rawAttributes))) {
+            const [, rawName, doubleQuoted, singleQuoted, unquoted] = match;
+            const name = rawName.toLowerCase();
+            if (seen.has(name)) continue;
+            seen.add(name);
+
+            const rawValue = [doubleQuoted, singleQuoted, unquoted].find(part => part !== undefined);
+            const value = rawValue === undefined ? null : this.decode(rawValue);
+
+            if (!this.allowsAttribute(allowed, name)) continue;
+            if (value !== null && !this.safeValue(tag, name, value)) continue;
+
+            if (name === 'style') {
+                const style = this.sanitizeStyle(value || '');
+                if (style) attributes.push([rawName, style]);
+                continue;
+            }
+            attributes.push([rawName, value]);
+        }
+
+        if (this.policy.noopener && tag === 'a' && seen.has('target') && !seen.has('rel')) {
+            attributes.push(['rel', 'noopener noreferrer']);
+        }
+
+        return attributes
+            .map(([name, value]) => value === null ? ` ${name}` : ` ${name}="${this.escape(value)}"`)
+            .join('');
+    }
+
+    allowsAttribute(allowed, name) {
+        // Event handlers are never allowed, whatever the policy says
+        if (name.startsWith('on')) return false;
+        if (allowed.has(name)) return true;
+        return (name.startsWith('aria-') && allowed.has('aria-*')) ||
+            (name.startsWith('data-') && allowed.has('data-*'));
+    }
+
+    safeValue(tag, name, value) {
+        if (URL_ATTRIBUTES.has(name)) return this.isSafeURL(value, tag);
+
+        // url() is only allowed as a local reference (SVG markers)
+        if (name !== 'style' && /url\s*\(/i.test(value)) {
+            return /^url\(#[\w-]+\)$/.test(value.trim());
+        }
+        return true;
+    }
+
+    /**
+     * Whether a URL is relative or uses an allowed scheme
+     */
+    isSafeURL(url, tag) {
+        const compact = String(url).replace(/[\u0000- \u007f-\u009f]/g, '');
+        const head = compact.split(/[\/?#]/, 1)[0];
+
+        // A character reference left undecoded in the scheme could hide one
+        if (head.includes('&')) return false;
+
+        const colon = head.indexOf(':');
+        if (colon === -1) return true;
+
+        const scheme = head.slice(0, colon).toLowerCase();
+        if (scheme === 'data') {
+            return Boolean(this.policy.dataImages) && tag === 'img' && DATA_IMAGE_URL.test(compact);
+        }
+        return this.protocols.has(scheme);
+    }
+
+    /**
+     * Keep the allowed declarations of a style attribute
+     */
+    sanitizeStyle(style) {
+        return style.split(';')
+            .map(declaration => {
+                const colon = declaration.indexOf(':');
+                if (colon === -1) return null;
+                const property = declaration.slice(0, colon).trim().toLowerCase();
+                const value = declaration.slice(colon + 1).trim();
+                if (!this.styles.has(property) || !value) return null;
+                if (/url\s*\(|expression|javascript:|@import|[\\<>]/i.test(value)) return null;
+                return `${property}: ${value}`;
+            })
+            .filter(Boolean)
+            .join('; ');
+    }
+
+    /**
+     * Decode character references in an attribute value
+     */
+    decode(value) {
+        return value.replace(CHARACTER_REFERENCE, reference => {
+            const decoded = sanitizerAST.decodeEntity(reference);
+            return decoded === null ? reference : decoded;
+        });
+    }
+
+    escape(value) {
+        return value.replace(/[&<>"]/g, m => ({
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;'
+        })[m]);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HtmlSanitizer;
+}
@@ -0,0 +1,766 @@
+/**
+ * Image Compare
+ * Before/after comparison: split slider, side by side, onion skin
+ * 前后对比：滑块分割、并排、半透明叠加，同步缩放平移，按面部特征点自动对齐
+ *
+ * Every image sits in a pane of the same size and one zoom/pan transform
+ * is applied to all panes, so the views cannot drift apart. Photos taken
+ * at a different distance or angle are brought into register by a
+ * similarity transform (scale, rotation, shift) fitted to landmarks on
+ * each photo: points supplied with the case, points the clinician marks
+ * here (kept in localStorage), or, where the browser has FaceDetector,
+ * the detected eyes, nose and mouth. The first image is the reference.
+ */
+
+const COMPARE_MODES = {
+    split: '滑块',
+    side: '并排',
+    onion: '叠加'
+};
+
+const MAX_COMPARE_IMAGES = 4;
+const MAX_COMPARE_ZOOM = 8;
+
+// Where hand-marked landmarks are kept, by image key
+const LANDMARK_STORAGE_KEY = 'lipGalleryLandmarks';
+
+// Points marked by hand, in this order; left and right as seen in the photo
+const COMPARE_LANDMARKS = [
+    { id: 'mouth-left', name: '画面左侧口角' },
+    { id: 'mouth-right', name: '画面右侧口角' },
+    { id: 'cupids-bow', name: '唇弓中点（人中下缘）' },
+    { id: 'lower-lip', name: '下唇下缘中点' }
+];
+
+// Beyond these the landmarks are more likely wrong than the photos
+const MAX_ALIGN_SCALE = 2;
+const MAX_ALIGN_ROTATION = 30;
+
+function escapeHTML(text) {
+    return String(text).replace(/[&<>"']/g, char => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    })[char]);
+}
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+/**
+ * Least-squares similarity transform taking `from` points onto `to`
+ * points (same order, at least two)
+ * @param {Array<{x: number, y: number}>} from
+ * @param {Array<{x: number, y: number}>} to
+ * @returns {{a, b, tx, ty, scale, rotation, error}|null} x' = a·x − b·y + tx,
+ *   y' = b·x + a·y + ty; rotation in degrees, error = RMS distance left
+ */
+function fitSimilarity(from, to) {
+    const n = Math.min(from.length, to.length);
+    if (n < 2) return null;
+
+    const mean = points => points.slice(0, n).reduce((sum, p) => ({ x: sum.x + p.x / n, y: sum.y + p.y / n }), { x: 0, y: 0 });
+    const fromMean = mean(from);
+    const toMean = mean(to);
+
+    let norm = 0;
+    let dot = 0;
+    let cross = 0;
+    for (let i = 0; i < n; i++) {
+        const px = from[i].x - fromMean.x;
+        const py = from[i].y - fromMean.y;
+        const qx = to[i].x - toMean.x;
+        const qy = to[i].y - toMean.y;
+        norm += px * px + py * py;
+        dot += px * qx + py * qy;
+        cross += px * qy - py * qx;
+    }
+    if (norm < 1e-9) return null;
+
+    const a = dot / norm;
+    const b = cross / norm;
+    const tx = toMean.x - (a * fromMean.x - b * fromMean.y);
+    const ty = toMean.y - (b * fromMean.x + a * fromMean.y);
+
+    let squared = 0;
+    for (let i = 0; i < n; i++) {
+        const dx = a * from[i].x - b * from[i].y + tx - to[i].x;
+        const dy = b * from[i].x + a * from[i].y + ty - to[i].y;
+        squared += dx * dx + dy * dy;
+    }
+
+    return {
+        a, b, tx, ty,
+        scale: Math.hypot(a, b),
+        rotation: Math.atan2(b, a) * 180 / Math.PI,
+        error: Math.sqrt(squared / n)
+    };
+}
+
+/**
+ * Keep only well-formed landmarks: { id: { x, y } } with x and y in 0–1
+ * (fractions of the image's width and height)
+ */
+function normalizeLandmarks(landmarks) {
+    const points = {};
+    if (!landmarks || typeof landmarks !== 'object') return points;
+
+    Object.entries(landmarks).forEach(([id, point]) => {
+        if (point && Number.isFinite(point.x) && Number.isFinite(point.y) &&
+            point.x >= 0 && point.x <= 1 && point.y >= 0 && point.y <= 1) {
+            points[id] = { x: point.x, y: point.y };
+        }
+    });
+    return points;
+}
+
+/**
+ * A comparison view of two to four images, mounted into a container
+ */
+class ImageCompare {
+    /**
+     * @param {HTMLElement} container
+     * @param {Object} [options]
+     * @param {string} [options.mode] - 'split' | 'side' | 'onion'
+     * @param {number} [options.split] - slider position, percent
+     * @param {number} [options.opacity] - onion-skin opacity of the second image, 0–1
+     * @param {Storage} [options.storage] - for hand-marked landmarks
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+        this.mode = COMPARE_MODES[options.mode] ? options.mode : 'split';
+        this.split = options.split !== undefined ? options.split : 50;
+        this.opacity = options.opacity !== undefined ? options.opacity : 0.5;
+        this.storage = options.storage;
+
+        this.images = [];
+        this.transforms = [];
+        this.aligned = true;
+        this.picking = null;
+
+        this.zoom = 1;
+        this.panX = 0;
+        this.panY = 0;
+        this.pointers = new Map();
+
+        this.handleResize = () => this.layout();
+        this.build();
+    }
+
+    /**
+     * @param {Array<{key: string, src: string, label: string, landmarks?: Object}>} images
+     *   key identifies the photo for hand-marked landmarks
+     */
+    setImages(images) {
+        this.images = images.slice(0, MAX_COMPARE_IMAGES).map(image => Object.assign({}, image, {
+            landmarks: Object.assign(
+                normalizeLandmarks(image.landmarks),
+                ImageCompare.loadLandmarks(image.key, this.storage)
+            ),
+            element: null
+        }));
+        this.transforms = [];
+        this.picking = null;
+        this.resetZoom();
+
+        if (this.images.length !== 2 && this.mode !== 'side') this.mode = 'side';
+
+        this.stage.querySelectorAll('.image-compare-pane').forEach(pane => pane.remove());
+        this.images.forEach((image, index) => this.stage.insertBefore(this.createPane(image, index), this.handle));
+
+        this.renderToolbar();
+        this.render();
+        this.setStatus('');
+    }
+
+    setMode(mode) {
+        if (!COMPARE_MODES[mode] || (mode !== 'side' && this.images.length !== 2)) return;
+
+        this.mode = mode;
+        this.renderToolbar();
+        this.render();
+        // Pane sizes change between stacked and side-by-side
+        this.layout();
+    }
+
+    setSplit(percent) {
+        this.split = clamp(percent, 0, 100);
+        this.render();
+    }
+
+    setOpacity(opacity) {
+        this.opacity = clamp(opacity, 0, 1);
+        this.render();
+    }
+
+    /**
+     * Zoom all panes around a point of a pane (pane pixels; default the centre)
+     */
+    zoomAt(factor, x, y) {
+        const { width, height } = this.paneSize();
+        const px = x === undefined ? width / 2 : x;
+        const py = y === undefined ? height / 2 : y;
+
+        const zoom = clamp(this.zoom * factor, 1, MAX_COMPARE_ZOOM);
+        const ratio = zoom / this.zoom;
+        this.zoom = zoom;
+        this.panX = px - (px - this.panX) * ratio;
+        this.panY = py - (py - this.panY) * ratio;
+        this.panBy(0, 0);
+    }
+
+    panBy(dx, dy) {
+        const { width, height } = this.paneSize();
+        this.panX = clamp(this.panX + dx, width - width * this.zoom, 0);
+        this.panY = clamp(this.panY + dy, height - height * this.zoom, 0);
+        this.render();
+    }
+
+    resetZoom() {
+        this.zoom = 1;
+        this.panX = 0;
+        this.panY = 0;
+        if (this.images.length) this.render();
+    }
+
+    setAligned(aligned) {
+        this.aligned = aligned;
+        this.renderToolbar();
+        this.render();
+        if (aligned) this.reportAlignment();
+        else this.setStatus('已显示原始照片（未对齐）');
+    }
+
+    destroy() {
+        window.removeEventListener('resize', this.handleResize);
+        this.element.remove();
+    }
+
+    build() {
+        ImageCompare.injectStyles();
+
+        this.element = document.createElement('div');
+        this.element.className = 'image-compare';
+        this.element.innerHTML = `
+            <div class="image-compare-toolbar" role="toolbar" aria-label="对比方式">
+                <div class="image-compare-modes" role="group">
+                    ${Object.entries(COMPARE_MODES).map(([mode, label]) => `
+                        <button type="button" data-mode="${mode}" aria-pressed="false">${label}</button>
+                    `).join('')}
+                </div>
+                <label class="image-compare-opacity">
+                    透明度
+                    <input type="range" min="0" max="100" step="1" data-control="opacity">
+                </label>
+                <button type="button" data-action="align" aria-pressed="true" title="按特征点对齐">对齐</button>
+                <button type="button" data-action="landmarks" title="在每张照片上依次点击同一组特征点">标记特征点</button>
+                <span class="image-compare-zoom" role="group" aria-label="缩放">
+                    <button type="button" data-action="zoom-out" aria-label="缩小">−</button>
+                    <button type="button" data-action="zoom-reset" aria-label="重置缩放">1:1</button>
+                    <button type="button" data-action="zoom-in" aria-label="放大">+</button>
+                </span>
+            </div>
+            <div class="image-compare-stage">
+                <div class="image-compare-handle" role="slider" tabindex="0"
+                     aria-label="分界线位置" aria-valuemin="0" aria-valuemax="100"></div>
+            </div>
+            <div class="image-compare-status" aria-live="polite"></div>
+        `;
+        this.container.appendChild(this.element);
+
+        this.stage = this.element.querySelector('.image-compare-stage');
+        this.handle = this.element.querySelector('.image-compare-handle');
+        this.status = this.element.querySelector('.image-compare-status');
+        this.opacityInput = this.element.querySelector('[data-control="opacity"]');
+
+        this.element.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (!button) return;
+            if (button.dataset.mode) this.setMode(button.dataset.mode);
+            else this.handleAction(button.dataset.action);
+        });
+        this.opacityInput.addEventListener('input', () => this.setOpacity(this.opacityInput.value / 100));
+
+        this.handle.addEventListener('keydown', (e) => this.handleSliderKey(e));
+        this.stage.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const point = this.panePoint(e);
+            if (point) this.zoomAt(e.deltaY < 0 ? 1.15 : 1 / 1.15, point.x, point.y);
+        }, { passive: false });
+        this.stage.addEventListener('dblclick', () => this.resetZoom());
+        this.stage.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        this.stage.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        ['pointerup', 'pointercancel'].forEach(type => {
+            this.stage.addEventListener(type, (e) => this.handlePointerUp(e));
+        });
+
+        window.addEventListener('resize', this.handleResize);
+    }
+
+    createPane(image, index) {
+        const pane = document.createElement('figure');
+        pane.className = 'image-compare-pane';
+        pane.dataset.index = index;
+        pane.innerHTML = `
+            <div class="image-compare-viewport">
+                <div class="image-compare-layer">
+                    <img alt="${escapeHTML(image.label)}" draggable="false">
+                </div>
+            </div>
+            <figcaption>${escapeHTML(image.label)}</figcaption>
+        `;
+
+        const img = pane.querySelector('img');
+        image.element = img;
+        img.addEventListener('load', async () => {
+            if (Object.keys(image.landmarks).length < 2) {
+                Object.assign(image.landmarks, await ImageCompare.detectLandmarks(img));
+            }
+            this.layout();
+        });
+        img.addEventListener('error', () => this.setStatus(`「${image.label}」无法加载`));
+        img.src = image.src;
+
+        return pane;
+    }
+
+    handleAction(action) {
+        switch (action) {
+            case 'align':
+                this.setAligned(!this.aligned);
+                break;
+            case 'landmarks':
+                if (this.picking) this.finishPicking();
+                else this.startPicking();
+                break;
+            case 'skip-landmark':
+                this.advancePicking();
+                break;
+            case 'finish-landmarks':
+                this.finishPicking();
+                break;
+            case 'zoom-in':
+                this.zoomAt(1.25);
+                break;
+            case 'zoom-out':
+                this.zoomAt(0.8);
+                break;
+            case 'zoom-reset':
+                this.resetZoom();
+                break;
+        }
+    }
+
+    handleSliderKey(e) {
+        const step = e.shiftKey ? 10 : 1;
+        const keys = {
+            ArrowLeft: this.split - step,
+            ArrowDown: this.split - step,
+            ArrowRight: this.split + step,
+            ArrowUp: this.split + step,
+            Home: 0,
+            End: 100
+        };
+        if (!(e.key in keys)) return;
+
+        // The lightbox pages through cases with the arrow keys
+        e.preventDefault();
+        e.stopPropagation();
+        this.setSplit(keys[e.key]);
+    }
+
+    handlePointerDown(e) {
+        if (e.button !== 0) return;
+
+        if (e.target === this.handle) {
+            this.draggingSplit = true;
+        } else if (!e.target.closest('.image-compare-pane')) {
+            return;
+        }
+
+        e.preventDefault();
+        this.stage.setPointerCapture(e.pointerId);
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY, startX: e.clientX, startY: e.clientY, target: e.target });
+    }
+
+    handlePointerMove(e) {
+        const pointer = this.pointers.get(e.pointerId);
+        if (!pointer) return;
+
+        if (this.draggingSplit) {
+            const rect = this.stage.getBoundingClientRect();
+            this.setSplit((e.clientX - rect.left) / rect.width * 100);
+        } else if (this.pointers.size === 2) {
+            // Pinch: zoom by the change in finger distance, around their midpoint
+            const [first, second] = Array.from(this.pointers.values());
+            const before = Math.hypot(first.x - second.x, first.y - second.y);
+            pointer.x = e.clientX;
+            pointer.y = e.clientY;
+            const after = Math.hypot(first.x - second.x, first.y - second.y);
+            const point = this.panePoint({ clientX: (first.x + second.x) / 2, clientY: (first.y + second.y) / 2, target: first.target });
+            if (before > 0 && point) this.zoomAt(after / before, point.x, point.y);
+            return;
+        } else if (this.zoom > 1) {
+            this.panBy(e.clientX - pointer.x, e.clientY - pointer.y);
+        }
+
+        pointer.x = e.clientX;
+        pointer.y = e.clientY;
+    }
+
+    handlePointerUp(e) {
+        const pointer = this.pointers.get(e.pointerId);
+        if (!pointer) return;
+
+        this.pointers.delete(e.pointerId);
+        if (this.draggingSplit) {
+            this.draggingSplit = false;
+            return;
+        }
+
+        // A click that did not move marks a landmark
+        const moved = Math.hypot(e.clientX - pointer.startX, e.clientY - pointer.startY);
+        if (this.picking && moved < 5 && e.type === 'pointerup') {
+            const pane = pointer.target.closest('.image-compare-pane');
+            const point = this.panePoint(e, pane);
+            if (pane && point) this.pick(Number(pane.dataset.index), point);
+        }
+    }
+
+    /**
+     * Event position in pane pixels (before zoom/pan)
+     */
+    panePoint(e, pane) {
+        const target = pane || (e.target && e.target.closest && e.target.closest('.image-compare-pane')) ||
+            this.stage.querySelector('.image-compare-pane');
+        if (!target) return null;
+
+        const rect = target.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+
+    paneSize() {
+        const pane = this.stage.querySelector('.image-compare-pane');
+        return pane ? { width: pane.clientWidth, height: pane.clientHeight } : { width: 0, height: 0 };
+    }
+
+    /**
+     * Where an image is drawn in its pane (object-fit: contain)
+     */
+    fittedRect(image) {
+        const { width, height } = this.paneSize();
+        const img = image.element;
+        if (!img || !img.naturalWidth || !width) return null;
+
+        const scale = Math.min(width / img.naturalWidth, height / img.naturalHeight);
+        const w = img.naturalWidth * scale;
+        const h = img.naturalHeight * scale;
+        return { x: (width - w) / 2, y: (height - h) / 2, width: w, height: h };
+    }
+
+    toPane(image, point) {
+        const rect = this.fittedRect(image);
+        return rect && { x: rect.x + point.x * rect.width, y: rect.y + point.y * rect.height };
+    }
+
+    /**
+     * Recompute what depends on pane size: landmark positions and the
+     * alignment of each image to the first
+     */
+    layout() {
+        if (!this.images.length) return;
+        const reference = this.images[0];
+
+        this.transforms = this.images.map((image, index) => {
+            if (index === 0) return null;
+
+            const shared = Object.keys(image.landmarks).filter(id => id in reference.landmarks);
+            const from = shared.map(id => this.toPane(image, image.landmarks[id]));
+            const to = shared.map(id => this.toPane(reference, reference.landmarks[id]));
+            if (from.some(point => !point) || to.some(point => !point)) return null;
+
+            const transform = fitSimilarity(from, to);
+            if (transform) {
+                transform.shared = shared.length;
+                transform.plausible = transform.scale <= MAX_ALIGN_SCALE && transform.scale >= 1 / MAX_ALIGN_SCALE &&
+                    Math.abs(transform.rotation) <= MAX_ALIGN_ROTATION;
+            }
+            return transform;
+        });
+
+        this.images.forEach((image, index) => this.renderLandmarks(image, index));
+        this.render();
+        if (this.aligned && !this.picking) this.reportAlignment();
+    }
+
+    renderLandmarks(image, index) {
+        const layer = this.stage.querySelector(`.image-compare-pane[data-index="${index}"] .image-compare-layer`);
+        if (!layer) return;
+
+        layer.querySelectorAll('.image-compare-landmark').forEach(marker => marker.remove());
+        Object.entries(image.landmarks).forEach(([id, point]) => {
+            const position = this.toPane(image, point);
+            if (!position) return;
+
+            const landmark = COMPARE_LANDMARKS.find(entry => entry.id === id);
+            const marker = document.createElement('span');
+            marker.className = 'image-compare-landmark';
+            marker.title = landmark ? landmark.name : id;
+            marker.style.left = `${position.x}px`;
+            marker.style.top = `${position.y}px`;
+            layer.appendChild(marker);
+        });
+    }
+
+    render() {
+        this.element.className = `image-compare mode-${this.mode}${this.picking ? ' picking' : ''}`;
+
+        const viewport = `translate(${this.panX}px, ${this.panY}px) scale(${this.zoom})`;
+        this.stage.querySelectorAll('.image-compare-pane').forEach(pane => {
+            const index = Number(pane.dataset.index);
+            const transform = this.transforms[index];
+            const apply = this.aligned && !this.picking && transform && transform.plausible;
+
+            pane.querySelector('.image-compare-viewport').style.transform = viewport;
+            pane.querySelector('.image-compare-layer').style.transform = apply
+                ? `matrix(${transform.a}, ${transform.b}, ${-transform.b}, ${transform.a}, ${transform.tx}, ${transform.ty})`
+                : '';
+
+            // The second image is the one uncovered by the slider or faded in
+            const top = index === 1 && this.mode !== 'side';
+            pane.style.clipPath = top && this.mode === 'split' ? `inset(0 0 0 ${this.split}%)` : '';
+            pane.style.opacity = top && this.mode === 'onion' ? this.opacity : '';
+        });
+
+        this.handle.hidden = this.mode !== 'split';
+        this.handle.style.left = `${this.split}%`;
+        this.handle.setAttribute('aria-valuenow', String(Math.round(this.split)));
+        if (this.images.length === 2) {
+            this.handle.setAttribute('aria-valuetext', `${this.images[0].label} ${Math.round(this.split)}%，${this.images[1].label} ${Math.round(100 - this.split)}%`);
+        }
+    }
+
+    renderToolbar() {
+        this.element.querySelectorAll('[data-mode]').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.mode === this.mode));
+            button.disabled = button.dataset.mode !== 'side' && this.images.length !== 2;
+        });
+        this.element.querySelector('.image-compare-opacity').hidden = this.mode !== 'onion';
+        this.opacityInput.value = Math.round(this.opacity * 100);
+        this.element.querySelector('[data-action="align"]').setAttribute('aria-pressed', String(this.aligned));
+        this.element.querySelector('[data-action="landmarks"]').setAttribute('aria-pressed', String(Boolean(this.picking)));
+    }
+
+    reportAlignment() {
+        const reference = this.images[0];
+        const lines = this.images.slice(1).map((image, i) => {
+            const transform = this.transforms[i + 1];
+            if (!transform) {
+                return `「${image.label}」与「${reference.label}」没有足够的共同特征点（至少 2 个），可点击“标记特征点”手动标注`;
+            }
+            if (!transform.plausible) {
+                return `「${image.label}」的特征点与「${reference.label}」差异过大，未对齐，请检查标注`;
+            }
+            return `「${image.label}」已对齐：缩放 ${transform.scale.toFixed(2)}×，旋转 ${transform.rotation.toFixed(1)}°，` +
+                `${transform.shared} 个特征点残差 ${transform.error.toFixed(1)} px`;
+        });
+        this.setStatus(lines.join('\n'));
+    }
+
+    setStatus(text, actions = '') {
+        this.status.innerHTML = escapeHTML(text).replace(/\n/g, '<br>') + actions;
+    }
+
+    /**
+     * Mark landmarks by hand: every landmark on the first image, then the
+     * next image, and so on; shown side by side and unaligned meanwhile
+     */
+    startPicking() {
+        this.picking = {
+            index: 0,
+            step: 0,
+            previousMode: this.mode,
+            points: this.images.map(() => ({}))
+        };
+        this.resetZoom();
+        this.setMode('side');
+        this.promptPicking();
+    }
+
+    promptPicking() {
+        const { index, step } = this.picking;
+        const landmark = COMPARE_LANDMARKS[step];
+        this.setStatus(
+            `在「${this.images[index].label}」上点击：${landmark.name}（${step + 1}/${COMPARE_LANDMARKS.length}）`,
+            ' <button type="button" data-action="skip-landmark">跳过此点</button>' +
+            ' <button type="button" data-action="finish-landmarks">完成</button>'
+        );
+    }
+
+    pick(index, point) {
+        const { picking } = this;
+        const image = this.images[index];
+        const rect = image && this.fittedRect(image);
+        if (index !== picking.index || !rect) return;
+
+        // Undo zoom/pan, then take the fraction of the drawn image
+        const x = ((point.x - this.panX) / this.zoom - rect.x) / rect.width;
+        const y = ((point.y - this.panY) / this.zoom - rect.y) / rect.height;
+        if (x < 0 || x > 1 || y < 0 || y > 1) return;
+
+        picking.points[index][COMPARE_LANDMARKS[picking.step].id] = { x, y };
+        this.renderLandmarks({ element: image.element, landmarks: picking.points[index] }, index);
+        this.advancePicking();
+    }
+
+    advancePicking() {
+        const { picking } = this;
+        picking.step++;
+        if (picking.step >= COMPARE_LANDMARKS.length) {
+            picking.step = 0;
+            picking.index++;
+        }
+
+        if (picking.index >= this.images.length) this.finishPicking();
+        else this.promptPicking();
+    }
+
+    /**
+     * Images given at least two points keep them (and remember them);
+     * the others keep the landmarks they had
+     */
+    finishPicking() {
+        const { picking } = this;
+        if (!picking) return;
+
+        picking.points.forEach((points, index) => {
+            if (Object.keys(points).length < 2) return;
+            this.images[index].landmarks = points;
+            ImageCompare.saveLandmarks(this.images[index].key, points, this.storage);
+        });
+
+        this.picking = null;
+        this.setMode(picking.previousMode);
+        this.renderToolbar();
+    }
+
+    /**
+     * Eyes, nose and mouth from the browser's FaceDetector (Shape Detection
+     * API), as fractions of the image size; {} where unsupported or none found
+     */
+    static async detectLandmarks(image) {
+        if (typeof FaceDetector === 'undefined' || !image.naturalWidth) return {};
+
+        try {
+            const [face] = await new FaceDetector({ maxDetectedFaces: 1, fastMode: false }).detect(image);
+            if (!face || !face.landmarks) return {};
+
+            const centre = locations => ({
+                x: locations.reduce((sum, p) => sum + p.x, 0) / locations.length / image.naturalWidth,
+                y: locations.reduce((sum, p) => sum + p.y, 0) / locations.length / image.naturalHeight
+            });
+            const points = {};
+            const eyes = face.landmarks.filter(mark => mark.type === 'eye').map(mark => centre(mark.locations)).sort((p, q) => p.x - q.x);
+            if (eyes.length === 2) [points['eye-left'], points['eye-right']] = eyes;
+            face.landmarks
+                .filter(mark => mark.type === 'nose' || mark.type === 'mouth')
+                .forEach(mark => {
+                    points[mark.type] = centre(mark.locations);
+                });
+            return normalizeLandmarks(points);
+        } catch (error) {
+            // Cross-origin images and unsupported platforms
+            return {};
+        }
+    }
+
+    static loadLandmarks(key, storage) {
+        const store = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        try {
+            const saved = store && JSON.parse(store.getItem(LANDMARK_STORAGE_KEY));
+            return normalizeLandmarks(saved && saved[key]);
+        } catch (error) {
+            return {};
+        }
+    }
+
+    static saveLandmarks(key, landmarks, storage) {
+        const store = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        if (!store || !key) return;
+
+        try {
+            const saved = JSON.parse(store.getItem(LANDMARK_STORAGE_KEY)) || {};
+            saved[key] = normalizeLandmarks(landmarks);
+            store.setItem(LANDMARK_STORAGE_KEY, JSON.stringify(saved));
+        } catch (error) {
+            console.warn('Landmarks not saved:', error);
+        }
+    }
+
+    static injectStyles() {
+        if (document.getElementById('image-compare-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'image-compare-styles';
+        style.textContent = `
+            .image-compare { display: flex; flex-direction: column; gap: 8px; width: 100%; }
+            .image-compare-toolbar { display: flex; flex-wrap: wrap; align-items: center; gap: 8px; }
+            .image-compare-toolbar button {
+                padding: 4px 10px; border: 1px solid var(--divider, #ddd); border-radius: 4px;
+                background: var(--surface, #fff); color: inherit; cursor: pointer;
+            }
+            .image-compare-toolbar button[aria-pressed="true"] { background: #E91E63; border-color: #E91E63; color: #fff; }
+            .image-compare-toolbar button:disabled { opacity: 0.4; cursor: default; }
+            .image-compare-modes { display: inline-flex; gap: 2px; }
+            .image-compare-opacity { display: inline-flex; align-items: center; gap: 4px; font-size: 0.875rem; }
+            .image-compare-opacity[hidden] { display: none; }
+            .image-compare-zoom { display: inline-flex; gap: 2px; margin-left: auto; }
+            .image-compare-stage {
+                position: relative; height: min(70vh, 640px); overflow: hidden;
+                background: #111; touch-action: none; user-select: none;
+            }
+            .image-compare-pane { position: absolute; inset: 0; margin: 0; overflow: hidden; }
+            .mode-side .image-compare-stage { display: flex; gap: 4px; }
+            .mode-side .image-compare-pane { position: relative; inset: auto; flex: 1 1 0; }
+            .image-compare-viewport, .image-compare-layer { position: absolute; inset: 0; transform-origin: 0 0; }
+            .image-compare-layer img { width: 100%; height: 100%; object-fit: contain; display: block; }
+            .image-compare-pane figcaption {
+                position: absolute; top: 8px; left: 8px; padding: 2px 8px; border-radius: 4px;
+                background: rgba(0, 0, 0, 0.6); color: #fff; font-size: 0.8rem; pointer-events: none;
+            }
+            .mode-split .image-compare-pane[data-index="1"] figcaption { left: auto; right: 8px; }
+            .image-compare-handle {
+                position: absolute; top: 0; bottom: 0; width: 4px; margin-left: -2px;
+                background: #fff; box-shadow: 0 0 4px rgba(0, 0, 0, 0.6); cursor: ew-resize; z-index: 2;
+            }
+            .image-compare-handle::after {
+                content: '⇔'; position: absolute; top: 50%; left: 50%; transform: translate(-50%, -50%);
+                width: 32px; height: 32px; border-radius: 50%; background: #fff; color: #333;
+                display: flex; align-items: center; justify-content: center;
+            }
+            .image-compare-handle:focus-visible { outline: 2px solid #E91E63; outline-offset: 2px; }
+            .image-compare-handle[hidden] { display: none; }
+            .image-compare-landmark {
+                position: absolute; width: 10px; height: 10px; margin: -5px 0 0 -5px; border-radius: 50%;
+                border: 2px solid #fff; background: #E91E63; display: none; pointer-events: none;
+            }
+            .image-compare.picking .image-compare-landmark { display: block; }
+            .image-compare.picking .image-compare-pane { cursor: crosshair; }
+            .image-compare-status { min-height: 1.4em; font-size: 0.875rem; color: var(--text-secondary, #666); }
+            .image-compare-status button { margin-left: 4px; }
+        `;
+        document.head.appendChild(style);
+    }
+}
+
+ImageCompare.fitSimilarity = fitSimilarity;
+ImageCompare.normalizeLandmarks = normalizeLandmarks;
+ImageCompare.LANDMARKS = COMPARE_LANDMARKS;
+ImageCompare.MODES = COMPARE_MODES;
+ImageCompare.MAX_IMAGES = MAX_COMPARE_IMAGES;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImageCompare;
+}
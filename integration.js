@@ -9,7 +9,6 @@ class VisualizationIntegration {
         this.eventBus = new EventTarget();
         this.favorites = this.loadFavorites();
         this.settings = this.loadSettings();
-        this.searchIndex = new Map();
         this.notifications = [];
         this.shortcuts = new Map();
 
@@ -81,7 +80,7 @@ class VisualizationIntegration {
      */
     setupKeyboardShortcuts() {
         const shortcuts = {
-            'KeyK': { ctrl: true, action: 'openSearch', description: '打开搜索' },
+            'KeyK': { ctrl: true, action: 'openSearch', description: '打开搜索', preventDefault: true },
             'KeyD': { ctrl: true, action: 'toggleTheme', description: '切换主题' },
             'KeyF': { ctrl: true, action: 'toggleFavorites', description: '打开收藏夹' },
             'Comma': { ctrl: true, action: 'openSettings', description: '打开设置' },
@@ -152,36 +151,24 @@ class VisualizationIntegration {
     }
 
     /**
-     * 设置搜索系统
+     * 设置搜索系统：统一检索（federated-search.js）的命令面板，
+     * 章节、案例、3D 解剖结构和工具按来源分组，搜索框只是它的入口
      */
     setupSearchSystem() {
         this.searchInput = document.getElementById('global-search');
-        this.searchResults = document.getElementById('search-results');
-        this.searchResultsContent = document.getElementById('search-results-content');
+        if (typeof FederatedSearch === 'undefined') return;
+
+        this.federatedSearch = FederatedSearch.createDefault();
+        this.commandPalette = new FederatedSearch.Palette(this.federatedSearch);
 
         if (this.searchInput) {
-            this.searchInput.addEventListener('input', this.debounce((e) => {
-                this.handleSearch(e.target.value);
-            }, 300));
-
-            this.searchInput.addEventListener('keydown', (e) => {
-                if (e.key === 'Escape') {
-                    this.closeSearch();
-                } else if (e.key === 'ArrowDown') {
-                    e.preventDefault();
-                    this.navigateSearchResults('down');
-                } else if (e.key === 'ArrowUp') {
-                    e.preventDefault();
-                    this.navigateSearchResults('up');
-                } else if (e.key === 'Enter') {
-                    e.preventDefault();
-                    this.selectSearchResult();
-                }
+            this.searchInput.addEventListener('click', () => this.openSearch());
+            this.searchInput.addEventListener('input', () => {
+                const query = this.searchInput.value;
+                this.searchInput.value = '';
+                this.commandPalette.open(query);
             });
         }
-
-        // 构建搜索索引
-        this.buildSearchIndex();
     }
 
     /**
@@ -282,18 +269,8 @@ class VisualizationIntegration {
      * 注册可视化组件
      */
     registerComponents() {
-        const components = [
-            { id: '3d-viewer', name: '3D解剖模型', url: '3d_viewer.html', category: '3d' },
-            { id: 'ar-viewer', name: 'AR增强现实', url: 'ar_viewer.html', category: 'ar' },
-            { id: 'vr-viewer', name: 'VR虚拟现实', url: 'vr_viewer.html', category: 'vr' },
-            { id: 'gallery', name: '案例画廊', url: 'gallery.html', category: 'gallery' },
-            { id: 'zoom-viewer', name: '缩放查看器', url: 'zoom_viewer.html', category: 'viewer' },
-            { id: 'charts-library', name: '图表库', url: 'charts_library.html', category: 'charts' },
-            { id: 'anatomy-illustrations', name: '解剖插图', url: 'anatomy_illustrations.html', category: 'anatomy' },
-            { id: 'icons-system', name: '图标系统', url: 'icons.html', category: 'icons' },
-            { id: 'medical-dashboard', name: '医疗看板', url: 'medical_dashboard.html', category: 'dashboard' },
-            { id: 'case-studies', name: '案例分析', url: 'case_study_visualizer.html', category: 'analysis' }
-        ];
+        // 工具清单见 visualization-tools.js，统一检索的“工具”来源与此相同
+        const components = typeof VisualizationTools !== 'undefined' ? VisualizationTools : [];
 
         components.forEach(component => {
             this.components.set(component.id, component);
@@ -910,116 +887,6 @@ class VisualizationIntegration {
         this.broadcast('theme-changed', { theme });
     }
 
-    /**
-     * 搜索处理
-     */
-    async handleSearch(query) {
-        if (query.length < 2) {
-            this.hideSearchResults();
-            return;
-        }
-
-        const results = this.searchInIndex(query);
-        this.displaySearchResults(results, query);
-    }
-
-    /**
-     * 在索引中搜索
-     */
-    searchInIndex(query) {
-        const results = [];
-        const normalizedQuery = query.toLowerCase();
-
-        this.searchIndex.forEach((item, id) => {
-            const score = this.calculateSearchScore(item, normalizedQuery);
-            if (score > 0) {
-                results.push({ ...item, score, id });
-            }
-        });
-
-        return results.sort((a, b) => b.score - a.score).slice(0, 10);
-    }
-
-    /**
-     * 计算搜索分数
-     */
-    calculateSearchScore(item, query) {
-        let score = 0;
-
-        // 标题匹配
-        if (item.title.toLowerCase().includes(query)) {
-            score += 10;
-        }
-
-        // 描述匹配
-        if (item.description.toLowerCase().includes(query)) {
-            score += 5;
-        }
-
-        // 标签匹配
-        item.tags.forEach(tag => {
-            if (tag.toLowerCase().includes(query)) {
-                score += 3;
-            }
-        });
-
-        return score;
-    }
-
-    /**
-     * 显示搜索结果
-     */
-    displaySearchResults(results, query) {
-        if (!this.searchResults || !this.searchResultsContent) return;
-
-        this.searchResultsContent.innerHTML = '';
-
-        if (results.length === 0) {
-            this.searchResultsContent.innerHTML = `
-                <div class="search-no-results">
-                    <p>未找到包含 "${query}" 的内容</p>
-                </div>
-            `;
-        } else {
-            results.forEach((result, index) => {
-                const resultElement = this.createSearchResultElement(result, index);
-                this.searchResultsContent.appendChild(resultElement);
-            });
-        }
-
-        this.showSearchResults();
-    }
-
-    /**
-     * 创建搜索结果元素
-     */
-    createSearchResultElement(result, index) {
-        const element = document.createElement('div');
-        element.className = 'search-result-item';
-        element.dataset.index = index;
-        element.innerHTML = `
-            <div class="search-result-icon">
-                <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
-                    <path d="M12 2l3.09 6.26L22 9.27l-5 4.87 1.18 6.88L12 17.77l-6.18 3.25L7 14.14 2 9.27l6.91-1.01L12 2z"/>
-                </svg>
-            </div>
-            <div class="search-result-content">
-                <h4>${result.title}</h4>
-                <p>${result.description}</p>
-                <div class="search-result-tags">
-                    ${result.tags.map(tag => `<span class="tag">${tag}</span>`).join('')}
-                </div>
-            </div>
-        `;
-
-        element.addEventListener('click', () => {
-            this.openComponent(result.id);
-            this.hideSearchResults();
-        });
-
-        return element;
-    }
-
     /**
      * 收藏夹切换
      */
@@ -1112,61 +979,6 @@ class VisualizationIntegration {
         }
     }
 
-    /**
-     * 构建搜索索引
-     */
-    buildSearchIndex() {
-        this.components.forEach((component, id) => {
-            this.searchIndex.set(id, {
-                title: component.name,
-                description: this.getComponentDescription(id),
-                tags: this.getComponentTags(id),
-                category: component.category,
-                url: component.url
-            });
-        });
-    }
-
-    /**
-     * 获取组件描述
-     */
-    getComponentDescription(id) {
-        const descriptions = {
-            '3d-viewer': '交互式三维唇部解剖模型，支持多层展示和详细标注',
-            'ar-viewer': '增强现实预览功能，实时查看治疗效果',
-            'vr-viewer': '虚拟现实培训环境，沉浸式学习体验',
-            'gallery': '专业医美案例展示画廊，支持前后对比',
-            'zoom-viewer': '高精度图像缩放查看器，支持测量工具',
-            'charts-library': '专业医疗数据可视化图表库',
-            'anatomy-illustrations': '专业解剖结构插图和教学资料',
-            'icons-system': '医美专用图标系统和设计组件',
-            'medical-dashboard': '实时医疗数据分析看板',
-            'case-studies': '深度案例研究和可视化分析'
-        };
-
-        return descriptions[id] || '';
-    }
-
-    /**
-     * 获取组件标签
-     */
-    getComponentTags(id) {
-        const tags = {
-            '3d-viewer': ['3D', '解剖', '模型', '交互'],
-            'ar-viewer': ['AR', '增强现实', '预览', '实时'],
-            'vr-viewer': ['VR', '虚拟现实', '培训', '沉浸式'],
-            'gallery': ['案例', '画廊', '对比', '展示'],
-            'zoom-viewer': ['缩放', '查看器', '测量', '细节'],
-            'charts-library': ['图表', '数据', '可视化', '统计'],
-            'anatomy-illustrations': ['解剖', '插图', '教学', '标注'],
-            'icons-system': ['图标', '设计', '符号', '系统'],
-            'medical-dashboard': ['看板', '数据', '分析', '实时'],
-            'case-studies': ['案例', '研究', '分析', '可视化']
-        };
-
-        return tags[id] || [];
-    }
-
     /**
      * 跨组件消息广播
      */
@@ -1411,24 +1223,14 @@ class VisualizationIntegration {
         this.favoritesPanel?.classList.remove('active');
         this.settingsPanel?.classList.remove('active');
 
-        // 关闭搜索结果
-        this.hideSearchResults();
-    }
-
-    showSearchResults() {
-        if (this.searchResults) {
-            this.searchResults.setAttribute('aria-hidden', 'false');
-        }
-    }
-
-    hideSearchResults() {
-        if (this.searchResults) {
-            this.searchResults.setAttribute('aria-hidden', 'true');
-        }
+        // 关闭搜索面板
+        this.commandPalette?.close();
     }
 
     openSearch() {
-        if (this.searchInput) {
+        if (this.commandPalette) {
+            this.commandPalette.open();
+        } else if (this.searchInput) {
             this.searchInput.focus();
         }
     }
@@ -1548,13 +1350,6 @@ class VisualizationIntegration {
         }
     }
 
-    selectSearchResult() {
-        const selected = document.querySelector('.search-result-item.selected');
-        if (selected) {
-            selected.click();
-        }
-    }
-
     /**
      * 向屏幕阅读器发送消息
      */
@@ -1599,28 +1394,6 @@ class VisualizationIntegration {
             liveRegion.textContent = message;
         }, 100);
     }
-
-    navigateSearchResults(direction) {
-        const results = document.querySelectorAll('.search-result-item');
-        let currentIndex = -1;
-
-        results.forEach((result, index) => {
-            if (result.classList.contains('selected')) {
-                currentIndex = index;
-            }
-            result.classList.remove('selected');
-        });
-
-        if (direction === 'down') {
-            currentIndex = (currentIndex + 1) % results.length;
-        } else if (direction === 'up') {
-            currentIndex = currentIndex <= 0 ? results.length - 1 : currentIndex - 1;
-        }
-
-        if (results[currentIndex]) {
-            results[currentIndex].classList.add('selected');
-        }
-    }
 }
 
 /**
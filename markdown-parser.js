@@ -0,0 +1,1987 @@
+/**
+ * Markdown Parser
+ * CommonMark block/inline tokenizer producing an AST for MarkdownRenderer
+ * 符合CommonMark规范的Markdown解析器，输出抽象语法树供渲染器使用
+ *
+ * Parsing happens in two phases, following the CommonMark spec:
+ *   1. Block phase - lines are consumed one at a time and assigned to
+ *      container blocks (block quotes, lists, items) and leaf blocks
+ *      (paragraphs, headings, code, HTML, tables).
+ *   2. Inline phase - the raw text of paragraphs, headings and table cells
+ *      is tokenized into emphasis, links, code spans, etc. using the
+ *      delimiter-stack algorithm from the spec appendix.
+ *
+ * GFM tables and strikethrough are enabled with `gfm: true` (default).
+ * With `math: true`, `$…$` spans and `$$…$$` blocks become `math` and
+ * `math_block` nodes; with `mermaid: true`, ```mermaid fences become
+ * `mermaid` nodes instead of code blocks.
+ *
+ * Book extensions, each behind its own option:
+ *   footnotes       - `[^label]` references and `[^label]: text` definitions
+ *   definitionLists - `Term` lines followed by `: definition` lines
+ *   admonitions     - block quotes opening with `[!NOTE]`, `[!WARNING]`, etc.
+ */
+
+const CODE_INDENT = 4;
+const MAX_LINK_LABEL = 999;
+
+const TAGNAME = '[A-Za-z][A-Za-z0-9-]*';
+const ATTRIBUTENAME = '[a-zA-Z_:][a-zA-Z0-9:._-]*';
+const UNQUOTEDVALUE = '[^"\'=<>`\\x00-\\x20]+';
+const SINGLEQUOTEDVALUE = '\'[^\']*\'';
+const DOUBLEQUOTEDVALUE = '"[^"]*"';
+const ATTRIBUTEVALUE = `(?:${UNQUOTEDVALUE}|${SINGLEQUOTEDVALUE}|${DOUBLEQUOTEDVALUE})`;
+const ATTRIBUTEVALUESPEC = `(?:[ \\t\\n]*=[ \\t\\n]*${ATTRIBUTEVALUE})`;
+const ATTRIBUTE = `(?:[ \\t\\n]+${ATTRIBUTENAME}${ATTRIBUTEVALUESPEC}?)`;
+const OPENTAG = `<${TAGNAME}${ATTRIBUTE}*[ \\t\\n]*/?>`;
+const CLOSETAG = `</${TAGNAME}[ \\t\\n]*>`;
+const HTMLCOMMENT = '<!-->|<!--->|<!--[\\s\\S]*?-->';
+const PROCESSINGINSTRUCTION = '[<][?][\\s\\S]*?[?][>]';
+const DECLARATION = '<![A-Za-z]+[^>]*>';
+const CDATA = '<!\\[CDATA\\[[\\s\\S]*?\\]\\]>';
+const HTMLTAG = `(?:${OPENTAG}|${CLOSETAG}|${HTMLCOMMENT}|${PROCESSINGINSTRUCTION}|${DECLARATION}|${CDATA})`;
+const ESCAPABLE = '[!"#$%&\'()*+,./:;<=>?@[\\\\\\]^_`{|}~-]';
+const ENTITY = '&(?:#x[a-f0-9]{1,6}|#[0-9]{1,7}|[a-z][a-z0-9]{1,31});';
+
+const reHtmlTag = new RegExp(`^${HTMLTAG}`, 'i');
+const reEscapable = new RegExp(`^${ESCAPABLE}`);
+const reEntityHere = new RegExp(`^${ENTITY}`, 'i');
+const reEntityOrEscapedChar = new RegExp(`\\\\${ESCAPABLE}|${ENTITY}`, 'gi');
+
+const reHtmlBlockOpen = [
+    /./, // placeholder so block types are 1-indexed like the spec
+    /^<(?:script|pre|textarea|style)(?:\s|>|$)/i,
+    /^<!--/,
+    /^<[?]/,
+    /^<![A-Za-z]/,
+    /^<!\[CDATA\[/,
+    /^<[/]?(?:address|article|aside|base|basefont|blockquote|body|caption|center|col|colgroup|dd|details|dialog|dir|div|dl|dt|fieldset|figcaption|figure|footer|form|frame|frameset|h[123456]|head|header|hr|html|iframe|legend|li|link|main|menu|menuitem|nav|noframes|ol|optgroup|option|p|param|search|section|summary|table|tbody|td|tfoot|th|thead|title|tr|track|ul)(?:\s|[/]?[>]|$)/i,
+    new RegExp(`^(?:${OPENTAG}|${CLOSETAG})[ \\t]*$`, 'i')
+];
+
+const reHtmlBlockClose = [
+    /./,
+    /<\/(?:script|pre|textarea|style)>/i,
+    /-->/,
+    /\?>/,
+    />/,
+    /\]\]>/
+];
+
+const reATXHeadingMarker = /^#{1,6}(?:[ \t]+|$)/;
+const reCodeFence = /^`{3,}(?!.*`)|^~{3,}/;
+const reClosingCodeFence = /^(?:`{3,}|~{3,})(?=[ \t]*$)/;
+const reMathFence = /^\$\$/;
+const reClosingMathFence = /^\$\$[ \t]*$/;
+const reSingleLineMath = /^\$\$(.+)\$\$[ \t]*$/;
+const reFootnoteDefinition = /^\[\^([^\]\s]+)\]:[ \t]*/;
+const reFootnoteReference = /^\[\^([^\]\s]+)\]/;
+const reDefinitionMarker = /^:[ \t]+(?=[^ \t])/;
+const reAdmonitionMarker = /^\[!(NOTE|TIP|IMPORTANT|WARNING|CAUTION)\][ \t]*([^\n]*)(?:\n|$)/i;
+const reSetextHeadingLine = /^(?:=+|-+)[ \t]*$/;
+const reThematicBreak = /^(?:\*[ \t]*){3,}$|^(?:_[ \t]*){3,}$|^(?:-[ \t]*){3,}$/;
+const reBulletListMarker = /^[*+-]/;
+const reOrderedListMarker = /^(\d{1,9})([.)])/;
+const reTableDelimiterRow = /^\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+const reNonSpace = /[^ \t\f\v\r\n]/;
+const reLineEnding = /\r\n|\n|\r/;
+
+const reLinkTitle = /^(?:"(?:\\[\s\S]|[^\\"\x00])*"|'(?:\\[\s\S]|[^\\'\x00])*'|\((?:\\[\s\S]|[^\\()\x00])*\))/;
+const reLinkDestinationBraces = /^(?:<(?:[^<>\n\\\x00]|\\.)*>)/;
+const reLinkLabel = /^\[(?:[^\\[\]]|\\[\s\S]){0,1000}\]/;
+const reAutolink = /^<[A-Za-z][A-Za-z0-9.+-]{1,31}:[^<>\x00-\x20]*>/i;
+const reEmailAutolink = /^<([a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*)>/;
+const reSpnl = /^ *(?:\n *)?/;
+const reWhitespaceChar = /^[ \t\n\x0b\x0c\x0d]/;
+const reUnicodeWhitespaceChar = /^\s/;
+const rePunctuation = /^[\p{P}\p{S}]/u;
+const reTicksHere = /^`+/;
+const reTicks = /`+/;
+const reSpaceAtEndOfLine = /^[ \t]*(?:\n|$)/;
+const reFinalSpace = / *$/;
+const reInitialSpace = /^ */;
+
+/**
+ * Named character references recognised by the inline parser.
+ * Covers Latin-1, common typography and the references used in the
+ * CommonMark spec examples; unknown names are left as literal text.
+ */
+const ENTITIES = {
+    quot: '"', amp: '&', apos: '\'', lt: '<', gt: '>', nbsp: ' ',
+    iexcl: '¡', cent: '¢', pound: '£', curren: '¤', yen: '¥', brvbar: '¦',
+    sect: '§', uml: '¨', copy: '©', ordf: 'ª', laquo: '«', not: '¬',
+    shy: '­', reg: '®', macr: '¯', deg: '°', plusmn: '±', sup2: '²',
+    sup3: '³', acute: '´', micro: 'µ', para: '¶', middot: '·', cedil: '¸',
+    sup1: '¹', ordm: 'º', raquo: '»', frac14: '¼', frac12: '½', frac34: '¾',
+    iquest: '¿', Agrave: 'À', Aacute: 'Á', Acirc: 'Â', Atilde: 'Ã', Auml: 'Ä',
+    Aring: 'Å', AElig: 'Æ', Ccedil: 'Ç', Egrave: 'È', Eacute: 'É', Ecirc: 'Ê',
+    Euml: 'Ë', Igrave: 'Ì', Iacute: 'Í', Icirc: 'Î', Iuml: 'Ï', ETH: 'Ð',
+    Ntilde: 'Ñ', Ograve: 'Ò', Oacute: 'Ó', Ocirc: 'Ô', Otilde: 'Õ', Ouml: 'Ö',
+    times: '×', Oslash: 'Ø', Ugrave: 'Ù', Uacute: 'Ú', Ucirc: 'Û', Uuml: 'Ü',
+    Yacute: 'Ý', THORN: 'Þ', szlig: 'ß', agrave: 'à', aacute: 'á', acirc: 'â',
+    atilde: 'ã', auml: 'ä', aring: 'å', aelig: 'æ', ccedil: 'ç', egrave: 'è',
+    eacute: 'é', ecirc: 'ê', euml: 'ë', igrave: 'ì', iacute: 'í', icirc: 'î',
+    iuml: 'ï', eth: 'ð', ntilde: 'ñ', ograve: 'ò', oacute: 'ó', ocirc: 'ô',
+    otilde: 'õ', ouml: 'ö', divide: '÷', oslash: 'ø', ugrave: 'ù', uacute: 'ú',
+    ucirc: 'û', uuml: 'ü', yacute: 'ý', thorn: 'þ', yuml: 'ÿ',
+    Dcaron: 'Ď', dcaron: 'ď', OElig: 'Œ', oelig: 'œ', Scaron: 'Š', scaron: 'š',
+    Yuml: 'Ÿ', fnof: 'ƒ', circ: 'ˆ', tilde: '˜',
+    Alpha: 'Α', Beta: 'Β', Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ',
+    Pi: 'Π', Sigma: 'Σ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω',
+    alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ε', theta: 'θ',
+    lambda: 'λ', mu: 'μ', pi: 'π', rho: 'ρ', sigma: 'σ', tau: 'τ', phi: 'φ',
+    psi: 'ψ', omega: 'ω',
+    ensp: ' ', emsp: ' ', thinsp: ' ', zwnj: '‌', zwj: '‍',
+    ndash: '–', mdash: '—', lsquo: '‘', rsquo: '’', sbquo: '‚', ldquo: '“',
+    rdquo: '”', bdquo: '„', dagger: '†', Dagger: '‡', bull: '•', hellip: '…',
+    permil: '‰', prime: '′', Prime: '″', lsaquo: '‹', rsaquo: '›', euro: '€',
+    trade: '™', larr: '←', uarr: '↑', rarr: '→', darr: '↓', harr: '↔',
+    rArr: '⇒', hArr: '⇔', minus: '−', radic: '√', infin: '∞', asymp: '≈',
+    ne: '≠', equiv: '≡', le: '≤', ge: '≥', sum: '∑', prod: '∏', part: '∂',
+    int: '∫', HilbertSpace: 'ℋ', DifferentialD: 'ⅆ',
+    ClockwiseContourIntegral: '∲', ngE: '≧̸'
+};
+
+/**
+ * Create an AST node. `parent` and the block-phase scratch `state`
+ * are non-enumerable so the finished tree serializes cleanly to JSON.
+ */
+function createNode(type, props = {}) {
+    const node = Object.assign({ type }, props);
+    Object.defineProperty(node, 'parent', { value: null, writable: true, enumerable: false });
+    Object.defineProperty(node, 'state', { value: {}, writable: true, enumerable: false });
+    return node;
+}
+
+function appendChild(parent, child) {
+    child.parent = parent;
+    parent.children.push(child);
+    return child;
+}
+
+function unlink(node) {
+    if (!node.parent) return;
+    const siblings = node.parent.children;
+    siblings.splice(siblings.indexOf(node), 1);
+    node.parent = null;
+}
+
+function insertAfter(node, sibling) {
+    const siblings = node.parent.children;
+    siblings.splice(siblings.indexOf(node) + 1, 0, sibling);
+    sibling.parent = node.parent;
+}
+
+function lastChild(node) {
+    return node.children && node.children.length ? node.children[node.children.length - 1] : null;
+}
+
+function peek(line, pos) {
+    return pos < line.length ? line.charAt(pos) : '';
+}
+
+function isSpaceOrTab(c) {
+    return c === ' ' || c === '\t';
+}
+
+function isBlank(s) {
+    return !reNonSpace.test(s);
+}
+
+/**
+ * Decode a single character reference; returns null for unknown names.
+ */
+function decodeEntity(entity) {
+    if (entity[1] === '#') {
+        const hex = entity[2] === 'x' || entity[2] === 'X';
+        let code = parseInt(entity.slice(hex ? 3 : 2, -1), hex ? 16 : 10);
+        if (code === 0 || code > 0x10FFFF || (code >= 0xD800 && code <= 0xDFFF)) {
+            code = 0xFFFD;
+        }
+        return String.fromCodePoint(code);
+    }
+    const name = entity.slice(1, -1);
+    return Object.prototype.hasOwnProperty.call(ENTITIES, name) ? ENTITIES[name] : null;
+}
+
+/**
+ * Replace backslash escapes and character references in a string
+ */
+function unescapeString(s) {
+    return s.replace(reEntityOrEscapedChar, m => {
+        if (m[0] === '\\') return m[1];
+        const decoded = decodeEntity(m);
+        return decoded === null ? m : decoded;
+    });
+}
+
+/**
+ * Percent-encode a link destination, keeping existing %XX escapes
+ */
+function normalizeURI(uri) {
+    const keep = /[A-Za-z0-9;/?:@&=+$,\-_.!~*'()#]/;
+    let result = '';
+
+    for (let i = 0; i < uri.length; i++) {
+        const ch = uri[i];
+        const code = uri.charCodeAt(i);
+
+        if (ch === '%' && /^[0-9a-f]{2}$/i.test(uri.slice(i + 1, i + 3))) {
+            result += uri.slice(i, i + 3);
+            i += 2;
+        } else if (code < 128) {
+            result += keep.test(ch) ? ch : '%' + code.toString(16).toUpperCase().padStart(2, '0');
+        } else if (code >= 0xD800 && code <= 0xDBFF && i + 1 < uri.length) {
+            result += encodeURIComponent(uri[i] + uri[i + 1]);
+            i++;
+        } else if (code >= 0xD800 && code <= 0xDFFF) {
+            result += '%EF%BF%BD';
+        } else {
+            result += encodeURIComponent(ch);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Normalize a link label for reference lookup (case fold, collapse whitespace)
+ */
+function normalizeReference(label) {
+    return label.slice(1, label.length - 1)
+        .trim()
+        .replace(/[ \t\r\n]+/g, ' ')
+        .toLowerCase()
+        .toUpperCase();
+}
+
+/**
+ * Split a GFM table row into raw cell strings, honouring `\|` escapes
+ */
+function splitTableRow(line) {
+    let row = line.trim();
+    if (row.startsWith('|')) row = row.slice(1);
+    if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+
+    const cells = [];
+    let current = '';
+    for (let i = 0; i < row.length; i++) {
+        if (row[i] === '\\' && row[i + 1] === '|') {
+            current += '|';
+            i++;
+        } else if (row[i] === '|') {
+            cells.push(current.trim());
+            current = '';
+        } else {
+            current += row[i];
+        }
+    }
+    cells.push(current.trim());
+    return cells;
+}
+
+function parseTableAlignment(line) {
+    return splitTableRow(line).map(cell => {
+        const left = cell.startsWith(':');
+        const right = cell.endsWith(':');
+        if (left && right) return 'center';
+        if (right) return 'right';
+        if (left) return 'left';
+        return null;
+    });
+}
+
+/**
+ * Collect the plain text of an inline subtree (used for alt text and TOC)
+ */
+function textContent(node) {
+    if (node.value !== undefined && node.type !== 'html_inline') return node.value;
+    if (node.type === 'softbreak' || node.type === 'hardbreak') return ' ';
+    return (node.children || []).map(textContent).join('');
+}
+
+/**
+ * Block-level behaviour, keyed by node type.
+ *   continue(parser, block): 0 = matched, 1 = not matched, 2 = line consumed
+ *   finalize(parser, block): called once when the block is closed
+ *   canContain(type):        whether a child of `type` may be added
+ *   acceptsLines:            whether raw lines are appended to the block
+ */
+const blockTypes = {
+    document: {
+        continue: () => 0,
+        finalize: () => {},
+        canContain: t => t !== 'item',
+        acceptsLines: false
+    },
+
+    list: {
+        continue: () => 0,
+        finalize: (parser, block) => {
+            const last = lastChild(block);
+            if (last) block.position.end = last.position.end;
+
+            let tight = true;
+            block.children.forEach((item, i) => {
+                const next = block.children[i + 1];
+                if (next && endsWithBlankLine(item, next)) tight = false;
+
+                item.children.forEach((sub, j) => {
+                    const nextSub = item.children[j + 1];
+                    if (nextSub && endsWithBlankLine(sub, nextSub)) tight = false;
+                });
+            });
+            block.tight = tight;
+        },
+        canContain: t => t === 'item',
+        acceptsLines: false
+    },
+
+    blockquote: {
+        continue: parser => {
+            const line = parser.currentLine;
+            if (!parser.indented && peek(line, parser.nextNonspace) === '>') {
+                parser.advanceNextNonspace();
+                parser.advanceOffset(1, false);
+                if (isSpaceOrTab(peek(line, parser.offset))) {
+                    parser.advanceOffset(1, true);
+                }
+                return 0;
+            }
+            return 1;
+        },
+        finalize: (parser, block) => {
+            // A leading [!KIND] line turns the quote into an admonition
+            const first = block.children[0];
+            let match;
+            if (!parser.options.admonitions || !first || first.type !== 'paragraph' ||
+                !(match = first.state.content.match(reAdmonitionMarker))) {
+                return;
+            }
+
+            block.type = 'admonition';
+            block.kind = match[1].toLowerCase();
+            block.title = match[2].trim();
+            first.state.content = first.state.content.slice(match[0].length);
+            if (!first.state.content.trim()) unlink(first);
+        },
+        canContain: t => t !== 'item',
+        acceptsLines: false
+    },
+
+    item: {
+        continue: (parser, block) => {
+            const data = block.state.listData;
+            if (parser.blank) {
+                if (block.children.length === 0) return 1;
+                parser.advanceNextNonspace();
+            } else if (parser.indent >= data.markerOffset + data.padding) {
+                parser.advanceOffset(data.markerOffset + data.padding, true);
+            } else {
+                return 1;
+            }
+            return 0;
+        },
+        finalize: (parser, block) => {
+            const last = lastChild(block);
+            block.position.end = last ? last.position.end : block.position.start;
+        },
+        canContain: t => t !== 'item',
+        acceptsLines: false
+    },
+
+    footnote_definition: {
+        continue: (parser, block) => {
+            if (parser.blank) {
+                if (block.children.length === 0) return 1;
+                parser.advanceNextNonspace();
+            } else if (parser.indent >= CODE_INDENT) {
+                parser.advanceOffset(CODE_INDENT, true);
+            } else {
+                return 1;
+            }
+            return 0;
+        },
+        finalize: (parser, block) => {
+            const last = lastChild(block);
+            block.position.end = last ? last.position.end : block.position.start;
+        },
+        canContain: t => t !== 'item' && t !== 'footnote_definition',
+        acceptsLines: false
+    },
+
+    definition_list: {
+        continue: parser => {
+            if (parser.blank || parser.indent >= 2 ||
+                (!parser.indented && reDefinitionMarker.test(parser.currentLine.slice(parser.nextNonspace)))) {
+                return 0;
+            }
+            return 1;
+        },
+        finalize: (parser, block) => {
+            const last = lastChild(block);
+            if (last) block.position.end = last.position.end;
+
+            // Loose when blank lines separate the blocks of any definition
+            block.tight = block.children.every(child =>
+                child.type !== 'definition_description' ||
+                child.children.every((sub, i) => {
+                    const next = child.children[i + 1];
+                    return !next || !endsWithBlankLine(sub, next);
+                }));
+        },
+        canContain: t => t === 'definition_term' || t === 'definition_description',
+        acceptsLines: false
+    },
+
+    definition_description: {
+        continue: (parser, block) => {
+            if (parser.blank) {
+                if (block.children.length === 0) return 1;
+                parser.advanceNextNonspace();
+            } else if (parser.indent >= block.state.padding) {
+                parser.advanceOffset(block.state.padding, true);
+            } else {
+                return 1;
+            }
+            return 0;
+        },
+        finalize: (parser, block) => {
+            const last = lastChild(block);
+            block.position.end = last ? last.position.end : block.position.start;
+        },
+        canContain: t => t !== 'item',
+        acceptsLines: false
+    },
+
+    heading: {
+        continue: () => 1,
+        finalize: () => {},
+        canContain: () => false,
+        acceptsLines: false
+    },
+
+    thematic_break: {
+        continue: () => 1,
+        finalize: () => {},
+        canContain: () => false,
+        acceptsLines: false
+    },
+
+    code_block: {
+        continue: (parser, block) => {
+            const line = parser.currentLine;
+            const indent = parser.indent;
+
+            if (block.fenced) {
+                const match = indent <= 3 &&
+                    line.charAt(parser.nextNonspace) === block.state.fenceChar &&
+                    line.slice(parser.nextNonspace).match(reClosingCodeFence);
+
+                if (match && match[0].length >= block.state.fenceLength) {
+                    parser.finalize(block, parser.lineNumber);
+                    return 2;
+                }
+
+                // Skip optional spaces up to the fence's own indentation
+                let i = block.state.fenceOffset;
+                while (i > 0 && isSpaceOrTab(peek(line, parser.offset))) {
+                    parser.advanceOffset(1, true);
+                    i--;
+                }
+            } else if (indent >= CODE_INDENT) {
+                parser.advanceOffset(CODE_INDENT, true);
+            } else if (parser.blank) {
+                parser.advanceNextNonspace();
+            } else {
+                return 1;
+            }
+            return 0;
+        },
+        finalize: (parser, block) => {
+            const content = block.state.content;
+            if (block.fenced) {
+                const newline = content.indexOf('\n');
+                block.info = unescapeString(content.slice(0, newline).trim());
+                block.value = content.slice(newline + 1);
+                if (parser.options.mermaid && /^mermaid(?:\s|$)/.test(block.info)) {
+                    block.type = 'mermaid';
+                }
+            } else {
+                block.info = '';
+                block.value = content.replace(/(\n *)+$/, '\n');
+            }
+        },
+        canContain: () => false,
+        acceptsLines: true
+    },
+
+    math_block: {
+        continue: (parser, block) => {
+            if (parser.indent <= 3 &&
+                reClosingMathFence.test(parser.currentLine.slice(parser.nextNonspace))) {
+                parser.finalize(block, parser.lineNumber);
+                return 2;
+            }
+            return 0;
+        },
+        finalize: (parser, block) => {
+            block.value = block.state.content.trim();
+        },
+        canContain: () => false,
+        acceptsLines: true
+    },
+
+    html_block: {
+        continue: (parser, block) => {
+            const type = block.state.htmlBlockType;
+            return parser.blank && (type === 6 || type === 7) ? 1 : 0;
+        },
+        finalize: (parser, block) => {
+            block.value = block.state.content.replace(/(\n *)+$/, '');
+        },
+        canContain: () => false,
+        acceptsLines: true
+    },
+
+    paragraph: {
+        continue: parser => (parser.blank ? 1 : 0),
+        finalize: (parser, block) => {
+            let hasReferenceDefs = false;
+            let pos;
+
+            while (peek(block.state.content, 0) === '[' &&
+                   (pos = parser.inlineParser.parseReference(block.state.content, parser.refmap))) {
+                block.state.content = block.state.content.slice(pos);
+                hasReferenceDefs = true;
+            }
+
+            if (hasReferenceDefs && isBlank(block.state.content)) {
+                unlink(block);
+            }
+        },
+        canContain: () => false,
+        acceptsLines: true
+    },
+
+    table: {
+        continue: parser => (parser.blank ? 1 : 0),
+        finalize: (parser, block) => {
+            const width = block.align.length;
+            // The delimiter row leaves an empty line behind; skip it
+            const lines = block.state.content.split('\n').filter(line => line.trim() !== '');
+
+            lines.forEach((line, rowIndex) => {
+                const header = rowIndex === 0;
+                // Body rows follow the delimiter row
+                const lineNumber = block.position.start + (header ? 0 : rowIndex + 1);
+                const row = appendChild(block, createNode('table_row', {
+                    header,
+                    children: [],
+                    position: { start: lineNumber, end: lineNumber }
+                }));
+                const cells = splitTableRow(line);
+
+                for (let i = 0; i < width; i++) {
+                    const cell = appendChild(row, createNode('table_cell', {
+                        header,
+                        align: block.align[i],
+                        children: []
+                    }));
+                    cell.state.content = cells[i] || '';
+                }
+            });
+        },
+        canContain: () => false,
+        acceptsLines: true
+    }
+};
+
+/**
+ * Whether a blank line separates `block` from the following sibling
+ */
+function endsWithBlankLine(block, next) {
+    return block.position.end < next.position.start - 1;
+}
+
+/**
+ * Parse a list marker at the current position; returns list data or null
+ */
+function parseListMarker(parser, container) {
+    const rest = parser.currentLine.slice(parser.nextNonspace);
+    const data = {
+        ordered: false,
+        bulletChar: null,
+        start: null,
+        delimiter: null,
+        padding: null,
+        markerOffset: parser.indent
+    };
+    let match;
+
+    if (parser.indent >= CODE_INDENT) return null;
+
+    if ((match = rest.match(reBulletListMarker))) {
+        data.bulletChar = match[0][0];
+    } else if ((match = rest.match(reOrderedListMarker)) &&
+               (container.type !== 'paragraph' || match[1] === '1')) {
+        data.ordered = true;
+        data.start = parseInt(match[1], 10);
+        data.delimiter = match[2];
+    } else {
+        return null;
+    }
+
+    // The marker must be followed by whitespace or end of line
+    const nextc = peek(parser.currentLine, parser.nextNonspace + match[0].length);
+    if (!(nextc === '' || nextc === '\t' || nextc === ' ')) return null;
+
+    // An item interrupting a paragraph may not start with a blank line
+    if (container.type === 'paragraph' &&
+        !reNonSpace.test(parser.currentLine.slice(parser.nextNonspace + match[0].length))) {
+        return null;
+    }
+
+    parser.advanceNextNonspace();
+    parser.advanceOffset(match[0].length, true);
+    const spacesStartCol = parser.column;
+    const spacesStartOffset = parser.offset;
+
+    do {
+        parser.advanceOffset(1, true);
+    } while (parser.column - spacesStartCol < 5 &&
+             isSpaceOrTab(peek(parser.currentLine, parser.offset)));
+
+    const blankItem = peek(parser.currentLine, parser.offset) === '';
+    const spacesAfterMarker = parser.column - spacesStartCol;
+
+    if (spacesAfterMarker >= 5 || spacesAfterMarker < 1 || blankItem) {
+        data.padding = match[0].length + 1;
+        parser.column = spacesStartCol;
+        parser.offset = spacesStartOffset;
+        if (isSpaceOrTab(peek(parser.currentLine, parser.offset))) {
+            parser.advanceOffset(1, true);
+        }
+    } else {
+        data.padding = match[0].length + spacesAfterMarker;
+    }
+
+    return data;
+}
+
+function listsMatch(a, b) {
+    return a.ordered === b.ordered &&
+           a.delimiter === b.delimiter &&
+           a.bulletChar === b.bulletChar;
+}
+
+/**
+ * Block start functions, tried in order.
+ * Return 0 = no match, 1 = matched container, 2 = matched leaf
+ */
+const blockStarts = [
+    // Block quote
+    parser => {
+        if (parser.indented || peek(parser.currentLine, parser.nextNonspace) !== '>') return 0;
+
+        parser.advanceNextNonspace();
+        parser.advanceOffset(1, false);
+        if (isSpaceOrTab(peek(parser.currentLine, parser.offset))) {
+            parser.advanceOffset(1, true);
+        }
+        parser.closeUnmatchedBlocks();
+        parser.addChild('blockquote', parser.nextNonspace);
+        return 1;
+    },
+
+    // ATX heading
+    parser => {
+        let match;
+        if (parser.indented ||
+            !(match = parser.currentLine.slice(parser.nextNonspace).match(reATXHeadingMarker))) {
+            return 0;
+        }
+
+        parser.advanceNextNonspace();
+        parser.advanceOffset(match[0].length, false);
+        parser.closeUnmatchedBlocks();
+
+        const heading = parser.addChild('heading', parser.nextNonspace);
+        heading.level = match[0].trim().length;
+        heading.state.content = parser.currentLine.slice(parser.offset)
+            .replace(/^[ \t]*#+[ \t]*$/, '')
+            .replace(/[ \t]+#+[ \t]*$/, '');
+        parser.advanceOffset(parser.currentLine.length - parser.offset);
+        return 2;
+    },
+
+    // Fenced code block
+    parser => {
+        let match;
+        if (parser.indented ||
+            !(match = parser.currentLine.slice(parser.nextNonspace).match(reCodeFence))) {
+            return 0;
+        }
+
+        parser.closeUnmatchedBlocks();
+        const block = parser.addChild('code_block', parser.nextNonspace);
+        block.fenced = true;
+        block.state.fenceLength = match[0].length;
+        block.state.fenceChar = match[0][0];
+        block.state.fenceOffset = parser.indent;
+        parser.advanceNextNonspace();
+        parser.advanceOffset(match[0].length, false);
+        return 2;
+    },
+
+    // Display math block ($$ on its own line, or $$ … $$ on one line)
+    parser => {
+        const rest = parser.currentLine.slice(parser.nextNonspace);
+        if (!parser.options.math || parser.indented || !reMathFence.test(rest)) {
+            return 0;
+        }
+
+        parser.closeUnmatchedBlocks();
+        const block = parser.addChild('math_block', parser.nextNonspace);
+        parser.advanceNextNonspace();
+        parser.advanceOffset(2, false);
+
+        const single = rest.match(reSingleLineMath);
+        if (single) {
+            block.state.content = single[1];
+            parser.advanceOffset(parser.currentLine.length - parser.offset, false);
+            parser.finalize(block, parser.lineNumber);
+        }
+        return 2;
+    },
+
+    // HTML block
+    (parser, container) => {
+        if (parser.indented || peek(parser.currentLine, parser.nextNonspace) !== '<') return 0;
+
+        const s = parser.currentLine.slice(parser.nextNonspace);
+        for (let blockType = 1; blockType <= 7; blockType++) {
+            if (reHtmlBlockOpen[blockType].test(s) &&
+                (blockType < 7 || (container.type !== 'paragraph' &&
+                 !(!parser.allClosed && !parser.blank && parser.tip.type === 'paragraph')))) {
+                parser.closeUnmatchedBlocks();
+                const block = parser.addChild('html_block', parser.offset);
+                block.state.htmlBlockType = blockType;
+                return 2;
+            }
+        }
+        return 0;
+    },
+
+    // Setext heading
+    (parser, container) => {
+        let match;
+        if (parser.indented || container.type !== 'paragraph' ||
+            !(match = parser.currentLine.slice(parser.nextNonspace).match(reSetextHeadingLine))) {
+            return 0;
+        }
+
+        parser.closeUnmatchedBlocks();
+
+        // Link reference definitions at the start are not heading content
+        let pos;
+        while (peek(container.state.content, 0) === '[' &&
+               (pos = parser.inlineParser.parseReference(container.state.content, parser.refmap))) {
+            container.state.content = container.state.content.slice(pos);
+        }
+        if (container.state.content.length === 0) return 0;
+
+        const heading = createNode('heading', {
+            level: match[0][0] === '=' ? 1 : 2,
+            children: [],
+            position: { start: container.position.start, end: parser.lineNumber }
+        });
+        heading.state.open = true;
+        heading.state.content = container.state.content;
+        insertAfter(container, heading);
+        unlink(container);
+        parser.tip = heading;
+        parser.advanceOffset(parser.currentLine.length - parser.offset, false);
+        return 2;
+    },
+
+    // GFM table (delimiter row under a one-line header)
+    (parser, container) => {
+        if (!parser.options.gfm || parser.indented || container.type !== 'paragraph') return 0;
+
+        const rest = parser.currentLine.slice(parser.nextNonspace);
+        if (!rest.includes('|') || !reTableDelimiterRow.test(rest)) return 0;
+
+        const lines = container.state.content.replace(/\n$/, '').split('\n');
+        const headerLine = lines[lines.length - 1];
+        const align = parseTableAlignment(rest);
+        if (splitTableRow(headerLine).length !== align.length) return 0;
+
+        parser.closeUnmatchedBlocks();
+
+        const table = createNode('table', {
+            align,
+            children: [],
+            position: { start: parser.lineNumber - 1, end: parser.lineNumber }
+        });
+        table.state.open = true;
+        table.state.content = headerLine + '\n';
+        insertAfter(container, table);
+
+        if (lines.length > 1) {
+            container.state.content = lines.slice(0, -1).join('\n') + '\n';
+            parser.tip = container;
+            parser.finalize(container, parser.lineNumber - 2);
+        } else {
+            unlink(container);
+        }
+
+        parser.tip = table;
+        parser.advanceOffset(parser.currentLine.length - parser.offset, false);
+        return 2;
+    },
+
+    // Footnote definition ([^label]: text, continued by indented lines)
+    parser => {
+        let match;
+        if (!parser.options.footnotes || parser.indented ||
+            !(match = parser.currentLine.slice(parser.nextNonspace).match(reFootnoteDefinition))) {
+            return 0;
+        }
+
+        parser.closeUnmatchedBlocks();
+        const block = parser.addChild('footnote_definition', parser.nextNonspace);
+        block.label = match[1];
+
+        const key = normalizeReference(`[${match[1]}]`);
+        if (!parser.footnoteMap[key]) {
+            parser.footnoteMap[key] = block;
+        }
+
+        parser.advanceNextNonspace();
+        parser.advanceOffset(match[0].length, false);
+        return 1;
+    },
+
+    // Definition list (": definition" directly under one or more term lines)
+    (parser, container) => {
+        let match;
+        if (!parser.options.definitionLists || parser.indented ||
+            (container.type !== 'paragraph' && container.type !== 'definition_list') ||
+            !(match = parser.currentLine.slice(parser.nextNonspace).match(reDefinitionMarker))) {
+            return 0;
+        }
+
+        parser.closeUnmatchedBlocks();
+
+        if (container.type === 'paragraph') {
+            const siblings = container.parent.children;
+            const previous = siblings[siblings.indexOf(container) - 1];
+            let list;
+
+            if (previous && previous.type === 'definition_list') {
+                // Terms after a blank line extend the list above
+                list = previous;
+                list.state.open = true;
+                unlink(container);
+            } else {
+                list = createNode('definition_list', {
+                    children: [],
+                    position: { start: container.position.start, end: parser.lineNumber }
+                });
+                list.state.open = true;
+                insertAfter(container, list);
+                unlink(container);
+            }
+
+            container.state.content.replace(/\n$/, '').split('\n').forEach((line, i) => {
+                const lineNumber = container.position.start + i;
+                const term = createNode('definition_term', {
+                    children: [],
+                    position: { start: lineNumber, end: lineNumber }
+                });
+                term.state.content = line;
+                appendChild(list, term);
+            });
+            parser.tip = list;
+        }
+
+        const description = parser.addChild('definition_description', parser.nextNonspace);
+        const markerColumn = parser.nextNonspaceColumn;
+        parser.advanceNextNonspace();
+        parser.advanceOffset(match[0].length, false);
+        description.state.padding = parser.column - markerColumn;
+        return 1;
+    },
+
+    // Thematic break
+    parser => {
+        if (parser.indented || !reThematicBreak.test(parser.currentLine.slice(parser.nextNonspace))) {
+            return 0;
+        }
+
+        parser.closeUnmatchedBlocks();
+        parser.addChild('thematic_break', parser.nextNonspace);
+        parser.advanceOffset(parser.currentLine.length - parser.offset, false);
+        return 2;
+    },
+
+    // List item
+    (parser, container) => {
+        if (parser.indented && container.type !== 'list') return 0;
+
+        const data = parseListMarker(parser, container);
+        if (!data) return 0;
+
+        parser.closeUnmatchedBlocks();
+
+        if (parser.tip.type !== 'list' || !listsMatch(container.state.listData, data)) {
+            const list = parser.addChild('list', parser.nextNonspace);
+            list.ordered = data.ordered;
+            list.start = data.start;
+            list.delimiter = data.delimiter;
+            list.bulletChar = data.bulletChar;
+            list.tight = true;
+            list.state.listData = data;
+        }
+
+        const item = parser.addChild('item', parser.nextNonspace);
+        item.state.listData = data;
+        return 1;
+    },
+
+    // Indented code block
+    parser => {
+        if (!parser.indented || parser.tip.type === 'paragraph' || parser.blank) return 0;
+
+        parser.advanceOffset(CODE_INDENT, true);
+        parser.closeUnmatchedBlocks();
+        const block = parser.addChild('code_block', parser.offset);
+        block.fenced = false;
+        return 2;
+    }
+];
+
+/**
+ * Inline tokenizer: turns the raw text of a leaf block into inline nodes
+ */
+class InlineParser {
+    constructor(options = {}) {
+        this.options = options;
+        this.subject = '';
+        this.pos = 0;
+        this.delimiters = null;
+        this.brackets = null;
+        this.refmap = {};
+        this.footnotes = {};
+        this.reMain = new RegExp(`^[^\\n\`[\\]\\\\!<&*_${options.gfm ? '~' : ''}${options.math ? '$' : ''}]+`);
+    }
+
+    /**
+     * Parse `content` into inline children of `block`
+     */
+    parse(block, content, refmap, footnotes = {}) {
+        this.subject = content.trim();
+        this.pos = 0;
+        this.delimiters = null;
+        this.brackets = null;
+        this.refmap = refmap;
+        this.footnotes = footnotes;
+
+        while (this.parseInline(block));
+
+        this.processEmphasis(null);
+        mergeTextNodes(block);
+    }
+
+    match(re) {
+        const m = re.exec(this.subject.slice(this.pos));
+        if (m === null) return null;
+        this.pos += m.index + m[0].length;
+        return m[0];
+    }
+
+    peek() {
+        return this.pos < this.subject.length ? this.subject.charAt(this.pos) : '';
+    }
+
+    spnl() {
+        this.match(reSpnl);
+        return true;
+    }
+
+    text(value) {
+        return createNode('text', { value });
+    }
+
+    /**
+     * Parse the next inline element; returns false at end of input
+     */
+    parseInline(block) {
+        const c = this.peek();
+        if (c === '') return false;
+
+        let handled;
+        switch (c) {
+            case '\n':
+                handled = this.parseNewline(block);
+                break;
+            case '\\':
+                handled = this.parseBackslash(block);
+                break;
+            case '`':
+                handled = this.parseBackticks(block);
+                break;
+            case '*':
+            case '_':
+                handled = this.handleDelim(c, block);
+                break;
+            case '~':
+                handled = this.options.gfm && this.handleDelim(c, block);
+                break;
+            case '$':
+                handled = this.options.math && this.parseMath(block);
+                break;
+            case '[':
+                handled = this.parseFootnoteReference(block) || this.parseOpenBracket(block);
+                break;
+            case '!':
+                handled = this.parseBang(block);
+                break;
+            case ']':
+                handled = this.parseCloseBracket(block);
+                break;
+            case '<':
+                handled = this.parseAutolink(block) || this.parseHtmlTag(block);
+                break;
+            case '&':
+                handled = this.parseEntity(block);
+                break;
+            default:
+                handled = this.parseString(block);
+                break;
+        }
+
+        if (!handled) {
+            this.pos += 1;
+            appendChild(block, this.text(c));
+        }
+        return true;
+    }
+
+    parseNewline(block) {
+        this.pos += 1;
+        const last = lastChild(block);
+
+        if (last && last.type === 'text' && last.value.endsWith(' ')) {
+            const hardbreak = last.value.endsWith('  ');
+            last.value = last.value.replace(reFinalSpace, '');
+            appendChild(block, createNode(hardbreak ? 'hardbreak' : 'softbreak'));
+        } else {
+            appendChild(block, createNode('softbreak'));
+        }
+
+        this.match(reInitialSpace);
+        return true;
+    }
+
+    parseBackslash(block) {
+        this.pos += 1;
+        const next = this.peek();
+
+        if (next === '\n') {
+            this.pos += 1;
+            appendChild(block, createNode('hardbreak'));
+        } else if (reEscapable.test(next)) {
+            this.pos += 1;
+            appendChild(block, this.text(next));
+        } else {
+            appendChild(block, this.text('\\'));
+        }
+        return true;
+    }
+
+    parseBackticks(block) {
+        const ticks = this.match(reTicksHere);
+        const afterOpen = this.pos;
+        let matched;
+
+        while ((matched = this.match(reTicks)) !== null) {
+            if (matched === ticks) {
+                let value = this.subject.slice(afterOpen, this.pos - ticks.length).replace(/\n/g, ' ');
+                if (value.length > 0 && /[^ ]/.test(value) && value[0] === ' ' && value[value.length - 1] === ' ') {
+                    value = value.slice(1, -1);
+                }
+                appendChild(block, createNode('code', { value }));
+                return true;
+            }
+        }
+
+        // No matching closer: the opening backticks are literal text
+        this.pos = afterOpen;
+        appendChild(block, this.text(ticks));
+        return true;
+    }
+
+    /**
+     * `$…$` inline math or `$$…$$` display math. An inline span may not
+     * start or end with whitespace, and a closer followed by a digit is
+     * skipped, so prices like "$5 to $10" stay literal.
+     */
+    parseMath(block) {
+        const subject = this.subject;
+        const display = subject.startsWith('$$', this.pos);
+        const delim = display ? '$$' : '$';
+        const contentStart = this.pos + delim.length;
+
+        if (!display && reWhitespaceChar.test(subject.charAt(contentStart))) {
+            return false;
+        }
+
+        for (let i = contentStart; i < subject.length; i++) {
+            const c = subject.charAt(i);
+            if (c === '\\') {
+                // TeX escapes such as \$ belong to the formula
+                i++;
+                continue;
+            }
+            if (!subject.startsWith(delim, i)) continue;
+            if (!display && (reWhitespaceChar.test(subject.charAt(i - 1)) || /\d/.test(subject.charAt(i + 1)))) {
+                continue;
+            }
+
+            const value = subject.slice(contentStart, i).replace(/\n/g, ' ').trim();
+            if (!value) break;
+
+            this.pos = i + delim.length;
+            appendChild(block, createNode('math', { value, display }));
+            return true;
+        }
+
+        // No closer: the dollar signs are literal text
+        this.pos = contentStart;
+        appendChild(block, this.text(delim));
+        return true;
+    }
+
+    parseAutolink(block) {
+        let m;
+        if ((m = this.match(reEmailAutolink))) {
+            const address = m.slice(1, -1);
+            const link = createNode('link', {
+                destination: normalizeURI('mailto:' + address),
+                title: '',
+                children: []
+            });
+            appendChild(link, this.text(address));
+            appendChild(block, link);
+            return true;
+        }
+        if ((m = this.match(reAutolink))) {
+            const address = m.slice(1, -1);
+            const link = createNode('link', {
+                destination: normalizeURI(address),
+                title: '',
+                children: []
+            });
+            appendChild(link, this.text(address));
+            appendChild(block, link);
+            return true;
+        }
+        return false;
+    }
+
+    parseHtmlTag(block) {
+        const m = this.match(reHtmlTag);
+        if (m === null) return false;
+        appendChild(block, createNode('html_inline', { value: m }));
+        return true;
+    }
+
+    parseEntity(block) {
+        const m = this.match(reEntityHere);
+        if (m === null) return false;
+
+        const decoded = decodeEntity(m);
+        if (decoded === null) {
+            this.pos -= m.length;
+            return false;
+        }
+        appendChild(block, this.text(decoded));
+        return true;
+    }
+
+    parseString(block) {
+        const m = this.match(this.reMain);
+        if (m === null) return false;
+        appendChild(block, this.text(m));
+        return true;
+    }
+
+    /**
+     * Determine whether a delimiter run can open and/or close emphasis
+     */
+    scanDelims(c) {
+        const startpos = this.pos;
+        let numdelims = 0;
+
+        while (this.peek() === c) {
+            numdelims++;
+            this.pos++;
+        }
+        if (numdelims === 0) return null;
+
+        const charBefore = startpos === 0 ? '\n' : charBeforeIndex(this.subject, startpos);
+        const charAfter = this.pos >= this.subject.length
+            ? '\n'
+            : String.fromCodePoint(this.subject.codePointAt(this.pos));
+
+        const afterIsWhitespace = reUnicodeWhitespaceChar.test(charAfter);
+        const afterIsPunctuation = rePunctuation.test(charAfter);
+        const beforeIsWhitespace = reUnicodeWhitespaceChar.test(charBefore);
+        const beforeIsPunctuation = rePunctuation.test(charBefore);
+
+        const leftFlanking = !afterIsWhitespace &&
+            (!afterIsPunctuation || beforeIsWhitespace || beforeIsPunctuation);
+        const rightFlanking = !beforeIsWhitespace &&
+            (!beforeIsPunctuation || afterIsWhitespace || afterIsPunctuation);
+
+        let canOpen, canClose;
+        if (c === '_') {
+            canOpen = leftFlanking && (!rightFlanking || beforeIsPunctuation);
+            canClose = rightFlanking && (!leftFlanking || afterIsPunctuation);
+        } else {
+            canOpen = leftFlanking;
+            canClose = rightFlanking;
+        }
+
+        this.pos = startpos;
+        return { numdelims, canOpen, canClose };
+    }
+
+    handleDelim(c, block) {
+        const res = this.scanDelims(c);
+        if (!res) return false;
+
+        const startpos = this.pos;
+        this.pos += res.numdelims;
+        const node = appendChild(block, this.text(this.subject.slice(startpos, this.pos)));
+
+        if (res.canOpen || res.canClose) {
+            this.delimiters = {
+                c,
+                numdelims: res.numdelims,
+                origdelims: res.numdelims,
+                node,
+                previous: this.delimiters,
+                next: null,
+                canOpen: res.canOpen,
+                canClose: res.canClose
+            };
+            if (this.delimiters.previous) {
+                this.delimiters.previous.next = this.delimiters;
+            }
+        }
+        return true;
+    }
+
+    removeDelimiter(delim) {
+        if (delim.previous !== null) delim.previous.next = delim.next;
+        if (delim.next === null) {
+            this.delimiters = delim.previous;
+        } else {
+            delim.next.previous = delim.previous;
+        }
+    }
+
+    /**
+     * Resolve emphasis/strikethrough above `stackBottom` (spec appendix algorithm)
+     */
+    processEmphasis(stackBottom) {
+        const openersBottom = {};
+        let closer = this.delimiters;
+
+        while (closer !== null && closer.previous !== stackBottom) {
+            closer = closer.previous;
+        }
+
+        while (closer !== null) {
+            if (!closer.canClose) {
+                closer = closer.next;
+                continue;
+            }
+
+            const c = closer.c;
+            const bottomKey = c + (closer.canOpen ? 3 : 0) + (closer.origdelims % 3);
+            let opener = closer.previous;
+            let openerFound = false;
+
+            while (opener !== null && opener !== stackBottom && opener !== openersBottom[bottomKey]) {
+                const oddMatch = (closer.canOpen || opener.canClose) &&
+                    closer.origdelims % 3 !== 0 &&
+                    (opener.origdelims + closer.origdelims) % 3 === 0;
+
+                if (opener.c === c && opener.canOpen &&
+                    (c === '~' ? opener.numdelims === closer.numdelims && closer.numdelims <= 2 : !oddMatch)) {
+                    openerFound = true;
+                    break;
+                }
+                opener = opener.previous;
+            }
+
+            const oldCloser = closer;
+
+            if (openerFound) {
+                let type;
+                let useDelims;
+                if (c === '~') {
+                    type = 'delete';
+                    useDelims = closer.numdelims;
+                } else {
+                    useDelims = closer.numdelims >= 2 && opener.numdelims >= 2 ? 2 : 1;
+                    type = useDelims === 1 ? 'emph' : 'strong';
+                }
+
+                const openerNode = opener.node;
+                const closerNode = closer.node;
+                opener.numdelims -= useDelims;
+                closer.numdelims -= useDelims;
+                openerNode.value = openerNode.value.slice(0, openerNode.value.length - useDelims);
+                closerNode.value = closerNode.value.slice(0, closerNode.value.length - useDelims);
+
+                // Move everything between opener and closer into the new node
+                const wrapper = createNode(type, { children: [] });
+                const siblings = openerNode.parent.children;
+                const start = siblings.indexOf(openerNode) + 1;
+                const end = siblings.indexOf(closerNode);
+                siblings.splice(start, end - start, wrapper).forEach(child => appendChild(wrapper, child));
+                wrapper.parent = openerNode.parent;
+
+                // Delimiters between opener and closer can no longer match
+                if (opener.next !== closer) {
+                    opener.next = closer;
+                    closer.previous = opener;
+                }
+
+                if (opener.numdelims === 0) {
+                    unlink(openerNode);
+                    this.removeDelimiter(opener);
+                }
+
+                if (closer.numdelims === 0) {
+                    unlink(closerNode);
+                    const next = closer.next;
+                    this.removeDelimiter(closer);
+                    closer = next;
+                }
+            } else {
+                closer = closer.next;
+                openersBottom[bottomKey] = oldCloser.previous;
+                if (!oldCloser.canOpen) {
+                    this.removeDelimiter(oldCloser);
+                }
+            }
+        }
+
+        while (this.delimiters !== null && this.delimiters !== stackBottom) {
+            this.removeDelimiter(this.delimiters);
+        }
+    }
+
+    addBracket(node, index, image) {
+        if (this.brackets !== null) {
+            this.brackets.bracketAfter = true;
+        }
+        this.brackets = {
+            node,
+            previous: this.brackets,
+            previousDelimiter: this.delimiters,
+            index,
+            image,
+            active: true,
+            bracketAfter: false
+        };
+    }
+
+    removeBracket() {
+        this.brackets = this.brackets.previous;
+    }
+
+    /**
+     * `[^label]` referencing a footnote defined anywhere in the document
+     */
+    parseFootnoteReference(block) {
+        if (!this.options.footnotes) return false;
+
+        const match = reFootnoteReference.exec(this.subject.slice(this.pos));
+        if (!match || !this.footnotes[normalizeReference(`[${match[1]}]`)]) return false;
+
+        this.pos += match[0].length;
+        appendChild(block, createNode('footnote_reference', { label: match[1] }));
+        return true;
+    }
+
+    parseOpenBracket(block) {
+        const startpos = this.pos;
+        this.pos += 1;
+        const node = appendChild(block, this.text('['));
+        this.addBracket(node, startpos, false);
+        return true;
+    }
+
+    parseBang(block) {
+        const startpos = this.pos;
+        this.pos += 1;
+
+        if (this.peek() === '[') {
+            this.pos += 1;
+            const node = appendChild(block, this.text('!['));
+            this.addBracket(node, startpos + 1, true);
+        } else {
+            appendChild(block, this.text('!'));
+        }
+        return true;
+    }
+
+    parseCloseBracket(block) {
+        this.pos += 1;
+        const startpos = this.pos;
+        const opener = this.brackets;
+
+        if (opener === null) {
+            appendChild(block, this.text(']'));
+            return true;
+        }
+
+        if (!opener.active) {
+            appendChild(block, this.text(']'));
+            this.removeBracket();
+            return true;
+        }
+
+        const isImage = opener.image;
+        const savepos = this.pos;
+        let dest = null;
+        let title = null;
+        let matched = false;
+
+        // Inline link: [text](destination "title")
+        if (this.peek() === '(') {
+            this.pos++;
+            if (this.spnl() &&
+                (dest = this.parseLinkDestination()) !== null &&
+                this.spnl() &&
+                (reWhitespaceChar.test(this.subject.charAt(this.pos - 1)) && (title = this.parseLinkTitle()) !== null || true) &&
+                this.spnl() &&
+                this.peek() === ')') {
+                this.pos += 1;
+                matched = true;
+            } else {
+                this.pos = savepos;
+            }
+        }
+
+        // Reference link: full, collapsed or shortcut
+        if (!matched) {
+            const beforeLabel = this.pos;
+            const n = this.parseLinkLabel();
+            let reflabel = null;
+
+            if (n > 2) {
+                reflabel = this.subject.slice(beforeLabel, beforeLabel + n);
+            } else if (!opener.bracketAfter) {
+                reflabel = this.subject.slice(opener.index, startpos);
+            }
+            if (n === 0) {
+                this.pos = savepos;
+            }
+
+            if (reflabel) {
+                const link = this.refmap[normalizeReference(reflabel)];
+                if (link) {
+                    dest = link.destination;
+                    title = link.title;
+                    matched = true;
+                }
+            }
+        }
+
+        if (!matched) {
+            this.removeBracket();
+            this.pos = startpos;
+            appendChild(block, this.text(']'));
+            return true;
+        }
+
+        const node = createNode(isImage ? 'image' : 'link', {
+            destination: dest,
+            title: title || '',
+            children: []
+        });
+
+        const siblings = opener.node.parent.children;
+        const start = siblings.indexOf(opener.node) + 1;
+        siblings.splice(start).forEach(child => appendChild(node, child));
+        appendChild(block, node);
+
+        this.processEmphasis(opener.previousDelimiter);
+        this.removeBracket();
+        unlink(opener.node);
+
+        // Links may not contain other links
+        if (!isImage) {
+            let earlier = this.brackets;
+            while (earlier !== null) {
+                if (!earlier.image) earlier.active = false;
+                earlier = earlier.previous;
+            }
+        }
+        return true;
+    }
+
+    parseLinkTitle() {
+        const title = this.match(reLinkTitle);
+        return title === null ? null : unescapeString(title.slice(1, -1));
+    }
+
+    parseLinkDestination() {
+        const res = this.match(reLinkDestinationBraces);
+        if (res !== null) {
+            return normalizeURI(unescapeString(res.slice(1, -1)));
+        }
+        if (this.peek() === '<') return null;
+
+        const savepos = this.pos;
+        let openparens = 0;
+        let c;
+
+        while ((c = this.peek()) !== '') {
+            if (c === '\\' && reEscapable.test(this.subject.charAt(this.pos + 1))) {
+                this.pos += 2;
+            } else if (c === '(') {
+                this.pos += 1;
+                openparens += 1;
+            } else if (c === ')') {
+                if (openparens < 1) break;
+                this.pos += 1;
+                openparens -= 1;
+            } else if (c.charCodeAt(0) <= 0x20 || c.charCodeAt(0) === 0x7F) {
+                break;
+            } else {
+                this.pos += 1;
+            }
+        }
+
+        if (this.pos === savepos && c !== ')') return null;
+        if (openparens !== 0) return null;
+
+        return normalizeURI(unescapeString(this.subject.slice(savepos, this.pos)));
+    }
+
+    parseLinkLabel() {
+        const m = this.match(reLinkLabel);
+        if (m === null || m.length > MAX_LINK_LABEL + 2) {
+            if (m !== null) this.pos -= m.length;
+            return 0;
+        }
+        return m.length;
+    }
+
+    /**
+     * Parse a link reference definition at the start of `s`.
+     * Returns the number of characters consumed (0 if none).
+     */
+    parseReference(s, refmap) {
+        this.subject = s;
+        this.pos = 0;
+        const startpos = this.pos;
+
+        const matchChars = this.parseLinkLabel();
+        if (matchChars === 0) return 0;
+        const rawLabel = this.subject.slice(0, matchChars);
+
+        if (this.peek() !== ':') {
+            this.pos = startpos;
+            return 0;
+        }
+        this.pos++;
+
+        this.spnl();
+        const dest = this.parseLinkDestination();
+        if (dest === null) {
+            this.pos = startpos;
+            return 0;
+        }
+
+        const beforeTitle = this.pos;
+        this.spnl();
+        let title = null;
+        if (this.pos !== beforeTitle) {
+            title = this.parseLinkTitle();
+        }
+        if (title === null) {
+            title = '';
+            this.pos = beforeTitle;
+        }
+
+        // A definition must end at the line end (title optional)
+        let atLineEnd = true;
+        if (this.match(reSpaceAtEndOfLine) === null) {
+            if (title === '') {
+                atLineEnd = false;
+            } else {
+                title = '';
+                this.pos = beforeTitle;
+                atLineEnd = this.match(reSpaceAtEndOfLine) !== null;
+            }
+        }
+        if (!atLineEnd) {
+            this.pos = startpos;
+            return 0;
+        }
+
+        const normLabel = normalizeReference(rawLabel);
+        if (normLabel === '') {
+            this.pos = startpos;
+            return 0;
+        }
+        if (!refmap[normLabel]) {
+            refmap[normLabel] = { destination: dest, title };
+        }
+        return this.pos - startpos;
+    }
+}
+
+/**
+ * Code point immediately before `index`, joining surrogate pairs
+ */
+function charBeforeIndex(s, index) {
+    const low = s.charCodeAt(index - 1);
+    if (index >= 2 && low >= 0xDC00 && low <= 0xDFFF) {
+        const high = s.charCodeAt(index - 2);
+        if (high >= 0xD800 && high <= 0xDBFF) return s.slice(index - 2, index);
+    }
+    return s.charAt(index - 1);
+}
+
+/**
+ * Join adjacent text nodes and drop empty ones, recursively
+ */
+function mergeTextNodes(node) {
+    if (!node.children) return;
+
+    const merged = [];
+    node.children.forEach(child => {
+        if (child.type === 'text') {
+            if (child.value === '') return;
+            const prev = merged[merged.length - 1];
+            if (prev && prev.type === 'text') {
+                prev.value += child.value;
+                return;
+            }
+        }
+        mergeTextNodes(child);
+        merged.push(child);
+    });
+    node.children = merged;
+}
+
+/**
+ * Markdown Parser
+ * Produces a document AST from Markdown source
+ */
+class MarkdownParser {
+    constructor(options = {}) {
+        this.options = Object.assign({ gfm: true }, options);
+        this.inlineParser = new InlineParser(this.options);
+    }
+
+    /**
+     * Parse Markdown source into a `document` node
+     */
+    parse(input) {
+        this.doc = createNode('document', { children: [], position: { start: 1, end: 0 } });
+        this.doc.state.open = true;
+        this.tip = this.doc;
+        this.oldtip = this.doc;
+        this.refmap = {};
+        this.footnoteMap = {};
+        this.lineNumber = 0;
+        this.currentLine = '';
+        this.offset = 0;
+        this.column = 0;
+        this.nextNonspace = 0;
+        this.nextNonspaceColumn = 0;
+        this.indent = 0;
+        this.indented = false;
+        this.blank = false;
+        this.partiallyConsumedTab = false;
+        this.allClosed = true;
+        this.lastMatchedContainer = this.doc;
+
+        const lines = String(input || '').split(reLineEnding);
+        let length = lines.length;
+        if (input && /(?:\r\n|\n|\r)$/.test(input)) {
+            // Ignore the empty "line" after a final line ending
+            length -= 1;
+        }
+
+        for (let i = 0; i < length; i++) {
+            this.incorporateLine(lines[i]);
+        }
+        while (this.tip) {
+            this.finalize(this.tip, length);
+        }
+
+        this.processInlines(this.doc);
+        return this.doc;
+    }
+
+    /**
+     * Link reference definitions collected by the last parse
+     */
+    get references() {
+        return this.refmap;
+    }
+
+    /**
+     * Footnote definitions collected by the last parse, keyed by
+     * normalized label
+     */
+    get footnotes() {
+        return this.footnoteMap;
+    }
+
+    incorporateLine(ln) {
+        let container = this.doc;
+        this.oldtip = this.tip;
+        this.offset = 0;
+        this.column = 0;
+        this.blank = false;
+        this.partiallyConsumedTab = false;
+        this.lineNumber += 1;
+
+        if (ln.indexOf('\u0000') !== -1) {
+            ln = ln.replace(/\0/g, '�');
+        }
+        this.currentLine = ln;
+
+        // Walk open containers and try to continue each with this line
+        let last;
+        while ((last = lastChild(container)) && last.state.open) {
+            container = last;
+            this.findNextNonspace();
+
+            const result = blockTypes[container.type].continue(this, container);
+            if (result === 1) {
+                container = container.parent;
+                break;
+            }
+            if (result === 2) {
+                return;
+            }
+        }
+
+        this.allClosed = container === this.oldtip;
+        this.lastMatchedContainer = container;
+
+        let matchedLeaf = container.type !== 'paragraph' &&
+            container.type !== 'table' &&
+            blockTypes[container.type].acceptsLines;
+
+        // Look for new block starts until we reach a leaf
+        while (!matchedLeaf) {
+            this.findNextNonspace();
+
+            let i = 0;
+            while (i < blockStarts.length) {
+                const res = blockStarts[i](this, container);
+                if (res === 1) {
+                    container = this.tip;
+                    break;
+                }
+                if (res === 2) {
+                    container = this.tip;
+                    matchedLeaf = true;
+                    break;
+                }
+                i++;
+            }
+
+            if (i === blockStarts.length) {
+                this.advanceNextNonspace();
+                break;
+            }
+        }
+
+        // What remains is text: lazy continuation or a new/continued leaf
+        if (!this.allClosed && !this.blank && this.tip.type === 'paragraph') {
+            this.addLine();
+            return;
+        }
+
+        this.closeUnmatchedBlocks();
+        const type = container.type;
+
+        if (blockTypes[type].acceptsLines) {
+            this.addLine();
+            const htmlType = container.state.htmlBlockType;
+            if (type === 'html_block' && htmlType >= 1 && htmlType <= 5 &&
+                reHtmlBlockClose[htmlType].test(this.currentLine.slice(this.offset))) {
+                this.finalize(container, this.lineNumber);
+            }
+        } else if (this.offset < ln.length && !this.blank) {
+            this.addChild('paragraph', this.offset);
+            this.advanceNextNonspace();
+            this.addLine();
+        }
+    }
+
+    findNextNonspace() {
+        const line = this.currentLine;
+        let i = this.offset;
+        let cols = this.column;
+        let c;
+
+        while ((c = line.charAt(i)) !== '') {
+            if (c === ' ') {
+                i++;
+                cols++;
+            } else if (c === '\t') {
+                i++;
+                cols += 4 - (cols % 4);
+            } else {
+                break;
+            }
+        }
+
+        this.blank = c === '\n' || c === '\r' || c === '';
+        this.nextNonspace = i;
+        this.nextNonspaceColumn = cols;
+        this.indent = this.nextNonspaceColumn - this.column;
+        this.indented = this.indent >= CODE_INDENT;
+    }
+
+    advanceNextNonspace() {
+        this.offset = this.nextNonspace;
+        this.column = this.nextNonspaceColumn;
+        this.partiallyConsumedTab = false;
+    }
+
+    /**
+     * Advance by `count` characters, or by `count` columns when `columns`
+     * is set (tabs may then be partially consumed)
+     */
+    advanceOffset(count, columns) {
+        const line = this.currentLine;
+        let c;
+
+        while (count > 0 && (c = line[this.offset])) {
+            if (c === '\t') {
+                const charsToTab = 4 - (this.column % 4);
+                if (columns) {
+                    this.partiallyConsumedTab = charsToTab > count;
+                    const charsToAdvance = charsToTab > count ? count : charsToTab;
+                    this.column += charsToAdvance;
+                    this.offset += this.partiallyConsumedTab ? 0 : 1;
+                    count -= charsToAdvance;
+                } else {
+                    this.partiallyConsumedTab = false;
+                    this.column += charsToTab;
+                    this.offset += 1;
+                    count -= 1;
+                }
+            } else {
+                this.partiallyConsumedTab = false;
+                this.offset += 1;
+                this.column += 1;
+                count -= 1;
+            }
+        }
+    }
+
+    addLine() {
+        if (this.partiallyConsumedTab) {
+            this.offset += 1;
+            const charsToTab = 4 - (this.column % 4);
+            this.tip.state.content += ' '.repeat(charsToTab);
+        }
+        this.tip.state.content += this.currentLine.slice(this.offset) + '\n';
+    }
+
+    addChild(type, offset) {
+        while (!blockTypes[this.tip.type].canContain(type)) {
+            this.finalize(this.tip, this.lineNumber - 1);
+        }
+
+        const node = createNode(type, {
+            children: [],
+            position: { start: this.lineNumber, end: this.lineNumber }
+        });
+        node.state.open = true;
+        node.state.content = '';
+        node.state.column = offset + 1;
+        appendChild(this.tip, node);
+        this.tip = node;
+        return node;
+    }
+
+    closeUnmatchedBlocks() {
+        if (this.allClosed) return;
+
+        while (this.oldtip !== this.lastMatchedContainer) {
+            const parent = this.oldtip.parent;
+            this.finalize(this.oldtip, this.lineNumber - 1);
+            this.oldtip = parent;
+        }
+        this.allClosed = true;
+    }
+
+    finalize(block, lineNumber) {
+        const above = block.parent;
+        block.state.open = false;
+        block.position.end = lineNumber;
+        blockTypes[block.type].finalize(this, block);
+        this.tip = above;
+    }
+
+    /**
+     * Run the inline parser over every leaf that holds inline content
+     */
+    processInlines(node) {
+        (node.children || []).forEach(child => {
+            if (child.type === 'paragraph' || child.type === 'heading' ||
+                child.type === 'table_cell' || child.type === 'definition_term') {
+                this.inlineParser.parse(child, child.state.content || '', this.refmap, this.footnoteMap);
+            } else if (child.children && child.children.length) {
+                this.processInlines(child);
+            }
+
+            if (child.type === 'code_block' || child.type === 'html_block' ||
+                child.type === 'thematic_break' || child.type === 'math_block' ||
+                child.type === 'mermaid') {
+                delete child.children;
+            }
+        });
+    }
+}
+
+const MarkdownAST = {
+    MarkdownParser,
+    createNode,
+    appendChild,
+    textContent,
+    normalizeURI,
+    normalizeReference,
+    unescapeString,
+    decodeEntity
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MarkdownAST;
+}
+
+if (typeof window !== 'undefined') {
+    window.MarkdownAST = MarkdownAST;
+}
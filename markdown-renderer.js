@@ -2,21 +2,96 @@
  * Markdown Document Rendering System
  * Professional markdown-to-HTML converter with Chinese support
  * 专业的Markdown文档渲染系统，完美支持中文内容
+ *
+ * Source is parsed by MarkdownParser (markdown-parser.js) into an AST,
+ * which is then rendered to HTML node by node. Math and Mermaid nodes are
+ * drawn to inline SVG by math-renderer.js and mermaid-renderer.js.
  */
 
+const markdownAST = typeof MarkdownAST !== 'undefined'
+    ? MarkdownAST
+    : require('./markdown-parser.js');
+
+// Optional: without them, math and diagrams fall back to code blocks
+const MathSVG = typeof MathRenderer !== 'undefined'
+    ? MathRenderer
+    : (typeof require === 'function' ? require('./math-renderer.js') : null);
+const MermaidSVG = typeof MermaidRenderer !== 'undefined'
+    ? MermaidRenderer
+    : (typeof require === 'function' ? require('./mermaid-renderer.js') : null);
+const Sanitizer = typeof HtmlSanitizer !== 'undefined'
+    ? HtmlSanitizer
+    : (typeof require === 'function' ? require('./html-sanitizer.js') : null);
+
+// Admonition headings for `> [!KIND]` block quotes
+const ADMONITION_LABELS = {
+    note: { icon: 'ℹ️', title: '注意' },
+    tip: { icon: '💡', title: '提示' },
+    important: { icon: '❗', title: '重要' },
+    warning: { icon: '⚠️', title: '警告' },
+    caution: { icon: '⛔', title: '风险警示' }
+};
+
+// Glossary terms are not linked inside these (or inside headings)
+const GLOSSARY_SKIP_TYPES = new Set([
+    'heading', 'link', 'image', 'code', 'code_block', 'html_block', 'html_inline',
+    'math', 'math_block', 'mermaid', 'footnote_reference', 'glossary_term'
+]);
+
+// Layer names of the 3D anatomy viewer
+const ANATOMY_LAYER_NAMES = {
+    skin: '皮肤层',
+    muscle: '肌肉层',
+    vessel: '血管系统',
+    nerve: '神经系统',
+    bone: '骨骼结构'
+};
+
 class MarkdownRenderer {
-    constructor() {
-        this.config = {
+    constructor(options = {}) {
+        this.config = Object.assign({
             enableHighlight: true,
             enableTOC: true,
             enableMermaid: true,
             enableMath: true,
+            enableFootnotes: true,
+            enableDefinitionLists: true,
+            enableAdmonitions: true,
+            gfm: true,
+            // Emit bare CommonMark HTML (no classes, ids or heading anchors)
+            strict: false,
+            // Self-close void elements so the output is well-formed XHTML (EPUB)
+            xhtml: false,
+            // Prepended to heading and footnote ids (several documents on one page)
+            idPrefix: '',
+            // Optional (destination, node) => destination hook for links and images
+            resolveLink: null,
+            // Glossary entries (glossary.js); first mention per section gets a popover
+            glossary: null,
+            // 3D anatomy viewer the glossary popovers link to
+            anatomyViewer: '/enhanced_3d_anatomy.html',
+            // Filter the output through html-sanitizer.js: true, false or a policy object
+            sanitize: true,
             theme: 'default',
             fontFamily: '"Microsoft YaHei", "微软雅黑", "PingFang SC", "苹方", "Hiragino Sans GB", "Heiti SC", "Source Han Sans CN", sans-serif'
-        };
-
+        }, options);
+
+        this.parser = new markdownAST.MarkdownParser({
+            gfm: this.config.gfm,
+            math: this.config.enableMath,
+            mermaid: this.config.enableMermaid,
+            footnotes: this.config.enableFootnotes,
+            definitionLists: this.config.enableDefinitionLists,
+            admonitions: this.config.enableAdmonitions
+        });
+        this.mathRenderer = MathSVG ? new MathSVG() : null;
+        this.mermaidRenderer = MermaidSVG ? new MermaidSVG() : null;
+        this.sanitizer = this.createSanitizer(this.config.sanitize);
         this.headings = [];
         this.currentId = 0;
+        this.anchorCounts = {};
+        this.output = '';
+        this.listDepth = 0;
     }
 
     /**
@@ -25,232 +100,580 @@ class MarkdownRenderer {
     render(markdown) {
         if (!markdown) return '';
 
+        return this.renderAST(this.parse(markdown));
+    }
+
+    /**
+     * Parse markdown content into a document AST
+     */
+    parse(markdown) {
+        return this.parser.parse(markdown || '');
+    }
+
+    /**
+     * Render a document AST to HTML
+     */
+    renderAST(ast) {
         // Reset headings for TOC
         this.headings = [];
         this.currentId = 0;
+        this.anchorCounts = {};
+        this.output = '';
+        this.listDepth = 0;
+        this.footnoteDefinitions = this.collectFootnotes(ast, {});
+        this.footnotes = new Map();
+        this.glossaryCount = 0;
+
+        if (this.config.glossary && !this.config.strict) {
+            this.linkGlossaryTerms(ast);
+        }
 
-        let html = markdown;
+        this.renderChildren(ast, false);
+        this.renderFootnotes();
 
-        // Process in order
-        html = this.processCodeBlocks(html);
-        html = this.processHeadings(html);
-        html = this.processLists(html);
-        html = this.processBlockquotes(html);
-        html = this.processTables(html);
-        html = this.processEmphasis(html);
-        html = this.processLinks(html);
-        html = this.processImages(html);
-        html = this.processParagraphs(html);
-        html = this.processLineBreaks(html);
+        if (this.sanitizer) {
+            this.output = this.sanitizer.sanitize(this.output);
+        }
 
-        return html;
+        return this.output;
     }
 
     /**
-     * Process code blocks with syntax highlighting
+     * Sanitizer for config.sanitize. Refuses to render unfiltered HTML
+     * when sanitizing was asked for but html-sanitizer.js is not loaded.
      */
-    processCodeBlocks(text) {
-        // Fenced code blocks with language
-        text = text.replace(/```(\w+)?\n([\s\S]*?)```/g, (match, lang, code) => {
-            const language = lang || 'plaintext';
-            const escaped = this.escapeHtml(code.trim());
-            return `<pre class="code-block"><code class="language-${language}" data-lang="${language}">${escaped}</code></pre>`;
-        });
+    createSanitizer(policy) {
+        if (!policy) return null;
+        if (!Sanitizer) {
+            throw new Error('MarkdownRenderer: html-sanitizer.js is required when sanitize is enabled');
+        }
+        return new Sanitizer(policy === true ? {} : policy);
+    }
+
+    /**
+     * Append raw HTML to the output buffer
+     */
+    out(html) {
+        this.output += html;
+    }
+
+    /**
+     * Ensure the output buffer ends with a newline
+     */
+    cr() {
+        if (this.output.length && this.output[this.output.length - 1] !== '\n') {
+            this.output += '\n';
+        }
+    }
+
+    /**
+     * Build an attribute string, dropping decoration in strict mode
+     */
+    attrs(attributes, decorative = true) {
+        if (decorative && this.config.strict) return '';
+
+        return Object.keys(attributes)
+            .filter(name => attributes[name] !== null && attributes[name] !== undefined && attributes[name] !== '')
+            .map(name => ` ${name}="${this.escapeAttribute(String(attributes[name]))}"`)
+            .join('');
+    }
+
+    /**
+     * Source line of a block, so the viewer can jump to a paragraph
+     */
+    lineAttr(node) {
+        return node.position ? this.attrs({ 'data-line': node.position.start }) : '';
+    }
 
-        // Inline code
-        text = text.replace(/`([^`]+)`/g, '<code class="inline-code">$1</code>');
+    renderChildren(node, tight) {
+        (node.children || []).forEach(child => this.renderNode(child, tight));
+    }
 
-        return text;
+    /**
+     * Dispatch a node to its render method
+     */
+    renderNode(node, tight = false) {
+        switch (node.type) {
+            case 'paragraph': return this.renderParagraph(node, tight);
+            case 'heading': return this.renderHeading(node);
+            case 'thematic_break': return this.renderThematicBreak(node);
+            case 'blockquote': return this.renderBlockquote(node);
+            case 'list': return this.renderList(node);
+            case 'item': return this.renderItem(node, tight);
+            case 'code_block': return this.renderCodeBlock(node);
+            case 'html_block': return this.renderHtmlBlock(node);
+            case 'table': return this.renderTable(node);
+            case 'admonition': return this.renderAdmonition(node);
+            case 'definition_list': return this.renderDefinitionList(node);
+            case 'footnote_definition': return null;
+            case 'math_block': return this.renderMathBlock(node);
+            case 'mermaid': return this.renderMermaid(node);
+            case 'text': return this.out(this.escapeText(node.value));
+            case 'softbreak': return this.out('\n');
+            case 'hardbreak': return this.out(this.config.strict || this.config.xhtml ? '<br />\n' : '<br>\n');
+            case 'code': return this.renderInlineCode(node);
+            case 'emph': return this.renderWrapped('em', node);
+            case 'strong': return this.renderWrapped('strong', node);
+            case 'delete': return this.renderWrapped('del', node);
+            case 'link': return this.renderLink(node);
+            case 'image': return this.renderImage(node);
+            case 'html_inline': return this.out(node.value);
+            case 'math': return this.renderMath(node);
+            case 'footnote_reference': return this.renderFootnoteReference(node);
+            case 'glossary_term': return this.renderGlossaryTerm(node);
+            default: return this.renderChildren(node, tight);
+        }
     }
 
     /**
-     * Process headings and build TOC
+     * Paragraphs (bare text inside tight list items)
      */
-    processHeadings(text) {
-        return text.replace(/^(#{1,6})\s+(.+)$/gm, (match, hashes, content) => {
-            const level = hashes.length;
-            const id = `heading-${++this.currentId}`;
+    renderParagraph(node, tight) {
+        if (tight) {
+            this.renderChildren(node);
+            return;
+        }
+
+        // A captioned image on its own line is an illustration
+        const [image] = node.children;
+        if (!this.config.strict && node.children.length === 1 && image.type === 'image' && image.title) {
+            this.cr();
+            this.out('<figure class="markdown-figure">');
+            this.renderImage(image);
+            this.out(`<figcaption>${this.escapeText(image.title)}</figcaption></figure>`);
+            this.cr();
+            return;
+        }
+
+        this.cr();
+        this.out(`<p${this.attrs({ class: 'markdown-paragraph' })}${this.lineAttr(node)}>`);
+        this.renderChildren(node);
+        this.out('</p>');
+        this.cr();
+    }
+
+    /**
+     * Headings, recorded for the TOC
+     */
+    renderHeading(node) {
+        const level = node.level;
+        const text = markdownAST.textContent(node);
+
+        this.cr();
+        if (this.config.strict) {
+            this.out(`<h${level}>`);
+        } else {
+            const id = this.headingAnchor(text);
 
             // Add to TOC
             this.headings.push({
                 id,
                 level,
-                text: content,
-                anchor: this.slugify(content)
+                text,
+                anchor: this.slugify(text),
+                line: node.position ? node.position.start : null
             });
 
-            return `<h${level} id="${id}" class="markdown-heading level-${level}">
-                <a href="#${id}" class="heading-anchor">#</a>
-                ${content}
-            </h${level}>`;
-        });
+            this.out(`<h${level} id="${id}" class="markdown-heading level-${level}">` +
+                `<a href="#${id}" class="heading-anchor">#</a> `);
+        }
+        this.renderChildren(node);
+        this.out(`</h${level}>`);
+        this.cr();
+    }
+
+    renderThematicBreak() {
+        this.cr();
+        this.out(this.config.strict ? '<hr />' : `<hr class="markdown-hr"${this.config.xhtml ? ' /' : ''}>`);
+        this.cr();
+    }
+
+    renderBlockquote(node) {
+        this.cr();
+        this.out(`<blockquote${this.attrs({ class: 'markdown-blockquote' })}>`);
+        this.cr();
+        this.renderChildren(node);
+        this.cr();
+        this.out('</blockquote>');
+        this.cr();
     }
 
     /**
-     * Process lists (ordered and unordered)
+     * Admonitions (`> [!WARNING]` etc.), styled by kind
      */
-    processLists(text) {
-        // Unordered lists
-        text = text.replace(/^(\s*)[-*+]\s+(.+)$/gm, (match, indent, content) => {
-            const level = Math.floor(indent.length / 2);
-            return `<ul class="markdown-list level-${level}"><li>${content}</li></ul>`;
-        });
+    renderAdmonition(node) {
+        const label = ADMONITION_LABELS[node.kind];
+
+        this.cr();
+        this.out(`<div class="markdown-admonition admonition-${node.kind}" role="note">`);
+        this.cr();
+        this.out(`<p class="admonition-title"><span class="admonition-icon" aria-hidden="true">${label.icon}</span> ` +
+            `${this.escapeText(node.title || label.title)}</p>`);
+        this.cr();
+        this.renderChildren(node);
+        this.cr();
+        this.out('</div>');
+        this.cr();
+    }
 
-        // Ordered lists
-        text = text.replace(/^(\s*)(\d+)\.\s+(.+)$/gm, (match, indent, num, content) => {
-            const level = Math.floor(indent.length / 2);
-            return `<ol class="markdown-list level-${level}" start="${num}"><li>${content}</li></ol>`;
+    /**
+     * Definition lists (terms and their descriptions)
+     */
+    renderDefinitionList(node) {
+        this.cr();
+        this.out(`<dl${this.attrs({ class: 'markdown-dl' })}>`);
+        this.cr();
+
+        node.children.forEach(child => {
+            const tag = child.type === 'definition_term' ? 'dt' : 'dd';
+            this.out(`<${tag}${this.lineAttr(child)}>`);
+            this.renderChildren(child, tag === 'dd' && node.tight);
+            this.out(`</${tag}>`);
+            this.cr();
         });
 
-        // Merge consecutive list items
-        text = text.replace(/<\/ul>\n<ul[^>]*>/g, '');
-        text = text.replace(/<\/ol>\n<ol[^>]*>/g, '');
+        this.out('</dl>');
+        this.cr();
+    }
 
-        return text;
+    /**
+     * Lists (ordered and unordered)
+     */
+    renderList(node) {
+        const tag = node.ordered ? 'ol' : 'ul';
+        const start = node.ordered && node.start !== 1 ? node.start : null;
+
+        this.cr();
+        this.out(`<${tag}${this.attrs({ class: `markdown-list level-${this.listDepth}` })}${this.attrs({ start }, false)}>`);
+        this.cr();
+
+        this.listDepth++;
+        node.children.forEach(item => this.renderNode(item, node.tight));
+        this.listDepth--;
+
+        this.cr();
+        this.out(`</${tag}>`);
+        this.cr();
+    }
+
+    renderItem(node, tight) {
+        this.out(`<li${this.lineAttr(node)}>`);
+        this.renderChildren(node, tight);
+        this.out('</li>');
+        this.cr();
     }
 
     /**
-     * Process blockquotes
+     * Code blocks, tagged with their language for highlighting
      */
-    processBlockquotes(text) {
-        return text.replace(/^>\s+(.+)$/gm, '<blockquote class="markdown-blockquote">$1</blockquote>')
-            .replace(/<\/blockquote>\n<blockquote[^>]*>/g, '\n');
+    renderCodeBlock(node) {
+        const language = (node.info || '').split(/\s+/)[0];
+
+        this.cr();
+        if (this.config.strict) {
+            this.out(`<pre><code${this.attrs({ class: language ? `language-${language}` : null }, false)}>`);
+            this.out(this.escapeText(node.value));
+        } else {
+            const lang = language || 'plaintext';
+            this.out(`<pre class="code-block"${this.lineAttr(node)}><code class="language-${this.escapeAttribute(lang)}" data-lang="${this.escapeAttribute(lang)}">`);
+            this.out(this.escapeText(node.value.replace(/\n$/, '')));
+        }
+        this.out('</code></pre>');
+        this.cr();
     }
 
     /**
-     * Process tables
+     * Mermaid flowcharts, drawn offline to SVG
      */
-    processTables(text) {
-        const tableRegex = /^\|(.+)\|\n\|[-:\s|]+\|\n((?:\|.+\|\n?)+)/gm;
+    renderMermaid(node) {
+        if (!this.mermaidRenderer) {
+            return this.renderCodeBlock(node);
+        }
 
-        return text.replace(tableRegex, (match, header, body) => {
-            const headers = header.split('|').filter(h => h.trim());
-            const rows = body.trim().split('\n').map(row =>
-                row.split('|').filter(cell => cell !== undefined && cell !== '')
-            );
+        this.cr();
+        this.out(`<div class="markdown-mermaid">${this.mermaidRenderer.render(node.value)}</div>`);
+        this.cr();
+    }
 
-            let table = '<table class="markdown-table">\n<thead>\n<tr>\n';
-            headers.forEach(h => {
-                table += `<th>${h.trim()}</th>\n`;
-            });
-            table += '</tr>\n</thead>\n<tbody>\n';
-
-            rows.forEach(row => {
-                table += '<tr>\n';
-                row.forEach(cell => {
-                    table += `<td>${cell.trim()}</td>\n`;
-                });
-                table += '</tr>\n';
-            });
+    /**
+     * Display math ($$ … $$ blocks)
+     */
+    renderMathBlock(node) {
+        this.cr();
+        if (this.mathRenderer) {
+            this.out(`<div class="markdown-math display">${this.mathRenderer.render(node.value, { display: true })}</div>`);
+        } else {
+            this.out(`<pre class="markdown-math display"><code>${this.escapeText(node.value)}</code></pre>`);
+        }
+        this.cr();
+    }
 
-            table += '</tbody>\n</table>';
-            return table;
-        });
+    renderHtmlBlock(node) {
+        this.cr();
+        this.out(node.value);
+        this.cr();
     }
 
     /**
-     * Process emphasis (bold, italic, strikethrough)
+     * Tables (GFM)
      */
-    processEmphasis(text) {
-        // Bold
-        text = text.replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>');
-        text = text.replace(/__([^_]+)__/g, '<strong>$1</strong>');
+    renderTable(node) {
+        const [header, ...body] = node.children;
+
+        this.cr();
+        this.out(`<table${this.attrs({ class: 'markdown-table' })}>\n<thead>\n`);
+        this.renderTableRow(header);
+        this.out('</thead>\n');
+
+        if (body.length) {
+            this.out('<tbody>\n');
+            body.forEach(row => this.renderTableRow(row));
+            this.out('</tbody>\n');
+        }
 
-        // Italic
-        text = text.replace(/\*([^*]+)\*/g, '<em>$1</em>');
-        text = text.replace(/_([^_]+)_/g, '<em>$1</em>');
+        this.out('</table>');
+        this.cr();
+    }
 
-        // Strikethrough
-        text = text.replace(/~~([^~]+)~~/g, '<del>$1</del>');
+    renderTableRow(row) {
+        this.out(`<tr${this.lineAttr(row)}>\n`);
+        row.children.forEach(cell => {
+            const tag = cell.header ? 'th' : 'td';
+            const align = this.config.strict
+                ? this.attrs({ align: cell.align }, false)
+                : this.attrs({ style: cell.align ? `text-align: ${cell.align}` : null });
+
+            this.out(`<${tag}${align}>`);
+            this.renderChildren(cell);
+            this.out(`</${tag}>\n`);
+        });
+        this.out('</tr>\n');
+    }
 
-        return text;
+    renderInlineCode(node) {
+        this.out(`<code${this.attrs({ class: 'inline-code' })}>${this.escapeText(node.value)}</code>`);
     }
 
     /**
-     * Process links
+     * Inline math ($ … $), or $$ … $$ inside a paragraph
      */
-    processLinks(text) {
-        // Links with title
-        text = text.replace(/\[([^\]]+)\]\(([^)]+)\s+"([^"]+)"\)/g,
-            '<a href="$2" title="$3" class="markdown-link">$1</a>');
+    renderMath(node) {
+        const kind = node.display ? 'display' : 'inline';
+
+        if (this.mathRenderer) {
+            this.out(`<span class="markdown-math ${kind}">${this.mathRenderer.render(node.value, { display: node.display })}</span>`);
+        } else {
+            this.out(`<code class="markdown-math ${kind}">${this.escapeText(node.value)}</code>`);
+        }
+    }
 
-        // Links without title
-        text = text.replace(/\[([^\]]+)\]\(([^)]+)\)/g,
-            '<a href="$2" class="markdown-link">$1</a>');
+    /**
+     * Footnote references, numbered in order of first use
+     */
+    renderFootnoteReference(node) {
+        const key = markdownAST.normalizeReference(`[${node.label}]`);
+        let note = this.footnotes.get(key);
 
-        // Auto-links
-        text = text.replace(/<(https?:\/\/[^>]+)>/g,
-            '<a href="$1" class="markdown-link">$1</a>');
+        if (!note) {
+            note = { number: this.footnotes.size + 1, refs: 0, definition: this.footnoteDefinitions[key] };
+            this.footnotes.set(key, note);
+        }
+        note.refs++;
 
-        return text;
+        const prefix = this.config.idPrefix;
+        const id = note.refs > 1 ? `${prefix}fnref-${note.number}-${note.refs}` : `${prefix}fnref-${note.number}`;
+        this.out(`<sup class="footnote-ref"><a href="#${prefix}fn-${note.number}" id="${id}" role="doc-noteref">${note.number}</a></sup>`);
     }
 
     /**
-     * Process images
+     * Footnote definitions gathered at the end of the chapter, each with
+     * links back to every place it was referenced
      */
-    processImages(text) {
-        // Images with alt text
-        text = text.replace(/!\[([^\]]*)\]\(([^)]+)\)/g,
-            '<img src="$2" alt="$1" class="markdown-image" loading="lazy">');
+    renderFootnotes() {
+        if (!this.footnotes.size) return;
+
+        this.cr();
+        this.out('<section class="markdown-footnotes" role="doc-endnotes">\n<ol>\n');
+
+        // A definition may reference further footnotes, which extends the map mid-loop
+        for (const note of this.footnotes.values()) {
+            const backrefs = Array.from({ length: note.refs }, (_, i) => {
+                const id = `${this.config.idPrefix}fnref-${note.number}${i > 0 ? `-${i + 1}` : ''}`;
+                return `<a href="#${id}" class="footnote-backref" role="doc-backlink" aria-label="返回引用 ${note.number}">↩${i > 0 ? `<sup>${i + 1}</sup>` : ''}</a>`;
+            }).join(' ');
+            const children = note.definition.children;
+            const last = children[children.length - 1];
+
+            this.out(`<li id="${this.config.idPrefix}fn-${note.number}">`);
+            this.cr();
+            this.renderChildren(note.definition);
+
+            if (last && last.type === 'paragraph') {
+                // Keep the back-links on the last line of the note
+                this.output = this.output.replace(/<\/p>\n?$/, ` ${backrefs}</p>\n`);
+            } else {
+                this.cr();
+                this.out(`<p>${backrefs}</p>`);
+                this.cr();
+            }
+            this.out('</li>\n');
+        }
 
-        // Images with title
-        text = text.replace(/!\[([^\]]*)\]\(([^)]+)\s+"([^"]+)"\)/g,
-            '<img src="$2" alt="$1" title="$3" class="markdown-image" loading="lazy">');
+        this.out('</ol>\n</section>');
+        this.cr();
+    }
 
-        return text;
+    /**
+     * Index footnote definitions by normalized label (first one wins)
+     */
+    collectFootnotes(node, definitions) {
+        (node.children || []).forEach(child => {
+            if (child.type === 'footnote_definition') {
+                const key = markdownAST.normalizeReference(`[${child.label}]`);
+                if (!definitions[key]) definitions[key] = child;
+            }
+            this.collectFootnotes(child, definitions);
+        });
+        return definitions;
     }
 
     /**
-     * Process paragraphs
+     * Glossary pass: the first mention of each term in a section (the text
+     * between two headings) becomes a glossary_term node
      */
-    processParagraphs(text) {
-        const lines = text.split('\n');
-        const processed = [];
-        let inBlock = false;
+    linkGlossaryTerms(ast) {
+        const glossary = this.glossaryIndex(this.config.glossary);
+        let seen = new Set();
+
+        const visit = node => {
+            if (node.type === 'heading') seen = new Set();
+            if (GLOSSARY_SKIP_TYPES.has(node.type) || !node.children) return;
+
+            const children = [];
+            node.children.forEach(child => {
+                if (child.type === 'text') {
+                    children.push(...this.splitGlossaryText(child, glossary, seen));
+                } else {
+                    visit(child);
+                    children.push(child);
+                }
+            });
+            node.children = children;
+        };
 
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i].trim();
+        visit(ast);
+    }
 
-            if (line === '') {
-                inBlock = false;
-                processed.push('');
-            } else if (this.isBlockElement(line)) {
-                inBlock = false;
-                processed.push(line);
-            } else if (!inBlock) {
-                inBlock = true;
-                processed.push(`<p class="markdown-paragraph">${line}`);
-            } else {
-                processed.push(line);
-            }
+    /**
+     * One pattern for every term and alias, longest first; cached per glossary
+     */
+    glossaryIndex(entries) {
+        if (this.glossaryCache && this.glossaryCache.entries === entries) return this.glossaryCache;
 
-            if (inBlock && (i === lines.length - 1 || lines[i + 1].trim() === '' || this.isBlockElement(lines[i + 1]))) {
-                processed[processed.length - 1] += '</p>';
-                inBlock = false;
-            }
+        const names = new Map();
+        entries.forEach(entry => {
+            [entry.term, ...(entry.aliases || [])].forEach(name => names.set(name.toLowerCase(), entry));
+        });
+
+        const alternatives = Array.from(names.keys())
+            .sort((a, b) => b.length - a.length)
+            .map(name => {
+                const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                return /^[a-z]/.test(name) ? `\\b${escaped}\\b` : escaped;
+            });
+
+        this.glossaryCache = { entries, names, pattern: new RegExp(alternatives.join('|'), 'gi') };
+        return this.glossaryCache;
+    }
+
+    splitGlossaryText(node, glossary, seen) {
+        const text = node.value;
+        const parts = [];
+        let last = 0;
+        let match;
+
+        glossary.pattern.lastIndex = 0;
+        while ((match = glossary.pattern.exec(text)) !== null) {
+            const entry = glossary.names.get(match[0].toLowerCase());
+            if (seen.has(entry.id)) continue;
+            seen.add(entry.id);
+
+            if (match.index > last) parts.push(markdownAST.createNode('text', { value: text.slice(last, match.index) }));
+            parts.push(markdownAST.createNode('glossary_term', {
+                entry,
+                children: [markdownAST.createNode('text', { value: match[0] })]
+            }));
+            last = match.index + match[0].length;
         }
 
-        return processed.join('\n');
+        if (!parts.length) return [node];
+        if (last < text.length) parts.push(markdownAST.createNode('text', { value: text.slice(last) }));
+        return parts;
+    }
+
+    /**
+     * A glossary term with its popover: names, definition and, for
+     * anatomy, a link to the structure in the 3D viewer
+     */
+    renderGlossaryTerm(node) {
+        const entry = node.entry;
+        const id = `${this.config.idPrefix}glossary-${entry.id}-${++this.glossaryCount}`;
+        const names = [
+            entry.english && this.escapeText(entry.english),
+            entry.latin && entry.latin !== entry.english && `<i>${this.escapeText(entry.latin)}</i>`
+        ].filter(Boolean).join(' · ');
+
+        let viewer = '';
+        if (entry.anatomy && this.config.anatomyViewer) {
+            const params = [`layer=${encodeURIComponent(entry.anatomy.layer)}`, `term=${encodeURIComponent(entry.id)}`];
+            if (entry.anatomy.annotation !== undefined) params.push(`annotation=${entry.anatomy.annotation}`);
+            viewer = `<a class="glossary-3d" href="${this.escapeAttribute(`${this.config.anatomyViewer}#${params.join('&')}`)}" target="_blank" rel="noopener">` +
+                `在3D解剖模型中查看（${ANATOMY_LAYER_NAMES[entry.anatomy.layer] || entry.anatomy.layer}）</a>`;
+        }
+
+        this.out(`<span class="glossary-term" tabindex="0" data-glossary="${this.escapeAttribute(entry.id)}" aria-describedby="${id}">`);
+        this.renderChildren(node);
+        this.out(`<span class="glossary-popover" id="${id}" role="tooltip">` +
+            `<span class="glossary-popover-term">${this.escapeText(entry.term)}</span>` +
+            `${names ? `<span class="glossary-popover-names">${names}</span>` : ''}` +
+            `<span class="glossary-popover-definition">${this.escapeText(entry.definition)}</span>` +
+            `${viewer}</span></span>`);
+    }
+
+    renderWrapped(tag, node) {
+        this.out(`<${tag}>`);
+        this.renderChildren(node);
+        this.out(`</${tag}>`);
+    }
+
+    /**
+     * Links
+     */
+    renderLink(node) {
+        this.out(`<a href="${this.escapeAttribute(this.resolveLink(node))}"` +
+            `${this.attrs({ title: node.title }, false)}${this.attrs({ class: 'markdown-link' })}>`);
+        this.renderChildren(node);
+        this.out('</a>');
     }
 
     /**
-     * Process line breaks
+     * Images
      */
-    processLineBreaks(text) {
-        return text.replace(/  $/gm, '<br>');
+    renderImage(node) {
+        const alt = this.escapeAttribute(markdownAST.textContent(node));
+
+        this.out(`<img src="${this.escapeAttribute(this.resolveLink(node))}" alt="${alt}"` +
+            `${this.attrs({ title: node.title }, false)}`);
+        this.out(this.config.strict ? ' />' : ` class="markdown-image" loading="lazy"${this.config.xhtml ? ' /' : ''}>`);
     }
 
     /**
-     * Check if line is a block element
+     * Link/image destination, rewritten by config.resolveLink if set
      */
-    isBlockElement(line) {
-        return line.startsWith('<h') ||
-               line.startsWith('<ul') ||
-               line.startsWith('<ol') ||
-               line.startsWith('<blockquote') ||
-               line.startsWith('<pre') ||
-               line.startsWith('<table') ||
-               line.startsWith('<div');
+    resolveLink(node) {
+        return this.config.resolveLink
+            ? this.config.resolveLink(node.destination, node)
+            : node.destination;
     }
 
     /**
@@ -275,7 +698,7 @@ class MarkdownRenderer {
             }
 
             toc += `<li class="toc-item level-${heading.level}">
-                <a href="#${heading.id}" class="toc-link">${heading.text}</a>
+                <a href="#${heading.id}" class="toc-link">${this.escapeHtml(heading.text)}</a>
             </li>\n`;
         });
 
@@ -288,6 +711,18 @@ class MarkdownRenderer {
         return toc;
     }
 
+    /**
+     * Stable heading anchor: the slug of the heading text, suffixed with
+     * -1, -2, ... when the same heading repeats within a document
+     */
+    headingAnchor(text) {
+        this.currentId++;
+        const slug = this.slugify(text) || `heading-${this.currentId}`;
+        const count = this.anchorCounts[slug] || 0;
+        this.anchorCounts[slug] = count + 1;
+        return this.config.idPrefix + (count ? `${slug}-${count}` : slug);
+    }
+
     /**
      * Create slug from text
      */
@@ -311,6 +746,22 @@ class MarkdownRenderer {
         return text.replace(/[&<>"']/g, m => map[m]);
     }
 
+    /**
+     * Escape text content (CommonMark leaves apostrophes as-is)
+     */
+    escapeText(text) {
+        return text.replace(/[&<>"]/g, m => ({
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;'
+        })[m]);
+    }
+
+    escapeAttribute(text) {
+        return this.escapeText(text);
+    }
+
     /**
      * Apply syntax highlighting to code blocks
      */
@@ -333,9 +784,11 @@ class MarkdownRenderer {
     }
 
     /**
-     * Setup smooth scrolling for TOC links
+     * Setup smooth scrolling for TOC links. `hashFor` maps a target id to
+     * the URL hash to record (pages that keep the document path in the
+     * hash need more than `#id`).
      */
-    setupSmoothScroll(container) {
+    setupSmoothScroll(container, hashFor = id => `#${id}`) {
         const links = container.querySelectorAll('a[href^="#"]');
 
         links.forEach(link => {
@@ -351,7 +804,7 @@ class MarkdownRenderer {
                     });
 
                     // Update URL without scrolling
-                    history.pushState(null, null, `#${targetId}`);
+                    history.pushState(null, null, hashFor(targetId));
                 }
             });
         });
@@ -401,4 +854,4 @@ class MarkdownRenderer {
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = MarkdownRenderer;
-}
\ No newline at end of file
+}
@@ -0,0 +1,798 @@
+/**
+ * Math Rendering System
+ * Self-contained TeX-subset typesetter producing inline SVG (no CDN needed)
+ * 离线数学公式渲染系统，将TeX公式排版为SVG
+ *
+ * Supported: fractions, roots, super/subscripts, Greek letters, common
+ * operators and relations, big operators with limits, \text, \left/\right,
+ * accents (\overline, \hat, \vec) and spacing commands.
+ */
+
+const MATH_SYMBOLS = {
+    // Greek
+    alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε',
+    zeta: 'ζ', eta: 'η', theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ',
+    lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π', varpi: 'ϖ', rho: 'ρ',
+    sigma: 'σ', varsigma: 'ς', tau: 'τ', upsilon: 'υ', phi: 'ϕ', varphi: 'φ',
+    chi: 'χ', psi: 'ψ', omega: 'ω',
+    Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π',
+    Sigma: 'Σ', Upsilon: 'Υ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω',
+
+    // Binary operators
+    times: '×', cdot: '⋅', div: '÷', pm: '±', mp: '∓', ast: '∗', circ: '∘',
+    bullet: '∙', oplus: '⊕', otimes: '⊗', cup: '∪', cap: '∩', setminus: '∖',
+    wedge: '∧', vee: '∨',
+
+    // Relations
+    leq: '≤', le: '≤', geq: '≥', ge: '≥', neq: '≠', ne: '≠', approx: '≈',
+    equiv: '≡', sim: '∼', simeq: '≃', cong: '≅', propto: '∝', ll: '≪', gg: '≫',
+    in: '∈', notin: '∉', subset: '⊂', supset: '⊃', subseteq: '⊆', supseteq: '⊇',
+    to: '→', rightarrow: '→', leftarrow: '←', Rightarrow: '⇒', Leftarrow: '⇐',
+    leftrightarrow: '↔', Leftrightarrow: '⇔', mapsto: '↦', implies: '⟹',
+    iff: '⟺', perp: '⊥', parallel: '∥', mid: '∣',
+
+    // Miscellaneous
+    infty: '∞', partial: '∂', nabla: '∇', forall: '∀', exists: '∃',
+    emptyset: '∅', angle: '∠', degree: '°', prime: '′', ldots: '…', cdots: '⋯',
+    vdots: '⋮', ddots: '⋱', dots: '…', hbar: 'ℏ', ell: 'ℓ', triangle: '△',
+    therefore: '∴', because: '∵', langle: '⟨', rangle: '⟩', lfloor: '⌊',
+    rfloor: '⌋', lceil: '⌈', rceil: '⌉', vert: '|', Vert: '‖',
+    '{': '{', '}': '}', '%': '%', '$': '$', '#': '#', '&': '&', '_': '_', '|': '‖'
+};
+
+// Operators typeset with limits (display) or scripts (inline)
+const MATH_BIG_OPERATORS = {
+    sum: '∑', prod: '∏', coprod: '∐', int: '∫', iint: '∬', iiint: '∭', oint: '∮',
+    bigcup: '⋃', bigcap: '⋂', lim: 'lim', max: 'max', min: 'min', sup: 'sup', inf: 'inf'
+};
+
+// Upright function names
+const MATH_FUNCTIONS = [
+    'sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'arcsin', 'arccos', 'arctan',
+    'sinh', 'cosh', 'tanh', 'log', 'ln', 'lg', 'exp', 'det', 'dim', 'deg',
+    'gcd', 'arg', 'Pr', 'mod'
+];
+
+const MATH_SPACES = { ',': 0.167, ':': 0.222, ';': 0.278, '!': -0.167, ' ': 0.25, quad: 1, qquad: 2 };
+
+const MATH_ACCENTS = { hat: 'ˆ', bar: '¯', vec: '→', dot: '˙', ddot: '¨', tilde: '˜' };
+
+const MATH_RELATION_CHARS = '=<>≤≥≠≈≡∼≃≅∝≪≫∈∉⊂⊃⊆⊇→←⇒⇐↔⇔↦⟹⟺⊥∥∣:';
+const MATH_BINARY_CHARS = '+-−×⋅÷±∓∗∘∙⊕⊗∪∩∖∧∨';
+
+/**
+ * Error raised for malformed TeX input
+ */
+class MathParseError extends Error {
+    constructor(message, position) {
+        super(message);
+        this.name = 'MathParseError';
+        this.position = position;
+    }
+}
+
+class MathRenderer {
+    constructor(options = {}) {
+        this.config = Object.assign({
+            fontSize: 16,
+            fontFamily: '"Latin Modern Math", "STIX Two Math", "Cambria Math", "Times New Roman", serif',
+            color: 'currentColor',
+            scriptScale: 0.7
+        }, options);
+
+        this.measureContext = null;
+    }
+
+    /**
+     * Render TeX source to an SVG string
+     */
+    render(tex, options = {}) {
+        const display = !!options.display;
+
+        try {
+            const ast = this.parse(tex);
+            const box = this.layoutList(ast, {
+                size: this.config.fontSize * (display ? 1.1 : 1),
+                display
+            });
+            return this.toSVG(box, tex, display);
+        } catch (error) {
+            if (!(error instanceof MathParseError)) throw error;
+            return this.renderError(tex, error);
+        }
+    }
+
+    /**
+     * Parse TeX into a list of atoms
+     */
+    parse(tex) {
+        this.source = tex;
+        this.pos = 0;
+        const list = this.parseList(null);
+        if (this.pos < this.source.length) {
+            throw new MathParseError(`Unexpected "${this.source[this.pos]}"`, this.pos);
+        }
+        return list;
+    }
+
+    parseList(terminator) {
+        const list = [];
+
+        while (this.pos < this.source.length) {
+            this.skipSpaces();
+            const c = this.source[this.pos];
+            if (c === undefined) break;
+            if (c === '}' && terminator === '}') break;
+            if (terminator === '\\right' && this.source.startsWith('\\right', this.pos)) break;
+            if (c === '}') throw new MathParseError('Unmatched "}"', this.pos);
+
+            if (c === '^' || c === '_') {
+                this.pos++;
+                const target = list.length ? list[list.length - 1] : this.pushAtom(list, { type: 'ord', text: '' });
+                const script = this.parseArgument();
+                if (c === '^') {
+                    if (target.sup) throw new MathParseError('Double superscript', this.pos);
+                    target.sup = script;
+                } else {
+                    if (target.sub) throw new MathParseError('Double subscript', this.pos);
+                    target.sub = script;
+                }
+                continue;
+            }
+
+            if (c === '\'') {
+                this.pos++;
+                const target = list.length ? list[list.length - 1] : this.pushAtom(list, { type: 'ord', text: '' });
+                target.sup = [{ type: 'ord', text: '′' }];
+                continue;
+            }
+
+            const atom = this.parseAtom();
+            if (atom) list.push(atom);
+        }
+
+        return list;
+    }
+
+    pushAtom(list, atom) {
+        list.push(atom);
+        return atom;
+    }
+
+    skipSpaces() {
+        while (/\s/.test(this.source[this.pos] || '')) this.pos++;
+    }
+
+    /**
+     * A script or command argument: a {group} or a single token
+     */
+    parseArgument() {
+        this.skipSpaces();
+        if (this.source[this.pos] === '{') {
+            return this.parseGroup();
+        }
+        if (this.pos >= this.source.length) {
+            throw new MathParseError('Missing argument', this.pos);
+        }
+        const atom = this.parseAtom();
+        return atom ? [atom] : [];
+    }
+
+    parseGroup() {
+        this.pos++; // {
+        const list = this.parseList('}');
+        if (this.source[this.pos] !== '}') {
+            throw new MathParseError('Missing "}"', this.pos);
+        }
+        this.pos++;
+        return list;
+    }
+
+    parseRawGroup() {
+        this.skipSpaces();
+        if (this.source[this.pos] !== '{') {
+            throw new MathParseError('Expected "{"', this.pos);
+        }
+        let depth = 0;
+        const start = this.pos + 1;
+        for (; this.pos < this.source.length; this.pos++) {
+            if (this.source[this.pos] === '{') depth++;
+            if (this.source[this.pos] === '}' && --depth === 0) {
+                this.pos++;
+                return this.source.slice(start, this.pos - 1);
+            }
+        }
+        throw new MathParseError('Missing "}"', this.pos);
+    }
+
+    parseAtom() {
+        const c = this.source[this.pos];
+
+        if (c === '{') {
+            return { type: 'group', body: this.parseGroup() };
+        }
+        if (c === '\\') {
+            return this.parseCommand();
+        }
+
+        // Consume a whole code point so astral symbols stay intact
+        const ch = String.fromCodePoint(this.source.codePointAt(this.pos));
+        this.pos += ch.length;
+
+        if (/[A-Za-z]/.test(ch)) return { type: 'ord', text: ch, italic: true };
+        if (/[0-9.]/.test(ch)) return { type: 'ord', text: ch };
+        if (ch === '-') return { type: 'bin', text: '−' };
+        if (MATH_BINARY_CHARS.includes(ch)) return { type: 'bin', text: ch };
+        if (MATH_RELATION_CHARS.includes(ch)) return { type: 'rel', text: ch };
+        if ('([|'.includes(ch)) return { type: 'open', text: ch };
+        if (')]'.includes(ch)) return { type: 'close', text: ch };
+        if (ch === ',' || ch === ';') return { type: 'punct', text: ch };
+        if (ch === '~') return { type: 'space', width: 0.333 };
+        return { type: 'ord', text: ch };
+    }
+
+    parseCommand() {
+        const start = this.pos;
+        this.pos++; // backslash
+        let name;
+        const m = /^[A-Za-z]+/.exec(this.source.slice(this.pos));
+        if (m) {
+            name = m[0];
+        } else {
+            name = this.source[this.pos] || '';
+        }
+        this.pos += name.length;
+
+        if (Object.prototype.hasOwnProperty.call(MATH_SPACES, name)) {
+            return { type: 'space', width: MATH_SPACES[name] };
+        }
+
+        switch (name) {
+            case 'frac':
+            case 'dfrac':
+            case 'tfrac':
+                return {
+                    type: 'frac',
+                    num: this.parseArgument(),
+                    den: this.parseArgument(),
+                    style: name === 'dfrac' ? 'display' : name === 'tfrac' ? 'text' : null
+                };
+            case 'sqrt': {
+                let index = null;
+                this.skipSpaces();
+                if (this.source[this.pos] === '[') {
+                    const close = this.source.indexOf(']', this.pos);
+                    if (close === -1) throw new MathParseError('Missing "]"', this.pos);
+                    const inner = new MathRenderer(this.config);
+                    index = inner.parse(this.source.slice(this.pos + 1, close));
+                    this.pos = close + 1;
+                }
+                return { type: 'sqrt', index, body: this.parseArgument() };
+            }
+            case 'text':
+            case 'mathrm':
+            case 'textrm':
+            case 'operatorname':
+                return { type: 'text', text: this.parseRawGroup(), upright: true };
+            case 'mathbf':
+            case 'textbf':
+            case 'boldsymbol':
+                return { type: 'styled', bold: true, body: this.parseArgument() };
+            case 'mathit':
+            case 'textit':
+                return { type: 'styled', italic: true, body: this.parseArgument() };
+            case 'overline':
+                return { type: 'overline', body: this.parseArgument() };
+            case 'underline':
+                return { type: 'underline', body: this.parseArgument() };
+            case 'left': {
+                const open = this.parseDelimiter();
+                const body = this.parseList('\\right');
+                if (!this.source.startsWith('\\right', this.pos)) {
+                    throw new MathParseError('Missing \\right', this.pos);
+                }
+                this.pos += '\\right'.length;
+                const close = this.parseDelimiter();
+                return { type: 'leftright', open, close, body };
+            }
+            case 'right':
+                throw new MathParseError('Unmatched \\right', start);
+            default:
+                break;
+        }
+
+        if (Object.prototype.hasOwnProperty.call(MATH_ACCENTS, name)) {
+            return { type: 'accent', accent: MATH_ACCENTS[name], body: this.parseArgument() };
+        }
+        if (Object.prototype.hasOwnProperty.call(MATH_BIG_OPERATORS, name)) {
+            const word = /^[a-z]+$/.test(MATH_BIG_OPERATORS[name]);
+            return { type: 'op', text: MATH_BIG_OPERATORS[name], word, limits: name !== 'int' && !name.endsWith('int') };
+        }
+        if (MATH_FUNCTIONS.includes(name)) {
+            return { type: 'text', text: name, upright: true, fn: true };
+        }
+        if (Object.prototype.hasOwnProperty.call(MATH_SYMBOLS, name)) {
+            const text = MATH_SYMBOLS[name];
+            if (MATH_RELATION_CHARS.includes(text)) return { type: 'rel', text };
+            if (MATH_BINARY_CHARS.includes(text)) return { type: 'bin', text };
+            if (/^[α-ωϵϑϕϖς]$/.test(text)) return { type: 'ord', text, italic: true };
+            return { type: 'ord', text };
+        }
+
+        // Unknown commands are shown verbatim so authors can spot them
+        return { type: 'error', text: '\\' + name };
+    }
+
+    parseDelimiter() {
+        this.skipSpaces();
+        if (this.source[this.pos] === '\\') {
+            const m = /^\\([A-Za-z]+|.)/.exec(this.source.slice(this.pos));
+            this.pos += m[0].length;
+            return MATH_SYMBOLS[m[1]] || m[1];
+        }
+        const ch = this.source[this.pos++];
+        if (ch === undefined) throw new MathParseError('Missing delimiter', this.pos);
+        return ch === '.' ? '' : ch;
+    }
+
+    // ------------------------------------------------------------------
+    // Layout: every box is { width, ascent, descent, items[] } with items
+    // positioned relative to the box origin on the baseline.
+    // ------------------------------------------------------------------
+
+    layoutList(list, style) {
+        const boxes = [];
+        let previous = null;
+
+        list.forEach((atom, i) => {
+            let kind = atom.type;
+            // A binary operator at the start or after an operator acts as a sign
+            if (kind === 'bin' && (!previous || ['bin', 'rel', 'open', 'punct', 'op'].includes(previous.type))) {
+                kind = 'ord';
+            }
+            if (kind === 'bin' && (i === list.length - 1 || ['rel', 'close', 'punct'].includes(list[i + 1].type))) {
+                kind = 'ord';
+            }
+
+            const box = this.layoutAtom(atom, style);
+            const spacing = this.spacingFor(kind, style);
+            if (spacing) boxes.push(this.space(spacing * style.size));
+            boxes.push(box);
+            if (spacing && kind !== 'punct') boxes.push(this.space(spacing * style.size));
+            if (kind === 'punct') boxes.push(this.space(0.167 * style.size));
+
+            previous = atom;
+        });
+
+        return this.hbox(boxes);
+    }
+
+    spacingFor(kind, style) {
+        if (style.script) return 0;
+        if (kind === 'bin') return 0.222;
+        if (kind === 'rel') return 0.278;
+        return 0;
+    }
+
+    layoutAtom(atom, style) {
+        let box;
+
+        switch (atom.type) {
+            case 'ord':
+            case 'bin':
+            case 'rel':
+            case 'open':
+            case 'close':
+            case 'punct':
+                box = this.textBox(atom.text, style, { italic: atom.italic && !style.upright && !style.bold });
+                break;
+            case 'text':
+                box = this.textBox(atom.text, style, { italic: false });
+                if (atom.fn) box = this.hbox([box, this.space(0.167 * style.size)]);
+                break;
+            case 'error':
+                box = this.textBox(atom.text, style, { color: '#CC0000' });
+                break;
+            case 'space':
+                box = this.space(atom.width * style.size);
+                break;
+            case 'group':
+                box = this.layoutList(atom.body, style);
+                break;
+            case 'styled':
+                box = this.layoutList(atom.body, Object.assign({}, style, {
+                    bold: atom.bold || style.bold,
+                    upright: atom.bold || style.upright
+                }));
+                break;
+            case 'frac':
+                box = this.layoutFraction(atom, style);
+                break;
+            case 'sqrt':
+                box = this.layoutSqrt(atom, style);
+                break;
+            case 'overline':
+            case 'underline':
+                box = this.layoutLine(atom, style);
+                break;
+            case 'accent':
+                box = this.layoutAccent(atom, style);
+                break;
+            case 'leftright':
+                box = this.layoutLeftRight(atom, style);
+                break;
+            case 'op':
+                return this.layoutOperator(atom, style);
+            default:
+                box = this.space(0);
+        }
+
+        if (atom.sup || atom.sub) {
+            box = this.attachScripts(box, atom, style);
+        }
+        return box;
+    }
+
+    scriptStyle(style) {
+        return Object.assign({}, style, {
+            size: style.size * (style.script ? 0.85 : this.config.scriptScale),
+            script: true,
+            display: false
+        });
+    }
+
+    attachScripts(base, atom, style) {
+        const scriptStyle = this.scriptStyle(style);
+        const sup = atom.sup ? this.layoutList(atom.sup, scriptStyle) : null;
+        const sub = atom.sub ? this.layoutList(atom.sub, scriptStyle) : null;
+        const x = base.width + 0.05 * style.size;
+
+        let supShift = Math.max(base.ascent - 0.3 * style.size, 0.4 * style.size);
+        let subShift = Math.max(base.descent + 0.05 * style.size, 0.2 * style.size);
+        if (sup && sub) {
+            // Keep a minimum gap between stacked scripts
+            const gap = (supShift - sup.descent) - (sub.ascent - subShift);
+            if (gap < 0.2 * style.size) {
+                const adjust = (0.2 * style.size - gap) / 2;
+                supShift += adjust;
+                subShift += adjust;
+            }
+        }
+
+        const width = Math.max(sup ? sup.width : 0, sub ? sub.width : 0);
+        const items = base.items.slice();
+        let ascent = base.ascent;
+        let descent = base.descent;
+
+        if (sup) {
+            items.push(...this.shiftItems(sup.items, x, -supShift));
+            ascent = Math.max(ascent, supShift + sup.ascent);
+        }
+        if (sub) {
+            items.push(...this.shiftItems(sub.items, x, subShift));
+            descent = Math.max(descent, subShift + sub.descent);
+        }
+
+        return { width: x + width + 0.05 * style.size, ascent, descent, items };
+    }
+
+    layoutOperator(atom, style) {
+        const opStyle = Object.assign({}, style, { upright: true });
+        let base;
+        if (atom.word) {
+            base = this.textBox(atom.text, opStyle, { italic: false });
+        } else {
+            const scale = style.display ? 1.6 : 1.2;
+            base = this.textBox(atom.text, Object.assign({}, opStyle, { size: style.size * scale }), { italic: false });
+            // Centre the symbol on the maths axis
+            const axis = this.axis(style);
+            const shift = (base.ascent - base.descent) / 2 - axis;
+            base = this.shiftBox(base, 0, shift);
+        }
+
+        if (!atom.sup && !atom.sub) {
+            return this.hbox([base, this.space(0.167 * style.size)]);
+        }
+
+        if (!(style.display && atom.limits)) {
+            return this.hbox([this.attachScripts(base, atom, style), this.space(0.167 * style.size)]);
+        }
+
+        // Display style: limits centred above and below
+        const scriptStyle = this.scriptStyle(style);
+        const sup = atom.sup ? this.layoutList(atom.sup, scriptStyle) : null;
+        const sub = atom.sub ? this.layoutList(atom.sub, scriptStyle) : null;
+        const width = Math.max(base.width, sup ? sup.width : 0, sub ? sub.width : 0);
+        const gap = 0.15 * style.size;
+        const items = this.shiftItems(base.items, (width - base.width) / 2, 0);
+        let ascent = base.ascent;
+        let descent = base.descent;
+
+        if (sup) {
+            const y = -(base.ascent + gap + sup.descent);
+            items.push(...this.shiftItems(sup.items, (width - sup.width) / 2, y));
+            ascent = -y + sup.ascent;
+        }
+        if (sub) {
+            const y = base.descent + gap + sub.ascent;
+            items.push(...this.shiftItems(sub.items, (width - sub.width) / 2, y));
+            descent = y + sub.descent;
+        }
+
+        return this.hbox([{ width, ascent, descent, items }, this.space(0.167 * style.size)]);
+    }
+
+    layoutFraction(atom, style) {
+        const inner = atom.style === 'display' || (style.display && atom.style !== 'text')
+            ? Object.assign({}, style, { display: false })
+            : this.scriptStyle(style);
+        if (atom.style === 'display') inner.size = style.size;
+
+        const num = this.layoutList(atom.num, inner);
+        const den = this.layoutList(atom.den, inner);
+        const pad = 0.12 * style.size;
+        const width = Math.max(num.width, den.width) + pad * 2;
+        const axis = this.axis(style);
+        const rule = Math.max(0.05 * style.size, 1);
+        const gap = 0.15 * style.size;
+
+        const numY = -(axis + rule / 2 + gap + num.descent);
+        const denY = -axis + rule / 2 + gap + den.ascent;
+
+        const items = [
+            ...this.shiftItems(num.items, (width - num.width) / 2, numY),
+            ...this.shiftItems(den.items, (width - den.width) / 2, denY),
+            { kind: 'rect', x: pad / 2, y: -axis - rule / 2, width: width - pad, height: rule }
+        ];
+
+        return {
+            width: width + 0.1 * style.size,
+            ascent: -numY + num.ascent,
+            descent: denY + den.descent,
+            items: this.shiftItems(items, 0.05 * style.size, 0)
+        };
+    }
+
+    layoutSqrt(atom, style) {
+        const body = this.layoutList(atom.body, style);
+        const rule = Math.max(0.05 * style.size, 1);
+        const gap = 0.12 * style.size;
+        const signWidth = 0.6 * style.size;
+        const top = body.ascent + gap + rule;
+        const bottom = body.descent;
+        const height = top + bottom;
+        let offset = 0;
+        const items = [];
+
+        let index = null;
+        if (atom.index) {
+            index = this.layoutList(atom.index, this.scriptStyle(this.scriptStyle(style)));
+            offset = Math.max(0, index.width - signWidth * 0.5);
+            items.push(...this.shiftItems(index.items, 0, -(height * 0.5 - bottom) - index.descent));
+        }
+
+        // Radical sign: short tick, long stroke down, long stroke up to the vinculum
+        const x0 = offset;
+        const d = [
+            `M ${x0} ${-(height * 0.45 - bottom)}`,
+            `L ${x0 + signWidth * 0.25} ${-(height * 0.55 - bottom)}`,
+            `L ${x0 + signWidth * 0.5} ${bottom}`,
+            `L ${x0 + signWidth} ${-top + rule / 2}`,
+            `L ${x0 + signWidth + body.width + gap} ${-top + rule / 2}`
+        ].join(' ');
+        items.push({ kind: 'path', d, strokeWidth: rule });
+        items.push(...this.shiftItems(body.items, x0 + signWidth + gap / 2, 0));
+
+        return {
+            width: x0 + signWidth + body.width + gap * 1.5,
+            ascent: Math.max(top, index ? height * 0.5 - bottom + index.ascent + index.descent : 0),
+            descent: bottom,
+            items
+        };
+    }
+
+    layoutLine(atom, style) {
+        const body = this.layoutList(atom.body, style);
+        const rule = Math.max(0.05 * style.size, 1);
+        const gap = 0.1 * style.size;
+        const over = atom.type === 'overline';
+        const y = over ? -(body.ascent + gap + rule) : body.descent + gap;
+
+        return {
+            width: body.width,
+            ascent: over ? body.ascent + gap + rule : body.ascent,
+            descent: over ? body.descent : body.descent + gap + rule,
+            items: [...body.items, { kind: 'rect', x: 0, y, width: body.width, height: rule }]
+        };
+    }
+
+    layoutAccent(atom, style) {
+        const body = this.layoutList(atom.body, style);
+        const accent = this.textBox(atom.accent, Object.assign({}, style, { size: style.size * 0.8 }), { italic: false });
+        const y = -(body.ascent - 0.2 * style.size);
+
+        return {
+            width: body.width,
+            ascent: -y + accent.ascent * 0.6,
+            descent: body.descent,
+            items: [...body.items, ...this.shiftItems(accent.items, (body.width - accent.width) / 2, y)]
+        };
+    }
+
+    layoutLeftRight(atom, style) {
+        const body = this.layoutList(atom.body, style);
+        const axis = this.axis(style);
+        const extent = Math.max(body.ascent - axis, body.descent + axis, 0.5 * style.size);
+        const delimSize = Math.max(style.size, extent * 2 * 0.95);
+
+        const delimiter = text => {
+            if (!text) return this.space(0.1 * style.size);
+            const box = this.textBox(text, Object.assign({}, style, { size: delimSize }), { italic: false });
+            // Centre the scaled delimiter on the axis
+            return this.shiftBox(box, 0, (box.ascent - box.descent) / 2 - axis);
+        };
+
+        return this.hbox([delimiter(atom.open), body, delimiter(atom.close)]);
+    }
+
+    axis(style) {
+        return 0.25 * style.size;
+    }
+
+    textBox(text, style, options = {}) {
+        const italic = options.italic && !style.upright;
+        const width = this.measureText(text, style.size, italic, style.bold);
+
+        return {
+            width,
+            ascent: 0.72 * style.size,
+            descent: 0.22 * style.size,
+            items: text ? [{
+                kind: 'text',
+                x: 0,
+                y: 0,
+                text,
+                size: style.size,
+                italic,
+                bold: !!style.bold,
+                color: options.color || null
+            }] : []
+        };
+    }
+
+    space(width) {
+        return { width, ascent: 0, descent: 0, items: [] };
+    }
+
+    hbox(boxes) {
+        let x = 0;
+        let ascent = 0;
+        let descent = 0;
+        const items = [];
+
+        boxes.forEach(box => {
+            items.push(...this.shiftItems(box.items, x, 0));
+            x += box.width;
+            ascent = Math.max(ascent, box.ascent);
+            descent = Math.max(descent, box.descent);
+        });
+
+        return { width: x, ascent, descent, items };
+    }
+
+    /**
+     * Move a box vertically; positive `dy` raises it
+     */
+    shiftBox(box, dx, dy) {
+        return {
+            width: box.width + dx,
+            ascent: box.ascent + dy,
+            descent: box.descent - dy,
+            items: this.shiftItems(box.items, dx, -dy)
+        };
+    }
+
+    shiftItems(items, dx, dy) {
+        return items.map(item => {
+            const moved = Object.assign({}, item, { x: item.x + dx, y: item.y + dy });
+            if (item.kind === 'path') {
+                moved.d = item.d.replace(/(-?[\d.]+(?:e-?\d+)?) (-?[\d.]+(?:e-?\d+)?)/g,
+                    (m, px, py) => `${+px + dx} ${+py + dy}`);
+                moved.x = 0;
+                moved.y = 0;
+            }
+            return moved;
+        });
+    }
+
+    /**
+     * Text width, measured with a canvas when available, else estimated
+     */
+    measureText(text, size, italic, bold) {
+        if (typeof document !== 'undefined' && document.createElement) {
+            if (!this.measureContext) {
+                this.measureContext = document.createElement('canvas').getContext('2d');
+            }
+            if (this.measureContext) {
+                this.measureContext.font = `${italic ? 'italic ' : ''}${bold ? 'bold ' : ''}${size}px ${this.config.fontFamily}`;
+                return this.measureContext.measureText(text).width;
+            }
+        }
+
+        let em = 0;
+        for (const ch of text) {
+            if (/[\u2e80-\u9fff\uff00-\uffef]/.test(ch)) em += 1;
+            else if (/[A-Z]/.test(ch)) em += 0.7;
+            else if (/[mwMW]/.test(ch)) em += 0.8;
+            else if (/[il.,;:'|!]/.test(ch)) em += 0.3;
+            else if (/[a-z0-9]/.test(ch)) em += 0.5;
+            else if (ch === ' ') em += 0.25;
+            else em += 0.75;
+        }
+        return em * size * (bold ? 1.05 : 1);
+    }
+
+    // ------------------------------------------------------------------
+    // SVG output
+    // ------------------------------------------------------------------
+
+    toSVG(box, tex, display) {
+        const pad = 1;
+        const width = Math.ceil(box.width + pad * 2);
+        const height = Math.ceil(box.ascent + box.descent + pad * 2);
+        const baseline = box.ascent + pad;
+        const round = n => Math.round(n * 100) / 100;
+
+        const body = box.items.map(item => {
+            const x = round(item.x + pad);
+            const y = round(item.y + baseline);
+
+            if (item.kind === 'text') {
+                const attrs = [
+                    `x="${x}"`,
+                    `y="${y}"`,
+                    `font-size="${round(item.size)}"`,
+                    item.italic ? 'font-style="italic"' : '',
+                    item.bold ? 'font-weight="bold"' : '',
+                    item.color ? `fill="${item.color}"` : ''
+                ].filter(Boolean).join(' ');
+                return `<text ${attrs}>${this.escapeXml(item.text)}</text>`;
+            }
+            if (item.kind === 'rect') {
+                return `<rect x="${x}" y="${y}" width="${round(item.width)}" height="${round(item.height)}"/>`;
+            }
+            if (item.kind === 'path') {
+                const d = item.d.replace(/(-?[\d.]+(?:e-?\d+)?) (-?[\d.]+(?:e-?\d+)?)/g,
+                    (m, px, py) => `${round(+px + pad)} ${round(+py + baseline)}`);
+                return `<path d="${d}" fill="none" stroke="${this.config.color}" stroke-width="${round(item.strokeWidth)}"/>`;
+            }
+            return '';
+        }).join('');
+
+        const valign = display ? '' : ` style="vertical-align: ${-round(box.descent + pad)}px"`;
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" class="math-svg" width="${width}" height="${height}" ` +
+            `viewBox="0 0 ${width} ${height}" role="img" aria-label="${this.escapeXml(tex)}"${valign}>` +
+            `<title>${this.escapeXml(tex)}</title>` +
+            `<g fill="${this.config.color}" font-family="${this.escapeXml(this.config.fontFamily)}">${body}</g></svg>`;
+    }
+
+    renderError(tex, error) {
+        return `<span class="math-error" title="${this.escapeXml(error.message)}">${this.escapeXml(tex)}</span>`;
+    }
+
+    escapeXml(text) {
+        return String(text).replace(/[&<>"]/g, m => ({
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;'
+        })[m]);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MathRenderer;
+    module.exports.MathParseError = MathParseError;
+}
@@ -0,0 +1,303 @@
+/**
+ * Medical Concepts
+ * Synonym and concept graph for semantic search
+ * 医学概念图谱：同义词与上下位、相关概念，用于语义检索
+ *
+ * Each concept lists the names it goes by (Chinese and English, all
+ * equivalent for search), the broader concept it is a kind of, and
+ * concepts a reader looking for it is likely to want as well. Narrower
+ * concepts are derived from `broader`; `related` works both ways.
+ */
+
+const MedicalConcepts = [
+    // 治疗 Treatments
+    {
+        id: 'injection',
+        terms: ['注射', '注射技术', '注射治疗', 'injection', 'injection technique'],
+        broader: null,
+        related: ['anaesthesia']
+    },
+    {
+        id: 'filler-injection',
+        terms: ['填充', '注射填充', '填充注射', '软组织填充', 'filler injection', 'soft tissue filling'],
+        broader: 'injection',
+        related: ['dermal-filler']
+    },
+    {
+        id: 'lip-augmentation',
+        terms: ['丰唇', '唇部填充', '丰唇术', '唇部丰盈', '嘟嘟唇', 'lip augmentation', 'lip filler', 'lip enhancement'],
+        broader: 'filler-injection',
+        related: ['hyaluronic-acid', 'lip-shape', 'fat-grafting']
+    },
+    {
+        id: 'dermal-filler',
+        terms: ['填充剂', '填充材料', '填充物', 'dermal filler', 'filler'],
+        broader: null,
+        related: []
+    },
+    {
+        id: 'hyaluronic-acid',
+        terms: ['透明质酸', '玻尿酸', '交联透明质酸', 'hyaluronic acid', 'HA filler'],
+        broader: 'dermal-filler',
+        related: ['hyaluronidase']
+    },
+    {
+        id: 'collagen-stimulator',
+        terms: ['胶原刺激剂', '聚左旋乳酸', '羟基磷灰石', 'collagen stimulator', 'PLLA', 'CaHA'],
+        broader: 'dermal-filler',
+        related: []
+    },
+    {
+        id: 'fat-grafting',
+        terms: ['自体脂肪', '脂肪移植', '自体脂肪填充', 'fat grafting', 'fat transfer'],
+        broader: 'filler-injection',
+        related: []
+    },
+    {
+        id: 'hyaluronidase',
+        terms: ['透明质酸酶', '溶解酶', '溶解玻尿酸', 'hyaluronidase'],
+        broader: null,
+        related: ['vascular-occlusion']
+    },
+    {
+        id: 'botulinum-toxin',
+        terms: ['肉毒素', '肉毒杆菌毒素', '肉毒', 'botulinum toxin', 'botox'],
+        broader: 'injection',
+        related: ['gummy-smile', 'oral-commissure']
+    },
+    {
+        id: 'cannula',
+        terms: ['钝针', '钝头针', 'cannula', 'blunt cannula'],
+        broader: null,
+        related: ['injection', 'vascular-occlusion']
+    },
+    {
+        id: 'sharp-needle',
+        terms: ['锐针', '针头', 'sharp needle', 'needle'],
+        broader: null,
+        related: ['injection']
+    },
+    {
+        id: 'anaesthesia',
+        terms: ['麻醉', '表面麻醉', '神经阻滞', '利多卡因', 'anaesthesia', 'anesthesia', 'nerve block', 'lidocaine'],
+        broader: null,
+        related: []
+    },
+    {
+        id: 'lip-tattoo',
+        terms: ['纹绣', '唇部纹绣', '纹唇', '漂唇', '半永久', 'lip tattoo', 'lip blush', 'permanent makeup'],
+        broader: null,
+        related: ['lip-shape']
+    },
+    {
+        id: 'lip-reconstruction',
+        terms: ['唇部重建', '唇裂', '唇裂修复', '功能重建', 'lip reconstruction', 'cleft lip'],
+        broader: null,
+        related: []
+    },
+    {
+        id: 'aftercare',
+        terms: ['术后护理', '术后', '冷敷', '恢复期', 'aftercare', 'post-treatment care', 'recovery'],
+        broader: null,
+        related: ['swelling-bruising']
+    },
+
+    // 并发症 Complications
+    {
+        id: 'complication',
+        terms: ['并发症', '副作用', '不良反应', '风险', 'complication', 'adverse event', 'side effect', 'risk'],
+        broader: null,
+        related: ['safety']
+    },
+    {
+        id: 'vascular-occlusion',
+        terms: ['血管栓塞', '栓塞', '血管堵塞', '血管闭塞', '血管栓塞急救', 'vascular occlusion', 'embolism'],
+        broader: 'complication',
+        related: ['skin-necrosis', 'blindness', 'labial-artery']
+    },
+    {
+        id: 'skin-necrosis',
+        terms: ['皮肤坏死', '坏死', 'skin necrosis', 'necrosis'],
+        broader: 'complication',
+        related: []
+    },
+    {
+        id: 'blindness',
+        terms: ['失明', '视力丧失', '视力损害', 'blindness', 'vision loss'],
+        broader: 'complication',
+        related: []
+    },
+    {
+        id: 'swelling-bruising',
+        terms: ['肿胀', '淤青', '瘀斑', '水肿', 'swelling', 'bruising', 'ecchymosis', 'oedema', 'edema'],
+        broader: 'complication',
+        related: []
+    },
+    {
+        id: 'nodule',
+        terms: ['结节', '硬结', '肉芽肿', 'nodule', 'lump', 'granuloma'],
+        broader: 'complication',
+        related: []
+    },
+    {
+        id: 'tyndall-effect',
+        terms: ['丁达尔效应', '发蓝', 'Tyndall effect'],
+        broader: 'complication',
+        related: ['hyaluronic-acid']
+    },
+    {
+        id: 'filler-migration',
+        terms: ['移位', '填充物移位', '游走', 'migration', 'filler migration'],
+        broader: 'complication',
+        related: []
+    },
+    {
+        id: 'asymmetry',
+        terms: ['不对称', '两侧不对称', 'asymmetry'],
+        broader: 'complication',
+        related: ['lip-proportion']
+    },
+    {
+        id: 'herpes',
+        terms: ['唇疱疹', '单纯疱疹', '疱疹', 'cold sore', 'herpes simplex', 'herpes'],
+        broader: 'complication',
+        related: []
+    },
+    {
+        id: 'allergy',
+        terms: ['过敏', '过敏反应', '过敏性休克', '肾上腺素', 'allergy', 'allergic reaction', 'anaphylaxis'],
+        broader: 'complication',
+        related: []
+    },
+    {
+        id: 'infection',
+        terms: ['感染', '细菌感染', 'infection'],
+        broader: 'complication',
+        related: []
+    },
+    {
+        id: 'safety',
+        terms: ['安全性', '安全', '危险区', '安全注射', 'safety', 'danger zone'],
+        broader: null,
+        related: ['labial-artery']
+    },
+
+    // 解剖 Anatomy
+    {
+        id: 'lip-anatomy',
+        terms: ['唇部解剖', '唇部结构', '解剖', 'lip anatomy', 'anatomy'],
+        broader: null,
+        related: []
+    },
+    {
+        id: 'perioral-muscles',
+        terms: ['口周肌肉', '表情肌', '口轮匝肌', '降口角肌', '提上唇肌', '颏肌', 'perioral muscles', 'orbicularis oris', 'mentalis'],
+        broader: 'lip-anatomy',
+        related: ['botulinum-toxin']
+    },
+    {
+        id: 'labial-artery',
+        terms: ['唇动脉', '上唇动脉', '下唇动脉', 'labial artery', 'superior labial artery', 'inferior labial artery'],
+        broader: 'facial-artery',
+        related: []
+    },
+    {
+        id: 'facial-artery',
+        terms: ['面动脉', '血管', 'facial artery', 'blood vessel'],
+        broader: 'lip-anatomy',
+        related: []
+    },
+    {
+        id: 'facial-nerves',
+        terms: ['面神经', '三叉神经', '眶下神经', '颏神经', 'facial nerve', 'trigeminal nerve', 'infraorbital nerve', 'mental nerve'],
+        broader: 'lip-anatomy',
+        related: ['anaesthesia']
+    },
+    {
+        id: 'vermilion',
+        terms: ['唇红', '红唇', '唇红缘', '唇线', 'vermilion', 'vermilion border', 'lip line'],
+        broader: 'lip-anatomy',
+        related: ['lip-shape']
+    },
+    {
+        id: 'cupids-bow',
+        terms: ['唇弓', '唇峰', '丘比特弓', '唇珠', 'M唇', 'Cupid\'s bow', 'labial tubercle'],
+        broader: 'lip-shape',
+        related: ['philtrum']
+    },
+    {
+        id: 'philtrum',
+        terms: ['人中', '人中嵴', 'philtrum', 'philtral column'],
+        broader: 'lip-anatomy',
+        related: []
+    },
+    {
+        id: 'oral-commissure',
+        terms: ['口角', '嘴角', '口角下垂', '口角上扬', 'oral commissure', 'mouth corner'],
+        broader: 'lip-anatomy',
+        related: ['marionette-lines']
+    },
+
+    // 美学与衰老 Aesthetics and ageing
+    {
+        id: 'lip-aesthetics',
+        terms: ['唇部美学', '美唇', '美学', '审美', 'lip aesthetics', 'aesthetics'],
+        broader: null,
+        related: []
+    },
+    {
+        id: 'lip-shape',
+        terms: ['唇形', '唇型', '唇部轮廓', '微笑唇', 'lip shape', 'lip contour'],
+        broader: 'lip-aesthetics',
+        related: []
+    },
+    {
+        id: 'lip-proportion',
+        terms: ['黄金比例', '唇部比例', '上下唇比例', '对称性', '三庭五眼', 'golden ratio', 'lip ratio', 'proportion', 'symmetry'],
+        broader: 'lip-aesthetics',
+        related: []
+    },
+    {
+        id: 'gummy-smile',
+        terms: ['露龈笑', '牙龈外露', 'gummy smile'],
+        broader: 'lip-aesthetics',
+        related: []
+    },
+    {
+        id: 'perioral-ageing',
+        terms: ['口周衰老', '唇部老化', '衰老', '年轻化', 'perioral ageing', 'ageing', 'aging', 'rejuvenation'],
+        broader: null,
+        related: ['filler-injection']
+    },
+    {
+        id: 'perioral-lines',
+        terms: ['唇纹', '口周纹', '吸烟纹', '唇周细纹', 'perioral lines', 'lip lines', 'smoker\'s lines'],
+        broader: 'perioral-ageing',
+        related: []
+    },
+    {
+        id: 'marionette-lines',
+        terms: ['木偶纹', '口角纹', '法令纹', 'marionette lines', 'nasolabial fold'],
+        broader: 'perioral-ageing',
+        related: []
+    },
+
+    // 临床 Clinical practice
+    {
+        id: 'consultation',
+        terms: ['面诊', '评估', '医患沟通', '知情同意', 'consultation', 'assessment', 'informed consent'],
+        broader: null,
+        related: ['doctor-selection']
+    },
+    {
+        id: 'doctor-selection',
+        terms: ['医生选择', '执业医师', '资质', '医生', 'doctor selection', 'qualification', 'physician'],
+        broader: null,
+        related: ['safety']
+    }
+];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MedicalConcepts;
+}
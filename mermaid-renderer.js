@@ -0,0 +1,738 @@
+/**
+ * Mermaid Flowchart Rendering System
+ * Self-contained parser and layered layout for Mermaid flowcharts (SVG output)
+ * 离线流程图渲染系统，支持Mermaid流程图语法，无需CDN
+ *
+ * Supports `graph`/`flowchart` with TD/TB/BT/LR/RL directions, the common
+ * node shapes, solid/dotted/thick edges with labels, `A & B` fan-out,
+ * subgraphs, and `classDef`/`class`/`style` fill and stroke overrides.
+ */
+
+const MERMAID_SHAPES = [
+    // Order matters: longer delimiters first
+    { open: '([', close: '])', shape: 'stadium' },
+    { open: '[[', close: ']]', shape: 'subroutine' },
+    { open: '[(', close: ')]', shape: 'cylinder' },
+    { open: '((', close: '))', shape: 'circle' },
+    { open: '{{', close: '}}', shape: 'hexagon' },
+    { open: '[/', close: '/]', shape: 'parallelogram' },
+    { open: '[', close: ']', shape: 'rect' },
+    { open: '(', close: ')', shape: 'round' },
+    { open: '{', close: '}', shape: 'diamond' },
+    { open: '>', close: ']', shape: 'flag' }
+];
+
+// Edge operator: optional arrow tail, line, optional head, optional |label|
+const reMermaidEdge = /^\s*(<|o|x)?(-{2,}|={2,}|-\.+-)(>|o|x)?(?:\|([^|]*)\|)?/;
+// Edge with inline label: `-- label -->`, `== label ==>`, `-. label .->`
+const reMermaidLabelledEdge = /^\s*(<)?(--|==|-\.)\s+([^|]+?)\s+(-{2,}|={2,}|\.+-)(>|o|x)?/;
+const reMermaidNodeId = /^\s*([A-Za-z0-9_\u4e00-\u9fa5][\w\u4e00-\u9fa5]*)/;
+
+/**
+ * Error raised for unsupported or malformed diagram source
+ */
+class MermaidParseError extends Error {
+    constructor(message, line) {
+        super(line ? `${message} (line ${line})` : message);
+        this.name = 'MermaidParseError';
+        this.line = line;
+    }
+}
+
+class MermaidRenderer {
+    constructor(options = {}) {
+        this.config = Object.assign({
+            fontSize: 14,
+            fontFamily: '"PingFang SC", "Microsoft YaHei", "微软雅黑", sans-serif',
+            nodePadding: 12,
+            rankSpacing: 56,
+            nodeSpacing: 32,
+            nodeFill: '#FCE4EC',
+            nodeStroke: '#E91E63',
+            edgeColor: '#5F6368',
+            textColor: '#24292E',
+            subgraphFill: 'rgba(248, 187, 208, 0.18)',
+            orderingSweeps: 4
+        }, options);
+    }
+
+    /**
+     * Render Mermaid source to an SVG string
+     */
+    render(source) {
+        try {
+            const graph = this.parse(source);
+            const layout = this.layout(graph);
+            return this.toSVG(graph, layout, source);
+        } catch (error) {
+            if (!(error instanceof MermaidParseError)) throw error;
+            return this.renderError(source, error);
+        }
+    }
+
+    // ------------------------------------------------------------------
+    // Parsing
+    // ------------------------------------------------------------------
+
+    /**
+     * Parse flowchart source into { direction, nodes, edges, subgraphs }
+     */
+    parse(source) {
+        const graph = {
+            direction: 'TD',
+            nodes: new Map(),
+            edges: [],
+            subgraphs: [],
+            classDefs: {}
+        };
+
+        const lines = source.split(/\r?\n/);
+        let headerFound = false;
+        const subgraphStack = [];
+
+        lines.forEach((rawLine, index) => {
+            const lineNumber = index + 1;
+            const line = rawLine.replace(/%%.*$/, '').trim();
+            if (!line) return;
+
+            if (!headerFound) {
+                const header = /^(graph|flowchart)(?:\s+(TD|TB|BT|LR|RL))?\s*;?$/i.exec(line);
+                if (!header) {
+                    throw new MermaidParseError(`Unsupported diagram type "${line.split(/\s/)[0]}"; only flowcharts are supported`, lineNumber);
+                }
+                graph.direction = (header[2] || 'TD').toUpperCase().replace('TB', 'TD');
+                headerFound = true;
+                return;
+            }
+
+            line.split(';').map(s => s.trim()).filter(Boolean).forEach(statement => {
+                this.parseStatement(statement, graph, subgraphStack, lineNumber);
+            });
+        });
+
+        if (!headerFound) {
+            throw new MermaidParseError('Empty diagram');
+        }
+        if (subgraphStack.length) {
+            throw new MermaidParseError(`Unclosed subgraph "${subgraphStack[subgraphStack.length - 1].title}"`);
+        }
+
+        return graph;
+    }
+
+    parseStatement(statement, graph, subgraphStack, lineNumber) {
+        let m;
+
+        if ((m = /^subgraph\s+(.+)$/.exec(statement))) {
+            const spec = /^([\w\u4e00-\u9fa5]+)\s*\[(.+)\]$/.exec(m[1].trim());
+            const subgraph = {
+                id: spec ? spec[1] : `subgraph${graph.subgraphs.length}`,
+                title: this.unquote(spec ? spec[2] : m[1].trim()),
+                nodes: new Set()
+            };
+            graph.subgraphs.push(subgraph);
+            subgraphStack.push(subgraph);
+            return;
+        }
+
+        if (statement === 'end') {
+            if (!subgraphStack.length) {
+                throw new MermaidParseError('"end" without subgraph', lineNumber);
+            }
+            subgraphStack.pop();
+            return;
+        }
+
+        if ((m = /^classDef\s+([\w,]+)\s+(.+)$/.exec(statement))) {
+            const style = this.parseStyle(m[2]);
+            m[1].split(',').forEach(name => {
+                graph.classDefs[name] = style;
+            });
+            return;
+        }
+
+        if ((m = /^class\s+([\w\u4e00-\u9fa5,]+)\s+(\w+)$/.exec(statement))) {
+            m[1].split(',').forEach(id => {
+                this.ensureNode(graph, id, subgraphStack).className = m[2];
+            });
+            return;
+        }
+
+        if ((m = /^style\s+([\w\u4e00-\u9fa5]+)\s+(.+)$/.exec(statement))) {
+            Object.assign(this.ensureNode(graph, m[1], subgraphStack).style, this.parseStyle(m[2]));
+            return;
+        }
+
+        if (/^(click|linkStyle|direction)\b/.test(statement)) {
+            // Interaction and per-link styling have no meaning in a static SVG
+            return;
+        }
+
+        this.parseChain(statement, graph, subgraphStack, lineNumber);
+    }
+
+    /**
+     * Parse `A[..] --> B & C -- label --> D` style chains
+     */
+    parseChain(statement, graph, subgraphStack, lineNumber) {
+        this.cursor = { text: statement, pos: 0 };
+        let group = this.parseNodeGroup(graph, subgraphStack, lineNumber);
+
+        while (this.cursor.pos < this.cursor.text.length) {
+            const edge = this.parseEdge(lineNumber);
+            const next = this.parseNodeGroup(graph, subgraphStack, lineNumber);
+
+            group.forEach(from => {
+                next.forEach(to => {
+                    graph.edges.push(Object.assign({ from, to }, edge));
+                });
+            });
+            group = next;
+        }
+    }
+
+    parseNodeGroup(graph, subgraphStack, lineNumber) {
+        const ids = [this.parseNode(graph, subgraphStack, lineNumber)];
+        let m;
+        while ((m = /^\s*&\s*/.exec(this.rest()))) {
+            this.cursor.pos += m[0].length;
+            ids.push(this.parseNode(graph, subgraphStack, lineNumber));
+        }
+        return ids;
+    }
+
+    parseNode(graph, subgraphStack, lineNumber) {
+        const m = reMermaidNodeId.exec(this.rest());
+        if (!m) {
+            throw new MermaidParseError(`Expected node id near "${this.rest().slice(0, 20)}"`, lineNumber);
+        }
+        this.cursor.pos += m[0].length;
+        const node = this.ensureNode(graph, m[1], subgraphStack);
+
+        const rest = this.rest();
+        const shape = MERMAID_SHAPES.find(s => rest.startsWith(s.open));
+        if (shape) {
+            const end = this.findClose(rest, shape);
+            if (end === -1) {
+                throw new MermaidParseError(`Unclosed "${shape.open}" for node "${m[1]}"`, lineNumber);
+            }
+            node.label = this.unquote(rest.slice(shape.open.length, end).trim());
+            node.shape = shape.shape;
+            this.cursor.pos += end + shape.close.length;
+        }
+
+        const cls = /^:::(\w+)/.exec(this.rest());
+        if (cls) {
+            node.className = cls[1];
+            this.cursor.pos += cls[0].length;
+        }
+
+        return node.id;
+    }
+
+    /**
+     * Find the closing delimiter, skipping quoted label text
+     */
+    findClose(text, shape) {
+        let inQuotes = false;
+        for (let i = shape.open.length; i < text.length; i++) {
+            if (text[i] === '"') inQuotes = !inQuotes;
+            if (!inQuotes && text.startsWith(shape.close, i)) return i;
+        }
+        return -1;
+    }
+
+    parseEdge(lineNumber) {
+        const rest = this.rest();
+        let m;
+
+        if ((m = reMermaidLabelledEdge.exec(rest))) {
+            this.cursor.pos += m[0].length;
+            return this.edgeFromParts(m[2], m[1] === '<', m[5], m[3]);
+        }
+        if ((m = reMermaidEdge.exec(rest))) {
+            this.cursor.pos += m[0].length;
+            return this.edgeFromParts(m[2], m[1] === '<', m[3], m[4] ? m[4].trim() : '');
+        }
+
+        throw new MermaidParseError(`Expected edge near "${rest.slice(0, 20)}"`, lineNumber);
+    }
+
+    edgeFromParts(line, arrowStart, head, label) {
+        let style = 'solid';
+        if (line.startsWith('=')) style = 'thick';
+        if (line.includes('.')) style = 'dotted';
+
+        return {
+            style,
+            arrowStart,
+            arrowEnd: head === '>' ? 'arrow' : head === 'o' ? 'circle' : head === 'x' ? 'cross' : null,
+            label: this.unquote(label || '')
+        };
+    }
+
+    rest() {
+        return this.cursor.text.slice(this.cursor.pos);
+    }
+
+    ensureNode(graph, id, subgraphStack) {
+        if (!graph.nodes.has(id)) {
+            graph.nodes.set(id, { id, label: id, shape: 'rect', className: null, style: {} });
+        }
+        if (subgraphStack.length) {
+            subgraphStack[subgraphStack.length - 1].nodes.add(id);
+        }
+        return graph.nodes.get(id);
+    }
+
+    parseStyle(text) {
+        const style = {};
+        text.split(',').forEach(pair => {
+            const [key, value] = pair.split(':').map(s => s && s.trim());
+            if (key && value) style[key] = value;
+        });
+        return style;
+    }
+
+    unquote(text) {
+        const trimmed = text.trim();
+        return /^".*"$/.test(trimmed) ? trimmed.slice(1, -1) : trimmed;
+    }
+
+    // ------------------------------------------------------------------
+    // Layout (longest-path ranking + barycentric ordering)
+    // ------------------------------------------------------------------
+
+    layout(graph) {
+        const horizontal = graph.direction === 'LR' || graph.direction === 'RL';
+        const ids = Array.from(graph.nodes.keys());
+
+        // Measure node boxes
+        const sizes = new Map();
+        graph.nodes.forEach(node => {
+            sizes.set(node.id, this.measureNode(node));
+        });
+
+        // Break cycles by reversing back edges found in DFS order
+        const edges = graph.edges.map((edge, index) => ({ index, from: edge.from, to: edge.to, reversed: false }));
+        const state = new Map();
+        const visit = id => {
+            state.set(id, 'active');
+            edges.filter(e => e.from === id && !e.reversed).forEach(e => {
+                if (e.from === e.to) return;
+                if (state.get(e.to) === 'active') {
+                    e.reversed = true;
+                    [e.from, e.to] = [e.to, e.from];
+                } else if (!state.has(e.to)) {
+                    visit(e.to);
+                }
+            });
+            state.set(id, 'done');
+        };
+        ids.forEach(id => {
+            if (!state.has(id)) visit(id);
+        });
+
+        // Longest-path ranking
+        const rank = new Map(ids.map(id => [id, 0]));
+        let changed = true;
+        for (let guard = 0; changed && guard <= ids.length; guard++) {
+            changed = false;
+            edges.forEach(e => {
+                if (e.from !== e.to && rank.get(e.to) < rank.get(e.from) + 1) {
+                    rank.set(e.to, rank.get(e.from) + 1);
+                    changed = true;
+                }
+            });
+        }
+
+        // Split long edges with virtual nodes so they can be routed between layers
+        const layers = [];
+        const place = (id, r) => {
+            (layers[r] = layers[r] || []).push(id);
+        };
+        ids.forEach(id => place(id, rank.get(id)));
+
+        const virtualSizes = new Map();
+        const routes = edges.map(e => {
+            const chain = [e.from];
+            for (let r = rank.get(e.from) + 1; r < rank.get(e.to); r++) {
+                const vid = `__v${e.index}_${r}`;
+                virtualSizes.set(vid, { width: 8, height: 8 });
+                rank.set(vid, r);
+                place(vid, r);
+                chain.push(vid);
+            }
+            chain.push(e.to);
+            return { edge: e, chain };
+        });
+
+        const links = [];
+        routes.forEach(({ chain }) => {
+            for (let i = 0; i < chain.length - 1; i++) {
+                if (chain[i] !== chain[i + 1]) links.push([chain[i], chain[i + 1]]);
+            }
+        });
+
+        this.orderLayers(layers, links);
+
+        // Assign coordinates: layers along the main axis, order across it
+        const sizeOf = id => sizes.get(id) || virtualSizes.get(id);
+        const along = size => (horizontal ? size.width : size.height);
+        const across = size => (horizontal ? size.height : size.width);
+        const positions = new Map();
+
+        let mainOffset = 0;
+        const layerExtents = layers.map(layer => {
+            const extent = Math.max(...layer.map(id => along(sizeOf(id))));
+            const crossLength = layer.reduce((sum, id) => sum + across(sizeOf(id)), 0) +
+                this.config.nodeSpacing * (layer.length - 1);
+            return { extent, crossLength };
+        });
+        const maxCross = Math.max(0, ...layerExtents.map(l => l.crossLength));
+
+        layers.forEach((layer, r) => {
+            const { extent, crossLength } = layerExtents[r];
+            let crossOffset = (maxCross - crossLength) / 2;
+
+            layer.forEach(id => {
+                const size = sizeOf(id);
+                const main = mainOffset + extent / 2;
+                const cross = crossOffset + across(size) / 2;
+                positions.set(id, horizontal ? { x: main, y: cross } : { x: cross, y: main });
+                crossOffset += across(size) + this.config.nodeSpacing;
+            });
+
+            mainOffset += extent + this.config.rankSpacing;
+        });
+
+        const totalMain = Math.max(0, mainOffset - this.config.rankSpacing);
+
+        // Mirror for bottom-up and right-to-left flows
+        if (graph.direction === 'BT' || graph.direction === 'RL') {
+            positions.forEach(p => {
+                if (horizontal) p.x = totalMain - p.x;
+                else p.y = totalMain - p.y;
+            });
+        }
+
+        const edgePaths = routes.map(({ edge, chain }) => {
+            let points = chain.map(id => Object.assign({}, positions.get(id)));
+            if (edge.reversed) points = points.reverse();
+            return points;
+        });
+
+        return {
+            horizontal,
+            positions,
+            sizes,
+            edgePaths,
+            width: horizontal ? totalMain : maxCross,
+            height: horizontal ? maxCross : totalMain
+        };
+    }
+
+    /**
+     * Reduce crossings by sweeping layers and sorting on neighbour barycentres
+     */
+    orderLayers(layers, links) {
+        const indexOf = new Map();
+        const refresh = layer => layer.forEach((id, i) => indexOf.set(id, i));
+        layers.forEach(refresh);
+
+        const neighbours = (id, up) => links
+            .filter(([a, b]) => (up ? b === id : a === id))
+            .map(([a, b]) => (up ? a : b));
+
+        for (let sweep = 0; sweep < this.config.orderingSweeps; sweep++) {
+            const down = sweep % 2 === 0;
+            const range = down
+                ? layers.map((_, i) => i).slice(1)
+                : layers.map((_, i) => i).slice(0, -1).reverse();
+
+            range.forEach(r => {
+                const layer = layers[r];
+                const weights = new Map(layer.map(id => {
+                    const adj = neighbours(id, down);
+                    const bary = adj.length
+                        ? adj.reduce((sum, n) => sum + indexOf.get(n), 0) / adj.length
+                        : indexOf.get(id);
+                    return [id, bary];
+                }));
+                layer.sort((a, b) => weights.get(a) - weights.get(b));
+                refresh(layer);
+            });
+        }
+    }
+
+    measureNode(node) {
+        const lines = this.labelLines(node.label);
+        const textWidth = Math.max(...lines.map(line => this.measureText(line)));
+        const textHeight = lines.length * this.config.fontSize * 1.3;
+        const pad = this.config.nodePadding;
+        let width = textWidth + pad * 2;
+        let height = textHeight + pad;
+
+        switch (node.shape) {
+            case 'diamond':
+                width = width * 1.5;
+                height = Math.max(height * 1.6, width * 0.5);
+                break;
+            case 'circle':
+                width = height = Math.max(width, height);
+                break;
+            case 'hexagon':
+            case 'parallelogram':
+            case 'flag':
+                width += height * 0.6;
+                break;
+            case 'stadium':
+                width += height * 0.5;
+                break;
+            case 'cylinder':
+                height += 12;
+                break;
+            default:
+                break;
+        }
+
+        return { width: Math.max(width, 40), height: Math.max(height, 32) };
+    }
+
+    labelLines(label) {
+        return String(label).split(/<br\s*\/?>|\\n/i);
+    }
+
+    /**
+     * Label width, measured with a canvas when available, else estimated
+     */
+    measureText(text) {
+        const size = this.config.fontSize;
+
+        if (typeof document !== 'undefined' && document.createElement) {
+            if (!this.measureContext) {
+                this.measureContext = document.createElement('canvas').getContext('2d');
+            }
+            if (this.measureContext) {
+                this.measureContext.font = `${size}px ${this.config.fontFamily}`;
+                return this.measureContext.measureText(text).width;
+            }
+        }
+
+        let em = 0;
+        for (const ch of text) {
+            if (/[\u2e80-\u9fff\uff00-\uffef]/.test(ch)) em += 1;
+            else if (/[A-Z]/.test(ch)) em += 0.68;
+            else if (ch === ' ') em += 0.3;
+            else em += 0.56;
+        }
+        return em * size;
+    }
+
+    // ------------------------------------------------------------------
+    // SVG output
+    // ------------------------------------------------------------------
+
+    toSVG(graph, layout, source) {
+        const margin = 16;
+        const round = n => Math.round(n * 10) / 10;
+        const parts = [];
+
+        // Subgraph frames behind everything else
+        graph.subgraphs.forEach(subgraph => {
+            const members = Array.from(subgraph.nodes).filter(id => layout.positions.has(id));
+            if (!members.length) return;
+
+            const boxes = members.map(id => {
+                const p = layout.positions.get(id);
+                const s = layout.sizes.get(id);
+                return { x1: p.x - s.width / 2, y1: p.y - s.height / 2, x2: p.x + s.width / 2, y2: p.y + s.height / 2 };
+            });
+            const x1 = Math.min(...boxes.map(b => b.x1)) - 12;
+            const y1 = Math.min(...boxes.map(b => b.y1)) - 12 - this.config.fontSize * 1.4;
+            const x2 = Math.max(...boxes.map(b => b.x2)) + 12;
+            const y2 = Math.max(...boxes.map(b => b.y2)) + 12;
+
+            parts.push(`<g class="mermaid-subgraph">` +
+                `<rect x="${round(x1 + margin)}" y="${round(y1 + margin)}" width="${round(x2 - x1)}" height="${round(y2 - y1)}" rx="6" ` +
+                `fill="${this.config.subgraphFill}" stroke="${this.config.nodeStroke}" stroke-dasharray="4 3"/>` +
+                `<text x="${round(x1 + margin + 8)}" y="${round(y1 + margin + this.config.fontSize * 1.2)}" font-weight="600">${this.escapeXml(subgraph.title)}</text></g>`);
+        });
+
+        // Edges
+        graph.edges.forEach((edge, i) => {
+            const points = this.clipEndpoints(layout.edgePaths[i], edge, layout);
+            parts.push(this.renderEdge(edge, points.map(p => ({ x: p.x + margin, y: p.y + margin })), round));
+        });
+
+        // Nodes
+        graph.nodes.forEach(node => {
+            const p = layout.positions.get(node.id);
+            const s = layout.sizes.get(node.id);
+            parts.push(this.renderNode(node, graph, p.x + margin, p.y + margin, s, round));
+        });
+
+        // Grow the canvas for subgraph frames that extend above the first layer
+        const width = Math.ceil(layout.width + margin * 2);
+        const height = Math.ceil(layout.height + margin * 2);
+        const top = graph.subgraphs.length ? -Math.ceil(this.config.fontSize * 1.4 + 12) : 0;
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" class="mermaid-svg" width="${width}" height="${height - top}" ` +
+            `viewBox="0 ${top} ${width} ${height - top}" role="img" aria-label="${this.escapeXml(source.trim())}">` +
+            `<defs>` +
+            `<marker id="mermaid-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse">` +
+            `<path d="M 0 0 L 10 5 L 0 10 z" fill="${this.config.edgeColor}"/></marker>` +
+            `<marker id="mermaid-circle" viewBox="0 0 10 10" refX="5" refY="5" markerWidth="7" markerHeight="7">` +
+            `<circle cx="5" cy="5" r="4" fill="${this.config.edgeColor}"/></marker>` +
+            `<marker id="mermaid-cross" viewBox="0 0 10 10" refX="5" refY="5" markerWidth="8" markerHeight="8">` +
+            `<path d="M 1 1 L 9 9 M 9 1 L 1 9" stroke="${this.config.edgeColor}" stroke-width="2"/></marker>` +
+            `</defs>` +
+            `<g font-family="${this.escapeXml(this.config.fontFamily)}" font-size="${this.config.fontSize}" fill="${this.config.textColor}">` +
+            parts.join('') +
+            `</g></svg>`;
+    }
+
+    /**
+     * Trim the first and last segment so edges stop at node borders
+     */
+    clipEndpoints(points, edge, layout) {
+        if (points.length < 2) return points;
+        const result = points.map(p => Object.assign({}, p));
+
+        const clip = (inner, outer, id) => {
+            const size = layout.sizes.get(id);
+            const dx = outer.x - inner.x;
+            const dy = outer.y - inner.y;
+            if (dx === 0 && dy === 0) return inner;
+            const sx = dx === 0 ? Infinity : (size.width / 2) / Math.abs(dx);
+            const sy = dy === 0 ? Infinity : (size.height / 2) / Math.abs(dy);
+            const t = Math.min(sx, sy);
+            return { x: inner.x + dx * t, y: inner.y + dy * t };
+        };
+
+        const last = result.length - 1;
+        const fromId = edge.from;
+        const toId = edge.to;
+        result[0] = clip(points[0], points[1], fromId);
+        result[last] = clip(points[last], points[last - 1], toId);
+        return result;
+    }
+
+    renderEdge(edge, points, round) {
+        if (points.length < 2) return '';
+
+        // Smooth the polyline through virtual nodes with quadratic curves
+        let d = `M ${round(points[0].x)} ${round(points[0].y)}`;
+        for (let i = 1; i < points.length - 1; i++) {
+            const mid = { x: (points[i].x + points[i + 1].x) / 2, y: (points[i].y + points[i + 1].y) / 2 };
+            d += ` Q ${round(points[i].x)} ${round(points[i].y)} ${round(mid.x)} ${round(mid.y)}`;
+        }
+        const end = points[points.length - 1];
+        d += ` L ${round(end.x)} ${round(end.y)}`;
+
+        const strokeWidth = edge.style === 'thick' ? 3 : 1.5;
+        const dash = edge.style === 'dotted' ? ' stroke-dasharray="3 3"' : '';
+        const markerEnd = edge.arrowEnd ? ` marker-end="url(#mermaid-${edge.arrowEnd})"` : '';
+        const markerStart = edge.arrowStart ? ' marker-start="url(#mermaid-arrow)"' : '';
+
+        let label = '';
+        if (edge.label) {
+            const a = points[Math.floor((points.length - 1) / 2)];
+            const b = points[Math.floor((points.length - 1) / 2) + 1];
+            const x = (a.x + b.x) / 2;
+            const y = (a.y + b.y) / 2;
+            const width = this.measureText(edge.label) + 8;
+            const height = this.config.fontSize * 1.4;
+            label = `<rect x="${round(x - width / 2)}" y="${round(y - height / 2)}" width="${round(width)}" height="${round(height)}" fill="#FFFFFF" opacity="0.9"/>` +
+                `<text x="${round(x)}" y="${round(y)}" text-anchor="middle" dominant-baseline="central">${this.escapeXml(edge.label)}</text>`;
+        }
+
+        return `<g class="mermaid-edge"><path d="${d}" fill="none" stroke="${this.config.edgeColor}" ` +
+            `stroke-width="${strokeWidth}"${dash}${markerStart}${markerEnd}/>${label}</g>`;
+    }
+
+    renderNode(node, graph, cx, cy, size, round) {
+        const style = Object.assign({}, node.className ? graph.classDefs[node.className] : {}, node.style);
+        const fill = this.escapeXml(style.fill || this.config.nodeFill);
+        const stroke = this.escapeXml(style.stroke || this.config.nodeStroke);
+        const color = this.escapeXml(style.color || this.config.textColor);
+        const w = size.width;
+        const h = size.height;
+        const x = cx - w / 2;
+        const y = cy - h / 2;
+        const paint = `fill="${fill}" stroke="${stroke}" stroke-width="1.5"`;
+        let shape;
+
+        switch (node.shape) {
+            case 'round':
+                shape = `<rect x="${round(x)}" y="${round(y)}" width="${round(w)}" height="${round(h)}" rx="10" ${paint}/>`;
+                break;
+            case 'stadium':
+                shape = `<rect x="${round(x)}" y="${round(y)}" width="${round(w)}" height="${round(h)}" rx="${round(h / 2)}" ${paint}/>`;
+                break;
+            case 'circle':
+                shape = `<circle cx="${round(cx)}" cy="${round(cy)}" r="${round(w / 2)}" ${paint}/>`;
+                break;
+            case 'diamond':
+                shape = `<polygon points="${round(cx)},${round(y)} ${round(x + w)},${round(cy)} ${round(cx)},${round(y + h)} ${round(x)},${round(cy)}" ${paint}/>`;
+                break;
+            case 'hexagon': {
+                const inset = h / 2;
+                shape = `<polygon points="${round(x + inset)},${round(y)} ${round(x + w - inset)},${round(y)} ${round(x + w)},${round(cy)} ` +
+                    `${round(x + w - inset)},${round(y + h)} ${round(x + inset)},${round(y + h)} ${round(x)},${round(cy)}" ${paint}/>`;
+                break;
+            }
+            case 'parallelogram': {
+                const skew = h * 0.3;
+                shape = `<polygon points="${round(x + skew)},${round(y)} ${round(x + w)},${round(y)} ${round(x + w - skew)},${round(y + h)} ${round(x)},${round(y + h)}" ${paint}/>`;
+                break;
+            }
+            case 'flag': {
+                const notch = h * 0.3;
+                shape = `<polygon points="${round(x)},${round(y)} ${round(x + w)},${round(y)} ${round(x + w)},${round(y + h)} ${round(x)},${round(y + h)} ${round(x + notch)},${round(cy)}" ${paint}/>`;
+                break;
+            }
+            case 'subroutine':
+                shape = `<rect x="${round(x)}" y="${round(y)}" width="${round(w)}" height="${round(h)}" ${paint}/>` +
+                    `<path d="M ${round(x + 6)} ${round(y)} V ${round(y + h)} M ${round(x + w - 6)} ${round(y)} V ${round(y + h)}" stroke="${stroke}" stroke-width="1.5"/>`;
+                break;
+            case 'cylinder': {
+                const ry = 6;
+                shape = `<path d="M ${round(x)} ${round(y + ry)} A ${round(w / 2)} ${ry} 0 0 1 ${round(x + w)} ${round(y + ry)} V ${round(y + h - ry)} ` +
+                    `A ${round(w / 2)} ${ry} 0 0 1 ${round(x)} ${round(y + h - ry)} Z" ${paint}/>` +
+                    `<path d="M ${round(x)} ${round(y + ry)} A ${round(w / 2)} ${ry} 0 0 0 ${round(x + w)} ${round(y + ry)}" fill="none" stroke="${stroke}" stroke-width="1.5"/>`;
+                break;
+            }
+            default:
+                shape = `<rect x="${round(x)}" y="${round(y)}" width="${round(w)}" height="${round(h)}" rx="3" ${paint}/>`;
+        }
+
+        const lines = this.labelLines(node.label);
+        const lineHeight = this.config.fontSize * 1.3;
+        const firstY = cy - (lineHeight * (lines.length - 1)) / 2;
+        const text = lines.map((line, i) =>
+            `<text x="${round(cx)}" y="${round(firstY + i * lineHeight)}" text-anchor="middle" dominant-baseline="central" fill="${color}">${this.escapeXml(line)}</text>`
+        ).join('');
+
+        return `<g class="mermaid-node" data-id="${this.escapeXml(node.id)}">${shape}${text}</g>`;
+    }
+
+    renderError(source, error) {
+        return `<pre class="mermaid-error" title="${this.escapeXml(error.message)}">${this.escapeXml(source)}</pre>`;
+    }
+
+    escapeXml(text) {
+        return String(text).replace(/[&<>"]/g, m => ({
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;'
+        })[m]);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MermaidRenderer;
+    module.exports.MermaidParseError = MermaidParseError;
+}
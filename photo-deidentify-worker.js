@@ -0,0 +1,19 @@
+/**
+ * Photo De-identification Worker
+ * PhotoDeidentify.processBlob() off the page's thread
+ * 去标识后台线程：解码、定位眼部、模糊和重新编码都不阻塞管理页面
+ *
+ * Started by PhotoDeidentify.process() where workers have OffscreenCanvas.
+ * Message in: { id, blob, options }; out: { id, result } or { id, error }.
+ */
+
+importScripts('photo-deidentify.js');
+
+self.addEventListener('message', async event => {
+    const { id, blob, options } = event.data;
+    try {
+        self.postMessage({ id, result: await PhotoDeidentify.processBlob(blob, options) });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+});
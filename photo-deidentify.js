@@ -0,0 +1,611 @@
+/**
+ * Photo De-identification
+ * Patient photos stripped of metadata and with the eyes blurred or masked before upload
+ * 患者照片去标识：上传前去除 EXIF/GPS 等元数据，并模糊或遮盖眼部
+ *
+ * Photos are decoded and re-encoded on a canvas, which drops every bit of
+ * metadata and bakes in the EXIF orientation; stripMetadata() does the
+ * same losslessly on the bytes, for the server's copy of anything that did
+ * not come through here. The eyes are located with the browser's
+ * FaceDetector where there is one; otherwise from the lips, which every
+ * photo here shows, using facial proportions. Either way it is an
+ * estimate: the record says how the regions were found, so a reviewer
+ * knows what to check and can redraw them before the case is published.
+ *
+ * Regions are fractions of the photo's width and height, so they hold for
+ * the photo at any size. Pixel work runs in photo-deidentify-worker.js
+ * when the browser has workers with OffscreenCanvas.
+ */
+
+const DEIDENTIFY_MODES = ['blur', 'mask'];
+
+// How the regions were found
+const DEIDENTIFY_DETECTORS = ['face-detector', 'lip-landmarks', 'manual', 'none'];
+
+const DEIDENTIFY_MAX_REGIONS = 20;
+
+// Masks are a dark neutral grey rather than black, so they read as deliberate
+const DEIDENTIFY_MASK_COLOR = [48, 48, 48];
+
+// Photo formats kept on re-encoding; anything else becomes JPEG
+const DEIDENTIFY_OUTPUT_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+const readUInt16 = (bytes, offset, little) => (little
+    ? bytes[offset] | (bytes[offset + 1] << 8)
+    : (bytes[offset] << 8) | bytes[offset + 1]);
+
+const readUInt32 = (bytes, offset, little) => (little
+    ? (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0
+    : ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0);
+
+const latin1 = (bytes, start, end) => String.fromCharCode.apply(null, Array.from(bytes.subarray(start, end)));
+
+function concatBytes(parts) {
+    const length = parts.reduce((sum, part) => sum + part.length, 0);
+    const result = new Uint8Array(length);
+    let offset = 0;
+    parts.forEach(part => {
+        result.set(part, offset);
+        offset += part.length;
+    });
+    return result;
+}
+
+// Whether a TIFF block (the body of an EXIF segment) points to GPS data from its first directory
+function tiffHasGPS(tiff) {
+    if (tiff.length < 8) return false;
+    const order = latin1(tiff, 0, 2);
+    if (order !== 'II' && order !== 'MM') return false;
+    const little = order === 'II';
+    const directory = readUInt32(tiff, 4, little);
+    if (directory + 2 > tiff.length) return false;
+    const count = readUInt16(tiff, directory, little);
+    for (let i = 0; i < count; i++) {
+        const entry = directory + 2 + i * 12;
+        if (entry + 12 > tiff.length) return false;
+        if (readUInt16(tiff, entry, little) === 0x8825) return true;
+    }
+    return false;
+}
+
+function exifLabels(tiff) {
+    return tiffHasGPS(tiff) ? ['EXIF', 'GPS'] : ['EXIF'];
+}
+
+// JPEG: drops APP1 (EXIF, XMP), APP3–APP13 and APP15 (IPTC, maker data),
+// APP2 other than the colour profile, comments, and anything after the
+// image (MPF previews and camera trailers hold further copies of it)
+function stripJPEG(bytes) {
+    const kept = [bytes.subarray(0, 2)];
+    const removed = [];
+    let offset = 2;
+
+    while (offset + 4 <= bytes.length) {
+        // Not a marker where one should be: the rest is kept as it is
+        if (bytes[offset] !== 0xff) break;
+        const marker = bytes[offset + 1];
+        if (marker === 0xff) {
+            offset++;
+            continue;
+        }
+        if (marker === 0xda) {
+            // Entropy-coded data runs to the end-of-image marker
+            let end = bytes.length;
+            for (let i = offset + 2; i + 1 < bytes.length; i++) {
+                if (bytes[i] === 0xff && bytes[i + 1] === 0xd9) {
+                    end = i + 2;
+                    break;
+                }
+            }
+            kept.push(bytes.subarray(offset, end));
+            if (end < bytes.length) removed.push('trailer');
+            return { kept, removed };
+        }
+        if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+            kept.push(bytes.subarray(offset, offset + 2));
+            offset += 2;
+            continue;
+        }
+
+        const length = readUInt16(bytes, offset + 2, false);
+        const end = offset + 2 + length;
+        const body = bytes.subarray(offset + 4, Math.min(end, bytes.length));
+        let label = null;
+        if (marker === 0xe1) {
+            if (latin1(body, 0, 6) === 'Exif\0\0') label = exifLabels(body.subarray(6));
+            else label = ['XMP'];
+        } else if (marker === 0xe2) {
+            if (latin1(body, 0, 12) !== 'ICC_PROFILE\0') label = ['APP2'];
+        } else if (marker === 0xed) {
+            label = ['IPTC'];
+        } else if (marker === 0xfe) {
+            label = ['comment'];
+        } else if ((marker >= 0xe3 && marker <= 0xec) || marker === 0xef) {
+            label = [`APP${marker - 0xe0}`];
+        }
+
+        if (label) removed.push(...label);
+        else kept.push(bytes.subarray(offset, end));
+        offset = end;
+    }
+    if (offset < bytes.length) kept.push(bytes.subarray(offset));
+    return { kept, removed };
+}
+
+// PNG: drops eXIf, the text chunks (XMP travels in iTXt) and tIME
+function stripPNG(bytes) {
+    const kept = [bytes.subarray(0, 8)];
+    const removed = [];
+    let offset = 8;
+
+    while (offset + 12 <= bytes.length) {
+        const length = readUInt32(bytes, offset, false);
+        const type = latin1(bytes, offset + 4, offset + 8);
+        const end = offset + 12 + length;
+        const body = bytes.subarray(offset + 8, Math.min(offset + 8 + length, bytes.length));
+
+        if (type === 'eXIf') removed.push(...exifLabels(body));
+        else if (type === 'iTXt' && latin1(body, 0, 17) === 'XML:com.adobe.xmp') removed.push('XMP');
+        else if (type === 'tEXt' || type === 'zTXt' || type === 'iTXt') removed.push('text');
+        else if (type === 'tIME') removed.push('time');
+        else kept.push(bytes.subarray(offset, end));
+
+        offset = end;
+        if (type === 'IEND') break;
+    }
+    return { kept, removed };
+}
+
+// WebP: drops the EXIF and XMP chunks and clears their flags in VP8X
+function stripWebP(bytes) {
+    const kept = [];
+    const removed = [];
+    let offset = 12;
+
+    while (offset + 8 <= bytes.length) {
+        const type = latin1(bytes, offset, offset + 4);
+        const length = readUInt32(bytes, offset + 4, true);
+        const end = Math.min(offset + 8 + length + (length & 1), bytes.length);
+        const body = bytes.subarray(offset + 8, Math.min(offset + 8 + length, bytes.length));
+
+        if (type === 'EXIF') {
+            removed.push(...exifLabels(latin1(body, 0, 6) === 'Exif\0\0' ? body.subarray(6) : body));
+        } else if (type === 'XMP ') {
+            removed.push('XMP');
+        } else if (type === 'VP8X') {
+            const chunk = bytes.slice(offset, end);
+            chunk[8] &= ~0x0c;
+            kept.push(chunk);
+        } else {
+            kept.push(bytes.subarray(offset, end));
+        }
+        offset = end;
+    }
+
+    const size = kept.reduce((sum, chunk) => sum + chunk.length, 4);
+    const header = new Uint8Array(12);
+    header.set(bytes.subarray(0, 12));
+    header[4] = size & 0xff;
+    header[5] = (size >> 8) & 0xff;
+    header[6] = (size >> 16) & 0xff;
+    header[7] = (size >>> 24) & 0xff;
+    return { kept: [header, ...kept], removed };
+}
+
+// Pixel bounds of a region, at least one pixel each way
+function pixelBox(region, width, height) {
+    const x0 = Math.max(0, Math.floor(region.x * width));
+    const y0 = Math.max(0, Math.floor(region.y * height));
+    const x1 = Math.min(width, Math.max(x0 + 1, Math.ceil((region.x + region.width) * width)));
+    const y1 = Math.min(height, Math.max(y0 + 1, Math.ceil((region.y + region.height) * height)));
+    return { x0, y0, x1, y1 };
+}
+
+function fillBox(image, box, color) {
+    const { data, width } = image;
+    for (let y = box.y0; y < box.y1; y++) {
+        for (let x = box.x0; x < box.x1; x++) {
+            const i = (y * width + x) * 4;
+            data[i] = color[0];
+            data[i + 1] = color[1];
+            data[i + 2] = color[2];
+        }
+    }
+}
+
+// Each block takes its average colour: no detail smaller than a block survives
+function pixelate(image, box, block) {
+    const { data, width } = image;
+    for (let by = box.y0; by < box.y1; by += block) {
+        for (let bx = box.x0; bx < box.x1; bx += block) {
+            const yEnd = Math.min(by + block, box.y1);
+            const xEnd = Math.min(bx + block, box.x1);
+            const sum = [0, 0, 0];
+            let count = 0;
+            for (let y = by; y < yEnd; y++) {
+                for (let x = bx; x < xEnd; x++) {
+                    const i = (y * width + x) * 4;
+                    sum[0] += data[i];
+                    sum[1] += data[i + 1];
+                    sum[2] += data[i + 2];
+                    count++;
+                }
+            }
+            fillBox(image, { x0: bx, y0: by, x1: xEnd, y1: yEnd }, sum.map(value => Math.round(value / count)));
+        }
+    }
+}
+
+// Box blur along one axis inside the box, with a running sum
+function blurPass(image, box, radius, vertical) {
+    const { data, width } = image;
+    const outer = vertical ? [box.x0, box.x1] : [box.y0, box.y1];
+    const inner = vertical ? [box.y0, box.y1] : [box.x0, box.x1];
+    const length = inner[1] - inner[0];
+    const line = new Float32Array(length * 3);
+    const index = (a, b) => (vertical ? (b * width + a) : (a * width + b)) * 4;
+
+    for (let a = outer[0]; a < outer[1]; a++) {
+        for (let k = 0; k < length; k++) {
+            const i = index(a, inner[0] + k);
+            line[k * 3] = data[i];
+            line[k * 3 + 1] = data[i + 1];
+            line[k * 3 + 2] = data[i + 2];
+        }
+        const sum = [0, 0, 0];
+        const at = k => Math.min(length - 1, Math.max(0, k));
+        for (let k = -radius; k <= radius; k++) {
+            for (let c = 0; c < 3; c++) sum[c] += line[at(k) * 3 + c];
+        }
+        for (let k = 0; k < length; k++) {
+            const i = index(a, inner[0] + k);
+            for (let c = 0; c < 3; c++) {
+                data[i + c] = Math.round(sum[c] / (radius * 2 + 1));
+                sum[c] += line[at(k + radius + 1) * 3 + c] - line[at(k - radius) * 3 + c];
+            }
+        }
+    }
+}
+
+const percentile = (sorted, fraction) => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))];
+
+const PhotoDeidentify = {
+    MODES: DEIDENTIFY_MODES,
+    DETECTORS: DEIDENTIFY_DETECTORS,
+
+    /**
+     * A photo's bytes without its metadata, image data untouched
+     * @param {Uint8Array} bytes - JPEG, PNG or WebP; anything else is returned as it is
+     * @returns {{bytes: Uint8Array, removed: string[]}} removed names what was there: EXIF, GPS, XMP, IPTC, comment, text, …
+     */
+    stripMetadata(bytes) {
+        let result = null;
+        if (bytes.length > 4 && bytes[0] === 0xff && bytes[1] === 0xd8) {
+            result = stripJPEG(bytes);
+        } else if (bytes.length > 8 && bytes[0] === 0x89 && latin1(bytes, 1, 4) === 'PNG') {
+            result = stripPNG(bytes);
+        } else if (bytes.length > 12 && latin1(bytes, 0, 4) === 'RIFF' && latin1(bytes, 8, 12) === 'WEBP') {
+            result = stripWebP(bytes);
+        }
+        if (!result || !result.removed.length) return { bytes, removed: [] };
+        return { bytes: concatBytes(result.kept), removed: [...new Set(result.removed)] };
+    },
+
+    /**
+     * @param {Uint8Array} bytes
+     * @returns {string[]} the metadata a photo carries, as stripMetadata() names it
+     */
+    readMetadata(bytes) {
+        return PhotoDeidentify.stripMetadata(bytes).removed;
+    },
+
+    /**
+     * A region clipped to the photo
+     * @param {{x: number, y: number, width: number, height: number}} region - fractions of the photo
+     * @returns {Object|null} null when nothing of it is left
+     */
+    clampRegion(region) {
+        if (!region) return null;
+        const x0 = Math.max(0, region.x);
+        const y0 = Math.max(0, region.y);
+        const x1 = Math.min(1, region.x + region.width);
+        const y1 = Math.min(1, region.y + region.height);
+        if (x1 - x0 < 0.005 || y1 - y0 < 0.005) return null;
+        const round = value => Math.round(value * 10000) / 10000;
+        return { x: round(x0), y: round(y0), width: round(x1 - x0), height: round(y1 - y0) };
+    },
+
+    /**
+     * The region spanned by two corners, as dragged in the mask editor
+     */
+    regionFromPoints(a, b) {
+        return PhotoDeidentify.clampRegion({
+            x: Math.min(a.x, b.x),
+            y: Math.min(a.y, b.y),
+            width: Math.abs(a.x - b.x),
+            height: Math.abs(a.y - b.y)
+        });
+    },
+
+    /**
+     * @returns {number} index of the last-drawn region containing the point, or -1
+     */
+    regionAt(regions, x, y) {
+        for (let i = regions.length - 1; i >= 0; i--) {
+            const region = regions[i];
+            if (x >= region.x && x <= region.x + region.width && y >= region.y && y <= region.y + region.height) return i;
+        }
+        return -1;
+    },
+
+    /**
+     * Where the lips are, from their colour: redder than the skin around them
+     * @param {{data: Uint8ClampedArray, width: number, height: number}} image - RGBA, as ImageData
+     * @returns {{x, y, width, height, centerX, centerY}|null} in pixels; null when there is no clear mouth
+     */
+    findLips(image) {
+        const { data, width, height } = image;
+        const step = Math.max(1, Math.floor(Math.max(width, height) / 160));
+        const samples = [];
+        for (let y = 0; y < height; y += step) {
+            for (let x = 0; x < width; x += step) {
+                const i = (y * width + x) * 4;
+                const r = data[i];
+                const g = data[i + 1];
+                const b = data[i + 2];
+                // Skin and lips both have red over green and blue
+                if (r < 60 || r <= g || r <= b) continue;
+                samples.push({ x, y, ratio: r / (r + g) });
+            }
+        }
+        if (samples.length < 50) return null;
+
+        const mean = samples.reduce((sum, sample) => sum + sample.ratio, 0) / samples.length;
+        const spread = Math.sqrt(samples.reduce((sum, sample) => sum + (sample.ratio - mean) ** 2, 0) / samples.length);
+        const threshold = Math.max(mean + spread, 0.6);
+        const lips = samples.filter(sample => sample.ratio > threshold);
+        if (lips.length < Math.max(10, samples.length * 0.005)) return null;
+
+        const xs = lips.map(sample => sample.x).sort((a, b) => a - b);
+        const ys = lips.map(sample => sample.y).sort((a, b) => a - b);
+        const x0 = percentile(xs, 0.02);
+        const x1 = percentile(xs, 0.98) + step;
+        const y0 = percentile(ys, 0.02);
+        const y1 = percentile(ys, 0.98) + step;
+        const boxWidth = x1 - x0;
+        const boxHeight = y1 - y0;
+
+        // A mouth is wider than tall and fills much of its box; scattered red is not one
+        const density = lips.length * step * step / (boxWidth * boxHeight);
+        if (boxWidth < boxHeight || boxWidth < width * 0.05 || density < 0.3) return null;
+        return { x: x0, y: y0, width: boxWidth, height: boxHeight, centerX: (x0 + x1) / 2, centerY: (y0 + y1) / 2 };
+    },
+
+    /**
+     * The eye band of a face, from its mouth. The eyes sit about 1.4 mouth
+     * widths above the mouth's centre and span about two mouth widths; the
+     * band reaches up over the eyebrows.
+     * @param {Object} lips - from findLips()
+     * @returns {Object|null} a region; null when the eyes are outside the photo
+     */
+    eyesFromLips(lips, width, height) {
+        const mouth = lips.width;
+        const eyeLine = lips.centerY - 1.4 * mouth;
+        const top = eyeLine - 0.6 * mouth;
+        const bottom = eyeLine + 0.45 * mouth;
+        if (bottom <= 0) return null;
+        return PhotoDeidentify.clampRegion({
+            x: (lips.centerX - 1.25 * mouth) / width,
+            y: top / height,
+            width: 2.5 * mouth / width,
+            height: (bottom - top) / height
+        });
+    },
+
+    /**
+     * The eye band of each face FaceDetector found
+     * @param {Array} faces - DetectedFace: { boundingBox, landmarks: [{ type, locations }] }
+     */
+    eyesFromFaces(faces, width, height) {
+        return faces.map(face => {
+            const box = face.boundingBox;
+            const eyes = (face.landmarks || [])
+                .filter(landmark => landmark.type === 'eye')
+                .reduce((points, landmark) => points.concat(landmark.locations), []);
+            let left = box.x;
+            let right = box.x + box.width;
+            let top = box.y + box.height * 0.18;
+            let bottom = box.y + box.height * 0.5;
+            if (eyes.length) {
+                const xs = eyes.map(point => point.x);
+                const ys = eyes.map(point => point.y);
+                left = Math.min(...xs) - box.width * 0.25;
+                right = Math.max(...xs) + box.width * 0.25;
+                top = Math.min(...ys) - box.height * 0.15;
+                bottom = Math.max(...ys) + box.height * 0.12;
+            }
+            return PhotoDeidentify.clampRegion({
+                x: left / width,
+                y: top / height,
+                width: (right - left) / width,
+                height: (bottom - top) / height
+            });
+        }).filter(Boolean);
+    },
+
+    /**
+     * Where the eyes are: from FaceDetector's faces if it found any, else from the lips
+     * @param {Object} image - RGBA, as ImageData
+     * @param {Array|null} [faces] - FaceDetector's result; null where there is none
+     * @returns {{detector: string, regions: Array}} no regions when no eyes are in the photo or none were found
+     */
+    locateEyes(image, faces) {
+        if (faces && faces.length) {
+            return { detector: 'face-detector', regions: PhotoDeidentify.eyesFromFaces(faces, image.width, image.height) };
+        }
+        const lips = PhotoDeidentify.findLips(image);
+        if (!lips) return { detector: 'none', regions: [] };
+        const eyes = PhotoDeidentify.eyesFromLips(lips, image.width, image.height);
+        return { detector: 'lip-landmarks', regions: eyes ? [eyes] : [] };
+    },
+
+    /**
+     * Blur or mask regions of an image, in place
+     * @param {Object} image - RGBA, as ImageData
+     * @param {Array} regions
+     * @param {string} [mode] - 'blur' pixelates and then smooths; 'mask' paints over
+     * @returns {Object} the image
+     */
+    applyRegions(image, regions, mode = 'blur') {
+        regions.forEach(region => {
+            const box = pixelBox(region, image.width, image.height);
+            if (mode === 'mask') {
+                fillBox(image, box, DEIDENTIFY_MASK_COLOR);
+                return;
+            }
+            // Blocks of a fifth of the region: an eye is one or two blocks
+            const block = Math.max(4, Math.round(Math.min(box.x1 - box.x0, box.y1 - box.y0) / 5));
+            pixelate(image, box, block);
+            const radius = Math.max(1, Math.round(block / 2));
+            blurPass(image, box, radius, false);
+            blurPass(image, box, radius, true);
+        });
+        return image;
+    },
+
+    /**
+     * What is wrong with a processing record sent along with a photo
+     * @returns {string[]} each starting with the field it is about; empty when it is fine
+     */
+    validateRecord(record) {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) return ['record must be an object'];
+        const errors = [];
+        if (!DEIDENTIFY_DETECTORS.includes(record.detector)) {
+            errors.push(`detector must be one of ${DEIDENTIFY_DETECTORS.join(', ')}`);
+        }
+        if (!DEIDENTIFY_MODES.includes(record.mode)) errors.push(`mode must be one of ${DEIDENTIFY_MODES.join(', ')}`);
+
+        const inRange = value => typeof value === 'number' && value >= 0 && value <= 1;
+        if (!Array.isArray(record.regions)) {
+            errors.push('regions must be an array');
+        } else if (record.regions.length > DEIDENTIFY_MAX_REGIONS) {
+            errors.push(`regions has more than ${DEIDENTIFY_MAX_REGIONS} entries`);
+        } else if (!record.regions.every(region => region && ['x', 'y', 'width', 'height'].every(key => inRange(region[key])))) {
+            errors.push('regions must be fractions of the photo: { x, y, width, height } between 0 and 1');
+        }
+
+        if (record.metadataRemoved !== undefined && !(Array.isArray(record.metadataRemoved) &&
+            record.metadataRemoved.length <= 20 &&
+            record.metadataRemoved.every(label => typeof label === 'string' && label.length <= 20))) {
+            errors.push('metadataRemoved must be a short list of names');
+        }
+        return errors;
+    },
+
+    /**
+     * Decode a photo, locate and blur the eyes (or blur the regions given),
+     * and encode it again without metadata. Runs wherever there is
+     * createImageBitmap and a canvas: a page or a worker.
+     * @param {Blob} blob
+     * @param {Object} [options]
+     * @param {Array} [options.regions] - skip detection and use these
+     * @param {string} [options.mode] - 'blur' or 'mask'
+     * @param {string} [options.detector] - how options.regions were found; 'manual' by default
+     * @returns {Promise<{masked: Blob, original: Blob, record: Object}>} original is the photo re-encoded unmasked, for redrawing the regions later
+     */
+    async processBlob(blob, options = {}) {
+        const mode = options.mode || 'blur';
+        const metadataRemoved = PhotoDeidentify.readMetadata(new Uint8Array(await blob.arrayBuffer()));
+        const bitmap = await createImageBitmap(blob, { imageOrientation: 'from-image' });
+        const { width, height } = bitmap;
+
+        const canvas = typeof OffscreenCanvas !== 'undefined'
+            ? new OffscreenCanvas(width, height)
+            : Object.assign(document.createElement('canvas'), { width, height });
+        const context = canvas.getContext('2d');
+        context.drawImage(bitmap, 0, 0);
+
+        const type = DEIDENTIFY_OUTPUT_TYPES.includes(blob.type) ? blob.type : 'image/jpeg';
+        const encode = quality => (canvas.convertToBlob
+            ? canvas.convertToBlob({ type, quality })
+            : new Promise(resolve => canvas.toBlob(resolve, type, quality)));
+
+        const original = await encode(0.95);
+        const image = context.getImageData(0, 0, width, height);
+        let located = { detector: options.detector || 'manual', regions: options.regions };
+        if (!options.regions) {
+            let faces = null;
+            if (typeof FaceDetector !== 'undefined') {
+                try {
+                    faces = await new FaceDetector({ fastMode: false, maxDetectedFaces: 5 }).detect(bitmap);
+                } catch (error) {
+                    faces = null;
+                }
+            }
+            located = PhotoDeidentify.locateEyes(image, faces);
+        }
+        if (bitmap.close) bitmap.close();
+
+        const regions = located.regions.map(PhotoDeidentify.clampRegion).filter(Boolean);
+        PhotoDeidentify.applyRegions(image, regions, mode);
+        context.putImageData(image, 0, 0);
+        const masked = await encode(0.92);
+
+        return {
+            masked,
+            original,
+            record: { detector: located.detector, mode, regions, metadataRemoved, width, height }
+        };
+    },
+
+    /**
+     * processBlob() in photo-deidentify-worker.js where the browser can,
+     * so large photos do not hold up the page; on the page otherwise
+     */
+    process(blob, options = {}) {
+        const worker = PhotoDeidentify.worker();
+        if (!worker) return PhotoDeidentify.processBlob(blob, options);
+
+        return new Promise((resolve, reject) => {
+            const id = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+            const done = () => {
+                worker.removeEventListener('message', listener);
+                worker.removeEventListener('error', failed);
+            };
+            const listener = event => {
+                if (event.data.id !== id) return;
+                done();
+                if (event.data.error) reject(new Error(event.data.error));
+                else resolve(event.data.result);
+            };
+            // The worker script did not load: the page does the work from now on
+            const failed = () => {
+                done();
+                PhotoDeidentify.sharedWorker = null;
+                reject(new Error('worker failed'));
+            };
+            worker.addEventListener('message', listener);
+            worker.addEventListener('error', failed);
+            worker.postMessage({ id, blob, options });
+        }).catch(() => PhotoDeidentify.processBlob(blob, options));
+    },
+
+    // One shared worker, made on first use; null where workers cannot draw
+    worker() {
+        if (PhotoDeidentify.sharedWorker !== undefined) return PhotoDeidentify.sharedWorker;
+        PhotoDeidentify.sharedWorker = null;
+        if (typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' && typeof document !== 'undefined') {
+            try {
+                PhotoDeidentify.sharedWorker = new Worker('photo-deidentify-worker.js');
+            } catch (error) {
+                PhotoDeidentify.sharedWorker = null;
+            }
+        }
+        return PhotoDeidentify.sharedWorker;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PhotoDeidentify;
+}
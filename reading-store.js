@@ -0,0 +1,304 @@
+/**
+ * Reading Store
+ * Reading progress, bookmarks and highlights for the document viewer
+ * 阅读进度、书签与高亮笔记的本地持久化（IndexedDB）
+ *
+ * Everything stays in the reader's browser. Where IndexedDB is unavailable
+ * (private browsing, Node) the store falls back to memory for the session.
+ */
+
+const READING_DB = {
+    name: 'LipsAestheticsReader',
+    version: 1,
+    stores: {
+        progress: 'file',
+        bookmarks: 'id',
+        highlights: 'id'
+    }
+};
+
+class ReadingStore {
+    constructor(options = {}) {
+        this.dbName = options.dbName || READING_DB.name;
+        this.factory = options.indexedDB !== undefined
+            ? options.indexedDB
+            : (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        this.db = null;
+        this.memory = null;
+        this.ready = null;
+    }
+
+    /**
+     * Open (and on first use create) the database
+     */
+    open() {
+        if (this.ready) return this.ready;
+
+        this.ready = new Promise(resolve => {
+            if (!this.factory) {
+                this.useMemory();
+                resolve(this);
+                return;
+            }
+
+            const request = this.factory.open(this.dbName, READING_DB.version);
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+                Object.entries(READING_DB.stores).forEach(([name, keyPath]) => {
+                    if (!db.objectStoreNames.contains(name)) {
+                        const store = db.createObjectStore(name, { keyPath });
+                        if (name !== 'progress') store.createIndex('file', 'file');
+                    }
+                });
+            };
+
+            request.onsuccess = (event) => {
+                this.db = event.target.result;
+                resolve(this);
+            };
+
+            request.onerror = () => {
+                console.warn('IndexedDB unavailable, notes are kept for this session only:', request.error);
+                this.useMemory();
+                resolve(this);
+            };
+        });
+
+        return this.ready;
+    }
+
+    useMemory() {
+        this.memory = {};
+        Object.keys(READING_DB.stores).forEach(name => {
+            this.memory[name] = new Map();
+        });
+    }
+
+    /**
+     * Run one request against an object store
+     */
+    async transact(storeName, mode, operation) {
+        await this.open();
+
+        if (this.memory) {
+            const store = this.memory[storeName];
+            const keyPath = READING_DB.stores[storeName];
+            return operation({
+                get: key => store.get(key),
+                getAll: () => Array.from(store.values()),
+                put: value => store.set(value[keyPath], value),
+                delete: key => store.delete(key)
+            });
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    get(storeName, key) {
+        return this.transact(storeName, 'readonly', store => store.get(key));
+    }
+
+    getAll(storeName) {
+        return this.transact(storeName, 'readonly', store => store.getAll())
+            .then(items => items || []);
+    }
+
+    put(storeName, value) {
+        return this.transact(storeName, 'readwrite', store => store.put(value)).then(() => value);
+    }
+
+    delete(storeName, key) {
+        return this.transact(storeName, 'readwrite', store => store.delete(key));
+    }
+
+    // ------------------------------------------------------------ progress
+
+    /**
+     * Remember where the reader is in a chapter
+     * @param {string} file - chapter path
+     * @param {{anchor: string|null, ratio: number}} position - section heading id and scroll ratio
+     */
+    saveProgress(file, position) {
+        return this.put('progress', {
+            file,
+            anchor: position.anchor || null,
+            ratio: Math.min(1, Math.max(0, position.ratio || 0)),
+            updatedAt: Date.now()
+        });
+    }
+
+    getProgress(file) {
+        return this.get('progress', file);
+    }
+
+    // ----------------------------------------------------------- bookmarks
+
+    /**
+     * Bookmark a heading; one bookmark per heading
+     */
+    addBookmark({ file, anchor, title, chapterTitle }) {
+        return this.put('bookmarks', {
+            id: `${file}#${anchor}`,
+            file,
+            anchor,
+            title,
+            chapterTitle: chapterTitle || null,
+            createdAt: Date.now()
+        });
+    }
+
+    removeBookmark(id) {
+        return this.delete('bookmarks', id);
+    }
+
+    async getBookmarks(file) {
+        const bookmarks = await this.getAll('bookmarks');
+        return bookmarks
+            .filter(bookmark => !file || bookmark.file === file)
+            .sort((a, b) => a.file === b.file
+                ? a.createdAt - b.createdAt
+                : a.file.localeCompare(b.file));
+    }
+
+    // ---------------------------------------------------------- highlights
+
+    /**
+     * Save a highlight
+     * @param {Object} highlight
+     * @param {string} highlight.file - chapter path
+     * @param {string|null} highlight.anchor - id of the section heading it falls under
+     * @param {{exact: string, prefix: string, suffix: string, start: number}} highlight.quote - text position (TextHighlighter)
+     * @param {string} [highlight.note] - the reader's note
+     */
+    addHighlight(highlight) {
+        const now = Date.now();
+        return this.put('highlights', Object.assign({
+            id: `hl-${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            note: '',
+            createdAt: now
+        }, highlight, { updatedAt: now }));
+    }
+
+    async updateHighlight(id, changes) {
+        const highlight = await this.get('highlights', id);
+        if (!highlight) return null;
+
+        return this.put('highlights', Object.assign(highlight, changes, { id, updatedAt: Date.now() }));
+    }
+
+    removeHighlight(id) {
+        return this.delete('highlights', id);
+    }
+
+    async getHighlights(file) {
+        const highlights = await this.getAll('highlights');
+        return highlights
+            .filter(highlight => !file || highlight.file === file)
+            .sort((a, b) => a.file === b.file
+                ? (a.quote.start || 0) - (b.quote.start || 0)
+                : a.file.localeCompare(b.file));
+    }
+
+    // -------------------------------------------------------------- export
+
+    /**
+     * All bookmarks and highlights as a Markdown document
+     */
+    async exportMarkdown(options = {}) {
+        const [bookmarks, highlights] = await Promise.all([this.getBookmarks(), this.getHighlights()]);
+        return ReadingStore.toMarkdown(bookmarks, highlights, options);
+    }
+
+    /**
+     * Format notes as Markdown, grouped by chapter in book order
+     * @param {Array} bookmarks
+     * @param {Array} highlights
+     * @param {Object} [options]
+     * @param {string} [options.title] - document title
+     * @param {Object<string, string>} [options.chapterTitles] - chapter path → title
+     * @param {Date} [options.date] - export time
+     */
+    static toMarkdown(bookmarks, highlights, options = {}) {
+        const chapterTitles = options.chapterTitles || {};
+        const date = options.date || new Date();
+        const pad = n => String(n).padStart(2, '0');
+        const link = (file, anchor) => `${file.replace(/^\//, '')}${anchor ? `#${anchor}` : ''}`;
+        const chapters = new Map();
+
+        const chapterOf = (item) => {
+            if (!chapters.has(item.file)) {
+                chapters.set(item.file, {
+                    title: chapterTitles[item.file] || item.chapterTitle || item.file.replace(/^\//, ''),
+                    bookmarks: [],
+                    highlights: []
+                });
+            }
+            return chapters.get(item.file);
+        };
+        bookmarks.forEach(bookmark => chapterOf(bookmark).bookmarks.push(bookmark));
+        highlights.forEach(highlight => chapterOf(highlight).highlights.push(highlight));
+
+        const lines = [
+            `# ${options.title || '我的笔记'}`,
+            '',
+            `> 导出时间：${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}` +
+                `　书签 ${bookmarks.length} 个，高亮 ${highlights.length} 处`,
+            ''
+        ];
+
+        Array.from(chapters.keys()).sort().forEach(file => {
+            const chapter = chapters.get(file);
+            lines.push(`## ${chapter.title}`, '');
+
+            if (chapter.bookmarks.length) {
+                lines.push('### 书签', '');
+                chapter.bookmarks.forEach(bookmark => {
+                    lines.push(`- [${ReadingStore.escapeLinkText(bookmark.title)}](${link(file, bookmark.anchor)})`);
+                });
+                lines.push('');
+            }
+
+            if (chapter.highlights.length) {
+                lines.push('### 高亮与笔记', '');
+                chapter.highlights.forEach(highlight => {
+                    highlight.quote.exact.split(/\r?\n/).forEach(line => lines.push(`> ${ReadingStore.escapeText(line)}`.trimEnd()));
+                    if (highlight.sectionTitle) {
+                        lines.push('>', `> —— [${ReadingStore.escapeLinkText(highlight.sectionTitle)}](${link(file, highlight.anchor)})`);
+                    }
+                    lines.push('');
+                    if (highlight.note) {
+                        lines.push(`**笔记：** ${highlight.note}`, '');
+                    }
+                });
+            }
+        });
+
+        return lines.join('\n');
+    }
+
+    static escapeLinkText(text) {
+        return String(text || '').replace(/([\\[\]])/g, '\\$1');
+    }
+
+    /**
+     * Quoted book text that reads back as the same text, not as Markdown:
+     * inline punctuation and a leading heading, list or quote marker escaped
+     */
+    static escapeText(text) {
+        return String(text || '')
+            .replace(/([\\`*_[\]<>|~&])/g, '\\$1')
+            .replace(/^(\s*)([#+=-])/, '$1\\$2')
+            .replace(/^(\s*\d+)([.)])/, '$1\\$2');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReadingStore;
+}
@@ -0,0 +1,126 @@
+/**
+ * Revision Store
+ * Earlier versions of chapters for the revision panel
+ * 章节修订记录：从 JSON 修订库读取历史版本，并可追加新版本后导出
+ *
+ * revisions.json lists the earlier versions of each chapter file, oldest
+ * first. A revision holds its text inline (`content`) or names the file
+ * that does (`source`). Revisions added in the viewer stay in memory
+ * until the editor downloads the updated store and commits it.
+ */
+
+const REVISION_STORE_VERSION = 1;
+
+class RevisionStore {
+    constructor(options = {}) {
+        this.url = options.url || '/revisions.json';
+        this.fetch = options.fetch || (typeof fetch === 'function' ? fetch.bind(globalThis) : null);
+        this.data = RevisionStore.empty();
+        this.ready = null;
+    }
+
+    static empty() {
+        return { version: REVISION_STORE_VERSION, chapters: {} };
+    }
+
+    /**
+     * Parse and check a revision store
+     * @throws {Error} when the JSON is not a revision store
+     */
+    static parse(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        if (!data || typeof data.chapters !== 'object' || Array.isArray(data.chapters)) {
+            throw new Error('Invalid revision store: missing "chapters"');
+        }
+
+        Object.entries(data.chapters).forEach(([file, revisions]) => {
+            if (!Array.isArray(revisions)) {
+                throw new Error(`Invalid revision store: "${file}" is not a list`);
+            }
+            revisions.forEach(revision => {
+                if (!revision.id || (typeof revision.content !== 'string' && typeof revision.source !== 'string')) {
+                    throw new Error(`Invalid revision in "${file}": needs an id and content or source`);
+                }
+            });
+        });
+
+        return Object.assign({ version: REVISION_STORE_VERSION }, data);
+    }
+
+    /**
+     * Load the store once; a missing store is an empty one
+     */
+    load() {
+        if (this.ready) return this.ready;
+
+        this.ready = (async () => {
+            if (!this.fetch) return this;
+            try {
+                const response = await this.fetch(this.url);
+                if (response.ok) this.data = RevisionStore.parse(await response.text());
+            } catch (error) {
+                console.warn('Revision store unavailable:', error);
+            }
+            return this;
+        })();
+        return this.ready;
+    }
+
+    // Chapters are keyed by file name, without the viewer's leading "/"
+    key(file) {
+        return String(file).replace(/^\/+/, '');
+    }
+
+    /**
+     * Revisions of a chapter, oldest first
+     */
+    async list(file) {
+        await this.load();
+        return (this.data.chapters[this.key(file)] || []).slice();
+    }
+
+    async get(file, id) {
+        return (await this.list(file)).find(revision => revision.id === id) || null;
+    }
+
+    /**
+     * Markdown text of a revision
+     */
+    async content(revision) {
+        if (typeof revision.content === 'string') return revision.content;
+
+        const response = await this.fetch(`/${this.key(revision.source)}`);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return response.text();
+    }
+
+    /**
+     * Record a new version of a chapter (in memory; see toJSON)
+     */
+    async add(file, { content, author, message, date }) {
+        await this.load();
+        const key = this.key(file);
+        const revisions = this.data.chapters[key] || (this.data.chapters[key] = []);
+
+        const revision = {
+            id: `r${revisions.length + 1}`,
+            date: date || new Date().toISOString(),
+            author: author || '',
+            message: message || '',
+            content
+        };
+        revisions.push(revision);
+        return revision;
+    }
+
+    toJSON() {
+        return JSON.stringify(this.data, null, 2) + '\n';
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RevisionStore;
+}
@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+
+// Benchmark for search-index.js
+// Searches a corpus of chapter paragraphs and generated gallery cases
+// with FuzzySearchEngine twice — scanning the array and through a
+// SearchIndex — and fails unless both give the same results in the same
+// order with the same scores and highlights. The index is also checked
+// after incremental updates and after a JSON round trip.
+//
+// Usage: node scripts/benchmark-search-index.js [--cases 3000] [--rounds 1] [--verbose]
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const TextSegmenter = require(path.join(ROOT, 'text-segmenter.js'));
+const SearchIndex = require(path.join(ROOT, 'search-index.js'));
+
+const args = process.argv.slice(2);
+const verbose = args.includes('--verbose');
+const option = (name, fallback) => {
+  const index = args.indexOf(name);
+  return index === -1 ? fallback : Number(args[index + 1]);
+};
+const CASES = option('--cases', 3000);
+const ROUNDS = option('--rounds', 1);
+
+// search-system.js is a browser script that publishes window.SearchSystem
+const sandbox = { window: {}, console: { log() {}, warn: console.warn, error: console.error }, TextSegmenter, SearchIndex };
+vm.runInNewContext(fs.readFileSync(path.join(ROOT, 'search-system.js'), 'utf8'), sandbox);
+const { FuzzySearchEngine, SearchTypes } = sandbox.window.SearchSystem;
+
+const QUERIES = [
+  '玻尿酸', '血管栓塞', '注射技术', '唇部解剖', '安全注射区域', '并发症 预防', '唇形 美学',
+  'hyaluronic acid', 'lip augmentation', 'filler', 'vascular', 'anatomy',
+  'hyaluronc', 'augmentaton', 'lip fillr', 'vascualr occlusion', 'techniqe',
+  '透明质酸酶 溶解', '口轮匝肌', 'xyzzy'
+];
+
+// Deterministic pseudo-random numbers, so every run searches the same corpus
+function random(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Paragraphs of the numbered chapters, under their nearest heading
+function chapterItems() {
+  const items = [];
+  fs.readdirSync(ROOT).filter(file => /^(0\d|1[01])_.+\.md$/.test(file)).sort().forEach(file => {
+    let heading = file;
+    fs.readFileSync(path.join(ROOT, file), 'utf8').split(/\n\s*\n/).forEach((block, n) => {
+      const text = block.trim();
+      const title = text.match(/^#{1,6}\s+(.+)/);
+      if (title) {
+        heading = title[1];
+        return;
+      }
+      if (text) {
+        items.push({ id: `${file}#${n}`, title: heading, content: text.replace(/[*_`>#|]/g, ' '), category: 'chapter' });
+      }
+    });
+  });
+  return items;
+}
+
+// Cases shaped like the gallery's generated ones (gallery.js)
+const CASE_TEMPLATES = {
+  anatomy: ['唇部血管分布图', '神经支配解剖图', '肌肉层次结构图', 'Lip anatomy atlas', 'Labial artery course'],
+  injection: ['注射技术要点', '安全注射区域图', '剂量分配方案', 'Hyaluronic acid injection plan', 'Cannula technique'],
+  'case-study': ['临床案例分析', '治疗效果评估', '个性化方案', 'Lip augmentation case', 'Filler follow-up'],
+  complication: ['并发症预防', '风险评估案例', '紧急处理流程', 'Vascular occlusion response', 'Nodule management'],
+  procedure: ['操作流程标准', '技术规范要求', '质量控制要点', 'Procedure checklist', 'Aftercare protocol'],
+  aesthetic: ['美学设计原理', '比例测量标准', '审美评估指标', 'Golden ratio assessment', 'Lip shape design']
+};
+const CASE_PHRASES = [
+  '详细展示唇部血管分布和走向，为安全注射提供解剖学指导，避免血管损伤和栓塞风险。',
+  '标准化注射技术要点总结，包括进针角度、注射深度、推注速度等关键技术参数。',
+  '使用玻尿酸进行唇部填充，术后冷敷并随访评估。',
+  '透明质酸酶溶解栓塞区域的填充剂，观察皮肤颜色变化。',
+  'Hyaluronic acid filler placed with a blunt cannula along the vermilion border.',
+  'Assessment of lip proportion and symmetry before treatment.',
+  'Early signs of vascular occlusion: blanching, pain and livedo.',
+  '口轮匝肌浅层注射，避免进入肌内。'
+];
+const TAGS = ['解剖学', '注射', '并发症', '美学', 'HA', 'cannula', '术后护理', '案例'];
+
+function caseItems(count, seed) {
+  const next = random(seed);
+  const pick = list => list[Math.floor(next() * list.length)];
+  const types = Object.keys(CASE_TEMPLATES);
+
+  return Array.from({ length: count }, (_, i) => {
+    const category = types[i % types.length];
+    return {
+      id: `case-${seed}-${i}`,
+      title: `${pick(CASE_TEMPLATES[category])} ${i + 1}`,
+      description: `${pick(CASE_PHRASES)} ${pick(CASE_PHRASES)}`,
+      tags: [pick(TAGS), pick(TAGS)],
+      category
+    };
+  });
+}
+
+const engine = new FuzzySearchEngine({
+  keys: ['title', 'content', 'description', 'tags'],
+  weights: { title: 2 },
+  segmenter: new TextSegmenter()
+});
+
+const failures = [];
+let checks = 0;
+
+function signature(results) {
+  return results.map(result => `${result.item.id} ${result.score} ${JSON.stringify(result.matches)}`);
+}
+
+// Same results, order, scores and highlights from the array and the index
+function compare(label, items, index) {
+  [SearchTypes.FUZZY, SearchTypes.EXACT].forEach(mode => {
+    QUERIES.forEach(query => {
+      checks++;
+      const expected = signature(engine.search(query, items, { mode }));
+      const actual = signature(engine.search(query, index, { mode }));
+      const differs = expected.length !== actual.length || expected.some((line, i) => line !== actual[i]);
+
+      if (differs) {
+        failures.push(`${label}: ${mode} "${query}" — array ${expected.length} results, index ${actual.length}`);
+      } else if (verbose) {
+        console.log(`  ✓ ${label}: ${mode} "${query}" (${expected.length} results)`);
+      }
+    });
+  });
+}
+
+function time(fn) {
+  const start = process.hrtime.bigint();
+  fn();
+  return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+let items = chapterItems().concat(caseItems(CASES, 1));
+let index;
+const buildTime = time(() => {
+  index = engine.createIndex(items);
+});
+console.log(`Corpus: ${items.length} items, ${index.words.size} distinct words, index built in ${buildTime.toFixed(0)} ms`);
+
+compare('built', items, index);
+
+// Per-keystroke cost: every query, fuzzy mode
+let scanTime = 0;
+let indexTime = 0;
+for (let round = 0; round < ROUNDS; round++) {
+  scanTime += time(() => QUERIES.forEach(query => engine.search(query, items)));
+  indexTime += time(() => QUERIES.forEach(query => engine.search(query, index)));
+}
+
+// Incremental changes: remove, edit in place and append, mirrored on the array
+const removed = new Set(items.filter((item, i) => i % 7 === 3).map(item => item.id));
+removed.forEach(id => index.remove(id));
+items = items.filter(item => !removed.has(item.id)).map((item, i) => {
+  if (i % 11 !== 5) return item;
+  const edited = Object.assign({}, item, { title: `${item.title} 修订 revised`, description: '血管栓塞急救：透明质酸酶' });
+  index.update(edited);
+  return edited;
+});
+caseItems(200, 2).forEach(item => {
+  items.push(item);
+  index.add(item);
+});
+compare('updated', items, index);
+
+// Offline cache: JSON round trip
+const json = JSON.stringify(index);
+const restored = SearchIndex.fromJSON(JSON.parse(json));
+compare('restored', JSON.parse(JSON.stringify(items)), restored);
+
+failures.forEach(failure => console.log(`❌ ${failure}`));
+console.log(`Fuzzy search, ${QUERIES.length} queries × ${ROUNDS}: scan ${scanTime.toFixed(0)} ms, index ${indexTime.toFixed(0)} ms ` +
+  `(${(scanTime / indexTime).toFixed(1)}× faster); serialized index ${(json.length / 1024).toFixed(0)} KB`);
+console.log(`${failures.length ? '❌' : '✅'} Search index: ${checks - failures.length}/${checks} searches identical to the linear scan`);
+process.exit(failures.length ? 1 : 0);
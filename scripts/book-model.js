@@ -0,0 +1,149 @@
+// Book model: every numbered chapter (00_ … 11_) parsed into headings
+// with stable anchors, the links between them, and who links where.
+//
+// Anchors come from MarkdownRenderer itself, so the ids in book-index.json
+// are exactly the ids the viewer puts on rendered headings.
+
+const fs = require('fs').promises;
+const path = require('path');
+const MarkdownRenderer = require(path.join(__dirname, '..', 'markdown-renderer.js'));
+const { textContent } = require(path.join(__dirname, '..', 'markdown-parser.js'));
+
+const CHAPTER_PATTERN = /^(0\d|1[01])_.+\.md$/;
+const EXTERNAL_LINK = /^(?:[a-z][a-z0-9+.-]*:|\/\/)/i;
+
+// Authors may write anchors percent-encoded or as raw CJK text
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+class BookModel {
+  constructor(rootDir) {
+    this.rootDir = rootDir;
+    this.chapters = [];
+    this.links = [];
+    this.brokenLinks = [];
+    this.markdownFiles = new Set();
+    // Math/diagram rendering is irrelevant for the index and slow in bulk
+    this.renderer = new MarkdownRenderer({ enableMath: false, enableMermaid: false });
+  }
+
+  /**
+   * Parse all chapters and resolve the links between them
+   */
+  async load() {
+    const entries = await fs.readdir(this.rootDir);
+    entries.filter(file => file.endsWith('.md')).forEach(file => this.markdownFiles.add(file));
+    const files = entries.filter(file => CHAPTER_PATTERN.test(file)).sort();
+
+    for (const file of files) {
+      const source = await fs.readFile(path.join(this.rootDir, file), 'utf8');
+      this.chapters.push(this.parseChapter(file, source));
+    }
+
+    this.resolveLinks();
+    return this;
+  }
+
+  parseChapter(file, source) {
+    const ast = this.renderer.parse(source);
+    this.renderer.renderAST(ast);
+
+    const headings = this.renderer.headings.map(heading => ({
+      anchor: heading.id,
+      level: heading.level,
+      text: heading.text,
+      line: heading.line,
+      referencedBy: []
+    }));
+    const title = (headings.find(h => h.level === 1) || { text: file }).text;
+    const chapter = { file, title, headings, referencedBy: [] };
+
+    this.collectLinks(ast, chapter);
+    return chapter;
+  }
+
+  /**
+   * Record every link together with the section it appears in
+   */
+  collectLinks(ast, chapter) {
+    let section = null;
+    let headingIndex = 0;
+
+    const visit = (node, line) => {
+      if (node.position) line = node.position.start;
+
+      if (node.type === 'heading') {
+        section = chapter.headings[headingIndex++] || section;
+      } else if (node.type === 'link' && !EXTERNAL_LINK.test(node.destination)) {
+        this.links.push({
+          from: chapter.file,
+          section: section ? section.anchor : null,
+          line,
+          href: node.destination,
+          text: textContent(node)
+        });
+      }
+
+      (node.children || []).forEach(child => visit(child, line));
+    };
+
+    visit(ast, 1);
+  }
+
+  resolveLinks() {
+    const byFile = new Map(this.chapters.map(chapter => [chapter.file, chapter]));
+
+    this.links.forEach(link => {
+      const [target, rawAnchor = ''] = link.href.split('#');
+      const anchor = safeDecode(rawAnchor);
+      const file = target ? path.posix.normalize(safeDecode(target)).replace(/^(\.\/|\/)+/, '') : link.from;
+      if (!/\.md$/.test(file)) return;
+
+      const chapter = byFile.get(file);
+      if (!chapter) {
+        // Links to other Markdown documents are fine as long as they exist
+        if (!this.markdownFiles.has(file)) {
+          this.brokenLinks.push(Object.assign({ reason: `missing file ${file}` }, link));
+        }
+        return;
+      }
+
+      const source = byFile.get(link.from);
+      const sourceSection = source.headings.find(h => h.anchor === link.section);
+      const reference = {
+        file: link.from,
+        anchor: link.section,
+        title: sourceSection ? sourceSection.text : source.title,
+        line: link.line
+      };
+
+      const heading = anchor ? chapter.headings.find(h => h.anchor === anchor) : null;
+      if (anchor && !heading) {
+        this.brokenLinks.push(Object.assign({ reason: `no heading #${anchor} in ${file}` }, link));
+        return;
+      }
+
+      link.to = file;
+      link.anchor = anchor || null;
+      (heading || chapter).referencedBy.push(reference);
+    });
+  }
+
+  /**
+   * Serializable index consumed by document-viewer.html
+   */
+  toJSON() {
+    return {
+      chapters: this.chapters,
+      links: this.links.filter(link => link.to),
+      brokenLinks: this.brokenLinks
+    };
+  }
+}
+
+module.exports = BookModel;
@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+
+// Builds book-index.json for document-viewer.html: the global table of
+// contents, stable heading anchors and "referenced by" lists, and reports
+// cross-chapter links that point at missing chapters or headings.
+//
+// Usage: node scripts/build-book-index.js [--check]
+//   --check  only report broken links; exit 1 if there are any
+
+const fs = require('fs').promises;
+const path = require('path');
+const BookModel = require('./book-model');
+
+const rootDir = path.join(__dirname, '..');
+const outputFile = path.join(rootDir, 'book-index.json');
+const checkOnly = process.argv.includes('--check');
+
+async function main() {
+  const book = await new BookModel(rootDir).load();
+  const index = book.toJSON();
+
+  const headingCount = index.chapters.reduce((sum, chapter) => sum + chapter.headings.length, 0);
+  console.log('\n📚 Book index\n');
+  console.log(`   Chapters:        ${index.chapters.length}`);
+  console.log(`   Headings:        ${headingCount}`);
+  console.log(`   Internal links:  ${index.links.length}`);
+
+  if (index.brokenLinks.length) {
+    console.log(`\n❌ ${index.brokenLinks.length} broken reference(s):\n`);
+    index.brokenLinks.forEach(link => {
+      console.log(`   ${link.from}:${link.line}  [${link.text}](${link.href})`);
+      console.log(`      → ${link.reason}`);
+    });
+  } else {
+    console.log('\n✓ All cross-chapter references resolve');
+  }
+
+  if (!checkOnly) {
+    await fs.writeFile(outputFile, JSON.stringify(index, null, 2) + '\n');
+    console.log(`\n💾 Wrote ${path.relative(rootDir, outputFile)}\n`);
+  }
+
+  if (checkOnly && index.brokenLinks.length) {
+    process.exit(1);
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Failed to build book index:', error);
+  process.exit(1);
+});
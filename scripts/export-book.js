@@ -0,0 +1,433 @@
+#!/usr/bin/env node
+
+// Exports the whole book for distribution to clinics:
+//   - an EPUB 3 package (XHTML chapters, nav document, OPF metadata)
+//   - a paginated PDF with running chapter headers and page numbers
+//
+// Every chapter goes through MarkdownRenderer, so math, diagrams,
+// admonitions and footnotes look the same as in document-viewer.html.
+// Illustrations referenced from the chapters (*.svg) are embedded.
+//
+// Usage: node scripts/export-book.js [--epub] [--pdf] [--out <dir>]
+//   default: both formats into dist/export/, the PDF skipped with a warning
+//   when puppeteer is not installed
+//   The PDF needs puppeteer and its bundled Chrome, an optional dependency:
+//   `npm install` still succeeds when its download fails, and
+//   `npm install --omit=optional` or PUPPETEER_SKIP_DOWNLOAD=1 skips it.
+//   The EPUB needs only Node. --pdf without puppeteer fails.
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const MarkdownRenderer = require(path.join(__dirname, '..', 'markdown-renderer.js'));
+const ZipStream = require(path.join(__dirname, '..', 'zip-stream.js'));
+
+const rootDir = path.join(__dirname, '..');
+const pkg = require(path.join(rootDir, 'package.json'));
+
+const BOOK = {
+  title: '解语之美：唇部美学医学权威指南',
+  language: 'zh-CN',
+  version: pkg.version,
+  basename: 'lips-aesthetics'
+};
+
+// The published edition: where a chapter exists in several versions,
+// the enhanced/international one is the one that ships.
+const EDITION = [
+  '00_preface.md',
+  '01_cultural_aesthetics_enhanced.md',
+  '02_scientific_principles.md',
+  '02_5_visual_guide.md',
+  '03_case_studies.md',
+  '04_technical_mastery_international.md',
+  '05_comprehensive_strategy.md',
+  '06_functional_reconstruction.md',
+  '07_doctor_selection.md',
+  '08_cosmetics_tattoo.md',
+  '09_aftercare.md',
+  '10_risk_aesthetics.md',
+  '11_appendix.md',
+  '11_appendix_enhanced.md'
+];
+
+const EXTERNAL_LINK = /^(?:[a-z][a-z0-9+.-]*:|\/\/)/i;
+
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function parseArgs(argv) {
+  const options = { epub: argv.includes('--epub'), pdf: argv.includes('--pdf'), out: path.join(rootDir, 'dist', 'export') };
+  // Asked for neither: both, but a missing puppeteer only skips the PDF
+  if (!options.epub && !options.pdf) options.epub = options.pdf = options.pdfOptional = true;
+
+  const outIndex = argv.indexOf('--out');
+  if (outIndex !== -1 && argv[outIndex + 1]) options.out = path.resolve(argv[outIndex + 1]);
+  return options;
+}
+
+// Reproducible builds: honour SOURCE_DATE_EPOCH, else now (to the second)
+function buildDate() {
+  const epoch = Number(process.env.SOURCE_DATE_EPOCH);
+  const date = Number.isFinite(epoch) && epoch > 0 ? new Date(epoch * 1000) : new Date();
+  date.setMilliseconds(0);
+  return date;
+}
+
+// Name-based UUID, so every build of one version has the same identifier
+function bookIdentifier() {
+  const hash = crypto.createHash('sha1').update(`${BOOK.title}@${BOOK.version}`).digest('hex');
+  const variant = ((parseInt(hash[16], 16) & 0x3) | 0x8).toString(16);
+  return `urn:uuid:${hash.slice(0, 8)}-${hash.slice(8, 12)}-5${hash.slice(13, 16)}-${variant}${hash.slice(17, 20)}-${hash.slice(20, 32)}`;
+}
+
+class BookExporter {
+  constructor(options) {
+    this.options = options;
+    this.date = buildDate();
+    this.chapters = EDITION.map((file, index) => ({
+      file,
+      id: `ch${String(index).padStart(2, '0')}`
+    }));
+    this.byFile = new Map(this.chapters.map(chapter => [chapter.file, chapter]));
+    this.images = new Map();
+    this.warnings = [];
+  }
+
+  async run() {
+    await fs.mkdir(this.options.out, { recursive: true });
+
+    // What was written is reported even when a later format fails
+    const written = [];
+    try {
+      if (this.options.epub) written.push(await this.writeEPUB());
+      if (this.options.pdf) written.push(await this.writePDF());
+    } finally {
+      this.warnings.forEach(warning => console.log(`   ⚠️  ${warning}`));
+      written.filter(Boolean).forEach(file => console.log(`\n💾 Wrote ${path.relative(process.cwd(), file)}`));
+      console.log('');
+    }
+  }
+
+  /**
+   * Render every chapter for one target; `target.link` rewrites destinations
+   */
+  async renderChapters(target) {
+    const rendered = [];
+
+    for (const chapter of this.chapters) {
+      const source = await fs.readFile(path.join(rootDir, chapter.file), 'utf8');
+      const renderer = new MarkdownRenderer({
+        xhtml: target.xhtml,
+        idPrefix: target.idPrefix ? `${chapter.id}-` : '',
+        resolveLink: destination => this.resolveLink(destination, chapter, target)
+      });
+      const html = renderer.render(source);
+      const title = (renderer.headings.find(h => h.level === 1) || { text: chapter.file }).text;
+
+      rendered.push(Object.assign({}, chapter, { title, html, headings: renderer.headings }));
+    }
+
+    return rendered;
+  }
+
+  /**
+   * Map Markdown link targets onto the exported documents
+   */
+  resolveLink(destination, chapter, target) {
+    if (!destination || EXTERNAL_LINK.test(destination)) return destination;
+
+    const [rawPath, rawAnchor] = destination.split('#');
+    const file = path.posix.normalize(safeDecode(rawPath || chapter.file)).replace(/^(\.\/|\/)+/, '');
+
+    if (/\.svg$/i.test(file)) {
+      this.images.set(file, null);
+      return target.image(file);
+    }
+    if (!/\.md$/.test(file)) return destination;
+
+    const linked = this.byFile.get(file);
+    if (!linked) {
+      this.warnings.push(`${chapter.file}: link to ${file}, which is not part of the edition`);
+      return destination;
+    }
+    return target.chapter(linked, rawAnchor === undefined ? null : safeDecode(rawAnchor));
+  }
+
+  async loadImages() {
+    for (const file of this.images.keys()) {
+      this.images.set(file, await fs.readFile(path.join(rootDir, file)));
+    }
+  }
+
+  // ---------------------------------------------------------------- EPUB
+
+  async writeEPUB() {
+    console.log('\n📖 Building EPUB…');
+
+    const chapters = await this.renderChapters({
+      xhtml: true,
+      idPrefix: false,
+      image: file => `../images/${path.posix.basename(file)}`,
+      chapter: (linked, anchor) => `${linked.id}.xhtml${anchor ? `#${anchor}` : ''}`
+    });
+    await this.loadImages();
+    const css = await fs.readFile(path.join(__dirname, 'export-book.css'), 'utf8');
+
+    const output = path.join(this.options.out, `${BOOK.basename}.epub`);
+    const file = await fs.open(output, 'w');
+    try {
+      // The same ZIP writer as the gallery's downloads (zip-stream.js), straight to the file
+      const zip = new ZipStream({ date: this.date, write: chunk => file.write(chunk) });
+      // EPUB readers look for the mimetype first, stored uncompressed
+      await zip.add('mimetype', 'application/epub+zip', { compress: false });
+      await zip.add('META-INF/container.xml', [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">',
+        '  <rootfiles>',
+        '    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>',
+        '  </rootfiles>',
+        '</container>',
+        ''
+      ].join('\n'));
+
+      await zip.add('OEBPS/content.opf', this.packageDocument(chapters));
+      await zip.add('OEBPS/nav.xhtml', this.navDocument(chapters));
+      await zip.add('OEBPS/styles/book.css', css);
+      for (const chapter of chapters) {
+        await zip.add(`OEBPS/text/${chapter.id}.xhtml`, this.chapterDocument(chapter));
+      }
+      for (const [image, data] of this.images) {
+        await zip.add(`OEBPS/images/${path.posix.basename(image)}`, data);
+      }
+      await zip.close();
+    } finally {
+      await file.close();
+    }
+    console.log(`   Chapters: ${chapters.length}  Illustrations: ${this.images.size}`);
+    return output;
+  }
+
+  xhtmlDocument(title, body, stylesheet) {
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<!DOCTYPE html>',
+      `<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${BOOK.language}" lang="${BOOK.language}">`,
+      '<head>',
+      '<meta charset="UTF-8"/>',
+      `<title>${escapeXml(title)}</title>`,
+      stylesheet ? `<link rel="stylesheet" type="text/css" href="${stylesheet}"/>` : '',
+      '</head>',
+      '<body>',
+      body,
+      '</body>',
+      '</html>',
+      ''
+    ].filter(Boolean).join('\n');
+  }
+
+  chapterDocument(chapter) {
+    return this.xhtmlDocument(chapter.title,
+      `<section epub:type="chapter" role="doc-chapter">\n${chapter.html}</section>`,
+      '../styles/book.css');
+  }
+
+  navDocument(chapters) {
+    const items = chapters.map(chapter => {
+      const sections = chapter.headings
+        .filter(heading => heading.level === 2)
+        .map(heading => `        <li><a href="text/${chapter.id}.xhtml#${escapeXml(heading.id)}">${escapeXml(heading.text)}</a></li>`);
+      const nested = sections.length ? `\n      <ol>\n${sections.join('\n')}\n      </ol>\n    ` : '';
+      return `    <li><a href="text/${chapter.id}.xhtml">${escapeXml(chapter.title)}</a>${nested}</li>`;
+    });
+    const body = chapters.length > 1 ? chapters[1] : chapters[0];
+
+    return this.xhtmlDocument(BOOK.title, [
+      '<nav epub:type="toc" id="toc" role="doc-toc">',
+      '  <h1>目录</h1>',
+      '  <ol>',
+      ...items,
+      '  </ol>',
+      '</nav>',
+      '<nav epub:type="landmarks" hidden="hidden">',
+      '  <ol>',
+      '    <li><a epub:type="toc" href="nav.xhtml#toc">目录</a></li>',
+      `    <li><a epub:type="bodymatter" href="text/${body.id}.xhtml">正文</a></li>`,
+      '  </ol>',
+      '</nav>'
+    ].join('\n'));
+  }
+
+  packageDocument(chapters) {
+    const modified = this.date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+    const manifest = [
+      '    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+      '    <item id="css" href="styles/book.css" media-type="text/css"/>',
+      ...chapters.map(chapter => {
+        // Inline SVG (math, diagrams) must be declared per EPUB 3
+        const properties = /<svg[\s>]/.test(chapter.html) ? ' properties="svg"' : '';
+        return `    <item id="${chapter.id}" href="text/${chapter.id}.xhtml" media-type="application/xhtml+xml"${properties}/>`;
+      }),
+      ...Array.from(this.images.keys()).map((file, index) =>
+        `    <item id="img${index + 1}" href="images/${escapeXml(path.posix.basename(file))}" media-type="image/svg+xml"/>`)
+    ];
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${BOOK.language}">`,
+      '  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">',
+      `    <dc:identifier id="book-id">${bookIdentifier()}</dc:identifier>`,
+      `    <dc:title>${escapeXml(BOOK.title)}</dc:title>`,
+      `    <dc:language>${BOOK.language}</dc:language>`,
+      `    <dc:description>${escapeXml(pkg.description)}</dc:description>`,
+      `    <meta property="dcterms:modified">${modified}</meta>`,
+      `    <meta property="schema:version">${escapeXml(BOOK.version)}</meta>`,
+      '  </metadata>',
+      '  <manifest>',
+      ...manifest,
+      '  </manifest>',
+      '  <spine>',
+      ...chapters.map(chapter => `    <itemref idref="${chapter.id}"/>`),
+      '  </spine>',
+      '</package>',
+      ''
+    ].join('\n');
+  }
+
+  // ----------------------------------------------------------------- PDF
+
+  async writePDF() {
+    console.log('\n🖨️  Building PDF…');
+
+    let puppeteer;
+    try {
+      puppeteer = require('puppeteer');
+    } catch (error) {
+      const message = 'PDF export needs puppeteer: run `npm install` (it is an optional dependency) and retry';
+      if (!this.options.pdfOptional) throw new Error(message);
+      this.warnings.push(`PDF skipped. ${message}`);
+      return null;
+    }
+
+    const chapters = await this.renderChapters({
+      xhtml: false,
+      idPrefix: true,
+      image: file => `{{image:${file}}}`,
+      chapter: (linked, anchor) => `#${anchor ? `${linked.id}-${anchor}` : linked.id}`
+    });
+    await this.loadImages();
+    const html = await this.printDocument(chapters);
+
+    const browser = await puppeteer.launch({ headless: true });
+    const output = path.join(this.options.out, `${BOOK.basename}.pdf`);
+    try {
+      const page = await browser.newPage();
+      await page.setContent(html, { waitUntil: 'load' });
+      await page.pdf({
+        path: output,
+        preferCSSPageSize: true,
+        printBackground: true,
+        tagged: true,
+        outline: true
+      });
+    } finally {
+      await browser.close();
+    }
+
+    console.log(`   Chapters: ${chapters.length}  Illustrations: ${this.images.size}`);
+    return output;
+  }
+
+  /**
+   * One HTML document for the whole book. Each chapter is a CSS named
+   * page whose top margin box carries the chapter title (running header);
+   * the bottom margin box carries the page number.
+   */
+  async printDocument(chapters) {
+    const css = await fs.readFile(path.join(__dirname, 'export-book.css'), 'utf8');
+    const cssString = text => `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+    const pageRules = chapters.map(chapter => [
+      `@page ${chapter.id} {`,
+      `  @top-center { content: ${cssString(chapter.title)}; }`,
+      '}',
+      `.chapter-${chapter.id} { page: ${chapter.id}; }`
+    ].join('\n'));
+
+    const toc = chapters.map(chapter => `<li><a href="#${chapter.id}">${escapeXml(chapter.title)}</a></li>`);
+    const body = chapters.map(chapter =>
+      `<section id="${chapter.id}" class="chapter chapter-${chapter.id}">\n${chapter.html}</section>`);
+
+    const dataURIs = new Map(Array.from(this.images, ([file, data]) =>
+      [file, `data:image/svg+xml;base64,${data.toString('base64')}`]));
+
+    return `<!DOCTYPE html>
+<html lang="${BOOK.language}">
+<head>
+<meta charset="UTF-8">
+<title>${escapeXml(BOOK.title)}</title>
+<style>
+${css}
+@page {
+  size: A4;
+  margin: 22mm 18mm 20mm;
+  @top-center { font-size: 9pt; color: #888; }
+  @bottom-center { content: counter(page); font-size: 9pt; color: #888; }
+}
+@page cover { @top-center { content: none; } @bottom-center { content: none; } }
+@page toc { @top-center { content: "目录"; } }
+${pageRules.join('\n')}
+.cover { page: cover; height: 240mm; display: flex; flex-direction: column; justify-content: center; text-align: center; }
+.cover h1 { font-size: 2.4em; }
+.book-toc { page: toc; break-before: page; }
+.book-toc ol { list-style: none; padding: 0; }
+.book-toc li { margin: 0.5em 0; }
+.chapter { break-before: page; }
+</style>
+</head>
+<body>
+<section class="cover">
+<h1>${escapeXml(BOOK.title)}</h1>
+<p>版本 ${escapeXml(BOOK.version)}</p>
+</section>
+<nav class="book-toc">
+<h1>目录</h1>
+<ol>
+${toc.join('\n')}
+</ol>
+</nav>
+${body.join('\n')}
+</body>
+</html>
+`
+      .replace(/ loading="lazy"/g, '') // lazy images may never load before printing
+      .replace(/\{\{image:([^}]+)\}\}/g, (match, file) => dataURIs.get(file) || match);
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  await new BookExporter(options).run();
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(`\n❌ Export failed: ${error.message}\n`);
+    process.exit(1);
+  });
+}
+
+module.exports = BookExporter;
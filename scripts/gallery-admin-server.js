@@ -0,0 +1,1116 @@
+#!/usr/bin/env node
+
+// Gallery admin service: keeps the cases admin.html manages (photos on
+// disk, metadata in a JSON file) and serves the published ones to
+// gallery.html as a paginated REST source.
+//
+//   Public
+//   GET    /api/cases?limit=20&cursor=…             published cases → { items, nextCursor, total }
+//   GET    /uploads/<file>                          a published case's photo
+//   GET    /<path>                                  the site itself (admin.html, gallery.html, …)
+//
+//   Admin (Authorization: Bearer <the user's token>)
+//   GET    /api/admin/me                            the signed-in user and their roles
+//   GET    /api/admin/cases[?status=review]         every case, with what the user may do to it
+//   POST   /api/admin/cases                         image body, X-File-Name header → a new draft
+//   PATCH  /api/admin/cases/:id                     { title, treatmentType, consentRef, … } (JSON)
+//   PUT    /api/admin/cases/:id/images/after|before replace a photo (image body)
+//   DELETE /api/admin/cases/:id/images/before       drop the before photo
+//   PUT    /api/admin/cases/:id/images/:photo/original  the photo before masking (image body)
+//   GET    /api/admin/cases/:id/images/:photo/original  … to whoever may redraw the mask
+//   PUT    /api/admin/cases/:id/images/:photo/mask  the photo masked again from its original
+//   POST   /api/admin/cases/:id/status              { status, comment }
+//   DELETE /api/admin/cases/:id                     the case and its photos
+//   GET    /api/admin/audit[?caseId=…&limit=…]      the audit trail, newest first
+//   GET    /uploads/<file>                          any case's photo, drafts included
+//
+// Workflow and who moves a case along it (CASE_TRANSITIONS):
+//   draft → review                 uploader submits
+//   review → approved | draft      medical reviewer approves or rejects, with a comment;
+//                                  a case is never approved by whoever created it
+//   approved → published | draft   publisher publishes, or sends it back with a comment
+//   published → draft | archived   publisher withdraws (with a comment) or archives
+//   draft → archived, archived → draft   publisher
+// Only drafts can be edited, so what was approved is what gets published.
+// A case must pass the gallery's own schema (gallery-data-sources.js) to
+// enter review, and a clinical case needs a consent reference to be
+// published. Every change goes to the audit trail (gallery-audit-log.js).
+//
+// Photos arrive de-identified by admin.html (photo-deidentify.js): eyes
+// blurred or masked, metadata gone, and an X-Deidentification header
+// saying how (percent-encoded JSON). Whatever metadata is still in a photo
+// is stripped here too, whoever sent it. The unmasked original is kept
+// apart in <data>/originals/, never public, so the uploader (in draft) or
+// the reviewer (in review) can redraw the mask from it. A photo sent
+// without the header, or where no face was found and nothing is masked,
+// holds its case back from review and publication until someone masks it
+// by hand (deidentificationProblems).
+//
+// Data: <data>/cases.json, rewritten whole through a temporary file on
+// every change, with the seq and hash of the audit log's newest entry;
+// <data>/uploads/; <data>/originals/; <data>/audit.log; <data>/users.json.
+// The server refuses to start on an audit log that was edited, or cut
+// short of the entry cases.json records.
+// Photos are JPEG, PNG or WebP, told by their bytes rather than the
+// client's word, at most 10 MB.
+//
+// Usage: node scripts/gallery-admin-server.js [--port 8091] [--data dir] [--token secret] [--public-url url]
+//        node scripts/gallery-admin-server.js --add-user li --name 李医生 --roles reviewer[,publisher] [--data dir]
+// --add-user prints the new user's token once; users.json keeps only its
+// hash. --token (or GALLERY_ADMIN_TOKEN) signs in an "admin" holding every
+// role, for a small setup (the cases it creates still need another reviewer
+// to approve them); with no users and no token a random one is printed at
+// start. Then open http://localhost:8091/admin.html, and in
+// gallery.html:
+//   window.galleryDataSource = { type: 'rest', url: 'http://localhost:8091/api/cases' };
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const GalleryDataSources = require('../gallery-data-sources.js');
+const CaseJourneys = require('../case-journeys.js');
+const PhotoDeidentify = require('../photo-deidentify.js');
+const { AuditLog, diffFields } = require('./gallery-audit-log.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const DEFAULT_DATA_DIR = path.join(ROOT, 'gallery-admin-data');
+const MAX_UPLOAD = 10 * 1024 * 1024;
+const MAX_JSON = 64 * 1024;
+const MAX_TEXT = 2000;
+
+// The gallery's filter options (getDefaultFilters in gallery.js); the
+// gallery drops a case outside them
+const CASE_ENUMS = {
+  treatmentTypes: ['lip-enhancement', 'lip-reduction', 'lip-shape', 'lip-color', 'lip-tattoo', 'education', 'safety', 'technique', 'design'],
+  medicalCategories: ['anatomy', 'injection', 'case-study', 'complication', 'procedure', 'aesthetic'],
+  ageRanges: ['18-25', '26-35', '36-45', '46+', '教学用', '风险教育', '操作指南', '通用'],
+  journeyPhases: CaseJourneys.PHASES.map(phase => phase.id)
+};
+
+const ROLES = ['uploader', 'reviewer', 'publisher'];
+
+const CASE_STATUSES = ['draft', 'review', 'approved', 'published', 'archived'];
+// For each status, where a case can go next, the role that may move it
+// there and whether the move needs a comment
+const CASE_TRANSITIONS = {
+  draft: {
+    review: { role: 'uploader' },
+    archived: { role: 'publisher' }
+  },
+  review: {
+    approved: { role: 'reviewer', comment: true },
+    draft: { role: 'reviewer', comment: true }
+  },
+  approved: {
+    published: { role: 'publisher' },
+    draft: { role: 'publisher', comment: true }
+  },
+  published: {
+    draft: { role: 'publisher', comment: true },
+    archived: { role: 'publisher' }
+  },
+  archived: {
+    draft: { role: 'publisher' }
+  }
+};
+// Who may delete a case in each status; others are withdrawn or archived first
+const DELETABLE = { draft: 'uploader', archived: 'publisher' };
+
+// Who may redraw a photo's mask, by status: up to approval, so what is approved is what is published
+const MASKABLE = { draft: 'uploader', review: 'reviewer' };
+
+// Patient treatments, as opposed to teaching material: published only with consent on record
+const CLINICAL_TREATMENTS = ['lip-enhancement', 'lip-reduction', 'lip-shape', 'lip-color', 'lip-tattoo'];
+
+// What uploaders edit; id, photos, status and time stamps are the server's
+const EDITABLE_FIELDS = [
+  'title', 'description', 'treatmentType', 'category', 'ageRange', 'doctor', 'doctorName',
+  'clinic', 'date', 'rating', 'views', 'surgeryDuration', 'recoveryTime', 'tags',
+  'journeyId', 'journeyTitle', 'phase', 'consentRef'
+];
+// Editable but never sent to the gallery
+const PRIVATE_FIELDS = ['consentRef'];
+
+const IMAGE_ROLES = ['after', 'before'];
+const IMAGE_EXTENSIONS = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp' };
+
+const STATIC_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif',
+  '.ico': 'image/x-icon',
+  '.woff2': 'font/woff2',
+  '.glb': 'model/gltf-binary',
+  '.webmanifest': 'application/manifest+json'
+};
+
+/**
+ * A request the service refuses; status is the HTTP status to answer with
+ */
+class AdminError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'AdminError';
+    this.status = status;
+    this.details = details || null;
+  }
+}
+
+/**
+ * Type and size of a JPEG, PNG or WebP from its bytes
+ * @param {Buffer} bytes
+ * @returns {{type: string, width: number|null, height: number|null}|null} null for anything else
+ */
+function imageInfo(bytes) {
+  if (bytes.length >= 24 && bytes.readUInt32BE(0) === 0x89504e47 && bytes.readUInt32BE(4) === 0x0d0a1a0a) {
+    return { type: 'image/png', width: bytes.readUInt32BE(16), height: bytes.readUInt32BE(20) };
+  }
+
+  if (bytes.length >= 4 && bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) {
+    // The frame header (SOF0–SOF15 less DHT, JPG and DAC) carries the size
+    let offset = 2;
+    while (offset + 9 <= bytes.length && bytes[offset] === 0xff) {
+      const marker = bytes[offset + 1];
+      if (marker === 0xff) { offset++; continue; }
+      if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+        return { type: 'image/jpeg', width: bytes.readUInt16BE(offset + 7), height: bytes.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + bytes.readUInt16BE(offset + 2);
+    }
+    return { type: 'image/jpeg', width: null, height: null };
+  }
+
+  if (bytes.length >= 30 && bytes.toString('latin1', 0, 4) === 'RIFF' && bytes.toString('latin1', 8, 12) === 'WEBP') {
+    switch (bytes.toString('latin1', 12, 16)) {
+      case 'VP8 ':
+        return { type: 'image/webp', width: bytes.readUInt16LE(26) & 0x3fff, height: bytes.readUInt16LE(28) & 0x3fff };
+      case 'VP8L': {
+        const bits = bytes.readUInt32LE(21);
+        return { type: 'image/webp', width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+      }
+      case 'VP8X':
+        return { type: 'image/webp', width: bytes.readUIntLE(24, 3) + 1, height: bytes.readUIntLE(27, 3) + 1 };
+      default:
+        return { type: 'image/webp', width: null, height: null };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * A case as the gallery receives it
+ * @param {Object} record - a stored case
+ * @param {string} [baseURL] - prefix for photo URLs; '' keeps them relative to this server
+ */
+function galleryCase(record, baseURL = '') {
+  const item = { id: record.id };
+  EDITABLE_FIELDS.forEach(field => {
+    if (PRIVATE_FIELDS.includes(field)) return;
+    if (record[field] !== undefined && record[field] !== null) item[field] = record[field];
+  });
+
+  const { after, before } = record.images;
+  if (after) {
+    item.afterImage = `${baseURL}/uploads/${after.file}`;
+    if (after.width && after.height) {
+      item.imageWidth = after.width;
+      item.imageHeight = after.height;
+    }
+  }
+  if (before) item.beforeImage = `${baseURL}/uploads/${before.file}`;
+  return item;
+}
+
+// How a photo was de-identified: the client's record if it sent one (all
+// null when it did not), plus the metadata stripped here
+function deidentification(processing, removed) {
+  const record = processing || { detector: null, mode: null, regions: [], metadataRemoved: [] };
+  return {
+    detector: record.detector,
+    mode: record.mode,
+    regions: record.regions.map(PhotoDeidentify.clampRegion).filter(Boolean),
+    metadataRemoved: [...new Set([...(record.metadataRemoved || []), ...removed])],
+    at: new Date().toISOString()
+  };
+}
+
+// A masked photo or an original must match the photo it stands for, pixel for pixel
+function requireSameSize(info, photo, what) {
+  if (info.width && photo.width && (info.width !== photo.width || info.height !== photo.height)) {
+    throw new AdminError(422, `the ${what} must be ${photo.width}×${photo.height}`,
+      [`${what} must be the size of the photo (${photo.width}×${photo.height})`]);
+  }
+}
+
+// What stops a case from entering review
+function caseProblems(record) {
+  return GalleryDataSources.validateItem(galleryCase(record), CASE_ENUMS).errors;
+}
+
+function needsConsent(record) {
+  return (CLINICAL_TREATMENTS.includes(record.treatmentType) || Boolean(record.journeyId)) && !record.consentRef;
+}
+
+/**
+ * Photos not de-identified well enough for a case to move to a status.
+ * Each needs a record of how it was done. One with nothing masked, whatever
+ * the detector (a face detector that found no face, lip landmarks with no
+ * eyes placed), needs a mask saved by hand to enter review, and from
+ * approval on one saved by the reviewer, who has then looked at it.
+ * @param {Object} record
+ * @param {string} status - review, approved or published
+ * @returns {string[]} problems, field first
+ */
+function deidentificationProblems(record, status) {
+  const problems = [];
+  IMAGE_ROLES.forEach(role => {
+    const photo = record.images[role];
+    if (!photo) return;
+    const done = photo.deidentification;
+    if (!done || !done.detector) {
+      problems.push(`images.${role} has not been de-identified`);
+    } else if (!done.regions.length) {
+      if (!done.adjustedBy) {
+        problems.push(`images.${role} has nothing masked and no face was found; mask it by hand`);
+      } else if (status !== 'review' && done.adjustedBy.role !== 'reviewer') {
+        problems.push(`images.${role} has nothing masked; the reviewer must confirm it by saving its mask`);
+      }
+    }
+  });
+  return problems;
+}
+
+// An edit's values, trimmed and type-checked; '' or null clears a field
+function normalizePatch(patch) {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    throw new AdminError(400, 'expected a JSON object');
+  }
+
+  const unknown = Object.keys(patch).filter(field => !EDITABLE_FIELDS.includes(field));
+  if (unknown.length) throw new AdminError(400, `not editable: ${unknown.join(', ')}`);
+
+  const values = {};
+  const errors = [];
+  Object.entries(patch).forEach(([field, value]) => {
+    if (typeof value === 'string') {
+      value = value.trim();
+      if (value.length > MAX_TEXT) errors.push(`${field} is longer than ${MAX_TEXT} characters`);
+    } else if (field === 'tags' && Array.isArray(value)) {
+      value = [...new Set(value.map(tag => (typeof tag === 'string' ? tag.trim() : tag)).filter(tag => tag !== ''))];
+    } else if ((field === 'clinic' || field === 'consentRef') && value !== null) {
+      errors.push(`${field} must be string`);
+    }
+    values[field] = value === '' ? null : value;
+  });
+
+  if (typeof values.consentRef === 'string' && values.consentRef.length > 100) {
+    errors.push('consentRef is longer than 100 characters');
+  }
+  if (errors.length) throw new AdminError(422, 'invalid fields', errors);
+  return values;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Accounts from <data>/users.json: { users: [{ id, name, roles, tokenHash }] }
+ * @returns {Promise<Array>} none when the file does not exist
+ */
+async function loadUsers(dataDir) {
+  try {
+    return JSON.parse(await fs.promises.readFile(path.join(dataDir, 'users.json'), 'utf8')).users || [];
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw new Error(`${path.join(dataDir, 'users.json')}: ${error.message}`);
+  }
+}
+
+/**
+ * Add a user, or give an existing one new roles and a new token
+ * @param {string} dataDir
+ * @param {{id: string, name: string, roles: string[]}} user
+ * @returns {Promise<string>} the token, which is not stored
+ */
+async function addUser(dataDir, user) {
+  if (!/^[a-z0-9][a-z0-9_-]*$/.test(user.id || '')) throw new Error('user id must be lowercase letters, digits, - or _');
+  const unknown = user.roles.filter(role => !ROLES.includes(role));
+  if (!user.roles.length || unknown.length) throw new Error(`roles must be among ${ROLES.join(', ')}`);
+
+  const users = (await loadUsers(dataDir)).filter(existing => existing.id !== user.id);
+  const token = crypto.randomBytes(24).toString('base64url');
+  users.push({ id: user.id, name: user.name || user.id, roles: user.roles, tokenHash: hashToken(token) });
+
+  await fs.promises.mkdir(dataDir, { recursive: true });
+  const file = path.join(dataDir, 'users.json');
+  await fs.promises.writeFile(`${file}.tmp`, JSON.stringify({ users }, null, 2), { mode: 0o600 });
+  await fs.promises.rename(`${file}.tmp`, file);
+  return token;
+}
+
+function requireRole(user, role) {
+  if (!user.roles.includes(role)) throw new AdminError(403, `only a ${role} can do this`);
+}
+
+// The unmasked original is seen, and the mask redrawn, only by whoever
+// may redraw it in the case's status (MASKABLE)
+function requireMasker(record, user) {
+  const maskRole = MASKABLE[record.status];
+  if (!maskRole) throw new AdminError(409, `a ${record.status} case is locked; masks are redrawn in draft or review`);
+  requireRole(user, maskRole);
+}
+
+// A second person approves: not whoever created the case
+function isOwnApproval(record, user, status) {
+  return status === 'approved' && Boolean(record.createdBy) && record.createdBy.id === user.id;
+}
+
+// Cases are edited only as drafts, so review sees what will be published
+function requireDraft(record) {
+  if (record.status !== 'draft') {
+    throw new AdminError(409, `a ${record.status} case is locked; it must be back in draft to change`);
+  }
+}
+
+/**
+ * Cases and their photos on disk, and the audit trail of every change.
+ * Changes run one at a time, so two requests never interleave a read
+ * and a write of cases.json or the log.
+ */
+class GalleryCaseStore {
+  /**
+   * @param {string} dataDir - holds cases.json, audit.log and uploads/
+   */
+  constructor(dataDir) {
+    this.dir = path.resolve(dataDir);
+    this.file = path.join(this.dir, 'cases.json');
+    this.uploads = path.join(this.dir, 'uploads');
+    this.originals = path.join(this.dir, 'originals');
+    this.audit = new AuditLog(path.join(this.dir, 'audit.log'));
+    this.cases = new Map();
+    this.queue = Promise.resolve();
+  }
+
+  async open() {
+    await fs.promises.mkdir(this.uploads, { recursive: true });
+    await fs.promises.mkdir(this.originals, { recursive: true });
+    await this.audit.open();
+    let text;
+    try {
+      text = await fs.promises.readFile(this.file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return this;
+      throw error;
+    }
+
+    // A damaged file is left as it is for someone to look at, not overwritten
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`${this.file} is not valid JSON: ${error.message}`);
+    }
+    // cases.json keeps the log's newest entry as of the last save;
+    // files from before version 2 do not
+    if (data.version >= 2) {
+      if (!data.audit) throw new Error(`${this.file} does not record the end of the audit log`);
+      this.audit.checkHead(data.audit);
+    }
+    (data.cases || []).forEach(record => this.cases.set(record.id, record));
+    return this;
+  }
+
+  // Runs one change after the previous one has finished
+  run(task) {
+    const result = this.queue.then(task);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  // The log is written before cases.json: it may hold a change that then
+  // failed to save, but never misses one that was saved. cases.json, saved
+  // in one rename, records the log's end with the change (checkHead)
+  async commit(user, action, record, changes, extra) {
+    await this.audit.append(Object.assign({ user, action, caseId: record.id, changes }, extra));
+    await this.save();
+  }
+
+  async save() {
+    const temporary = `${this.file}.${process.pid}.tmp`;
+    const data = { version: 2, audit: this.audit.head(), cases: [...this.cases.values()] };
+    await fs.promises.writeFile(temporary, JSON.stringify(data, null, 2));
+    await fs.promises.rename(temporary, this.file);
+  }
+
+  get(id) {
+    const record = this.cases.get(id);
+    if (!record) throw new AdminError(404, `no case ${id}`);
+    return record;
+  }
+
+  /**
+   * @param {Object} [filter]
+   * @param {string} [filter.status]
+   * @returns {Array} most recently changed first
+   */
+  list(filter = {}) {
+    return [...this.cases.values()]
+      .filter(record => !filter.status || record.status === filter.status)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt) || a.id.localeCompare(b.id));
+  }
+
+  /**
+   * @returns {Array} newest publication first
+   */
+  published() {
+    return this.list({ status: 'published' })
+      .sort((a, b) => b.publishedAt.localeCompare(a.publishedAt) || a.id.localeCompare(b.id));
+  }
+
+  // The case a photo belongs to, or null
+  ownerOf(file) {
+    for (const record of this.cases.values()) {
+      if (IMAGE_ROLES.some(role => record.images[role] && record.images[role].file === file)) return record;
+    }
+    return null;
+  }
+
+  /**
+   * Store a photo, less any metadata it still carries
+   * @param {Object} [processing] - the client's de-identification record
+   */
+  async writeImage(id, role, bytes, name, processing) {
+    const info = imageInfo(bytes);
+    if (!info) throw new AdminError(415, 'only JPEG, PNG and WebP images are accepted');
+
+    const { bytes: clean, removed } = PhotoDeidentify.stripMetadata(bytes);
+    const file = `${id}-${role}-${crypto.randomBytes(4).toString('hex')}.${IMAGE_EXTENSIONS[info.type]}`;
+    await fs.promises.writeFile(path.join(this.uploads, file), clean);
+    return {
+      file,
+      name: name || file,
+      type: info.type,
+      size: clean.length,
+      width: info.width,
+      height: info.height,
+      original: null,
+      deidentification: deidentification(processing, removed)
+    };
+  }
+
+  async writeOriginal(id, role, bytes, photo) {
+    const info = imageInfo(bytes);
+    if (!info) throw new AdminError(415, 'only JPEG, PNG and WebP images are accepted');
+    requireSameSize(info, photo, 'original');
+
+    const { bytes: clean } = PhotoDeidentify.stripMetadata(bytes);
+    const file = `${id}-${role}-original-${crypto.randomBytes(4).toString('hex')}.${IMAGE_EXTENSIONS[info.type]}`;
+    await fs.promises.writeFile(path.join(this.originals, file), clean);
+    return { file, type: info.type, size: clean.length };
+  }
+
+  async removeFile(dir, entry) {
+    if (!entry) return;
+    try {
+      await fs.promises.unlink(path.join(dir, entry.file));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  // A photo and its original
+  async removeImage(image) {
+    if (!image) return;
+    await this.removeFile(this.uploads, image);
+    await this.removeFile(this.originals, image.original);
+  }
+
+  /**
+   * A new draft around one photo, titled after its file name
+   * @param {Buffer} bytes
+   * @param {string} name - the file name the photo was uploaded under
+   * @param {Object} user - who uploads it, an uploader
+   * @param {Object} [processing] - how the client de-identified it
+   */
+  create(bytes, name, user, processing) {
+    return this.run(async () => {
+      requireRole(user, 'uploader');
+      const id = `case-${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`;
+      const now = new Date().toISOString();
+      const record = {
+        id,
+        status: 'draft',
+        title: (name || '').replace(/\.[^.]*$/, '').trim() || '未命名案例',
+        description: '',
+        date: now.slice(0, 10),
+        rating: 0,
+        views: 0,
+        tags: [],
+        images: { after: await this.writeImage(id, 'after', bytes, name, processing), before: null },
+        createdBy: { id: user.id, name: user.name },
+        createdAt: now,
+        updatedAt: now,
+        publishedAt: null,
+        lastReview: null
+      };
+      this.cases.set(id, record);
+      await this.commit(user, 'create', record, {
+        status: { from: null, to: 'draft' },
+        title: { from: null, to: record.title },
+        'images.after': { from: null, to: record.images.after.file }
+      });
+      return record;
+    });
+  }
+
+  /**
+   * Edit a draft. Only the fields being changed are checked, so it can be
+   * filled in a bit at a time.
+   */
+  update(id, patch, user) {
+    return this.run(async () => {
+      const record = this.get(id);
+      requireRole(user, 'uploader');
+      requireDraft(record);
+      const values = normalizePatch(patch);
+      const next = Object.assign({}, record, values);
+      Object.keys(values).forEach(field => {
+        if (values[field] === null) delete next[field];
+      });
+
+      const errors = caseProblems(next)
+        .filter(error => Object.prototype.hasOwnProperty.call(values, error.split(' ')[0]));
+      if (errors.length) throw new AdminError(422, 'invalid fields', errors);
+
+      const changes = diffFields(record, next, Object.keys(values));
+      if (!Object.keys(changes).length) return record;
+
+      this.cases.set(id, Object.assign(next, { updatedAt: new Date().toISOString() }));
+      await this.commit(user, 'update', next, changes);
+      return next;
+    });
+  }
+
+  replaceImage(id, role, bytes, name, user, processing) {
+    return this.run(async () => {
+      const record = this.get(id);
+      requireRole(user, 'uploader');
+      requireDraft(record);
+      const previous = record.images[role];
+      record.images[role] = await this.writeImage(id, role, bytes, name, processing);
+      record.updatedAt = new Date().toISOString();
+      await this.commit(user, 'image', record, {
+        [`images.${role}`]: { from: previous ? previous.file : null, to: record.images[role].file }
+      });
+      await this.removeImage(previous);
+      return record;
+    });
+  }
+
+  /**
+   * Keep the unmasked photo, privately, for redrawing the mask later
+   */
+  setOriginal(id, role, bytes, user) {
+    return this.run(async () => {
+      const record = this.get(id);
+      requireRole(user, 'uploader');
+      requireDraft(record);
+      const photo = record.images[role];
+      if (!photo) throw new AdminError(404, `case ${id} has no ${role} photo`);
+
+      const previous = photo.original;
+      photo.original = await this.writeOriginal(id, role, bytes, photo);
+      record.updatedAt = new Date().toISOString();
+      await this.commit(user, 'image', record, {
+        [`images.${role}.original`]: { from: previous ? previous.file : null, to: photo.original.file }
+      });
+      await this.removeFile(this.originals, previous);
+      return record;
+    });
+  }
+
+  /**
+   * Where a photo's unmasked original is, for whoever may redraw its mask
+   * @returns {{file: string, type: string}} file is a path
+   */
+  original(id, role, user) {
+    const record = this.get(id);
+    requireMasker(record, user);
+    const photo = record.images[role];
+    if (!photo || !photo.original) throw new AdminError(404, `no original of the ${role} photo`);
+    return { file: path.join(this.originals, photo.original.file), type: photo.original.type };
+  }
+
+  /**
+   * The photo masked again: by the uploader on a draft, or by the reviewer
+   * before approving. Same size as before; the original stays.
+   * @param {Object} processing - the new regions, required
+   */
+  mask(id, role, bytes, user, processing) {
+    return this.run(async () => {
+      const record = this.get(id);
+      requireMasker(record, user);
+      const photo = record.images[role];
+      if (!photo) throw new AdminError(404, `case ${id} has no ${role} photo`);
+      if (!processing) throw new AdminError(422, 'a de-identification record is required', ['deidentification is required']);
+
+      const info = imageInfo(bytes);
+      if (!info) throw new AdminError(415, 'only JPEG, PNG and WebP images are accepted');
+      requireSameSize(info, photo, 'masked photo');
+
+      const before = photo.deidentification || deidentification(null, []);
+      const next = await this.writeImage(id, role, bytes, photo.name, processing);
+      next.original = photo.original;
+      next.deidentification.metadataRemoved = [...new Set([...before.metadataRemoved, ...next.deidentification.metadataRemoved])];
+      next.deidentification.adjustedBy = { id: user.id, name: user.name, role: MASKABLE[record.status] };
+      record.images[role] = next;
+      record.updatedAt = new Date().toISOString();
+      await this.commit(user, 'mask', record, diffFields(
+        { [`images.${role}`]: photo.file, [`images.${role}.regions`]: before.regions, [`images.${role}.mask`]: before.mode },
+        { [`images.${role}`]: next.file, [`images.${role}.regions`]: next.deidentification.regions, [`images.${role}.mask`]: next.deidentification.mode },
+        [`images.${role}`, `images.${role}.regions`, `images.${role}.mask`]
+      ));
+      await this.removeFile(this.uploads, photo);
+      return record;
+    });
+  }
+
+  removeBefore(id, user) {
+    return this.run(async () => {
+      const record = this.get(id);
+      requireRole(user, 'uploader');
+      requireDraft(record);
+      const previous = record.images.before;
+      if (!previous) return record;
+      record.images.before = null;
+      record.updatedAt = new Date().toISOString();
+      await this.commit(user, 'image', record, { 'images.before': { from: previous.file, to: null } });
+      await this.removeImage(previous);
+      return record;
+    });
+  }
+
+  /**
+   * Move a case along the workflow
+   * @param {string} id
+   * @param {string} status
+   * @param {Object} user - must hold the role CASE_TRANSITIONS names for the move
+   * @param {string} [comment] - required where CASE_TRANSITIONS says so
+   */
+  setStatus(id, status, user, comment) {
+    return this.run(async () => {
+      const record = this.get(id);
+      if (!CASE_STATUSES.includes(status)) {
+        throw new AdminError(400, `status must be one of ${CASE_STATUSES.join(', ')}`);
+      }
+      const rule = CASE_TRANSITIONS[record.status][status];
+      if (!rule) throw new AdminError(409, `a ${record.status} case cannot become ${status}`);
+      requireRole(user, rule.role);
+      if (isOwnApproval(record, user, status)) {
+        throw new AdminError(403, 'a case is approved by a reviewer other than whoever created it');
+      }
+
+      const note = typeof comment === 'string' ? comment.trim() : '';
+      if (rule.comment && !note) throw new AdminError(422, 'a comment is required', ['comment is required']);
+      if (note.length > MAX_TEXT) throw new AdminError(422, 'comment is too long', [`comment is longer than ${MAX_TEXT} characters`]);
+
+      if (status === 'review') {
+        const problems = caseProblems(record);
+        if (problems.length) throw new AdminError(422, 'case is incomplete', problems);
+      }
+      if (['review', 'approved', 'published'].includes(status)) {
+        const problems = deidentificationProblems(record, status);
+        if (problems.length) throw new AdminError(422, 'photos are not de-identified', problems);
+      }
+      if (status === 'published' && needsConsent(record)) {
+        throw new AdminError(422, 'clinical photos need a consent reference', ['consentRef is required for clinical photos']);
+      }
+
+      const now = new Date().toISOString();
+      const from = record.status;
+      record.status = status;
+      record.publishedAt = status === 'published' ? now : null;
+      record.updatedAt = now;
+      if (note) record.lastReview = { by: { id: user.id, name: user.name }, at: now, from, to: status, comment: note };
+      await this.commit(user, 'status', record, { status: { from, to: status } }, { comment: note });
+      return record;
+    });
+  }
+
+  remove(id, user) {
+    return this.run(async () => {
+      const record = this.get(id);
+      const role = DELETABLE[record.status];
+      if (!role) throw new AdminError(409, `a ${record.status} case cannot be deleted; withdraw or archive it first`);
+      requireRole(user, role);
+
+      this.cases.delete(id);
+      await this.commit(user, 'delete', record, { status: { from: record.status, to: null } }, { snapshot: record });
+      await Promise.all(IMAGE_ROLES.map(image => this.removeImage(record.images[image])));
+      return record;
+    });
+  }
+}
+
+// A stored case as admin.html sees it, with what this user may do to it
+function adminCase(record, user) {
+  const transitions = CASE_TRANSITIONS[record.status];
+  const deleteRole = DELETABLE[record.status];
+  const maskRole = MASKABLE[record.status];
+  return Object.assign(galleryCase(record), {
+    status: record.status,
+    consentRef: record.consentRef || null,
+    images: record.images,
+    createdBy: record.createdBy || null,
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt,
+    publishedAt: record.publishedAt,
+    lastReview: record.lastReview || null,
+    problems: caseProblems(record),
+    needsConsent: needsConsent(record),
+    actions: Object.entries(transitions)
+      .filter(([status, rule]) => user.roles.includes(rule.role) && !isOwnApproval(record, user, status))
+      .map(([status, rule]) => ({ status, comment: Boolean(rule.comment) })),
+    editable: record.status === 'draft' && user.roles.includes('uploader'),
+    deletable: Boolean(deleteRole) && user.roles.includes(deleteRole),
+    maskable: Boolean(maskRole) && user.roles.includes(maskRole)
+  });
+}
+
+// Cursors are opaque to clients; here they wrap the offset
+const encodeCursor = offset => Buffer.from(`offset:${offset}`).toString('base64url');
+const decodeCursor = cursor => {
+  const match = /^offset:(\d+)$/.exec(Buffer.from(cursor, 'base64url').toString());
+  return match ? Number(match[1]) : null;
+};
+
+function readBody(req, limit) {
+  const tooLarge = () => new AdminError(413, limit >= 1024 * 1024
+    ? `larger than ${Math.round(limit / 1024 / 1024)} MB`
+    : `larger than ${Math.round(limit / 1024)} KB`);
+
+  return new Promise((resolve, reject) => {
+    if (Number(req.headers['content-length']) > limit) {
+      req.resume();
+      reject(tooLarge());
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > limit) {
+        reject(tooLarge());
+        req.removeAllListeners('data');
+        req.resume();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+async function readJSON(req) {
+  const body = await readBody(req, MAX_JSON);
+  try {
+    return JSON.parse(body.toString('utf8'));
+  } catch (error) {
+    throw new AdminError(400, 'body is not JSON');
+  }
+}
+
+// The original file name, sent percent-encoded since headers are ASCII
+function uploadName(req) {
+  const header = req.headers['x-file-name'];
+  if (!header) return '';
+  try {
+    return path.basename(decodeURIComponent(header)).slice(0, 200);
+  } catch (error) {
+    return '';
+  }
+}
+
+// How the client de-identified a photo (photo-deidentify.js), sent as percent-encoded JSON
+function processingHeader(req) {
+  const header = req.headers['x-deidentification'];
+  if (!header) return null;
+  let record;
+  try {
+    record = JSON.parse(decodeURIComponent(header));
+  } catch (error) {
+    throw new AdminError(400, 'X-Deidentification is not JSON');
+  }
+  const errors = PhotoDeidentify.validateRecord(record);
+  if (errors.length) throw new AdminError(422, 'invalid de-identification record', errors);
+  return record;
+}
+
+/**
+ * @param {Object} options
+ * @param {GalleryCaseStore} options.store - opened
+ * @param {Array} [options.users] - accounts as in users.json: { id, name, roles, tokenHash }
+ * @param {string} [options.token] - signs in as "admin", holding every role
+ * @param {string} [options.root] - the site served for every other GET
+ * @param {string} [options.publicURL] - where this server is reached, for photo URLs; relative by default
+ * @param {number} [options.maxUpload] - bytes per photo
+ * @returns {http.Server} not yet listening
+ */
+function createGalleryAdminServer(options) {
+  const { store } = options;
+  const users = (options.users || []).slice();
+  if (options.token) users.push({ id: 'admin', name: '管理员', roles: ROLES.slice(), tokenHash: hashToken(options.token) });
+  if (!users.length) throw new Error('at least one user or an admin token is required');
+
+  const root = path.resolve(options.root || ROOT);
+  const publicURL = (options.publicURL || '').replace(/\/+$/, '');
+  const maxUpload = options.maxUpload || MAX_UPLOAD;
+
+  const headers = extra => Object.assign({
+    'Access-Control-Allow-Origin': '*',
+    'X-Content-Type-Options': 'nosniff'
+  }, extra);
+
+  const send = (res, status, body) => {
+    res.writeHead(status, headers({ 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' }));
+    res.end(status === 204 ? undefined : JSON.stringify(body));
+  };
+
+  // The user whose token the request carries, or null
+  const signedIn = req => {
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    if (!match) return null;
+    const hash = Buffer.from(hashToken(match[1].trim()), 'hex');
+    return users.find(user => crypto.timingSafeEqual(Buffer.from(user.tokenHash, 'hex'), hash)) || null;
+  };
+
+  const sendFile = (req, res, file, type, cacheControl) => {
+    fs.stat(file, (error, stats) => {
+      if (error || !stats.isFile()) return send(res, 404, { error: 'not found' });
+      res.writeHead(200, headers({ 'Content-Type': type, 'Content-Length': stats.size, 'Cache-Control': cacheControl }));
+      if (req.method === 'HEAD') return res.end();
+      fs.createReadStream(file).pipe(res);
+    });
+  };
+
+  const serveUpload = (req, res, file) => {
+    const record = /^[\w.-]+$/.test(file) ? store.ownerOf(file) : null;
+    if (!record) return send(res, 404, { error: 'not found' });
+
+    const published = record.status === 'published';
+    if (!published && !signedIn(req)) return send(res, 404, { error: 'not found' });
+
+    const image = IMAGE_ROLES.map(role => record.images[role]).find(entry => entry && entry.file === file);
+    sendFile(req, res, path.join(store.uploads, file), image.type,
+      published ? 'public, max-age=300' : 'private, no-store');
+  };
+
+  // The site, less dotfiles, node_modules and the admin data
+  const serveStatic = (req, res, pathname) => {
+    let relative;
+    try {
+      relative = decodeURIComponent(pathname);
+    } catch (error) {
+      return send(res, 400, { error: 'bad path' });
+    }
+    if (relative.endsWith('/')) relative += 'index.html';
+
+    const file = path.resolve(root, `.${relative}`);
+    const segments = path.relative(root, file).split(path.sep);
+    const hidden = segments.some(segment => segment === '..' || segment.startsWith('.') || segment === 'node_modules');
+    if (hidden || file === store.dir || file.startsWith(store.dir + path.sep)) {
+      return send(res, 404, { error: 'not found' });
+    }
+
+    sendFile(req, res, file, STATIC_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream', 'no-cache');
+  };
+
+  const listPublished = url => {
+    const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit'), 10) || 20, 1), 100);
+    const cursor = url.searchParams.get('cursor');
+    const start = cursor === null ? 0 : decodeCursor(cursor);
+    if (start === null) throw new AdminError(400, 'bad cursor');
+
+    const cases = store.published();
+    const end = start + limit;
+    return {
+      items: cases.slice(start, end).map(record => galleryCase(record, publicURL)),
+      nextCursor: end < cases.length ? encodeCursor(end) : null,
+      total: cases.length
+    };
+  };
+
+  const handleAdmin = async (req, res, url) => {
+    const user = signedIn(req);
+    if (!user) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      throw new AdminError(401, 'admin token required');
+    }
+
+    if (url.pathname === '/api/admin/me') {
+      if (req.method !== 'GET') throw new AdminError(405, 'method not allowed');
+      return send(res, 200, { id: user.id, name: user.name, roles: user.roles });
+    }
+
+    if (url.pathname === '/api/admin/audit') {
+      if (req.method !== 'GET') throw new AdminError(405, 'method not allowed');
+      const caseId = url.searchParams.get('caseId') || undefined;
+      const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit'), 10) || 200, 1), 1000);
+      return send(res, 200, { items: store.audit.query({ caseId, limit }) });
+    }
+
+    if (url.pathname === '/api/admin/cases') {
+      if (req.method === 'GET') {
+        const status = url.searchParams.get('status') || undefined;
+        return send(res, 200, { items: store.list({ status }).map(record => adminCase(record, user)) });
+      }
+      if (req.method === 'POST') {
+        // Checked before the upload is read, and again by the store
+        requireRole(user, 'uploader');
+        const processing = processingHeader(req);
+        const record = await store.create(await readBody(req, maxUpload), uploadName(req), user, processing);
+        return send(res, 201, adminCase(record, user));
+      }
+      throw new AdminError(405, 'method not allowed');
+    }
+
+    const match = /^\/api\/admin\/cases\/([\w-]+)(?:\/(status|images\/(after|before)(?:\/(original|mask))?))?$/.exec(url.pathname);
+    if (!match) throw new AdminError(404, 'not found');
+    const [, id, action, role, part] = match;
+    const route = `${req.method} ${part || (role ? 'images' : action || 'case')}`;
+
+    switch (route) {
+      case 'GET case':
+        return send(res, 200, adminCase(store.get(id), user));
+      case 'PATCH case':
+        return send(res, 200, adminCase(await store.update(id, await readJSON(req), user), user));
+      case 'DELETE case':
+        await store.remove(id, user);
+        return send(res, 204);
+      case 'POST status': {
+        const body = (await readJSON(req)) || {};
+        return send(res, 200, adminCase(await store.setStatus(id, body.status, user, body.comment), user));
+      }
+      case 'PUT images': {
+        requireRole(user, 'uploader');
+        const processing = processingHeader(req);
+        return send(res, 200, adminCase(await store.replaceImage(id, role, await readBody(req, maxUpload), uploadName(req), user, processing), user));
+      }
+      case 'DELETE images':
+        if (role === 'after') throw new AdminError(400, 'a case needs its after photo; replace it instead');
+        return send(res, 200, adminCase(await store.removeBefore(id, user), user));
+      case 'GET original': {
+        const original = store.original(id, role, user);
+        return sendFile(req, res, original.file, original.type, 'private, no-store');
+      }
+      case 'PUT original':
+        requireRole(user, 'uploader');
+        return send(res, 200, adminCase(await store.setOriginal(id, role, await readBody(req, maxUpload), user), user));
+      case 'PUT mask': {
+        const processing = processingHeader(req);
+        return send(res, 200, adminCase(await store.mask(id, role, await readBody(req, maxUpload), user, processing), user));
+      }
+      default:
+        throw new AdminError(405, 'method not allowed');
+    }
+  };
+
+  const handle = async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, headers({
+        'Access-Control-Allow-Methods': 'GET, HEAD, POST, PUT, PATCH, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': 'Authorization, Content-Type, X-File-Name, X-Deidentification',
+        'Access-Control-Max-Age': '600'
+      }));
+      return res.end();
+    }
+
+    if (url.pathname.startsWith('/api/admin/')) return handleAdmin(req, res, url);
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') throw new AdminError(405, 'method not allowed');
+    if (url.pathname === '/api/cases') return send(res, 200, listPublished(url));
+    if (url.pathname.startsWith('/api/')) throw new AdminError(404, 'not found');
+    if (url.pathname.startsWith('/uploads/')) return serveUpload(req, res, url.pathname.slice('/uploads/'.length));
+    return serveStatic(req, res, url.pathname);
+  };
+
+  return http.createServer((req, res) => {
+    handle(req, res).catch(error => {
+      if (!(error instanceof AdminError)) {
+        console.error(error);
+        error = new AdminError(500, 'internal error');
+      }
+      const body = { error: error.message };
+      if (error.details) body.details = error.details;
+      send(res, error.status, body);
+    });
+  });
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = (name, fallback) => {
+    const index = args.indexOf(name);
+    return index === -1 ? fallback : args[index + 1];
+  };
+
+  const port = Number(option('--port', 8091));
+  const dataDir = option('--data', DEFAULT_DATA_DIR);
+  const fail = error => {
+    console.error(error.message);
+    process.exit(1);
+  };
+
+  if (args.includes('--add-user')) {
+    const id = option('--add-user', '');
+    const roles = option('--roles', '').split(',').map(role => role.trim()).filter(Boolean);
+    addUser(dataDir, { id, name: option('--name', id), roles }).then(token => {
+      console.log(`User ${id} (${roles.join(', ')}) saved in ${path.join(path.resolve(dataDir), 'users.json')}`);
+      console.log(`Token, shown only now: ${token}`);
+    }).catch(fail);
+  } else {
+    Promise.all([new GalleryCaseStore(dataDir).open(), loadUsers(dataDir)]).then(([store, users]) => {
+      // Without accounts, an admin token is made up so the service is usable at all
+      const given = option('--token', process.env.GALLERY_ADMIN_TOKEN);
+      const token = given || (users.length ? undefined : crypto.randomBytes(16).toString('hex'));
+
+      const server = createGalleryAdminServer({ store, users, token, publicURL: option('--public-url', '') });
+      server.listen(port, () => {
+        console.log(`Gallery admin on http://localhost:${port}/admin.html (${store.cases.size} cases in ${store.dir})`);
+        console.log(`Published cases: http://localhost:${port}/api/cases`);
+        console.log(`Users: ${users.map(user => `${user.id} (${user.roles.join(', ')})`).join(', ') || 'none'}${token ? ', admin (every role)' : ''}`);
+        if (token && !given) console.log(`Admin token (generated; pass --token to keep one, or add users with --add-user): ${token}`);
+      });
+    }).catch(fail);
+  }
+}
+
+module.exports = {
+  createGalleryAdminServer,
+  GalleryCaseStore,
+  AdminError,
+  imageInfo,
+  galleryCase,
+  hashToken,
+  addUser,
+  loadUsers,
+  ROLES,
+  CASE_ENUMS,
+  CASE_TRANSITIONS
+};
@@ -0,0 +1,135 @@
+// Audit trail for the gallery admin service (gallery-admin-server.js):
+// who changed which case, when, and from what to what.
+//
+// Entries are appended to <data>/audit.log, one JSON object per line,
+// and never rewritten. Each carries the SHA-256 of the entry before it
+// and its own, so an entry edited or removed afterwards breaks the chain;
+// open() refuses a log that does not verify and says at which line.
+// Entries cut from the end leave the chain whole, so the owner keeps the
+// newest entry's seq and hash apart from the log (head()) and hands them
+// back to checkHead() when it opens again.
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const hashEntry = entry => crypto.createHash('sha256').update(JSON.stringify(entry)).digest('hex');
+
+class AuditLog {
+  /**
+   * @param {string} file
+   */
+  constructor(file) {
+    this.file = file;
+    this.entries = [];
+    this.lastHash = '';
+  }
+
+  async open() {
+    let text;
+    try {
+      text = await fs.promises.readFile(this.file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return this;
+      throw error;
+    }
+
+    const lines = text.split('\n').filter(line => line.trim());
+    lines.forEach((line, index) => {
+      let stored;
+      try {
+        stored = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${this.file}: line ${index + 1} is not valid JSON`);
+      }
+      const { hash, ...entry } = stored;
+      if (entry.prev !== this.lastHash || hashEntry(entry) !== hash || entry.seq !== index + 1) {
+        throw new Error(`${this.file}: the chain breaks at line ${index + 1}; the log was altered`);
+      }
+      this.entries.push(stored);
+      this.lastHash = hash;
+    });
+    return this;
+  }
+
+  /**
+   * The newest entry, to be kept apart from the log
+   * @returns {{seq: number, hash: string}}
+   */
+  head() {
+    return { seq: this.entries.length, hash: this.lastHash };
+  }
+
+  /**
+   * Refuse a log without the entry a head kept earlier. The log may have
+   * run ahead of it: appended to, and then the head not saved.
+   * @param {{seq: number, hash: string}} head
+   */
+  checkHead(head) {
+    if (!head.seq) return;
+    const entry = this.entries[head.seq - 1];
+    if (!entry || entry.hash !== head.hash) {
+      throw new Error(`${this.file}: entry ${head.seq} is ${entry ? 'not the one recorded' : 'missing'}; the log was cut or replaced`);
+    }
+  }
+
+  /**
+   * Record one change. The caller runs appends one at a time.
+   * @param {Object} change
+   * @param {{id: string, name: string}} change.user
+   * @param {string} change.action - create, update, image, mask, status, delete
+   * @param {string} change.caseId
+   * @param {Object} change.changes - { field: { from, to } }
+   * @param {string} [change.comment]
+   * @param {Object} [change.snapshot] - the whole case, kept when it is deleted
+   * @returns {Promise<Object>} the stored entry
+   */
+  async append(change) {
+    const entry = {
+      seq: this.entries.length + 1,
+      at: new Date().toISOString(),
+      user: { id: change.user.id, name: change.user.name },
+      action: change.action,
+      caseId: change.caseId,
+      changes: change.changes
+    };
+    if (change.comment) entry.comment = change.comment;
+    if (change.snapshot) entry.snapshot = change.snapshot;
+    entry.prev = this.lastHash;
+
+    const stored = Object.assign({}, entry, { hash: hashEntry(entry) });
+    await fs.promises.appendFile(this.file, JSON.stringify(stored) + '\n');
+    this.entries.push(stored);
+    this.lastHash = stored.hash;
+    return stored;
+  }
+
+  /**
+   * @param {Object} [filter]
+   * @param {string} [filter.caseId]
+   * @param {number} [filter.limit]
+   * @returns {Array} newest first
+   */
+  query(filter = {}) {
+    const matching = this.entries.filter(entry => !filter.caseId || entry.caseId === filter.caseId);
+    return matching.slice(-(filter.limit || matching.length)).reverse();
+  }
+}
+
+/**
+ * Field-by-field difference between two versions of a case
+ * @param {Object} before
+ * @param {Object} after
+ * @param {string[]} fields
+ * @returns {Object} { field: { from, to } } for the fields that differ
+ */
+function diffFields(before, after, fields) {
+  const changes = {};
+  fields.forEach(field => {
+    const from = before[field] === undefined ? null : before[field];
+    const to = after[field] === undefined ? null : after[field];
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes[field] = { from, to };
+  });
+  return changes;
+}
+
+module.exports = { AuditLog, diffFields };
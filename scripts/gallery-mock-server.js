@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+
+// Local stand-in for a gallery case API, used by test-gallery-sources.js
+// and for trying gallery.html against real pagination:
+//
+//   GET /api/cases?limit=20&cursor=…  → { items, nextCursor, total }
+//   GET /cases.json                   → the whole list, as a manifest
+//   GET /api/broken                   → HTTP 500
+//   GET /api/not-json                 → 200 with an HTML body
+//
+// The case list is fixed (no randomness) and includes two malformed
+// cases, which the gallery must skip.
+//
+// Usage: node scripts/gallery-mock-server.js [--port 8090] [--delay ms]
+// then in gallery.html:
+//   window.galleryDataSource = { type: 'rest', url: 'http://localhost:8090/api/cases' };
+
+const http = require('http');
+
+const VALID_CASES = 40;
+const TREATMENTS = ['lip-enhancement', 'lip-reduction', 'lip-shape', 'lip-color', 'lip-tattoo'];
+const AGE_RANGES = ['18-25', '26-35', '36-45', '46+'];
+const DOCTORS = [['dr-wang', '王主任'], ['dr-li', '李医生'], ['dr-chen', '陈教授'], ['dr-zhao', '赵医生']];
+
+function mockCase(n) {
+  const [doctor, doctorName] = DOCTORS[n % DOCTORS.length];
+  return {
+    id: `case-${String(n).padStart(3, '0')}`,
+    title: `模拟案例 ${n}`,
+    description: `用于测试分页的第 ${n} 个案例`,
+    afterImage: `/images/cases/${n}-after.jpg`,
+    beforeImage: `/images/cases/${n}-before.jpg`,
+    treatmentType: TREATMENTS[n % TREATMENTS.length],
+    category: 'case-study',
+    ageRange: AGE_RANGES[n % AGE_RANGES.length],
+    doctor,
+    doctorName,
+    date: `2024-${String((n % 12) + 1).padStart(2, '0')}-${String((n % 28) + 1).padStart(2, '0')}`,
+    rating: 3 + (n % 5) * 0.5,
+    views: n * 37,
+    tags: ['模拟', TREATMENTS[n % TREATMENTS.length]],
+    imageWidth: 600,
+    imageHeight: 800
+  };
+}
+
+// Valid cases 1–40 with two malformed ones among them
+const MOCK_CASES = Array.from({ length: VALID_CASES }, (_, i) => mockCase(i + 1));
+MOCK_CASES.splice(10, 0, Object.assign(mockCase(900), { afterImage: 'javascript:alert(1)' }));
+MOCK_CASES.splice(25, 0, Object.assign(mockCase(901), { treatmentType: 'unknown-treatment' }));
+
+// Cursors are opaque to clients; here they wrap the offset
+const encodeCursor = offset => Buffer.from(`offset:${offset}`).toString('base64url');
+const decodeCursor = cursor => {
+  const match = /^offset:(\d+)$/.exec(Buffer.from(cursor, 'base64url').toString());
+  return match ? Number(match[1]) : null;
+};
+
+/**
+ * @param {Object} [options]
+ * @param {Array} [options.cases]
+ * @param {number} [options.delay] - milliseconds before each answer
+ * @returns {http.Server} not yet listening
+ */
+function createGalleryMockServer(options = {}) {
+  const cases = options.cases || MOCK_CASES;
+  const delay = options.delay || 0;
+
+  const send = (res, status, body, type = 'application/json') => {
+    setTimeout(() => {
+      res.writeHead(status, {
+        'Content-Type': `${type}; charset=utf-8`,
+        'Access-Control-Allow-Origin': '*'
+      });
+      res.end(type === 'application/json' ? JSON.stringify(body) : body);
+    }, delay);
+  };
+
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method !== 'GET') return send(res, 405, { error: 'method not allowed' });
+
+    switch (url.pathname) {
+      case '/api/cases': {
+        const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit'), 10) || 20, 1), 100);
+        const cursor = url.searchParams.get('cursor');
+        const start = cursor === null ? 0 : decodeCursor(cursor);
+        if (start === null) return send(res, 400, { error: 'bad cursor' });
+
+        const end = start + limit;
+        return send(res, 200, {
+          items: cases.slice(start, end),
+          nextCursor: end < cases.length ? encodeCursor(end) : null,
+          total: cases.length
+        });
+      }
+      case '/cases.json':
+        return send(res, 200, { items: cases });
+      case '/api/broken':
+        return send(res, 500, { error: 'internal error' });
+      case '/api/not-json':
+        return send(res, 200, '<!DOCTYPE html><title>Login</title>', 'text/html');
+      default:
+        return send(res, 404, { error: 'not found' });
+    }
+  });
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = (name, fallback) => {
+    const index = args.indexOf(name);
+    return index === -1 ? fallback : Number(args[index + 1]);
+  };
+
+  const port = option('--port', 8090);
+  createGalleryMockServer({ delay: option('--delay', 0) }).listen(port, () => {
+    console.log(`Gallery mock API on http://localhost:${port}/api/cases (${MOCK_CASES.length} cases)`);
+  });
+}
+
+module.exports = { createGalleryMockServer, MOCK_CASES, VALID_CASES };
@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+
+// Book search (book-search.js over text-segmenter.js): how Chinese text is
+// cut into index terms (unigrams, bigrams and lexicon words) and query
+// terms, pinyin queries (full, prefix, initials), BM25 scores and the
+// order they give — term frequency, rarity, document length, every word
+// required, headings and whole phrases first — and the snippets.
+//
+// Usage: node scripts/test-book-search.js [--verbose]
+
+const path = require('path');
+const BookSearchIndex = require(path.join(__dirname, '..', 'book-search.js'));
+const TextSegmenter = require(path.join(__dirname, '..', 'text-segmenter.js'));
+const { createSuite } = require('./test-helpers.js');
+
+const { check, run } = createSuite('Book search');
+
+// A lexicon of its own, so the expectations do not move with search-lexicon.js
+const LEXICON = [
+  ['玻尿酸', 'bo niao suan', 'hyaluronic acid'],
+  ['透明质酸酶', 'tou ming zhi suan mei', 'hyaluronidase'],
+  ['口轮匝肌', 'kou lun za ji', 'orbicularis oris']
+];
+const segmenter = new TextSegmenter({ lexicon: LEXICON });
+
+const same = (actual, expected) => JSON.stringify(actual) === JSON.stringify(expected);
+
+function testSegmenter() {
+  check('normalize: full-width forms and case folded one for one', segmenter.normalize('ＨＡ　Lip（唇）') === 'ha lip(唇)',
+    segmenter.normalize('ＨＡ　Lip（唇）'));
+
+  const terms = segmenter.indexTerms(segmenter.normalize('玻尿酸注射'));
+  check('index terms: CJK unigrams and bigrams', ['玻', '尿', '酸', '注', '射', '玻尿', '尿酸', '酸注', '注射'].every(term => terms.includes(term)), terms);
+  check('index terms: plus the lexicon words longer than two', terms.includes('玻尿酸') && !terms.includes('酸注射'), terms);
+  check('index terms: Latin words stay whole', same(segmenter.indexTerms('ha filler 1.5ml'), ['ha', 'filler', '1.5ml']),
+    segmenter.indexTerms('ha filler 1.5ml'));
+
+  check('query terms: a lexicon word is one term', same(segmenter.queryTerms('玻尿酸'), ['玻尿酸']));
+  check('query terms: another word is its bigrams', same(segmenter.queryTerms('注射点'), ['注射', '射点']), segmenter.queryTerms('注射点'));
+  check('query terms: a single character is itself', same(segmenter.queryTerms('唇'), ['唇']));
+  check('query terms: Latin and CJK mixed', same(segmenter.queryTerms('ha注射'), ['ha', '注射']), segmenter.queryTerms('ha注射'));
+
+  check('segment: lexicon words by longest match, the rest kept together', same(segmenter.segment('玻尿酸的注射和口轮匝肌'), ['玻尿酸', '的注射和', '口轮匝肌']),
+    segmenter.segment('玻尿酸的注射和口轮匝肌'));
+  check('segment: a lone stop character is dropped', same(segmenter.segment('玻尿酸的口轮匝肌'), ['玻尿酸', '口轮匝肌']),
+    segmenter.segment('玻尿酸的口轮匝肌'));
+
+  check('pinyin: full', same(segmenter.pinyinMatches('boniaosuan'), ['玻尿酸']));
+  check('pinyin: with spaces and apostrophes', same(segmenter.pinyinMatches("bo niao'suan"), ['玻尿酸']));
+  check('pinyin: a prefix of four letters or more', same(segmenter.pinyinMatches('touming'), ['透明质酸酶']) &&
+    same(segmenter.pinyinMatches('bon'), []), segmenter.pinyinMatches('bon'));
+  check('pinyin: initials', same(segmenter.pinyinMatches('klzj'), ['口轮匝肌']));
+  check('pinyin: not for one letter or CJK', same(segmenter.pinyinMatches('b'), []) && same(segmenter.pinyinMatches('玻尿酸'), []));
+}
+
+// One chapter per call, so the statistics are only those of the documents given
+function indexOf(...paragraphs) {
+  const index = new BookSearchIndex({ segmenter });
+  index.addChapter('01.md', `# 第一章\n\n${paragraphs.join('\n\n')}\n`);
+  return index;
+}
+
+const lines = results => results.map(result => result.line);
+
+function testRanking() {
+  // BM25 of one term by hand: idf · tf·(k1+1) / (tf + k1·(1 − b + b·len/avg))
+  const index = new BookSearchIndex({ segmenter });
+  index.chapters.set('x.md', { file: 'x.md', title: 'x' });
+  index.addDocument({ file: 'x.md', kind: 'text', text: 'filler filler lip' });
+  index.addDocument({ file: 'x.md', kind: 'text', text: 'lip' });
+  const average = (3 + 1) / 2;
+  const idf = Math.log(1 + (2 - 1 + 0.5) / (1 + 0.5));
+  const expected = idf * (2 * 2.2) / (2 + 1.2 * (1 - 0.75 + 0.75 * 3 / average));
+  const [hit] = index.search('filler');
+  check('bm25: the score of one term, by the formula', Math.abs(hit.score - expected) < 1e-12, { score: hit.score, expected });
+
+  let results = indexOf('filler once here', 'filler filler filler here').search('filler');
+  check('bm25: more occurrences rank higher', same(lines(results), [5, 3]), lines(results));
+
+  results = indexOf('filler and lip', 'filler filler and lip and some more words to make it long').search('filler');
+  check('bm25: the same occurrences in a shorter paragraph rank higher', same(lines(results), [3, 5]), results.map(r => r.score));
+
+  results = indexOf('lip lip nodule', 'lip lip lip lip', 'lip', 'lip').search('lip nodule');
+  check('bm25: every word is required', same(lines(results), [3]), lines(results));
+  const rare = indexOf('lip nodule', 'lip', 'lip').search('nodule')[0].score;
+  const common = indexOf('lip nodule', 'lip', 'lip').search('lip')[0].score;
+  check('bm25: a rarer word weighs more', rare > common, { rare, common });
+
+  results = indexOf('唇部 注射 玻尿酸', '玻尿酸 唇部注射').search('唇部 注射');
+  check('ranking: the whole phrase counts extra', results.length === 2 && results[0].line === 3, results.map(r => [r.line, r.score]));
+
+  results = indexOf('## 玻尿酸', '玻尿酸').search('玻尿酸');
+  check('ranking: a heading above a paragraph', results[0].kind === 'heading' && results[1].kind === 'text', results.map(r => r.kind));
+
+  results = indexOf('注射后观察射点', '注射点位').search('注射点');
+  check('ranking: the bigrams must be next to each other', same(lines(results), [5]), lines(results));
+
+  results = indexOf('玻尿酸注射', '透明质酸酶溶解').search('bns');
+  check('pinyin: initials find the lexicon word', same(lines(results), [3]) && same(results[0].terms, ['玻尿酸']), results);
+  results = indexOf('玻尿酸注射').search('"bns"');
+  check('pinyin: not inside quotes', results.length === 0, results);
+
+  results = indexOf('lip', '```\nlip\n```').search('lip');
+  check('index: code is not searched', same(lines(results), [3]), lines(results));
+
+  const many = indexOf(...Array.from({ length: 10 }, () => 'lip'));
+  check('search: at most the limit', many.search('lip', { limit: 3 }).length === 3 && many.search('lip').length === 10);
+  check('search: nothing for an empty query', many.search('').length === 0 && many.search('   ').length === 0);
+}
+
+function testResults() {
+  const index = new BookSearchIndex({ segmenter, snippetLength: 20 });
+  index.addChapter('02.md', '# 第二章 并发症\n\n## 血管栓塞\n\n出现血管栓塞时立即停止注射，使用透明质酸酶溶解，并观察皮肤颜色变化。\n\nA <b>filler</b> & "HA" note.\n');
+  const [hit] = index.search('透明质酸酶');
+
+  check('result: chapter, section and line', hit.file === '02.md' && hit.chapter === '第二章 并发症' &&
+    hit.section === '血管栓塞' && typeof hit.anchor === 'string' && hit.line === 5, hit);
+  check('result: the snippet is cut around the hit', hit.snippet.startsWith('…') && hit.snippet.endsWith('…') &&
+    hit.snippet.includes('<mark>透明质酸酶</mark>'), hit.snippet);
+
+  const [escaped] = index.search('filler');
+  check('result: inline HTML is left out, the rest escaped around the marks', escaped.snippet === 'A <mark>filler</mark> &amp; &quot;HA&quot; note…',
+    escaped.snippet);
+}
+
+async function main() {
+  testSegmenter();
+  testRanking();
+  testResults();
+}
+
+run(main);
@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+
+// Treatment journeys (case-journeys.js): which cases form a journey, the
+// order of its steps (by date, then phase, undated steps last), how each
+// step is dated from the first procedure, and the journey's summary.
+//
+// Usage: node scripts/test-case-journeys.js [--verbose]
+
+const path = require('path');
+const CaseJourneys = require(path.join(__dirname, '..', 'case-journeys.js'));
+const { createSuite } = require('./test-helpers.js');
+
+const { check, run } = createSuite('Case journeys');
+
+const step = (id, date, phase, extra = {}) => Object.assign({ id, journeyId: 'a', date, phase, doctor: 'dr-wang', treatmentType: 'lip-enhancement' }, extra);
+const order = journey => journey.steps.map(entry => entry.item.id).join();
+
+function testOrder() {
+  let journey = CaseJourneys.build('a', [
+    step(3, '2024-03-01', 'follow-up'),
+    step(1, '2024-01-10', 'consultation'),
+    step(2, '2024-01-24', 'procedure')
+  ]);
+  check('order: by date', order(journey) === '1,2,3', order(journey));
+
+  journey = CaseJourneys.build('a', [
+    step(2, '2024-01-24', 'follow-up'),
+    step(1, '2024-01-24', 'procedure'),
+    step(3, '2024-01-24', 'unknown')
+  ]);
+  check('order: one day by phase, unknown phases last', order(journey) === '1,2,3', order(journey));
+
+  journey = CaseJourneys.build('a', [step('b', '2024-01-24', 'procedure'), step('a', '2024-01-24', 'procedure')]);
+  check('order: then by id', order(journey) === 'a,b', order(journey));
+
+  journey = CaseJourneys.build('a', [
+    step(4, '', 'consultation'),
+    step(2, '2024-03-01', 'follow-up'),
+    step(5, 'soon', 'procedure'),
+    step(1, '2024-01-24', 'procedure')
+  ]);
+  check('order: undated steps last, by phase', order(journey) === '1,2,4,5', order(journey));
+  check('order: an undated step has no date label', journey.steps[2].offsetDays === null && journey.steps[2].label === '', journey.steps[2]);
+  check('order: the range covers the dated steps', journey.start === '2024-01-24' && journey.end === '2024-03-01', [journey.start, journey.end]);
+
+  journey = CaseJourneys.build('a', [step(1, null, 'procedure'), step(2, undefined, 'follow-up')]);
+  check('order: a journey with no dates has no range', journey.start === null && journey.end === null && order(journey) === '1,2', journey);
+
+  journey = CaseJourneys.build('a', [step(1, '1970-01-01', 'follow-up'), step(2, '', 'procedure'), step(3, '1969-12-30', 'consultation')]);
+  check('order: the epoch is a date like any other', order(journey) === '3,1,2', order(journey));
+}
+
+function testLabels() {
+  const journey = CaseJourneys.build('a', [
+    step(1, '2024-01-10', 'consultation'),
+    step(2, '2024-01-24', 'procedure'),
+    step(3, '2024-01-29', 'follow-up'),
+    step(4, '2024-02-21', 'follow-up'),
+    step(5, '2024-07-24', 'touch-up')
+  ]);
+  const labels = journey.steps.map(entry => entry.label);
+  check('labels: from the first procedure', JSON.stringify(labels) ===
+    JSON.stringify(['术前 14 天', '治疗当天', '术后第 5 天', '术后 4 周', '术后 6 个月']), labels);
+  check('labels: offsets in days', JSON.stringify(journey.steps.map(entry => entry.offsetDays)) === '[-14,0,5,28,182]');
+  check('labels: phase names', journey.steps[0].phaseName === '初诊咨询' && journey.steps[4].phaseName === '补充治疗');
+
+  const noProcedure = CaseJourneys.build('a', [step(1, '2024-01-10', 'consultation'), step(2, '2024-01-12', 'follow-up')]);
+  check('labels: without a procedure, days from the first step', JSON.stringify(noProcedure.steps.map(entry => entry.label)) === '["第 1 天","第 3 天"]',
+    noProcedure.steps.map(entry => entry.label));
+
+  const undatedProcedure = CaseJourneys.build('a', [step(1, '2024-01-10', 'consultation'), step(2, '', 'procedure')]);
+  check('labels: none when the procedure is undated', undatedProcedure.steps.every(entry => entry.label === ''), undatedProcedure.steps);
+
+  check('relative label: years', CaseJourneys.relativeLabel(730) === '术后 2 年' && CaseJourneys.relativeLabel(913) === '术后 2.5 年');
+}
+
+function testGroup() {
+  const { journeys, standalone } = CaseJourneys.group([
+    step(1, '2024-01-10', 'consultation', { journeyId: 'b', journeyTitle: '患者 B' }),
+    step(2, '2024-01-10', 'procedure', { journeyId: null }),
+    step(3, '2024-01-24', 'procedure', { journeyId: 7, doctorName: '李医生', doctor: 'dr-li' }),
+    step(4, '2024-02-24', 'follow-up', { journeyId: 'b' }),
+    step(5, '2024-02-24', 'follow-up', { journeyId: '' })
+  ]);
+  check('group: journeys in the order their first case appears', journeys.map(journey => journey.id).join() === 'b,7');
+  check('group: cases without a journey stand alone', standalone.map(item => item.id).join() === '2,5');
+  check('group: a title from the cases, or one made up', journeys[0].title === '患者 B' && journeys[1].title === '疗程 7');
+  check('group: doctors by name', JSON.stringify(journeys[1].doctors) === '["李医生"]' && JSON.stringify(journeys[0].doctors) === '["dr-wang"]');
+
+  const all = [step(1, '2024-01-10', 'procedure'), step(2, '2024-01-20', 'follow-up'), step(3, '2024-01-20', 'procedure', { journeyId: 'b' })];
+  check('journey of: the whole journey of one case', order(CaseJourneys.journeyOf(all[1], all)) === '1,2');
+  check('journey of: none for a case without one', CaseJourneys.journeyOf(step(4, '2024-01-10', 'procedure', { journeyId: undefined }), all) === null);
+}
+
+async function main() {
+  testOrder();
+  testLabels();
+  testGroup();
+}
+
+run(main);
@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+
+// Revision diff of a chapter (chapter-diff.js): the Myers edit script,
+// word runs for Latin and Chinese text, sections paired by heading with
+// their blocks (and list items) compared one by one, the counts per
+// section, and the HTML with unchanged blocks folded away.
+//
+// Usage: node scripts/test-chapter-diff.js [--verbose]
+
+const path = require('path');
+const ChapterDiff = require(path.join(__dirname, '..', 'chapter-diff.js'));
+const { createSuite } = require('./test-helpers.js');
+
+const { check, run } = createSuite('Chapter diff');
+
+const differ = new ChapterDiff();
+
+// Each side of an edit script read back: old = equal + delete, new = equal + insert
+const sides = ops => ({
+  old: ops.filter(op => op.type !== 'insert').map(op => op.oldItem),
+  new: ops.filter(op => op.type !== 'delete').map(op => op.newItem)
+});
+const edits = ops => ops.filter(op => op.type !== 'equal').length;
+
+function testEditScript() {
+  // [old, new, fewest edits]
+  const CASES = [
+    ['abcabba', 'cbabac', 5],
+    ['', '', 0],
+    ['', 'abc', 3],
+    ['abc', '', 3],
+    ['abc', 'abc', 0],
+    ['abcdef', 'abXdef', 2],
+    ['lip filler', 'lip booster', 9]
+  ];
+  CASES.forEach(([a, b, expected]) => {
+    const ops = differ.diff([...a], [...b]);
+    const read = sides(ops);
+    check(`diff: ${JSON.stringify(a)} → ${JSON.stringify(b)} reads back both sides`, read.old.join('') === a && read.new.join('') === b, ops);
+    check(`diff: ${JSON.stringify(a)} → ${JSON.stringify(b)} in ${expected} edits`, edits(ops) === expected, edits(ops));
+  });
+
+  const prefixed = differ.diff([...'same start X same end'], [...'same start Y same end']);
+  check('diff: a shared prefix and suffix stay equal', prefixed.slice(0, 11).every(op => op.type === 'equal') &&
+    prefixed.slice(-9).every(op => op.type === 'equal') && edits(prefixed) === 2, prefixed.map(op => op.type[0]).join(''));
+
+  const byId = differ.diff([{ id: 1 }, { id: 2 }], [{ id: 2 }], (x, y) => x.id === y.id);
+  check('diff: a custom equality', byId.map(op => op.type).join() === 'delete,equal', byId);
+
+  // Past DIFF_MAX_EDITS, the whole middle is replaced rather than aligned
+  const left = Array.from({ length: 1100 }, (_, i) => `a${i}`);
+  const right = Array.from({ length: 1100 }, (_, i) => `b${i}`);
+  const started = Date.now();
+  const replaced = differ.diff(left, right);
+  const read = sides(replaced);
+  check('diff: too many edits become one replacement', replaced.slice(0, 1100).every(op => op.type === 'delete') &&
+    replaced.slice(1100).every(op => op.type === 'insert') && read.old.join() === left.join() && read.new.join() === right.join(),
+    replaced.length);
+  check('diff: and give up in bounded time', Date.now() - started < 10000, Date.now() - started);
+}
+
+function testWords() {
+  const text = '注射玻尿酸后 lip filler 3ml，效果';
+  const tokens = differ.tokenize(text);
+  check('tokenize: the tokens join back into the text', tokens.join('') === text, tokens);
+  check('tokenize: lexicon words, Latin words and numbers are whole', ['玻尿酸', 'lip', 'filler', '3ml'].every(word => tokens.includes(word)), tokens);
+  check('tokenize: other CJK characters and symbols one by one', ['后', '，', '效', '果'].every(word => tokens.includes(word)), tokens);
+
+  const latin = differ.diffWords('The lip filler lasts', 'The lip booster lasts');
+  check('diffWords: whole Latin words', JSON.stringify(latin) === JSON.stringify([
+    { type: 'equal', text: 'The lip ' },
+    { type: 'delete', text: 'filler' },
+    { type: 'insert', text: 'booster' },
+    { type: 'equal', text: ' lasts' }
+  ]), latin);
+
+  const chinese = differ.diffWords('注射玻尿酸后', '注射胶原蛋白后');
+  check('diffWords: Chinese words, not characters', JSON.stringify(chinese) === JSON.stringify([
+    { type: 'equal', text: '注射' },
+    { type: 'delete', text: '玻尿酸' },
+    { type: 'insert', text: '胶原蛋白' },
+    { type: 'equal', text: '后' }
+  ]), chinese);
+
+  check('similarity: the same text is 1', differ.similarity('唇部', '唇部') === 1);
+  check('similarity: no shared bigram is 0', differ.similarity('abcd', 'wxyz') === 0);
+  check('similarity: a single character is 0', differ.similarity('a', 'ab') === 0);
+  check('similarity: Dice over bigrams', Math.abs(differ.similarity('适应证', '适应证与评估') - 4 / 7) < 1e-9);
+}
+
+const OLD = [
+  '前言一段。',
+  '',
+  '# 适应证',
+  '',
+  '唇部干瘪的患者适合注射。',
+  '',
+  '- 第一项',
+  '- 第二项',
+  '- 第三项',
+  '',
+  '# 禁忌',
+  '',
+  '孕期禁止。',
+  '',
+  '# 旧节',
+  '',
+  '这一节将被删除。'
+].join('\n');
+
+const NEW = [
+  '前言一段。',
+  '',
+  '# 适应证与评估',
+  '',
+  '唇部干瘪的患者适合注射玻尿酸。',
+  '',
+  '- 第一项',
+  '- 第二项（修改）',
+  '- 第三项',
+  '',
+  '全新的段落，与原文毫不相同。',
+  '',
+  '# 禁忌',
+  '',
+  '孕期禁止。',
+  '',
+  '# 新节',
+  '',
+  '新增的内容。'
+].join('\n');
+
+function testCompare() {
+  const same = differ.compare(OLD, OLD);
+  check('compare: a chapter against itself is unchanged', same.stats.unchanged === same.sections.length &&
+    same.stats.added + same.stats.removed + same.stats.modified === 0 &&
+    same.sections.every(section => section.blocks.every(block => block.status === 'equal')), same.stats);
+
+  const result = differ.compare(OLD, NEW);
+  const summary = result.sections.map(section => `${section.status}:${section.oldHeading}>${section.newHeading}`);
+  check('compare: sections paired by heading', JSON.stringify(summary) === JSON.stringify([
+    'equal:null>null', 'modify:适应证>适应证与评估', 'equal:禁忌>禁忌', 'delete:旧节>null', 'insert:null>新节'
+  ]), summary);
+  check('compare: counts per section', JSON.stringify(result.stats) === JSON.stringify({ added: 1, removed: 1, modified: 1, unchanged: 2 }), result.stats);
+
+  const renamed = result.sections[1];
+  check('compare: a renamed heading is diffed', renamed.level === 1 && JSON.stringify(renamed.headingOps) === JSON.stringify([
+    { type: 'equal', text: '适应证' }, { type: 'insert', text: '与评估' }
+  ]), renamed.headingOps);
+  const blocks = renamed.blocks.map(block => `${block.status}:${block.type}`);
+  check('compare: list items one by one, a new paragraph inserted', JSON.stringify(blocks) === JSON.stringify([
+    'modify:paragraph', 'equal:item', 'modify:item', 'equal:item', 'insert:paragraph'
+  ]), blocks);
+  check('compare: a modified block carries its word diff', JSON.stringify(renamed.blocks[0].ops) === JSON.stringify([
+    { type: 'equal', text: '唇部干瘪的患者适合注射' }, { type: 'insert', text: '玻尿酸' }, { type: 'equal', text: '。' }
+  ]), renamed.blocks[0].ops);
+  check('compare: blocks keep their Markdown', renamed.blocks[2].oldText === '- 第二项' && renamed.blocks[2].newText === '- 第二项（修改）', renamed.blocks[2]);
+  check('compare: a removed section removes its blocks', result.sections[3].blocks.every(block => block.status === 'delete' && block.newText === null));
+
+  const rewritten = differ.compare('# 节\n\n完全不同的旧内容段落。', '# 节\n\nEntirely new English text.');
+  const replaced = rewritten.sections[0].blocks.map(block => block.status);
+  check('compare: a dissimilar rewrite is a deletion and an insertion', replaced.join() === 'delete,insert', replaced);
+
+  const preamble = differ.compare('旧的导语。\n\n# 节\n\n内容。', '新的导语。\n\n# 节\n\n内容。');
+  check('compare: text before the first heading is compared too', preamble.sections[0].level === 0 &&
+    preamble.sections[0].status === 'modify' && preamble.sections[1].status === 'equal', preamble.sections.map(section => section.status));
+  const empty = differ.compare('', '');
+  check('compare: two empty chapters', empty.sections.length === 0 && empty.stats.unchanged === 0, empty);
+  check('compare: a missing side is an empty chapter', differ.compare(null, '# 新\n\n内容。').stats.added === 1);
+}
+
+function testHTML() {
+  const result = differ.compare(OLD, NEW);
+  const html = differ.toHTML(result);
+  const sections = html.split('\n');
+
+  check('html: one <section> per section, by status', sections.length === 5 &&
+    sections.map(section => section.match(/^<section class="diff-section diff-(\w+)">/)[1]).join() === 'equal,modify,equal,delete,insert', sections.length);
+  check('html: heading changes inline, with a label', sections[1].includes('<h1 class="diff-heading">适应证<ins class="diff-ins">与评估</ins> <span class="diff-label">已修改</span></h1>'), sections[1]);
+  check('html: word changes inside the block', sections[1].includes('<div class="diff-block diff-modify" data-type="paragraph">唇部干瘪的患者适合注射<ins class="diff-ins">玻尿酸</ins>。</div>'), sections[1]);
+  check('html: removed and added sections', sections[3].includes('<del class="diff-del">旧节</del> <span class="diff-label">删除小节</span>') &&
+    sections[4].includes('<ins class="diff-ins">新节</ins> <span class="diff-label">新增小节</span>'), sections.slice(3));
+  check('html: unchanged blocks away from a change are folded', sections[0].includes('<details class="diff-folded"><summary>1 段未改动</summary>') &&
+    !sections[1].includes('diff-folded'), sections[0]);
+
+  const long = ['# 节', ...Array.from({ length: 6 }, (_, i) => `第${i + 1}段。`)].join('\n\n');
+  const changed = long.replace('第6段。', '第6段，改过。');
+  const folded = differ.toHTML(differ.compare(long, changed));
+  check('html: one unchanged block of context by default', /<summary>4 段未改动<\/summary>/.test(folded) && folded.includes('>第5段。</div><div class="diff-block diff-modify"'), folded);
+  const wide = differ.toHTML(differ.compare(long, changed), { context: 2 });
+  check('html: context is an option', /<summary>3 段未改动<\/summary>/.test(wide), wide);
+
+  const hostile = differ.toHTML(differ.compare('# 节\n\n正文。', '# 节\n\n正文。<img src=x onerror=alert(1)>'));
+  check('html: text is escaped', !/<img/.test(hostile) && hostile.includes('&lt;img src=x onerror=alert(1)&gt;'), hostile);
+}
+
+async function main() {
+  testEditScript();
+  testWords();
+  testCompare();
+  testHTML();
+}
+
+run(main);
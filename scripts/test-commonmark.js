@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+
+// CommonMark conformance suite for markdown-renderer.js
+// Runs every example from the official spec (commonmark-spec package)
+// through MarkdownRenderer in strict mode and compares the HTML output.
+//
+// Usage: node scripts/test-commonmark.js [--section "Tabs"] [--verbose]
+
+const path = require('path');
+const MarkdownRenderer = require(path.join(__dirname, '..', 'markdown-renderer.js'));
+
+let spec;
+try {
+  spec = require('commonmark-spec');
+} catch (error) {
+  console.error('❌ commonmark-spec is not installed. Run `npm install` first.');
+  process.exit(1);
+}
+
+const args = process.argv.slice(2);
+const verbose = args.includes('--verbose');
+const sectionIndex = args.indexOf('--section');
+const onlySection = sectionIndex !== -1 ? args[sectionIndex + 1] : null;
+
+// GFM tables/strikethrough and the book extensions are not part of the core spec;
+// the spec expects raw HTML to pass through verbatim, so sanitizing is off
+const renderer = new MarkdownRenderer({
+  strict: true,
+  sanitize: false,
+  gfm: false,
+  enableMath: false,
+  enableMermaid: false,
+  enableFootnotes: false,
+  enableDefinitionLists: false,
+  enableAdmonitions: false
+});
+
+// spec.txt writes tabs as → so they survive copy/paste
+function restoreTabs(text) {
+  return text.replace(/→/g, '\t');
+}
+
+// Make tabs and spaces visible in failure output
+function showSpaces(text) {
+  return text.replace(/\t/g, '→').replace(/ /g, '␣');
+}
+
+const sections = new Map();
+const failures = [];
+
+spec.tests
+  .filter(test => !onlySection || test.section === onlySection)
+  .forEach(test => {
+    const expected = restoreTabs(test.html);
+    let actual;
+    try {
+      actual = renderer.render(restoreTabs(test.markdown));
+    } catch (error) {
+      actual = `[threw] ${error.stack}`;
+    }
+
+    const passed = actual === expected;
+    const stats = sections.get(test.section) || { passed: 0, total: 0 };
+    stats.total++;
+    if (passed) stats.passed++;
+    sections.set(test.section, stats);
+
+    if (!passed) failures.push({ test, expected, actual });
+  });
+
+let passed = 0;
+let total = 0;
+
+console.log('\n📐 CommonMark conformance\n');
+sections.forEach((stats, section) => {
+  passed += stats.passed;
+  total += stats.total;
+  const icon = stats.passed === stats.total ? '✓' : '✗';
+  console.log(`   ${icon} ${section.padEnd(40)} ${stats.passed}/${stats.total}`);
+});
+
+if (verbose) {
+  failures.forEach(({ test, expected, actual }) => {
+    console.log(`\n--- Example ${test.number} (${test.section}) ---`);
+    console.log('Markdown:\n' + test.markdown.replace(/ /g, '␣'));
+    console.log('Expected:\n' + showSpaces(expected));
+    console.log('Actual:\n' + showSpaces(actual));
+  });
+}
+
+console.log(`\n${passed}/${total} examples passed (${failures.length} failed)\n`);
+process.exit(failures.length === 0 ? 0 : 1);
@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+
+// Edition alignment (edition-aligner.js): which chapter files are a base
+// and a revised edition, how heading titles are reduced and compared,
+// and how the sections of two editions pair up — level by level, in
+// order, with the sections of only one edition (and all under them) on
+// rows of their own. Also aligns the book's own edition pairs.
+//
+// Usage: node scripts/test-edition-aligner.js [--verbose]
+
+const fs = require('fs');
+const path = require('path');
+const EditionAligner = require(path.join(__dirname, '..', 'edition-aligner.js'));
+const MarkdownRenderer = require(path.join(__dirname, '..', 'markdown-renderer.js'));
+const { createSuite } = require('./test-helpers.js');
+
+const { check, run } = createSuite('Edition aligner');
+
+const ROOT = path.join(__dirname, '..');
+const aligner = new EditionAligner();
+
+function testPairs() {
+  const files = ['/01_a.md', '/01_a_enhanced.md', '/04_b.md', '/04_b_international.md', '/05_c_enhanced.md', '/06_d.md'];
+  const pairs = EditionAligner.findPairs(files);
+  check('pairs: a revised edition next to its base', JSON.stringify(pairs) === JSON.stringify([
+    { base: '/01_a.md', edition: '/01_a_enhanced.md', label: '增强版' },
+    { base: '/04_b.md', edition: '/04_b_international.md', label: '国际化版' }
+  ]), pairs);
+  check('pairs: none for an edition without its base', !pairs.some(pair => pair.edition === '/05_c_enhanced.md'));
+  check('pair of: found from either edition', EditionAligner.pairOf('/04_b.md', files).edition === '/04_b_international.md' &&
+    EditionAligner.pairOf('/04_b_international.md', files).base === '/04_b.md');
+  check('pair of: none for a chapter with one edition', EditionAligner.pairOf('/06_d.md', files) === null);
+}
+
+function testSimilarity() {
+  check('normalize: chapter numbers, edition notes, spaces and punctuation go',
+    aligner.normalize('第四章 技术精通（国际化升级版）') === '技术精通' && aligner.normalize('1.2 Lip Anatomy!') === 'lipanatomy' &&
+    aligner.normalize('（三）注射、深度') === '注射深度' && aligner.normalize('二、 术后护理') === '术后护理',
+    ['第四章 技术精通（国际化升级版）', '1.2 Lip Anatomy!', '（三）注射、深度', '二、 术后护理'].map(text => aligner.normalize(text)));
+
+  check('similarity: the same section under other numbering is 1', aligner.similarity('第一节 唇部解剖', '1.1 唇部解剖') === 1);
+  check('similarity: two empty titles are the same', aligner.similarity('1.', '（一）') === 1 && aligner.similarity('1.', '唇部') === 0);
+  check('similarity: nothing in common is 0', aligner.similarity('唇部解剖', '术后护理') === 0);
+  const dice = aligner.similarity('lipfiller', 'lipbooster');
+  check('similarity: Dice over bigrams', Math.abs(dice - (2 * 3) / (8 + 9)) < 1e-12, dice);
+  check('similarity: a longer version of a title counts as like it', aligner.similarity('透明质酸注射的深度解析', '透明质酸注射的深度解析与技术参数优化') >= 0.75);
+  check('similarity: a short title inside a long one does not', aligner.similarity('结语', '结语与展望未来的发展方向') < 0.5);
+}
+
+const heading = (level, text) => ({ level, text, id: text });
+const row = ({ left, right, depth }) => `${depth}:${left ? left.text : '-'}|${right ? right.text : '-'}`;
+
+function testAlign() {
+  const tree = aligner.buildTree([heading(1, 'A'), heading(2, 'A1'), heading(3, 'A1a'), heading(2, 'A2'), heading(1, 'B')]);
+  check('tree: headings nest by level', tree.children.length === 2 && tree.children[0].children.length === 2 &&
+    tree.children[0].children[0].children[0].heading.text === 'A1a' && tree.children[1].children.length === 0);
+
+  const left = [
+    heading(1, '第四章 技术精通'),
+    heading(2, '一、唇部解剖'),
+    heading(3, '血管分布'),
+    heading(2, '二、注射技术'),
+    heading(3, '结语'),
+    heading(2, '三、旧的小节'),
+    heading(3, '旧的细节')
+  ];
+  const right = [
+    heading(1, '第四章 技术精通（国际化版）'),
+    heading(2, '1. 唇部解剖'),
+    heading(3, '血管分布'),
+    heading(3, '神经分布'),
+    heading(2, '2. 注射技术'),
+    heading(2, '3. 国际指南'),
+    heading(2, '结语')
+  ];
+  const result = aligner.align(left, right);
+  const rows = result.rows.map(row);
+
+  check('align: rows in reading order, matched level by level', JSON.stringify(rows) === JSON.stringify([
+    '0:第四章 技术精通|第四章 技术精通（国际化版）',
+    '1:一、唇部解剖|1. 唇部解剖',
+    '2:血管分布|血管分布',
+    '2:-|神经分布',
+    '1:二、注射技术|2. 注射技术',
+    '2:结语|-',
+    '1:三、旧的小节|-',
+    '2:旧的细节|-',
+    '1:-|3. 国际指南',
+    '1:-|结语'
+  ]), rows);
+  check('align: a section never pairs with one at another level', !result.rows.some(row => row.left && row.right &&
+    row.left.level !== row.right.level));
+  check('align: the counts', result.matched === 4 && result.leftOnly === 3 && result.rightOnly === 3, result);
+  check('align: a matched row has its score', result.rows[0].score === 1 && result.rows.filter(row => !row.left || !row.right).every(row => row.score === 0));
+
+  const crossed = aligner.align([heading(2, '唇部解剖'), heading(2, '术后护理')], [heading(2, '术后护理'), heading(2, '唇部解剖')]);
+  check('align: in order, so swapped sections match once', crossed.matched === 1 && crossed.rows.length === 3, crossed.rows.map(row));
+
+  const best = aligner.align([heading(2, '注射技术要点')], [heading(2, '注射技术'), heading(2, '注射技术要点')]);
+  check('align: the closer title wins', best.matched === 1 && best.rows.map(row).join() === '0:-|注射技术,0:注射技术要点|注射技术要点',
+    best.rows.map(row));
+
+  check('align: empty editions', aligner.align([], []).rows.length === 0 && aligner.align([heading(1, 'A')], []).leftOnly === 1);
+  check('align: the threshold is an option', new EditionAligner({ threshold: 0.9 }).align([heading(2, 'lipfiller')], [heading(2, 'lipboosterx')]).matched === 0 &&
+    new EditionAligner({ threshold: 0.3 }).align([heading(2, 'lipfiller')], [heading(2, 'lipboosterx')]).matched === 1);
+}
+
+// The book's own editions: every heading on exactly one row, in order
+function testBook() {
+  const files = fs.readdirSync(ROOT).filter(file => /^\d\d_.+\.md$/.test(file));
+  const pairs = EditionAligner.findPairs(files);
+  check('book: its edition pairs are found', pairs.length >= 3, pairs);
+
+  const headingsOf = file => {
+    const renderer = new MarkdownRenderer({ enableMath: false, enableMermaid: false });
+    renderer.render(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+    return renderer.headings.slice();
+  };
+
+  pairs.forEach(pair => {
+    const left = headingsOf(pair.base);
+    const right = headingsOf(pair.edition);
+    const result = aligner.align(left, right);
+    const side = key => result.rows.map(row => row[key]).filter(Boolean);
+
+    check(`book: ${pair.edition} — every heading once, in order`, side('left').every((h, i) => h === left[i]) &&
+      side('left').length === left.length && side('right').every((h, i) => h === right[i]) && side('right').length === right.length);
+    check(`book: ${pair.edition} — the chapter titles pair up`, result.rows[0].left && result.rows[0].right, result.rows[0]);
+  });
+}
+
+async function main() {
+  testPairs();
+  testSimilarity();
+  testAlign();
+  testBook();
+}
+
+run(main);
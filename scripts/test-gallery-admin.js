@@ -0,0 +1,651 @@
+#!/usr/bin/env node
+
+// Gallery admin service (gallery-admin-server.js) over HTTP: uploads,
+// edits, the draft → review → approved → published workflow and who may
+// move a case along it, the consent rule, the audit trail, what the
+// public side can see at each step, and that everything survives a
+// restart, and photo de-identification: metadata stripped, the unmasked
+// original kept private, the mask redrawn until approval. The published
+// cases are read back through the gallery's RestDataSource.
+//
+// Usage: node scripts/test-gallery-admin.js [--verbose]
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const GalleryDataSources = require(path.join(__dirname, '..', 'gallery-data-sources.js'));
+const {
+  createGalleryAdminServer, GalleryCaseStore, imageInfo, addUser, loadUsers, CASE_ENUMS
+} = require('./gallery-admin-server.js');
+const { AuditLog } = require('./gallery-audit-log.js');
+const { createSuite, jpeg, png, webp, withMetadata } = require('./test-helpers.js');
+
+const { check, run } = createSuite('Gallery admin');
+
+const TOKEN = 'test-admin-token';
+
+// What admin.html sends with a photo it has de-identified
+const DEIDENTIFIED = {
+  'X-Deidentification': encodeURIComponent(JSON.stringify({
+    detector: 'lip-landmarks', mode: 'blur', regions: [{ x: 0.2, y: 0.1, width: 0.6, height: 0.3 }], metadataRemoved: []
+  }))
+};
+
+// A case the gallery accepts, less its photo
+const COMPLETE = {
+  title: '自然丰唇 - 测试',
+  treatmentType: 'lip-enhancement',
+  category: 'case-study',
+  ageRange: '26-35',
+  doctor: 'dr-test',
+  doctorName: '测试医生',
+  date: '2024-05-01',
+  tags: ['测试', ' 自然 ', '测试', '']
+};
+
+function testImageInfo() {
+  const p = imageInfo(png(640, 480));
+  check('imageInfo: PNG type and size', p && p.type === 'image/png' && p.width === 640 && p.height === 480, p);
+  const j = imageInfo(jpeg(1200, 900));
+  check('imageInfo: JPEG size from its frame header', j && j.type === 'image/jpeg' && j.width === 1200 && j.height === 900, j);
+  const x = imageInfo(webp(3000, 2000, 'VP8X'));
+  check('imageInfo: extended WebP', x && x.type === 'image/webp' && x.width === 3000 && x.height === 2000, x);
+  const l = imageInfo(webp(800, 600, 'VP8L'));
+  check('imageInfo: lossless WebP', l && l.width === 800 && l.height === 600, l);
+  check('imageInfo: text is not an image', imageInfo(Buffer.from('<svg onload="alert(1)"></svg>')) === null);
+  check('imageInfo: GIF is not accepted', imageInfo(Buffer.from('GIF89a\x01\x00\x01\x00')) === null);
+}
+
+// Each role does its own part of the workflow, and only that
+async function testRoles(call, tokens) {
+  const as = role => ({ Authorization: `Bearer ${tokens[role]}` });
+  const uploadAs = (role, name, bytes) => call('POST', '/api/admin/cases', bytes, Object.assign({ 'X-File-Name': name }, as(role), DEIDENTIFIED));
+  const statusAs = (role, id, status, comment) => call('POST', `/api/admin/cases/${id}/status`, { status, comment }, as(role));
+
+  let res = await call('GET', '/api/admin/me', undefined, as('reviewer'));
+  check('roles: /me names the user and roles', res.status === 200 && res.json.id === 'li' &&
+    JSON.stringify(res.json.roles) === '["reviewer"]', res.json);
+
+  res = await uploadAs('reviewer', 'r.png', png(10, 10));
+  check('roles: a reviewer cannot upload', res.status === 403, res.json);
+  res = await uploadAs('uploader', 'u.png', png(300, 400));
+  const item = res.json;
+  check('roles: an uploader can', res.status === 201 && item.createdBy.id === 'zhang', res.json);
+  check('roles: an uploader may edit, submit and delete a draft', item.editable && item.deletable &&
+    JSON.stringify(item.actions) === JSON.stringify([{ status: 'review', comment: false }]), item);
+  const url = `/api/admin/cases/${item.id}`;
+
+  res = await call('GET', url, undefined, as('reviewer'));
+  check('roles: a reviewer may do nothing to a draft', !res.json.editable && !res.json.deletable && res.json.actions.length === 0, res.json);
+  res = await call('PATCH', url, { title: '改' }, as('publisher'));
+  check('roles: a publisher cannot edit', res.status === 403, res.json);
+  res = await call('PATCH', url, Object.assign({}, COMPLETE, { consentRef: 'IC-2024-0701' }), as('uploader'));
+  check('roles: the uploader fills it in', res.status === 200 && res.json.problems.length === 0, res.json);
+  res = await statusAs('reviewer', item.id, 'review');
+  check('roles: a reviewer cannot submit', res.status === 403, res.json);
+  res = await statusAs('uploader', item.id, 'review');
+  check('roles: the uploader submits for review', res.status === 200, res.json);
+
+  res = await call('GET', '/api/admin/cases?status=review', undefined, as('reviewer'));
+  const queued = res.json.items.find(entry => entry.id === item.id);
+  check('roles: the review queue offers approve and reject, both with comments', queued &&
+    JSON.stringify(queued.actions) === JSON.stringify([{ status: 'approved', comment: true }, { status: 'draft', comment: true }]), queued);
+  res = await statusAs('uploader', item.id, 'approved', '我觉得可以');
+  check('roles: an uploader cannot approve', res.status === 403, res.json);
+  res = await statusAs('publisher', item.id, 'approved', '可以');
+  check('roles: a publisher cannot approve', res.status === 403, res.json);
+  res = await statusAs('reviewer', item.id, 'draft');
+  check('roles: rejecting needs a comment', res.status === 422, res.json);
+  res = await statusAs('reviewer', item.id, 'draft', '术前照片角度不一致，请重新拍摄');
+  check('roles: the reviewer rejects', res.status === 200 && res.json.status === 'draft' &&
+    res.json.lastReview.by.name === '李医生' && res.json.lastReview.from === 'review', res.json);
+
+  await statusAs('uploader', item.id, 'review');
+  res = await statusAs('reviewer', item.id, 'approved', '符合发布标准');
+  check('roles: the reviewer approves', res.status === 200 && res.json.status === 'approved', res.json);
+  res = await statusAs('reviewer', item.id, 'published');
+  check('roles: a reviewer cannot publish', res.status === 403, res.json);
+  res = await statusAs('publisher', item.id, 'published');
+  check('roles: the publisher publishes', res.status === 200 && res.json.status === 'published', res.json);
+  res = await call('DELETE', url, undefined, as('uploader'));
+  check('roles: nobody deletes a published case', res.status === 409, res.json);
+
+  res = await call('GET', `/api/admin/audit?caseId=${item.id}`, undefined, as('uploader'));
+  const who = res.json.items.slice().reverse().map(entry => `${entry.user.id}:${entry.action}`);
+  check('roles: the audit trail names each person', JSON.stringify(who) === JSON.stringify([
+    'zhang:create', 'zhang:update', 'zhang:status', 'li:status', 'zhang:status', 'li:status', 'wang:status'
+  ]), who);
+  const rejection = res.json.items.find(entry => entry.comment === '术前照片角度不一致，请重新拍摄');
+  check('roles: a rejection is kept with its comment', rejection && rejection.user.name === '李医生' &&
+    rejection.changes.status.from === 'review' && rejection.changes.status.to === 'draft', rejection);
+}
+
+// Photos come in de-identified; the original stays private and the mask
+// can be redrawn by the uploader in draft and the reviewer in review
+async function testDeidentification(call, tokens, dataDir) {
+  const as = role => ({ Authorization: `Bearer ${tokens[role]}` });
+  const processed = record => ({ 'X-Deidentification': encodeURIComponent(JSON.stringify(record)) });
+  const onDisk = dir => fs.readdirSync(path.join(dataDir, dir));
+  const band = { x: 0.2, y: 0.1, width: 0.6, height: 0.3 };
+  const record = { detector: 'lip-landmarks', mode: 'blur', regions: [band], metadataRemoved: ['EXIF', 'GPS'] };
+
+  let res = await call('POST', '/api/admin/cases', withMetadata(jpeg(400, 300)),
+    Object.assign({ 'X-File-Name': 'face.jpg' }, as('uploader'), processed({ detector: 'guess', mode: 'blur', regions: [] })));
+  check('de-identification: a malformed record is refused', res.status === 422 && /^detector/.test(res.json.details[0]), res.json);
+  res = await call('POST', '/api/admin/cases', jpeg(400, 300), Object.assign({ 'X-Deidentification': '%7Bnope' }, as('uploader')));
+  check('de-identification: a record that is not JSON is 400', res.status === 400, res.json);
+
+  res = await call('POST', '/api/admin/cases', withMetadata(jpeg(400, 300)), Object.assign({ 'X-File-Name': 'face.jpg' }, as('uploader'), processed(record)));
+  const item = res.json;
+  const url = `/api/admin/cases/${item.id}`;
+  const photo = () => item.images.after;
+  check('de-identification: the record is kept with the photo', res.status === 201 && photo().deidentification.detector === 'lip-landmarks' &&
+    JSON.stringify(photo().deidentification.regions) === JSON.stringify([band]) && !isNaN(Date.parse(photo().deidentification.at)), photo());
+  check('de-identification: and adds what the server stripped', JSON.stringify(photo().deidentification.metadataRemoved) ===
+    JSON.stringify(['EXIF', 'GPS', 'comment']), photo().deidentification);
+  const stored = fs.readFileSync(path.join(dataDir, 'uploads', photo().file));
+  check('de-identification: no metadata reaches the disk', !stored.includes(Buffer.from('Exif')) &&
+    !stored.includes(Buffer.from('13800000000')) && imageInfo(stored).width === 400, stored.length);
+
+  res = await call('POST', '/api/admin/cases', withMetadata(jpeg(20, 20)),
+    Object.assign({ 'X-File-Name': 'raw.jpg' }, as('uploader')));
+  const raw = res.json.images.after.deidentification;
+  check('de-identification: a photo sent without a record is stripped and marked unprocessed', res.status === 201 &&
+    raw.detector === null && raw.regions.length === 0 && raw.metadataRemoved.includes('GPS'), raw);
+  const rawURL = `/api/admin/cases/${res.json.id}`;
+  await call('PATCH', rawURL, Object.assign({}, COMPLETE, { consentRef: 'IC-2024-0802' }), as('uploader'));
+  res = await call('POST', `${rawURL}/status`, { status: 'review' }, as('uploader'));
+  check('de-identification: an unprocessed photo cannot go to review', res.status === 422 &&
+    JSON.stringify(res.json.details) === '["images.after has not been de-identified"]', res.json);
+  await call('DELETE', rawURL, undefined, as('uploader'));
+
+  // Nothing found, nothing masked: someone has to look
+  const none = { detector: 'none', mode: 'blur', regions: [], metadataRemoved: [] };
+  const empty = { detector: 'manual', mode: 'blur', regions: [] };
+  res = await call('POST', '/api/admin/cases', jpeg(300, 200), Object.assign({ 'X-File-Name': 'lips.jpg' }, as('uploader'), processed(none)));
+  const unseenURL = `/api/admin/cases/${res.json.id}`;
+  await call('PATCH', unseenURL, Object.assign({}, COMPLETE, { consentRef: 'IC-2024-0803' }), as('uploader'));
+  res = await call('POST', `${unseenURL}/status`, { status: 'review' }, as('uploader'));
+  check('de-identification: no face found and nothing masked holds back review', res.status === 422 &&
+    /^images\.after has nothing masked and no face was found/.test(res.json.details[0]), res.json);
+  await call('PUT', `${unseenURL}/images/after/mask`, jpeg(300, 200), Object.assign({}, as('uploader'), processed(empty)));
+  res = await call('POST', `${unseenURL}/status`, { status: 'review' }, as('uploader'));
+  check('de-identification: the uploader saving an empty mask by hand lets it through', res.status === 200, res.json);
+  res = await call('POST', `${unseenURL}/status`, { status: 'approved', comment: '可以' }, as('reviewer'));
+  check('de-identification: but the reviewer must confirm it before approving', res.status === 422 &&
+    /the reviewer must confirm/.test(res.json.details[0]), res.json);
+  await call('PUT', `${unseenURL}/images/after/mask`, jpeg(300, 200), Object.assign({}, as('reviewer'), processed(empty)));
+  res = await call('POST', `${unseenURL}/status`, { status: 'approved', comment: '画面中无眼部' }, as('reviewer'));
+  check('de-identification: which they do by saving the mask', res.status === 200 &&
+    res.json.images.after.deidentification.adjustedBy.role === 'reviewer', res.json);
+  res = await call('POST', `${unseenURL}/status`, { status: 'published' }, as('publisher'));
+  check('de-identification: and it can be published', res.status === 200, res.json);
+  await call('POST', `${unseenURL}/status`, { status: 'archived' }, as('publisher'));
+  await call('DELETE', unseenURL, undefined, as('publisher'));
+
+  // A detector that ran and masked nothing is no sign-off either
+  for (const detector of ['face-detector', 'lip-landmarks']) {
+    res = await call('POST', '/api/admin/cases', jpeg(300, 200), Object.assign({ 'X-File-Name': 'lips.jpg' }, as('uploader'),
+      processed({ detector, mode: 'blur', regions: [], metadataRemoved: [] })));
+    const blankURL = `/api/admin/cases/${res.json.id}`;
+    await call('PATCH', blankURL, Object.assign({}, COMPLETE, { consentRef: 'IC-2024-0804' }), as('uploader'));
+    res = await call('POST', `${blankURL}/status`, { status: 'review' }, as('uploader'));
+    check(`de-identification: ${detector} with nothing masked holds back review`, res.status === 422 &&
+      /^images\.after has nothing masked/.test(res.json.details[0]), res.json);
+    await call('DELETE', blankURL, undefined, as('uploader'));
+  }
+
+  res = await call('PUT', `${url}/images/after/original`, jpeg(300, 400), as('uploader'));
+  check('originals: must be the size of the photo', res.status === 422 && /^original/.test(res.json.details[0]), res.json);
+  res = await call('PUT', `${url}/images/after/original`, withMetadata(jpeg(400, 300)), as('reviewer'));
+  check('originals: only the uploader sends one', res.status === 403, res.json);
+  res = await call('PUT', `${url}/images/after/original`, withMetadata(jpeg(400, 300)), as('uploader'));
+  const original = res.json.images && res.json.images.after.original;
+  check('originals: kept apart from the photos', res.status === 200 && original && onDisk('originals').includes(original.file) &&
+    !onDisk('uploads').includes(original.file), res.json);
+  check('originals: without their metadata', !fs.readFileSync(path.join(dataDir, 'originals', original.file)).includes(Buffer.from('Exif')));
+  res = await call('GET', `${url}/images/after/original`, undefined, as('uploader'));
+  check('originals: the uploader fetches a draft\'s to redraw the mask', res.status === 200 &&
+    res.headers.get('Content-Type') === 'image/jpeg' && /no-store/.test(res.headers.get('Cache-Control')), res.status);
+  res = await call('GET', `${url}/images/after/original`, undefined, as('reviewer'));
+  check('originals: not the reviewer while it is a draft', res.status === 403, res.status);
+  res = await call('GET', `${url}/images/after/original`, undefined, { Authorization: '' });
+  check('originals: nor anyone signed out', res.status === 401, res.status);
+  res = await call('GET', `/uploads/${original.file}`, undefined, { Authorization: '' });
+  check('originals: never under /uploads', res.status === 404, res.status);
+  res = await call('GET', `${url}/images/before/original`, undefined, as('uploader'));
+  check('originals: a missing one is 404', res.status === 404, res.status);
+
+  const redrawn = { detector: 'manual', mode: 'mask', regions: [band, { x: 0.1, y: 0.5, width: 0.1, height: 0.1 }] };
+  res = await call('PUT', `${url}/images/after/mask`, jpeg(400, 300), Object.assign({}, as('reviewer'), processed(redrawn)));
+  check('mask: a reviewer does not touch a draft', res.status === 403, res.json);
+  res = await call('PUT', `${url}/images/after/mask`, jpeg(400, 300), as('uploader'));
+  check('mask: needs the new record', res.status === 422 && res.json.details[0] === 'deidentification is required', res.json);
+  res = await call('PUT', `${url}/images/after/mask`, jpeg(200, 150), Object.assign({}, as('uploader'), processed(redrawn)));
+  check('mask: the photo keeps its size', res.status === 422 && /^masked photo/.test(res.json.details[0]), res.json);
+  const firstFile = photo().file;
+  res = await call('PUT', `${url}/images/after/mask`, jpeg(400, 300), Object.assign({}, as('uploader'), processed(redrawn)));
+  let after = res.json.images && res.json.images.after;
+  check('mask: the uploader redraws it on a draft', res.status === 200 && after.deidentification.mode === 'mask' &&
+    after.deidentification.regions.length === 2 && after.deidentification.adjustedBy.id === 'zhang', after);
+  check('mask: the original stays, the old photo goes', after && after.original.file === original.file &&
+    onDisk('originals').includes(original.file) && !onDisk('uploads').includes(firstFile), after);
+  check('mask: what was stripped before is still on record', after && after.deidentification.metadataRemoved.includes('GPS'), after);
+
+  await call('PATCH', url, Object.assign({}, COMPLETE, { consentRef: 'IC-2024-0801' }), as('uploader'));
+  res = await call('POST', `${url}/status`, { status: 'review' }, as('uploader'));
+  check('mask: submitting hands it over to the reviewer', res.status === 200 && !res.json.maskable, res.json.maskable);
+  res = await call('GET', url, undefined, as('reviewer'));
+  check('mask: … and is told so', res.json.maskable === true, res.json.maskable);
+  res = await call('PUT', `${url}/images/after/mask`, jpeg(400, 300), Object.assign({}, as('uploader'), processed(redrawn)));
+  check('mask: the uploader no longer can', res.status === 403, res.json);
+  res = await call('GET', `${url}/images/after/original`, undefined, as('uploader'));
+  check('originals: nor fetch the original in review', res.status === 403, res.status);
+  res = await call('GET', `${url}/images/after/original`, undefined, as('publisher'));
+  check('originals: nor the publisher', res.status === 403, res.status);
+  res = await call('GET', `${url}/images/after/original`, undefined, as('reviewer'));
+  check('originals: the reviewer fetches it in review', res.status === 200, res.status);
+  res = await call('PUT', `${url}/images/after/mask`, jpeg(400, 300),
+    Object.assign({}, as('reviewer'), processed(Object.assign({}, redrawn, { regions: [{ x: 0.15, y: 0.05, width: 0.7, height: 0.4 }] }))));
+  after = res.json.images && res.json.images.after;
+  check('mask: the reviewer widens it', res.status === 200 && after.deidentification.regions[0].width === 0.7 &&
+    after.deidentification.adjustedBy.name === '李医生', after);
+  await call('POST', `${url}/status`, { status: 'approved', comment: '遮挡已扩大到眉部' }, as('reviewer'));
+  res = await call('PUT', `${url}/images/after/mask`, jpeg(400, 300), Object.assign({}, as('reviewer'), processed(redrawn)));
+  check('mask: approved cases are locked', res.status === 409, res.json);
+
+  res = await call('GET', `/api/admin/audit?caseId=${item.id}`, undefined, as('reviewer'));
+  const masks = res.json.items.filter(entry => entry.action === 'mask').reverse();
+  check('mask: each redraw is audited with its regions', masks.length === 2 && masks[0].user.id === 'zhang' &&
+    masks[0].changes['images.after.regions'].from.length === 1 && masks[0].changes['images.after.mask'].to === 'mask' &&
+    masks[1].user.id === 'li' && !masks[1].changes['images.after.mask'], masks.map(entry => entry.changes));
+
+  res = await call('GET', `${url}/images/after/original`, undefined, as('reviewer'));
+  check('originals: once approved, not even the reviewer', res.status === 409, res.status);
+
+  await call('POST', `${url}/status`, { status: 'published' }, as('publisher'));
+  for (const role of ['publisher', 'uploader']) {
+    res = await call('GET', `${url}/images/after/original`, undefined, as(role));
+    check(`originals: a published case's is not given to the ${role}`, res.status === 409, res.status);
+  }
+  res = await call('GET', '/api/cases');
+  const published = res.json.items.find(entry => entry.id === item.id);
+  check('de-identification: nothing of it is public', published && published.images === undefined &&
+    !JSON.stringify(published).includes(original.file), published);
+
+  await call('POST', `${url}/status`, { status: 'archived' }, as('publisher'));
+  res = await call('DELETE', url, undefined, as('publisher'));
+  check('originals: deleted with the case', res.status === 204 && !onDisk('originals').includes(original.file), onDisk('originals'));
+}
+
+// A case approved before photos had to be de-identified is not published
+async function testLegacyPublish(root) {
+  const dataDir = path.join(root, 'legacy-data');
+  const store = await new GalleryCaseStore(dataDir).open();
+  const uploader = { id: 'zhang', name: '张', roles: ['uploader'] };
+  const publisher = { id: 'wang', name: '王', roles: ['publisher'] };
+  const record = await store.create(jpeg(400, 300), 'old.jpg', uploader, null);
+  await store.update(record.id, Object.assign({}, COMPLETE, { consentRef: 'IC-2023-0001' }), uploader);
+  store.get(record.id).status = 'approved';
+
+  let error = null;
+  try {
+    await store.setStatus(record.id, 'published', publisher);
+  } catch (caught) {
+    error = caught;
+  }
+  check('de-identification: an approved case with an unprocessed photo is not published', error && error.status === 422 &&
+    error.details[0] === 'images.after has not been de-identified' && store.get(record.id).status === 'approved', error && error.details);
+}
+
+async function main() {
+  testImageInfo();
+
+  // A throwaway site with the data directory inside it, as in the repo
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'gallery-admin-'));
+  fs.writeFileSync(path.join(root, 'admin.html'), '<!DOCTYPE html><title>admin</title>');
+  fs.writeFileSync(path.join(root, '.env'), 'SECRET=1');
+  const dataDir = path.join(root, 'gallery-admin-data');
+
+  // One account per role, as --add-user makes them
+  const tokens = {
+    uploader: await addUser(dataDir, { id: 'zhang', name: '张护士', roles: ['uploader'] }),
+    reviewer: await addUser(dataDir, { id: 'li', name: '李医生', roles: ['reviewer'] }),
+    publisher: await addUser(dataDir, { id: 'wang', name: '王编辑', roles: ['publisher'] })
+  };
+  const usersFile = fs.readFileSync(path.join(dataDir, 'users.json'), 'utf8');
+  check('users: tokens are not stored', Object.values(tokens).every(token => !usersFile.includes(token)));
+  let refused = '';
+  try {
+    await addUser(dataDir, { id: 'x', name: 'x', roles: ['superuser'] });
+  } catch (error) {
+    refused = error.message;
+  }
+  check('users: unknown roles refused', /roles must be among/.test(refused), refused);
+
+  let server = null;
+  const start = async () => {
+    const store = await new GalleryCaseStore(dataDir).open();
+    const users = await loadUsers(dataDir);
+    server = createGalleryAdminServer({ store, users, token: TOKEN, root, maxUpload: 64 * 1024 });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return `http://127.0.0.1:${server.address().port}`;
+  };
+  const stop = () => new Promise(resolve => server.close(resolve));
+
+  try {
+    let base = await start();
+    const auth = { Authorization: `Bearer ${TOKEN}` };
+    const call = async (method, url, body, headers = {}) => {
+      const init = { method, headers: Object.assign({}, auth, headers) };
+      if (Buffer.isBuffer(body)) init.body = body;
+      else if (body !== undefined) {
+        init.body = JSON.stringify(body);
+        init.headers['Content-Type'] = 'application/json';
+      }
+      const response = await fetch(base + url, init);
+      const text = await response.text();
+      let json = null;
+      try { json = JSON.parse(text); } catch (error) { /* not JSON */ }
+      return { status: response.status, headers: response.headers, json, text };
+    };
+    const upload = (name, bytes) => call('POST', '/api/admin/cases', bytes, Object.assign({ 'X-File-Name': encodeURIComponent(name) }, DEIDENTIFIED));
+    const uploadsOnDisk = () => fs.readdirSync(path.join(dataDir, 'uploads')).sort();
+
+    // Who may do what
+    let res = await call('GET', '/api/admin/cases', undefined, { Authorization: '' });
+    check('admin: no token is 401', res.status === 401, res.status);
+    res = await call('GET', '/api/admin/cases', undefined, { Authorization: 'Bearer wrong' });
+    check('admin: a wrong token is 401', res.status === 401, res.status);
+    res = await call('GET', '/api/admin/cases');
+    check('admin: starts empty', res.status === 200 && res.json.items.length === 0, res.json);
+
+    res = await fetch(`${base}/api/admin/cases`, { method: 'OPTIONS' });
+    check('CORS: preflight allows the admin headers',
+      res.status === 204 && /Authorization/.test(res.headers.get('Access-Control-Allow-Headers')) &&
+      /X-File-Name/.test(res.headers.get('Access-Control-Allow-Headers')) && /X-Deidentification/.test(res.headers.get('Access-Control-Allow-Headers')));
+
+    // Uploads
+    res = await upload('notes.txt', Buffer.from('not an image'));
+    check('upload: non-image refused with 415', res.status === 415, res);
+    res = await upload('fake.jpg', Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>'));
+    check('upload: the extension does not make an image', res.status === 415, res.status);
+    res = await upload('huge.png', Buffer.concat([png(10, 10), Buffer.alloc(70 * 1024)]));
+    check('upload: over the size limit is 413', res.status === 413, res.status);
+    check('upload: refused files leave nothing on disk', uploadsOnDisk().length === 0, uploadsOnDisk());
+
+    res = await upload('张女士 术后.png', png(600, 800));
+    const draft = res.json;
+    check('upload: creates a draft', res.status === 201 && draft.status === 'draft', res);
+    check('upload: title from the file name', draft.title === '张女士 术后', draft.title);
+    check('upload: photo size recorded', draft.imageWidth === 600 && draft.imageHeight === 800, draft);
+    check('upload: problems say what publishing needs',
+      ['treatmentType', 'ageRange', 'doctor'].every(field => draft.problems.some(problem => problem.startsWith(field))), draft.problems);
+    const afterURL = draft.afterImage;
+    check('upload: photo stored under uploads/', /^\/uploads\/case-[\w-]+-after-[0-9a-f]+\.png$/.test(afterURL), afterURL);
+
+    res = await fetch(base + afterURL);
+    check('photos: a draft photo is hidden from the public', res.status === 404, res.status);
+    res = await fetch(base + afterURL, { headers: auth });
+    check('photos: admins see draft photos', res.status === 200 && res.headers.get('Content-Type') === 'image/png' &&
+      res.headers.get('X-Content-Type-Options') === 'nosniff' && /no-store/.test(res.headers.get('Cache-Control')));
+
+    res = await call('GET', '/api/cases');
+    check('public: drafts are not listed', res.status === 200 && res.json.total === 0 && res.json.items.length === 0, res.json);
+
+    // Edits
+    const caseURL = `/api/admin/cases/${draft.id}`;
+    res = await call('PATCH', caseURL, { status: 'published' });
+    check('edit: status is not an editable field', res.status === 400, res.json);
+    res = await call('PATCH', caseURL, { afterImage: 'javascript:alert(1)' });
+    check('edit: photo URLs are not editable', res.status === 400, res.json);
+    res = await call('PATCH', caseURL, { treatmentType: 'lip-filler' });
+    check('edit: values outside the gallery options refused', res.status === 422 && /treatmentType/.test(res.json.details[0]), res.json);
+    res = await call('PATCH', caseURL, { doctor: '王医生' });
+    check('edit: malformed doctor id refused', res.status === 422, res.json);
+    res = await call('PATCH', caseURL, { clinic: 42 });
+    check('edit: clinic must be text', res.status === 422, res.json);
+    res = await call('PATCH', caseURL, { description: '  术后两周  ', clinic: '美丽诊所' });
+    check('edit: a draft can be filled in piece by piece', res.status === 200 && res.json.description === '术后两周' && res.json.clinic === '美丽诊所', res.json);
+    res = await fetch(`${base}${caseURL}`, { method: 'PATCH', headers: Object.assign({ 'Content-Type': 'application/json' }, auth), body: '{oops' });
+    check('edit: a body that is not JSON is 400', res.status === 400, res.status);
+
+    // Photos, while it is a draft
+    res = await call('PUT', `${caseURL}/images/before`, jpeg(600, 800), Object.assign({ 'X-File-Name': 'before.jpg' }, DEIDENTIFIED));
+    check('photos: before photo added', res.status === 200 && /-before-[0-9a-f]+\.jpg$/.test(res.json.beforeImage), res.json);
+    res = await call('PUT', `${caseURL}/images/after`, png(700, 900), DEIDENTIFIED);
+    const newAfter = res.json.afterImage;
+    check('photos: after photo replaced under a new name', res.status === 200 && newAfter !== afterURL && res.json.imageWidth === 700, res.json);
+    res = await fetch(base + afterURL, { headers: auth });
+    check('photos: the replaced file is gone', res.status === 404, res.status);
+    res = await call('DELETE', `${caseURL}/images/after`);
+    check('photos: the after photo cannot be removed', res.status === 400, res.json);
+    res = await call('PUT', '/api/admin/cases/case-missing/images/after', png(10, 10));
+    check('photos: unknown case is 404', res.status === 404, res.status);
+
+    // Workflow
+    const setStatus = (status, comment) => call('POST', `${caseURL}/status`, { status, comment });
+    // The admin created these cases, so another reviewer approves them
+    const reviewer = { Authorization: `Bearer ${tokens.reviewer}` };
+    const approve = (url, comment) => call('POST', `${url}/status`, { status: 'approved', comment }, reviewer);
+    res = await setStatus('published');
+    check('workflow: a draft cannot skip review', res.status === 409, res.json);
+    res = await setStatus('review');
+    check('workflow: an incomplete case cannot enter review', res.status === 422 && res.json.details.length >= 3, res.json);
+    res = await setStatus('deleted');
+    check('workflow: unknown status refused', res.status === 400, res.json);
+
+    res = await call('PATCH', caseURL, COMPLETE);
+    check('edit: complete case saved, tags cleaned', res.status === 200 && res.json.problems.length === 0 &&
+      JSON.stringify(res.json.tags) === JSON.stringify(['测试', '自然']), res.json);
+    check('edit: a lip treatment needs consent on record', res.json.needsConsent === true, res.json.needsConsent);
+    res = await setStatus('review');
+    check('workflow: draft → review', res.status === 200 && res.json.status === 'review', res.json);
+    res = await call('PATCH', caseURL, { title: '审核中修改' });
+    check('workflow: a case in review is locked', res.status === 409, res.json);
+    res = await call('PUT', `${caseURL}/images/after`, png(10, 10));
+    check('workflow: and so are its photos', res.status === 409, res.json);
+    res = await call('GET', '/api/cases');
+    check('public: cases in review are not listed', res.json.total === 0, res.json);
+    res = await setStatus('published');
+    check('workflow: review cannot skip approval', res.status === 409, res.json);
+    res = await call('GET', caseURL);
+    check('workflow: whoever created a case is not offered its approval',
+      JSON.stringify(res.json.actions) === JSON.stringify([{ status: 'draft', comment: true }]), res.json.actions);
+    res = await setStatus('approved', '我自己看过了');
+    check('workflow: nor may they approve it, holding every role', res.status === 403 && /other than whoever created it/.test(res.json.error), res.json);
+    res = await approve(caseURL);
+    check('workflow: approval needs a comment', res.status === 422 && res.json.details[0] === 'comment is required', res.json);
+    res = await approve(caseURL, '   ');
+    check('workflow: a blank comment is no comment', res.status === 422, res.json);
+    res = await approve(caseURL, '影像清晰，适应证描述准确');
+    check('workflow: review → approved by another reviewer', res.status === 200 && res.json.status === 'approved' &&
+      res.json.lastReview.comment === '影像清晰，适应证描述准确' && res.json.lastReview.by.id === 'li', res.json);
+    res = await call('GET', '/api/cases');
+    check('public: approved but unpublished cases are not listed', res.json.total === 0, res.json);
+    res = await setStatus('published');
+    check('consent: a clinical case is not published without a consent reference',
+      res.status === 422 && /^consentRef/.test(res.json.details[0]), res.json);
+    res = await setStatus('draft', '请补充知情同意书编号');
+    check('workflow: approved → draft, sent back with a comment', res.status === 200 && res.json.status === 'draft', res.json);
+    res = await call('PATCH', caseURL, { consentRef: 42 });
+    check('consent: the reference is text', res.status === 422, res.json);
+    res = await call('PATCH', caseURL, { consentRef: 'IC-2024-0501' });
+    check('consent: reference recorded', res.status === 200 && res.json.needsConsent === false && res.json.consentRef === 'IC-2024-0501', res.json);
+    await setStatus('review');
+    await approve(caseURL, '已核对知情同意书');
+    res = await setStatus('published');
+    check('workflow: approved → published', res.status === 200 && res.json.status === 'published' && res.json.publishedAt, res.json);
+
+    // A second case, to page through
+    const second = (await upload('second.jpg', jpeg(800, 600))).json;
+    const secondURL = `/api/admin/cases/${second.id}`;
+    await call('PATCH', secondURL, Object.assign({}, COMPLETE, { title: '第二个案例', date: '2024-06-01', consentRef: 'IC-2024-0601' }));
+    await call('POST', `${secondURL}/status`, { status: 'review' });
+    await approve(secondURL, '同意发布');
+    res = await call('POST', `${secondURL}/status`, { status: 'published' });
+    check('workflow: second case published', res.status === 200, res.json);
+
+    // What the gallery sees
+    const source = GalleryDataSources.create({ type: 'rest', url: `${base}/api/cases` });
+    const seen = new Set();
+    const items = [];
+    let cursor = null;
+    let pages = 0;
+    do {
+      const page = await source.load({ cursor, limit: 1 });
+      const result = GalleryDataSources.validateItems(page.items, { enums: CASE_ENUMS, seen });
+      check(`public: page ${pages + 1} passes the gallery schema`, result.rejected.length === 0, result.rejected);
+      items.push(...result.items);
+      cursor = page.nextCursor;
+      pages++;
+    } while (cursor !== null && pages < 10);
+    check('public: both published cases, one per page', items.length === 2 && pages === 2, items.map(item => item.id));
+    check('public: newest publication first', items[0].id === second.id, items.map(item => item.id));
+    const published = items.find(item => item.id === draft.id);
+    check('public: gallery fields carried over', published && published.title === COMPLETE.title &&
+      published.doctorName === '测试医生' && published.imageWidth === 700, published);
+    check('public: status and bookkeeping stay private', published && published.status === undefined &&
+      published.problems === undefined && published.images === undefined && published.lastReview === undefined, published);
+    check('public: the consent reference stays private', published && published.consentRef === undefined, published);
+    res = await call('GET', '/api/cases?cursor=nonsense');
+    check('public: a bad cursor is 400', res.status === 400, res.status);
+
+    res = await fetch(base + newAfter);
+    check('photos: published photos are public', res.status === 200 && /public/.test(res.headers.get('Cache-Control')), res.status);
+
+    // Restart: everything comes back from disk
+    await stop();
+    base = await start();
+    res = await call('GET', '/api/admin/cases');
+    const reloaded = res.json.items.find(item => item.id === draft.id);
+    check('persistence: cases survive a restart', res.json.items.length === 2 && reloaded && reloaded.status === 'published' &&
+      reloaded.afterImage === newAfter && reloaded.clinic === '美丽诊所', res.json.items);
+    res = await call('GET', '/api/admin/cases?status=published');
+    check('admin: filter by status', res.json.items.length === 2, res.json.items.length);
+
+    // Changes run one at a time: none of these is lost
+    const third = (await upload('third.png', png(100, 100))).json;
+    const titles = ['一', '二', '三', '四', '五'];
+    const results = await Promise.all(titles.map(title => call('PATCH', `/api/admin/cases/${third.id}`, { journeyTitle: title })));
+    const saved = JSON.parse(fs.readFileSync(path.join(dataDir, 'cases.json'), 'utf8'));
+    check('persistence: concurrent edits all answered', results.every(result => result.status === 200));
+    check('persistence: cases.json is whole after concurrent edits',
+      saved.cases.find(record => record.id === third.id).journeyTitle === '五', saved.cases.length);
+    res = await call('GET', `/api/admin/audit?caseId=${third.id}`);
+    check('audit: every concurrent edit recorded', res.json.items.filter(entry => entry.action === 'update').length === 5, res.json.items.length);
+
+    // Withdraw, archive, delete
+    res = await call('DELETE', caseURL);
+    check('delete: a published case must be withdrawn first', res.status === 409, res.json);
+    res = await setStatus('draft');
+    check('workflow: withdrawing needs a comment', res.status === 422, res.json);
+    res = await setStatus('draft', '患者撤回授权');
+    check('workflow: published → draft withdraws it', res.status === 200 && res.json.publishedAt === null, res.json);
+    res = await call('GET', '/api/cases');
+    check('public: a withdrawn case disappears', res.json.total === 1 && res.json.items[0].id === second.id, res.json);
+    res = await fetch(base + newAfter);
+    check('photos: a withdrawn case\'s photo is hidden again', res.status === 404, res.status);
+    res = await setStatus('archived');
+    check('workflow: draft → archived', res.status === 200 && res.json.status === 'archived', res.json);
+    res = await setStatus('published');
+    check('workflow: archived cases are reopened as drafts first', res.status === 409, res.json);
+
+    const before = uploadsOnDisk().length;
+    res = await call('DELETE', caseURL);
+    check('delete: 204', res.status === 204, res.status);
+    check('delete: its photos are removed', uploadsOnDisk().length === before - 2, uploadsOnDisk());
+    res = await call('GET', caseURL);
+    check('delete: the case is gone', res.status === 404, res.status);
+
+    // The audit trail of the deleted case
+    res = await call('GET', `/api/admin/audit?caseId=${draft.id}`);
+    const trail = res.json.items.slice().reverse();
+    check('audit: newest first', res.json.items[0].action === 'delete', res.json.items[0]);
+    check('audit: the whole life of the case', trail[0].action === 'create' &&
+      trail.filter(entry => entry.action === 'status').length === 8 && trail.some(entry => entry.action === 'image'), trail.map(entry => entry.action));
+    const edit = trail.find(entry => entry.action === 'update' && entry.changes.clinic);
+    check('audit: edits carry a field diff', edit && edit.changes.clinic.from === null && edit.changes.clinic.to === '美丽诊所', edit);
+    const approval = trail.find(entry => entry.changes.status && entry.changes.status.to === 'approved');
+    check('audit: who, when and why', approval && approval.user.id === 'li' && approval.comment === '影像清晰，适应证描述准确' &&
+      !isNaN(Date.parse(approval.at)), approval);
+    check('audit: a deletion keeps the case', res.json.items[0].snapshot && res.json.items[0].snapshot.consentRef === 'IC-2024-0501', res.json.items[0]);
+    res = await call('DELETE', '/api/admin/audit');
+    check('audit: read only', res.status === 405, res.status);
+
+    // The site around it
+    res = await fetch(`${base}/admin.html`);
+    check('static: the site is served', res.status === 200 && /text\/html/.test(res.headers.get('Content-Type')), res.status);
+    res = await fetch(`${base}/gallery-admin-data/cases.json`);
+    check('static: the data directory is not', res.status === 404, res.status);
+    res = await fetch(`${base}/gallery-admin-data/audit.log`);
+    check('static: nor its audit log', res.status === 404, res.status);
+    res = await fetch(`${base}/.env`);
+    check('static: dotfiles are not', res.status === 404, res.status);
+    res = await fetch(`${base}/%2e%2e/%2e%2e/etc/passwd`);
+    check('static: nothing outside the site', res.status === 404, res.status);
+    res = await call('DELETE', '/api/cases');
+    check('public: read only', res.status === 405, res.status);
+
+    await testRoles(call, tokens);
+    await testDeidentification(call, tokens, dataDir);
+    await testLegacyPublish(root);
+  } finally {
+    if (server && server.listening) await stop();
+  }
+
+  // An altered audit log is refused
+  const logFile = path.join(dataDir, 'audit.log');
+  const log = fs.readFileSync(logFile, 'utf8');
+  const lines = log.trim().split('\n');
+  check('audit: one line per change, chained', lines.length > 30 &&
+    lines.every((line, index) => index === 0 || JSON.parse(line).prev === JSON.parse(lines[index - 1]).hash), lines.length);
+  const opens = async () => {
+    try {
+      await new GalleryCaseStore(dataDir).open();
+      return '';
+    } catch (error) {
+      return error.message;
+    }
+  };
+  check('audit: an untouched log opens', await opens() === '');
+  fs.writeFileSync(logFile, log.replace('影像清晰，适应证描述准确', '未见异常'));
+  let message = await opens();
+  check('audit: an edited entry is detected', /chain breaks at line \d+/.test(message), message);
+  fs.writeFileSync(logFile, lines.filter((line, index) => index !== 3).join('\n') + '\n');
+  message = await opens();
+  check('audit: a removed entry is detected', /chain breaks at line 4/.test(message), message);
+
+  // Entries cut from the end leave the chain whole; cases.json knows where it ended
+  const casesFile = path.join(dataDir, 'cases.json');
+  const cases = fs.readFileSync(casesFile, 'utf8');
+  const last = JSON.parse(lines[lines.length - 1]);
+  const head = JSON.parse(cases).audit;
+  check('audit: cases.json records the newest entry', head && head.seq === last.seq && head.hash === last.hash, head);
+  fs.writeFileSync(logFile, lines.slice(0, -2).join('\n') + '\n');
+  message = await opens();
+  check('audit: entries cut from the end are detected', new RegExp(`entry ${last.seq} is missing`).test(message), message);
+  fs.rmSync(logFile);
+  message = await opens();
+  check('audit: so is a deleted log', /is missing; the log was cut or replaced/.test(message), message);
+  fs.writeFileSync(logFile, log);
+  await (await new AuditLog(logFile).open()).append({ user: { id: 'admin', name: '管理员' }, action: 'update', caseId: last.caseId, changes: {} });
+  check('audit: a log ahead of cases.json opens (its change was not saved)', await opens() === '');
+  fs.writeFileSync(logFile, log);
+  fs.writeFileSync(casesFile, JSON.stringify(Object.assign(JSON.parse(cases), { version: 1, audit: undefined })));
+  check('audit: a cases.json from before version 2 opens', await opens() === '');
+  fs.writeFileSync(casesFile, JSON.stringify(Object.assign(JSON.parse(cases), { audit: undefined })));
+  message = await opens();
+  check('audit: a version 2 cases.json must record the end of the log', /does not record the end of the audit log/.test(message), message);
+  fs.writeFileSync(casesFile, cases);
+
+  // A damaged cases.json is reported, not replaced
+  fs.writeFileSync(path.join(dataDir, 'cases.json'), '{"cases": [');
+  message = await opens();
+  check('persistence: a damaged cases.json stops the server', /not valid JSON/.test(message), message);
+  check('persistence: and is left untouched', fs.readFileSync(path.join(dataDir, 'cases.json'), 'utf8') === '{"cases": [');
+
+  fs.rmSync(root, { recursive: true, force: true });
+}
+
+run(main);
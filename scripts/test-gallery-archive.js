@@ -0,0 +1,401 @@
+#!/usr/bin/env node
+
+// Batch download archives: the streaming ZIP writer (zip-stream.js) and
+// the gallery's archive of images plus manifest (gallery-archive.js).
+// Every archive is taken apart again by an independent reader below, which
+// checks the local headers, data descriptors, central directory and end
+// record against each other and inflates and checksums every entry.
+//
+// Usage: node scripts/test-gallery-archive.js [--verbose]
+
+const path = require('path');
+const zlib = require('zlib');
+const ZipStream = require(path.join(__dirname, '..', 'zip-stream.js'));
+const GalleryArchive = require(path.join(__dirname, '..', 'gallery-archive.js'));
+const { createSuite } = require('./test-helpers.js');
+
+const { check, rejects, run } = createSuite('Gallery archive');
+
+// Reference CRC-32, bit by bit
+function referenceCRC(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc ^= byte;
+    for (let k = 0; k < 8; k++) crc = crc & 1 ? (crc >>> 1) ^ 0xedb88320 : crc >>> 1;
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Read an archive back; throws on any structural inconsistency
+ * @returns {Array<{name, method, flags, data, time, date}>}
+ */
+function readZip(buffer) {
+  const fail = message => {
+    throw new Error(message);
+  };
+
+  const endAt = buffer.length - 22;
+  if (endAt < 0 || buffer.readUInt32LE(endAt) !== 0x06054b50) fail('no end of central directory record at the end');
+  const count = buffer.readUInt16LE(endAt + 10);
+  if (buffer.readUInt16LE(endAt + 8) !== count) fail('entry counts disagree');
+  const directorySize = buffer.readUInt32LE(endAt + 12);
+  const directoryOffset = buffer.readUInt32LE(endAt + 16);
+  if (directoryOffset + directorySize !== endAt) fail('central directory does not end at the end record');
+
+  const entries = [];
+  let position = directoryOffset;
+  let expectedLocal = 0;
+
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(position) !== 0x02014b50) fail(`central header ${i}: bad signature`);
+    const central = {
+      flags: buffer.readUInt16LE(position + 8),
+      method: buffer.readUInt16LE(position + 10),
+      time: buffer.readUInt16LE(position + 12),
+      date: buffer.readUInt16LE(position + 14),
+      crc: buffer.readUInt32LE(position + 16),
+      compressedSize: buffer.readUInt32LE(position + 20),
+      size: buffer.readUInt32LE(position + 24),
+      nameLength: buffer.readUInt16LE(position + 28),
+      extraLength: buffer.readUInt16LE(position + 30),
+      commentLength: buffer.readUInt16LE(position + 32),
+      offset: buffer.readUInt32LE(position + 42)
+    };
+    const name = buffer.subarray(position + 46, position + 46 + central.nameLength);
+    position += 46 + central.nameLength + central.extraLength + central.commentLength;
+
+    // Entries are contiguous, in directory order
+    if (central.offset !== expectedLocal) fail(`${name}: local header at ${central.offset}, expected ${expectedLocal}`);
+    const local = central.offset;
+    if (buffer.readUInt32LE(local) !== 0x04034b50) fail(`${name}: bad local header signature`);
+    const localFlags = buffer.readUInt16LE(local + 6);
+    const localNameLength = buffer.readUInt16LE(local + 26);
+    const localExtraLength = buffer.readUInt16LE(local + 28);
+    if (localFlags !== central.flags || buffer.readUInt16LE(local + 8) !== central.method) fail(`${name}: local and central headers disagree`);
+    if (!buffer.subarray(local + 30, local + 30 + localNameLength).equals(name)) fail(`${name}: names disagree`);
+
+    const dataStart = local + 30 + localNameLength + localExtraLength;
+    const dataEnd = dataStart + central.compressedSize;
+    const streamed = (central.flags & 0x0008) !== 0;
+    const sizesAt = local + 14;
+    const localSizes = [buffer.readUInt32LE(sizesAt), buffer.readUInt32LE(sizesAt + 4), buffer.readUInt32LE(sizesAt + 8)];
+
+    if (streamed) {
+      if (localSizes.some(value => value !== 0)) fail(`${name}: data descriptor entry with sizes in the local header`);
+      if (buffer.readUInt32LE(dataEnd) !== 0x08074b50) fail(`${name}: missing data descriptor`);
+      const descriptor = [buffer.readUInt32LE(dataEnd + 4), buffer.readUInt32LE(dataEnd + 8), buffer.readUInt32LE(dataEnd + 12)];
+      if (descriptor.join() !== [central.crc, central.compressedSize, central.size].join()) fail(`${name}: data descriptor disagrees with the directory`);
+      expectedLocal = dataEnd + 16;
+    } else {
+      if (localSizes.join() !== [central.crc, central.compressedSize, central.size].join()) fail(`${name}: local sizes disagree with the directory`);
+      expectedLocal = dataEnd;
+    }
+
+    const raw = buffer.subarray(dataStart, dataEnd);
+    let data;
+    if (central.method === 0) data = raw;
+    else if (central.method === 8) data = zlib.inflateRawSync(raw);
+    else fail(`${name}: unknown method ${central.method}`);
+
+    if (data.length !== central.size) fail(`${name}: ${data.length} bytes, directory says ${central.size}`);
+    if (referenceCRC(data) !== central.crc) fail(`${name}: CRC mismatch`);
+
+    entries.push({ name: name.toString('utf8'), method: central.method, flags: central.flags, data, time: central.time, date: central.date });
+  }
+
+  if (expectedLocal !== directoryOffset) fail('gap between the last entry and the central directory');
+  return entries;
+}
+
+// Write an archive to memory; returns the bytes and the writer
+async function archive(build, options = {}) {
+  const chunks = [];
+  const zip = new ZipStream(Object.assign({ write: chunk => { chunks.push(chunk); } }, options));
+  await build(zip);
+  await zip.close();
+  return { buffer: Buffer.concat(chunks), zip, chunks };
+}
+
+function streamOf(parts) {
+  return new ReadableStream({
+    start(controller) {
+      parts.forEach(part => controller.enqueue(part));
+      controller.close();
+    }
+  });
+}
+
+function randomBytes(length, seed = 7) {
+  const bytes = Buffer.alloc(length);
+  let state = seed;
+  for (let i = 0; i < length; i++) {
+    state = (state * 1103515245 + 12345) >>> 0;
+    bytes[i] = state >>> 24;
+  }
+  return bytes;
+}
+
+async function testWriter() {
+  check('crc32: check value', ZipStream.crc32(Buffer.from('123456789')) === 0xcbf43926);
+  const text = Buffer.from('唇部美学 '.repeat(500));
+  check('crc32: running over chunks', ZipStream.crc32(text.subarray(700), ZipStream.crc32(text.subarray(0, 700))) === referenceCRC(text));
+
+  const noise = randomBytes(5000);
+  const big = randomBytes(300000, 3);
+  const { buffer } = await archive(async zip => {
+    await zip.add('readme.txt', 'hello '.repeat(200));
+    await zip.add('noise.bin', noise);
+    await zip.add('empty.txt', '');
+    await zip.add('图片/案例 1.svg', new Blob(['<svg>' + '<path d="M0 0"/>'.repeat(300) + '</svg>'], { type: 'image/svg+xml' }));
+    await zip.add('big.bin', big, { compress: false });
+    await zip.add('streamed.txt', streamOf([new TextEncoder().encode('part one, '), new TextEncoder().encode('part two')]));
+    await zip.add('stored-stream.bin', new Blob([noise]), { compress: false });
+  }, { date: new Date(2024, 4, 17, 13, 45, 30) });
+
+  let entries;
+  try {
+    entries = readZip(buffer);
+  } catch (error) {
+    check('writer: archive reads back', false, error.message);
+    return;
+  }
+  const byName = new Map(entries.map(entry => [entry.name, entry]));
+
+  check('writer: entries in order', entries.map(entry => entry.name).join('|') ===
+    'readme.txt|noise.bin|empty.txt|图片/案例 1.svg|big.bin|streamed.txt|stored-stream.bin', entries.map(entry => entry.name));
+  check('writer: repetitive text deflated', byName.get('readme.txt').method === 8 &&
+    byName.get('readme.txt').data.toString() === 'hello '.repeat(200));
+  check('writer: incompressible bytes stored', byName.get('noise.bin').method === 0 && byName.get('noise.bin').data.equals(noise));
+  check('writer: empty entry', byName.get('empty.txt').data.length === 0 && byName.get('empty.txt').method === 0);
+  check('writer: Blob streamed and deflated, with a data descriptor', byName.get('图片/案例 1.svg').method === 8 &&
+    (byName.get('图片/案例 1.svg').flags & 0x0008) !== 0 && byName.get('图片/案例 1.svg').data.toString().endsWith('</svg>'));
+  check('writer: compress: false stores', byName.get('big.bin').method === 0 && byName.get('big.bin').data.equals(big));
+  check('writer: ReadableStream content', byName.get('streamed.txt').data.toString() === 'part one, part two');
+  check('writer: stored streamed entry', byName.get('stored-stream.bin').method === 0 &&
+    (byName.get('stored-stream.bin').flags & 0x0008) !== 0 && byName.get('stored-stream.bin').data.equals(noise));
+  check('writer: UTF-8 names flagged', entries.every(entry => (entry.flags & 0x0800) !== 0));
+
+  const { time, date } = byName.get('readme.txt');
+  check('writer: DOS timestamp', date === ((2024 - 1980) << 9 | 5 << 5 | 17) && time === (13 << 11 | 45 << 5 | 15), { time, date });
+
+  const again = await archive(async zip => {
+    await zip.add('a.txt', 'same input');
+    await zip.add('b.txt', new Blob(['same blob']));
+  }, { date: new Date(2020, 0, 1) });
+  const twice = await archive(async zip => {
+    await zip.add('a.txt', 'same input');
+    await zip.add('b.txt', new Blob(['same blob']));
+  }, { date: new Date(2020, 0, 1) });
+  check('writer: same input, same bytes', again.buffer.equals(twice.buffer));
+
+  const stored = await archive(async zip => {
+    await zip.add('a.txt', 'x'.repeat(1000));
+  }, { compress: false });
+  check('writer: compress: false for the whole archive', readZip(stored.buffer)[0].method === 0);
+
+  // The sink answers slowly; chunks must still arrive in order
+  const slowChunks = [];
+  const slow = new ZipStream({
+    write: chunk => new Promise(resolve => setTimeout(() => {
+      slowChunks.push(chunk);
+      resolve();
+    }, 1))
+  });
+  await slow.add('one.txt', new Blob(['first '.repeat(100)]));
+  await slow.add('two.txt', 'second');
+  const slowSize = await slow.close();
+  const slowBuffer = Buffer.concat(slowChunks);
+  check('writer: asynchronous sink', slowSize === slowBuffer.length && readZip(slowBuffer).length === 2, slowSize);
+}
+
+async function testWriterErrors() {
+  const zip = new ZipStream({ write: () => {} });
+  const refused = async name => rejects(zip.add(name, 'x'), error => error instanceof ZipStream.ZipError);
+  check('names: parent directory refused', await refused('../etc/passwd'));
+  check('names: nested parent refused', await refused('images/../../x.jpg'));
+  check('names: empty segment refused', await refused('images//x.jpg'));
+  check('names: empty name refused', await refused(''));
+  check('names: control character refused', await refused('a\nb.txt'));
+  check('names: leading slash dropped', (await zip.add('/abs/x.txt', 'x')).name === 'abs/x.txt');
+  check('names: backslashes become slashes', (await zip.add('dir\\y.txt', 'y')).name === 'dir/y.txt');
+  check('names: duplicate refused', await refused('abs/x.txt'));
+  check('content: unsupported type refused', await rejects(zip.add('n.txt', 42), error => /Entry content/.test(error.message)));
+
+  const pending = zip.add('slow.txt', new Blob(['z'.repeat(10000)]));
+  check('writer: one add() at a time', await rejects(zip.add('other.txt', 'o'), error => /previous add/.test(error.message)));
+  await pending;
+  await zip.close();
+  check('writer: closed archive refuses entries', await rejects(zip.add('late.txt', 'x'), error => /closed/.test(error.message)));
+
+  check('writer: needs a sink', (() => {
+    try {
+      new ZipStream();
+      return false;
+    } catch (error) {
+      return error instanceof ZipStream.ZipError;
+    }
+  })());
+
+  // Cancelled halfway through a streamed entry
+  const controller = new AbortController();
+  const cancelled = new ZipStream({ write: () => {}, signal: controller.signal });
+  let pulls = 0;
+  const endless = new ReadableStream({
+    pull(source) {
+      if (++pulls === 3) controller.abort();
+      source.enqueue(randomBytes(1024, pulls));
+    }
+  });
+  check('cancel: abort stops a streamed entry', await rejects(cancelled.add('endless.bin', endless, { compress: false }),
+    error => error.name === 'AbortError'), pulls);
+  check('cancel: archive unusable afterwards', await rejects(cancelled.add('next.txt', 'x'), error => /incomplete/.test(error.message)));
+
+  const failing = new ZipStream({ write: () => { throw new Error('disk full'); } });
+  check('sink: write error surfaced', await rejects(failing.add('a.txt', 'x'), error => error.message === 'disk full'));
+}
+
+// Images by URL, as the gallery would fetch them
+const JPEG = Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), randomBytes(2000, 11), Buffer.from([0xff, 0xd9])]);
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47]), randomBytes(1500, 13)]);
+const SVG = '<svg xmlns="http://www.w3.org/2000/svg" width="300" height="400"><text>术后</text>' + '<rect width="1" height="1"/>'.repeat(50) + '</svg>';
+
+function imageFetch(requests) {
+  const images = {
+    '/img/1-after.jpg': [JPEG, 'image/jpeg'],
+    '/img/1-before.png': [PNG, 'image/png']
+  };
+  return async (url, init) => {
+    requests.push({ url, signal: init && init.signal });
+    if (url.startsWith('data:')) return fetch(url);
+    const image = images[url];
+    return image
+      ? new Response(image[0], { headers: { 'Content-Type': image[1] } })
+      : new Response('not found', { status: 404 });
+  };
+}
+
+const CASES = [
+  {
+    id: 'case-001', title: '自然丰唇, "M" 型唇弓', treatmentType: 'lip-enhancement', category: 'case-study',
+    ageRange: '26-35', doctor: 'dr-li', doctorName: '李医生', date: '2024-03-01', rating: 4.5, views: 120,
+    tags: ['玻尿酸', '自然'], description: '术后两周', afterImage: '/img/1-after.jpg', beforeImage: '/img/1-before.png'
+  },
+  {
+    id: 'case-002', title: '=HYPERLINK("x")', treatmentType: 'lip-shape', category: 'case-study',
+    ageRange: '18-25', doctor: 'dr-wang', doctorName: '王主任', date: '2024-04-02', rating: 5, views: 3,
+    tags: [], afterImage: `data:image/svg+xml;base64,${Buffer.from(SVG).toString('base64')}`,
+    beforeImage: `data:image/svg+xml;base64,${Buffer.from(SVG).toString('base64')}`
+  },
+  {
+    id: 'case/003', title: 'a/b:c*?', treatmentType: 'lip-color', category: 'procedure',
+    ageRange: '36-45', doctor: 'dr-chen', date: '2024-05-03', rating: 3, views: 0,
+    tags: ['色彩'], afterImage: '/img/missing.jpg'
+  }
+];
+
+async function testGalleryArchive() {
+  const requests = [];
+  const progress = [];
+  const result = await GalleryArchive.build(CASES, {
+    fetch: imageFetch(requests),
+    date: new Date('2024-06-01T08:00:00Z'),
+    describe: item => ({ treatmentName: { 'lip-enhancement': '唇部增强' }[item.treatmentType] || item.treatmentType }),
+    onProgress: event => progress.push(event)
+  });
+
+  check('archive: a Blob of type application/zip', result.blob instanceof Blob && result.blob.type === 'application/zip' &&
+    result.blob.size === result.size, result.blob && result.blob.type);
+
+  let entries;
+  try {
+    entries = readZip(Buffer.from(await result.blob.arrayBuffer()));
+  } catch (error) {
+    check('archive: reads back', false, error.message);
+    return;
+  }
+  const byName = new Map(entries.map(entry => [entry.name, entry]));
+  const names = entries.map(entry => entry.name);
+
+  check('archive: images then manifests', names.join('|') === [
+    'images/001-case-001-自然丰唇, _M_ 型唇弓-after.jpg',
+    'images/001-case-001-自然丰唇, _M_ 型唇弓-before.png',
+    'images/002-case-002-=HYPERLINK(_x_)-after.svg',
+    'manifest.json',
+    'manifest.csv'
+  ].join('|'), names);
+  check('archive: file names sanitized', names.every(name => !/[:*?"<>|]/.test(name) && name.split('/').length <= 2), names);
+  check('archive: identical before image not repeated', !names.some(name => name.includes('002') && name.includes('before')));
+  check('archive: JPEG and PNG stored byte for byte', byName.get(names[0]).method === 0 && byName.get(names[0]).data.equals(JPEG) &&
+    byName.get(names[1]).method === 0 && byName.get(names[1]).data.equals(PNG));
+  check('archive: SVG deflated', byName.get(names[2]).method === 8 && byName.get(names[2]).data.toString() === SVG);
+  check('archive: images dated by case', byName.get(names[0]).date === ((2024 - 1980) << 9 | 3 << 5 | 1), byName.get(names[0]).date);
+
+  const manifest = JSON.parse(byName.get('manifest.json').data.toString());
+  check('manifest: every case, missing image included', manifest.count === 3 && manifest.cases.length === 3 &&
+    manifest.generatedAt === '2024-06-01T08:00:00.000Z', manifest.count);
+  const [first, second, third] = manifest.cases;
+  check('manifest: metadata', first.id === 'case-001' && first.treatmentType === 'lip-enhancement' &&
+    first.treatmentName === '唇部增强' && first.doctor === 'dr-li' && first.doctorName === '李医生' &&
+    first.rating === 4.5 && first.tags.join() === '玻尿酸,自然' && first.description === '术后两周', first);
+  check('manifest: file paths point into the archive', first.files.after === names[0] && first.files.before === names[1] &&
+    second.files.after === names[2] && second.files.before === null, [first.files, second.files]);
+  check('manifest: doctor name falls back to the id', third.doctorName === 'dr-chen');
+  check('manifest: failed image recorded', third.files.after === null && manifest.failed.length === 1 &&
+    manifest.failed[0].id === 'case/003' && manifest.failed[0].role === 'after' && manifest.failed[0].error === 'HTTP 404',
+  manifest.failed);
+  check('archive: result lists failures and files', result.failed.length === 1 && result.files.join('|') === names.join('|'));
+
+  const csv = byName.get('manifest.csv').data.toString('utf8');
+  const lines = csv.split('\r\n');
+  check('csv: byte order mark and header', csv.startsWith('\uFEFF') &&
+    lines[0] === '\uFEFF' + GalleryArchive.CSV_COLUMNS.join(','), lines[0]);
+  check('csv: one row per case', lines.length === 5 && lines[4] === '', lines.length);
+  check('csv: quoting', lines[1].startsWith('case-001,"自然丰唇, ""M"" 型唇弓",lip-enhancement,唇部增强,') &&
+    lines[1].includes(',玻尿酸; 自然,'), lines[1]);
+  check('csv: formulas neutralized', lines[2].startsWith('case-002,"\'=HYPERLINK(""x"")",'), lines[2]);
+  check('csv: missing file left empty', lines[3].endsWith(',色彩,,'), lines[3]);
+
+  check('progress: one event per image', progress.length === 4 &&
+    progress.every((event, index) => event.done === index + 1 && event.total === 4), progress.map(event => event.done));
+  check('fetch: a signal-ready request per image', requests.length === 4, requests.map(request => request.url));
+
+  // Written to a caller's sink instead of a Blob
+  const chunks = [];
+  const streamed = await GalleryArchive.build(CASES.slice(0, 1), {
+    fetch: imageFetch([]),
+    write: chunk => { chunks.push(chunk); }
+  });
+  check('sink: no Blob, bytes in the sink', streamed.blob === null && Buffer.concat(chunks).length === streamed.size &&
+    readZip(Buffer.concat(chunks)).length === 4);
+}
+
+async function testCancel() {
+  const controller = new AbortController();
+  const requests = [];
+  const fetchImpl = imageFetch(requests);
+  const many = Array.from({ length: 12 }, (_, i) => Object.assign({}, CASES[0], { id: `case-${i}`, beforeImage: null }));
+
+  const outcome = GalleryArchive.build(many, {
+    fetch: fetchImpl,
+    signal: controller.signal,
+    onProgress: event => {
+      if (event.done === 2) controller.abort();
+    }
+  });
+  check('cancel: build rejects with AbortError', await rejects(outcome, error => error.name === 'AbortError'));
+  check('cancel: fetching stops', requests.length < many.length, requests.length);
+  check('cancel: signal handed to fetch', requests.every(request => request.signal === controller.signal));
+
+  check('names: safe file names', GalleryArchive.safeFileName(' ..a/b\\c:d ', 'x') === 'a_b_c_d' &&
+    GalleryArchive.safeFileName('', 'case') === 'case' && GalleryArchive.safeFileName('x'.repeat(100), 'y').length === 60);
+}
+
+async function main() {
+  await testWriter();
+  await testWriterErrors();
+  await testGalleryArchive();
+  await testCancel();
+}
+
+run(main);
@@ -0,0 +1,240 @@
+#!/usr/bin/env node
+
+// Gallery data sources (gallery-data-sources.js) against the local mock
+// API in gallery-mock-server.js: cursor pagination for the manifest, REST
+// and IndexedDB sources, schema validation of incoming cases, and how
+// failures surface.
+//
+// Usage: node scripts/test-gallery-sources.js [--verbose]
+
+const path = require('path');
+const GalleryDataSources = require(path.join(__dirname, '..', 'gallery-data-sources.js'));
+const { createGalleryMockServer, MOCK_CASES, VALID_CASES } = require('./gallery-mock-server.js');
+const { createSuite } = require('./test-helpers.js');
+
+const { check, rejects, run } = createSuite('Gallery sources');
+
+// The gallery's filter options, as passed by LipAestheticsGallery
+const ENUMS = {
+  treatmentTypes: ['lip-enhancement', 'lip-reduction', 'lip-shape', 'lip-color', 'lip-tattoo', 'education', 'safety', 'technique', 'design'],
+  medicalCategories: ['anatomy', 'injection', 'case-study', 'complication', 'procedure', 'aesthetic'],
+  ageRanges: ['18-25', '26-35', '36-45', '46+', '教学用', '风险教育', '操作指南', '通用'],
+  journeyPhases: ['consultation', 'procedure', 'follow-up', 'touch-up']
+};
+
+// Follow nextCursor to the end, validating like the gallery does
+async function readAll(source, limit) {
+  const seen = new Set();
+  const items = [];
+  const rejected = [];
+  let cursor = null;
+  let pages = 0;
+  let reportedTotal = null;
+
+  do {
+    const page = await source.load({ cursor, limit });
+    const result = GalleryDataSources.validateItems(page.items, { enums: ENUMS, seen });
+    items.push(...result.items);
+    rejected.push(...result.rejected);
+    cursor = page.nextCursor;
+    reportedTotal = page.total;
+    pages++;
+  } while (cursor !== null && pages < 100);
+
+  return { items, rejected, pages, total: reportedTotal };
+}
+
+const validCase = (overrides = {}) => Object.assign({
+  id: 1,
+  title: '案例',
+  afterImage: 'images/1.jpg',
+  treatmentType: 'lip-shape',
+  ageRange: '26-35',
+  doctor: 'dr-li',
+  date: '2024-03-01'
+}, overrides);
+
+const accepts = overrides => GalleryDataSources.validateItem(validCase(overrides), ENUMS).item !== null;
+
+function testValidation() {
+  const { item } = GalleryDataSources.validateItem(validCase(), ENUMS);
+  check('valid case: defaults filled in', item && item.rating === 0 && item.views === 0 &&
+    Array.isArray(item.tags) && item.description === '' && item.thumbnailAfter === 'images/1.jpg', item);
+  check('no before photo: flagged, not stood in for by the after photo', item && item.missingBeforeImage === true &&
+    item.beforeImage === undefined && item.thumbnailBefore === undefined, item);
+  const before = GalleryDataSources.validateItem(validCase({ beforeImage: 'images/1-before.jpg' }), ENUMS).item;
+  check('before photo: kept, with its thumbnail', before && before.missingBeforeImage === false &&
+    before.beforeImage === 'images/1-before.jpg' && before.thumbnailBefore === 'images/1-before.jpg', before);
+
+  check('image: https URL', accepts({ afterImage: 'https://cdn.example.com/a.jpg?v=2' }));
+  check('image: root-relative URL', accepts({ afterImage: '/media/a.webp' }));
+  check('image: inline SVG data', accepts({ afterImage: 'data:image/svg+xml;base64,PHN2Zy8+' }));
+  check('image: javascript: refused', !accepts({ afterImage: 'javascript:alert(1)' }));
+  check('image: JaVaScRiPt: refused', !accepts({ afterImage: 'JaVaScRiPt:alert(1)' }));
+  check('image: data:text/html refused', !accepts({ afterImage: 'data:text/html;base64,PHNjcmlwdD4=' }));
+  check('image: attribute break-out refused', !accepts({ thumbnailAfter: 'a.jpg" onerror="alert(1)' }));
+
+  check('missing title refused', !accepts({ title: '' }));
+  check('unknown treatment type refused', !accepts({ treatmentType: 'botox' }));
+  check('malformed doctor refused', !accepts({ doctor: 'Dr. Li' }));
+  check('impossible date refused', !accepts({ date: '2024-13-45' }));
+  check('rating above 5 refused', !accepts({ rating: 6 }));
+  check('NaN views refused', !accepts({ views: NaN }));
+  check('non-string tags refused', !accepts({ tags: ['ok', { html: '<b>' }] }));
+  check('journey step accepted', accepts({ journeyId: 'patient-7', phase: 'follow-up', journeyTitle: '丰唇疗程' }));
+  check('unknown journey phase refused', !accepts({ journeyId: 7, phase: 'surgery' }));
+  check('array case refused', GalleryDataSources.validateItem([], ENUMS).item === null);
+
+  const { items, rejected } = GalleryDataSources.validateItems([validCase(), validCase({ title: '重复' }), validCase({ id: '1' })], { enums: ENUMS });
+  check('duplicate ids refused (1 and "1" collide)', items.length === 1 && rejected.length === 2,
+    rejected.map(entry => entry.errors));
+}
+
+async function testRest(base) {
+  const source = GalleryDataSources.create({ type: 'rest', url: `${base}/api/cases` });
+  const { items, rejected, pages, total: reported } = await readAll(source, 15);
+
+  check('REST: every valid case, once, in order', items.length === VALID_CASES &&
+    items.every((item, index) => item.id === `case-${String(index + 1).padStart(3, '0')}`),
+  items.map(item => item.id));
+  check('REST: malformed cases rejected', rejected.length === 2 &&
+    rejected.some(entry => entry.errors.includes('afterImage is not an image URL')) &&
+    rejected.some(entry => entry.errors.some(error => error.startsWith('treatmentType'))),
+  rejected.map(entry => entry.errors));
+  check('REST: pages follow the server\'s cursors', pages === Math.ceil(MOCK_CASES.length / 15), pages);
+  check('REST: total from the server', reported === MOCK_CASES.length, reported);
+  check('REST: default page size', (await source.load()).items.length === GalleryDataSources.DEFAULT_PAGE_SIZE);
+
+  const broken = new GalleryDataSources.Rest({ url: `${base}/api/broken` });
+  check('REST: HTTP error status surfaced', await rejects(broken.load(),
+    error => error instanceof GalleryDataSources.GalleryDataSourceError && error.status === 500));
+
+  const notJson = new GalleryDataSources.Rest({ url: `${base}/api/not-json` });
+  check('REST: non-JSON answer refused', await rejects(notJson.load(),
+    error => error.name === 'GalleryDataSourceError' && /JSON/.test(error.message)));
+
+  check('REST: bad cursor answered 400', await rejects(source.load({ cursor: 'nonsense' }), error => error.status === 400));
+
+  const notPage = new GalleryDataSources.Rest({ url: `${base}/cases.json`, fetch: async () => ({ ok: true, json: async () => ({ data: [] }) }) });
+  check('REST: answer without items refused', await rejects(notPage.load(), error => /page of cases/.test(error.message)));
+
+  const offline = new GalleryDataSources.Rest({ url: 'http://offline.invalid/api', fetch: async () => { throw new TypeError('Failed to fetch'); } });
+  check('REST: network failure surfaced', await rejects(offline.load(), error => /Cannot reach/.test(error.message)));
+}
+
+async function testManifest(base) {
+  let requests = 0;
+  const source = GalleryDataSources.create({
+    type: 'manifest',
+    url: `${base}/cases.json`,
+    fetch: (...args) => {
+      requests++;
+      return fetch(...args);
+    }
+  });
+  const { items, rejected, pages, total: reported } = await readAll(source, 15);
+
+  check('manifest: every valid case', items.length === VALID_CASES && rejected.length === 2, [items.length, rejected.length]);
+  check('manifest: paged locally', pages === Math.ceil(MOCK_CASES.length / 15) && reported === MOCK_CASES.length, [pages, reported]);
+  check('manifest: fetched once', requests === 1, requests);
+
+  const missing = new GalleryDataSources.Manifest({ url: `${base}/missing.json` });
+  check('manifest: 404 surfaced', await rejects(missing.load(), error => error.status === 404));
+}
+
+async function testIndexedDB() {
+  // No IndexedDB in Node: the in-memory fallback shares the paging logic
+  const library = GalleryDataSources.create({ type: 'indexeddb', indexedDB: null });
+  const valid = MOCK_CASES.filter(entry => GalleryDataSources.validateItem(entry, ENUMS).item);
+  await library.put(valid.slice().reverse());
+
+  const { items, pages, total: reported } = await readAll(library, 15);
+  check('IndexedDB: every case, in key order', items.length === VALID_CASES &&
+    items.every((item, index) => index === 0 || items[index - 1].id < item.id), items.map(item => item.id));
+  check('IndexedDB: pages and total', pages === Math.ceil(VALID_CASES / 15) && reported === VALID_CASES, [pages, reported]);
+
+  await library.delete('case-001');
+  const first = await library.load({ limit: 5 });
+  check('IndexedDB: deleted case gone', first.items[0].id === 'case-002' && first.total === VALID_CASES - 1, first.items[0]);
+
+  const numeric = new GalleryDataSources.IndexedDB({ indexedDB: null });
+  await numeric.put([validCase({ id: 10 }), validCase({ id: 2 }), validCase({ id: 'a' }), validCase({ id: 1 })]);
+  const page1 = await numeric.load({ limit: 2 });
+  const page2 = await numeric.load({ cursor: page1.nextCursor, limit: 2 });
+  check('IndexedDB: numeric keys before strings, cursor keeps the key type',
+    page1.items.map(item => item.id).join() === '1,2' && page2.items.map(item => item.id).join() === '10,a' && page2.nextCursor === null,
+  [page1, page2]);
+
+  await numeric.clear();
+  const empty = await numeric.load();
+  check('IndexedDB: cleared', empty.items.length === 0 && empty.nextCursor === null && empty.total === 0, empty);
+}
+
+async function testFind(base) {
+  let requests = 0;
+  const source = new GalleryDataSources.Rest({
+    url: `${base}/api/cases`,
+    pageSize: 10,
+    fetch: (...args) => {
+      requests++;
+      return fetch(...args);
+    }
+  });
+
+  const late = await GalleryDataSources.find(source, item => item.id === 'case-038', { enums: ENUMS });
+  check('find: a case past the first page', late.length === 1 && late[0].id === 'case-038' && requests === 5, [late, requests]);
+
+  requests = 0;
+  const first = await GalleryDataSources.find(source, item => item.doctor === 'dr-li', { enums: ENUMS, limit: 2 });
+  check('find: stops at the limit', first.map(item => item.id).join() === 'case-001,case-005' && requests === 1, [first, requests]);
+
+  const all = await GalleryDataSources.find(source, undefined, { enums: ENUMS });
+  check('find: malformed cases are not returned', all.length === VALID_CASES, all.length);
+
+  const raw = await GalleryDataSources.find(source, undefined, { validate: false });
+  check('find: validate false returns the pages as they are', raw.length === MOCK_CASES.length, raw.length);
+
+  // A source stuck on one page: its second answer hands back the cursor it got
+  let loads = 0;
+  const stuck = {
+    load: async () => {
+      loads++;
+      return { items: [], nextCursor: '20' };
+    }
+  };
+  check('find: a repeated cursor stops with an error', await rejects(GalleryDataSources.find(stuck),
+    error => error instanceof GalleryDataSources.GalleryDataSourceError && /cursor "20" again/.test(error.message)) && loads === 2, loads);
+}
+
+function testCreate() {
+  check('create: no config → null (demo cases)', GalleryDataSources.create(null) === null);
+  const custom = { load: async () => ({ items: [], nextCursor: null }) };
+  check('create: custom source passed through', GalleryDataSources.create(custom) === custom);
+
+  let threw = false;
+  try {
+    GalleryDataSources.create({ type: 'ftp', url: 'x' });
+  } catch (error) {
+    threw = error instanceof GalleryDataSources.GalleryDataSourceError;
+  }
+  check('create: unknown type refused', threw);
+}
+
+async function main() {
+  const server = createGalleryMockServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    testValidation();
+    testCreate();
+    await testRest(base);
+    await testManifest(base);
+    await testIndexedDB();
+    await testFind(base);
+  } finally {
+    server.close();
+  }
+}
+
+run(main);
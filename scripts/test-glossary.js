@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+
+// Glossary links (MarkdownRenderer.linkGlossaryTerms in
+// markdown-renderer.js, entries from glossary.js): the first mention of a
+// term in each section gets a popover, aliases count as the term, code,
+// links, images and headings are left alone, Chinese terms are found
+// inside running text with the longest term winning, Latin ones only as
+// whole words. Also checks the book's own glossary for clashing names.
+//
+// Usage: node scripts/test-glossary.js [--verbose]
+
+const path = require('path');
+const MarkdownRenderer = require(path.join(__dirname, '..', 'markdown-renderer.js'));
+const MedicalGlossary = require(path.join(__dirname, '..', 'glossary.js'));
+const { createSuite } = require('./test-helpers.js');
+
+const { check, run } = createSuite('Glossary');
+
+const GLOSSARY = [
+  { id: 'vermilion-border', term: '唇红缘', aliases: [], english: 'Vermilion border', definition: '唇红与皮肤的交界线。', anatomy: { layer: 'skin', annotation: 2 } },
+  { id: 'vermilion', term: '唇红', aliases: [], english: 'Vermilion', definition: '唇的红色部分。' },
+  { id: 'philtrum', term: '人中', aliases: [], english: 'Philtrum', definition: '上唇正中的纵沟。' },
+  { id: 'hyaluronic-acid', term: '透明质酸', aliases: ['玻尿酸', 'HA'], english: 'Hyaluronic acid', definition: '常用的 <填充剂> & "凝胶"。' }
+];
+
+const renderer = new MarkdownRenderer({ glossary: GLOSSARY, enableMath: false, enableMermaid: false });
+
+// Linked term ids in the order they appear, and the text each link wraps
+function links(markdown) {
+  const html = renderer.render(markdown);
+  const found = [];
+  const pattern = /<span class="glossary-term"[^>]*data-glossary="([^"]+)"[^>]*>([^<]*)</g;
+  let match;
+  while ((match = pattern.exec(html)) !== null) found.push(`${match[1]}:${match[2]}`);
+  return found;
+}
+
+const same = (actual, expected) => JSON.stringify(actual) === JSON.stringify(expected);
+
+function testFirstOccurrence() {
+  let found = links('注射透明质酸前评估，透明质酸用量视情况而定。\n\n再次提到透明质酸。');
+  check('first mention: only the first in a section is linked', same(found, ['hyaluronic-acid:透明质酸']), found);
+
+  found = links('透明质酸。\n\n## 第二节\n\n透明质酸。\n\n### 小节\n\n透明质酸。');
+  check('first mention: again after each heading', same(found, ['hyaluronic-acid:透明质酸', 'hyaluronic-acid:透明质酸', 'hyaluronic-acid:透明质酸']), found);
+
+  found = links('玻尿酸即透明质酸。');
+  check('first mention: an alias counts as the term', same(found, ['hyaluronic-acid:玻尿酸']), found);
+
+  found = links('- 人中\n- 人中\n\n> 人中');
+  check('first mention: across lists and quotes of one section', same(found, ['philtrum:人中']), found);
+
+  found = links('**人中**与*唇红*');
+  check('first mention: inside emphasis', same(found, ['philtrum:人中', 'vermilion:唇红']), found);
+}
+
+function testSkipped() {
+  let found = links('`透明质酸` 与 [透明质酸](/ha.html) 与 ![透明质酸](/ha.png)\n\n```\n透明质酸\n```\n\n透明质酸');
+  check('skipped: code spans, links, images and code blocks', same(found, ['hyaluronic-acid:透明质酸']), found);
+
+  const html = renderer.render('`透明质酸` 与 [人中](/p.html)。');
+  check('skipped: and left as they were', html.includes('<code class="inline-code">透明质酸</code>') && />人中<\/a>/.test(html), html);
+
+  found = links('# 透明质酸\n\n透明质酸');
+  check('skipped: headings, the body below still linked', same(found, ['hyaluronic-acid:透明质酸']), found);
+
+  found = links('<span>人中</span> 与人中');
+  check('skipped: inline HTML', same(found, ['philtrum:人中']), found);
+
+  const strict = new MarkdownRenderer({ glossary: GLOSSARY, strict: true, sanitize: false });
+  check('skipped: nothing in strict (CommonMark) mode', !strict.render('透明质酸').includes('glossary-term'));
+  check('skipped: nothing without a glossary', !new MarkdownRenderer().render('透明质酸').includes('glossary-term'));
+}
+
+function testBoundaries() {
+  let found = links('注射于唇红缘上方，唇红饱满。');
+  check('CJK: found inside running text, the longest term first', same(found, ['vermilion-border:唇红缘', 'vermilion:唇红']), found);
+
+  found = links('唇红缘清晰，唇红缘对称。');
+  check('CJK: a second mention of a longer term does not link the shorter one inside it', same(found, ['vermilion-border:唇红缘']), found);
+
+  found = links('注射玻尿酸后人中变短');
+  check('CJK: terms next to each other with no spaces', same(found, ['hyaluronic-acid:玻尿酸', 'philtrum:人中']), found);
+
+  found = links('HAND and CHAIN, then ha.');
+  check('Latin: only whole words, in any case', same(found, ['hyaluronic-acid:ha']), found);
+
+  found = links('1ml HA注射');
+  check('Latin: a word next to CJK is whole', same(found, ['hyaluronic-acid:HA']), found);
+}
+
+function testPopover() {
+  const html = renderer.render('唇红缘与透明质酸');
+  check('popover: names and definition, escaped', html.includes('<span class="glossary-popover-names">Vermilion border</span>') &&
+    html.includes('<span class="glossary-popover-definition">常用的 &lt;填充剂&gt; &amp; &quot;凝胶&quot;。</span>'), html);
+  check('popover: an anatomy term links to the 3D viewer', html.includes('href="/enhanced_3d_anatomy.html#layer=skin&amp;term=vermilion-border&amp;annotation=2"'), html);
+  check('popover: a term without anatomy does not', (html.match(/glossary-3d/g) || []).length === 1, html);
+
+  const ids = html.match(/aria-describedby="([^"]+)"/g);
+  check('popover: each one has an id of its own', ids.length === 2 && new Set(ids).size === 2, ids);
+}
+
+function testBookGlossary() {
+  const names = new Map();
+  const clashes = [];
+  MedicalGlossary.forEach(entry => {
+    [entry.term, ...(entry.aliases || [])].forEach(name => {
+      const key = name.toLowerCase();
+      if (names.has(key) && names.get(key) !== entry.id) clashes.push(`${name}: ${names.get(key)}, ${entry.id}`);
+      names.set(key, entry.id);
+    });
+  });
+  check('book glossary: ids are unique', new Set(MedicalGlossary.map(entry => entry.id)).size === MedicalGlossary.length);
+  check('book glossary: no name stands for two entries', clashes.length === 0, clashes);
+  check('book glossary: every entry has a term and a definition', MedicalGlossary.every(entry => entry.term && entry.definition),
+    MedicalGlossary.filter(entry => !entry.term || !entry.definition).map(entry => entry.id));
+
+  const book = new MarkdownRenderer({ glossary: MedicalGlossary, enableMath: false, enableMermaid: false });
+  const html = book.render('透明质酸酶可溶解透明质酸，人中嵴位于人中两侧。');
+  const found = (html.match(/data-glossary="[^"]+"/g) || []).map(attribute => attribute.slice(15, -1));
+  check('book glossary: overlapping terms each link where they stand', same(found, ['hyaluronidase', 'hyaluronic-acid', 'philtral-column', 'philtrum']), found);
+}
+
+async function main() {
+  testFirstOccurrence();
+  testSkipped();
+  testBoundaries();
+  testPopover();
+  testBookGlossary();
+}
+
+run(main);
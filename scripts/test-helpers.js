@@ -0,0 +1,166 @@
+// Shared by the scripts/test-*.js suites: the check() harness, and the
+// image files they hand to the code under test. The images are built
+// byte by byte and hold no real pixels; they carry what the readers look
+// at (signatures, sizes, segments and chunks), nothing more.
+
+/**
+ * A suite of named checks, reported as "✅ <title>: n/n checks passed"
+ * @param {string} title
+ * @returns {{verbose: boolean, check: Function, rejects: Function, run: Function}}
+ */
+function createSuite(title) {
+  const verbose = process.argv.includes('--verbose');
+  const failures = [];
+  let total = 0;
+
+  function check(name, condition, detail) {
+    total++;
+    if (!condition) failures.push({ name, detail });
+    else if (verbose) console.log(`  ✓ ${name}`);
+  }
+
+  // Whether a promise rejects with an error that passes test(error)
+  async function rejects(promise, test) {
+    try {
+      await promise;
+      return false;
+    } catch (error) {
+      return test(error);
+    }
+  }
+
+  function report() {
+    failures.forEach(failure => {
+      console.log(`\n❌ ${failure.name}`);
+      if (failure.detail !== undefined) console.log(`   ${JSON.stringify(failure.detail).slice(0, 400)}`);
+    });
+
+    console.log(`\n${failures.length ? '❌' : '✅'} ${title}: ${total - failures.length}/${total} checks passed`);
+    process.exit(failures.length ? 1 : 0);
+  }
+
+  // Run the suite's main(), then report; a crash fails the suite
+  function run(main) {
+    Promise.resolve().then(main).then(report, error => {
+      console.error(`\n❌ ${title} tests crashed: ${error.stack}`);
+      process.exit(1);
+    });
+  }
+
+  return { verbose, check, rejects, run };
+}
+
+const bytesOf = (...parts) => Buffer.concat(parts.map(part => (Buffer.isBuffer(part) ? part : Buffer.from(part))));
+
+// A TIFF block with one IFD0 entry: Orientation, or the GPS pointer
+function tiff(little, withGPS) {
+  const block = Buffer.alloc(26);
+  block.write(little ? 'II' : 'MM', 0, 'latin1');
+  const u16 = (value, at) => (little ? block.writeUInt16LE(value, at) : block.writeUInt16BE(value, at));
+  const u32 = (value, at) => (little ? block.writeUInt32LE(value, at) : block.writeUInt32BE(value, at));
+  u16(42, 2);
+  u32(8, 4);
+  u16(1, 8);
+  u16(withGPS ? 0x8825 : 0x0112, 10);
+  u16(withGPS ? 4 : 3, 12);
+  u32(1, 14);
+  u32(withGPS ? 26 : 1, 18);
+  return block;
+}
+
+// JPEG: a marker segment, and the image itself from the quantisation table to EOI
+function jpegSegment(marker, body) {
+  const head = Buffer.from([0xff, marker, 0, 0]);
+  head.writeUInt16BE(body.length + 2, 2);
+  return bytesOf(head, body);
+}
+
+function jpegImage(width, height) {
+  return bytesOf(
+    jpegSegment(0xdb, Buffer.alloc(65, 1)),
+    jpegSegment(0xc0, Buffer.from([8, height >> 8, height & 0xff, width >> 8, width & 0xff, 1, 1, 0x11, 0])),
+    jpegSegment(0xda, Buffer.from([1, 1, 0, 0, 0x3f, 0])),
+    Buffer.from([0x12, 0xff, 0x00, 0x34, 0xff, 0xd0, 0x56]),
+    Buffer.from([0xff, 0xd9])
+  );
+}
+
+const JFIF = jpegSegment(0xe0, bytesOf('JFIF\0', Buffer.from([1, 1, 0, 0, 1, 0, 1, 0, 0])));
+
+function jpeg(width, height) {
+  return bytesOf(Buffer.from([0xff, 0xd8]), JFIF, jpegImage(width, height));
+}
+
+// A JPEG as phones save it: EXIF pointing to a GPS position, and a comment
+function withMetadata(jpegBytes) {
+  return bytesOf(
+    jpegBytes.subarray(0, 2),
+    jpegSegment(0xe1, bytesOf('Exif\0\0', tiff(true, true))),
+    jpegSegment(0xfe, Buffer.from('患者 王某 13800000000')),
+    jpegBytes.subarray(2)
+  );
+}
+
+// PNG: a chunk (its CRC is not checked by anything here), and a whole file
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+function pngChunk(type, body) {
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(body.length, 0);
+  head.write(type, 4, 'latin1');
+  return bytesOf(head, body, Buffer.from([0xde, 0xad, 0xbe, 0xef]));
+}
+
+function png(width, height) {
+  const header = Buffer.alloc(13, 0);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = 2;
+  return bytesOf(PNG_SIGNATURE, pngChunk('IHDR', header), pngChunk('IDAT', Buffer.alloc(12, 7)), pngChunk('IEND', Buffer.alloc(0)));
+}
+
+// WebP: a chunk with its padding, a RIFF file of chunks, and a file of a
+// given size as a lossless (VP8L) or extended (VP8X) image
+function webpChunk(type, body) {
+  const head = Buffer.alloc(8);
+  head.write(type, 0, 'latin1');
+  head.writeUInt32LE(body.length, 4);
+  return bytesOf(head, body, body.length & 1 ? Buffer.from([0]) : Buffer.alloc(0));
+}
+
+function webpFile(chunks) {
+  const head = Buffer.alloc(12);
+  head.write('RIFF', 0, 'latin1');
+  head.writeUInt32LE(4 + chunks.reduce((sum, part) => sum + part.length, 0), 4);
+  head.write('WEBP', 8, 'latin1');
+  return bytesOf(head, ...chunks);
+}
+
+function webp(width, height, kind = 'VP8X') {
+  const body = Buffer.alloc(10);
+  if (kind === 'VP8X') {
+    body.writeUIntLE(width - 1, 4, 3);
+    body.writeUIntLE(height - 1, 7, 3);
+    return webpFile([webpChunk('VP8X', body), webpChunk('VP8L', Buffer.from([0x2f, 0, 0, 0, 0, 0]))]);
+  }
+  body[0] = 0x2f;
+  body.writeUInt32LE((width - 1) | ((height - 1) << 14), 1);
+  return webpFile([webpChunk('VP8L', body)]);
+}
+
+module.exports = {
+  createSuite,
+  bytesOf,
+  tiff,
+  jpegSegment,
+  jpegImage,
+  jpeg,
+  withMetadata,
+  PNG_SIGNATURE,
+  pngChunk,
+  png,
+  webpChunk,
+  webpFile,
+  webp
+};
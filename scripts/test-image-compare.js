@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+
+// Landmark alignment of before/after photos (ImageCompare.fitSimilarity
+// in image-compare.js): the fitted similarity transform recovers a known
+// rotation, scale and shift, exactly from two points and by least squares
+// from more, reports what is left as its error, and gives none for fewer
+// than two points or points that coincide. Also which landmarks are kept.
+//
+// Usage: node scripts/test-image-compare.js [--verbose]
+
+const path = require('path');
+const ImageCompare = require(path.join(__dirname, '..', 'image-compare.js'));
+const { createSuite } = require('./test-helpers.js');
+
+const { check, run } = createSuite('Image compare');
+
+const { fitSimilarity, normalizeLandmarks } = ImageCompare;
+
+const close = (actual, expected, tolerance = 1e-9) => Math.abs(actual - expected) <= tolerance;
+
+// The points moved by a rotation (degrees), a scale and a shift
+function transform(points, { rotation, scale, tx, ty }) {
+  const angle = rotation * Math.PI / 180;
+  const a = scale * Math.cos(angle);
+  const b = scale * Math.sin(angle);
+  return points.map(({ x, y }) => ({ x: a * x - b * y + tx, y: b * x + a * y + ty }));
+}
+
+// Mouth corners, bow and lower lip of a face in a 400×300 pane
+const FACE = [{ x: 140, y: 180 }, { x: 260, y: 182 }, { x: 200, y: 150 }, { x: 201, y: 215 }];
+
+function testRecovery() {
+  [
+    { rotation: 0, scale: 1, tx: 0, ty: 0 },
+    { rotation: 15, scale: 1.3, tx: 12, ty: -7 },
+    { rotation: -25, scale: 0.6, tx: -40, ty: 55 },
+    { rotation: 180, scale: 2, tx: 400, ty: 300 }
+  ].forEach(known => {
+    const label = `${known.rotation}°, ×${known.scale}, (${known.tx}, ${known.ty})`;
+    const fit = fitSimilarity(FACE, transform(FACE, known));
+    check(`recover ${label}: rotation`, close(Math.abs(fit.rotation), Math.abs(known.rotation)), fit.rotation);
+    check(`recover ${label}: scale`, close(fit.scale, known.scale), fit.scale);
+    check(`recover ${label}: shift`, close(fit.tx, known.tx, 1e-7) && close(fit.ty, known.ty, 1e-7), [fit.tx, fit.ty]);
+    check(`recover ${label}: no error left`, fit.error < 1e-9, fit.error);
+  });
+
+  const fit = fitSimilarity([{ x: 0, y: 0 }, { x: 1, y: 0 }], [{ x: 1, y: 1 }, { x: 1, y: 3 }]);
+  check('two points: an exact fit', close(fit.a, 0) && close(fit.b, 2) && close(fit.tx, 1) && close(fit.ty, 1) &&
+    close(fit.rotation, 90) && close(fit.scale, 2) && fit.error === 0, fit);
+
+  const moved = transform(FACE, { rotation: 10, scale: 1.1, tx: 5, ty: 5 });
+  check('transform: the fit does not depend on point order', (() => {
+    const forward = fitSimilarity(FACE, moved);
+    const backward = fitSimilarity(FACE.slice().reverse(), moved.slice().reverse());
+    return close(forward.rotation, backward.rotation) && close(forward.scale, backward.scale);
+  })());
+}
+
+function testLeastSquares() {
+  // Marks off by a pixel or so: the fit is close, and the error says how far off
+  const known = { rotation: 8, scale: 1.2, tx: -10, ty: 20 };
+  const marked = transform(FACE, known).map((point, i) => ({ x: point.x + [1, -1, 0.5, -0.5][i], y: point.y + [-0.5, 1, -1, 0.5][i] }));
+  const fit = fitSimilarity(FACE, marked);
+  check('least squares: close to the true rotation and scale', close(fit.rotation, known.rotation, 1) && close(fit.scale, known.scale, 0.02), fit);
+  check('least squares: the error is the RMS distance left', fit.error > 0.3 && fit.error < 1.5, fit.error);
+
+  const residual = Math.sqrt(FACE.reduce((sum, { x, y }, i) => {
+    const dx = fit.a * x - fit.b * y + fit.tx - marked[i].x;
+    const dy = fit.b * x + fit.a * y + fit.ty - marked[i].y;
+    return sum + dx * dx + dy * dy;
+  }, 0) / FACE.length);
+  check('least squares: the error as computed from the fit', close(fit.error, residual), { error: fit.error, residual });
+
+  const rms = ({ a, b, tx, ty }) => Math.sqrt(FACE.reduce((sum, { x, y }, i) =>
+    sum + (a * x - b * y + tx - marked[i].x) ** 2 + (b * x + a * y + ty - marked[i].y) ** 2, 0) / FACE.length);
+  const nudges = [{ a: 0.001 }, { a: -0.001 }, { b: 0.001 }, { b: -0.001 }, { tx: 0.5 }, { tx: -0.5 }, { ty: 0.5 }, { ty: -0.5 }];
+  check('least squares: any nudge to the fit leaves more', nudges.every(nudge => {
+    const other = Object.assign({}, fit);
+    Object.keys(nudge).forEach(key => { other[key] += nudge[key]; });
+    return rms(other) > fit.error;
+  }));
+
+  const mirrored = fitSimilarity(FACE, FACE.map(({ x, y }) => ({ x: 400 - x, y })));
+  check('a mirror image cannot be fitted: a large error is left', mirrored.error > 20, mirrored);
+}
+
+function testDegenerate() {
+  check('degenerate: no points', fitSimilarity([], []) === null);
+  check('degenerate: one point', fitSimilarity([{ x: 1, y: 1 }], [{ x: 5, y: 5 }]) === null);
+  check('degenerate: one pair after cutting to the shorter list', fitSimilarity(FACE, FACE.slice(0, 1)) === null);
+  check('degenerate: coincident points to fit from', fitSimilarity([{ x: 3, y: 4 }, { x: 3, y: 4 }, { x: 3, y: 4 }], FACE.slice(0, 3)) === null);
+
+  const collapsed = fitSimilarity(FACE.slice(0, 2), [{ x: 7, y: 9 }, { x: 7, y: 9 }]);
+  check('degenerate: coincident points to fit onto give scale 0 (no plausible alignment)', collapsed.scale === 0 &&
+    close(collapsed.tx, 7) && close(collapsed.ty, 9), collapsed);
+
+  const longer = fitSimilarity(FACE.slice(0, 3), transform(FACE, { rotation: 5, scale: 1, tx: 0, ty: 0 }));
+  check('unequal lists: the extra points are ignored', close(longer.rotation, 5) && longer.error < 1e-9, longer);
+}
+
+function testLandmarks() {
+  const kept = normalizeLandmarks({
+    'mouth-left': { x: 0.3, y: 0.6 },
+    'mouth-right': { x: 1, y: 0 },
+    'cupids-bow': { x: 1.2, y: 0.5 },
+    'lower-lip': { x: '0.5', y: 0.7 },
+    nose: { x: NaN, y: 0.1 },
+    chin: null
+  });
+  check('landmarks: only points with x and y from 0 to 1', JSON.stringify(kept) ===
+    JSON.stringify({ 'mouth-left': { x: 0.3, y: 0.6 }, 'mouth-right': { x: 1, y: 0 } }), kept);
+  check('landmarks: none from what is no object', JSON.stringify(normalizeLandmarks(null)) === '{}' &&
+    JSON.stringify(normalizeLandmarks('mouth')) === '{}');
+  check('landmarks: extra fields are dropped', JSON.stringify(normalizeLandmarks({ a: { x: 0, y: 0, label: 'x' } })) === '{"a":{"x":0,"y":0}}');
+}
+
+async function main() {
+  testRecovery();
+  testLeastSquares();
+  testDegenerate();
+  testLandmarks();
+}
+
+run(main);
@@ -0,0 +1,284 @@
+#!/usr/bin/env node
+
+// Photo de-identification (photo-deidentify.js): metadata stripped from
+// JPEG, PNG and WebP bytes without touching the image data, the eyes
+// located from FaceDetector's faces or from the lips, regions blurred or
+// masked in place, and the whole browser pipeline run against a stand-in
+// canvas.
+//
+// Usage: node scripts/test-photo-deidentify.js [--verbose]
+
+const path = require('path');
+const PhotoDeidentify = require(path.join(__dirname, '..', 'photo-deidentify.js'));
+const {
+  createSuite, bytesOf, tiff, jpegSegment, jpegImage, PNG_SIGNATURE, pngChunk, webpChunk, webpFile
+} = require('./test-helpers.js');
+
+const { check, run } = createSuite('Photo de-identification');
+
+const JPEG_IMAGE = jpegImage(30, 20);
+
+function jpegWithMetadata() {
+  return bytesOf(
+    Buffer.from([0xff, 0xd8]),
+    jpegSegment(0xe0, bytesOf('JFIF\0', Buffer.from([1, 1, 0, 0, 1, 0, 1, 0, 0]))),
+    jpegSegment(0xe1, bytesOf('Exif\0\0', tiff(true, true))),
+    jpegSegment(0xe1, bytesOf('http://ns.adobe.com/xap/1.0/\0<x:xmpmeta/>')),
+    jpegSegment(0xe2, bytesOf('ICC_PROFILE\0', Buffer.from([1, 1, 9, 9]))),
+    jpegSegment(0xe2, bytesOf('MPF\0', Buffer.alloc(8))),
+    jpegSegment(0xed, bytesOf('Photoshop 3.0\0', Buffer.alloc(4))),
+    jpegSegment(0xfe, Buffer.from('张女士 13800000000')),
+    JPEG_IMAGE,
+    Buffer.from([0xff, 0xd8, 0xff, 0xd9])
+  );
+}
+
+function testMetadata() {
+  const jpeg = jpegWithMetadata();
+  let result = PhotoDeidentify.stripMetadata(jpeg);
+  let out = Buffer.from(result.bytes);
+  check('JPEG: every kind of metadata named', JSON.stringify(result.removed) ===
+    JSON.stringify(['EXIF', 'GPS', 'XMP', 'APP2', 'IPTC', 'comment', 'trailer']), result.removed);
+  check('JPEG: JFIF, the colour profile and the image are kept byte for byte',
+    out.equals(bytesOf(Buffer.from([0xff, 0xd8]), jpeg.subarray(2, 20), jpegSegment(0xe2, bytesOf('ICC_PROFILE\0', Buffer.from([1, 1, 9, 9]))), JPEG_IMAGE)),
+    out.length);
+  check('JPEG: nothing of the comment left', !out.includes(Buffer.from('13800000000')));
+  const again = PhotoDeidentify.stripMetadata(result.bytes);
+  check('JPEG: stripping twice changes nothing', again.removed.length === 0 && again.bytes === result.bytes);
+
+  result = PhotoDeidentify.stripMetadata(bytesOf(Buffer.from([0xff, 0xd8]), jpegSegment(0xe1, bytesOf('Exif\0\0', tiff(false, false))), JPEG_IMAGE));
+  check('JPEG: EXIF without a location is not called GPS', JSON.stringify(result.removed) === '["EXIF"]', result.removed);
+  result = PhotoDeidentify.stripMetadata(bytesOf(Buffer.from([0xff, 0xd8]), jpegSegment(0xe1, bytesOf('Exif\0\0', tiff(false, true))), JPEG_IMAGE));
+  check('JPEG: big-endian EXIF with a location', JSON.stringify(result.removed) === '["EXIF","GPS"]', result.removed);
+
+  const truncated = jpeg.subarray(0, 40);
+  let threw = false;
+  try {
+    PhotoDeidentify.stripMetadata(truncated);
+  } catch (error) {
+    threw = true;
+  }
+  check('JPEG: a truncated file does not throw', !threw);
+  const garbled = bytesOf(Buffer.from([0xff, 0xd8]), jpegSegment(0xe1, bytesOf('Exif\0\0', tiff(true, true))), Buffer.from('garbled'));
+  result = PhotoDeidentify.stripMetadata(garbled);
+  check('JPEG: metadata before a garbled stretch still goes, the rest is kept',
+    Buffer.from(result.bytes).equals(bytesOf(Buffer.from([0xff, 0xd8]), Buffer.from('garbled'))), Buffer.from(result.bytes));
+
+  const ihdr = pngChunk('IHDR', Buffer.alloc(13, 2));
+  const idat = pngChunk('IDAT', Buffer.alloc(20, 7));
+  const iend = pngChunk('IEND', Buffer.alloc(0));
+  const png = bytesOf(PNG_SIGNATURE, ihdr, pngChunk('tEXt', Buffer.from('Author\0张医生')),
+    pngChunk('iTXt', Buffer.from('XML:com.adobe.xmp\0\0\0\0\0<x/>')), pngChunk('eXIf', tiff(true, true)),
+    pngChunk('tIME', Buffer.alloc(7)), idat, iend);
+  result = PhotoDeidentify.stripMetadata(png);
+  check('PNG: text, XMP, EXIF and time named', JSON.stringify(result.removed) ===
+    JSON.stringify(['text', 'XMP', 'EXIF', 'GPS', 'time']), result.removed);
+  check('PNG: the image chunks are kept with their CRCs', Buffer.from(result.bytes).equals(bytesOf(PNG_SIGNATURE, ihdr, idat, iend)));
+
+  const vp8x = Buffer.alloc(10);
+  vp8x[0] = 0x20 | 0x08 | 0x04;
+  const image = webpChunk('VP8 ', Buffer.alloc(11, 5));
+  const withMetadata = webpFile([webpChunk('VP8X', vp8x), webpChunk('ICCP', Buffer.alloc(4)), image,
+    webpChunk('EXIF', bytesOf('Exif\0\0', tiff(true, false))), webpChunk('XMP ', Buffer.from('<x/>'))]);
+  result = PhotoDeidentify.stripMetadata(withMetadata);
+  out = Buffer.from(result.bytes);
+  check('WebP: EXIF and XMP named', JSON.stringify(result.removed) === '["EXIF","XMP"]', result.removed);
+  check('WebP: their flags are cleared, the colour profile flag kept', out[20] === 0x20, out[20]);
+  check('WebP: the RIFF size matches what is left', out.readUInt32LE(4) === out.length - 8, [out.readUInt32LE(4), out.length]);
+  check('WebP: odd-sized chunks keep their padding', out.subarray(out.length - image.length).equals(image));
+
+  const text = Buffer.from('not an image at all');
+  result = PhotoDeidentify.stripMetadata(text);
+  check('other bytes are returned as they are', result.bytes === text && result.removed.length === 0);
+  check('readMetadata names without stripping', JSON.stringify(PhotoDeidentify.readMetadata(png)) ===
+    JSON.stringify(['text', 'XMP', 'EXIF', 'GPS', 'time']));
+}
+
+// A face drawn in flat colours: skin, two dark eyes, lips
+function face(width, height, { lipsAt = 0.8, eyesAt = 0.23, lipsWidth = 0.15, withLips = true } = {}) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      let color = [224 + (x * 7) % 5, 172, 150];
+      const dx = (x - width / 2) / (width * lipsWidth);
+      const dy = (y - height * lipsAt) / (width * lipsWidth * 0.3);
+      if (withLips && dx * dx + dy * dy < 1) color = [185, 70, 80];
+      const eye = [0.35, 0.65].some(ex => (x - width * ex) ** 2 + (y - height * eyesAt) ** 2 < (width * 0.025) ** 2);
+      if (eye) color = [40, 30, 30];
+      data.set([...color, 255], i);
+    }
+  }
+  return { data, width, height };
+}
+
+const contains = (region, x, y) => x >= region.x && x <= region.x + region.width && y >= region.y && y <= region.y + region.height;
+
+function pixel(image, x, y) {
+  const i = (y * image.width + x) * 4;
+  return Array.from(image.data.subarray(i, i + 4));
+}
+
+function testDetection() {
+  const image = face(400, 300);
+  const lips = PhotoDeidentify.findLips(image);
+  check('lips: found where they are drawn', lips && Math.abs(lips.centerX - 200) < 8 && Math.abs(lips.centerY - 240) < 8 &&
+    Math.abs(lips.width - 120) < 20, lips);
+
+  let located = PhotoDeidentify.locateEyes(image, null);
+  const [band] = located.regions;
+  check('eyes: estimated from the lips', located.detector === 'lip-landmarks' && located.regions.length === 1, located);
+  check('eyes: the band covers both eyes', band && contains(band, 0.35, 0.23) && contains(band, 0.65, 0.23), band);
+  check('eyes: and stays clear of the mouth', band && band.y + band.height < 0.7, band);
+
+  const closeUp = face(400, 300, { lipsAt: 0.5, lipsWidth: 0.4 });
+  located = PhotoDeidentify.locateEyes(closeUp, null);
+  check('eyes: a close-up of the lips has none in frame', located.detector === 'lip-landmarks' && located.regions.length === 0, located);
+
+  const blank = { data: new Uint8ClampedArray(200 * 100 * 4).fill(255), width: 200, height: 100 };
+  located = PhotoDeidentify.locateEyes(blank, null);
+  check('eyes: no face, no regions, and the record says so', located.detector === 'none' && located.regions.length === 0, located);
+  check('lips: none on plain skin', PhotoDeidentify.findLips(face(300, 300, { withLips: false })) === null);
+
+  const faces = [{
+    boundingBox: { x: 100, y: 50, width: 200, height: 240 },
+    landmarks: [
+      { type: 'eye', locations: [{ x: 150, y: 120 }] },
+      { type: 'eye', locations: [{ x: 250, y: 122 }] },
+      { type: 'mouth', locations: [{ x: 200, y: 240 }] }
+    ]
+  }, { boundingBox: { x: 0, y: 0, width: 80, height: 100 } }];
+  located = PhotoDeidentify.locateEyes(image, faces);
+  check('faces: FaceDetector is used when it found a face', located.detector === 'face-detector' && located.regions.length === 2, located);
+  check('faces: the band spans both eye landmarks', contains(located.regions[0], 150 / 400, 120 / 300) &&
+    contains(located.regions[0], 250 / 400, 122 / 300) && !contains(located.regions[0], 0.5, 240 / 300), located.regions[0]);
+  check('faces: without landmarks, the upper face', contains(located.regions[1], 40 / 400, 35 / 300) &&
+    !contains(located.regions[1], 40 / 400, 90 / 300), located.regions[1]);
+  check('faces: an empty result falls back to the lips', PhotoDeidentify.locateEyes(image, []).detector === 'lip-landmarks');
+}
+
+function testRegions() {
+  check('regions: clipped to the photo', JSON.stringify(PhotoDeidentify.clampRegion({ x: -0.1, y: 0.9, width: 0.5, height: 0.3 })) ===
+    JSON.stringify({ x: 0, y: 0.9, width: 0.4, height: 0.1 }));
+  check('regions: nothing left is null', PhotoDeidentify.clampRegion({ x: 1.2, y: 0, width: 0.1, height: 0.1 }) === null);
+  const dragged = PhotoDeidentify.regionFromPoints({ x: 0.6, y: 0.5 }, { x: 0.2, y: 0.1 });
+  check('regions: from two corners in any order', JSON.stringify(dragged) === JSON.stringify({ x: 0.2, y: 0.1, width: 0.4, height: 0.4 }), dragged);
+  check('regions: a click is not a region', PhotoDeidentify.regionFromPoints({ x: 0.5, y: 0.5 }, { x: 0.501, y: 0.5 }) === null);
+  const regions = [{ x: 0, y: 0, width: 0.5, height: 0.5 }, { x: 0.25, y: 0.25, width: 0.5, height: 0.5 }];
+  check('regions: the one on top is hit', PhotoDeidentify.regionAt(regions, 0.3, 0.3) === 1 &&
+    PhotoDeidentify.regionAt(regions, 0.1, 0.1) === 0 && PhotoDeidentify.regionAt(regions, 0.9, 0.9) === -1);
+
+  const checkerboard = () => {
+    const data = new Uint8ClampedArray(100 * 80 * 4);
+    for (let i = 0; i < 100 * 80; i++) {
+      const x = i % 100;
+      const y = Math.floor(i / 100);
+      data.set((x + y) % 2 ? [255, 255, 255, 200] : [0, 0, 0, 200], i * 4);
+    }
+    return { data, width: 100, height: 80 };
+  };
+  const region = { x: 0.2, y: 0.25, width: 0.5, height: 0.5 };
+  const spread = (image, x0, y0, x1, y1) => {
+    const values = [];
+    for (let y = y0; y < y1; y++) for (let x = x0; x < x1; x++) values.push(pixel(image, x, y)[0]);
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    return Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+  };
+
+  let image = PhotoDeidentify.applyRegions(checkerboard(), [region], 'mask');
+  check('mask: the region is painted over', JSON.stringify(pixel(image, 30, 30)) === '[48,48,48,200]' &&
+    JSON.stringify(pixel(image, 69, 59)) === '[48,48,48,200]', pixel(image, 30, 30));
+  check('mask: nothing outside it changes', JSON.stringify(pixel(image, 19, 30)) === '[255,255,255,200]' &&
+    JSON.stringify(pixel(image, 70, 30)) === '[0,0,0,200]' && JSON.stringify(pixel(image, 30, 60)) === '[0,0,0,200]');
+
+  image = PhotoDeidentify.applyRegions(checkerboard(), [region]);
+  check('blur: the default, and the detail is gone', spread(image, 20, 20, 70, 60) < 10, spread(image, 20, 20, 70, 60));
+  check('blur: outside untouched', spread(image, 75, 0, 100, 80) > 120 && JSON.stringify(pixel(image, 19, 30)) === '[255,255,255,200]');
+  check('blur: transparency kept', pixel(image, 40, 40)[3] === 200);
+
+  check('record: a good one passes', PhotoDeidentify.validateRecord({
+    detector: 'lip-landmarks', mode: 'blur', regions: [region], metadataRemoved: ['EXIF', 'GPS']
+  }).length === 0);
+  const errors = PhotoDeidentify.validateRecord({ detector: 'guess', mode: 'smudge', regions: [{ x: 2, y: 0, width: 1, height: 1 }], metadataRemoved: 'all' });
+  check('record: each field is checked and named', ['detector', 'mode', 'regions', 'metadataRemoved']
+    .every(field => errors.some(error => error.startsWith(field))), errors);
+  check('record: not an object', PhotoDeidentify.validateRecord([]).length === 1);
+}
+
+// The browser pipeline against stand-ins for createImageBitmap and OffscreenCanvas
+async function testPipeline() {
+  const drawn = face(400, 300);
+  const encoded = [];
+  const decoded = [];
+  global.createImageBitmap = async (blob, options) => {
+    decoded.push(options);
+    return { width: 400, height: 300, close() {} };
+  };
+  global.OffscreenCanvas = class {
+    constructor(width, height) {
+      this.width = width;
+      this.height = height;
+      this.pixels = null;
+    }
+
+    getContext() {
+      const canvas = this;
+      return {
+        drawImage(bitmap) {
+          canvas.bitmap = bitmap;
+          canvas.pixels = new Uint8ClampedArray(drawn.data);
+        },
+        getImageData(x, y, width, height) {
+          return { data: new Uint8ClampedArray(canvas.pixels), width, height };
+        },
+        putImageData(image) {
+          canvas.pixels = new Uint8ClampedArray(image.data);
+        }
+      };
+    }
+
+    async convertToBlob(options) {
+      encoded.push({ options, pixels: this.pixels });
+      return new Blob([Buffer.from(this.pixels.buffer)], { type: options.type });
+    }
+  };
+
+  try {
+    const file = new Blob([jpegWithMetadata()], { type: 'image/jpeg' });
+    const result = await PhotoDeidentify.process(file);
+    const { record } = result;
+    check('pipeline: without a worker it runs on the page', encoded.length === 2);
+    check('pipeline: EXIF orientation is applied when decoding', decoded[0].imageOrientation === 'from-image', decoded);
+    check('pipeline: a JPEG stays a JPEG', encoded.every(entry => entry.options.type === 'image/jpeg'));
+    check('pipeline: the record says what was found and removed', record.detector === 'lip-landmarks' && record.mode === 'blur' &&
+      record.regions.length === 1 && record.metadataRemoved.includes('GPS') && record.width === 400 && record.height === 300, record);
+    check('pipeline: the original is unmasked, the upload masked',
+      JSON.stringify(Array.from(encoded[0].pixels.subarray(0, 4))) === JSON.stringify(Array.from(drawn.data.subarray(0, 4))) &&
+      pixel({ data: encoded[1].pixels, width: 400 }, 140, 69)[0] > 100 && pixel(drawn, 140, 69)[0] === 40,
+    pixel({ data: encoded[1].pixels, width: 400 }, 140, 69));
+    check('pipeline: the mouth is left as it was', pixel({ data: encoded[1].pixels, width: 400 }, 200, 240)[0] === 185);
+    check('pipeline: both come back as blobs', result.masked instanceof Blob && result.original instanceof Blob);
+
+    encoded.length = 0;
+    const manual = await PhotoDeidentify.process(new Blob([Buffer.from('x')], { type: 'image/gif' }), {
+      regions: [{ x: 0.4, y: 0.7, width: 0.2, height: 0.2 }, { x: 1.5, y: 0, width: 0.1, height: 0.1 }],
+      mode: 'mask'
+    });
+    check('pipeline: given regions are used as they are, off-photo ones dropped', manual.record.detector === 'manual' &&
+      manual.record.regions.length === 1 && manual.record.mode === 'mask', manual.record);
+    check('pipeline: formats other than JPEG, PNG and WebP leave as JPEG', encoded[1].options.type === 'image/jpeg');
+    check('pipeline: masked with the mask colour', JSON.stringify(pixel({ data: encoded[1].pixels, width: 400 }, 200, 240)) === '[48,48,48,255]');
+  } finally {
+    delete global.createImageBitmap;
+    delete global.OffscreenCanvas;
+  }
+}
+
+async function main() {
+  testMetadata();
+  testDetection();
+  testRegions();
+  await testPipeline();
+}
+
+run(main);
@@ -0,0 +1,287 @@
+#!/usr/bin/env node
+
+// Search query language (QueryParser in search-system.js): how AND, OR,
+// NOT, "-", parentheses and phrases group, what field:value turns into
+// for each field type (comparisons, ranges, whole days for bare dates)
+// and that a word with a colon but no known field stays a word (ratio:1.618),
+// where syntax errors point, and how compile() splits a query between
+// FilterEngine filters, the ranking text and a per-item predicate. A
+// regex-mode query that takes quadratic time on a long field still ends
+// within the regex time limit.
+//
+// Usage: node scripts/test-query-parser.js [--verbose]
+
+const path = require('path');
+const { QueryParser, QuerySyntaxError, FilterEngine, FuzzySearchEngine, FilterTypes, SearchConfig, SearchTypes } =
+  require(path.join(__dirname, '..', 'search-system.js'));
+const { createSuite } = require('./test-helpers.js');
+
+const { check, run } = createSuite('Query parser');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FIELDS = {
+  title: {},
+  type: { key: 'treatmentType', type: FilterTypes.SELECT },
+  rating: { type: FilterTypes.NUMBER },
+  date: { type: FilterTypes.DATE },
+  featured: { type: FilterTypes.BOOLEAN }
+};
+
+const parser = new QueryParser({ fields: FIELDS });
+
+// The tree as an s-expression: (and a b), (or …), (not x), "phrase", key:operator:value
+function show(node) {
+  if (!node) return '';
+  switch (node.type) {
+    case 'and':
+    case 'or':
+      return `(${node.type} ${node.children.map(show).join(' ')})`;
+    case 'not':
+      return `(not ${show(node.child)})`;
+    case 'term':
+      return node.phrase ? JSON.stringify(node.value) : node.value;
+    case 'field':
+      return `${node.key}:${node.operator}:${JSON.stringify(node.value)}`;
+    default:
+      return `?${node.type}`;
+  }
+}
+
+// The error a query raises, or null
+function syntaxError(query) {
+  try {
+    parser.parse(query);
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+// [query, tree]
+const TREES = [
+  ['lip', 'lip'],
+  ['lip filler', '(and lip filler)'],
+  ['lip AND filler', '(and lip filler)'],
+  ['a b OR c', '(or (and a b) c)'],
+  ['a OR b c', '(or a (and b c))'],
+  ['a OR b AND c OR d', '(or a (and b c) d)'],
+  ['(a OR b) c', '(and (or a b) c)'],
+  ['a (b OR (c d))', '(and a (or b (and c d)))'],
+  ['NOT a b', '(and (not a) b)'],
+  ['NOT a OR b', '(or (not a) b)'],
+  ['NOT (a OR b)', '(not (or a b))'],
+  ['NOT NOT a', '(not (not a))'],
+  ['a -b', '(and a (not b))'],
+  ['-a', '(not a)'],
+  ['-(a b)', '(not (and a b))'],
+  ['a OR -b', '(or a (not b))'],
+  ['a-b', 'a-b'],
+  ['a - b', '(and a - b)'],
+  ['lip and filler or not', '(and lip and filler or not)'],
+  ['"lip filler"', '"lip filler"'],
+  ['"lip filler" OR 唇部填充', '(or "lip filler" 唇部填充)'],
+  ['-"lip filler"', '(not "lip filler")'],
+  ['"say \\"hi\\""', '"say \\"hi\\""'],
+  ['"a(b) OR c"', '"a(b) OR c"'],
+  ['玻尿酸 -并发症', '(and 玻尿酸 (not 并发症))'],
+  ['ratio:1.618', 'ratio:1.618'],
+  ['10:30', '10:30'],
+  ['https://example.com/lip?a=1', 'https://example.com/lip?a=1'],
+  ['lip colour:red', '(and lip colour:red)'],
+  ['colour:"red lip"', '(and colour: "red lip")'],
+  ['colour:', 'colour:'],
+  ['   ', '']
+];
+
+// [query, tree] for field:value
+const FIELD_TREES = [
+  ['title:lip', 'title:contains:"lip"'],
+  ['TITLE:lip', 'title:contains:"lip"'],
+  ['title:"lip filler"', 'title:contains:"lip filler"'],
+  ['type:augmentation', 'treatmentType:eq:"augmentation"'],
+  ['featured:yes', 'featured:eq:true'],
+  ['featured:0', 'featured:eq:false'],
+  ['rating:4.5', 'rating:eq:4.5'],
+  ['rating:>=4.5', 'rating:gte:4.5'],
+  ['rating:>4', 'rating:gt:4'],
+  ['rating:<=2', 'rating:lte:2'],
+  ['rating:<2', 'rating:lt:2'],
+  ['rating:=3', 'rating:eq:3'],
+  ['rating:4..5', 'rating:between:[4,5]'],
+  ['rating:-1..1', 'rating:between:[-1,1]'],
+  ['type:augmentation rating:>=4.5 -title:draft', '(and treatmentType:eq:"augmentation" rating:gte:4.5 (not title:contains:"draft"))']
+];
+
+// A date without a time stands for the whole day
+const day = text => Date.parse(text);
+const endOfDay = text => Date.parse(text) + DAY_MS - 1;
+const DATE_TREES = [
+  ['date:2023-03-01', `date:between:[${day('2023-03-01')},${endOfDay('2023-03-01')}]`],
+  ['date:>=2023-03-01', `date:gte:${day('2023-03-01')}`],
+  ['date:>2023-03-01', `date:gt:${endOfDay('2023-03-01')}`],
+  ['date:<=2023-03-01', `date:lte:${endOfDay('2023-03-01')}`],
+  ['date:<2023-03-01', `date:lt:${day('2023-03-01')}`],
+  ['date:2023-01-01..2023-06-30', `date:between:[${day('2023-01-01')},${endOfDay('2023-06-30')}]`],
+  ['date:2023-03-01T12:00:00Z', `date:eq:${day('2023-03-01T12:00:00Z')}`],
+  ['date:>2023-03-01T12:00:00Z', `date:gt:${day('2023-03-01T12:00:00Z')}`],
+  ['date:2023-01-01..2023-06-30T08:00:00Z', `date:between:[${day('2023-01-01')},${day('2023-06-30T08:00:00Z')}]`]
+];
+
+// [query, message, column the caret points at (0-based)]
+const ERRORS = [
+  ['a AND', /^Expected a search term after AND/, 5],
+  ['a OR', /^Expected a search term after OR/, 4],
+  ['NOT', /^Expected a search term after NOT/, 3],
+  ['OR a', /^Expected a search term before "OR"/, 0],
+  ['a AND OR b', /^Expected a search term before "OR"/, 6],
+  ['(a OR b', /^Missing closing "\)"/, 0],
+  ['x (a (b)', /^Missing closing "\)"/, 2],
+  ['a)', /^Unexpected "\)"/, 1],
+  ['(a) b)', /^Unexpected "\)"/, 5],
+  ['a ()', /^Empty parentheses/, 2],
+  ['"lip filler', /^Unterminated phrase/, 0],
+  ['lip "filler', /^Unterminated phrase/, 4],
+  ['title:"lip', /^Unterminated phrase/, 6],
+  ['lip title:', /^Missing value after "title:"/, 10],
+  ['title:>3', /^"title" is a text field/, 6],
+  ['a title:1..2', /^"title" is a text field/, 8],
+  ['rating:abc', /^"abc" is not a number/, 7],
+  ['rating:>=abc', /^"abc" is not a number/, 9],
+  ['rating:>=', /^Missing value for "rating"/, 9],
+  ['rating:1..x', /^"x" is not a number/, 10],
+  ['rating:1..', /^Missing value for "rating"/, 10],
+  ['date:2023-01-01..soon', /^"soon" is not a date/, 17],
+  ['date:yesterday', /^"yesterday" is not a date \(use YYYY-MM-DD\)/, 5],
+  ['featured:maybe', /^"maybe" is not true or false/, 9]
+];
+
+function testParse() {
+  [...TREES, ...FIELD_TREES, ...DATE_TREES].forEach(([query, expected]) => {
+    let tree;
+    try {
+      tree = show(parser.parse(query));
+    } catch (error) {
+      tree = `error: ${error.message}`;
+    }
+    check(`parse: ${query}`, tree === expected, { expected, got: tree });
+  });
+
+  check('parse: an empty query has no tree', parser.parse('') === null);
+  const term = parser.parse('a  "b c"');
+  check('parse: terms keep their column', term.children[0].position === 0 && term.children[1].position === 3, term);
+  check('parse: completeField by prefix, any case', parser.completeField('T').map(field => field.name).join() === 'title,type');
+}
+
+function testErrors() {
+  ERRORS.forEach(([query, message, column]) => {
+    const error = syntaxError(query);
+    check(`error: ${query}`, error instanceof QuerySyntaxError && message.test(error.message) && error.position === column,
+      error ? { message: error.message, position: error.position, expected: column } : 'no error');
+  });
+
+  const error = syntaxError('lip AND');
+  check('error: the message gives the 1-based column', /\(column 8\)$/.test(error.message), error.message);
+  check('error: the query is kept', error.query === 'lip AND' && error.name === 'QuerySyntaxError');
+  check('error: caret() points under the column', error.caret() === 'lip AND\n       ^', error.caret());
+
+  const bare = new QueryParser();
+  check('no fields: field:value is a search word', show(bare.parse('title:lip')) === 'title:lip', show(bare.parse('title:lip')));
+}
+
+const ITEMS = [
+  { id: 1, title: 'Natural lip filler', treatmentType: 'augmentation', rating: 4.8, date: '2023-03-01T18:30:00Z', featured: true },
+  { id: 2, title: 'Lip reduction', treatmentType: 'reduction', rating: 4.2, date: '2023-03-02T09:00:00Z', featured: false },
+  { id: 3, title: 'Filler complication', treatmentType: 'augmentation', rating: 2.5, date: '2023-02-28T23:00:00Z', featured: false },
+  { id: 4, title: '唇部填充 玻尿酸', treatmentType: 'augmentation', rating: 4.9, date: '2023-06-30T20:00:00Z', featured: true }
+];
+
+// What a compiled query keeps of ITEMS, as AdvancedSearchComponent runs it
+function compileAndRun(query) {
+  const filterEngine = new FilterEngine();
+  const searchEngine = new FuzzySearchEngine({ keys: ['title'] });
+  const compiled = parser.compile(query, { filterEngine, searchEngine });
+  const ids = ITEMS
+    .filter(item => filterEngine.passes(item) && (!compiled.predicate || compiled.predicate(item)))
+    .map(item => item.id)
+    .join();
+  return { compiled, filterEngine, ids };
+}
+
+function testCompile() {
+  let result = compileAndRun('');
+  check('compile: an empty query is nothing', result.compiled.text === '' && result.compiled.filters.length === 0 &&
+    result.compiled.predicate === null && result.ids === '1,2,3,4', result);
+
+  result = compileAndRun('lip filler');
+  check('compile: plain words are the ranking text', result.compiled.text === 'lip filler' &&
+    result.compiled.filters.length === 0 && result.compiled.predicate === null, result.compiled);
+
+  result = compileAndRun('lip type:augmentation rating:>=4.5');
+  check('compile: top-level field clauses become filters', result.compiled.text === 'lip' &&
+    JSON.stringify(result.compiled.filters) === JSON.stringify([
+      { key: 'treatmentType', operator: 'eq', value: 'augmentation', type: FilterTypes.SELECT },
+      { key: 'rating', operator: 'gte', value: 4.5, type: FilterTypes.NUMBER }
+    ]) && result.compiled.predicate === null, result.compiled);
+  check('compile: the filters are added to the FilterEngine', result.filterEngine.filters.size === 2 &&
+    result.filterEngine.filters.get('rating').operator === 'gte', Array.from(result.filterEngine.filters.keys()));
+  check('compile: and filter the items', result.ids === '1,4', result.ids);
+
+  result = compileAndRun('rating:>=2 rating:<4.5');
+  check('compile: a second clause on one key goes to the predicate', result.compiled.filters.length === 1 &&
+    result.compiled.predicate !== null && result.ids === '2,3', { filters: result.compiled.filters, ids: result.ids });
+
+  result = compileAndRun('"lip filler" OR 玻尿酸');
+  check('compile: OR becomes the predicate, with no ranking text', result.compiled.text === '' &&
+    result.compiled.filters.length === 0 && result.ids === '1,4', result.ids);
+
+  result = compileAndRun('filler -complication');
+  check('compile: NOT and "-" exclude', result.compiled.text === 'filler' && result.ids === '1,2,4', result.ids);
+  result = compileAndRun('NOT type:augmentation');
+  check('compile: a negated field clause is not a filter', result.compiled.filters.length === 0 && result.ids === '2', result.ids);
+  result = compileAndRun('(type:reduction OR featured:true) rating:>4.5');
+  check('compile: grouped field clauses', result.ids === '1,4', result.ids);
+
+  result = compileAndRun('date:2023-03-01');
+  check('compile: a bare date keeps the whole day', result.ids === '1', result.ids);
+  result = compileAndRun('date:>2023-03-01');
+  check('compile: after a day is from the next day on', result.ids === '2,4', result.ids);
+  result = compileAndRun('date:<=2023-03-01');
+  check('compile: up to a day includes all of it', result.ids === '1,3', result.ids);
+  result = compileAndRun('date:2023-03-01..2023-06-30');
+  check('compile: a date range includes its last day', result.ids === '1,2,4', result.ids);
+
+  let thrown = null;
+  const filterEngine = new FilterEngine();
+  try {
+    parser.compile('type:augmentation (lip', { filterEngine, searchEngine: new FuzzySearchEngine({ keys: ['title'] }) });
+  } catch (error) {
+    thrown = error;
+  }
+  check('compile: a syntax error adds no filters', thrown instanceof QuerySyntaxError && filterEngine.filters.size === 0, thrown && thrown.message);
+}
+
+function testRegexMode() {
+  const engine = new FuzzySearchEngine({ keys: ['title', 'body'], mode: SearchTypes.REGEX });
+
+  // Each start position scans to the end of the field before failing
+  [
+    ['\\s+$', (' '.repeat(1999) + 'x').repeat(5)],
+    ['a+b', 'a'.repeat(10000)]
+  ].forEach(([pattern, body]) => {
+    const started = Date.now();
+    const found = engine.search(pattern, [{ title: 'lip', body }]);
+    const elapsed = Date.now() - started;
+    check(`regex mode: ${pattern} on a ${body.length}-character field ends in time`, found.length === 0 &&
+      engine.lastSearch.error === null && elapsed <= SearchConfig.REGEX_TIMEOUT, `${elapsed} ms`);
+  });
+}
+
+async function main() {
+  testParse();
+  testErrors();
+  testCompile();
+  testRegexMode();
+}
+
+run(main);
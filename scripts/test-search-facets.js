@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+
+// Facet counts (FilterEngine.computeFacets in search-system.js): values
+// and buckets offered with item counts, each facet counted without its own
+// selection (disjunctive faceting) but with every other filter, number
+// buckets on round steps, date buckets on calendar steps, and the labels.
+//
+// Usage: node scripts/test-search-facets.js [--verbose]
+
+const path = require('path');
+const { FilterEngine, FilterTypes } = require(path.join(__dirname, '..', 'search-system.js'));
+const { createSuite } = require('./test-helpers.js');
+
+const { check, run } = createSuite('Search facets');
+
+const CASES = [
+  { id: 1, technique: 'filler', areas: ['upper', 'lower'], rating: 4.8, date: '2024-01-10' },
+  { id: 2, technique: 'filler', areas: ['upper'], rating: 4.2, date: '2024-03-02' },
+  { id: 3, technique: 'botox', areas: ['corner'], rating: 3.1, date: '2024-05-20' },
+  { id: 4, technique: 'thread', areas: ['lower', 'lower'], rating: 4.9, date: '2024-06-30' },
+  { id: 5, technique: 'botox', areas: [], rating: null, date: null }
+];
+
+function engine() {
+  return new FilterEngine()
+    .defineFacet('technique', { label: '技术', labels: { filler: '填充' } })
+    .defineFacet('areas', { type: FilterTypes.MULTI_SELECT, sort: 'value' })
+    .defineFacet('rating', { type: FilterTypes.RANGE })
+    .defineFacet('date', { type: FilterTypes.RANGE, valueType: FilterTypes.DATE });
+}
+
+const facet = (result, key) => result.facets.find(entry => entry.key === key);
+// "value:count" per value, or "label:count" per bucket, in order
+const counts = entry => (entry.values || entry.buckets).map(value => `${value.value !== undefined ? value.value : value.label}:${value.count}`).join(' ');
+const DAY = Date.UTC(2024, 0, 2) - Date.UTC(2024, 0, 1);
+
+function testValues() {
+  const result = engine().computeFacets(CASES);
+  const technique = facet(result, 'technique');
+  check('values: every item counted without a selection', result.total === 5 && result.facets.length === 4 &&
+    result.facets.every(entry => entry.total === 5), result);
+  check('values: by count, most first', counts(technique) === 'filler:2 botox:2 thread:1', counts(technique));
+  check('values: the facet and value labels', technique.label === '技术' && technique.type === FilterTypes.SELECT &&
+    technique.values.map(value => value.label).join() === '填充,botox,thread', technique);
+  check('values: nothing selected', result.facets.every(entry => (entry.values || entry.buckets).every(value => !value.selected)));
+
+  const areas = facet(result, 'areas');
+  check('multi-select: by value, an item counted once per value', counts(areas) === 'corner:1 lower:2 upper:2', counts(areas));
+
+  const plain = new FilterEngine().defineFacet('technique');
+  check('values: labels default to the key and the value', (() => {
+    const entry = facet(plain.computeFacets(CASES), 'technique');
+    return entry.label === 'technique' && entry.values[0].label === 'filler';
+  })());
+  check('values: nested keys', counts(facet(new FilterEngine().defineFacet('doctor.city')
+    .computeFacets([{ doctor: { city: '上海' } }, { doctor: { city: '上海' } }, {}]), 'doctor.city')) === '上海:2');
+}
+
+function testSelection() {
+  const filters = engine();
+  filters.setFacetSelection('technique', ['filler']);
+  let result = filters.computeFacets(CASES);
+  check('selection: the total passes every filter', result.total === 2, result.total);
+  check('selection: a facet is counted without its own selection', counts(facet(result, 'technique')) === 'filler:2 botox:2 thread:1' &&
+    facet(result, 'technique').total === 5, facet(result, 'technique'));
+  check('selection: the selected value is marked', facet(result, 'technique').values.map(value => value.selected).join() === 'true,false,false');
+  check('selection: other facets are counted with it', counts(facet(result, 'areas')) === 'corner:0 lower:1 upper:2' &&
+    facet(result, 'areas').total === 2, counts(facet(result, 'areas')));
+  check('selection: values no longer shown stay offered at 0', counts(facet(result, 'rating')) === '3–3.5:0 3.5–4:0 4–4.5:1 4.5–5:1', counts(facet(result, 'rating')));
+
+  filters.setFacetSelection('areas', ['lower']);
+  result = filters.computeFacets(CASES);
+  check('two selections: the total passes both', result.total === 1, result.total);
+  check('two selections: each facet counted with the other', counts(facet(result, 'technique')) === 'filler:1 thread:1 botox:0' &&
+    counts(facet(result, 'areas')) === 'corner:0 lower:1 upper:2', [counts(facet(result, 'technique')), counts(facet(result, 'areas'))]);
+
+  filters.toggleFacetValue('technique', 'thread');
+  check('toggle: adds a value, values of one facet are alternatives', filters.getFacetSelection('technique').join() === 'filler,thread' &&
+    filters.computeFacets(CASES).total === 2);
+  filters.toggleFacetValue('technique', 'filler');
+  check('toggle: removes a value', filters.getFacetSelection('technique').join() === 'thread');
+  filters.setFacetSelection('technique', []);
+  check('selection: no values clears the facet', !filters.filters.has('technique') && filters.computeFacets(CASES).total === 2);
+
+  filters.removeFacet('areas');
+  result = filters.computeFacets(CASES);
+  check('removeFacet: the facet and its selection go', result.total === 5 && !facet(result, 'areas'), result.total);
+
+  let message = null;
+  try {
+    filters.setFacetSelection('doctor', ['li']);
+  } catch (error) {
+    message = error.message;
+  }
+  check('selection: an unknown facet is refused', message === 'Unknown facet "doctor"', message);
+
+  const chosen = engine().setFacetSelection('technique', ['laser']);
+  const offered = facet(chosen.computeFacets(CASES), 'technique');
+  check('selection: a selected value not in the data is still offered', offered.values.some(value => value.value === 'laser' && value.count === 0 && value.selected), offered.values);
+}
+
+function testFilters() {
+  const filters = engine().addFilter('rating', 'gte', 4, FilterTypes.NUMBER);
+  const result = filters.computeFacets(CASES);
+  check('filters: a plain filter narrows every facet', result.total === 3 && counts(facet(result, 'technique')) === 'filler:2 thread:1 botox:0' &&
+    facet(result, 'technique').total === 3, counts(facet(result, 'technique')));
+  check('filters: a filter on a RANGE facet\'s field counts it disjunctively', counts(facet(result, 'rating')) === '3–3.5:1 3.5–4:0 4–4.5:1 4.5–5:2', counts(facet(result, 'rating')));
+  check('filters: a plain filter is no facet selection', filters.getFacetSelection('rating').length === 0 &&
+    facet(result, 'rating').buckets.every(bucket => !bucket.selected));
+
+  filters.toggleFilter('rating', false);
+  check('filters: a disabled filter is ignored', filters.computeFacets(CASES).total === 5);
+
+  const narrowed = engine().computeFacets(CASES.slice(0, 2), { domain: CASES });
+  check('domain: values of the whole domain are offered', counts(facet(narrowed, 'technique')) === 'filler:2 botox:0 thread:0', counts(facet(narrowed, 'technique')));
+  check('domain: bucket edges stay put as data narrows', facet(narrowed, 'rating').buckets.length === 4 &&
+    facet(narrowed, 'date').buckets.length === 6, facet(narrowed, 'rating').buckets);
+
+  const empty = engine().computeFacets([]);
+  check('no data: nothing to offer', empty.total === 0 && empty.facets.every(entry => (entry.values || entry.buckets).length === 0), empty);
+}
+
+function testNumberBuckets() {
+  const rating = facet(engine().computeFacets(CASES), 'rating');
+  check('numbers: round steps around the values', rating.buckets.map(bucket => `${bucket.from}-${bucket.to}`).join() === '3-3.5,3.5-4,4-4.5,4.5-5', rating.buckets);
+  check('numbers: counted, items without a value left out', counts(rating) === '3–3.5:1 3.5–4:0 4–4.5:1 4.5–5:2' && rating.total === 5, counts(rating));
+  check('numbers: the range fields', rating.valueType === FilterTypes.NUMBER && rating.interval === null && rating.type === FilterTypes.RANGE);
+
+  const price = items => facet(new FilterEngine().defineFacet('price', { type: FilterTypes.RANGE, buckets: 4 }).computeFacets(items), 'price');
+  const prices = price([{ price: 1200 }, { price: '3500' }, { price: 8000 }, { price: 'n/a' }]);
+  check('numbers: steps of 1, 2 or 5 × 10^n, the last edge above the largest value', prices.buckets.map(bucket => bucket.from).join() === '0,2000,4000,6000,8000' &&
+    prices.buckets[prices.buckets.length - 1].to === 10000, prices.buckets);
+  check('numbers: numeric strings are read, others skipped', counts(prices) === '0–2000:1 2000–4000:1 4000–6000:0 6000–8000:0 8000–10000:1', counts(prices));
+  const same = price([{ price: 5 }, { price: 5 }]);
+  check('numbers: one value still makes a bucket', counts(same) === '5–6:2', counts(same));
+  const small = price([{ price: 0.1 }, { price: 0.35 }]);
+  check('numbers: decimal edges without float noise', small.buckets.map(bucket => bucket.from).join() === '0.1,0.2,0.3', small.buckets);
+
+  const given = facet(new FilterEngine().defineFacet('rating', { type: FilterTypes.RANGE, buckets: [4.5, 0, 4] }).computeFacets(CASES), 'rating');
+  check('numbers: given edges, sorted, values outside them left out', counts(given) === '0–4:1 4–4.5:1', counts(given));
+}
+
+function testDateBuckets() {
+  const date = facet(engine().computeFacets(CASES), 'date');
+  check('dates: month buckets over half a year', date.interval === 'month' && counts(date) === '2024-01:1 2024-02:0 2024-03:1 2024-04:0 2024-05:1 2024-06:1', counts(date));
+  check('dates: edges at the start of each month, UTC', date.buckets[0].from === Date.UTC(2024, 0, 1) && date.buckets[5].to === Date.UTC(2024, 6, 1), date.buckets[0]);
+
+  const dated = (items, options = {}) => facet(new FilterEngine()
+    .defineFacet('date', { type: FilterTypes.RANGE, valueType: FilterTypes.DATE, ...options }).computeFacets(items), 'date');
+  const years = dated([{ date: '2021-06-01' }, { date: '2024-02-01' }]);
+  check('dates: years over more than two years', years.interval === 'year' && counts(years) === '2021:1 2022:0 2023:0 2024:1', counts(years));
+  const days = dated([{ date: '2024-02-27' }, { date: '2024-03-01T12:00:00Z' }]);
+  check('dates: days over a few weeks, across a leap day', days.interval === 'day' && counts(days) === '2024-02-27:1 2024-02-28:0 2024-02-29:0 2024-03-01:1', counts(days));
+  const chosen = dated(CASES, { interval: 'year' });
+  check('dates: a chosen interval', counts(chosen) === '2024:4', counts(chosen));
+  const invalid = dated([{ date: 'soon' }, { date: '2024-01-01' }]);
+  check('dates: unreadable dates are skipped', counts(invalid) === '2024-01-01:1', counts(invalid));
+
+  const spans = dated(CASES, { buckets: ['2024-01-01', '2024-04-01', '2024-07-01'] });
+  check('dates: given edges label their span', counts(spans) === '2024-01-01–2024-03-31:2 2024-04-01–2024-06-30:2' && spans.interval === null, counts(spans));
+  const quarters = dated(CASES, { buckets: ['2024-01-01', '2024-04-01', '2024-07-01'], interval: 'month' });
+  check('dates: given edges with an interval label by it', quarters.buckets.map(bucket => bucket.label).join() === '2024-01,2024-04', quarters.buckets);
+
+  const filters = engine();
+  const march = [Date.UTC(2024, 2, 1), Date.UTC(2024, 3, 1)];
+  filters.toggleFacetValue('date', march);
+  const result = filters.computeFacets(CASES);
+  check('dates: a bucket selected as [from, to)', result.total === 1 && facet(result, 'technique').values[0].value === 'filler' &&
+    facet(result, 'date').buckets.filter(bucket => bucket.selected).map(bucket => bucket.label).join() === '2024-03', facet(result, 'date').buckets);
+  filters.toggleFacetValue('date', [Date.UTC(2024, 5, 1), Date.UTC(2024, 5, 1) + 30 * DAY]);
+  check('dates: buckets of one facet are alternatives', filters.computeFacets(CASES).total === 2);
+  filters.toggleFacetValue('date', march.slice());
+  check('dates: a bucket toggled off by its edges', filters.getFacetSelection('date').length === 1 && filters.computeFacets(CASES).total === 1);
+}
+
+async function main() {
+  testValues();
+  testSelection();
+  testFilters();
+  testNumberBuckets();
+  testDateBuckets();
+}
+
+run(main);
@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+
+// Indexed search (search-index.js): FuzzySearchEngine must give the same
+// results — same items, order, scores and highlights — searching through
+// a SearchIndex as scanning the array, in fuzzy and exact mode, after
+// incremental add/update/remove and after a JSON round trip. A small
+// corpus of the same check bench:search runs on thousands of items.
+// The gallery's AdvancedSearchComponent must search through the index
+// when the page has loaded search-index.js.
+//
+// Usage: node scripts/test-search-index.js [--verbose]
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+// search-system.js finds the index and the segmenter as globals, as in the page
+global.SearchIndex = require(path.join(ROOT, 'search-index.js'));
+global.TextSegmenter = require(path.join(ROOT, 'text-segmenter.js'));
+const { FuzzySearchEngine, AdvancedSearchComponent, SearchTypes } = require(path.join(ROOT, 'search-system.js'));
+const { createSuite } = require('./test-helpers.js');
+
+const { check, run } = createSuite('Search index');
+
+const ITEMS = [
+  { id: 1, title: '唇部解剖结构图', description: '上唇、下唇、唇红缘与唇峰等解剖标志点', tags: ['解剖学', '教学'] },
+  { id: 2, title: '透明质酸注射点位图', description: '玻尿酸注射的标准点位、深度与剂量', tags: ['注射', 'HA'] },
+  { id: 3, title: 'Lip augmentation case', description: 'Hyaluronic acid filler placed with a blunt cannula along the vermilion border.', tags: ['filler', 'case'] },
+  { id: 4, title: '血管栓塞急救流程', description: '透明质酸酶溶解栓塞区域的填充剂，观察皮肤颜色变化', tags: ['并发症'] },
+  { id: 5, title: 'Vascular occlusion response', description: 'Early signs of vascular occlusion: blanching, pain and livedo.', tags: ['complication'] },
+  { id: 6, title: '口轮匝肌层次', description: '口轮匝肌浅层注射，避免进入肌内', tags: ['解剖学', '注射'] },
+  { id: 7, title: 'Lip shape design', description: 'Assessment of lip proportion and symmetry before treatment.', tags: ['美学', 'aesthetic'] },
+  { id: 8, title: '唇形美学设计', description: '黄金比例与唇形对称性评估', tags: ['美学'] },
+  { id: 9, title: 'Cannula technique', description: 'Entry point, angle and depth for a safe injection technique.', tags: ['注射', 'cannula'] },
+  { id: 10, title: '术后护理要点', description: '冷敷、避免按压，术后两周随访评估', tags: ['术后护理'] }
+];
+
+const QUERIES = [
+  '玻尿酸', '血管栓塞', '注射技术', '唇部解剖', '唇形 美学', '口轮匝肌',
+  'hyaluronic acid', 'lip augmentation', 'filler', 'vascular', 'cannula technique',
+  'hyaluronc', 'augmentaton', 'vascualr occlusion', 'techniqe', 'xyzzy'
+];
+
+const engine = new FuzzySearchEngine({
+  keys: ['title', 'description', 'tags'],
+  weights: { title: 2 }
+});
+
+function signature(results) {
+  return results.map(result => `${result.item.id} ${result.score} ${JSON.stringify(result.matches)}`).join('\n');
+}
+
+// Every query in both modes gives the same results from the array and the index
+function compare(label, items, index) {
+  [SearchTypes.FUZZY, SearchTypes.EXACT].forEach(mode => {
+    QUERIES.forEach(query => {
+      const expected = signature(engine.search(query, items, { mode }));
+      const actual = signature(engine.search(query, index, { mode }));
+      check(`${label}: ${mode} "${query}" as the scan`, actual === expected, { expected, actual });
+    });
+  });
+}
+
+function testBuilt() {
+  const index = engine.createIndex(ITEMS);
+  compare('built', ITEMS, index);
+
+  // The corpus is worth comparing on: queries find something, typos included
+  const found = query => engine.search(query, index).map(result => result.item.id);
+  check('built: a Chinese term finds its items', found('玻尿酸').includes(2), found('玻尿酸'));
+  check('built: a misspelt word finds its item', found('augmentaton').includes(3), found('augmentaton'));
+  check('built: nonsense finds nothing', found('xyzzy').length === 0, found('xyzzy'));
+}
+
+function testUpdated() {
+  const index = engine.createIndex(ITEMS);
+  let items = ITEMS.slice();
+
+  // Remove, edit in place and append, mirrored on the array
+  [4, 7].forEach(id => index.remove(id));
+  items = items.filter(item => item.id !== 4 && item.id !== 7).map(item => {
+    if (item.id !== 2) return item;
+    const edited = Object.assign({}, item, { title: `${item.title} 修订 revised`, description: '血管栓塞急救：透明质酸酶' });
+    index.update(edited);
+    return edited;
+  });
+  [
+    { id: 11, title: 'Nodule management', description: 'Hyaluronidase for a late filler nodule.', tags: ['complication'] },
+    { id: 12, title: '唇部填充随访', description: '玻尿酸填充后三个月的随访评估', tags: ['案例'] }
+  ].forEach(item => {
+    items.push(item);
+    index.add(item);
+  });
+
+  compare('updated', items, index);
+  check('updated: a removed item is not found', !engine.search('symmetry', index).some(result => result.item.id === 7));
+  check('updated: an edited item is found by its new text', engine.search('revised', index).some(result => result.item.id === 2));
+
+  const restored = SearchIndex.fromJSON(JSON.parse(JSON.stringify(index)));
+  compare('restored', JSON.parse(JSON.stringify(items)), restored);
+}
+
+// The gallery's search box goes through the index: the page loads
+// search-index.js ahead of search-system.js, and the component hands its
+// index, kept in step with its data, to every search
+async function testComponent() {
+  const html = fs.readFileSync(path.join(ROOT, 'gallery.html'), 'utf8');
+  const indexScript = html.indexOf('<script src="search-index.js">');
+  check('page: the gallery loads search-index.js before search-system.js',
+    indexScript !== -1 && indexScript < html.indexOf('<script src="search-system.js">'));
+
+  // Search history and analytics go to localStorage; keep them in memory
+  const stored = {};
+  global.localStorage = {
+    getItem: key => (key in stored ? stored[key] : null),
+    setItem: (key, value) => { stored[key] = String(value); }
+  };
+
+  const component = new AdvancedSearchComponent({
+    data: ITEMS.slice(0, 5),
+    searchOptions: { keys: ['title', 'description', 'tags'], weights: { title: 2 } }
+  });
+  check('component: builds an index over its data', component.index instanceof SearchIndex && component.index.size === 5,
+    component.index && component.index.size);
+
+  const searched = [];
+  const search = component.searchEngine.search.bind(component.searchEngine);
+  component.searchEngine.search = (query, data, options) => {
+    searched.push(data);
+    return search(query, data, options);
+  };
+  component.addData(ITEMS.slice(5));
+  component.state.query = '玻尿酸';
+  await component.executeSearch();
+  check('component: searches through its index', searched.length === 1 && searched[0] === component.index);
+  check('component: the index holds the added items', component.index.size === ITEMS.length, component.index.size);
+  const expected = signature(engine.search('玻尿酸', ITEMS));
+  check('component: finds what a scan of its data finds', signature(component.state.results) === expected,
+    { expected, actual: signature(component.state.results) });
+}
+
+async function main() {
+  testBuilt();
+  testUpdated();
+  await testComponent();
+}
+
+run(main);
@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+
+// Regex search mode (SafeRegex in search-system.js): patterns that could
+// backtrack for seconds or minutes are refused before they run, in the
+// search box and in FilterEngine's regex operator alike, while everyday
+// patterns still run and finish quickly on the longest field a regex sees.
+//
+// Usage: node scripts/test-search-regex.js [--verbose]
+
+const path = require('path');
+const { SafeRegex, FuzzySearchEngine, FilterEngine, SearchConfig, SearchTypes } =
+  require(path.join(__dirname, '..', 'search-system.js'));
+const { createSuite } = require('./test-helpers.js');
+
+const { check, run } = createSuite('Search regex');
+
+// [pattern, kind of refusal]
+const REFUSED = [
+  ['(.*a){20}b', /Repetition inside a repeated group/],
+  ['(a+)+b', /Repetition inside a repeated group/],
+  ['(a*)*b', /Repetition inside a repeated group/],
+  ['(a?){25}a{25}', /Repetition inside a repeated group/],
+  ['((a+)b){3}', /Repetition inside a repeated group/],
+  ['(a|ab)*c', /Repeated alternatives/],
+  ['(\\w|\\d)+x', /Repeated alternatives/],
+  ['a*a*a*a*a*a*b', /Repeats in a row/],
+  ['a*a*a*b', /Repeats in a row/],
+  ['a+a+b', /Repeats in a row/],
+  ['a*b?a*c', /Repeats in a row/],
+  ['a*(a*)b', /Repeats in a row/],
+  ['(ab)*(ab)*c', /Repeats in a row/],
+  ['.*x.*y', /Repeats in a row/],
+  ['\\w+\\w*x', /Repeats in a row/],
+  ['[a-z]*[aeiou]+$', /Repeats in a row/],
+  ['(x|y)+\\w+z', /Repeats in a row/],
+  ['(a)\\1', /Backreferences/],
+  ['a'.repeat(SearchConfig.REGEX_MAX_LENGTH + 1), /longer than/]
+];
+
+// [pattern, worst-case text for it]
+const ACCEPTED = [
+  ['唇', '唇'.repeat(SearchConfig.REGEX_MAX_INPUT)],
+  ['lip(s)?', 'lip'.repeat(4000)],
+  ['colou?r', 'colo'.repeat(3000)],
+  ['\\d+\\.\\d+', '1'.repeat(SearchConfig.REGEX_MAX_INPUT)],
+  ['[0-9]+(\\.[0-9]+)?x', '1.1'.repeat(4000)],
+  ['\\w+@\\w+\\.\\w+', 'a'.repeat(SearchConfig.REGEX_MAX_INPUT)],
+  ['^\\s*#+\\s*x', ' '.repeat(SearchConfig.REGEX_MAX_INPUT)],
+  ['https?://\\S+x', 'http://'.repeat(1500)],
+  ['(a|b)*c', 'ab'.repeat(5000)],
+  ['lip.*filler', 'lip'.repeat(4000)],
+  ['\\d{3}-\\d{4}', '123-'.repeat(3000)],
+  ['(ab){3}', 'ab'.repeat(5000)],
+  ['a{2,3}b', 'a'.repeat(SearchConfig.REGEX_MAX_INPUT)],
+  ['(?=a)a+b', 'a'.repeat(SearchConfig.REGEX_MAX_INPUT)],
+  ['玻尿酸|透明质酸', '透明'.repeat(5000)],
+  ['/LIP/i', 'lip'.repeat(4000)]
+];
+
+// Everyday patterns finish well inside this on the longest field
+const FAST_MS = 1000;
+
+function testCheck() {
+  REFUSED.forEach(([pattern, reason]) => {
+    let message = null;
+    try {
+      new SafeRegex(pattern);
+    } catch (error) {
+      message = error.message;
+    }
+    check(`refused: ${pattern.slice(0, 40)}`, message !== null && reason.test(message), message);
+  });
+
+  ACCEPTED.forEach(([pattern, text]) => {
+    let regex = null;
+    try {
+      regex = new SafeRegex(pattern);
+    } catch (error) {
+      check(`accepted: ${pattern}`, false, error.message);
+      return;
+    }
+    const started = Date.now();
+    regex.spans(text);
+    regex.test(text);
+    const elapsed = Date.now() - started;
+    check(`accepted and quick: ${pattern}`, elapsed < FAST_MS, `${elapsed} ms`);
+  });
+
+  check('case follows the option for a bare pattern', new SafeRegex('LIP').test('lip') && !new SafeRegex('LIP', { caseSensitive: true }).test('lip'));
+  check('unknown flags are refused', (() => {
+    try {
+      new SafeRegex('/lip/g');
+      return false;
+    } catch (error) {
+      return /flags/.test(error.message);
+    }
+  })());
+  const far = 'x'.repeat(SearchConfig.REGEX_MAX_INPUT) + 'lip';
+  check('text past REGEX_MAX_INPUT is not searched', !new SafeRegex('lip').test(far) && new SafeRegex('lip').spans(far).length === 0);
+  const spans = new SafeRegex('唇').spans('唇唇 唇');
+  check('spans are the match positions', JSON.stringify(spans) === JSON.stringify([{ start: 0, end: 1 }, { start: 1, end: 2 }, { start: 3, end: 4 }]), spans);
+}
+
+function testSearch() {
+  const engine = new FuzzySearchEngine({ keys: ['title', 'body'], mode: SearchTypes.REGEX });
+  const items = [
+    { title: '唇部填充', body: 'a'.repeat(2000) },
+    { title: 'lip filler', body: 'hyaluronic acid' }
+  ];
+
+  const started = Date.now();
+  const refused = engine.search('(.*a){20}b', items);
+  check('search: an unsafe pattern returns at once with its reason', refused.length === 0 &&
+    /Repetition inside a repeated group/.test(engine.lastSearch.error) && Date.now() - started < FAST_MS, engine.lastSearch);
+  engine.search('a*a*a*b', items);
+  check('search: adjacent repeats are refused too', /Repeats in a row/.test(engine.lastSearch.error), engine.lastSearch);
+
+  const found = engine.search('lip\\s+fill', items);
+  check('search: a safe pattern finds its item', found.length === 1 && found[0].item.title === 'lip filler' &&
+    engine.lastSearch.error === null, found.map(result => result.item.title));
+  const invalid = engine.search('lip(', items);
+  check('search: an invalid pattern reports its syntax error', invalid.length === 0 && /Invalid regular expression/.test(engine.lastSearch.error), engine.lastSearch);
+}
+
+function testSupports() {
+  // No text-segmenter.js or concept-graph.js in this process: the search
+  // box must not offer the modes that need them
+  const bare = new FuzzySearchEngine({ keys: ['title'] });
+  check('supports: regex, exact and fuzzy need no extra script', [SearchTypes.REGEX, SearchTypes.EXACT, SearchTypes.FUZZY].every(mode => bare.supports(mode)));
+  check('supports: pinyin and concept modes need their scripts', !bare.supports(SearchTypes.PHONETIC) && !bare.supports(SearchTypes.SEMANTIC));
+  check('supports: an unknown mode is not offered', !bare.supports('telepathic'));
+  const loaded = new FuzzySearchEngine({ keys: ['title'], segmenter: {}, conceptGraph: {} });
+  check('supports: pinyin and concept modes once their scripts are loaded', loaded.supports(SearchTypes.PHONETIC) && loaded.supports(SearchTypes.SEMANTIC));
+}
+
+function testFilter() {
+  const filters = new FilterEngine();
+  const data = [{ title: 'Lip filler' }, { title: 'a'.repeat(3000) }];
+
+  filters.addFilter('title', 'regex', '^lip\\s');
+  const kept = filters.applyFilters(data);
+  check('filter: a safe pattern filters, ignoring case', kept.length === 1 && kept[0].title === 'Lip filler', kept);
+  check('filter: the pattern is compiled once', filters.regexCache.size === 1);
+
+  filters.addFilter('title', 'regex', 'a*a*a*b');
+  const started = Date.now();
+  let message = null;
+  try {
+    filters.applyFilters(data);
+  } catch (error) {
+    message = error.message;
+  }
+  check('filter: an unsafe pattern is refused, not run', /Repeats in a row/.test(message) && Date.now() - started < FAST_MS, message);
+}
+
+async function main() {
+  testCheck();
+  testSearch();
+  testSupports();
+  testFilter();
+}
+
+run(main);
@@ -0,0 +1,523 @@
+/**
+ * Search Analytics
+ * Zero-result queries, click-through by position and query reformulations
+ * 搜索分析：零结果查询、各位置点击率与查询改写链，数据只保存在本地
+ *
+ * Every search is kept with its query anonymized (lower-cased, long
+ * numbers and e-mail addresses masked), its result count, the ranks of
+ * the results opened from it and how long the reader stayed on each. A
+ * search given up on without a click and followed by another query in
+ * the same page session is linked to it; those links make the
+ * reformulation chains. Nothing identifies the reader, and nothing is
+ * sent anywhere: the store lives in localStorage.
+ */
+
+const ANALYTICS_VERSION = 1;
+const MAX_EVENTS = 2000;
+const MAX_AGE_MS = 90 * 24 * 60 * 60 * 1000;
+const MAX_QUERY_LENGTH = 100;
+
+// Retyping a longer or shorter form of the last query this soon refines
+// that search instead of starting another (search-as-you-type)
+const TYPING_WINDOW_MS = 3000;
+// Another query this soon after an unclicked search reformulates it
+const REFORMULATION_WINDOW_MS = 5 * 60 * 1000;
+// Longer than this away from the page is leaving, not reading
+const MAX_DWELL_MS = 30 * 60 * 1000;
+
+function randomId() {
+    return Math.random().toString(36).slice(2, 10) + Date.now().toString(36);
+}
+
+class SearchAnalytics {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.storageKey]
+     * @param {Storage|null} [options.storage] - defaults to localStorage
+     * @param {number} [options.maxEvents] - oldest searches are dropped beyond this
+     */
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'viz-search-analytics';
+        this.storage = options.storage !== undefined
+            ? options.storage
+            : (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.maxEvents = options.maxEvents || MAX_EVENTS;
+
+        // Links the searches of one page load; not stored anywhere else
+        this.session = randomId();
+        this.events = this.load();
+        this.stored = new Set();    // ids of this session's searches written to the store
+        this.openClick = null;      // the last click, until its dwell time is known
+    }
+
+    /**
+     * The page's store in localStorage, for every search surface on it;
+     * coming back to the tab ends the dwell on the last opened result
+     */
+    static shared() {
+        if (!SearchAnalytics.instance) {
+            SearchAnalytics.instance = new SearchAnalytics();
+            if (typeof document !== 'undefined' && typeof document.addEventListener === 'function') {
+                document.addEventListener('visibilitychange', () => {
+                    if (document.visibilityState === 'visible') SearchAnalytics.instance.endDwell();
+                });
+            }
+        }
+        return SearchAnalytics.instance;
+    }
+
+    /**
+     * Query text as stored: lower-case, single spaces, no e-mail
+     * addresses or long numbers (phone, ID card or record numbers)
+     */
+    anonymize(query) {
+        return String(query)
+            .toLowerCase()
+            .replace(/[^\s@]+@[^\s@]+\.[^\s@]+/g, '[email]')
+            .replace(/\d{4,}x?/g, '#')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .slice(0, MAX_QUERY_LENGTH);
+    }
+
+    /**
+     * Record a search
+     * @param {string} query
+     * @param {number} resultCount
+     * @param {Object} [options]
+     * @param {string} [options.mode] - search mode, or the surface searched
+     *   ('gallery', 'book', 'palette')
+     * @returns {string|null} id of the search, for recordClick()
+     */
+    recordSearch(query, resultCount, options = {}) {
+        this.endDwell();
+        const text = this.anonymize(query);
+        if (!text) return null;
+
+        const now = Date.now();
+        const last = this.lastEvent();
+        const recent = last && now - last.at < REFORMULATION_WINDOW_MS;
+        const typing = recent && !last.clicks.length && now - last.at < TYPING_WINDOW_MS &&
+            (text.startsWith(last.query) || last.query.startsWith(text));
+
+        // The same query again (a new mode, sort or filter) or still being typed
+        if (recent && (last.query === text || typing)) {
+            Object.assign(last, { query: text, results: resultCount, mode: options.mode || last.mode, at: now });
+            this.save();
+            return last.id;
+        }
+
+        const event = {
+            id: randomId(),
+            session: this.session,
+            query: text,
+            mode: options.mode || null,
+            results: resultCount,
+            at: now,
+            clicks: [],
+            previous: recent && !last.clicks.length ? last.id : null
+        };
+        this.events.push(event);
+        this.save();
+        return event.id;
+    }
+
+    /**
+     * Record that a result was opened
+     * @param {string} searchId - from recordSearch()
+     * @param {number} rank - 1 for the first result
+     */
+    recordClick(searchId, rank) {
+        this.endDwell();
+        const event = this.events.find(entry => entry.id === searchId);
+        if (!event) return;
+
+        this.openClick = { rank, at: Date.now(), dwell: null };
+        event.clicks.push(this.openClick);
+        this.save();
+    }
+
+    /**
+     * The reader is back from the last opened result (or has moved on):
+     * store how long they stayed
+     */
+    endDwell() {
+        if (!this.openClick) return;
+
+        const dwell = Date.now() - this.openClick.at;
+        this.openClick.dwell = dwell <= MAX_DWELL_MS ? dwell : null;
+        this.openClick = null;
+        this.save();
+    }
+
+    /**
+     * Latest search of this page session
+     */
+    lastEvent() {
+        for (let i = this.events.length - 1; i >= 0; i--) {
+            if (this.events[i].session === this.session) return this.events[i];
+        }
+        return null;
+    }
+
+    /**
+     * Queries that found nothing, most frequent first
+     * @returns {Array<{query: string, count: number, last: number}>}
+     */
+    zeroResultQueries(limit = 20) {
+        const queries = new Map();
+
+        this.events.filter(event => event.results === 0).forEach(event => {
+            const entry = queries.get(event.query) || { query: event.query, count: 0, last: 0 };
+            entry.count++;
+            entry.last = Math.max(entry.last, event.at);
+            queries.set(event.query, entry);
+        });
+
+        return Array.from(queries.values())
+            .sort((a, b) => b.count - a.count || b.last - a.last)
+            .slice(0, limit);
+    }
+
+    /**
+     * Click-through rate of each result position: of the searches with a
+     * result at that rank, the share where it was opened
+     * @returns {Array<{rank: number, impressions: number, clicks: number, ctr: number}>}
+     */
+    ctrByPosition(positions = 10) {
+        return Array.from({ length: positions }, (_, i) => {
+            const rank = i + 1;
+            const shown = this.events.filter(event => event.results >= rank);
+            const clicks = shown.filter(event => event.clicks.some(click => click.rank === rank)).length;
+            return { rank, impressions: shown.length, clicks, ctr: shown.length ? clicks / shown.length : 0 };
+        });
+    }
+
+    /**
+     * Sequences of queries where each was given up on for the next,
+     * most frequent first
+     * @returns {Array<{queries: string[], count: number, clicked: number}>}
+     *   clicked: how many times the last query led to a click
+     */
+    reformulationChains(limit = 20) {
+        const byId = new Map(this.events.map(event => [event.id, event]));
+        const continued = new Set(this.events.map(event => event.previous).filter(Boolean));
+        const chains = new Map();
+
+        // Walk back from each search that nothing reformulated
+        this.events.filter(event => event.previous && !continued.has(event.id)).forEach(end => {
+            const queries = [];
+            for (let event = end; event; event = byId.get(event.previous)) {
+                queries.unshift(event.query);
+            }
+
+            const key = queries.join('\n');
+            const chain = chains.get(key) || { queries, count: 0, clicked: 0 };
+            chain.count++;
+            if (end.clicks.length) chain.clicked++;
+            chains.set(key, chain);
+        });
+
+        return Array.from(chains.values())
+            .sort((a, b) => b.count - a.count || b.queries.length - a.queries.length)
+            .slice(0, limit);
+    }
+
+    /**
+     * Totals over all stored searches
+     */
+    summary() {
+        const searches = this.events.length;
+        const zeroResults = this.events.filter(event => event.results === 0).length;
+        const clicked = this.events.filter(event => event.clicks.length).length;
+        const dwells = this.events.flatMap(event => event.clicks.map(click => click.dwell)).filter(dwell => dwell !== null);
+
+        return {
+            searches,
+            zeroResults,
+            zeroResultRate: searches ? zeroResults / searches : 0,
+            clickThroughRate: searches ? clicked / searches : 0,
+            reformulations: this.events.filter(event => event.previous).length,
+            averageDwell: dwells.length ? dwells.reduce((sum, dwell) => sum + dwell, 0) / dwells.length : null
+        };
+    }
+
+    /**
+     * A report, or every stored search, as CSV
+     * @param {string} [report] - 'searches' (default), 'zero-results', 'ctr' or 'chains'
+     */
+    toCSV(report = 'searches') {
+        switch (report) {
+            case 'zero-results':
+                return this.csv(['query', 'searches', 'last_searched'],
+                    this.zeroResultQueries(Infinity).map(entry => [entry.query, entry.count, new Date(entry.last).toISOString()]));
+            case 'ctr':
+                return this.csv(['rank', 'impressions', 'clicks', 'ctr'],
+                    this.ctrByPosition().map(entry => [entry.rank, entry.impressions, entry.clicks, entry.ctr.toFixed(4)]));
+            case 'chains':
+                return this.csv(['queries', 'length', 'count', 'ended_in_click'],
+                    this.reformulationChains(Infinity).map(chain => [chain.queries.join(' → '), chain.queries.length, chain.count, chain.clicked]));
+            default: {
+                const byId = new Map(this.events.map(event => [event.id, event]));
+                return this.csv(['time', 'query', 'mode', 'results', 'clicked_ranks', 'dwell_ms', 'reformulated_from'],
+                    this.events.map(event => [
+                        new Date(event.at).toISOString(),
+                        event.query,
+                        event.mode || '',
+                        event.results,
+                        event.clicks.map(click => click.rank).join(' '),
+                        event.clicks.map(click => (click.dwell === null ? '' : click.dwell)).join(' '),
+                        event.previous && byId.has(event.previous) ? byId.get(event.previous).query : ''
+                    ]));
+            }
+        }
+    }
+
+    /**
+     * RFC 4180 CSV; cells a spreadsheet would run as a formula are
+     * prefixed with an apostrophe
+     */
+    csv(header, rows) {
+        const cell = value => {
+            let text = String(value);
+            if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+            return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return [header, ...rows].map(row => row.map(cell).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Forget every stored search
+     */
+    clear() {
+        this.events = [];
+        this.openClick = null;
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify({ version: ANALYTICS_VERSION, events: [] }));
+        } catch (error) {
+            console.warn('Failed to save search analytics:', error);
+        }
+    }
+
+    load() {
+        if (!this.storage) return [];
+        try {
+            const saved = JSON.parse(this.storage.getItem(this.storageKey));
+            return saved && saved.version === ANALYTICS_VERSION && Array.isArray(saved.events) ? saved.events : [];
+        } catch (error) {
+            console.warn('Failed to load search analytics:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Store the searches, dropping those past the age or count limit.
+     * Other pages and instances (the gallery, the viewer, the hub) save to
+     * the same key, so the store is read again first: its searches are
+     * kept, this session's in their in-memory form, and this session's
+     * not stored yet are added (those stored once and gone since were
+     * cleared or dropped elsewhere)
+     */
+    save() {
+        if (this.storage) {
+            const mine = new Map(this.events.filter(event => event.session === this.session).map(event => [event.id, event]));
+            const stored = this.load();
+            const storedIds = new Set(stored.map(event => event.id));
+            this.events = stored
+                .map(event => mine.get(event.id) || event)
+                .concat(Array.from(mine.values()).filter(event => !storedIds.has(event.id) && !this.stored.has(event.id)))
+                .sort((a, b) => a.at - b.at);
+        }
+
+        const oldest = Date.now() - MAX_AGE_MS;
+        this.events = this.events.filter(event => event.at >= oldest).slice(-this.maxEvents);
+
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify({ version: ANALYTICS_VERSION, events: this.events }));
+            this.events.forEach(event => { if (event.session === this.session) this.stored.add(event.id); });
+        } catch (error) {
+            console.warn('Failed to save search analytics:', error);
+        }
+    }
+}
+
+/**
+ * Dashboard of the stored searches: summary figures, top zero-result
+ * queries, CTR by position (ChartWidget bar charts, when
+ * visualization-widgets.js is loaded) and reformulation chains, each
+ * with CSV export
+ */
+class SearchAnalyticsDashboard {
+    /**
+     * @param {HTMLElement} container
+     * @param {Object} [options]
+     * @param {SearchAnalytics} [options.analytics]
+     * @param {number} [options.limit] - rows per table
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+        this.analytics = options.analytics || SearchAnalytics.shared();
+        this.limit = options.limit || 10;
+        this.charts = [];
+
+        this.container.addEventListener('click', (e) => this.handleClick(e));
+        this.render();
+    }
+
+    render() {
+        const summary = this.analytics.summary();
+        const percent = value => `${(value * 100).toFixed(1)}%`;
+        const zero = this.analytics.zeroResultQueries(this.limit);
+        const ctr = this.analytics.ctrByPosition(this.limit);
+        const chains = this.analytics.reformulationChains(this.limit);
+
+        const zeroTable = this.table(['Query', 'Searches', 'Last searched'],
+            zero.map(entry => [entry.query, entry.count, new Date(entry.last).toLocaleString()]),
+            'No search has come back empty yet');
+        const ctrTable = this.table(['Rank', 'Shown', 'Opened', 'CTR'],
+            ctr.filter(entry => entry.impressions).map(entry => [entry.rank, entry.impressions, entry.clicks, percent(entry.ctr)]),
+            'No results have been shown yet');
+        const chainTable = this.table(['Queries', 'Times', 'Ended in a click'],
+            chains.map(chain => [chain.queries.join(' → '), chain.count, `${chain.clicked} / ${chain.count}`]),
+            'No query has been given up on for another yet');
+
+        this.container.innerHTML = `
+            <div class="search-analytics">
+                <div class="analytics-actions">
+                    <button class="btn btn-secondary" data-export="searches">Export all searches (CSV)</button>
+                    <button class="btn btn-ghost" data-action="clear">Clear data</button>
+                </div>
+
+                <dl class="analytics-summary">
+                    <div><dt>Searches</dt><dd>${summary.searches}</dd></div>
+                    <div><dt>Zero results</dt><dd>${percent(summary.zeroResultRate)}</dd></div>
+                    <div><dt>Click-through</dt><dd>${percent(summary.clickThroughRate)}</dd></div>
+                    <div><dt>Reformulated</dt><dd>${summary.reformulations}</dd></div>
+                    <div><dt>Average dwell</dt><dd>${summary.averageDwell === null ? '–' : `${(summary.averageDwell / 1000).toFixed(1)} s`}</dd></div>
+                </dl>
+
+                <section class="analytics-section">
+                    <header>
+                        <h3>Top zero-result queries</h3>
+                        <button class="btn btn-secondary" data-export="zero-results">CSV</button>
+                    </header>
+                    <div class="analytics-chart" data-chart="zero-results"></div>
+                    ${zeroTable}
+                </section>
+
+                <section class="analytics-section">
+                    <header>
+                        <h3>Click-through rate by position</h3>
+                        <button class="btn btn-secondary" data-export="ctr">CSV</button>
+                    </header>
+                    <div class="analytics-chart" data-chart="ctr"></div>
+                    ${ctrTable}
+                </section>
+
+                <section class="analytics-section">
+                    <header>
+                        <h3>Query reformulation chains</h3>
+                        <button class="btn btn-secondary" data-export="chains">CSV</button>
+                    </header>
+                    ${chainTable}
+                </section>
+            </div>
+        `;
+
+        this.renderCharts(zero, ctr);
+    }
+
+    /**
+     * Bar charts through ChartWidget; the tables stand alone without it
+     */
+    renderCharts(zero, ctr) {
+        this.charts.forEach(chart => chart.destroy());
+        this.charts = [];
+
+        const widgets = typeof window !== 'undefined' && window.VisualizationWidgets;
+        if (!widgets) return;
+
+        const chart = (name, title, series) => {
+            if (!series[0].data.length) return;
+            const widget = new widgets.ChartWidget({
+                container: this.container.querySelector(`[data-chart="${name}"]`),
+                chartType: widgets.ChartTypes.BAR,
+                config: { title, height: 240 }
+            });
+            widget.setData(series);
+            this.charts.push(widget);
+        };
+
+        chart('zero-results', 'Searches without results', [{
+            name: 'Searches',
+            data: zero.map(entry => ({ x: entry.query, y: entry.count }))
+        }]);
+        chart('ctr', 'CTR by position (%)', [{
+            name: 'CTR %',
+            data: ctr.filter(entry => entry.impressions).map(entry => ({ x: `#${entry.rank}`, y: Math.round(entry.ctr * 1000) / 10 }))
+        }]);
+    }
+
+    table(header, rows, empty) {
+        if (!rows.length) return `<p class="analytics-empty">${this.escapeHtml(empty)}</p>`;
+
+        return `
+            <table class="analytics-table">
+                <thead><tr>${header.map(title => `<th>${this.escapeHtml(title)}</th>`).join('')}</tr></thead>
+                <tbody>
+                    ${rows.map(row => `<tr>${row.map(cell => `<td>${this.escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    handleClick(event) {
+        const exportButton = event.target.closest('[data-export]');
+        if (exportButton) {
+            this.download(exportButton.dataset.export);
+            return;
+        }
+
+        if (event.target.closest('[data-action="clear"]') &&
+            window.confirm('Delete all recorded searches?')) {
+            this.analytics.clear();
+            this.render();
+        }
+    }
+
+    /**
+     * Save a report as a CSV file
+     */
+    download(report) {
+        // The byte order mark makes spreadsheet apps read the file as UTF-8
+        const blob = new Blob(['\ufeff', this.analytics.toCSV(report)], { type: 'text/csv;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `search-analytics-${report}-${new Date().toISOString().slice(0, 10)}.csv`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, char => ({
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#39;'
+        })[char]);
+    }
+}
+
+SearchAnalytics.instance = null;
+SearchAnalytics.Dashboard = SearchAnalyticsDashboard;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SearchAnalytics;
+}
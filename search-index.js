@@ -0,0 +1,412 @@
+/**
+ * Search Index
+ * Incremental inverted index for FuzzySearchEngine
+ * 搜索倒排索引：n-gram 倒排表加 BK 树，避免每次按键全量扫描
+ *
+ * A fuzzy or exact search scores an item by where each query term occurs
+ * in its fields or, failing that, by the edit distance to its closest
+ * word. Only items that contain a term, or a word close enough for the
+ * engine's threshold, can score at all. The index finds those: n-gram
+ * postings answer "contains", a BK-tree over the vocabulary answers
+ * "close words". The engine then scores just these items exactly as it
+ * scores a plain array, so results and ranking do not change.
+ */
+
+// Every substring of up to GRAM_SIZE characters is indexed; longer terms
+// are looked up by their GRAM_SIZE-grams
+const GRAM_SIZE = 3;
+const INDEX_VERSION = 1;
+
+// Allowance for floating-point rounding in the engine's weighted average
+const SCORE_SLACK = 1e-9;
+
+/**
+ * Levenshtein distance (the same measure as FuzzySearchEngine, two rows)
+ */
+function editDistance(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    let current = new Array(b.length + 1);
+
+    for (let i = 1; i <= a.length; i++) {
+        current[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                current[j - 1] + 1,
+                previous[j] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        [previous, current] = [current, previous];
+    }
+    return previous[b.length];
+}
+
+/**
+ * BK-tree: words within an edit distance of a query word, without
+ * measuring the distance to every word
+ */
+class BKTree {
+    constructor() {
+        this.root = null;
+        this.size = 0;
+    }
+
+    /**
+     * @returns {boolean} false if the word was already in the tree
+     */
+    add(word) {
+        if (!this.root) {
+            this.root = { word, children: new Map() };
+            this.size = 1;
+            return true;
+        }
+
+        let node = this.root;
+        for (;;) {
+            const distance = editDistance(word, node.word);
+            if (distance === 0) return false;
+
+            const child = node.children.get(distance);
+            if (!child) {
+                node.children.set(distance, { word, children: new Map() });
+                this.size++;
+                return true;
+            }
+            node = child;
+        }
+    }
+
+    /**
+     * Words at most `radius` edits from a word
+     * @returns {Array<{word: string, distance: number}>}
+     */
+    search(word, radius) {
+        const found = [];
+        const stack = this.root ? [this.root] : [];
+
+        while (stack.length) {
+            const node = stack.pop();
+            const distance = editDistance(word, node.word);
+            if (distance <= radius) found.push({ word: node.word, distance });
+
+            node.children.forEach((child, edge) => {
+                if (edge >= distance - radius && edge <= distance + radius) stack.push(child);
+            });
+        }
+        return found;
+    }
+
+    /**
+     * Nested [word, [[distance, child], ...]] arrays
+     */
+    toJSON() {
+        const encode = node => [node.word, Array.from(node.children, ([distance, child]) => [distance, encode(child)])];
+        return this.root ? encode(this.root) : null;
+    }
+
+    static fromJSON(json) {
+        const tree = new BKTree();
+        const decode = ([word, children]) => {
+            tree.size++;
+            return { word, children: new Map(children.map(([distance, child]) => [distance, decode(child)])) };
+        };
+        tree.root = json ? decode(json) : null;
+        return tree;
+    }
+}
+
+class SearchIndex {
+    /**
+     * @param {Object} [options]
+     * @param {string[]} [options.keys] - fields to index (dot notation), as
+     *   FuzzySearchEngine keys; none indexes the whole item as JSON
+     * @param {boolean} [options.caseSensitive]
+     * @param {Function} [options.getId] - identity of an item for update and
+     *   remove; defaults to item.id, or the item itself
+     */
+    constructor(options = {}) {
+        this.keys = options.keys || [];
+        this.caseSensitive = options.caseSensitive || false;
+        this.getId = options.getId ||
+            (item => (item !== null && typeof item === 'object' && 'id' in item ? item.id : item));
+
+        this.ids = new Map();       // id → seq
+        this.items = new Map();     // seq → item, in insertion order
+        this.grams = new Map();     // gram → Set<seq>
+        this.words = new Map();     // word → Set<seq>
+        this.tree = new BKTree();
+        this.deadWords = 0;         // words still in the tree but no longer in any item
+        this.nextSeq = 0;
+    }
+
+    get size() {
+        return this.items.size;
+    }
+
+    /**
+     * Add an item, or replace the item with the same id in place
+     */
+    add(item) {
+        const id = this.getId(item);
+        let seq = this.ids.get(id);
+
+        if (seq === undefined) {
+            seq = this.nextSeq++;
+            this.ids.set(id, seq);
+        } else {
+            this.unindex(seq, this.items.get(seq));
+        }
+
+        this.items.set(seq, item);
+        this.index(seq, item);
+        return this;
+    }
+
+    addAll(items) {
+        items.forEach(item => this.add(item));
+        return this;
+    }
+
+    /**
+     * Re-index a changed item; it keeps its place in the ranking order
+     */
+    update(item) {
+        return this.add(item);
+    }
+
+    /**
+     * Remove an item by id (or by the item itself)
+     * @returns {boolean} whether the item was indexed
+     */
+    remove(itemOrId) {
+        const id = this.ids.has(itemOrId) ? itemOrId : this.getId(itemOrId);
+        const seq = this.ids.get(id);
+        if (seq === undefined) return false;
+
+        this.unindex(seq, this.items.get(seq));
+        this.items.delete(seq);
+        this.ids.delete(id);
+
+        // Removed words make the tree slower but not wrong; rebuild it now and then
+        if (this.deadWords > this.tree.size / 2) this.compact();
+        return true;
+    }
+
+    clear() {
+        this.ids.clear();
+        this.items.clear();
+        this.grams.clear();
+        this.words.clear();
+        this.tree = new BKTree();
+        this.deadWords = 0;
+        this.nextSeq = 0;
+    }
+
+    /**
+     * All items, in insertion order
+     */
+    all() {
+        return Array.from(this.items.values());
+    }
+
+    /**
+     * Items that can score for the query terms: those containing a term
+     * and, with a threshold, those with a word whose similarity to a term
+     * (1 - distance / longer length) exceeds it. Terms must be normalized
+     * the way the engine normalizes them.
+     * @param {string[]} terms
+     * @param {Object} [options]
+     * @param {number|null} [options.threshold] - fuzzy threshold; null for exact matching
+     * @returns {Array} items in insertion order
+     */
+    candidates(terms, options = {}) {
+        const threshold = options.threshold === undefined ? null : options.threshold;
+        if (threshold !== null && threshold <= 0) return this.all();
+
+        const found = new Set();
+        terms.forEach(term => {
+            this.containing(term).forEach(seq => found.add(seq));
+            if (threshold !== null) {
+                this.similarWords(term, threshold).forEach(word => this.words.get(word).forEach(seq => found.add(seq)));
+            }
+        });
+
+        return Array.from(found).sort((a, b) => a - b).map(seq => this.items.get(seq));
+    }
+
+    /**
+     * Items whose fields may contain a term: all of its grams occur in
+     * the item (not necessarily together, so this can over-match)
+     */
+    containing(term) {
+        if (term.length <= GRAM_SIZE) return Array.from(this.grams.get(term) || []);
+
+        const postings = [];
+        for (let i = 0; i + GRAM_SIZE <= term.length; i++) {
+            const posting = this.grams.get(term.slice(i, i + GRAM_SIZE));
+            if (!posting) return [];
+            postings.push(posting);
+        }
+
+        postings.sort((a, b) => a.size - b.size);
+        return Array.from(postings[0]).filter(seq => postings.every(posting => posting.has(seq)));
+    }
+
+    /**
+     * Indexed words similar enough to a term to pass a fuzzy threshold
+     */
+    similarWords(term, threshold) {
+        // similarity > t needs distance < (1 - t) × max length, and a word
+        // more than distance longer than the term is further than that
+        const radius = Math.ceil(term.length * (1 - threshold) / threshold);
+
+        return this.tree.search(term, radius)
+            .filter(({ word, distance }) => this.words.has(word) &&
+                1 - distance / Math.max(term.length, word.length) > threshold - SCORE_SLACK)
+            .map(({ word }) => word);
+    }
+
+    /**
+     * The searchable texts of an item, normalized like the engine's
+     */
+    texts(item) {
+        const values = this.keys.length === 0
+            ? [typeof item === 'string' ? item : JSON.stringify(item)]
+            : this.keys.map(key => this.getNestedValue(item, key)).filter(value => value != null);
+
+        return values.map(value => (this.caseSensitive ? String(value) : String(value).toLowerCase()));
+    }
+
+    /**
+     * Grams and words of an item
+     */
+    terms(item) {
+        const grams = new Set();
+        const words = new Set();
+
+        this.texts(item).forEach(text => {
+            for (let i = 0; i < text.length; i++) {
+                for (let size = 1; size <= GRAM_SIZE && i + size <= text.length; size++) {
+                    grams.add(text.slice(i, i + size));
+                }
+            }
+            text.split(/\s+/).forEach(word => {
+                if (word) words.add(word);
+            });
+        });
+
+        return { grams, words };
+    }
+
+    index(seq, item) {
+        const { grams, words } = this.terms(item);
+
+        grams.forEach(gram => {
+            if (!this.grams.has(gram)) this.grams.set(gram, new Set());
+            this.grams.get(gram).add(seq);
+        });
+
+        words.forEach(word => {
+            if (!this.words.has(word)) {
+                this.words.set(word, new Set());
+                // Already in the tree: a removed word come back
+                if (!this.tree.add(word)) this.deadWords--;
+            }
+            this.words.get(word).add(seq);
+        });
+    }
+
+    unindex(seq, item) {
+        const { grams, words } = this.terms(item);
+
+        grams.forEach(gram => {
+            const posting = this.grams.get(gram);
+            posting.delete(seq);
+            if (!posting.size) this.grams.delete(gram);
+        });
+
+        words.forEach(word => {
+            const posting = this.words.get(word);
+            posting.delete(seq);
+            if (!posting.size) {
+                this.words.delete(word);
+                this.deadWords++;
+            }
+        });
+    }
+
+    /**
+     * Rebuild the BK-tree from the words still in use
+     */
+    compact() {
+        this.tree = new BKTree();
+        this.words.forEach((posting, word) => this.tree.add(word));
+        this.deadWords = 0;
+    }
+
+    getNestedValue(obj, key) {
+        return key.split('.').reduce((current, prop) =>
+            current && current[prop] !== undefined ? current[prop] : null, obj
+        );
+    }
+
+    /**
+     * Plain JSON for offline caching: the items plus postings by item
+     * position, so loading does not re-tokenize or rebuild the tree
+     */
+    toJSON() {
+        const seqs = Array.from(this.items.keys());
+        const position = new Map(seqs.map((seq, index) => [seq, index]));
+        const encode = postings => Array.from(postings, ([term, posting]) =>
+            [term, Array.from(posting, seq => position.get(seq)).sort((a, b) => a - b)]);
+
+        return {
+            version: INDEX_VERSION,
+            keys: this.keys,
+            caseSensitive: this.caseSensitive,
+            gramSize: GRAM_SIZE,
+            items: seqs.map(seq => this.items.get(seq)),
+            grams: encode(this.grams),
+            words: encode(this.words),
+            tree: this.tree.toJSON(),
+            deadWords: this.deadWords
+        };
+    }
+
+    /**
+     * Restore an index saved with toJSON()
+     * @param {Object|string} json
+     * @param {Object} [options] - getId, as for the constructor
+     */
+    static fromJSON(json, options = {}) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        if (!data || data.version !== INDEX_VERSION || data.gramSize !== GRAM_SIZE) {
+            throw new Error('Unsupported search index format; rebuild the index');
+        }
+
+        const index = new SearchIndex(Object.assign({}, options, { keys: data.keys, caseSensitive: data.caseSensitive }));
+        data.items.forEach((item, seq) => {
+            index.items.set(seq, item);
+            index.ids.set(index.getId(item), seq);
+        });
+        index.nextSeq = data.items.length;
+
+        const decode = entries => new Map(entries.map(([term, posting]) => [term, new Set(posting)]));
+        index.grams = decode(data.grams);
+        index.words = decode(data.words);
+        index.tree = BKTree.fromJSON(data.tree);
+        index.deadWords = data.deadWords || 0;
+        return index;
+    }
+}
+
+SearchIndex.BKTree = BKTree;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SearchIndex;
+}
@@ -0,0 +1,172 @@
+/**
+ * Search Lexicon
+ * Lip aesthetics terminology for Chinese word segmentation and pinyin search
+ * 唇部美学专业词库：用于中文分词与拼音检索
+ *
+ * Each entry is [term, pinyin (toneless, one syllable per character), English].
+ * Segmentation prefers these words over bigrams, and a query typed in
+ * pinyin ("boniaosuan", "bns") is matched against them.
+ */
+
+const SearchLexicon = [
+    // 解剖结构 Anatomy
+    ['唇部', 'chun bu', 'lips'],
+    ['上唇', 'shang chun', 'upper lip'],
+    ['下唇', 'xia chun', 'lower lip'],
+    ['唇红', 'chun hong', 'vermilion'],
+    ['唇红缘', 'chun hong yuan', 'vermilion border'],
+    ['唇峰', 'chun feng', 'Cupid\'s bow peak'],
+    ['唇珠', 'chun zhu', 'tubercle of upper lip'],
+    ['唇弓', 'chun gong', 'Cupid\'s bow'],
+    ['丘比特弓', 'qiu bi te gong', 'Cupid\'s bow'],
+    ['人中', 'ren zhong', 'philtrum'],
+    ['人中嵴', 'ren zhong ji', 'philtral column'],
+    ['口角', 'kou jiao', 'oral commissure'],
+    ['嘴角', 'zui jiao', 'corner of the mouth'],
+    ['口轮匝肌', 'kou lun za ji', 'orbicularis oris'],
+    ['降口角肌', 'jiang kou jiao ji', 'depressor anguli oris'],
+    ['提上唇肌', 'ti shang chun ji', 'levator labii superioris'],
+    ['颧大肌', 'quan da ji', 'zygomaticus major'],
+    ['颧小肌', 'quan xiao ji', 'zygomaticus minor'],
+    ['笑肌', 'xiao ji', 'risorius'],
+    ['颏肌', 'ke ji', 'mentalis'],
+    ['降下唇肌', 'jiang xia chun ji', 'depressor labii inferioris'],
+    ['颊肌', 'jia ji', 'buccinator'],
+    ['蜗轴', 'wo zhou', 'modiolus'],
+    ['上唇动脉', 'shang chun dong mai', 'superior labial artery'],
+    ['下唇动脉', 'xia chun dong mai', 'inferior labial artery'],
+    ['面动脉', 'mian dong mai', 'facial artery'],
+    ['面神经', 'mian shen jing', 'facial nerve'],
+    ['三叉神经', 'san cha shen jing', 'trigeminal nerve'],
+    ['眶下神经', 'kuang xia shen jing', 'infraorbital nerve'],
+    ['颏神经', 'ke shen jing', 'mental nerve'],
+    ['动脉', 'dong mai', 'artery'],
+    ['静脉', 'jing mai', 'vein'],
+    ['血管', 'xue guan', 'blood vessel'],
+    ['神经', 'shen jing', 'nerve'],
+    ['黏膜', 'nian mo', 'mucosa'],
+    ['真皮', 'zhen pi', 'dermis'],
+    ['表皮', 'biao pi', 'epidermis'],
+    ['皮下', 'pi xia', 'subcutaneous'],
+    ['肌肉', 'ji rou', 'muscle'],
+    ['颌骨', 'he gu', 'jaw bone'],
+    ['下颌', 'xia he', 'mandible'],
+    ['牙槽', 'ya cao', 'alveolar'],
+    ['下面部', 'xia mian bu', 'lower face'],
+    ['鼻唇角', 'bi chun jiao', 'nasolabial angle'],
+    ['法令纹', 'fa ling wen', 'nasolabial fold'],
+    ['木偶纹', 'mu ou wen', 'marionette lines'],
+    ['唇纹', 'chun wen', 'lip lines'],
+    ['口周', 'kou zhou', 'perioral'],
+    ['胶原蛋白', 'jiao yuan dan bai', 'collagen'],
+    ['弹性纤维', 'tan xing xian wei', 'elastic fibers'],
+    ['脂肪', 'zhi fang', 'fat'],
+
+    // 美学 Aesthetics
+    ['美学', 'mei xue', 'aesthetics'],
+    ['唇部美学', 'chun bu mei xue', 'lip aesthetics'],
+    ['黄金比例', 'huang jin bi li', 'golden ratio'],
+    ['三庭五眼', 'san ting wu yan', 'facial thirds and fifths'],
+    ['对称性', 'dui chen xing', 'symmetry'],
+    ['唇形', 'chun xing', 'lip shape'],
+    ['唇厚', 'chun hou', 'lip thickness'],
+    ['唇宽', 'chun kuan', 'lip width'],
+    ['侧貌', 'ce mao', 'profile'],
+    ['审美', 'shen mei', 'aesthetic judgement'],
+    ['个性化', 'ge xing hua', 'personalised'],
+    ['微笑', 'wei xiao', 'smile'],
+    ['露龈笑', 'lu yin xiao', 'gummy smile'],
+    ['丰唇', 'feng chun', 'lip augmentation'],
+    ['唇部填充', 'chun bu tian chong', 'lip filler'],
+    ['M唇', 'M chun', 'M-shaped lips'],
+    ['微笑唇', 'wei xiao chun', 'smile lips'],
+    ['嘟嘟唇', 'du du chun', 'pouty lips'],
+
+    // 治疗与产品 Treatments and products
+    ['注射', 'zhu she', 'injection'],
+    ['注射技术', 'zhu she ji shu', 'injection technique'],
+    ['填充', 'tian chong', 'filling'],
+    ['填充剂', 'tian chong ji', 'filler'],
+    ['填充材料', 'tian chong cai liao', 'filler material'],
+    ['透明质酸', 'tou ming zhi suan', 'hyaluronic acid'],
+    ['玻尿酸', 'bo niao suan', 'hyaluronic acid'],
+    ['交联', 'jiao lian', 'cross-linking'],
+    ['利多卡因', 'li duo ka yin', 'lidocaine'],
+    ['肉毒素', 'rou du su', 'botulinum toxin'],
+    ['肉毒杆菌毒素', 'rou du gan jun du su', 'botulinum toxin'],
+    ['自体脂肪', 'zi ti zhi fang', 'autologous fat'],
+    ['脂肪移植', 'zhi fang yi zhi', 'fat grafting'],
+    ['胶原刺激剂', 'jiao yuan ci ji ji', 'collagen stimulator'],
+    ['聚左旋乳酸', 'ju zuo xuan ru suan', 'poly-L-lactic acid'],
+    ['羟基磷灰石', 'qiang ji lin hui shi', 'calcium hydroxylapatite'],
+    ['透明质酸酶', 'tou ming zhi suan mei', 'hyaluronidase'],
+    ['钝针', 'dun zhen', 'cannula'],
+    ['锐针', 'rui zhen', 'sharp needle'],
+    ['微针', 'wei zhen', 'microneedle'],
+    ['线性注射', 'xian xing zhu she', 'linear threading'],
+    ['扇形注射', 'shan xing zhu she', 'fanning'],
+    ['点状注射', 'dian zhuang zhu she', 'serial puncture'],
+    ['回抽', 'hui chou', 'aspiration'],
+    ['麻醉', 'ma zui', 'anaesthesia'],
+    ['表面麻醉', 'biao mian ma zui', 'topical anaesthesia'],
+    ['神经阻滞', 'shen jing zu zhi', 'nerve block'],
+    ['唇部纹绣', 'chun bu wen xiu', 'lip tattoo'],
+    ['纹绣', 'wen xiu', 'cosmetic tattoo'],
+    ['漂唇', 'piao chun', 'lip blush'],
+    ['激光', 'ji guang', 'laser'],
+    ['射频', 'she pin', 'radiofrequency'],
+    ['唇部重建', 'chun bu chong jian', 'lip reconstruction'],
+    ['唇裂', 'chun lie', 'cleft lip'],
+    ['修复', 'xiu fu', 'repair'],
+    ['术后护理', 'shu hou hu li', 'aftercare'],
+    ['冷敷', 'leng fu', 'cold compress'],
+
+    // 风险与并发症 Risks and complications
+    ['并发症', 'bing fa zheng', 'complication'],
+    ['血管栓塞', 'xue guan shuan se', 'vascular occlusion'],
+    ['血管栓塞急救', 'xue guan shuan se ji jiu', 'vascular occlusion emergency'],
+    ['皮肤坏死', 'pi fu huai si', 'skin necrosis'],
+    ['坏死', 'huai si', 'necrosis'],
+    ['失明', 'shi ming', 'blindness'],
+    ['过敏', 'guo min', 'allergy'],
+    ['过敏性休克', 'guo min xing xiu ke', 'anaphylaxis'],
+    ['肾上腺素', 'shen shang xian su', 'epinephrine'],
+    ['感染', 'gan ran', 'infection'],
+    ['肿胀', 'zhong zhang', 'swelling'],
+    ['淤青', 'yu qing', 'bruising'],
+    ['瘀斑', 'yu ban', 'ecchymosis'],
+    ['结节', 'jie jie', 'nodule'],
+    ['肉芽肿', 'rou ya zhong', 'granuloma'],
+    ['丁达尔效应', 'ding da er xiao ying', 'Tyndall effect'],
+    ['单纯疱疹', 'dan chun pao zhen', 'herpes simplex'],
+    ['唇疱疹', 'chun pao zhen', 'cold sore'],
+    ['不对称', 'bu dui chen', 'asymmetry'],
+    ['移位', 'yi wei', 'migration'],
+    ['禁忌症', 'jin ji zheng', 'contraindication'],
+    ['知情同意', 'zhi qing tong yi', 'informed consent'],
+    ['安全性', 'an quan xing', 'safety'],
+    ['危险区', 'wei xian qu', 'danger zone'],
+
+    // 临床 Clinical practice
+    ['患者', 'huan zhe', 'patient'],
+    ['求美者', 'qiu mei zhe', 'aesthetic patient'],
+    ['医生', 'yi sheng', 'physician'],
+    ['医患沟通', 'yi huan gou tong', 'doctor-patient communication'],
+    ['面诊', 'mian zhen', 'consultation'],
+    ['评估', 'ping gu', 'assessment'],
+    ['治疗方案', 'zhi liao fang an', 'treatment plan'],
+    ['治疗效果', 'zhi liao xiao guo', 'treatment outcome'],
+    ['满意度', 'man yi du', 'satisfaction'],
+    ['维持时间', 'wei chi shi jian', 'duration'],
+    ['衰老', 'shuai lao', 'ageing'],
+    ['年轻化', 'nian qing hua', 'rejuvenation'],
+    ['资质', 'zi zhi', 'qualification'],
+    ['执业医师', 'zhi ye yi shi', 'licensed physician'],
+    ['医疗美容', 'yi liao mei rong', 'medical aesthetics'],
+    ['循证医学', 'xun zheng yi xue', 'evidence-based medicine']
+];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SearchLexicon;
+}
@@ -12,7 +12,13 @@ const SearchConfig = {
   DEBOUNCE_DELAY: 300,
   MIN_QUERY_LENGTH: 2,
   SEARCH_HISTORY_SIZE: 20,
-  AUTOCOMPLETE_DELAY: 150
+  AUTOCOMPLETE_DELAY: 150,
+  REGEX_TIMEOUT: 100, // ms for one regex search over all items
+  REGEX_MAX_LENGTH: 200,
+  // Characters of each field a regex sees; short enough that a pattern
+  // taking quadratic time, such as \s+$, still ends within REGEX_TIMEOUT
+  REGEX_MAX_INPUT: 2000,
+  MAX_HIGHLIGHTS: 20 // match positions reported per field
 };
 
 const SearchTypes = {
@@ -23,6 +29,22 @@ const SearchTypes = {
   PHONETIC: 'phonetic'
 };
 
+// Modes offered by AdvancedSearchComponent
+const SEARCH_MODE_OPTIONS = [
+  [SearchTypes.FUZZY, 'Fuzzy'],
+  [SearchTypes.EXACT, 'Exact'],
+  [SearchTypes.PHONETIC, 'Pinyin'],
+  [SearchTypes.SEMANTIC, 'Related terms'],
+  [SearchTypes.REGEX, 'Regex']
+];
+
+// Result orders offered by AdvancedSearchComponent
+const SORT_OPTIONS = [
+  ['relevance', 'Relevance'],
+  ['newest', 'Newest'],
+  ['title', 'Title']
+];
+
 const FilterTypes = {
   TEXT: 'text',
   NUMBER: 'number',
@@ -33,6 +55,261 @@ const FilterTypes = {
   MULTI_SELECT: 'multi-select'
 };
 
+// Assertions that match no characters, so never repeat any
+const REGEX_ZERO_WIDTH = new Set(['^', '$', '\\b', '\\B']);
+
+// Characters tried when asking whether two atoms of a regex can match the same one
+const REGEX_SAMPLE_CHARACTERS = ' \t\n\r' + Array.from({ length: 94 }, (_, i) => String.fromCharCode(33 + i)).join('') +
+  '\u00a0\u00e9\u00df\u0410\u3000\u3001\u3002\uff0c\uff11\u5507\u7f8e';
+
+/**
+ * Regular expression from a user query, refused when it could backtrack
+ * without end. A running RegExp cannot be interrupted, so patterns that
+ * can split the same text many ways are rejected before they run: a group
+ * repeated any number of times (even a fixed {20}) with repetition inside
+ * it ("(a+)+", "(.*a){20}"), repeated alternatives that can match the same
+ * text ("(a|ab)*"), and repeats in a row that can match the same
+ * characters ("a*a*b", ".*x.*y"). Patterns that only take quadratic time
+ * ("\s+$", "a+b") are allowed: each field is cut at REGEX_MAX_INPUT
+ * characters, and the search stops at REGEX_TIMEOUT, also between the
+ * matches within a field.
+ */
+class SafeRegex {
+  constructor(query, options = {}) {
+    // "/pattern/flags" keeps its own flags; a bare pattern follows caseSensitive
+    const literal = query.match(/^\/(.+)\/([a-z]*)$/);
+    const pattern = literal ? literal[1] : query;
+    const flags = literal ? literal[2] : (options.caseSensitive ? '' : 'i');
+
+    if (/[^imsu]/.test(flags)) {
+      throw new Error(`Unsupported regular expression flags "${flags}"`);
+    }
+    const problem = SafeRegex.check(pattern, flags.includes('i'));
+    if (problem) {
+      throw new Error(problem);
+    }
+
+    // Throws a SyntaxError for an invalid pattern
+    this.regex = new RegExp(pattern, `${flags}g`);
+  }
+
+  /**
+   * Why a pattern is unsafe to run, or null
+   */
+  static check(pattern, ignoreCase = false) {
+    if (pattern.length > SearchConfig.REGEX_MAX_LENGTH) {
+      return `Regular expression is longer than ${SearchConfig.REGEX_MAX_LENGTH} characters`;
+    }
+
+    // The repeated atoms the text matched so far could still be split
+    // between: a required atom none of them can match ends the run
+    let run = [];
+    // Each open group: does anything inside it vary in count, does anything
+    // repeat, how does each alternative start, which atoms it holds, which
+    // it can begin with (leads), whether it can match nothing, and the run
+    // before it and at the end of each alternative
+    const group = () => ({
+      varies: false, repeats: false, firsts: [null], atoms: [], leads: [], open: true, empty: false, runBefore: run, runs: []
+    });
+    const stack = [group()];
+    let pending = null; // the last atom, until its quantifier is known
+    let problem = null;
+
+    // Apply a quantifier ({min, max}) to the pending atom
+    const settle = (min = 1, max = 1) => {
+      if (!pending) return;
+      const { atoms, inner } = pending;
+      const frame = stack[stack.length - 1];
+      const repeating = max > 1 && max > min;
+      const leads = inner ? inner.leads : atoms;
+      const required = min > 0 && !(inner && inner.empty);
+      pending = null;
+
+      // Until a required atom, an alternative can begin with any of these
+      if (frame.open) {
+        frame.leads.push(...leads);
+        if (required) frame.open = false;
+      }
+
+      if (inner) {
+        if (min === 1 && max === 1) return;
+        if (max > 1 && inner.varies) {
+          problem = 'Repetition inside a repeated group, such as (a+)+ or (.*a){20}, can make the search hang';
+          return;
+        }
+        if (max > 1 && SafeRegex.overlaps(inner.firsts, ignoreCase)) {
+          problem = 'Repeated alternatives that can match the same text, such as (a|ab)*, can make the search hang';
+          return;
+        }
+        // The group counts as one atom in the run it started from
+        run = inner.runBefore;
+      }
+
+      const shared = run.some(member => SafeRegex.sharesCharacters(member, leads, ignoreCase));
+      if ((repeating || (inner && inner.repeats)) && shared) {
+        problem = 'Repeats in a row that can match the same text, such as a*a* or .*x.*, can make the search hang';
+        return;
+      }
+      if (required && !shared) run = [];
+      if (repeating || (inner && inner.repeats)) run = run.concat([atoms]);
+      if (max > min) frame.varies = true;
+      if (repeating) frame.repeats = true;
+    };
+
+    const atom = (text, inner = null) => {
+      settle();
+      const frame = stack[stack.length - 1];
+      const last = frame.firsts.length - 1;
+      if (frame.firsts[last] === null) frame.firsts[last] = text;
+      if (REGEX_ZERO_WIDTH.has(text)) return;
+      const atoms = inner ? inner.atoms : [text];
+      frame.atoms.push(...atoms);
+      pending = { atoms, inner };
+    };
+
+    let i = 0;
+    while (i < pattern.length && !problem) {
+      const char = pattern[i];
+
+      if (char === '\\') {
+        if (/[1-9k]/.test(pattern[i + 1] || '')) return 'Backreferences are not supported';
+        atom(pattern.slice(i, i + 2));
+        i += 2;
+      } else if (char === '[') {
+        let end = i + 1;
+        if (pattern[end] === '^') end++;
+        if (pattern[end] === ']') end++;
+        while (end < pattern.length && pattern[end] !== ']') end += pattern[end] === '\\' ? 2 : 1;
+        atom(pattern.slice(i, end + 1));
+        i = end + 1;
+      } else if (char === '(') {
+        const prefix = pattern.slice(i).match(/^\((?:\?(?::|=|!|<=|<!|<[A-Za-z_$][\w$]*>))?/)[0];
+        settle();
+        stack.push(Object.assign(group(), { lookaround: /^\(\?<?[=!]/.test(prefix) }));
+        i += prefix.length;
+      } else if (char === ')') {
+        if (stack.length === 1) return 'Unmatched ")" in regular expression';
+        settle();
+        const inner = stack.pop();
+        inner.empty = inner.empty || inner.open;
+        const parent = stack[stack.length - 1];
+        parent.varies = parent.varies || inner.varies;
+        parent.repeats = parent.repeats || inner.repeats;
+        if (inner.lookaround) {
+          // Matches no text of its own
+          run = inner.runBefore;
+        } else {
+          run = inner.runs.concat([run]).reduce((all, members) => all.concat(members), []);
+          atom('(', inner);
+        }
+        i++;
+      } else if (char === '|') {
+        settle();
+        const frame = stack[stack.length - 1];
+        frame.runs.push(run);
+        frame.empty = frame.empty || frame.open;
+        frame.open = true;
+        frame.firsts.push(null);
+        run = frame.runBefore;
+        i++;
+      } else if ('*+?{'.includes(char)) {
+        const quantifier = pattern.slice(i).match(/^(?:[*+?]|\{(\d+)(,(\d*))?\})\??/);
+        if (!quantifier) {
+          atom(char);
+          i++;
+          continue;
+        }
+
+        const [text, min, range, max] = quantifier;
+        if (char === '*') settle(0, Infinity);
+        else if (char === '+') settle(1, Infinity);
+        else if (char === '?') settle(0, 1);
+        else settle(Number(min), range === undefined ? Number(min) : (max === '' ? Infinity : Number(max)));
+        i += text.length;
+      } else {
+        atom(char);
+        i++;
+      }
+    }
+    settle();
+
+    return problem;
+  }
+
+  /**
+   * Whether two alternatives of a group could start matching at the same
+   * character: only distinct literal first characters are known not to
+   */
+  static overlaps(firsts, ignoreCase) {
+    if (firsts.length < 2) return false;
+
+    const seen = new Set();
+    return firsts.some(first => {
+      if (first === null || !/^(?:[^\\.^$(\[]|\\[^dDwWsSbBpPuxc0-9])$/.test(first)) return true;
+      const char = first[first.length - 1];
+      const key = ignoreCase ? char.toLowerCase() : char;
+      if (seen.has(key)) return true;
+      seen.add(key);
+      return false;
+    });
+  }
+
+  /**
+   * Whether any atom of one list (single characters, escapes, classes,
+   * ".") can match a character some atom of the other can. Tried on a
+   * sample of characters plus the literal ones; an atom that cannot be
+   * tried on its own counts as matching everything.
+   */
+  static sharesCharacters(left, right, ignoreCase) {
+    const literals = left.concat(right).filter(text => text.length === 1).join('');
+    const samples = REGEX_SAMPLE_CHARACTERS + literals;
+    const matcher = text => {
+      try {
+        const regex = new RegExp(`^(?:${text})$`, ignoreCase ? 'i' : '');
+        return char => regex.test(char);
+      } catch (error) {
+        return () => true;
+      }
+    };
+    const leftMatchers = left.map(matcher);
+    const rightMatchers = right.map(matcher);
+
+    return Array.from(samples).some(char =>
+      leftMatchers.some(test => test(char)) && rightMatchers.some(test => test(char)));
+  }
+
+  /**
+   * Whether the pattern matches anywhere in a text
+   */
+  test(text) {
+    this.regex.lastIndex = 0;
+    return this.regex.test(text.length > SearchConfig.REGEX_MAX_INPUT ? text.slice(0, SearchConfig.REGEX_MAX_INPUT) : text);
+  }
+
+  /**
+   * Match positions in a text, as [start, end) pairs
+   * @param {string} text
+   * @param {number} [deadline] - time (Date.now()) after which to stop
+   *   looking for more matches
+   */
+  spans(text, deadline = Infinity) {
+    const input = text.length > SearchConfig.REGEX_MAX_INPUT ? text.slice(0, SearchConfig.REGEX_MAX_INPUT) : text;
+    const spans = [];
+    let match;
+
+    this.regex.lastIndex = 0;
+    while (spans.length < SearchConfig.MAX_HIGHLIGHTS && Date.now() <= deadline && (match = this.regex.exec(input))) {
+      if (match[0].length === 0) {
+        this.regex.lastIndex++;
+        continue;
+      }
+      spans.push({ start: match.index, end: match.index + match[0].length });
+    }
+
+    return spans;
+  }
+}
+
 /**
  * Fuzzy Search Engine with Advanced Matching
  */
@@ -46,33 +323,253 @@ class FuzzySearchEngine {
     this.keys = options.keys || [];
     this.weights = options.weights || {};
     this.stopWords = new Set(options.stopWords || ['the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by']);
+    // Chinese word segmentation (text-segmenter.js), when loaded
+    this.segmenter = options.segmenter ||
+      (typeof TextSegmenter !== 'undefined' ? new TextSegmenter() : null);
+    // Synonym/concept graph for semantic mode (concept-graph.js), when loaded
+    this.conceptGraph = options.conceptGraph ||
+      (typeof ConceptGraph !== 'undefined' ? new ConceptGraph() : null);
+    this.mode = options.mode || SearchTypes.FUZZY;
+    this.regexTimeout = options.regexTimeout || SearchConfig.REGEX_TIMEOUT;
+    // Outcome of the last search: { mode, error, timedOut }
+    this.lastSearch = null;
+    // Term → word → similarity, for the search in progress
+    this.similarities = new Map();
   }
 
   /**
-   * Search through data with fuzzy matching
+   * Search through data
+   * @param {Array|SearchIndex} data - items, or an index from createIndex()
+   * @param {Object} [options]
+   * @param {string} [options.mode] - one of SearchTypes (default: this.mode)
    */
-  search(query, data) {
+  search(query, data, options = {}) {
+    const mode = options.mode || this.mode;
+    this.lastSearch = { mode, error: null, timedOut: false };
+    this.similarities.clear();
+
     if (!query || query.length < SearchConfig.MIN_QUERY_LENGTH) {
       return [];
     }
 
-    const normalizedQuery = this.normalizeQuery(query);
-    const queryTerms = this.tokenize(normalizedQuery);
+    const deadline = mode === SearchTypes.REGEX ? Date.now() + this.regexTimeout : Infinity;
+    let matcher;
+    try {
+      matcher = this.createMatcher(mode, query, deadline);
+    } catch (error) {
+      this.lastSearch.error = error.message;
+      return [];
+    }
 
-    const results = data.map(item => {
-      const score = this.calculateScore(queryTerms, item);
-      return {
-        item,
-        score,
-        matches: this.includeMatches ? this.getMatches(queryTerms, item) : []
-      };
-    }).filter(result => result.score > this.threshold);
+    const items = this.isIndex(data) ? this.indexedItems(mode, query, data) : data;
+    const results = [];
+
+    for (const item of items) {
+      if (Date.now() > deadline) {
+        this.lastSearch.timedOut = true;
+        break;
+      }
+
+      const score = this.calculateScore(matcher, item);
+      if (score > this.threshold) {
+        results.push({
+          item,
+          score,
+          matches: this.includeMatches ? this.getMatches(matcher, item) : []
+        });
+      }
+    }
+    // The last item may have been cut short too
+    if (Date.now() > deadline) this.lastSearch.timedOut = true;
 
     return this.shouldSort
       ? results.sort((a, b) => b.score - a.score)
       : results;
   }
 
+  /**
+   * Whether a mode can run here: pinyin needs text-segmenter.js, related
+   * terms need concept-graph.js
+   */
+  supports(mode) {
+    switch (mode) {
+      case SearchTypes.PHONETIC:
+        return Boolean(this.segmenter);
+      case SearchTypes.SEMANTIC:
+        return Boolean(this.conceptGraph);
+      default:
+        return Object.values(SearchTypes).includes(mode);
+    }
+  }
+
+  /**
+   * Build a SearchIndex (search-index.js) over items with this engine's
+   * keys and case handling. search() takes it in place of the array;
+   * keep it current with its add(), update() and remove().
+   */
+  createIndex(items = [], options = {}) {
+    if (typeof SearchIndex === 'undefined') {
+      throw new Error('Indexed search needs search-index.js');
+    }
+    return new SearchIndex(Object.assign({ keys: this.keys, caseSensitive: this.caseSensitive }, options))
+      .addAll(items);
+  }
+
+  isIndex(data) {
+    return Boolean(data) && typeof data.candidates === 'function';
+  }
+
+  /**
+   * Items of an index worth scoring. Fuzzy and exact scores come from
+   * term occurrences and close words, which the index can look up; the
+   * other modes, or an index built with other keys, score every item.
+   */
+  indexedItems(mode, query, index) {
+    const compatible = index.caseSensitive === this.caseSensitive &&
+      index.keys.join('\n') === this.keys.join('\n');
+    if (!compatible || (mode !== SearchTypes.FUZZY && mode !== SearchTypes.EXACT)) {
+      return index.all();
+    }
+
+    return index.candidates(this.tokenize(this.normalizeQuery(query)), {
+      threshold: mode === SearchTypes.FUZZY ? this.threshold : null
+    });
+  }
+
+  /**
+   * Scoring for one query in one mode: score(text) in [0, 1] and
+   * spans(text), the [start, end) positions to highlight. Fuzzy and exact
+   * scores are averaged over an item's keys; the other modes either match
+   * a field or not, so an item scores by its best field. A regex stops
+   * looking for matches at the deadline.
+   */
+  createMatcher(mode, query, deadline = Infinity) {
+    switch (mode) {
+      case SearchTypes.FUZZY:
+      case SearchTypes.EXACT: {
+        const queryTerms = this.tokenize(this.normalizeQuery(query));
+        const exact = mode === SearchTypes.EXACT;
+        return {
+          averaged: true,
+          score: text => (exact
+            ? this.scoreExact(queryTerms, this.normalizeText(text))
+            : this.scoreText(queryTerms, text)),
+          spans: text => this.termSpans(queryTerms, this.normalizeText(text))
+        };
+      }
+
+      case SearchTypes.REGEX: {
+        const regex = new SafeRegex(query.trim(), { caseSensitive: this.caseSensitive });
+        return {
+          averaged: false,
+          score: text => this.positionScore(regex.spans(text, deadline), text.length),
+          spans: text => regex.spans(text, deadline)
+        };
+      }
+
+      case SearchTypes.PHONETIC:
+        if (!this.segmenter) {
+          throw new Error('Phonetic search needs text-segmenter.js');
+        }
+        return this.createGroupMatcher(this.phoneticGroups(query));
+
+      case SearchTypes.SEMANTIC:
+        if (!this.conceptGraph) {
+          throw new Error('Semantic search needs concept-graph.js');
+        }
+        return this.createGroupMatcher(this.semanticGroups(query));
+
+      default:
+        throw new Error(`Unknown search mode "${mode}"`);
+    }
+  }
+
+  /**
+   * Matcher over query groups: each group is one query word (or concept)
+   * with the ways a text can match it, find(text) → [{start, end, weight}].
+   * A text scores the average over groups of its best match.
+   */
+  createGroupMatcher(groups) {
+    const find = text => groups.map(group => group(text));
+
+    return {
+      averaged: false,
+      score: text => {
+        if (!groups.length) return 0;
+        return find(text).reduce((total, hits) => total + hits.reduce((best, hit) =>
+          Math.max(best, hit.weight * this.positionScore([hit], text.length)), 0), 0) / groups.length;
+      },
+      spans: text => find(text).flat()
+        .sort((a, b) => a.start - b.start)
+        .slice(0, SearchConfig.MAX_HIGHLIGHTS)
+        .map(({ start, end }) => ({ start, end }))
+    };
+  }
+
+  /**
+   * Pinyin groups: a Latin word matches Chinese text by its pinyin (full,
+   * abbreviated or initials) or literally; a Chinese word also matches
+   * characters that sound the same
+   */
+  phoneticGroups(query) {
+    const segmenter = this.segmenter;
+
+    return this.normalizeQuery(query).split(/\s+/).filter(Boolean).map(word => text => {
+      const normalized = segmenter.normalize(text);
+
+      if (segmenter.hasCJK(word)) {
+        return segmenter.homophoneSpans(normalized, word)
+          .map(span => ({ start: span.start, end: span.end, weight: span.exact ? 1 : 0.85 }));
+      }
+
+      const hits = segmenter.pinyinSpans(normalized, word)
+        .map(span => ({ start: span.start, end: span.end, weight: span.initials ? 0.8 : 1 }));
+      const literal = segmenter.normalize(word);
+      for (let index = normalized.indexOf(literal); index !== -1; index = normalized.indexOf(literal, index + 1)) {
+        hits.push({ start: index, end: index + literal.length, weight: 1 });
+      }
+      return hits;
+    });
+  }
+
+  /**
+   * Concept groups: a term from the concept graph matches any term of its
+   * concept, and of neighbouring concepts at a lower weight; the rest of
+   * the query is matched word by word
+   */
+  semanticGroups(query) {
+    const graph = this.conceptGraph;
+    const { terms, rest } = graph.find(query);
+
+    const conceptGroups = new Map();
+    terms.forEach(({ concepts }) => {
+      const key = concepts.slice().sort().join(' ');
+      if (!conceptGroups.has(key)) conceptGroups.set(key, graph.expand(concepts));
+    });
+
+    const groups = Array.from(conceptGroups.values());
+    this.tokenize(this.normalizeQuery(rest)).forEach(word => groups.push(new Map([[graph.normalize(word), 1]])));
+
+    return groups.map(expansion => text => {
+      const normalized = graph.normalize(text);
+      const hits = [];
+      expansion.forEach((weight, term) => {
+        graph.occurrences(normalized, term).forEach(index => {
+          hits.push({ start: index, end: index + term.length, weight });
+        });
+      });
+      return hits;
+    });
+  }
+
+  /**
+   * Score of a match by where the first hit is: earlier is better
+   */
+  positionScore(spans, length) {
+    if (!spans.length) return 0;
+    return Math.min(1, 1 - (spans[0].start / Math.max(length, 1)) * 0.1);
+  }
+
   /**
    * Normalize search query
    */
@@ -83,11 +580,14 @@ class FuzzySearchEngine {
   }
 
   /**
-   * Tokenize query into terms
+   * Tokenize query into terms; Chinese runs are segmented into words
    */
   tokenize(query) {
     return query
       .split(/\s+/)
+      .flatMap(term => (this.segmenter && this.segmenter.hasCJK(term)
+        ? this.segmenter.segment(term)
+        : [term]))
       .filter(term => term.length >= this.minMatchCharLength)
       .filter(term => !this.stopWords.has(term));
   }
@@ -95,29 +595,38 @@ class FuzzySearchEngine {
   /**
    * Calculate search score for an item
    */
-  calculateScore(queryTerms, item) {
+  calculateScore(matcher, item) {
     if (this.keys.length === 0) {
       // Search entire item if no keys specified
       const itemText = typeof item === 'string' ? item : JSON.stringify(item);
-      return this.scoreText(queryTerms, itemText);
+      return matcher.score(itemText);
     }
 
     let totalScore = 0;
     let totalWeight = 0;
+    let bestScore = 0;
+    let maxWeight = 0;
 
     this.keys.forEach(key => {
       const value = this.getNestedValue(item, key);
       if (value != null) {
         const text = String(value);
         const weight = this.weights[key] || 1;
-        const score = this.scoreText(queryTerms, text);
+        const score = matcher.score(text);
 
         totalScore += score * weight;
         totalWeight += weight;
+        bestScore = Math.max(bestScore, score * weight);
+        maxWeight = Math.max(maxWeight, weight);
       }
     });
 
-    return totalWeight > 0 ? totalScore / totalWeight : 0;
+    if (totalWeight === 0) return 0;
+    return matcher.averaged ? totalScore / totalWeight : bestScore / maxWeight;
+  }
+
+  normalizeText(text) {
+    return this.caseSensitive ? text : text.toLowerCase();
   }
 
   /**
@@ -152,9 +661,7 @@ class FuzzySearchEngine {
     let bestScore = 0;
 
     words.forEach(word => {
-      const distance = this.levenshteinDistance(term, word);
-      const maxLength = Math.max(term.length, word.length);
-      const similarity = 1 - (distance / maxLength);
+      const similarity = this.wordSimilarity(term, word);
 
       if (similarity > bestScore) {
         bestScore = similarity;
@@ -164,6 +671,41 @@ class FuzzySearchEngine {
     return bestScore;
   }
 
+  /**
+   * 1 - edit distance / longer length; the same words recur across
+   * items, so each pair is measured once per search
+   */
+  wordSimilarity(term, word) {
+    if (!this.similarities.has(term)) this.similarities.set(term, new Map());
+    const cache = this.similarities.get(term);
+
+    if (!cache.has(word)) {
+      const distance = this.levenshteinDistance(term, word);
+      const maxLength = Math.max(term.length, word.length);
+      cache.set(word, 1 - (distance / maxLength));
+    }
+    return cache.get(word);
+  }
+
+  /**
+   * Score text by exact occurrences of the query terms only
+   */
+  scoreExact(queryTerms, text) {
+    if (!queryTerms.length) return 0;
+    return queryTerms.reduce((total, term) =>
+      total + this.positionScore(this.termSpans([term], text), text.length), 0) / queryTerms.length;
+  }
+
+  /**
+   * First occurrence of each query term in (normalized) text
+   */
+  termSpans(queryTerms, text) {
+    return queryTerms
+      .map(term => ({ start: text.indexOf(term), length: term.length }))
+      .filter(({ start }) => start !== -1)
+      .map(({ start, length }) => ({ start, end: start + length }));
+  }
+
   /**
    * Calculate Levenshtein distance between two strings
    */
@@ -190,31 +732,40 @@ class FuzzySearchEngine {
   /**
    * Get match information for highlighting
    */
-  getMatches(queryTerms, item) {
+  getMatches(matcher, item) {
     const matches = [];
 
     this.keys.forEach(key => {
       const value = this.getNestedValue(item, key);
       if (value != null) {
         const text = String(value);
-        const normalizedText = this.caseSensitive ? text : text.toLowerCase();
-
-        queryTerms.forEach(term => {
-          const index = normalizedText.indexOf(term);
-          if (index !== -1) {
-            matches.push({
-              key,
-              value: text,
-              indices: [[index, index + term.length - 1]]
-            });
-          }
-        });
+        const spans = matcher.spans(text);
+
+        if (spans.length) {
+          matches.push({
+            key,
+            value: text,
+            indices: spans.map(span => [span.start, span.end - 1])
+          });
+        }
       }
     });
 
     return matches;
   }
 
+  /**
+   * Whether any searched field of an item contains a word or phrase
+   */
+  contains(item, text) {
+    const needle = this.normalizeText(String(text));
+    const values = this.keys.length === 0
+      ? [typeof item === 'string' ? item : JSON.stringify(item)]
+      : this.keys.map(key => this.getNestedValue(item, key)).filter(value => value != null);
+
+    return values.some(value => this.normalizeText(String(value)).includes(needle));
+  }
+
   /**
    * Get nested value from object using dot notation
    */
@@ -231,6 +782,8 @@ class FuzzySearchEngine {
 class FilterEngine {
   constructor() {
     this.filters = new Map();
+    // Fields offered for facet navigation, see defineFacet()
+    this.facets = new Map();
     this.operators = {
       eq: (value, filterValue) => value === filterValue,
       ne: (value, filterValue) => value !== filterValue,
@@ -243,8 +796,22 @@ class FilterEngine {
       endsWith: (value, filterValue) => String(value).toLowerCase().endsWith(String(filterValue).toLowerCase()),
       between: (value, filterValue) => Array.isArray(filterValue) && value >= filterValue[0] && value <= filterValue[1],
       in: (value, filterValue) => Array.isArray(filterValue) && filterValue.includes(value),
-      regex: (value, filterValue) => new RegExp(filterValue, 'i').test(String(value))
+      overlaps: (value, filterValue) => Array.isArray(value) && Array.isArray(filterValue) &&
+        value.some(entry => filterValue.includes(entry)),
+      inRanges: (value, filterValue) => Array.isArray(filterValue) &&
+        filterValue.some(([from, to]) => value >= from && value < to),
+      // Same guard as the regex search mode; an unsafe pattern throws
+      regex: (value, filterValue) => this.safeRegex(filterValue).test(String(value))
     };
+    // Compiled regex filter patterns, by pattern
+    this.regexCache = new Map();
+  }
+
+  safeRegex(pattern) {
+    if (!this.regexCache.has(pattern)) {
+      this.regexCache.set(pattern, new SafeRegex(String(pattern)));
+    }
+    return this.regexCache.get(pattern);
   }
 
   /**
@@ -291,29 +858,46 @@ class FilterEngine {
    * Apply filters to data
    */
   applyFilters(data) {
-    return data.filter(item => {
-      return Array.from(this.filters.entries()).every(([key, filter]) => {
-        if (!filter.enabled) return true;
-
-        const value = this.getNestedValue(item, key);
-        const processedValue = this.processValue(value, filter.type);
-        const processedFilterValue = this.processValue(filter.value, filter.type);
+    return data.filter(item => this.passes(item));
+  }
 
-        const operator = this.operators[filter.operator];
-        return operator ? operator(processedValue, processedFilterValue) : true;
-      });
+  /**
+   * Whether an item passes every enabled filter
+   */
+  passes(item) {
+    return Array.from(this.filters.entries()).every(([key, filter]) => {
+      if (!filter.enabled) return true;
+      return this.matches(item, key, filter);
     });
   }
 
+  /**
+   * Whether an item passes one filter ({ operator, value, type })
+   */
+  matches(item, key, filter) {
+    const value = this.getNestedValue(item, key);
+    const processedValue = this.processValue(value, filter.type);
+    const processedFilterValue = this.processValue(filter.value, filter.type);
+
+    const operator = this.operators[filter.operator];
+    return operator ? operator(processedValue, processedFilterValue) : true;
+  }
+
   /**
    * Process value based on type
    */
   processValue(value, type) {
+    // Bounds of "between"
+    if (Array.isArray(value) && type !== FilterTypes.MULTI_SELECT) {
+      return value.map(bound => this.processValue(bound, type));
+    }
+
     switch (type) {
       case FilterTypes.NUMBER:
         return parseFloat(value) || 0;
       case FilterTypes.DATE:
-        return new Date(value);
+        // As a timestamp, so eq/ne compare instants rather than Date objects
+        return new Date(value).getTime();
       case FilterTypes.BOOLEAN:
         return Boolean(value);
       default:
@@ -338,6 +922,664 @@ class FilterEngine {
       .filter(([key, filter]) => filter.enabled)
       .map(([key, filter]) => ({ key, ...filter }));
   }
+
+  /**
+   * Declare a facet: a field whose values (SELECT, MULTI_SELECT) or value
+   * ranges (RANGE over numbers or dates) are offered with item counts
+   * @param {string} key
+   * @param {Object} [options]
+   * @param {string} [options.type] - FilterTypes.SELECT (default), MULTI_SELECT or RANGE
+   * @param {string} [options.valueType] - RANGE: FilterTypes.NUMBER (default) or DATE
+   * @param {number|Array} [options.buckets] - RANGE: about how many buckets (default 5), or the bucket edges
+   * @param {string} [options.interval] - RANGE over dates: 'day', 'month' or 'year' (default: by the span)
+   * @param {string} [options.label]
+   * @param {Object} [options.labels] - value → display label
+   * @param {string} [options.sort] - 'count' (default) or 'value'
+   */
+  defineFacet(key, options = {}) {
+    this.facets.set(key, {
+      key,
+      type: options.type || FilterTypes.SELECT,
+      valueType: options.valueType || FilterTypes.NUMBER,
+      buckets: options.buckets || 5,
+      interval: options.interval || null,
+      label: options.label || key,
+      labels: options.labels || {},
+      sort: options.sort || 'count'
+    });
+    return this;
+  }
+
+  removeFacet(key) {
+    this.facets.delete(key);
+    return this.removeFilter(key);
+  }
+
+  /**
+   * Select facet values, or buckets as [from, to) pairs for RANGE facets.
+   * The values of one facet are alternatives (OR); facets and other
+   * filters all have to hold (AND). No values clears the facet.
+   */
+  setFacetSelection(key, values) {
+    const facet = this.facets.get(key);
+    if (!facet) {
+      throw new Error(`Unknown facet "${key}"`);
+    }
+    if (!values || !values.length) {
+      return this.removeFilter(key);
+    }
+
+    switch (facet.type) {
+      case FilterTypes.RANGE:
+        return this.addFilter(key, 'inRanges', values.map(([from, to]) => [from, to]), facet.valueType);
+      case FilterTypes.MULTI_SELECT:
+        return this.addFilter(key, 'overlaps', values.slice(), FilterTypes.MULTI_SELECT);
+      default:
+        return this.addFilter(key, 'in', values.slice(), FilterTypes.SELECT);
+    }
+  }
+
+  /**
+   * Selected values (or [from, to) buckets) of a facet
+   */
+  getFacetSelection(key) {
+    const filter = this.filters.get(key);
+    const facetFilter = filter && filter.enabled && ['in', 'overlaps', 'inRanges'].includes(filter.operator);
+    return facetFilter ? filter.value.slice() : [];
+  }
+
+  toggleFacetValue(key, value) {
+    const selection = this.getFacetSelection(key);
+    const index = selection.findIndex(selected => this.sameFacetValue(selected, value));
+
+    if (index === -1) {
+      selection.push(value);
+    } else {
+      selection.splice(index, 1);
+    }
+    return this.setFacetSelection(key, selection);
+  }
+
+  sameFacetValue(a, b) {
+    return Array.isArray(a) && Array.isArray(b) ? a[0] === b[0] && a[1] === b[1] : a === b;
+  }
+
+  /**
+   * Facet counts over data. Each facet is counted with every active
+   * filter applied except its own (disjunctive faceting): a count says
+   * how many items choosing that value as well would show.
+   * @param {Array} data
+   * @param {Object} [options]
+   * @param {Array} [options.domain] - items that decide the values offered
+   *   and the bucket edges (default: data), so they stay put as data narrows
+   * @returns {{total: number, facets: Array}} total passing all filters, and
+   *   per facet { key, label, type, total, values } or, for RANGE facets,
+   *   { key, label, type, valueType, interval, total, buckets }
+   */
+  computeFacets(data, options = {}) {
+    const domain = options.domain || data;
+    const active = Array.from(this.filters.entries()).filter(([, filter]) => filter.enabled);
+    const counters = new Map(Array.from(this.facets.values()).map(facet => [facet.key, this.facetCounter(facet, domain)]));
+    let total = 0;
+
+    data.forEach(item => {
+      let failed = null;
+      let failures = 0;
+      for (const [key, filter] of active) {
+        if (!this.matches(item, key, filter)) {
+          failed = key;
+          if (++failures > 1) break;
+        }
+      }
+
+      if (failures === 0) {
+        total++;
+        counters.forEach(counter => counter.count(item));
+      } else if (failures === 1 && counters.has(failed)) {
+        counters.get(failed).count(item);
+      }
+    });
+
+    return { total, facets: Array.from(counters.values()).map(counter => counter.result()) };
+  }
+
+  /**
+   * Counting state for one facet: count(item), then result()
+   */
+  facetCounter(facet, domain) {
+    const selection = this.getFacetSelection(facet.key);
+    const isSelected = value => selection.some(selected => this.sameFacetValue(selected, value));
+    let total = 0;
+
+    if (facet.type === FilterTypes.RANGE) {
+      const { edges, interval } = this.facetEdges(facet, domain);
+      const counts = edges.slice(1).map(() => 0);
+
+      return {
+        count: item => {
+          total++;
+          const value = this.rangeValue(facet, item);
+          if (value === null) return;
+          for (let i = 0; i < counts.length; i++) {
+            if (value >= edges[i] && value < edges[i + 1]) {
+              counts[i]++;
+              break;
+            }
+          }
+        },
+        result: () => ({
+          key: facet.key,
+          label: facet.label,
+          type: facet.type,
+          valueType: facet.valueType,
+          interval,
+          total,
+          buckets: counts.map((count, i) => ({
+            from: edges[i],
+            to: edges[i + 1],
+            label: this.bucketLabel(facet, interval, edges[i], edges[i + 1]),
+            count,
+            selected: isSelected([edges[i], edges[i + 1]])
+          }))
+        })
+      };
+    }
+
+    // Every value in the domain is offered, with a count of 0 if need be
+    const counts = new Map();
+    domain.forEach(item => this.facetValues(facet, item).forEach(value => counts.set(value, 0)));
+    selection.forEach(value => {
+      if (!counts.has(value)) counts.set(value, 0);
+    });
+
+    return {
+      count: item => {
+        total++;
+        this.facetValues(facet, item).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+      },
+      result: () => {
+        const values = Array.from(counts, ([value, count]) => ({
+          value,
+          label: facet.labels[value] || String(value),
+          count,
+          selected: isSelected(value)
+        }));
+        values.sort(facet.sort === 'value'
+          ? (a, b) => a.label.localeCompare(b.label)
+          : (a, b) => b.count - a.count);
+        return { key: facet.key, label: facet.label, type: facet.type, total, values };
+      }
+    };
+  }
+
+  /**
+   * Distinct values of a SELECT / MULTI_SELECT facet in one item
+   */
+  facetValues(facet, item) {
+    const value = this.getNestedValue(item, facet.key);
+    if (value == null) return [];
+    return Array.isArray(value) ? Array.from(new Set(value)) : [value];
+  }
+
+  /**
+   * Number or timestamp of a RANGE facet in one item, or null
+   */
+  rangeValue(facet, item) {
+    const value = this.getNestedValue(item, facet.key);
+    if (value == null || value === '') return null;
+
+    const number = facet.valueType === FilterTypes.DATE ? new Date(value).getTime() : parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+  }
+
+  /**
+   * Bucket edges of a RANGE facet, with the calendar interval of date
+   * buckets: given edges, calendar steps for dates or round steps for
+   * numbers; the last edge lies above the largest value
+   * @returns {{edges: number[], interval: string|null}}
+   */
+  facetEdges(facet, domain) {
+    const dates = facet.valueType === FilterTypes.DATE;
+    if (Array.isArray(facet.buckets)) {
+      const edges = facet.buckets
+        .map(edge => (dates ? new Date(edge).getTime() : Number(edge)))
+        .sort((a, b) => a - b);
+      return { edges, interval: dates ? facet.interval : null };
+    }
+
+    const values = domain.map(item => this.rangeValue(facet, item)).filter(value => value !== null);
+    if (!values.length) return { edges: [], interval: null };
+    const min = values.reduce((a, b) => Math.min(a, b));
+    const max = values.reduce((a, b) => Math.max(a, b));
+
+    if (dates) {
+      const interval = facet.interval || this.dateInterval(max - min);
+      const edges = [this.startOfInterval(min, interval)];
+      while (edges[edges.length - 1] <= max) {
+        edges.push(this.nextInterval(edges[edges.length - 1], interval));
+      }
+      return { edges, interval };
+    }
+
+    // A step of 1, 2 or 5 × 10^n giving about the requested number of buckets
+    const rough = (max - min) / facet.buckets || 1;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+    const step = [1, 2, 5, 10].map(factor => factor * magnitude).find(candidate => candidate >= rough);
+    const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+    const round = edge => Number(edge.toFixed(decimals));
+
+    const start = Math.floor(min / step) * step;
+    const edges = [round(start)];
+    for (let i = 1; edges[edges.length - 1] <= max; i++) {
+      edges.push(round(start + i * step));
+    }
+    return { edges, interval: null };
+  }
+
+  /**
+   * Calendar step for date buckets, by the span of the values
+   */
+  dateInterval(span) {
+    if (span > 2 * 365 * DAY_MS) return 'year';
+    if (span > 62 * DAY_MS) return 'month';
+    return 'day';
+  }
+
+  startOfInterval(time, interval) {
+    const date = new Date(time);
+    switch (interval) {
+      case 'year': return Date.UTC(date.getUTCFullYear(), 0, 1);
+      case 'month': return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+      default: return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+    }
+  }
+
+  nextInterval(time, interval) {
+    const date = new Date(time);
+    switch (interval) {
+      case 'year': return Date.UTC(date.getUTCFullYear() + 1, 0, 1);
+      case 'month': return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+      default: return time + DAY_MS;
+    }
+  }
+
+  bucketLabel(facet, interval, from, to) {
+    if (facet.valueType !== FilterTypes.DATE) return `${from}–${to}`;
+
+    const day = time => new Date(time).toISOString().slice(0, 10);
+    switch (interval) {
+      case 'year': return day(from).slice(0, 4);
+      case 'month': return day(from).slice(0, 7);
+      case 'day': return day(from);
+      default: return `${day(from)}–${day(to - 1)}`;
+    }
+  }
+}
+
+/**
+ * Syntax error in a search query, with the column it was found at
+ */
+class QuerySyntaxError extends Error {
+  constructor(message, query, position) {
+    super(`${message} (column ${position + 1})`);
+    this.name = 'QuerySyntaxError';
+    this.query = query;
+    this.position = position;
+  }
+
+  /**
+   * The query with a caret under the error
+   */
+  caret() {
+    return `${this.query}\n${' '.repeat(this.position)}^`;
+  }
+}
+
+// Comparison prefixes of field values, longest first
+const QUERY_COMPARISONS = [
+  ['>=', 'gte'],
+  ['<=', 'lte'],
+  ['>', 'gt'],
+  ['<', 'lt'],
+  ['=', 'eq']
+];
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Boolean Query Parser
+ *
+ *   type:augmentation AND rating:>=4.5 NOT complication "玻尿酸"
+ *
+ * Terms are ANDed unless joined by OR; NOT (or a leading "-") negates,
+ * parentheses group, double quotes make a phrase. field:value scopes a
+ * term to a field; number and date fields also take >, >=, <, <=, = and
+ * ranges (rating:4..5, date:2023-01-01..2023-06-30); a word whose prefix
+ * is not a field (ratio:1.618, a URL) is searched as it is. AND, OR and
+ * NOT must be upper case; lower-case "and" is a search word.
+ */
+class QueryParser {
+  /**
+   * @param {Object} options
+   * @param {Object} options.fields - name → { key, type } (FilterTypes);
+   *   key defaults to the name, type to FilterTypes.TEXT
+   */
+  constructor(options = {}) {
+    this.fields = new Map(Object.entries(options.fields || {}).map(([name, field]) => [
+      name.toLowerCase(),
+      { name, key: field.key || name, type: field.type || FilterTypes.TEXT }
+    ]));
+  }
+
+  /**
+   * Field names starting with a prefix, for autocomplete
+   */
+  completeField(prefix) {
+    const start = prefix.toLowerCase();
+    return Array.from(this.fields.values()).filter(field => field.name.toLowerCase().startsWith(start));
+  }
+
+  /**
+   * Parse a query into a tree of and / or / not / term / field nodes
+   * @throws {QuerySyntaxError}
+   */
+  parse(query) {
+    this.query = query;
+    this.tokens = this.lex(query);
+    this.index = 0;
+
+    if (!this.tokens.length) return null;
+
+    const node = this.parseOr();
+    const extra = this.peek();
+    if (extra) {
+      throw this.error(extra.type === ')' ? 'Unexpected ")"' : `Unexpected "${extra.text}"`, extra.position);
+    }
+    return node;
+  }
+
+  lex(query) {
+    const tokens = [];
+    let pos = 0;
+
+    while (pos < query.length) {
+      const char = query[pos];
+
+      if (/\s/.test(char)) {
+        pos++;
+      } else if (char === '(' || char === ')') {
+        tokens.push({ type: char, text: char, position: pos++ });
+      } else if (char === '"') {
+        const phrase = this.readPhrase(query, pos);
+        tokens.push({ type: 'term', text: query.slice(pos, phrase.end), value: phrase.value, phrase: true, position: pos });
+        pos = phrase.end;
+      } else if (char === '-' && pos + 1 < query.length && !/[\s)]/.test(query[pos + 1]) &&
+        (pos === 0 || /[\s(]/.test(query[pos - 1]))) {
+        tokens.push({ type: 'NOT', text: '-', position: pos++ });
+      } else {
+        const start = pos;
+        while (pos < query.length && !/[\s()"]/.test(query[pos])) pos++;
+        const word = query.slice(start, pos);
+
+        if (word === 'AND' || word === 'OR' || word === 'NOT') {
+          tokens.push({ type: word, text: word, position: start });
+          continue;
+        }
+
+        // A prefix that is no known field (ratio:1.618, https://…) is part of the word
+        const field = word.match(/^([A-Za-z_][\w.]*):(.*)$/);
+        if (!field || !this.fields.has(field[1].toLowerCase())) {
+          tokens.push({ type: 'term', text: word, value: word, phrase: false, position: start });
+          continue;
+        }
+
+        // field:"a phrase"
+        let value = field[2];
+        let phrase = false;
+        if (!value && query[pos] === '"') {
+          const quoted = this.readPhrase(query, pos);
+          value = quoted.value;
+          phrase = true;
+          pos = quoted.end;
+        }
+        if (!value) {
+          throw this.error(`Missing value after "${field[1]}:"`, pos);
+        }
+
+        tokens.push({
+          type: 'field',
+          text: query.slice(start, pos),
+          field: field[1],
+          value,
+          phrase,
+          position: start,
+          valuePosition: start + field[1].length + 1
+        });
+      }
+    }
+
+    return tokens;
+  }
+
+  readPhrase(query, start) {
+    let value = '';
+    let pos = start + 1;
+
+    while (pos < query.length && query[pos] !== '"') {
+      if (query[pos] === '\\' && pos + 1 < query.length) pos++;
+      value += query[pos++];
+    }
+    if (pos >= query.length) {
+      throw this.error('Unterminated phrase: missing closing quote', start);
+    }
+    return { value, end: pos + 1 };
+  }
+
+  peek() {
+    return this.tokens[this.index] || null;
+  }
+
+  next() {
+    return this.tokens[this.index++] || null;
+  }
+
+  parseOr() {
+    const children = [this.parseAnd()];
+    while (this.peek() && this.peek().type === 'OR') {
+      const operator = this.next();
+      children.push(this.parseAnd(operator));
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+
+  parseAnd(after = null) {
+    const children = [this.parseUnary(after)];
+
+    for (let token = this.peek(); token && token.type !== 'OR' && token.type !== ')'; token = this.peek()) {
+      const operator = token.type === 'AND' ? this.next() : null;
+      children.push(this.parseUnary(operator));
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+
+  parseUnary(after = null) {
+    const token = this.peek();
+    if (token && token.type === 'NOT') {
+      this.next();
+      return { type: 'not', child: this.parseUnary(token) };
+    }
+    return this.parsePrimary(after);
+  }
+
+  parsePrimary(after) {
+    const token = this.next();
+
+    if (!token) {
+      const message = after ? `Expected a search term after ${after.text}` : 'Expected a search term';
+      throw this.error(message, this.query.length);
+    }
+
+    switch (token.type) {
+      case '(': {
+        if (this.peek() && this.peek().type === ')') {
+          throw this.error('Empty parentheses', token.position);
+        }
+        const node = this.parseOr();
+        if (!this.peek() || this.peek().type !== ')') {
+          throw this.error('Missing closing ")"', token.position);
+        }
+        this.next();
+        return node;
+      }
+      case 'term':
+        return { type: 'term', value: token.value, phrase: token.phrase, position: token.position };
+      case 'field':
+        return this.fieldNode(token);
+      default:
+        throw this.error(`Expected a search term before "${token.text}"`, token.position);
+    }
+  }
+
+  /**
+   * field:value → a filter: operator and value checked against the field type
+   */
+  fieldNode(token) {
+    const field = this.fields.get(token.field.toLowerCase());
+    const node = { type: 'field', field: field.name, key: field.key, filterType: field.type, position: token.position };
+    const numeric = field.type === FilterTypes.NUMBER || field.type === FilterTypes.DATE;
+    let text = token.value;
+    let position = token.valuePosition;
+
+    const comparison = token.phrase ? null : QUERY_COMPARISONS.find(([prefix]) => text.startsWith(prefix));
+    const range = token.phrase ? -1 : text.indexOf('..');
+
+    if ((comparison || range !== -1) && !numeric) {
+      throw this.error(`"${field.name}" is a text field: ranges and comparisons need a number or date field`, position);
+    }
+
+    if (comparison) {
+      text = text.slice(comparison[0].length);
+      position += comparison[0].length;
+      return Object.assign(node, this.comparison(comparison[1], this.fieldValue(field, text, position), text));
+    }
+
+    if (range !== -1) {
+      const low = this.fieldValue(field, text.slice(0, range), position);
+      const high = this.fieldValue(field, text.slice(range + 2), position + range + 2);
+      return Object.assign(node, {
+        operator: 'between',
+        value: [low, field.type === FilterTypes.DATE && DATE_ONLY.test(text.slice(range + 2)) ? high + DAY_MS - 1 : high]
+      });
+    }
+
+    if (numeric) {
+      return Object.assign(node, this.comparison('eq', this.fieldValue(field, text, position), text));
+    }
+    if (field.type === FilterTypes.BOOLEAN) {
+      return Object.assign(node, { operator: 'eq', value: this.fieldValue(field, text, position) });
+    }
+    if (field.type === FilterTypes.SELECT || field.type === FilterTypes.MULTI_SELECT) {
+      return Object.assign(node, { operator: 'eq', value: text });
+    }
+    return Object.assign(node, { operator: 'contains', value: text });
+  }
+
+  /**
+   * A date given without a time stands for the whole day
+   */
+  comparison(operator, value, text) {
+    if (typeof value !== 'number' || !DATE_ONLY.test(text)) return { operator, value };
+
+    const endOfDay = value + DAY_MS - 1;
+    switch (operator) {
+      case 'eq': return { operator: 'between', value: [value, endOfDay] };
+      case 'gt': return { operator, value: endOfDay };
+      case 'lte': return { operator, value: endOfDay };
+      default: return { operator, value };
+    }
+  }
+
+  fieldValue(field, text, position) {
+    if (!text) {
+      throw this.error(`Missing value for "${field.name}"`, position);
+    }
+
+    switch (field.type) {
+      case FilterTypes.NUMBER: {
+        const number = Number(text);
+        if (!Number.isFinite(number)) throw this.error(`"${text}" is not a number`, position);
+        return number;
+      }
+      case FilterTypes.DATE: {
+        const date = Date.parse(text);
+        if (Number.isNaN(date)) throw this.error(`"${text}" is not a date (use YYYY-MM-DD)`, position);
+        return date;
+      }
+      case FilterTypes.BOOLEAN: {
+        const flag = text.toLowerCase();
+        if (['true', 'yes', '1'].includes(flag)) return true;
+        if (['false', 'no', '0'].includes(flag)) return false;
+        throw this.error(`"${text}" is not true or false`, position);
+      }
+      default:
+        return text;
+    }
+  }
+
+  error(message, position) {
+    return new QuerySyntaxError(message, this.query, position);
+  }
+
+  /**
+   * Compile a query for a search: field clauses that must hold for every
+   * result become FilterEngine filters, plain words become the ranking
+   * query for FuzzySearchEngine, and whatever is left (OR, NOT, phrases)
+   * becomes a predicate evaluated per item
+   * @param {string} query
+   * @param {Object} targets
+   * @param {FilterEngine} targets.filterEngine - receives addFilter() calls
+   * @param {FuzzySearchEngine} targets.searchEngine - matches terms and phrases
+   * @returns {{text: string, filters: Array, predicate: Function|null}}
+   * @throws {QuerySyntaxError}
+   */
+  compile(query, { filterEngine, searchEngine }) {
+    const ast = this.parse(query);
+    const conjuncts = !ast ? [] : ast.type === 'and' ? ast.children : [ast];
+    const words = [];
+    const filters = [];
+    const rest = [];
+
+    conjuncts.forEach(node => {
+      if (node.type === 'term' && !node.phrase) {
+        words.push(node.value);
+      } else if (node.type === 'field' && !filters.some(filter => filter.key === node.key)) {
+        // FilterEngine keeps one filter per key; a second one goes to the predicate
+        filters.push({ key: node.key, operator: node.operator, value: node.value, type: node.filterType });
+      } else {
+        rest.push(node);
+      }
+    });
+
+    filters.forEach(filter => filterEngine.addFilter(filter.key, filter.operator, filter.value, filter.type));
+
+    const evaluate = (node, item) => {
+      switch (node.type) {
+        case 'and': return node.children.every(child => evaluate(child, item));
+        case 'or': return node.children.some(child => evaluate(child, item));
+        case 'not': return !evaluate(node.child, item);
+        case 'term': return searchEngine.contains(item, node.value);
+        case 'field': return filterEngine.matches(item, node.key, { operator: node.operator, value: node.value, type: node.filterType });
+        default: return true;
+      }
+    };
+
+    return {
+      text: words.join(' '),
+      filters,
+      predicate: rest.length ? item => rest.every(node => evaluate(node, item)) : null
+    };
+  }
 }
 
 /**
@@ -348,6 +1590,30 @@ class SearchHistoryManager {
     this.storageKey = 'viz-search-history';
     this.maxSize = SearchConfig.SEARCH_HISTORY_SIZE;
     this.history = this.loadHistory();
+    // Anonymized searches, clicks and dwell times (search-analytics.js), when loaded
+    this.analytics = typeof SearchAnalytics !== 'undefined' ? SearchAnalytics.shared() : null;
+  }
+
+  /**
+   * Record a search and how many results it found, for analytics
+   * @returns {string|null} id of the search, for recordClick()
+   */
+  recordSearch(query, resultCount, options = {}) {
+    return this.analytics ? this.analytics.recordSearch(query, resultCount, options) : null;
+  }
+
+  /**
+   * Record that the result at a rank (1 = first) of a search was opened
+   */
+  recordClick(searchId, rank) {
+    if (this.analytics && searchId) this.analytics.recordClick(searchId, rank);
+  }
+
+  /**
+   * The reader is back from an opened result
+   */
+  endDwell() {
+    if (this.analytics) this.analytics.endDwell();
   }
 
   /**
@@ -397,34 +1663,390 @@ class SearchHistoryManager {
   }
 
   /**
-   * Clear history
+   * Clear history
+   */
+  clearHistory() {
+    this.history = [];
+    this.saveHistory();
+  }
+
+  /**
+   * Load history from storage
+   */
+  loadHistory() {
+    try {
+      const saved = localStorage.getItem(this.storageKey);
+      return saved ? JSON.parse(saved) : [];
+    } catch (error) {
+      console.warn('Failed to load search history:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save history to storage
+   */
+  saveHistory() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.history));
+    } catch (error) {
+      console.warn('Failed to save search history:', error);
+    }
+  }
+}
+
+/**
+ * Saved Search Manager
+ * Named searches — query, mode, filters and sort — that can be pinned,
+ * shared as a URL, exported as JSON, and raise an alert when new items
+ * match them since they were last viewed
+ */
+class SavedSearchManager {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.storageKey]
+   * @param {Function} [options.getId] - identity of an item; defaults to item.id
+   * @param {Function} [options.describeAlert] - (search, items) → { title, body }
+   */
+  constructor(options = {}) {
+    this.storageKey = options.storageKey || 'viz-saved-searches';
+    this.getId = options.getId || (item => item.id);
+    this.describeAlert = options.describeAlert || ((search, items) => ({
+      title: `${search.name}: ${items.length} new`,
+      body: items.slice(0, 3).map(item => item.title || item.name || this.getId(item)).join('\n')
+    }));
+    this.operators = Object.keys(new FilterEngine().operators);
+    this.searches = this.loadSearches();
+    // Ids this manager has seen in the store; one of them missing there was removed elsewhere
+    this.known = new Set(this.searches.map(search => search.id));
+  }
+
+  /**
+   * Save a search under a name
+   * @param {string} name
+   * @param {Object} state
+   * @param {string} [state.query]
+   * @param {string} [state.mode] - SearchTypes value
+   * @param {FilterEngine|Array} [state.filters] - an engine, or its getActiveFilters()
+   * @param {string} [state.sort]
+   * @param {boolean} [state.alerts]
+   */
+  save(name, state = {}) {
+    const search = this.normalize(Object.assign({}, state, {
+      id: this.createId(),
+      name,
+      createdAt: Date.now()
+    }));
+    if (!search) throw new Error('A saved search needs a name');
+
+    this.searches.push(search);
+    this.saveSearches([search.id]);
+    return search;
+  }
+
+  get(id) {
+    return this.searches.find(search => search.id === id) || null;
+  }
+
+  /**
+   * Change a saved search (name, query, filters, sort, pinned, alerts)
+   */
+  update(id, changes) {
+    const search = this.get(id);
+    if (!search) return null;
+
+    const updated = this.normalize(Object.assign({}, search, changes, { id }));
+    if (!updated) return null;
+    this.searches[this.searches.indexOf(search)] = updated;
+    this.saveSearches([id]);
+    return updated;
+  }
+
+  remove(id) {
+    const count = this.searches.length;
+    this.searches = this.searches.filter(search => search.id !== id);
+    const removed = this.searches.length < count;
+    this.saveSearches([], [id]);
+    return removed;
+  }
+
+  /**
+   * Saved searches, pinned first, then the most recently viewed
+   */
+  list() {
+    const recent = search => search.lastViewed || search.createdAt;
+    return this.searches.slice().sort((a, b) =>
+      (b.pinned - a.pinned) || (recent(b) - recent(a)));
+  }
+
+  togglePin(id) {
+    const search = this.get(id);
+    return search ? this.update(id, { pinned: !search.pinned }) : null;
+  }
+
+  /**
+   * Replace an engine's filters with those of a saved search
+   */
+  applyFilters(search, filterEngine) {
+    filterEngine.clearFilters();
+    search.filters.forEach(({ key, operator, value, type }) => filterEngine.addFilter(key, operator, value, type));
+    return filterEngine;
+  }
+
+  /**
+   * A new FilterEngine holding the filters of a saved search
+   */
+  filterEngine(search) {
+    return this.applyFilters(search, new FilterEngine());
+  }
+
+  /**
+   * Record that a search's current matches have been seen
+   * @param {string} id
+   * @param {Array} items - the items the search matches now, in the whole
+   *   data source and not only the loaded page
+   */
+  markViewed(id, items) {
+    const search = this.get(id);
+    if (!search) return null;
+
+    search.lastViewed = Date.now();
+    search.seen = items.map(item => this.getId(item));
+    search.notified = [];
+    this.saveSearches([id]);
+    return search;
+  }
+
+  /**
+   * Matching items that were not there when the search was last viewed;
+   * none for a search never viewed
+   */
+  newMatches(search, items) {
+    if (search.lastViewed === null) return [];
+    const seen = new Set(search.seen);
+    return items.filter(item => !seen.has(this.getId(item)));
+  }
+
+  /**
+   * Look for new matches of the searches with alerts on, and notify
+   * through the service worker about those not notified before. A search
+   * never viewed takes its current matches as seen.
+   * @param {Function} match - search → the items it matches in the whole
+   *   data source (a query past the loaded page), or a promise of them
+   * @returns {Promise<Array<{search: Object, items: Array}>>} new matches per search
+   */
+  async checkAlerts(match) {
+    const alerts = [];
+    const changed = [];
+
+    for (const search of this.searches.filter(search => search.alerts)) {
+      const matches = await match(search);
+      if (search.lastViewed === null) {
+        search.lastViewed = Date.now();
+        search.seen = matches.map(item => this.getId(item));
+        changed.push(search.id);
+        continue;
+      }
+
+      const fresh = this.newMatches(search, matches);
+      if (!fresh.length) continue;
+      alerts.push({ search, items: fresh });
+
+      const notified = new Set(search.notified);
+      if (fresh.some(item => !notified.has(this.getId(item)))) {
+        this.notify(search, fresh);
+        search.notified = fresh.map(item => this.getId(item));
+        changed.push(search.id);
+      }
+    }
+
+    this.saveSearches(changed);
+    return alerts;
+  }
+
+  /**
+   * Ask for permission to show notifications (call from a user action)
+   * @returns {Promise<boolean>}
+   */
+  requestAlertPermission() {
+    if (typeof Notification === 'undefined') return Promise.resolve(false);
+    if (Notification.permission !== 'default') return Promise.resolve(Notification.permission === 'granted');
+    return Notification.requestPermission().then(permission => permission === 'granted');
+  }
+
+  /**
+   * Show a notification for new matches; the service worker opens the
+   * search's URL when it is clicked
+   * @returns {Promise<boolean>} whether a notification was sent
+   */
+  notify(search, items) {
+    if (typeof navigator === 'undefined' || !navigator.serviceWorker ||
+        typeof Notification === 'undefined' || Notification.permission !== 'granted') {
+      return Promise.resolve(false);
+    }
+
+    const { title, body } = this.describeAlert(search, items);
+    return navigator.serviceWorker.ready.then(registration => {
+      registration.active.postMessage({
+        type: 'SAVED_SEARCH_ALERT',
+        payload: { title, body, tag: `saved-search-${search.id}`, url: this.toURL(search) }
+      });
+      return true;
+    }).catch(error => {
+      console.warn('Failed to send saved search alert:', error);
+      return false;
+    });
+  }
+
+  /**
+   * Link that reproduces a search: ?q=&mode=&sort=&filters=&name=
+   * @param {Object} search
+   * @param {string} [base] - page to link to; defaults to the current page
+   */
+  toURL(search, base = typeof location !== 'undefined' ? location.href : 'http://localhost/') {
+    const url = new URL(base);
+    url.search = '';
+    url.hash = '';
+
+    if (search.query) url.searchParams.set('q', search.query);
+    if (search.mode) url.searchParams.set('mode', search.mode);
+    if (search.sort) url.searchParams.set('sort', search.sort);
+    if (search.filters.length) {
+      url.searchParams.set('filters', JSON.stringify(search.filters.map(({ key, operator, value, type }) =>
+        ({ key, operator, value, type }))));
+    }
+    if (search.name) url.searchParams.set('name', search.name);
+    return url.toString();
+  }
+
+  /**
+   * The search a link from toURL() describes, not saved; null when the
+   * link has no query or filters
+   */
+  fromURL(href) {
+    const params = new URL(href).searchParams;
+    if (!params.has('q') && !params.has('filters')) return null;
+
+    let filters = [];
+    try {
+      filters = JSON.parse(params.get('filters') || '[]');
+    } catch (error) {
+      console.warn('Ignoring malformed filters in the link:', error);
+    }
+
+    return this.normalize({
+      name: params.get('name') || params.get('q') || 'Shared search',
+      query: params.get('q') || '',
+      mode: params.get('mode'),
+      sort: params.get('sort'),
+      filters
+    });
+  }
+
+  /**
+   * All saved searches as a JSON file body
+   */
+  exportJSON() {
+    return JSON.stringify({ version: 1, searches: this.searches }, null, 2);
+  }
+
+  /**
+   * Add searches exported with exportJSON(); one with the id of a saved
+   * search replaces it
+   * @param {string|Object} json
+   * @returns {number} how many searches were imported
+   */
+  importJSON(json) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+    const entries = Array.isArray(data) ? data : data && data.searches;
+    if (!Array.isArray(entries)) {
+      throw new Error('Not a saved searches file');
+    }
+
+    const imported = [];
+    entries.forEach(entry => {
+      const search = this.normalize(entry);
+      if (!search) return;
+
+      const index = this.searches.findIndex(existing => existing.id === search.id);
+      if (index === -1) {
+        this.searches.push(search);
+      } else {
+        this.searches[index] = search;
+      }
+      imported.push(search.id);
+    });
+
+    this.saveSearches(imported);
+    return imported.length;
+  }
+
+  /**
+   * A well-formed saved search, or null; filters with an unknown operator
+   * are dropped
    */
-  clearHistory() {
-    this.history = [];
-    this.saveHistory();
+  normalize(entry) {
+    if (!entry || typeof entry.name !== 'string' || !entry.name.trim()) return null;
+
+    const filters = entry.filters instanceof FilterEngine ? entry.filters.getActiveFilters() : entry.filters;
+    const ids = list => (Array.isArray(list) ? list : []);
+
+    return {
+      id: typeof entry.id === 'string' ? entry.id : this.createId(),
+      name: entry.name.trim(),
+      query: typeof entry.query === 'string' ? entry.query : '',
+      mode: Object.values(SearchTypes).includes(entry.mode) ? entry.mode : null,
+      filters: (Array.isArray(filters) ? filters : [])
+        .filter(filter => filter && typeof filter.key === 'string' && this.operators.includes(filter.operator))
+        .map(({ key, operator, value, type }) => ({ key, operator, value, type: type || FilterTypes.TEXT })),
+      sort: typeof entry.sort === 'string' ? entry.sort : null,
+      pinned: Boolean(entry.pinned),
+      alerts: Boolean(entry.alerts),
+      createdAt: Number(entry.createdAt) || Date.now(),
+      lastViewed: Number(entry.lastViewed) || null,
+      seen: ids(entry.seen),
+      notified: ids(entry.notified)
+    };
+  }
+
+  createId() {
+    return `search-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
   }
 
   /**
-   * Load history from storage
+   * Load saved searches from storage
    */
-  loadHistory() {
+  loadSearches() {
     try {
       const saved = localStorage.getItem(this.storageKey);
-      return saved ? JSON.parse(saved) : [];
+      return saved ? JSON.parse(saved).map(entry => this.normalize(entry)).filter(Boolean) : [];
     } catch (error) {
-      console.warn('Failed to load search history:', error);
+      console.warn('Failed to load saved searches:', error);
       return [];
     }
   }
 
   /**
-   * Save history to storage
+   * Save searches to storage, merged by id with what other pages on the
+   * same store saved since: only the searches changed here replace theirs,
+   * and one removed elsewhere stays removed unless it was created here
+   * @param {Array<string>} [changed] - ids of searches added or changed
+   * @param {Array<string>} [removed] - ids of searches removed
    */
-  saveHistory() {
+  saveSearches(changed = [], removed = []) {
+    const mine = new Map(this.searches.map(search => [search.id, search]));
+    const stored = this.loadSearches().filter(search => !removed.includes(search.id));
+    const storedIds = new Set(stored.map(search => search.id));
+
+    this.searches = stored
+      .map(search => (changed.includes(search.id) && mine.get(search.id)) || search)
+      .concat(changed.filter(id => mine.has(id) && !storedIds.has(id) && !this.known.has(id)).map(id => mine.get(id)));
+    this.searches.forEach(search => this.known.add(search.id));
+
     try {
-      localStorage.setItem(this.storageKey, JSON.stringify(this.history));
+      localStorage.setItem(this.storageKey, JSON.stringify(this.searches));
     } catch (error) {
-      console.warn('Failed to save search history:', error);
+      console.warn('Failed to save searches:', error);
     }
   }
 }
@@ -433,15 +2055,45 @@ class SearchHistoryManager {
  * Advanced Search Component
  */
 class AdvancedSearchComponent {
+  /**
+   * @param {Object} options
+   * @param {HTMLElement} options.container
+   * @param {Array} [options.data] - items to search
+   * @param {Object} [options.searchOptions] - FuzzySearchEngine options (keys, weights, …)
+   * @param {Object} [options.queryFields] - QueryParser fields
+   * @param {Array} [options.facets] - { key, ...defineFacet options }, offered in the filter panel
+   * @param {string} [options.tabFacet] - facet shown as the filter tabs
+   * @param {Function} [options.onSelect] - (item) when a result is opened; default: open item.url
+   * @param {Function} [options.typeLabel] - (item) → the type shown on a result
+   */
   constructor(options = {}) {
     this.container = options.container;
     this.searchEngine = new FuzzySearchEngine(options.searchOptions || {});
+    // Modes whose scripts are loaded; the others are not offered
+    this.modes = SEARCH_MODE_OPTIONS.filter(([mode]) => this.searchEngine.supports(mode));
     this.filterEngine = new FilterEngine();
     this.historyManager = new SearchHistoryManager();
+    this.savedSearches = new SavedSearchManager();
+    // Field names usable as field:value in queries; defaults to the searched keys
+    this.queryParser = new QueryParser({
+      fields: options.queryFields ||
+        Object.fromEntries(this.searchEngine.keys.map(key => [key, { key, type: FilterTypes.TEXT }]))
+    });
+    // Filters from field:value clauses of the current query
+    this.queryFilters = new FilterEngine();
+    // Facets ({ key, ...defineFacet options }); the filter tabs show tabFacet
+    (options.facets || []).forEach(facet => this.filterEngine.defineFacet(facet.key, facet));
+    this.tabFacet = options.tabFacet || null;
 
     this.data = options.data || [];
+    // Inverted index over the data (search-index.js), when loaded
+    this.index = typeof SearchIndex !== 'undefined' ? this.searchEngine.createIndex(this.data) : null;
     this.onResults = options.onResults || (() => {});
     this.onStateChange = options.onStateChange || (() => {});
+    this.onSelect = options.onSelect || (item => {
+      if (item.url) window.open(item.url, '_blank', 'noopener');
+    });
+    this.typeLabel = options.typeLabel || (item => item.type || 'Unknown');
 
     this.state = {
       query: '',
@@ -450,10 +2102,19 @@ class AdvancedSearchComponent {
       suggestions: [],
       showSuggestions: false,
       activeFilter: null,
-      lastSearchTime: null
+      lastSearchTime: null,
+      mode: this.searchEngine.supports(this.searchEngine.mode) ? this.searchEngine.mode : SearchTypes.FUZZY,
+      activeSuggestion: -1,
+      searchError: null,
+      errorPosition: null,
+      timedOut: false,
+      sort: SORT_OPTIONS[0][0],
+      facets: this.filterEngine.computeFacets(this.data)
     };
 
     this.debounceTimeout = null;
+    // Analytics id of the search the shown results came from
+    this.searchId = null;
     this.init();
   }
 
@@ -461,6 +2122,8 @@ class AdvancedSearchComponent {
    * Initialize search component
    */
   init() {
+    // Without a container the component searches but shows nothing
+    if (!this.container) return;
     this.render();
     this.setupEventListeners();
   }
@@ -487,7 +2150,7 @@ class AdvancedSearchComponent {
               aria-autocomplete="list"
             />
             <div class="search-input-actions">
-              <button class="search-voice-btn" title="Voice search" aria-label="Voice search">
+              <button class="search-voice-btn" title="Voice search" aria-label="Voice search"${this.speechRecognition() ? '' : ' hidden'}>
                 🎤
               </button>
               <button class="search-clear-btn" title="Clear search" aria-label="Clear search">
@@ -502,15 +2165,17 @@ class AdvancedSearchComponent {
           <div class="search-suggestions" hidden>
             <div class="suggestions-list" role="listbox"></div>
           </div>
+
+          <select class="search-mode-select" aria-label="Search mode">
+            ${this.modes.map(([mode, label]) => `
+              <option value="${mode}"${mode === this.state.mode ? ' selected' : ''}>${label}</option>
+            `).join('')}
+          </select>
         </div>
 
         <div class="search-filters">
-          <div class="filter-tabs">
-            <button class="filter-tab active" data-filter="all">All</button>
-            <button class="filter-tab" data-filter="components">Components</button>
-            <button class="filter-tab" data-filter="data">Data</button>
-            <button class="filter-tab" data-filter="charts">Charts</button>
-            <button class="filter-tab" data-filter="images">Images</button>
+          <div class="filter-tabs" role="tablist">
+            ${this.renderFilterTabs()}
           </div>
 
           <div class="filter-controls">
@@ -519,45 +2184,13 @@ class AdvancedSearchComponent {
               <span class="filter-count">0</span>
             </button>
             <button class="sort-btn">
-              <span>Sort: Relevance</span>
+              <span>${this.sortLabel()}</span>
             </button>
           </div>
         </div>
 
         <div class="filter-panel" hidden>
-          <div class="filter-sections">
-            <div class="filter-section">
-              <h4>Type</h4>
-              <div class="filter-group">
-                <label><input type="checkbox" value="visualization"> Visualizations</label>
-                <label><input type="checkbox" value="component"> Components</label>
-                <label><input type="checkbox" value="data"> Data Sets</label>
-                <label><input type="checkbox" value="template"> Templates</label>
-              </div>
-            </div>
-
-            <div class="filter-section">
-              <h4>Date Range</h4>
-              <div class="filter-group">
-                <input type="date" class="filter-date" id="date-from" />
-                <span>to</span>
-                <input type="date" class="filter-date" id="date-to" />
-              </div>
-            </div>
-
-            <div class="filter-section">
-              <h4>Category</h4>
-              <div class="filter-group">
-                <select class="filter-select" multiple>
-                  <option value="medical">Medical</option>
-                  <option value="aesthetic">Aesthetic</option>
-                  <option value="analytics">Analytics</option>
-                  <option value="3d">3D Models</option>
-                  <option value="ar">AR/VR</option>
-                </select>
-              </div>
-            </div>
-          </div>
+          <div class="filter-sections">${this.renderFilterSections()}</div>
 
           <div class="filter-actions">
             <button class="btn btn-secondary clear-filters-btn">Clear All</button>
@@ -612,6 +2245,10 @@ class AdvancedSearchComponent {
       setTimeout(() => this.hideSuggestions(), 150);
     });
 
+    // Search mode
+    this.container.querySelector('.search-mode-select')
+      .addEventListener('change', (e) => this.setMode(e.target.value));
+
     // Action buttons
     clearBtn.addEventListener('click', () => this.clearSearch());
     submitBtn.addEventListener('click', () => this.executeSearch());
@@ -621,6 +2258,7 @@ class AdvancedSearchComponent {
     filterToggle.addEventListener('click', () => {
       const isHidden = filterPanel.hasAttribute('hidden');
       if (isHidden) {
+        this.container.querySelector('.filter-sections').innerHTML = this.renderFilterSections();
         filterPanel.removeAttribute('hidden');
         filterToggle.classList.add('active');
       } else {
@@ -629,9 +2267,9 @@ class AdvancedSearchComponent {
       }
     });
 
-    // Filter tabs
-    this.container.querySelectorAll('.filter-tab').forEach(tab => {
-      tab.addEventListener('click', (e) => this.handleFilterTab(e));
+    // Filter tabs (re-rendered with their counts, so delegated)
+    this.container.querySelector('.filter-tabs').addEventListener('click', (e) => {
+      if (e.target.closest('.filter-tab')) this.handleFilterTab(e);
     });
 
     // Filter controls
@@ -641,6 +2279,29 @@ class AdvancedSearchComponent {
     applyFiltersBtn.addEventListener('click', () => this.applyFilters());
     clearFiltersBtn.addEventListener('click', () => this.clearFilters());
 
+    // Sort order cycles through SORT_OPTIONS
+    this.container.querySelector('.sort-btn').addEventListener('click', () => {
+      const index = SORT_OPTIONS.findIndex(([sort]) => sort === this.state.sort);
+      this.setSort(SORT_OPTIONS[(index + 1) % SORT_OPTIONS.length][0]);
+    });
+
+    this.container.querySelector('.save-search-btn').addEventListener('click', () => this.saveCurrentSearch());
+
+    this.container.querySelector('.export-results-btn').addEventListener('click', () => this.exportResults());
+
+    // Opened results and the time spent on them, for analytics
+    this.container.querySelector('.results-list').addEventListener('click', (e) => {
+      const result = e.target.closest('.result-item');
+      if (result && e.target.closest('.result-open-btn')) {
+        const index = parseInt(result.dataset.index);
+        this.historyManager.recordClick(this.searchId, index + 1);
+        this.onSelect(this.state.results[index].item);
+      }
+    });
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') this.historyManager.endDwell();
+    });
+
     // Outside click to close suggestions
     document.addEventListener('click', (e) => {
       if (!this.container.contains(e.target)) {
@@ -681,6 +2342,10 @@ class AdvancedSearchComponent {
     switch (key) {
       case 'Enter':
         event.preventDefault();
+        if (this.state.showSuggestions && this.state.activeSuggestion !== -1) {
+          this.chooseSuggestion(this.state.activeSuggestion);
+          break;
+        }
         this.executeSearch();
         this.hideSuggestions();
         break;
@@ -689,6 +2354,16 @@ class AdvancedSearchComponent {
         this.hideSuggestions();
         break;
 
+      case 'Tab': {
+        // Complete a field name
+        const field = this.state.showSuggestions && this.state.suggestions.find(suggestion => suggestion.field);
+        if (field) {
+          event.preventDefault();
+          this.selectSuggestion(field.query, false);
+        }
+        break;
+      }
+
       case 'ArrowDown':
         event.preventDefault();
         this.navigateSuggestions('down');
@@ -701,13 +2376,37 @@ class AdvancedSearchComponent {
     }
   }
 
+  /**
+   * Replace the searched data and re-run the current query
+   */
+  setData(data) {
+    this.data = data || [];
+    if (this.index) {
+      this.index.clear();
+      this.index.addAll(this.data);
+    }
+    if (this.state.query) this.executeSearch();
+  }
+
+  /**
+   * Add items to the searched data (a further page of them) and re-run
+   * the current query
+   */
+  addData(items) {
+    this.data = this.data.concat(items);
+    if (this.index) this.index.addAll(items);
+    if (this.state.query) this.executeSearch();
+  }
+
   /**
    * Execute search
    */
   async executeSearch() {
     const { query } = this.state;
+    // Without a query, a selected facet or filter still lists what it matches
+    const browsing = !query && this.filterEngine.getActiveFilters().length > 0;
 
-    if (!query || query.length < SearchConfig.MIN_QUERY_LENGTH) {
+    if (!browsing && (!query || query.length < SearchConfig.MIN_QUERY_LENGTH)) {
       return;
     }
 
@@ -715,11 +2414,34 @@ class AdvancedSearchComponent {
     const startTime = performance.now();
 
     try {
-      // Apply filters first
-      let filteredData = this.filterEngine.applyFilters(this.data);
+      // The query language: field clauses filter, plain words rank
+      // (a regex query is a pattern, not a boolean query)
+      let text = query;
+      let predicate = null;
+      this.queryFilters.clearFilters();
+      if (this.state.mode !== SearchTypes.REGEX) {
+        const compiled = this.queryParser.compile(query, {
+          filterEngine: this.queryFilters,
+          searchEngine: this.searchEngine
+        });
+        text = compiled.text;
+        predicate = compiled.predicate;
+      }
+
+      // Rank first, through the index when there is one; filtering only
+      // drops items, so the ranking is the same as filtering first. A
+      // query of filters only lists everything that passes.
+      const ranked = text
+        ? this.searchEngine.search(text, this.index || this.data, { mode: this.state.mode })
+        : this.data.map(item => ({ item, score: 1, matches: [] }));
+      const outcome = text ? this.searchEngine.lastSearch : { error: null, timedOut: false };
 
-      // Then search
-      const searchResults = this.searchEngine.search(query, filteredData);
+      const matching = ranked.filter(({ item }) =>
+        this.queryFilters.passes(item) && (!predicate || predicate(item)));
+
+      // Facet counts over what the query matches, then the filters
+      const facets = this.filterEngine.computeFacets(matching.map(({ item }) => item), { domain: this.data });
+      const searchResults = this.sortResults(matching.filter(({ item }) => this.filterEngine.passes(item)));
 
       const endTime = performance.now();
       const searchTime = endTime - startTime;
@@ -727,30 +2449,156 @@ class AdvancedSearchComponent {
       this.setState({
         results: searchResults.slice(0, SearchConfig.MAX_RESULTS),
         loading: false,
-        lastSearchTime: searchTime
+        lastSearchTime: searchTime,
+        searchError: outcome.error,
+        errorPosition: null,
+        timedOut: outcome.timedOut,
+        facets
       });
 
-      // Add to history
+      // Add to history; analytics count every result found, not just those shown
       this.historyManager.addQuery(query);
+      this.searchId = this.historyManager.recordSearch(query, searchResults.length, { mode: this.state.mode });
 
       // Notify callback
       this.onResults(this.state.results);
 
     } catch (error) {
+      if (error instanceof QuerySyntaxError) {
+        this.setState({ results: [], loading: false, searchError: error.message, errorPosition: error.position });
+        return;
+      }
       console.error('Search error:', error);
       this.setState({ loading: false });
     }
   }
 
+  /**
+   * Switch search mode and rerun the current query
+   */
+  setMode(mode) {
+    this.setState({ mode, searchError: null, timedOut: false });
+    if (this.state.query.length >= SearchConfig.MIN_QUERY_LENGTH) {
+      this.executeSearch();
+    }
+  }
+
+  /**
+   * Order results by the selected sort; relevance keeps the ranking
+   */
+  sortResults(results) {
+    const time = ({ item }) => {
+      const value = new Date(item.date).getTime();
+      return Number.isNaN(value) ? -Infinity : value;
+    };
+    const title = ({ item }) => String(item.title || item.name || '');
+
+    switch (this.state.sort) {
+      case 'newest':
+        return results.slice().sort((a, b) => time(b) - time(a));
+      case 'title':
+        return results.slice().sort((a, b) => title(a).localeCompare(title(b)));
+      default:
+        return results;
+    }
+  }
+
+  sortLabel() {
+    const option = SORT_OPTIONS.find(([sort]) => sort === this.state.sort) || SORT_OPTIONS[0];
+    return `Sort: ${option[1]}`;
+  }
+
+  /**
+   * Change the sort order and rerun the current search
+   */
+  setSort(sort) {
+    this.setState({ sort });
+    const label = this.container.querySelector('.sort-btn span');
+    if (label) label.textContent = this.sortLabel();
+    this.executeSearch();
+  }
+
+  /**
+   * Save the query, mode, filters and sort under a name; its current
+   * results count as seen for alerts
+   * @param {string} [name] - asked for when not given
+   */
+  saveCurrentSearch(name = window.prompt('Name this search', this.state.query)) {
+    if (!name || !name.trim()) return null;
+
+    const search = this.savedSearches.save(name, {
+      query: this.state.query,
+      mode: this.state.mode,
+      filters: this.filterEngine,
+      sort: this.state.sort
+    });
+    return this.savedSearches.markViewed(search.id, this.state.results.map(({ item }) => item));
+  }
+
+  /**
+   * Restore a saved (or shared, see SavedSearchManager.fromURL) search and run it
+   */
+  async applySavedSearch(search) {
+    // A mode this page cannot run (its script is not loaded) falls back to the current one
+    const mode = search.mode && this.searchEngine.supports(search.mode) ? search.mode : this.state.mode;
+    const input = this.container.querySelector('.search-input');
+    if (input) input.value = search.query;
+    const modeSelect = this.container.querySelector('.search-mode-select');
+    if (modeSelect) modeSelect.value = mode;
+
+    this.savedSearches.applyFilters(search, this.filterEngine);
+    this.setState({
+      query: search.query,
+      mode,
+      sort: search.sort || SORT_OPTIONS[0][0],
+      activeFilter: null
+    });
+    const label = this.container.querySelector('.sort-btn span');
+    if (label) label.textContent = this.sortLabel();
+
+    await this.executeSearch();
+    if (this.savedSearches.get(search.id)) {
+      this.savedSearches.markViewed(search.id, this.state.results.map(({ item }) => item));
+    }
+  }
+
   /**
    * Update suggestions
    */
   updateSuggestions(query) {
-    const suggestions = this.historyManager.getSuggestions(query);
+    const suggestions = this.savedSuggestions(query)
+      .concat(this.fieldSuggestions(query), this.historyManager.getSuggestions(query));
     this.setState({ suggestions });
     this.renderSuggestions();
   }
 
+  /**
+   * Saved searches whose name or query contains the input; the pinned ones
+   * when it is empty
+   */
+  savedSuggestions(query) {
+    const text = query.trim().toLowerCase();
+    return this.savedSearches.list()
+      .filter(search => (text
+        ? search.name.toLowerCase().includes(text) || search.query.toLowerCase().includes(text)
+        : search.pinned))
+      .slice(0, 5)
+      .map(search => ({ query: search.query, saved: search }));
+  }
+
+  /**
+   * Field names completing the word being typed ("ra" → "rating:")
+   */
+  fieldSuggestions(query) {
+    const typing = query.match(/(?:^|[\s(-])([A-Za-z_][\w.]*)$/);
+    if (!typing) return [];
+
+    const before = query.slice(0, query.length - typing[1].length);
+    return this.queryParser.completeField(typing[1])
+      .slice(0, 5)
+      .map(field => ({ query: `${before}${field.name}:`, field: field.name, type: field.type }));
+  }
+
   /**
    * Render suggestions
    */
@@ -763,25 +2611,50 @@ class AdvancedSearchComponent {
       return;
     }
 
-    suggestionsList.innerHTML = suggestions.map((suggestion, index) => `
+    suggestionsList.innerHTML = suggestions.map((suggestion, index) => (suggestion.saved ? `
+      <div class="suggestion-item suggestion-saved" data-index="${index}" role="option">
+        <span class="suggestion-icon">${suggestion.saved.pinned ? '📌' : '⭐'}</span>
+        <span class="suggestion-text">${this.highlightQuery(suggestion.saved.name)}</span>
+        <span class="suggestion-count">${suggestion.saved.filters.length ? `${suggestion.saved.filters.length} filters` : ''}</span>
+      </div>
+    ` : suggestion.field ? `
+      <div class="suggestion-item suggestion-field" data-index="${index}" role="option">
+        <span class="suggestion-icon">🏷️</span>
+        <span class="suggestion-text">${this.escapeHtml(suggestion.field)}:</span>
+        <span class="suggestion-count">${suggestion.type}</span>
+      </div>
+    ` : `
       <div class="suggestion-item" data-index="${index}" role="option">
         <span class="suggestion-icon">🔍</span>
         <span class="suggestion-text">${this.highlightQuery(suggestion.query)}</span>
         <span class="suggestion-count">${suggestion.count}</span>
       </div>
-    `).join('');
+    `)).join('');
 
-    // Add click listeners
     suggestionsList.querySelectorAll('.suggestion-item').forEach(item => {
-      item.addEventListener('click', () => {
-        const query = suggestions[parseInt(item.dataset.index)].query;
-        this.selectSuggestion(query);
-      });
+      item.addEventListener('click', () => this.chooseSuggestion(parseInt(item.dataset.index)));
     });
 
+    this.state.activeSuggestion = -1;
     this.showSuggestions();
   }
 
+  /**
+   * Act on a suggestion: run a saved search, complete a field name, or
+   * search a past query
+   */
+  chooseSuggestion(index) {
+    const suggestion = this.state.suggestions[index];
+    if (!suggestion) return;
+
+    if (suggestion.saved) {
+      this.hideSuggestions();
+      this.applySavedSearch(suggestion.saved);
+      return;
+    }
+    this.selectSuggestion(suggestion.query, !suggestion.field);
+  }
+
   /**
    * Update state and trigger callbacks
    */
@@ -795,6 +2668,7 @@ class AdvancedSearchComponent {
    * Update results display
    */
   updateResultsDisplay() {
+    if (!this.container) return;
     const resultsCount = this.container.querySelector('.results-count');
     const resultsTime = this.container.querySelector('.results-time');
     const resultsList = this.container.querySelector('.results-list');
@@ -803,8 +2677,20 @@ class AdvancedSearchComponent {
       resultsCount.textContent = `${this.state.results.length} results`;
     }
 
+    const filterCount = this.container.querySelector('.filter-count');
+    if (filterCount) {
+      filterCount.textContent = this.filterEngine.getActiveFilters().length +
+        this.queryFilters.getActiveFilters().length;
+    }
+
+    const filterTabs = this.container.querySelector('.filter-tabs');
+    if (filterTabs && this.tabFacet) {
+      filterTabs.innerHTML = this.renderFilterTabs();
+    }
+
     if (resultsTime && this.state.lastSearchTime) {
-      resultsTime.textContent = `(${this.state.lastSearchTime.toFixed(0)}ms)`;
+      resultsTime.textContent = `(${this.state.lastSearchTime.toFixed(0)}ms)` +
+        (this.state.timedOut ? ' – stopped early, the pattern is too slow' : '');
     }
 
     if (resultsList) {
@@ -818,6 +2704,88 @@ class AdvancedSearchComponent {
     }
   }
 
+  /**
+   * Filter tabs: "All" and the values of the tab facet with their counts,
+   * or the default categories when no facet is bound
+   */
+  renderFilterTabs() {
+    const facet = this.tabFacet && this.state.facets.facets.find(entry => entry.key === this.tabFacet);
+    const tab = (value, label, count, active) => `
+      <button class="filter-tab${active ? ' active' : ''}" data-filter="${this.escapeHtml(value)}" role="tab" aria-selected="${active}">
+        ${this.escapeHtml(label)}${count === null ? '' : ` <span class="filter-tab-count">${count}</span>`}
+      </button>`;
+
+    if (!facet) {
+      const active = this.state.activeFilter || 'all';
+      return [['all', 'All'], ['components', 'Components'], ['data', 'Data'], ['charts', 'Charts'], ['images', 'Images']]
+        .map(([value, label]) => tab(value, label, null, value === active))
+        .join('');
+    }
+
+    const selected = facet.values.find(entry => entry.selected);
+    return tab('all', 'All', facet.total, !selected) +
+      facet.values.map(entry => tab(entry.value, entry.label, entry.count, entry.selected)).join('');
+  }
+
+  /**
+   * Filter panel: a checkbox per value of each facet with its count, or
+   * the default type and category lists; then the date range
+   */
+  renderFilterSections() {
+    const facets = this.state.facets.facets.filter(facet => facet.type !== FilterTypes.RANGE);
+    const sections = facets.length
+      ? facets.map(facet => `
+            <div class="filter-section">
+              <h4>${this.escapeHtml(facet.label)}</h4>
+              <div class="filter-group">
+                ${facet.values.map((entry, index) => `
+                <label><input type="checkbox" data-facet="${this.escapeHtml(facet.key)}" data-index="${index}"${entry.selected ? ' checked' : ''}>
+                  ${this.escapeHtml(entry.label)} <span class="filter-value-count">${entry.count}</span></label>`).join('')}
+              </div>
+            </div>`).join('')
+      : `
+            <div class="filter-section">
+              <h4>Type</h4>
+              <div class="filter-group">
+                <label><input type="checkbox" data-key="type" value="visualization"> Visualizations</label>
+                <label><input type="checkbox" data-key="type" value="component"> Components</label>
+                <label><input type="checkbox" data-key="type" value="data"> Data Sets</label>
+                <label><input type="checkbox" data-key="type" value="template"> Templates</label>
+              </div>
+            </div>
+
+            <div class="filter-section">
+              <h4>Category</h4>
+              <div class="filter-group">
+                <select class="filter-select" data-key="category" multiple>
+                  <option value="medical">Medical</option>
+                  <option value="aesthetic">Aesthetic</option>
+                  <option value="analytics">Analytics</option>
+                  <option value="3d">3D Models</option>
+                  <option value="ar">AR/VR</option>
+                </select>
+              </div>
+            </div>`;
+
+    // The date filter this panel sets: from (gte), to (lte) or both (between)
+    const filter = this.filterEngine.filters.get('date');
+    const range = filter && ['gte', 'lte', 'between'].includes(filter.operator) ? filter : null;
+    const day = value => new Date(value).toISOString().slice(0, 10);
+    const from = range && range.operator !== 'lte' ? day([].concat(range.value)[0]) : '';
+    const to = range && range.operator !== 'gte' ? day([].concat(range.value).pop()) : '';
+
+    return `${sections}
+
+            <div class="filter-section">
+              <h4>Date Range</h4>
+              <div class="filter-group">
+                <input type="date" class="filter-date filter-date-from" value="${from}" />
+                <span>to</span>
+                <input type="date" class="filter-date filter-date-to" value="${to}" />
+              </div>
+            </div>`;
+  }
+
   /**
    * Render search results
    */
@@ -825,22 +2793,18 @@ class AdvancedSearchComponent {
     return this.state.results.map((result, index) => `
       <div class="result-item" data-index="${index}">
         <div class="result-header">
-          <h3 class="result-title">${this.highlightMatches(result.item.title || result.item.name)}</h3>
+          <h3 class="result-title">${this.highlightMatches(result, result.item.title !== undefined ? 'title' : 'name')}</h3>
           <div class="result-score">Score: ${(result.score * 100).toFixed(0)}%</div>
         </div>
         <div class="result-content">
-          <p class="result-description">${this.highlightMatches(result.item.description || '')}</p>
+          <p class="result-description">${this.highlightMatches(result, 'description')}</p>
           <div class="result-meta">
-            <span class="result-type">${result.item.type || 'Unknown'}</span>
+            <span class="result-type">${this.escapeHtml(this.typeLabel(result.item))}</span>
             <span class="result-date">${this.formatDate(result.item.date)}</span>
           </div>
         </div>
         <div class="result-actions">
-          <button class="btn btn-primary" onclick="window.open('${result.item.url}', '_blank')">
-            Open
-          </button>
-          <button class="btn btn-secondary result-preview-btn">Preview</button>
-          <button class="btn btn-ghost result-share-btn">Share</button>
+          <button class="btn btn-primary result-open-btn">Open</button>
         </div>
       </div>
     `).join('');
@@ -850,6 +2814,19 @@ class AdvancedSearchComponent {
    * Render empty state
    */
   renderEmptyState() {
+    if (this.state.searchError) {
+      const caret = this.state.errorPosition === null ? '' : `
+        <pre class="query-error">${this.escapeHtml(this.state.query)}
+${' '.repeat(this.state.errorPosition)}^</pre>`;
+      return `
+      <div class="empty-results search-error" role="alert">
+        <div class="empty-icon">⚠️</div>
+        <h3>Search could not run</h3>
+        <p>${this.escapeHtml(this.state.searchError)}</p>${caret}
+      </div>
+    `;
+    }
+
     return `
       <div class="empty-results">
         <div class="empty-icon">🔍</div>
@@ -868,30 +2845,269 @@ class AdvancedSearchComponent {
     `;
   }
 
-  // Additional helper methods...
-  highlightQuery(text) { /* Implementation */ }
-  highlightMatches(text) { /* Implementation */ }
-  formatDate(date) { /* Implementation */ }
-  showSuggestions() { /* Implementation */ }
-  hideSuggestions() { /* Implementation */ }
-  navigateSuggestions(direction) { /* Implementation */ }
-  selectSuggestion(query) { /* Implementation */ }
-  clearSearch() { /* Implementation */ }
-  startVoiceSearch() { /* Implementation */ }
-  handleFilterTab(event) { /* Implementation */ }
-  applyFilters() { /* Implementation */ }
-  clearFilters() { /* Implementation */ }
+  /**
+   * Select a filter tab: one value of the tab facet, or all of them
+   */
+  handleFilterTab(event) {
+    const value = event.target.closest('.filter-tab').dataset.filter;
+    this.setState({ activeFilter: value === 'all' ? null : value });
+
+    if (!this.tabFacet) {
+      this.container.querySelectorAll('.filter-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.filter === value);
+      });
+      return;
+    }
+
+    // data-filter holds the value as text; find the facet value it stands for
+    const facet = this.state.facets.facets.find(entry => entry.key === this.tabFacet);
+    const entry = facet && facet.values.find(candidate => String(candidate.value) === value);
+    this.filterEngine.setFacetSelection(this.tabFacet, entry ? [entry.value] : []);
+
+    if (this.state.query || entry) {
+      this.executeSearch();
+    } else {
+      this.setState({ results: [], facets: this.filterEngine.computeFacets(this.data) });
+    }
+  }
+
+  /**
+   * Put a suggestion in the search box; run it, or keep typing after a field name
+   */
+  selectSuggestion(query, run = true) {
+    const input = this.container.querySelector('.search-input');
+    input.value = query;
+    this.setState({ query });
+    this.hideSuggestions();
+
+    if (run) {
+      this.executeSearch();
+    } else {
+      input.focus();
+    }
+  }
+
+  showSuggestions() {
+    const suggestions = this.container.querySelector('.search-suggestions');
+    if (!suggestions || !this.state.suggestions.length) return;
+
+    suggestions.removeAttribute('hidden');
+    this.container.querySelector('.search-input').setAttribute('aria-expanded', 'true');
+    this.state.showSuggestions = true;
+  }
+
+  hideSuggestions() {
+    const suggestions = this.container.querySelector('.search-suggestions');
+    if (!suggestions) return;
+
+    suggestions.setAttribute('hidden', '');
+    this.container.querySelector('.search-input').setAttribute('aria-expanded', 'false');
+    this.state.showSuggestions = false;
+  }
+
+  /**
+   * Escaped text with the current query marked
+   */
+  highlightQuery(text) {
+    const escaped = this.escapeHtml(text);
+    const query = this.escapeHtml(this.state.query.trim());
+    if (!query) return escaped;
+
+    const index = escaped.toLowerCase().indexOf(query.toLowerCase());
+    return index === -1
+      ? escaped
+      : `${escaped.slice(0, index)}<mark>${escaped.slice(index, index + query.length)}</mark>${escaped.slice(index + query.length)}`;
+  }
+
+  escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, m => ({
+      '&': '&amp;',
+      '<': '&lt;',
+      '>': '&gt;',
+      '"': '&quot;',
+      "'": '&#39;'
+    })[m]);
+  }
+
+  /**
+   * A field of a result, escaped, with the spans the search matched marked
+   */
+  highlightMatches(result, key) {
+    const value = this.searchEngine.getNestedValue(result.item, key);
+    const text = value == null ? '' : String(value);
+    const match = result.matches.find(entry => entry.key === key);
+    if (!match) return this.escapeHtml(text);
+
+    let html = '';
+    let last = 0;
+    match.indices.slice().sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+      if (start < last) return;
+      html += `${this.escapeHtml(text.slice(last, start))}<mark>${this.escapeHtml(text.slice(start, end + 1))}</mark>`;
+      last = end + 1;
+    });
+    return html + this.escapeHtml(text.slice(last));
+  }
+
+  formatDate(date) {
+    const time = new Date(date);
+    return date && !Number.isNaN(time.getTime()) ? this.escapeHtml(time.toLocaleDateString()) : '';
+  }
+
+  /**
+   * Move the highlighted suggestion with the arrow keys; Enter chooses it
+   */
+  navigateSuggestions(direction) {
+    const count = this.state.suggestions.length;
+    if (!count) return;
+    if (!this.state.showSuggestions) this.showSuggestions();
+
+    const current = this.state.activeSuggestion;
+    const next = direction === 'down'
+      ? (current + 1) % count
+      : (current <= 0 ? count - 1 : current - 1);
+    this.state.activeSuggestion = next;
+
+    this.container.querySelectorAll('.suggestion-item').forEach(item => {
+      const active = parseInt(item.dataset.index) === next;
+      item.classList.toggle('active', active);
+      item.setAttribute('aria-selected', String(active));
+    });
+  }
+
+  /**
+   * Empty the search box and the results; filters stay
+   */
+  clearSearch() {
+    const input = this.container.querySelector('.search-input');
+    input.value = '';
+    clearTimeout(this.debounceTimeout);
+    this.queryFilters.clearFilters();
+    this.hideSuggestions();
+    this.setState({ query: '', results: [], searchError: null, errorPosition: null, timedOut: false });
+    input.focus();
+  }
+
+  speechRecognition() {
+    return typeof window !== 'undefined' && (window.SpeechRecognition || window.webkitSpeechRecognition) || null;
+  }
+
+  /**
+   * Dictate a query (the button is hidden where the browser cannot)
+   */
+  startVoiceSearch() {
+    const Recognition = this.speechRecognition();
+    if (!Recognition) return;
+
+    const recognition = new Recognition();
+    recognition.lang = document.documentElement.lang || 'zh-CN';
+    recognition.interimResults = false;
+    recognition.addEventListener('result', (event) => {
+      this.selectSuggestion(event.results[0][0].transcript.trim());
+    });
+    recognition.start();
+  }
+
+  /**
+   * Apply the filter panel: checked facet values, the default lists and the date range
+   */
+  applyFilters() {
+    const panel = this.container.querySelector('.filter-panel');
+    const facets = this.state.facets.facets;
+
+    const selections = new Map();
+    panel.querySelectorAll('input[data-facet]').forEach(input => {
+      const facet = facets.find(entry => entry.key === input.dataset.facet);
+      if (!facet) return;
+      if (!selections.has(facet.key)) selections.set(facet.key, []);
+      if (input.checked) selections.get(facet.key).push(facet.values[parseInt(input.dataset.index)].value);
+    });
+    selections.forEach((values, key) => this.filterEngine.setFacetSelection(key, values));
+
+    const chosen = new Map();
+    panel.querySelectorAll('[data-key]').forEach(control => {
+      const values = control.tagName === 'SELECT'
+        ? Array.from(control.selectedOptions).map(option => option.value)
+        : (control.checked ? [control.value] : []);
+      chosen.set(control.dataset.key, (chosen.get(control.dataset.key) || []).concat(values));
+    });
+    chosen.forEach((values, key) => (values.length
+      ? this.filterEngine.addFilter(key, 'in', values, FilterTypes.SELECT)
+      : this.filterEngine.removeFilter(key)));
+
+    // A date range includes its last day
+    const from = panel.querySelector('.filter-date-from').value;
+    const to = panel.querySelector('.filter-date-to').value;
+    const start = Date.parse(from);
+    const end = Date.parse(to) + DAY_MS - 1;
+    if (from && to) {
+      this.filterEngine.addFilter('date', 'between', [start, end], FilterTypes.DATE);
+    } else if (from || to) {
+      this.filterEngine.addFilter('date', from ? 'gte' : 'lte', from ? start : end, FilterTypes.DATE);
+    } else {
+      this.filterEngine.removeFilter('date');
+    }
+
+    this.refreshResults();
+  }
+
+  /**
+   * Drop every filter and facet selection
+   */
+  clearFilters() {
+    this.filterEngine.clearFilters();
+    this.state.activeFilter = null;
+    this.container.querySelector('.filter-sections').innerHTML = this.renderFilterSections();
+    this.refreshResults();
+  }
+
+  /**
+   * Re-run the search after the filters changed; with neither a query nor
+   * filters there is nothing to list
+   */
+  refreshResults() {
+    if (this.state.query || this.filterEngine.getActiveFilters().length) {
+      this.executeSearch();
+    } else {
+      this.setState({ results: [], facets: this.filterEngine.computeFacets(this.data) });
+    }
+  }
+
+  /**
+   * Download the results found as JSON
+   */
+  exportResults() {
+    const items = this.state.results.map(({ item, score }) => Object.assign({ score }, item));
+    const url = URL.createObjectURL(new Blob([JSON.stringify(items, null, 2)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'search-results.json';
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
 }
 
 // Export search system
-window.SearchSystem = {
+const SearchSystem = {
   FuzzySearchEngine,
+  SafeRegex,
   FilterEngine,
+  QueryParser,
+  QuerySyntaxError,
   SearchHistoryManager,
+  SavedSearchManager,
   AdvancedSearchComponent,
   SearchConfig,
   SearchTypes,
   FilterTypes
 };
 
+if (typeof window !== 'undefined') {
+  window.SearchSystem = SearchSystem;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SearchSystem;
+}
+
 console.log('🔍 Advanced Search and Filtering System initialized');
\ No newline at end of file
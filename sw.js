@@ -3,9 +3,9 @@
  * 为可视化系统提供离线支持和缓存管理
  */
 
-const CACHE_NAME = 'visualization-hub-v1.0.0';
-const STATIC_CACHE_NAME = 'static-v1.0.0';
-const DYNAMIC_CACHE_NAME = 'dynamic-v1.0.0';
+const CACHE_NAME = 'visualization-hub-v1.3.0';
+const STATIC_CACHE_NAME = 'static-v1.3.0';
+const DYNAMIC_CACHE_NAME = 'dynamic-v1.3.0';
 
 // 需要缓存的核心文件
 const CORE_FILES = [
@@ -27,13 +27,32 @@ const TOOL_FILES = [
   './icons.html',
   './admin.html',
   './medical_dashboard.html',
-  './case_study_visualizer.html'
+  './case_study_visualizer.html',
+  './search_analytics.html'
 ];
 
 // 需要缓存的资源文件
 const RESOURCE_FILES = [
   './gallery.css',
   './gallery.js',
+  './gallery-config.js',
+  './gallery-data-sources.js',
+  './image-compare.js',
+  './zip-stream.js',
+  './gallery-archive.js',
+  './case-journeys.js',
+  './photo-deidentify.js',
+  './photo-deidentify-worker.js',
+  './search-lexicon.js',
+  './text-segmenter.js',
+  './medical-concepts.js',
+  './concept-graph.js',
+  './search-index.js',
+  './search-system.js',
+  './search-analytics.js',
+  './federated-search.js',
+  './visualization-tools.js',
+  './glossary.js',
   './charts.css',
   './charts.js',
   './zoom_viewer.css',
@@ -41,6 +60,10 @@ const RESOURCE_FILES = [
   './icons.css'
 ];
 
+// 通知图标
+const NOTIFICATION_ICON = 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 192 192" fill="%23E91E63"%3E%3Cpath d="M96 16C43.2 16 0 59.2 0 112s43.2 96 96 96 96-43.2 96-96S148.8 16 96 16zm-16 120l-40-40 11.3-11.3L72 105.4l60.7-60.7L144 56l-64 64z"/%3E%3C/svg%3E';
+const NOTIFICATION_BADGE = 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 96 96" fill="%23E91E63"%3E%3Cpath d="M48 8C21.6 8 0 29.6 0 56s21.6 48 48 48 48-21.6 48-48S74.4 8 48 8zm-8 60l-20-20 5.65-5.65L36 52.7l30.35-30.35L72 28l-32 32z"/%3E%3C/svg%3E';
+
 // 所有需要预缓存的文件
 const PRECACHE_FILES = [
   ...CORE_FILES,
@@ -109,6 +132,11 @@ self.addEventListener('fetch', event => {
     return;
   }
 
+  // 画廊管理服务的接口和案例图片随审核状态变化，草稿还需令牌，不经缓存
+  if (url.pathname.startsWith('/api/') || url.pathname.startsWith('/uploads/')) {
+    return;
+  }
+
   event.respondWith(
     handleFetch(request)
   );
@@ -265,6 +293,13 @@ self.addEventListener('message', event => {
       }
       break;
 
+    case 'SAVED_SEARCH_ALERT':
+      // 已保存搜索有新的匹配案例（search-system.js 的 SavedSearchManager）
+      if (payload && payload.title) {
+        event.waitUntil(showSavedSearchAlert(payload));
+      }
+      break;
+
     default:
       console.log('[SW] Unknown message type:', type);
   }
@@ -281,6 +316,22 @@ async function clearAllCaches() {
   console.log('[SW] All caches cleared');
 }
 
+/**
+ * 已保存搜索的新匹配提醒，点击后打开该搜索
+ */
+function showSavedSearchAlert({ title, body, tag, url }) {
+  return self.registration.showNotification(title, {
+    body: body || '',
+    icon: NOTIFICATION_ICON,
+    badge: NOTIFICATION_BADGE,
+    dir: 'ltr',
+    lang: 'zh-CN',
+    tag: tag || 'saved-search',
+    renotify: true,
+    data: { url }
+  });
+}
+
 /**
  * 缓存指定的URL列表
  */
@@ -353,8 +404,8 @@ self.addEventListener('push', event => {
   const options = {
     title: '绛唇解语花',
     body: event.data.text(),
-    icon: 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 192 192" fill="%23E91E63"%3E%3Cpath d="M96 16C43.2 16 0 59.2 0 112s43.2 96 96 96 96-43.2 96-96S148.8 16 96 16zm-16 120l-40-40 11.3-11.3L72 105.4l60.7-60.7L144 56l-64 64z"/%3E%3C/svg%3E',
-    badge: 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 96 96" fill="%23E91E63"%3E%3Cpath d="M48 8C21.6 8 0 29.6 0 56s21.6 48 48 48 48-21.6 48-48S74.4 8 48 8zm-8 60l-20-20 5.65-5.65L36 52.7l30.35-30.35L72 28l-32 32z"/%3E%3C/svg%3E',
+    icon: NOTIFICATION_ICON,
+    badge: NOTIFICATION_BADGE,
     dir: 'ltr',
     lang: 'zh-CN',
     vibrate: [200, 100, 200],
@@ -367,12 +418,13 @@ self.addEventListener('push', event => {
   );
 });
 
-// 通知点击事件
+// 通知点击事件：提醒自带的链接，否则打开首页
 self.addEventListener('notificationclick', event => {
   event.notification.close();
 
+  const data = event.notification.data || {};
   event.waitUntil(
-    clients.openWindow('./visualization_hub.html')
+    clients.openWindow(data.url || './visualization_hub.html')
   );
 });
 
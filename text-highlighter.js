@@ -0,0 +1,167 @@
+/**
+ * Text Highlighter
+ * Text highlights on rendered Markdown
+ * 渲染后文档的文本高亮定位
+ *
+ * A highlight is stored as the quoted text plus a little context on
+ * either side, not as a DOM path, so it can be found again after the
+ * chapter is re-rendered or edited elsewhere.
+ */
+
+class TextHighlighter {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.contextLength = options.contextLength || 32;
+        // Text that is not part of the reading text (anchors, buttons, glossary popovers, SVG labels)
+        this.ignore = options.ignore || '.heading-anchor, .bookmark-toggle, .glossary-popover, svg, script, style';
+        this.className = options.className || 'reader-highlight';
+    }
+
+    /**
+     * Text nodes of the reading text, with their offsets in the joined text
+     */
+    index() {
+        const document = this.container.ownerDocument;
+        const walker = document.createTreeWalker(this.container, 4 /* NodeFilter.SHOW_TEXT */, {
+            acceptNode: node => node.parentElement && node.parentElement.closest(this.ignore) ? 2 : 1
+        });
+        const nodes = [];
+        let text = '';
+
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            nodes.push({ node, start: text.length });
+            text += node.nodeValue;
+        }
+
+        return { text, nodes };
+    }
+
+    /**
+     * Offset in the joined text of a DOM boundary point
+     */
+    offsetOf(index, container, offset) {
+        const entry = index.nodes.find(item => item.node === container);
+        if (entry) return entry.start + offset;
+
+        // Element boundary: the first indexed text node after it
+        const range = this.container.ownerDocument.createRange();
+        range.setStart(container, offset);
+        const next = index.nodes.find(item => range.comparePoint(item.node, 0) >= 0);
+        return next ? next.start : index.text.length;
+    }
+
+    /**
+     * Describe a selection range as a text quote, or null if it is
+     * empty or not inside the container
+     */
+    describe(range) {
+        if (!range || range.collapsed || !this.container.contains(range.commonAncestorContainer)) {
+            return null;
+        }
+
+        const index = this.index();
+        const start = this.offsetOf(index, range.startContainer, range.startOffset);
+        const end = this.offsetOf(index, range.endContainer, range.endOffset);
+        const exact = index.text.slice(start, end);
+        if (!exact.trim()) return null;
+
+        return {
+            exact,
+            prefix: index.text.slice(Math.max(0, start - this.contextLength), start),
+            suffix: index.text.slice(end, end + this.contextLength),
+            start
+        };
+    }
+
+    /**
+     * Find a quote in the current text: the occurrence whose context
+     * matches best, nearest to where it was last seen
+     */
+    locate(quote, index = this.index()) {
+        const candidates = [];
+        for (let at = index.text.indexOf(quote.exact); at !== -1; at = index.text.indexOf(quote.exact, at + 1)) {
+            candidates.push(at);
+        }
+        if (!candidates.length) return null;
+
+        const score = (at) => {
+            const before = index.text.slice(0, at);
+            const after = index.text.slice(at + quote.exact.length);
+            return TextHighlighter.commonSuffix(before, quote.prefix || '') +
+                TextHighlighter.commonPrefix(after, quote.suffix || '');
+        };
+
+        const best = candidates
+            .map(at => ({ at, score: score(at), distance: Math.abs(at - (quote.start || 0)) }))
+            .sort((a, b) => b.score - a.score || a.distance - b.distance)[0];
+
+        return { start: best.at, end: best.at + quote.exact.length };
+    }
+
+    /**
+     * Mark a stored quote; returns the created <mark> elements
+     */
+    highlight(quote, id, attributes = {}) {
+        const index = this.index();
+        const position = this.locate(quote, index);
+        return position ? this.wrap(index, position.start, position.end, id, attributes) : [];
+    }
+
+    wrap(index, start, end, id, attributes) {
+        const document = this.container.ownerDocument;
+        const marks = [];
+
+        index.nodes.forEach(({ node, start: nodeStart }) => {
+            const nodeEnd = nodeStart + node.nodeValue.length;
+            if (nodeEnd <= start || nodeStart >= end || !node.nodeValue.length) return;
+
+            // Split so that `target` covers exactly the highlighted part
+            let target = node;
+            if (start > nodeStart) target = target.splitText(start - nodeStart);
+            if (end < nodeEnd) target.splitText(end - Math.max(start, nodeStart));
+            // Whitespace between block elements (e.g. list items) stays unmarked
+            if (!target.nodeValue.trim()) return;
+
+            const mark = document.createElement('mark');
+            mark.className = this.className;
+            mark.dataset.highlightId = id;
+            Object.entries(attributes).forEach(([name, value]) => mark.setAttribute(name, value));
+            target.parentNode.replaceChild(mark, target);
+            mark.appendChild(target);
+            marks.push(mark);
+        });
+
+        return marks;
+    }
+
+    /**
+     * Remove the marks of one highlight (or all of them)
+     */
+    unwrap(id) {
+        const selector = id ? `mark.${this.className}[data-highlight-id="${id}"]` : `mark.${this.className}`;
+
+        this.container.querySelectorAll(selector).forEach(mark => {
+            const parent = mark.parentNode;
+            while (mark.firstChild) parent.insertBefore(mark.firstChild, mark);
+            parent.removeChild(mark);
+            parent.normalize();
+        });
+    }
+
+    static commonPrefix(a, b) {
+        let n = 0;
+        while (n < a.length && n < b.length && a[n] === b[n]) n++;
+        return n;
+    }
+
+    static commonSuffix(a, b) {
+        let n = 0;
+        while (n < a.length && n < b.length && a[a.length - 1 - n] === b[b.length - 1 - n]) n++;
+        return n;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TextHighlighter;
+}
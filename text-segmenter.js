@@ -0,0 +1,274 @@
+/**
+ * Text Segmenter
+ * Chinese-aware tokenization for search
+ * 中文分词：词库最大匹配 + 二元切分，并支持拼音检索
+ *
+ * Chinese has no spaces between words, so whitespace tokenization sees a
+ * whole sentence as one "word". Search text is instead indexed as CJK
+ * unigrams and bigrams (good recall for any word) plus the lexicon words
+ * it contains (search-lexicon.js); Latin words and numbers stay whole.
+ * Normalization maps one character to one character, so offsets in the
+ * normalized text are valid in the original (used to highlight hits).
+ */
+
+const SEGMENTER_LEXICON = typeof SearchLexicon !== 'undefined'
+    ? SearchLexicon
+    : (typeof require === 'function' ? require('./search-lexicon.js') : []);
+
+const CJK_CHAR = /[\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff]/;
+const CJK_RUN = /[\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff]+/g;
+const LATIN_WORD = /[a-z0-9]+(?:[.'-][a-z0-9]+)*/g;
+
+// Single characters too common to be worth a query term on their own
+const CJK_STOP_CHARS = new Set('的了和与及或在是为以其之也而就都把被对'.split(''));
+
+class TextSegmenter {
+    constructor(options = {}) {
+        const lexicon = options.lexicon || SEGMENTER_LEXICON;
+
+        this.words = new Map();
+        this.maxWordLength = 1;
+        this.pinyinEntries = [];
+        // Reading of every character that occurs in the lexicon (first one wins)
+        this.charPinyin = new Map();
+
+        lexicon.forEach(([term, pinyin, english]) => {
+            const word = this.normalize(term);
+            this.words.set(word, { term, pinyin, english });
+            this.maxWordLength = Math.max(this.maxWordLength, word.length);
+
+            if (pinyin) {
+                const syllables = pinyin.toLowerCase().split(/\s+/);
+                this.pinyinEntries.push({
+                    term,
+                    full: syllables.join(''),
+                    initials: syllables.map(syllable => syllable[0]).join('')
+                });
+
+                if (syllables.length === word.length) {
+                    word.split('').forEach((char, i) => {
+                        if (CJK_CHAR.test(char) && !this.charPinyin.has(char)) this.charPinyin.set(char, syllables[i]);
+                    });
+                }
+            }
+        });
+    }
+
+    /**
+     * Lower-case and fold full-width forms, one character for one
+     */
+    normalize(text) {
+        let result = '';
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            let char = text[i];
+
+            if (code >= 0xff01 && code <= 0xff5e) {
+                char = String.fromCharCode(code - 0xfee0); // full-width ASCII
+            } else if (code === 0x3000) {
+                char = ' ';
+            }
+
+            const lower = char.toLowerCase();
+            result += lower.length === 1 ? lower : char;
+        }
+        return result;
+    }
+
+    hasCJK(text) {
+        return CJK_CHAR.test(text);
+    }
+
+    /**
+     * Split text into words: lexicon words by forward maximum matching,
+     * unknown CJK stretches kept together, Latin words as they are
+     */
+    segment(text) {
+        const normalized = this.normalize(text);
+        const words = [];
+
+        normalized.split(/([\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff]+)/).forEach((part, i) => {
+            if (i % 2 === 0) {
+                words.push(...(part.match(LATIN_WORD) || []));
+                return;
+            }
+
+            let unknown = '';
+            const flush = () => {
+                if (unknown && !(unknown.length === 1 && CJK_STOP_CHARS.has(unknown))) words.push(unknown);
+                unknown = '';
+            };
+
+            for (let pos = 0; pos < part.length;) {
+                const word = this.longestWordAt(part, pos);
+                if (word) {
+                    flush();
+                    words.push(word);
+                    pos += word.length;
+                } else {
+                    unknown += part[pos++];
+                }
+            }
+            flush();
+        });
+
+        return words;
+    }
+
+    longestWordAt(text, pos) {
+        for (let length = Math.min(this.maxWordLength, text.length - pos); length >= 2; length--) {
+            const candidate = text.substr(pos, length);
+            if (this.words.has(candidate)) return candidate;
+        }
+        return null;
+    }
+
+    /**
+     * Index terms of a (normalized) text: CJK unigrams and bigrams, every
+     * lexicon word it contains, and Latin words
+     */
+    indexTerms(normalized) {
+        const terms = [];
+
+        normalized.replace(CJK_RUN, run => {
+            for (let i = 0; i < run.length; i++) {
+                terms.push(run[i]);
+                if (i + 1 < run.length) terms.push(run.substr(i, 2));
+
+                for (let length = 3; length <= this.maxWordLength && i + length <= run.length; length++) {
+                    const candidate = run.substr(i, length);
+                    if (this.words.has(candidate)) terms.push(candidate);
+                }
+            }
+            return run;
+        });
+
+        terms.push(...(normalized.match(LATIN_WORD) || []));
+        return terms;
+    }
+
+    /**
+     * Terms a (normalized) query word must match in the index
+     */
+    queryTerms(word) {
+        if (!this.hasCJK(word)) return word.match(LATIN_WORD) || [];
+
+        const terms = [];
+        (word.match(LATIN_WORD) || []).forEach(latin => terms.push(latin));
+        (word.match(CJK_RUN) || []).forEach(run => {
+            if (run.length > 2 && this.words.has(run)) {
+                terms.push(run);
+            } else if (run.length === 1) {
+                terms.push(run);
+            } else {
+                for (let i = 0; i + 1 < run.length; i++) terms.push(run.substr(i, 2));
+            }
+        });
+        return terms;
+    }
+
+    /**
+     * Lexicon words a pinyin query may stand for: full pinyin or its
+     * prefix ("boniao", "boniaosuan") or the initials ("bns")
+     */
+    pinyinMatches(word) {
+        const query = this.normalize(word).replace(/[\s']/g, '');
+        if (!/^[a-z]{2,}$/.test(query)) return [];
+
+        return this.pinyinEntries
+            .filter(entry => entry.full === query ||
+                (query.length >= 4 && entry.full.startsWith(query)) ||
+                (query.length >= 2 && entry.initials === query))
+            .map(entry => entry.term);
+    }
+
+    /**
+     * Toneless pinyin of each UTF-16 unit of a (normalized) text, null
+     * where the lexicon does not know the character
+     */
+    pinyinOf(text) {
+        return text.split('').map(char => this.charPinyin.get(char) || null);
+    }
+
+    /**
+     * Where a pinyin query occurs in a (normalized) text, syllable by
+     * syllable: in full ("boniaosuan"), with the last syllable cut short
+     * ("boniaos"), or as initials ("bns")
+     * @returns {Array<{start: number, end: number, initials: boolean}>}
+     */
+    pinyinSpans(text, word) {
+        const query = this.normalize(word).replace(/[\s']/g, '');
+        if (!/^[a-z]{2,}$/.test(query)) return [];
+
+        const readings = this.pinyinOf(text);
+        const spans = [];
+
+        for (let start = 0; start < readings.length; start++) {
+            if (!readings[start]) continue;
+
+            let typed = 0;
+            let end = start;
+            while (typed < query.length && end < readings.length && readings[end]) {
+                const rest = query.slice(typed);
+                if (rest.startsWith(readings[end])) {
+                    typed += readings[end].length;
+                } else if (typed > 0 && query.length >= 4 && readings[end].startsWith(rest)) {
+                    typed = query.length;
+                } else {
+                    break;
+                }
+                end++;
+            }
+
+            if (typed !== query.length) {
+                end = start + query.length;
+                const initials = end <= readings.length &&
+                    readings.slice(start, end).every((reading, i) => reading && reading[0] === query[i]);
+                if (!initials) continue;
+                spans.push({ start, end, initials: true });
+            } else {
+                spans.push({ start, end, initials: false });
+            }
+            start = end - 1;
+        }
+
+        return spans;
+    }
+
+    /**
+     * Where a Chinese word occurs in a (normalized) text, allowing
+     * characters that read the same ("波尿酸" for "玻尿酸")
+     * @returns {Array<{start: number, end: number, exact: boolean}>}
+     */
+    homophoneSpans(text, word) {
+        const query = this.normalize(word);
+        const readings = this.pinyinOf(query);
+        const spans = [];
+
+        for (let start = 0; start + query.length <= text.length; start++) {
+            let exact = true;
+            let i = 0;
+            for (; i < query.length; i++) {
+                const char = text[start + i];
+                if (char === query[i]) continue;
+                if (!readings[i] || this.charPinyin.get(char) !== readings[i]) break;
+                exact = false;
+            }
+            if (i === query.length) {
+                spans.push({ start, end: start + query.length, exact });
+                start += query.length - 1;
+            }
+        }
+
+        return spans;
+    }
+
+    lookup(term) {
+        return this.words.get(this.normalize(term)) || null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TextSegmenter;
+}
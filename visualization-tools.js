@@ -0,0 +1,29 @@
+/**
+ * Visualization Tools
+ * The pages of the visualization system, as the hub lists and opens them
+ * 可视化工具清单：集成中心（integration.js）注册的组件，统一检索（federated-search.js）的“工具”来源
+ *
+ * Each tool: id (stable, used by favorites and usage tracking), name,
+ * url, category, description and tags (what the search matches).
+ */
+
+const VisualizationTools = [
+    { id: 'document-viewer', name: '书籍阅读', url: 'document-viewer.html', category: 'book', description: '全书章节阅读、全文检索、批注与版本对比', tags: ['书籍', '章节', '阅读'] },
+    { id: '3d-viewer', name: '3D解剖模型', url: '3d_viewer.html', category: '3d', description: '交互式三维唇部解剖模型，支持多层展示和详细标注', tags: ['3D', '解剖', '模型', '交互'] },
+    { id: 'anatomy-3d', name: '3D解剖详解', url: 'enhanced_3d_anatomy.html', category: '3d', description: '分层显示皮肤、肌肉、血管、神经与骨骼，标注注射点', tags: ['3D', '解剖', '血管', '神经'] },
+    { id: 'ar-viewer', name: 'AR增强现实', url: 'ar_viewer.html', category: 'ar', description: '增强现实预览功能，实时查看治疗效果', tags: ['AR', '增强现实', '预览', '实时'] },
+    { id: 'vr-viewer', name: 'VR虚拟现实', url: 'vr_viewer.html', category: 'vr', description: '虚拟现实培训环境，沉浸式学习体验', tags: ['VR', '虚拟现实', '培训', '沉浸式'] },
+    { id: 'gallery', name: '案例画廊', url: 'gallery.html', category: 'gallery', description: '专业医美案例展示画廊，支持前后对比', tags: ['案例', '画廊', '对比', '展示'] },
+    { id: 'zoom-viewer', name: '缩放查看器', url: 'zoom_viewer.html', category: 'viewer', description: '高精度图像缩放查看器，支持测量工具', tags: ['缩放', '查看器', '测量', '细节'] },
+    { id: 'charts-library', name: '图表库', url: 'charts_library.html', category: 'charts', description: '专业医疗数据可视化图表库', tags: ['图表', '数据', '可视化', '统计'] },
+    { id: 'anatomy-illustrations', name: '解剖插图', url: 'anatomy_illustrations.html', category: 'anatomy', description: '专业解剖结构插图和教学资料', tags: ['解剖', '插图', '教学', '标注'] },
+    { id: 'icons-system', name: '图标系统', url: 'icons.html', category: 'icons', description: '医美专用图标系统和设计组件', tags: ['图标', '设计', '符号', '系统'] },
+    { id: 'medical-dashboard', name: '医疗看板', url: 'medical_dashboard.html', category: 'dashboard', description: '实时医疗数据分析看板', tags: ['看板', '数据', '分析', '实时'] },
+    { id: 'case-studies', name: '案例分析', url: 'case_study_visualizer.html', category: 'analysis', description: '深度案例研究和可视化分析', tags: ['案例', '研究', '分析', '可视化'] },
+    { id: 'search-analytics', name: '搜索分析', url: 'search_analytics.html', category: 'analysis', description: '零结果查询、各位置点击率与查询改写链', tags: ['搜索', '分析', '统计'] }
+];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VisualizationTools;
+}
@@ -302,6 +302,17 @@ class BaseWidget extends BaseComponent {
     // Override in subclasses
   }
 
+  createElement(tag, className, attributes = {}) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+
+    Object.entries(attributes).forEach(([key, value]) => {
+      element.setAttribute(key, value);
+    });
+
+    return element;
+  }
+
   setupInteractions() {
     if (!this.interactive) return;
 
@@ -522,11 +533,12 @@ class ChartWidget extends BaseWidget {
   }
 
   processLineData(data) {
+    // Points are { x, y } or [x, y]; 0 is a value, not a missing one
     return data.map(series => ({
       ...series,
       data: series.data.map(point => ({
-        x: point.x || point[0],
-        y: point.y || point[1],
+        x: point.x !== undefined ? point.x : point[0],
+        y: point.y !== undefined ? point.y : point[1],
         timestamp: point.timestamp || new Date().toISOString()
       }))
     }));
@@ -558,6 +570,8 @@ class ChartWidget extends BaseWidget {
   }
 
   renderContent() {
+    // Rendered again on every setData()
+    this.container.innerHTML = '';
     const chartContainer = this.createElement('div', 'chart-container');
 
     // Add title if configured
@@ -647,6 +661,7 @@ class ChartWidget extends BaseWidget {
     const { width, height } = this.getChartDimensions();
 
     // Draw grid and axes
+    this.barScale = this.getBarScale(width, height);
     if (this.config.chart.grid.show) {
       this.drawGrid(svg, width, height);
     }
@@ -722,11 +737,134 @@ class ChartWidget extends BaseWidget {
     }
   }
 
-  // Additional chart-specific methods would go here...
-  drawGrid(svg, width, height) { /* Implementation */ }
-  drawAxes(svg, width, height) { /* Implementation */ }
+  createLegend() {
+    const legend = this.createElement('div', 'chart-legend', {
+      'role': 'list',
+      'aria-label': 'Chart legend'
+    });
+
+    this.state.data.forEach((series, index) => {
+      const item = this.createElement('span', 'legend-item', { 'role': 'listitem' });
+      const swatch = this.createElement('span', 'legend-color');
+      swatch.style.backgroundColor = this.getSeriesColor(index);
+      item.append(swatch, ` ${series.name || ''}`);
+      legend.appendChild(item);
+    });
+
+    return legend;
+  }
+
+  getSeriesColor(index) {
+    const { colors } = this.config.chart;
+    return colors[index % colors.length];
+  }
+
+  createSVGElement(name, attributes = {}) {
+    const element = document.createElementNS('http://www.w3.org/2000/svg', name);
+    Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+    return element;
+  }
+
+  /**
+   * Plot area inside the axis labels
+   */
+  getPlotArea(width, height) {
+    return { left: 40, top: 8, right: width - 8, bottom: height - 24 };
+  }
+
+  /**
+   * Categories (the x values of the first series), one band each, and
+   * the top of the value axis
+   */
+  getBarScale(width, height) {
+    const categories = this.state.data.length ? this.state.data[0].data.map(point => point.x) : [];
+    const values = this.state.data.flatMap(series => series.data.map(point => Number(point.y) || 0));
+    const { max } = this.config.chart.axes.y;
+    const area = this.getPlotArea(width, height);
+
+    return {
+      categories,
+      max: max === 'auto' ? Math.max(...values, 0) || 1 : max,
+      band: (area.right - area.left) / Math.max(categories.length, 1),
+      area
+    };
+  }
+
+  drawGrid(svg, width, height) {
+    const { area } = this.barScale || { area: this.getPlotArea(width, height) };
+    const { color, opacity } = this.config.chart.grid;
+
+    for (let step = 0; step <= 4; step++) {
+      const y = area.bottom - (area.bottom - area.top) * step / 4;
+      svg.appendChild(this.createSVGElement('line', {
+        x1: area.left, x2: area.right, y1: y, y2: y, stroke: color, 'stroke-opacity': opacity
+      }));
+    }
+  }
+
+  drawAxes(svg, width, height) {
+    if (!this.barScale) return;
+    const { categories, max, band, area } = this.barScale;
+    const { x: xAxis, y: yAxis } = this.config.chart.axes;
+
+    if (yAxis.show) {
+      [0, max / 2, max].forEach(value => {
+        const label = this.createSVGElement('text', {
+          x: area.left - 6,
+          y: area.bottom - (area.bottom - area.top) * value / max,
+          'text-anchor': 'end',
+          'dominant-baseline': 'middle',
+          'font-size': 11,
+          class: 'chart-axis-label'
+        });
+        label.textContent = Number.isInteger(value) ? value : value.toFixed(1);
+        svg.appendChild(label);
+      });
+    }
+
+    if (xAxis.show) {
+      categories.forEach((category, index) => {
+        const label = this.createSVGElement('text', {
+          x: area.left + band * (index + 0.5),
+          y: area.bottom + 16,
+          'text-anchor': 'middle',
+          'font-size': 11,
+          class: 'chart-axis-label'
+        });
+        label.textContent = category;
+        svg.appendChild(label);
+      });
+    }
+  }
+
   drawLine(svg, series, index, width, height) { /* Implementation */ }
-  drawBar(svg, point, seriesIndex, pointIndex, width, height) { /* Implementation */ }
+
+  /**
+   * One bar; the series of a category share its band side by side
+   */
+  drawBar(svg, point, seriesIndex, pointIndex, width, height) {
+    const { max, band, area } = this.barScale;
+    const seriesCount = this.state.data.length;
+    const barWidth = band * 0.8 / seriesCount;
+    const value = Math.max(0, Number(point.y) || 0);
+    const barHeight = (area.bottom - area.top) * Math.min(value, max) / max;
+
+    const bar = this.createSVGElement('rect', {
+      x: area.left + band * (pointIndex + 0.1) + barWidth * seriesIndex,
+      y: area.bottom - barHeight,
+      width: Math.max(barWidth - 1, 1),
+      height: barHeight,
+      fill: this.getSeriesColor(seriesIndex),
+      class: 'chart-bar'
+    });
+
+    // Tooltip
+    const title = this.createSVGElement('title');
+    title.textContent = `${this.state.data[seriesIndex].name}: ${point.x} — ${point.y}`;
+    bar.appendChild(title);
+    svg.appendChild(bar);
+  }
+
   drawPieSlice(svg, centerX, centerY, radius, startAngle, sliceAngle, index) { /* Implementation */ }
   addInteractionLayer(svg, width, height) { /* Implementation */ }
 }
@@ -0,0 +1,358 @@
+/**
+ * Zip Stream
+ * ZIP archives written entry by entry, in the browser or Node
+ * 流式 ZIP 写入：逐个条目写出（存储或 deflate 压缩），不必把整个压缩包留在内存中
+ *
+ * Each entry's bytes go to the `write` sink as soon as they are ready, so
+ * a large file is never held whole: a Blob or ReadableStream is read in
+ * chunks, checksummed and compressed on the way through, and its CRC and
+ * sizes follow in a data descriptor. Small in-memory entries (strings,
+ * byte arrays) carry them in the header instead and are stored whenever
+ * deflate would not make them smaller. Compression uses the platform's
+ * CompressionStream('deflate-raw'); without it every entry is stored.
+ * No ZIP64: an archive stops at 4 GB and 65 535 entries.
+ */
+
+const ZIP_STORE = 0;
+const ZIP_DEFLATE = 8;
+
+// General purpose flags: sizes in a trailing data descriptor; UTF-8 names
+const ZIP_FLAG_DESCRIPTOR = 0x0008;
+const ZIP_FLAG_UTF8 = 0x0800;
+
+const ZIP_MAX_SIZE = 0xffffffff;
+const ZIP_MAX_ENTRIES = 0xffff;
+
+const ZIP_CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+// Running CRC-32: start from 0, feed chunks in order
+function crc32(bytes, previous = 0) {
+    let crc = (previous ^ 0xffffffff) >>> 0;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = ZIP_CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date/time fields, local time; the format starts in 1980
+function dosDateTime(date) {
+    const year = Math.min(Math.max(date.getFullYear(), 1980), 2107);
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+function concatBytes(parts) {
+    const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+        result.set(part, offset);
+        offset += part.length;
+    });
+    return result;
+}
+
+function toBytes(chunk) {
+    if (chunk instanceof Uint8Array) return chunk;
+    if (ArrayBuffer.isView(chunk)) return new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+    if (chunk instanceof ArrayBuffer) return new Uint8Array(chunk);
+    if (typeof chunk === 'string') return new TextEncoder().encode(chunk);
+    throw new ZipError('Entry content must be a string, bytes, a Blob or a ReadableStream');
+}
+
+async function readAll(stream) {
+    const parts = [];
+    const reader = stream.getReader();
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) return concatBytes(parts);
+        parts.push(toBytes(value));
+    }
+}
+
+class ZipError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ZipError';
+    }
+}
+
+class ZipStream {
+    /**
+     * @param {Object} options
+     * @param {Function} options.write - receives each Uint8Array chunk in order; may return a promise
+     * @param {AbortSignal} [options.signal] - stops the archive between chunks
+     * @param {Function} [options.onProgress] - ({ name, bytes, written }) as entry content is read
+     * @param {boolean} [options.compress=true] - false stores every entry
+     * @param {Date} [options.date] - entry timestamp unless add() gives one
+     */
+    constructor(options = {}) {
+        if (typeof options.write !== 'function') {
+            throw new ZipError('ZipStream needs a write(chunk) function');
+        }
+
+        this.sink = options.write;
+        this.signal = options.signal || null;
+        this.onProgress = options.onProgress || null;
+        this.compress = options.compress !== false && typeof CompressionStream !== 'undefined';
+        this.date = options.date || new Date();
+
+        this.entries = [];
+        this.names = new Set();
+        this.written = 0;
+        this.busy = false;
+        this.closed = false;
+        this.failure = null;
+    }
+
+    /**
+     * Append one file
+     * @param {string} name - path inside the archive, '/' separated
+     * @param {string|ArrayBuffer|ArrayBufferView|Blob|ReadableStream} content
+     * @param {Object} [options]
+     * @param {boolean} [options.compress] - false to store (e.g. JPEG, already compressed)
+     * @param {Date} [options.date]
+     * @returns {Promise<{name, size, compressedSize, method}>}
+     */
+    async add(name, content, options = {}) {
+        this.checkWritable();
+        const path = ZipStream.normalizeName(name);
+        if (this.names.has(path)) throw new ZipError(`Duplicate entry name: ${path}`);
+        if (this.entries.length >= ZIP_MAX_ENTRIES) throw new ZipError('Too many entries for a ZIP archive');
+
+        const encodedName = new TextEncoder().encode(path);
+        if (encodedName.length > 0xffff) throw new ZipError(`Entry name too long: ${path}`);
+
+        const entry = Object.assign({
+            name: encodedName,
+            path,
+            flags: ZIP_FLAG_UTF8,
+            method: ZIP_STORE,
+            crc: 0,
+            size: 0,
+            compressedSize: 0,
+            offset: this.written
+        }, dosDateTime(options.date || this.date));
+        const deflate = this.compress && options.compress !== false;
+        const stream = ZipStream.streamOf(content);
+        const data = stream ? null : toBytes(content);
+
+        this.busy = true;
+        try {
+            if (stream) {
+                await this.writeStreamed(entry, stream, deflate);
+            } else {
+                await this.writeWhole(entry, data, deflate);
+            }
+        } catch (error) {
+            // Part of the entry may already be in the sink: nothing more can follow
+            this.failure = error;
+            throw error;
+        } finally {
+            this.busy = false;
+        }
+
+        this.entries.push(entry);
+        this.names.add(path);
+        return {
+            name: path,
+            size: entry.size,
+            compressedSize: entry.compressedSize,
+            method: entry.method === ZIP_DEFLATE ? 'deflate' : 'store'
+        };
+    }
+
+    /**
+     * Write the central directory; the archive is complete afterwards
+     * @returns {Promise<number>} archive size in bytes
+     */
+    async close() {
+        this.checkWritable();
+        this.closed = true;
+
+        const start = this.written;
+        const directory = concatBytes(this.entries.map(entry => ZipStream.centralHeader(entry)));
+        await this.emit(directory);
+        await this.emit(ZipStream.endRecord(this.entries.length, directory.length, start));
+        return this.written;
+    }
+
+    // Content known up front: CRC and sizes go in the local header
+    async writeWhole(entry, data, deflate) {
+        let body = data;
+        if (deflate && data.length > 0) {
+            const packed = await readAll(ZipStream.streamOf(new Blob([data])).pipeThrough(new CompressionStream('deflate-raw')));
+            // Deflate can lose on tiny or already-compressed data
+            if (packed.length < data.length) {
+                body = packed;
+                entry.method = ZIP_DEFLATE;
+            }
+        }
+
+        entry.crc = crc32(data);
+        entry.size = data.length;
+        entry.compressedSize = body.length;
+        this.checkSize(entry);
+
+        await this.emit(concatBytes([ZipStream.localHeader(entry), entry.name]));
+        await this.emit(body);
+        this.reportProgress(entry);
+    }
+
+    // Content read as it arrives: CRC and sizes follow in a data descriptor
+    async writeStreamed(entry, stream, deflate) {
+        entry.flags |= ZIP_FLAG_DESCRIPTOR;
+        entry.method = deflate ? ZIP_DEFLATE : ZIP_STORE;
+        await this.emit(concatBytes([ZipStream.localHeader(entry), entry.name]));
+
+        const measure = new TransformStream({
+            transform: (chunk, controller) => {
+                const bytes = toBytes(chunk);
+                entry.crc = crc32(bytes, entry.crc);
+                entry.size += bytes.length;
+                this.reportProgress(entry);
+                controller.enqueue(bytes);
+            }
+        });
+        // The signal also interrupts a source that is slow to deliver
+        let output = stream.pipeThrough(measure, this.signal ? { signal: this.signal } : undefined);
+        if (deflate) output = output.pipeThrough(new CompressionStream('deflate-raw'));
+
+        const start = this.written;
+        const reader = output.getReader();
+        try {
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                await this.emit(toBytes(value));
+            }
+        } catch (error) {
+            reader.cancel(error).catch(() => {});
+            throw error;
+        }
+
+        entry.compressedSize = this.written - start;
+        this.checkSize(entry);
+
+        const descriptor = new DataView(new ArrayBuffer(16));
+        descriptor.setUint32(0, 0x08074b50, true);
+        descriptor.setUint32(4, entry.crc, true);
+        descriptor.setUint32(8, entry.compressedSize, true);
+        descriptor.setUint32(12, entry.size, true);
+        await this.emit(new Uint8Array(descriptor.buffer));
+    }
+
+    async emit(bytes) {
+        this.throwIfAborted();
+        if (this.written + bytes.length > ZIP_MAX_SIZE) {
+            throw new ZipError('Archive larger than 4 GB (ZIP64 is not supported)');
+        }
+        await this.sink(bytes);
+        this.written += bytes.length;
+    }
+
+    reportProgress(entry) {
+        if (this.onProgress) {
+            this.onProgress({ name: entry.path, bytes: entry.size, written: this.written });
+        }
+    }
+
+    checkSize(entry) {
+        if (entry.size > ZIP_MAX_SIZE || entry.compressedSize > ZIP_MAX_SIZE) {
+            throw new ZipError(`${entry.path} is larger than 4 GB (ZIP64 is not supported)`);
+        }
+    }
+
+    checkWritable() {
+        if (this.failure) throw new ZipError(`Archive is incomplete after an earlier error: ${this.failure.message}`);
+        if (this.closed) throw new ZipError('Archive is already closed');
+        if (this.busy) throw new ZipError('Wait for the previous add() to finish');
+    }
+
+    throwIfAborted() {
+        if (this.signal && this.signal.aborted) {
+            throw this.signal.reason || new DOMException('The archive was cancelled', 'AbortError');
+        }
+    }
+
+    static streamOf(content) {
+        if (typeof ReadableStream !== 'undefined' && content instanceof ReadableStream) return content;
+        if (typeof Blob !== 'undefined' && content instanceof Blob) return content.stream();
+        return null;
+    }
+
+    /**
+     * Paths stay inside the archive: no absolute paths, '.', '..' or empty segments
+     */
+    static normalizeName(name) {
+        const path = String(name).replace(/\\/g, '/').replace(/^\/+/, '');
+        const unsafe = !path ||
+            path.split('/').some(part => part === '' || part === '.' || part === '..') ||
+            /[\u0000-\u001f]/.test(path);
+        if (unsafe) throw new ZipError(`Unsafe entry name: ${JSON.stringify(String(name))}`);
+        return path;
+    }
+
+    static localHeader(entry) {
+        const header = new DataView(new ArrayBuffer(30));
+        const streamed = entry.flags & ZIP_FLAG_DESCRIPTOR;
+        header.setUint32(0, 0x04034b50, true);
+        header.setUint16(4, 20, true);
+        header.setUint16(6, entry.flags, true);
+        header.setUint16(8, entry.method, true);
+        header.setUint16(10, entry.time, true);
+        header.setUint16(12, entry.date, true);
+        header.setUint32(14, streamed ? 0 : entry.crc, true);
+        header.setUint32(18, streamed ? 0 : entry.compressedSize, true);
+        header.setUint32(22, streamed ? 0 : entry.size, true);
+        header.setUint16(26, entry.name.length, true);
+        header.setUint16(28, 0, true);
+        return new Uint8Array(header.buffer);
+    }
+
+    static centralHeader(entry) {
+        const header = new DataView(new ArrayBuffer(46));
+        header.setUint32(0, 0x02014b50, true);
+        header.setUint16(4, 20, true);
+        header.setUint16(6, 20, true);
+        header.setUint16(8, entry.flags, true);
+        header.setUint16(10, entry.method, true);
+        header.setUint16(12, entry.time, true);
+        header.setUint16(14, entry.date, true);
+        header.setUint32(16, entry.crc, true);
+        header.setUint32(20, entry.compressedSize, true);
+        header.setUint32(24, entry.size, true);
+        header.setUint16(28, entry.name.length, true);
+        header.setUint32(42, entry.offset, true);
+        return concatBytes([new Uint8Array(header.buffer), entry.name]);
+    }
+
+    static endRecord(count, directorySize, directoryOffset) {
+        const record = new DataView(new ArrayBuffer(22));
+        record.setUint32(0, 0x06054b50, true);
+        record.setUint16(8, count, true);
+        record.setUint16(10, count, true);
+        record.setUint32(12, directorySize, true);
+        record.setUint32(16, directoryOffset, true);
+        return new Uint8Array(record.buffer);
+    }
+}
+
+ZipStream.ZipError = ZipError;
+ZipStream.crc32 = crc32;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZipStream;
+}